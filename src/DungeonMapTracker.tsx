@@ -37,6 +37,7 @@ import { getColorByHex, isDefaultColor, DEFAULT_COLOR } from './drawing/colorOpe
 import { ImageAlignmentMode } from './components/overlays/ImageAlignmentMode';
 import { OnboardingSurvey } from './components/overlays/OnboardingSurvey';
 import { WhatsNewNotice } from './components/overlays/WhatsNewNotice';
+import { SessionReplayBar } from './components/overlays/SessionReplayBar';
 import { DataFileRecoveryPanel } from './components/overlays/DataFileRecoveryPanel';
 import { StaleMapConflictPanel } from './components/overlays/StaleMapConflictPanel';
 import { useAlignmentMode } from './hooks/interactions/useAlignmentMode';
@@ -60,6 +61,10 @@ import { useSubHexNavigation } from './hooks/interactions/useSubHexNavigation';
 import { useCustomEventHandlers } from './hooks/interactions/useCustomEventHandlers';
 import { useKeyboardShortcuts } from './hooks/interactions/useKeyboardShortcuts';
 import { usePlayerFogClear } from './hooks/interactions/usePlayerFogClear';
+import { useSessionLog } from './hooks/interactions/useSessionLog';
+import { useSessionReplay } from './hooks/interactions/useSessionReplay';
+import { useAreaGeneration } from './hooks/interactions/useAreaGeneration';
+import { useSketchConnection } from './hooks/interactions/useSketchConnection';
 import { useUILayout } from './hooks/state/useUILayout';
 import { useFloatingPanels } from './hooks/state/useFloatingPanels';
 import type { PanelId, PanelState } from './hooks/state/useFloatingPanels';
@@ -81,6 +86,10 @@ import type { MapListEntry } from './persistence/fileOperations';
 import { ConfirmModal } from './settings/modals/ConfirmModal';
 import { loadTileMetadata, setTileMetadataForRender, getTileMetadataForRender } from './persistence/tileMetadata';
 import { NewMapModal } from './components/modals/NewMapModal';
+import { CampaignClockModal } from './components/modals/CampaignClockModal';
+import { writeCampaignDateProperty } from './persistence/noteOperations';
+import { formatClockDate } from './travel/campaignClock';
+import { getEnabledTravelPacks } from './travel/travelPackOperations';
 
 // ============================================================================
 // LOCAL TYPE DEFINITIONS
@@ -733,6 +742,20 @@ const DungeonMapTracker = ({ mapId = 'default-map', mapName = '', mapType = 'gri
     handleFogChange
   } = useFogOfWar({ mapData, geometry, updateMapData });
 
+  // Session log replay and recap (active layer); the canvas draws the replay
+  // frame and stays view-only while it runs
+  const {
+    sessionLog,
+    replayStep,
+    replayMapData,
+    isReplayPlaying,
+    startReplay,
+    stopReplay,
+    setReplayStep,
+    toggleReplayPlaying,
+    exportSessionRecap
+  } = useSessionReplay({ app, mapData, mapId, notePath });
+
   // Get current theme with effective settings (global + map overrides)
   // This will be called on every render, fetching fresh settings each time
   const effectiveSettings = mapData ? getEffectiveSettings(mapData.settings) : null;
@@ -896,9 +919,36 @@ const DungeonMapTracker = ({ mapId = 'default-map', mapName = '', mapType = 'gri
     handlePartyPinsChange,
     handleMeasurementRouteChange,
     handleSavedRoutesChange,
-    handleTravelSettingsChange
+    handleTravelSettingsChange,
+    handleCampaignClockChange,
+    handleRouteTravel,
+    handleGenerationSettingsChange
   } = useDataHandlers({ mapData, updateMapData, addToHistory, isApplyingHistory });
 
+  const campaignClock = mapData?.campaignClock;
+  const campaignDate = campaignClock != null ? formatClockDate(campaignClock) : null;
+
+  // The campaign clock's date follows into the hosting note's frontmatter
+  // whenever it moves, undo and redo included (full-pane maps have no
+  // hosting note). The date a map opens with, or comes to on sub-hex
+  // navigation, is taken as already written.
+  const writtenCampaignDate = useRef<{ version: number; date: string | null } | null>(null);
+  useEffect(() => {
+    if (mapData == null) return;
+    const written = writtenCampaignDate.current;
+    writtenCampaignDate.current = { version: navigationVersion, date: campaignDate };
+    if (written == null || written.version !== navigationVersion || written.date === campaignDate) return;
+    void writeCampaignDateProperty(notePath, campaignDate);
+  }, [mapData, navigationVersion, campaignDate, notePath]);
+
+  const handleEditClock = useCallback((): void => {
+    void new CampaignClockModal(app, campaignClock ?? null).openAndGetValue().then(clock => {
+      if (clock != null) handleCampaignClockChange(clock);
+    });
+  }, [app, campaignClock, handleCampaignClockChange]);
+  // The clock is offered once travel packs are in play, or when the map already keeps one
+  const showClock = campaignClock != null || getEnabledTravelPacks(getSettings().travelPacks).length > 0;
+
   // Picture frame handlers write through rootUpdateMapData, not the
   // active-map funnel (see pictureFrameActive above).
   const handleTogglePictureFrame = useCallback((): void => {
@@ -971,6 +1021,11 @@ const DungeonMapTracker = ({ mapId = 'default-map', mapName = '', mapType = 'gri
 
   // Player fog clearing on drop (reads latest state via functional updater, supports undo)
   usePlayerFogClear({ geometry, updateMapData, addToHistory, isApplyingHistory, instanceId });
+  useSessionLog({ updateMapData, isApplyingHistory, instanceId });
+
+  // Generate tool: dungeon section inside a rectangle, applied as one undo step
+  const handleGenerateInArea = useAreaGeneration({ mapData, geometry, updateMapData, addToHistory, isApplyingHistory });
+  const handleConnectSketch = useSketchConnection({ mapData, geometry, updateMapData, addToHistory, isApplyingHistory });
 
   // Adjacent sub-map click-to-navigate
   useEffect((): (() => void) | undefined => {
@@ -1094,6 +1149,8 @@ const DungeonMapTracker = ({ mapId = 'default-map', mapName = '', mapType = 'gri
     return <div className="windrose-loading">Loading map...</div>;
   }
 
+  const canvasMapData = replayMapData ?? mapData;
+
   // Get color display name
   const getColorDisplayName = (): string => {
     if (isDefaultColor(selectedColor)) return 'Default';
@@ -1127,6 +1184,8 @@ const DungeonMapTracker = ({ mapId = 'default-map', mapName = '', mapType = 'gri
           onNewMap={fullPane ? handleNewMap : undefined}
           onDeleteMap={fullPane ? () => { void handleDeleteMap(); } : undefined}
           subHexPath={subHexPath}
+          campaignDate={campaignDate}
+          onEditClock={showClock ? handleEditClock : undefined}
         />}
 
         {/* One-time upgrader notice pointing at the Features settings section. */}
@@ -1232,6 +1291,9 @@ const DungeonMapTracker = ({ mapId = 'default-map', mapName = '', mapType = 'gri
             onFogVisibilityToggle={handleFogVisibilityToggle}
             onFogFillAll={handleFogFillAll}
             onFogClearAll={handleFogClearAll}
+            hasSessionLog={sessionLog.length > 0}
+            onSessionReplay={startReplay}
+            onSessionRecapExport={exportSessionRecap}
           />
         )}
 
@@ -1325,6 +1387,9 @@ const DungeonMapTracker = ({ mapId = 'default-map', mapName = '', mapType = 'gri
                       onFogVisibilityToggle={handleFogVisibilityToggle}
                       onFogFillAll={handleFogFillAll}
                       onFogClearAll={handleFogClearAll}
+                      hasSessionLog={sessionLog.length > 0}
+                      onSessionReplay={startReplay}
+                      onSessionRecapExport={exportSessionRecap}
                     />
                   )
                 },
@@ -1369,8 +1434,8 @@ const DungeonMapTracker = ({ mapId = 'default-map', mapName = '', mapType = 'gri
               mapId={mapId}
               notePath={notePath}
               mapData={availableTilesets.length > 0
-                ? { ...mapData, ...(mapData.mapType === 'hex' ? { northDirection: 0 } : {}), tilesets: availableTilesets }
-                : mapData}
+                ? { ...canvasMapData, ...(canvasMapData.mapType === 'hex' ? { northDirection: 0 } : {}), tilesets: availableTilesets }
+                : canvasMapData}
               onCellsChange={handleCellsChange}
               onCurvesChange={handleCurvesChange}
               onObjectsChange={handleObjectsChange}
@@ -1383,9 +1448,12 @@ const DungeonMapTracker = ({ mapId = 'default-map', mapName = '', mapType = 'gri
               hiddenTileLayers={hiddenLayers}
               onViewStateChange={handleViewStateChange}
               onTextLabelSettingsChange={handleTextLabelSettingsChange}
+              onGenerationSettingsChange={handleGenerationSettingsChange}
+              onGenerateInArea={handleGenerateInArea}
+              onConnectSketch={handleConnectSketch}
               currentTool={currentTool}
               isAlignmentMode={isAlignmentMode}
-              interactionLocked={pictureFrameActive}
+              interactionLocked={pictureFrameActive || replayStep != null}
               selectedObjectType={selectedObjectType ?? undefined}
               selectedColor={selectedColor}
               isColorPickerOpen={isColorPickerOpen}
@@ -1404,6 +1472,7 @@ const DungeonMapTracker = ({ mapId = 'default-map', mapName = '', mapType = 'gri
               instanceId={instanceId}
               requestEnterSubHex={requestEnterSubHex}
               requestExitSubHex={requestExitSubHex}
+              publishToPlayerView={fullPane}
             >
               {/* DrawingLayer - handles all drawing tools */}
               <MapCanvas.DrawingLayer
@@ -1536,6 +1605,7 @@ const DungeonMapTracker = ({ mapId = 'default-map', mapName = '', mapType = 'gri
                 <MapCanvas.RouteLayer
                   currentTool={currentTool}
                   onSavedRoutesChange={handleSavedRoutesChange}
+                  onRouteTravel={handleRouteTravel}
                 />
               )}
 
@@ -1558,6 +1628,17 @@ const DungeonMapTracker = ({ mapId = 'default-map', mapName = '', mapType = 'gri
               {featureFlags.dungeonGenerator && <MapCanvas.RerollDungeonButton />}
             </MapCanvas>
 
+            {replayStep != null && (
+              <SessionReplayBar
+                entries={sessionLog}
+                step={replayStep}
+                isPlaying={isReplayPlaying}
+                onStepChange={setReplayStep}
+                onTogglePlaying={toggleReplayPlaying}
+                onClose={stopReplay}
+              />
+            )}
+
             {!fullPane && !pictureFrameActive && (
               <MapControls
                 onZoomIn={handleZoomIn}
@@ -1797,6 +1878,9 @@ const DungeonMapTracker = ({ mapId = 'default-map', mapName = '', mapType = 'gri
                 onFogVisibilityToggle={handleFogVisibilityToggle}
                 onFogFillAll={handleFogFillAll}
                 onFogClearAll={handleFogClearAll}
+                hasSessionLog={sessionLog.length > 0}
+                onSessionReplay={startReplay}
+                onSessionRecapExport={exportSessionRecap}
               />
             </FloatingPanel>
           )}
@@ -2020,6 +2104,9 @@ const DungeonMapTracker = ({ mapId = 'default-map', mapName = '', mapType = 'gri
                       onFogVisibilityToggle={handleFogVisibilityToggle}
                       onFogFillAll={handleFogFillAll}
                       onFogClearAll={handleFogClearAll}
+                      hasSessionLog={sessionLog.length > 0}
+                      onSessionReplay={startReplay}
+                      onSessionRecapExport={exportSessionRecap}
                     />
                   </DockPanel>
                 )}
@@ -2050,6 +2137,8 @@ const DungeonMapTracker = ({ mapId = 'default-map', mapName = '', mapType = 'gri
                     currentTool === 'rectangle' ? 'Click two corners to fill rectangle' :
                       currentTool === 'circle' ? 'Click edge point, then center to fill circle' :
                         currentTool === 'clearArea' ? 'Click two corners to clear area' :
+                        currentTool === 'generateArea' ? 'Click two corners to generate a dungeon section' :
+                        currentTool === 'connectSketch' ? 'Click two corners around the rooms to connect' :
                           currentTool === 'addObject' ? (selectedObjectType != null && selectedObjectType !== '' ? 'Click to place object' : 'Select an object from the sidebar') :
                             currentTool === 'addNote' ? 'Click to place note pin' :
                             currentTool === 'addText' ? 'Click to add text label' :
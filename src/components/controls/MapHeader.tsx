@@ -21,9 +21,13 @@ interface MapHeaderProps {
   onDeleteMap?: () => void;
   /** Current sub-hex drill path; when set, the copied embed block opens this sub-map. */
   subHexPath?: string | null;
+  /** The campaign clock's reading; null when the map keeps no clock */
+  campaignDate?: string | null;
+  /** Opens the campaign clock editor; the clock is hidden without it */
+  onEditClock?: () => void;
 }
 
-const MapHeader = ({ mapData, onNameChange, saveStatus, showFooter, onToggleFooter, fullPane, mapId, mapList, onMapSelect, onNewMap, onDeleteMap, subHexPath }: MapHeaderProps): VNode => {
+const MapHeader = ({ mapData, onNameChange, saveStatus, showFooter, onToggleFooter, fullPane, mapId, mapList, onMapSelect, onNewMap, onDeleteMap, subHexPath, campaignDate, onEditClock }: MapHeaderProps): VNode => {
   const getStatusIcon = (): string => {
     if (saveStatus === 'Unsaved changes') return '○';
     if (saveStatus === 'Saving...') return '⟳';
@@ -105,6 +109,16 @@ const MapHeader = ({ mapData, onNameChange, saveStatus, showFooter, onToggleFoot
       />
 
       <div className="windrose-header-controls">
+        {onEditClock && (
+          <button
+            className="windrose-header-clock interactive-child"
+            onClick={onEditClock}
+            ref={tooltipRef(campaignDate != null ? 'Campaign clock' : 'Start a campaign clock')}
+          >
+            <Icon icon="lucide-clock" />
+            {campaignDate != null && <span className="windrose-header-clock-date">{campaignDate}</span>}
+          </button>
+        )}
         {fullPane === true && mapId != null && mapId !== '' && (
           <button
             className="windrose-header-action-btn interactive-child"
@@ -233,7 +233,7 @@ const DrawingLayer = ({
 
     if (rectangleStart && !showFullPreview && !showTouchPreview) {
       const pos = gridToCanvasPosition(rectangleStart.x, rectangleStart.y);
-      const highlightColor = currentTool === 'clearArea' ? '#ff0000' : '#00ff00';
+      const highlightColor = currentTool === 'clearArea' ? '#ff0000' : currentTool === 'generateArea' || currentTool === 'connectSketch' ? '#b57edc' : '#00ff00';
 
       overlays.push(
         <div
@@ -342,7 +342,7 @@ const DrawingLayer = ({
       shapeType = 'circle';
       startPoint = circleStart;
     } else if (rectangleStart) {
-      shapeType = currentTool === 'clearArea' ? 'clearArea' : 'rectangle';
+      shapeType = currentTool === 'clearArea' || currentTool === 'generateArea' || currentTool === 'connectSketch' ? currentTool : 'rectangle';
       startPoint = rectangleStart;
     } else if (edgeLineStart) {
       shapeType = 'edgeLine';
@@ -14,6 +14,7 @@ import { useCallback, useEffect, useRef } from 'preact/hooks';
 import { useMapState, useMapOperations } from '../../context/MapContext';
 import { useLayerHandlers } from '../../hooks/canvas/useLayerHandlers';
 import { fitPointsToBezier } from '../../geometry/curves/curveFitting';
+import { generateCurveId } from '../../geometry/curves/curveBoolean';
 import { calculateViewportOffset } from '../../geometry/core/BaseGeometry';
 import { getActiveLayer } from '../../persistence/layerAccessor';
 
@@ -27,11 +28,6 @@ export interface FreehandLayerProps {
   selectedOpacity?: number;
 }
 
-/** Generate a unique curve ID */
-function generateCurveId(): string {
-  return 'curve-' + Date.now() + '-' + Math.random().toString(36).slice(2, 11);
-}
-
 const FreehandLayer = ({
   currentTool,
   selectedColor,
@@ -9,6 +9,7 @@ import type {
   Edge,
   StoredViewState,
   TextLabelSettings,
+  GenerationSettings,
   ToolId,
   ObjectTypeId,
   Point,
@@ -26,6 +27,7 @@ import { useCallback, useEffect, useMemo, useRef, useState } from 'preact/hooks'
 import { useCanvasRenderer, renderCanvas } from '../../hooks/canvas/useCanvasRenderer';
 import { useCanvasInteraction } from '../../hooks/canvas/useCanvasInteraction';
 import { useViewController } from '../../hooks/canvas/useViewController';
+import { usePlayerViewPublisher } from '../../hooks/canvas/usePlayerViewPublisher';
 import type { ViewController } from '#types/hooks/viewController.types';
 import { GridGeometry } from '../../geometry/core/GridGeometry';
 import { DEFAULTS } from '../../core/dmtConstants';
@@ -110,6 +112,11 @@ interface MapCanvasContentProps {
   adjacentSubHexes?: AdjacentSubHexRenderData[] | null;
   onViewStateChange: (viewState: StoredViewState) => void;
   onTextLabelSettingsChange: (settings: TextLabelSettings) => void;
+  onGenerationSettingsChange?: (settings: GenerationSettings) => void;
+  /** Generate a dungeon section inside a cell rectangle (generateArea tool) */
+  onGenerateInArea?: (x1: number, y1: number, x2: number, y2: number) => void;
+  /** Connect the sketched rooms inside a cell rectangle (connectSketch tool) */
+  onConnectSketch?: (x1: number, y1: number, x2: number, y2: number) => void;
   currentTool: ToolId;
   selectedObjectType: ObjectTypeId | undefined;
   selectedColor: string;
@@ -136,6 +143,8 @@ interface MapCanvasContentProps {
   /** Direct sub-hex dive/surface callbacks for this mount (see MapContext). */
   requestEnterSubHex?: MapStateContextValue['requestEnterSubHex'];
   requestExitSubHex?: MapStateContextValue['requestExitSubHex'];
+  /** Feed this canvas to player view windows open on the same map (full-pane GM view). */
+  publishToPlayerView?: boolean;
   children: ComponentChildren;
 }
 
@@ -180,7 +189,7 @@ const Coordinators = ({ canvasRef, mapData, geometry, isFocused, isColorPickerOp
  * MapCanvasContent - Inner component that uses context hooks
  * Contains all the map canvas logic and interacts with shared selection state
  */
-const MapCanvasContent = ({ mapId, notePath, mapData, onCellsChange, onCurvesChange, onObjectsChange, onTextLabelsChange, onEdgesChange, onTilesChange, onWallPathsChange, onTerrainStrokesChange, tileImagesReady, hiddenTileLayers, adjacentSubHexes, onViewStateChange, onTextLabelSettingsChange, currentTool, selectedObjectType, selectedColor, isColorPickerOpen, customColors: _customColors, onAddCustomColor: _onAddCustomColor, onDeleteCustomColor: _onDeleteCustomColor, isFocused, isAnimating, theme, isAlignmentMode, interactionLocked = false, draggingWallId, distanceOverrides, isInSubHex, subHexPath, instanceId, requestEnterSubHex, requestExitSubHex, children }: MapCanvasContentProps): VNode => {
+const MapCanvasContent = ({ mapId, notePath, mapData, onCellsChange, onCurvesChange, onObjectsChange, onTextLabelsChange, onEdgesChange, onTilesChange, onWallPathsChange, onTerrainStrokesChange, tileImagesReady, hiddenTileLayers, adjacentSubHexes, onViewStateChange, onTextLabelSettingsChange, onGenerationSettingsChange, onGenerateInArea, onConnectSketch, currentTool, selectedObjectType, selectedColor, isColorPickerOpen, customColors: _customColors, onAddCustomColor: _onAddCustomColor, onDeleteCustomColor: _onDeleteCustomColor, isFocused, isAnimating, theme, isAlignmentMode, interactionLocked = false, draggingWallId, distanceOverrides, isInSubHex, subHexPath, instanceId, requestEnterSubHex, requestExitSubHex, publishToPlayerView = false, children }: MapCanvasContentProps): VNode => {
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
   const fogCanvasRef = useRef<HTMLCanvasElement | null>(null);  // Separate canvas for fog blur effect (CSS blur for iOS compat)
   const containerRef = useRef<HTMLDivElement | null>(null);
@@ -197,7 +206,10 @@ const MapCanvasContent = ({ mapId, notePath, mapData, onCellsChange, onCurvesCha
     if (updates.lastTextLabelSettings != null) {
       onTextLabelSettingsChange(updates.lastTextLabelSettings);
     }
-  }, [onViewStateChange, onTextLabelSettingsChange]);
+    if (updates.generationSettings != null) {
+      onGenerationSettingsChange?.(updates.generationSettings);
+    }
+  }, [onViewStateChange, onTextLabelSettingsChange, onGenerationSettingsChange]);
 
   // Use shared selection from context (same state ObjectLayer uses)
   const {
@@ -303,6 +315,8 @@ const MapCanvasContent = ({ mapId, notePath, mapData, onCellsChange, onCurvesCha
   // Render canvas whenever relevant state changes
   useCanvasRenderer(canvasRef, fogCanvasRef, mapData, geometry, selectedItems, { isResizeMode, theme, showCoordinates, layerVisibility, tileImagesReady, adjacentSubHexes, hiddenTileLayers, draggingWallId, subHexPath: subHexPath ?? null }, viewController);
 
+  usePlayerViewPublisher(publishToPlayerView ? mapId : null, mapData, theme, tileImagesReady ?? false, viewController);
+
   // Trigger redraw when canvas dimensions change (from expand/collapse)
   useEffect(() => {
     if (!canvasRef.current || !mapData || !geometry) return;
@@ -417,6 +431,9 @@ const MapCanvasContent = ({ mapId, notePath, mapData, onCellsChange, onCurvesCha
     if (currentTool === 'clearArea') {
       return effectiveDrawingState.rectangleStart ? 'windrose-canvas-cleararea-active' : 'windrose-canvas-cleararea';
     }
+    if (currentTool === 'generateArea' || currentTool === 'connectSketch') {
+      return effectiveDrawingState.rectangleStart ? 'windrose-canvas-rectangle-active' : 'windrose-canvas-rectangle';
+    }
     if (effectiveDrawingState.isDrawing) {
       return currentTool === 'draw' ? 'windrose-canvas-drawing' : 'windrose-canvas-erasing';
     }
@@ -480,8 +497,10 @@ const MapCanvasContent = ({ mapId, notePath, mapData, onCellsChange, onCurvesCha
     onTilesChange,
     onWallPathsChange,
     onTerrainStrokesChange,
-    onMapDataUpdate
-  } as MapOperationsContextValue), [onCellsChange, onCurvesChange, onObjectsChange, onTextLabelsChange, onEdgesChange, onTilesChange, onWallPathsChange, onTerrainStrokesChange, onMapDataUpdate]);
+    onMapDataUpdate,
+    onGenerateInArea,
+    onConnectSketch
+  } as MapOperationsContextValue), [onCellsChange, onCurvesChange, onObjectsChange, onTextLabelsChange, onEdgesChange, onTilesChange, onWallPathsChange, onTerrainStrokesChange, onMapDataUpdate, onGenerateInArea, onConnectSketch]);
 
   return (
     <EventHandlerProvider>
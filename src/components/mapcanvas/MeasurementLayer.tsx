@@ -5,8 +5,10 @@
  * Combines the measurement hook, overlay rendering, editing controls,
  * keyboard affordances (Backspace = remove last, Enter = save as route,
  * Escape = clear), finish-by-double-click (double-tap on touch), route
- * persistence, the save-as-route flow, and — when enabled travel packs
- * exist — live travel times and on-map per-segment terrain assignment.
+ * persistence, the save-as-route flow, finding the fastest route between
+ * the first and last waypoints, and — when enabled travel packs exist —
+ * live travel times and per-segment terrain, picked on the map or inferred
+ * from terrain rules.
  */
 
 import type { ToolId } from '#types/tools/tool.types';
@@ -14,12 +16,18 @@ import type { VNode } from 'preact';
 import type { MapTravelSettings, MeasurementRoute, SavedRoute } from '#types/core/map.types';
 import type { EffectiveDistanceSettings } from '#types/hooks/distanceMeasurement.types';
 import type { PluginSettings } from '#types/settings/settings.types';
+import type { Point } from '#types/core/geometry.types';
+import type { TravelTerrain } from '#types/settings/travelPack.types';
 import type { TravelTimeLine, TravelModeOption, TravelAllowanceOption } from '../overlays/MeasurementControls';
 
+import { Notice } from 'obsidian';
 import { useCallback, useEffect, useMemo, useRef, useState } from 'preact/hooks';
 import { useDistanceMeasurement } from '../../hooks/interactions/useDistanceMeasurement';
 import { getSettings } from '../../core/settingsAccessor';
-import { createSavedRoute } from '../../drawing/routeOperations';
+import { computeSegmentDistances, createSavedRoute } from '../../drawing/routeOperations';
+import { findFastestRouteOnMap } from '../../travel/routeFinder';
+import { buildCellTerrainMap, collectTerrainRules, inferSegmentTerrain } from '../../travel/terrainInference';
+import { getRenderLayers } from '../../persistence/layerAccessor';
 import { getEnabledTravelPacks, getEffectiveTravelSettings } from '../../travel/travelPackOperations';
 import {
   collectEnabledTerrains,
@@ -33,6 +41,7 @@ import { MeasurementOverlay } from '../overlays/MeasurementOverlay';
 import { MeasurementControls } from '../overlays/MeasurementControls';
 import { TerrainPickerPopup } from '../overlays/TerrainPickerPopup';
 import { SaveRouteModal } from '../modals/SaveRouteModal';
+import { TerrainRulesModal } from '../modals/TerrainRulesModal';
 import { useApp } from '../../context/AppContext';
 import { useMapState } from '../../context/MapContext';
 import { useLayerHandlers } from '../../hooks/canvas/useLayerHandlers';
@@ -97,6 +106,22 @@ const MeasurementLayer = ({
   // enabled pack defines (later segments inherit their predecessor)
   const firstSegmentTerrainId = enabledTerrains.length > 0 ? enabledTerrains[0].terrain.id : null;
 
+  // Terrain rules (the map's, then the packs') fill in segment terrain from
+  // what the route crosses; only worked out while measuring
+  const mapTerrainRules = mapData?.travelSettings?.terrainRules;
+  const terrainRules = useMemo(
+    () => collectTerrainRules(enabledPacks, mapData?.travelSettings),
+    [enabledPacks, mapData?.travelSettings]
+  );
+  const cellTerrains = useMemo((): Map<string, TravelTerrain> => {
+    if (currentTool !== 'measure' || !mapData) return new Map();
+    return buildCellTerrainMap(mapData, getRenderLayers(mapData), enabledTerrains.map(({ terrain }) => terrain), terrainRules);
+  }, [currentTool, mapData, enabledTerrains, terrainRules]);
+  const inferTerrain = useMemo(() => {
+    if (!geometry || cellTerrains.size === 0) return undefined;
+    return (from: Point, to: Point): string | null => inferSegmentTerrain(from, to, geometry, cellTerrains);
+  }, [geometry, cellTerrains]);
+
   const {
     waypoints,
     segmentTerrains,
@@ -111,7 +136,8 @@ const MeasurementLayer = ({
     handleMeasureMove,
     removeLastWaypoint,
     clearMeasurement,
-    assignSegmentTerrain
+    assignSegmentTerrain,
+    replaceRoute
   } = useDistanceMeasurement(
     currentTool,
     geometry,
@@ -120,18 +146,23 @@ const MeasurementLayer = ({
     (mapDistanceOverrides ?? null),
     mapData?.measurementRoute,
     onMeasurementRouteChange,
-    firstSegmentTerrainId
+    firstSegmentTerrainId,
+    inferTerrain
   );
 
-  const handleSaveRoute = useCallback((): void => {
-    if (waypoints.length < 2 || !mapData) return;
+  const promptSaveRoute = useCallback((points: Point[], terrains: (string | null)[]): void => {
+    if (points.length < 2 || !mapData) return;
     void new SaveRouteModal(app).openAndGetValue().then(options => {
       if (options == null) return;
-      const route = createSavedRoute(waypoints, { ...options, segmentTerrains });
+      const route = createSavedRoute(points, { ...options, segmentTerrains: terrains });
       onSavedRoutesChange?.([...(mapData.savedRoutes ?? []), route]);
       clearMeasurement();
     });
-  }, [waypoints, segmentTerrains, mapData, app, onSavedRoutesChange, clearMeasurement]);
+  }, [mapData, app, onSavedRoutesChange, clearMeasurement]);
+
+  const handleSaveRoute = useCallback((): void => {
+    promptSaveRoute(waypoints, segmentTerrains);
+  }, [waypoints, segmentTerrains, promptSaveRoute]);
 
   // Double-click (double-tap on touch) on the end cell finishes the route:
   // the first click commits the final waypoint, the repeat click on the same
@@ -208,18 +239,9 @@ const MeasurementLayer = ({
     [enabledPacks, travelSettings]
   );
 
-  const travelLines = useMemo((): TravelTimeLine[] => {
-    if (selectedModes.length === 0 || waypoints.length === 0) return [];
-
-    // Distances in map units, preview segment included live (TM-18); the
-    // preview's terrain-to-be is its predecessor's (TM-21), so its
-    // multiplier previews honestly too
-    const distances = segmentDistances.map(d => d * distanceSettings.distancePerCell);
-    const terrainIds: (string | null)[] = [...segmentTerrains];
-    if (previewDistance > 0) {
-      distances.push(previewDistance * distanceSettings.distancePerCell);
-      terrainIds.push(segmentTerrains[segmentTerrains.length - 1] ?? firstSegmentTerrainId);
-    }
+  /** Travel time per selected mode for segment distances (in cells) and their terrains */
+  const computeTravelLines = useCallback((distancesInCells: number[], terrainIds: (string | null)[]): TravelTimeLine[] => {
+    const distances = distancesInCells.map(d => d * distanceSettings.distancePerCell);
     const multipliers = terrainIds.map(id => findTerrainById(enabledPacks, id)?.multiplier ?? 1);
 
     return selectedModes.map(({ mode, pack }) => {
@@ -229,7 +251,50 @@ const MeasurementLayer = ({
       }
       return { modeId: mode.id, name: mode.name, text: formatTravelTime(result, selectedAllowance), isError: false };
     });
-  }, [selectedModes, selectedAllowance, waypoints.length, segmentDistances, previewDistance, segmentTerrains, distanceSettings, enabledPacks, firstSegmentTerrainId]);
+  }, [selectedModes, selectedAllowance, distanceSettings, enabledPacks]);
+
+  const travelLines = useMemo((): TravelTimeLine[] => {
+    if (selectedModes.length === 0 || waypoints.length === 0) return [];
+
+    // Preview segment included live (TM-18); the preview's terrain-to-be is
+    // its predecessor's (TM-21), so its multiplier previews honestly too
+    const distances = [...segmentDistances];
+    const terrainIds: (string | null)[] = [...segmentTerrains];
+    if (previewDistance > 0) {
+      distances.push(previewDistance);
+      terrainIds.push(segmentTerrains[segmentTerrains.length - 1] ?? firstSegmentTerrainId);
+    }
+    return computeTravelLines(distances, terrainIds);
+  }, [selectedModes.length, waypoints.length, segmentDistances, previewDistance, segmentTerrains, firstSegmentTerrainId, computeTravelLines]);
+
+  // Fastest route between the first and last waypoints: it replaces the
+  // measurement (so the card shows its travel times) and is offered for saving
+  const handleFindRoute = useCallback((): void => {
+    if (waypoints.length < 2 || !mapData || !geometry) return;
+    const found = findFastestRouteOnMap(
+      mapData,
+      geometry,
+      waypoints[0],
+      waypoints[waypoints.length - 1],
+      enabledTerrains.map(({ terrain }) => terrain),
+      distanceSettings.gridDiagonalRule,
+      terrainRules
+    );
+    if (found == null) {
+      new Notice('No route found: walls or impassable terrain block every way to the destination.');
+      return;
+    }
+
+    replaceRoute(found);
+    const times = computeTravelLines(
+      computeSegmentDistances(found.points, geometry, distanceSettings.gridDiagonalRule),
+      found.segmentTerrains
+    ).filter(line => !line.isError);
+    if (times.length > 0) {
+      new Notice(`Fastest route: ${times.map(line => `${line.name} ${line.text}`).join(', ')}`);
+    }
+    promptSaveRoute(found.points, found.segmentTerrains);
+  }, [waypoints, mapData, geometry, enabledTerrains, distanceSettings.gridDiagonalRule, terrainRules, replaceRoute, computeTravelLines, promptSaveRoute]);
 
   const modeOptions = useMemo((): TravelModeOption[] => {
     const selected = new Set(travelSettings?.modeIds ?? []);
@@ -252,12 +317,34 @@ const MeasurementLayer = ({
   const handleToggleMode = useCallback((modeId: string, selected: boolean): void => {
     const current = travelSettings.modeIds;
     const next = selected ? [...current, modeId] : current.filter(id => id !== modeId);
-    onTravelSettingsChange?.({ modeIds: next, allowanceId: travelSettings.allowanceId ?? null });
-  }, [travelSettings, onTravelSettingsChange]);
+    onTravelSettingsChange?.({
+      modeIds: next,
+      allowanceId: travelSettings.allowanceId ?? null,
+      ...(mapTerrainRules != null ? { terrainRules: mapTerrainRules } : {})
+    });
+  }, [travelSettings, mapTerrainRules, onTravelSettingsChange]);
 
   const handleAllowanceChange = useCallback((allowanceId: string | null): void => {
-    onTravelSettingsChange?.({ modeIds: travelSettings.modeIds, allowanceId });
-  }, [travelSettings, onTravelSettingsChange]);
+    onTravelSettingsChange?.({
+      modeIds: travelSettings.modeIds,
+      allowanceId,
+      ...(mapTerrainRules != null ? { terrainRules: mapTerrainRules } : {})
+    });
+  }, [travelSettings, mapTerrainRules, onTravelSettingsChange]);
+
+  // Per-map terrain rules ride along in the map's own travel settings; an
+  // empty mode selection there still inherits the global default
+  const handleEditTerrainRules = useCallback((): void => {
+    const multiPack = enabledPacks.length > 1;
+    const targets = enabledTerrains.map(({ terrain, pack }) => ({
+      id: terrain.id,
+      name: multiPack ? `${terrain.name} (${pack.name})` : terrain.name
+    }));
+    void new TerrainRulesModal(app, mapTerrainRules ?? [], targets).openAndGetValue().then(rules => {
+      if (rules == null) return;
+      onTravelSettingsChange?.({ ...(mapData?.travelSettings ?? { modeIds: [] }), terrainRules: rules });
+    });
+  }, [app, enabledPacks.length, enabledTerrains, mapTerrainRules, mapData?.travelSettings, onTravelSettingsChange]);
 
   // Capture the current effective selection as the global default for new/unset
   // maps. GLOBAL plugin setting (like tilesetArtScales): write + saveSettings on
@@ -324,9 +411,11 @@ const MeasurementLayer = ({
         onToggleMode={handleToggleMode}
         onAllowanceChange={handleAllowanceChange}
         onSetAsDefault={handleSetTravelDefault}
+        onEditTerrainRules={enabledTerrains.length > 0 ? handleEditTerrainRules : undefined}
         onRemoveLast={removeLastWaypoint}
         onClear={clearMeasurement}
         onSaveRoute={handleSaveRoute}
+        onFindRoute={handleFindRoute}
       />
       {terrainPicker != null && terrainAssignmentAvailable && (
         <TerrainPickerPopup
@@ -135,9 +135,20 @@ const ObjectLayer = ({
     applyObjectUpdates(updates);
   }, [selectedItem, mapData, applyObjectUpdates]);
 
+  const handleGmOnlyToggle = useCallback(() => {
+    if (selectedItem?.type !== 'object') return;
+    applyObjectUpdates({ gmOnly: selectedItem.data?.gmOnly !== true });
+  }, [selectedItem, applyObjectUpdates]);
+
   const handleLightToggle = useCallback(() => {
     if (selectedItem?.type !== 'object') return;
-    applyObjectUpdates({ lightEnabled: selectedItem.data?.lightEnabled !== true });
+    const lightEnabled = selectedItem.data?.lightEnabled !== true;
+    const updates: Record<string, unknown> = { lightEnabled };
+    if (lightEnabled && (selectedItem.data?.lightRadius == null || selectedItem.data.lightRadius === 0)) {
+      updates.lightRadius = 30;
+      updates.lightColor = selectedItem.data?.lightColor ?? 'rgba(255, 255, 100, 1)';
+    }
+    applyObjectUpdates(updates);
   }, [selectedItem, applyObjectUpdates]);
 
   const handleLightRadiusChange = useCallback((radius: number) => {
@@ -833,8 +844,14 @@ const ObjectLayer = ({
             onResize: handleResizeButtonClick as (e?: Event) => void,
             onDelete: handleObjectDeletion,
             onPlayerToggle: handlePlayerToggle,
+            onGmOnlyToggle: handleGmOnlyToggle,
             onMeasureToggle: handleMeasureToggle
-          }, mapData, { isResizeMode, isPlayer: selectedItem.data?.isPlayer === true, isMeasuring: measureMovement })]}
+          }, mapData, {
+            isResizeMode,
+            isPlayer: selectedItem.data?.isPlayer === true,
+            isGmOnly: selectedItem.data?.gmOnly === true,
+            isMeasuring: measureMovement
+          })]}
 
           mapData={mapData}
           canvasRef={canvasRef}
@@ -853,7 +870,7 @@ const ObjectLayer = ({
           onDeleteCustomColor={onDeleteCustomColor}
           pendingCustomColorRef={pendingObjectCustomColorRef}
           colorButtonRef={objectColorBtnRef}
-          isPlayer={selectedItem.data?.isPlayer === true}
+          showLightControls={selectedItem.data?.type !== 'note_pin'}
           lightEnabled={selectedItem.data?.lightEnabled === true}
           lightRadius={selectedItem.data?.lightRadius ?? 30}
           lightColor={selectedItem.data?.lightColor ?? 'rgba(255, 255, 100, 1)'}
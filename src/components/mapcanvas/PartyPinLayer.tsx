@@ -3,8 +3,9 @@
  *
  * Layer component for the party pin. Registers the placement/drag tool
  * handlers, resolves the map's distance settings, converts the pin's range
- * from map units to cells, and renders the pin with its range ring. The
- * ring is visible whenever a pin exists, independent of the active tool.
+ * from map units to cells, and renders the pin with its range ring and
+ * travel trail. Both are visible whenever a pin exists, independent of the
+ * active tool.
  */
 
 import type { VNode } from 'preact';
@@ -15,14 +16,16 @@ import type { PartyRangeResults } from '../../objects/partyRangeQuery';
 
 import { Notice, TFile } from 'obsidian';
 import { useCallback, useEffect, useMemo, useRef, useState } from 'preact/hooks';
-import { getEffectiveDistanceSettings } from '../../drawing/distanceOperations';
+import { formatDistance, getEffectiveDistanceSettings } from '../../drawing/distanceOperations';
 import { rangeUnitsToCells } from '../../drawing/rangeOperations';
 import { getPartyPin, removePartyPin, upsertPartyPin } from '../../objects/partyPinOperations';
 import { queryPartyRange } from '../../objects/partyRangeQuery';
 import type { NoteMetadataAccessor } from '../../objects/partyRangeQuery';
 import type { RelatedNotes, RelatedNotesSource } from '../../objects/partyRelatedNotes';
 import { extractCacheTags, getRelatedByBacklinks, getRelatedByTags } from '../../objects/partyRelatedNotes';
-import type { PartyNoteTravelLabels } from '../../persistence/partyNoteOperations';
+import type { PartyTrailSummary } from '../../objects/partyTrail';
+import { formatTrailTravelTimes, summarizePartyTrail } from '../../objects/partyTrail';
+import type { PartyNoteTrail, PartyNoteTravelLabels } from '../../persistence/partyNoteOperations';
 import {
   buildPartyNoteContent,
   buildPartyNotePath,
@@ -30,8 +33,12 @@ import {
   upsertPartyNote
 } from '../../persistence/partyNoteOperations';
 import { openNoteInNewTab } from '../../persistence/noteOperations';
+import { getRenderLayers } from '../../persistence/layerAccessor';
 import { getEnabledTravelPacks } from '../../travel/travelPackOperations';
+import { buildCellTerrainMap, collectTerrainRules, inferSegmentTerrain } from '../../travel/terrainInference';
+import { formatClockDate } from '../../travel/campaignClock';
 import {
+  collectEnabledTerrains,
   findTravelMismatch,
   formatTravelTimesLabel,
   resolveSelectedAllowance,
@@ -90,8 +97,14 @@ const PartyPinLayer = ({ currentTool, onPartyPinsChange }: PartyPinLayerProps):
     if (currentTool !== 'select') setSelectedViaSelect(false);
   }, [currentTool]);
 
+  const campaignClock = mapData?.campaignClock;
+  const campaignDate = useMemo(
+    () => (campaignClock != null ? formatClockDate(campaignClock) : undefined),
+    [campaignClock]
+  );
+
   const { handlePartyPinPointerDown, handlePartyPinSelectPointerDown, handlePartyPinMove, stopPartyPinDrag, isPartyPinDragging } =
-    usePartyPinInteraction(mapData?.partyPins, onPartyPinsChange, setSelectedViaSelect);
+    usePartyPinInteraction(mapData?.partyPins, onPartyPinsChange, setSelectedViaSelect, campaignDate ?? null);
 
   useLayerHandlers('partyPin', { handlePartyPinPointerDown, handlePartyPinSelectPointerDown, handlePartyPinMove, stopPartyPinDrag, isPartyPinDragging });
 
@@ -192,6 +205,63 @@ const PartyPinLayer = ({ currentTool, onPartyPinsChange }: PartyPinLayerProps):
     return { linked, unlinked };
   }, [selectedTravelModes.length, results, travelLabelFor]);
 
+  // ===========================================
+  // Travel trail
+  // ===========================================
+
+  const enabledTerrains = useMemo(
+    () => collectEnabledTerrains(enabledPacks).map(entry => entry.terrain),
+    [enabledPacks]
+  );
+
+  // Each move's length and the terrain under it (read like route segments')
+  const trailSummary = useMemo((): PartyTrailSummary | null => {
+    const trail = pin?.trail ?? [];
+    if (trail.length === 0 || !mapData || !geometry) return null;
+    const distanceSettings = getEffectiveDistanceSettings(
+      mapData.mapType,
+      getSettings(),
+      (distanceOverrides ?? null)
+    );
+    const cellTerrains = enabledTerrains.length > 0
+      ? buildCellTerrainMap(mapData, getRenderLayers(mapData), enabledTerrains, collectTerrainRules(enabledPacks, mapData.travelSettings))
+      : null;
+    return summarizePartyTrail(
+      trail,
+      geometry,
+      distanceSettings.gridDiagonalRule,
+      cellTerrains != null ? (from, to) => inferSegmentTerrain(from, to, geometry, cellTerrains) : undefined
+    );
+  }, [pin?.trail, mapData, geometry, distanceOverrides, enabledPacks, enabledTerrains]);
+
+  /** Formatted trail totals for the card and the party note */
+  const trailLabels = useMemo((): PartyNoteTrail | undefined => {
+    if (trailSummary == null || !mapData) return undefined;
+    const distanceSettings = getEffectiveDistanceSettings(
+      mapData.mapType,
+      getSettings(),
+      (distanceOverrides ?? null)
+    );
+    const format = (cells: number): string => formatDistance(
+      cells,
+      distanceSettings.distancePerCell,
+      distanceSettings.distanceUnit,
+      distanceSettings.displayFormat
+    );
+    return {
+      distance: format(trailSummary.totalCells),
+      travel: formatTrailTravelTimes(
+        trailSummary,
+        distanceSettings.distancePerCell,
+        distanceSettings.distanceUnit,
+        selectedTravelModes,
+        travelAllowance,
+        enabledTerrains
+      ),
+      moveDistances: trailSummary.legs.map(leg => format(leg.distanceInCells))
+    };
+  }, [trailSummary, mapData, distanceOverrides, selectedTravelModes, travelAllowance, enabledTerrains]);
+
   // Related notes per result (tags or backlinks), for the party note table
   const relatedMap = useMemo((): Map<string, RelatedNotes> | undefined => {
     const mode = pin?.relatedMode ?? 'off';
@@ -232,16 +302,16 @@ const PartyPinLayer = ({ currentTool, onPartyPinsChange }: PartyPinLayerProps):
     ).distanceUnit;
   }, [mapData, distanceOverrides]);
   const noteContext = useMemo(
-    () => ({ mapId: mapId ?? '', mapName, mapNotePath: notePath ?? '', distanceUnit: noteDistanceUnit }),
-    [mapId, mapName, notePath, noteDistanceUnit]
+    () => ({ mapId: mapId ?? '', mapName, mapNotePath: notePath ?? '', distanceUnit: noteDistanceUnit, campaignDate }),
+    [mapId, mapName, notePath, noteDistanceUnit, campaignDate]
   );
 
   // Note content doubles as the change signal: the debounced write below
   // only re-arms when the rendered content actually differs
   const noteContent = useMemo(() => {
     if (pin?.partyNote?.enabled !== true) return null;
-    return buildPartyNoteContent(pin, results, noteContext, relatedMap, travelLabels);
-  }, [pin, results, noteContext, relatedMap, travelLabels]);
+    return buildPartyNoteContent(pin, results, noteContext, relatedMap, travelLabels, trailLabels);
+  }, [pin, results, noteContext, relatedMap, travelLabels, trailLabels]);
 
   // Pin removal must not race the debounced writer: a timer firing between
   // the note's trashing and the removal commit would resurrect the file via
@@ -272,13 +342,13 @@ const PartyPinLayer = ({ currentTool, onPartyPinsChange }: PartyPinLayerProps):
     if (!currentPin || !mapData) return;
     const path = buildPartyNotePath(folder, currentPin.label);
     const updatedPin: PartyPin = { ...currentPin, partyNote: { enabled: true, path } };
-    const outcome = await upsertPartyNote(app, updatedPin, buildPartyNoteContent(updatedPin, results, noteContext, relatedMap, travelLabels));
+    const outcome = await upsertPartyNote(app, updatedPin, buildPartyNoteContent(updatedPin, results, noteContext, relatedMap, travelLabels, trailLabels));
     if (outcome === 'blocked') {
       new Notice(`A note already exists at ${path} — choose another folder or rename the beacon.`);
       return;
     }
     onPartyPinsChange(upsertPartyPin(mapData.partyPins ?? [], updatedPin));
-  }, [mapData, results, noteContext, relatedMap, travelLabels, app, onPartyPinsChange]);
+  }, [mapData, results, noteContext, relatedMap, travelLabels, trailLabels, app, onPartyPinsChange]);
 
   const handleOpenPartyNote = useCallback(async (): Promise<void> => {
     const currentPin = getPartyPin(mapData?.partyPins);
@@ -287,19 +357,19 @@ const PartyPinLayer = ({ currentTool, onPartyPinsChange }: PartyPinLayerProps):
     // Flush the pending debounced write first, so the tab never opens a
     // missing or stale file (upsert is change-detected — no churn)
     if (currentPin.partyNote?.enabled === true) {
-      await upsertPartyNote(app, currentPin, buildPartyNoteContent(currentPin, results, noteContext, relatedMap, travelLabels));
+      await upsertPartyNote(app, currentPin, buildPartyNoteContent(currentPin, results, noteContext, relatedMap, travelLabels, trailLabels));
     }
     await openNoteInNewTab(path);
-  }, [mapData, results, noteContext, relatedMap, travelLabels, app]);
+  }, [mapData, results, noteContext, relatedMap, travelLabels, trailLabels, app]);
 
   const handleRecalculate = useCallback((): void => {
     const currentPin = getPartyPin(mapData?.partyPins);
     if (currentPin?.partyNote?.enabled !== true || !mapData || !geometry) return;
-    void upsertPartyNote(app, currentPin, buildPartyNoteContent(currentPin, results, noteContext, relatedMap, travelLabels))
+    void upsertPartyNote(app, currentPin, buildPartyNoteContent(currentPin, results, noteContext, relatedMap, travelLabels, trailLabels))
       .then(outcome => {
         if (outcome === 'blocked') new Notice('Beacon note is blocked by an unrelated file at its path.');
       });
-  }, [mapData, geometry, results, noteContext, relatedMap, travelLabels, app]);
+  }, [mapData, geometry, results, noteContext, relatedMap, travelLabels, trailLabels, app]);
 
   const handleRemovePin = useCallback(async (): Promise<void> => {
     const currentPin = getPartyPin(mapData?.partyPins);
@@ -361,6 +431,9 @@ const PartyPinLayer = ({ currentTool, onPartyPinsChange }: PartyPinLayerProps):
           results={results}
           travelLabelFor={travelLabelFor}
           travelHint={travelHint}
+          trailDistance={trailLabels?.distance ?? null}
+          trailTravel={trailLabels?.travel ?? null}
+          clockDate={campaignDate ?? null}
           geometry={geometry}
           mapData={mapData}
           canvasRef={canvasRef}
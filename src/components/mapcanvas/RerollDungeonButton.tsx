@@ -25,6 +25,7 @@ import { generateDungeon } from '../../generation/dungeonGenerator';
 import { resolveDungeonStyleColors } from '../../generation/dungeonStyleColors';
 import type { RoomLike, CorridorResult } from '../../generation/objectPlacer';
 import { stockDungeon } from '../../generation/objectPlacer';
+import { generateSeed } from '../../generation/seededRandom';
 import { ModalPortal } from '../modals/ModalPortal';
 import { Icon } from '../shared/Icon';
 import { tooltipRef } from '../shared/obsidianTooltip';
@@ -35,7 +36,7 @@ const STRUCTURAL_TYPES = new Set([
 
 const RerollDungeonButton = (): VNode | null => {
   const { mapData } = useMapState();
-  const { onCellsChange, onObjectsChange, onEdgesChange } = useMapOperations();
+  const { onCellsChange, onObjectsChange, onEdgesChange, onTextLabelsChange, onMapDataUpdate } = useMapOperations();
 
   const [showConfirm, setShowConfirm] = useState(false);
 
@@ -45,6 +46,11 @@ const RerollDungeonButton = (): VNode | null => {
   }
 
   const settings = mapData.generationSettings;
+
+  // Re-rolling one floor of a multi-level stack would break its stair alignment
+  if ((settings.levelCount ?? 1) > 1) {
+    return null;
+  }
   const hasStockingMetadata = Boolean(settings.stockingMetadata?.rooms);
 
   const handleClick = (): void => {
@@ -61,11 +67,14 @@ const RerollDungeonButton = (): VNode | null => {
       waterColor: styleColors.water,
       ...(settings.configOverrides ?? {})
     };
-    const result = generateDungeon(settings.preset, undefined, overrides);
+    // A re-roll is a new layout: draw a fresh seed and record it so this
+    // result can itself be replayed later.
+    const result = generateDungeon(settings.preset, undefined, { ...overrides, seed: generateSeed() });
+    const keyPositions = (result.metadata.lockedDoors ?? []).flatMap(lock => lock.keyPosition ? [lock.keyPosition] : []);
     const stockResult = stockDungeon(
       result.metadata.rooms,
       result.metadata.corridorResult,
-      result.metadata.doorPositions,
+      [...result.metadata.doorPositions, ...keyPositions],
       result.metadata.style ?? 'classic',
       {
         objectDensity: settings.configOverrides?.objectDensity ?? 1.0,
@@ -73,12 +82,18 @@ const RerollDungeonButton = (): VNode | null => {
         emptyWeight: settings.configOverrides?.emptyWeight,
         featureWeight: settings.configOverrides?.featureWeight,
         trapWeight: settings.configOverrides?.trapWeight,
-        useTemplates: settings.configOverrides?.useTemplates
+        useTemplates: settings.configOverrides?.useTemplates,
+        styleDefinition: settings.configOverrides?.styleDefinition,
+        stockingTables: settings.configOverrides?.stockingTables,
+        level: settings.configOverrides?.dungeonLevel,
+        seed: result.metadata.seed
       },
       {
         entryRoomId: result.metadata.entryRoomId,
         exitRoomId: result.metadata.exitRoomId,
-        waterRoomIds: result.metadata.waterRoomIds
+        waterRoomIds: result.metadata.waterRoomIds,
+        bossRoomId: result.metadata.bossRoomId,
+        roomTemplates: result.metadata.roomTemplates
       }
     );
     const allObjects = [...result.objects, ...stockResult.objects];
@@ -86,6 +101,34 @@ const RerollDungeonButton = (): VNode | null => {
     onCellsChange(result.cells, false);
     onObjectsChange(allObjects as MapObject[], false);
     onEdgesChange((result.edges ?? []) as Edge[], false);
+
+    // The old room numbers would label the wrong rooms on the new layout
+    const roomKeyLabelIds = new Set(settings.roomKeyLabelIds ?? []);
+    if (roomKeyLabelIds.size > 0) {
+      const layer = mapData.layers?.find(l => l.id === mapData.activeLayerId);
+      onTextLabelsChange((layer?.textLabels ?? []).filter(label => !roomKeyLabelIds.has(label.id)), false);
+    }
+
+    onMapDataUpdate?.({
+      generationSettings: {
+        ...settings,
+        seed: result.metadata.seed,
+        roomKeyLabelIds: undefined,
+        // Point a later objects-only re-roll at this layout's rooms and keys
+        stockingMetadata: settings.stockingMetadata && {
+          ...settings.stockingMetadata,
+          rooms: result.metadata.rooms,
+          corridorResult: result.metadata.corridorResult,
+          doorPositions: result.metadata.doorPositions,
+          entryRoomId: result.metadata.entryRoomId,
+          exitRoomId: result.metadata.exitRoomId,
+          waterRoomIds: result.metadata.waterRoomIds,
+          bossRoomId: result.metadata.bossRoomId,
+          roomTemplates: result.metadata.roomTemplates,
+          lockedDoors: result.metadata.lockedDoors
+        }
+      }
+    });
     setShowConfirm(false);
   };
 
@@ -96,16 +139,18 @@ const RerollDungeonButton = (): VNode | null => {
       return;
     }
 
-    // Get current objects and filter to keep only structural ones
+    // Get current objects and filter to keep only structural ones, plus the
+    // keys to any locked doors (they belong to the layout, not the stocking)
     const layer = mapData?.layers?.find(l => l.id === mapData.activeLayerId);
     const currentObjects = layer?.objects ?? [];
-    const structuralObjects = currentObjects.filter(obj => STRUCTURAL_TYPES.has(obj.type));
+    const keyIds = new Set((meta.lockedDoors ?? []).map(lock => lock.keyId));
+    const structuralObjects = currentObjects.filter(obj => STRUCTURAL_TYPES.has(obj.type) || keyIds.has(obj.id));
 
-    const stairPositions = structuralObjects
-      .filter(obj => obj.type === 'stairs-up' || obj.type === 'stairs-down')
+    const keptPositions = structuralObjects
+      .filter(obj => obj.type === 'stairs-up' || obj.type === 'stairs-down' || keyIds.has(obj.id))
       .map(obj => ({ x: obj.position.x, y: obj.position.y }));
 
-    const occupiedPositions = [...(meta.doorPositions ?? []), ...stairPositions];
+    const occupiedPositions = [...(meta.doorPositions ?? []), ...keptPositions];
 
     // Generate new stocking objects using saved metadata
     const stockResult = stockDungeon(
@@ -119,12 +164,17 @@ const RerollDungeonButton = (): VNode | null => {
         emptyWeight: settings.configOverrides?.emptyWeight,
         featureWeight: settings.configOverrides?.featureWeight,
         trapWeight: settings.configOverrides?.trapWeight,
-        useTemplates: settings.configOverrides?.useTemplates
+        useTemplates: settings.configOverrides?.useTemplates,
+        styleDefinition: settings.configOverrides?.styleDefinition,
+        stockingTables: settings.configOverrides?.stockingTables,
+        level: settings.configOverrides?.dungeonLevel
       },
       {
         entryRoomId: meta.entryRoomId,
         exitRoomId: meta.exitRoomId,
-        waterRoomIds: meta.waterRoomIds
+        waterRoomIds: meta.waterRoomIds,
+        bossRoomId: meta.bossRoomId,
+        roomTemplates: meta.roomTemplates
       }
     );
 
@@ -138,13 +188,14 @@ const RerollDungeonButton = (): VNode | null => {
   };
 
   const styleName = settings.configOverrides?.style ?? 'classic';
+  const seedSuffix = settings.seed != null ? `, seed ${settings.seed}` : '';
 
   return (
     <>
       <button
         className="windrose-tool-btn windrose-reroll-btn interactive-child"
         onClick={handleClick}
-        ref={tooltipRef(`Re-roll dungeon (${styleName} ${settings.preset})`)}
+        ref={tooltipRef(`Re-roll dungeon (${styleName} ${settings.preset}${seedSuffix})`)}
       >
         <Icon icon="lucide-dices" />
       </button>
@@ -8,27 +8,59 @@
  * on hover (mouse) or tap (touch) via container-level hit-testing, so routes
  * never intercept pointer events meant for the canvas. While the measure tool
  * is active, clicking a route opens a menu to edit its name/style or delete
- * it; both changes participate in undo history.
+ * it; both changes participate in undo history. With travel packs enabled,
+ * the menu also plans the route as a day-by-day journey and writes the
+ * itinerary note, and marks the route travelled: the campaign clock moves
+ * on by the travel time and fog along the route can be lifted.
  */
 
 import type { VNode } from 'preact';
 import type { ToolId } from '#types/tools/tool.types';
-import type { SavedRoute } from '#types/core/map.types';
+import type { CampaignClock, FoggedCell, SavedRoute } from '#types/core/map.types';
 import type { IGeometry, Point } from '#types/core/geometry.types';
+import type { TravelAllowance, TravelMode, TravelPack } from '#types/settings/travelPack.types';
+import type { JourneyPlanResult } from '../../travel/journeyPlanner';
+import type { JourneyPreview } from '../modals/JourneyPlanModal';
+import type { TravelRoutePreview } from '../modals/TravelRouteModal';
 
 import { useCallback, useEffect, useMemo, useRef, useState } from 'preact/hooks';
-import { Menu } from 'obsidian';
+import { Menu, Notice } from 'obsidian';
 import { formatDistance, getEffectiveDistanceSettings } from '../../drawing/distanceOperations';
 import {
+  clearRouteTravelled,
   computeSegmentDistances,
   distanceToSegment,
+  getRouteCells,
   removeSavedRoute,
   sumDistances,
   updateSavedRoute
 } from '../../drawing/routeOperations';
 import { SaveRouteModal } from '../modals/SaveRouteModal';
+import { JourneyPlanModal } from '../modals/JourneyPlanModal';
+import { TravelRouteModal } from '../modals/TravelRouteModal';
 import { getEnabledTravelPacks } from '../../travel/travelPackOperations';
-import { findTerrainById } from '../../travel/travelTimeOperations';
+import {
+  collectEnabledTerrains,
+  computeRouteTravelTime,
+  findTerrainById,
+  formatTravelTime,
+  resolveSelectedAllowance
+} from '../../travel/travelTimeOperations';
+import {
+  advanceCampaignClock,
+  createCampaignClock,
+  formatClockDate,
+  travelClockMinutes
+} from '../../travel/campaignClock';
+import { buildJourneyPlaces, formatJourneyCell, planJourney } from '../../travel/journeyPlanner';
+import {
+  buildJourneyNoteContent,
+  buildJourneyNotePath,
+  upsertJourneyNote
+} from '../../persistence/partyNoteOperations';
+import { openNoteInNewTab } from '../../persistence/noteOperations';
+import { getActiveLayer, getRenderLayers } from '../../persistence/layerAccessor';
+import { getPartyPin } from '../../objects/partyPinOperations';
 import {
   computeCounterScale,
   computeOverlayMetrics,
@@ -59,11 +91,13 @@ export interface RouteLayerProps {
   currentTool: ToolId;
   /** Persists saved-route changes (edit and deletion) */
   onSavedRoutesChange?: (routes: SavedRoute[]) => void;
+  /** Persists a route marked (or unmarked) travelled, with the moved clock and any fog lifted */
+  onRouteTravel?: (routes: SavedRoute[], clock: CampaignClock, revealed?: FoggedCell[]) => void;
 }
 
-const RouteLayer = ({ currentTool, onSavedRoutesChange }: RouteLayerProps): VNode | null => {
+const RouteLayer = ({ currentTool, onSavedRoutesChange, onRouteTravel }: RouteLayerProps): VNode | null => {
   const app = useApp();
-  const { mapData, geometry, canvasRef, screenToWorld, viewController, distanceOverrides } = useMapState();
+  const { mapData, geometry, canvasRef, screenToWorld, viewController, distanceOverrides, mapId, notePath } = useMapState();
 
   const worldGroupRef = useRef<SVGGElement | null>(null);
   const [revealedRouteId, setRevealedRouteId] = useState<string | null>(null);
@@ -189,12 +223,209 @@ const RouteLayer = ({ currentTool, onSavedRoutesChange }: RouteLayerProps): VNod
     });
   };
 
+  // Journeys can use any mode an enabled pack defines
+  const travelModes: { mode: TravelMode; pack: TravelPack }[] =
+    enabledPacks.flatMap(pack => pack.modes.map(mode => ({ mode, pack })));
+
+  const handlePlanJourney = (route: SavedRoute): void => {
+    const routeName = route.name != null && route.name !== '' ? route.name : 'Route';
+    const segmentDistances = computeSegmentDistances(route.points, geo, distanceSettings.gridDiagonalRule);
+    const places = buildJourneyPlaces(mapData, getRenderLayers(mapData), geo);
+    const terrains = collectEnabledTerrains(enabledPacks).map(entry => entry.terrain);
+    const cellName = (point: Point): string => formatJourneyCell(point, mapData.mapType, mapData.orientation);
+    const distanceLabel = (amount: number): string => formatDistance(
+      amount / distanceSettings.distancePerCell,
+      distanceSettings.distancePerCell,
+      distanceSettings.distanceUnit,
+      'units'
+    );
+
+    const plan = (modeId: string, allowanceId: string | null): {
+      result: JourneyPlanResult;
+      modeName: string;
+      allowance: TravelAllowance | null;
+    } | null => {
+      const entry = travelModes.find(candidate => candidate.mode.id === modeId);
+      if (entry == null) return null;
+      const allowance = resolveSelectedAllowance(enabledPacks, allowanceId);
+      const result = planJourney(route, {
+        geometry: geo,
+        segmentDistances,
+        distancePerCell: distanceSettings.distancePerCell,
+        mapUnit: distanceSettings.distanceUnit,
+        mode: entry.mode,
+        pack: entry.pack,
+        allowance,
+        terrains,
+        places
+      });
+      return { result, modeName: entry.mode.name, allowance };
+    };
+
+    const preview = (modeId: string, allowanceId: string | null): JourneyPreview => {
+      const planned = plan(modeId, allowanceId);
+      if (planned == null) return { ok: false, reason: 'Pick a travel mode.' };
+      const { result, allowance } = planned;
+      if (!result.ok) return result;
+      const timeLabel = (amount: number): string => formatTravelTime({ ok: true, amount, base: result.base }, allowance);
+      const dayCount = result.days.length;
+      return {
+        ok: true,
+        summary: `${dayCount} ${dayCount === 1 ? 'day' : 'days'}, ${distanceLabel(result.totalDistance)}, ${timeLabel(result.totalTime)} of travel`,
+        days: result.days.map(day => ({
+          name: `Day ${day.day}`,
+          summary: [
+            `${distanceLabel(day.distance)}, ${timeLabel(day.time)}`,
+            day.day === dayCount ? `arrive at ${cellName(day.end)}` : `camp at ${cellName(day.end)}`,
+            ...(day.regions.length > 0 ? [day.regions.join(', ')] : []),
+            ...(day.notes.length > 0 ? [`${day.notes.length} ${day.notes.length === 1 ? 'note' : 'notes'}`] : [])
+          ].join(' · ')
+        }))
+      };
+    };
+
+    // The itinerary goes next to the beacon's note when there is one,
+    // otherwise next to the note hosting the map
+    const besidePath = getPartyPin(mapData.partyPins)?.partyNote?.path ?? notePath ?? '';
+    const folder = besidePath.includes('/') ? besidePath.slice(0, besidePath.lastIndexOf('/')) : '';
+    const selectedModeId = mapData.travelSettings?.modeIds.find(id => travelModes.some(entry => entry.mode.id === id));
+
+    void new JourneyPlanModal(app, {
+      routeName,
+      modes: travelModes.map(({ mode, pack }) => ({ id: mode.id, name: enabledPacks.length > 1 ? `${mode.name} (${pack.name})` : mode.name })),
+      allowances: enabledPacks.flatMap(pack => pack.allowances.map(allowance => ({ id: allowance.id, name: allowance.name }))),
+      initial: {
+        modeId: selectedModeId ?? travelModes[0].mode.id,
+        allowanceId: mapData.travelSettings?.allowanceId ?? null,
+        folder
+      },
+      preview
+    }).openAndGetValue().then(async choices => {
+      if (choices == null) return;
+      const planned = plan(choices.modeId, choices.allowanceId);
+      if (planned == null || !planned.result.ok) return;
+      const { result, modeName, allowance } = planned;
+      const path = buildJourneyNotePath(choices.folder, routeName);
+      const content = buildJourneyNoteContent(route.id, result, {
+        mapId: mapId ?? '',
+        mapName: mapData.name ?? '',
+        mapNotePath: notePath ?? ''
+      }, {
+        routeName,
+        modeName,
+        cell: cellName,
+        time: amount => formatTravelTime({ ok: true, amount, base: result.base }, allowance),
+        distance: distanceLabel
+      });
+      const outcome = await upsertJourneyNote(app, path, route.id, content);
+      if (outcome === 'blocked') {
+        new Notice(`A note already exists at ${path} — choose another folder or rename the route.`);
+        return;
+      }
+      await openNoteInNewTab(path);
+    });
+  };
+
+  const handleTravelRoute = (route: SavedRoute): void => {
+    const routeName = route.name != null && route.name !== '' ? route.name : 'Route';
+    const multipliers = new Map(collectEnabledTerrains(enabledPacks).map(({ terrain }) => [terrain.id, terrain.multiplier]));
+    const distances = computeSegmentDistances(route.points, geo, distanceSettings.gridDiagonalRule)
+      .map(cells => cells * distanceSettings.distancePerCell);
+    const segmentMultipliers = distances.map((_, i) => {
+      const terrainId = route.segmentTerrains?.[i];
+      return terrainId != null ? multipliers.get(terrainId) ?? 1 : 1;
+    });
+    const clock = mapData.campaignClock ?? createCampaignClock();
+
+    const travel = (modeId: string, allowanceId: string | null): { minutes: number; label: string } | { reason: string } => {
+      const entry = travelModes.find(candidate => candidate.mode.id === modeId);
+      if (entry == null) return { reason: 'Pick a travel mode.' };
+      const allowance = resolveSelectedAllowance(enabledPacks, allowanceId);
+      const time = computeRouteTravelTime(distances, segmentMultipliers, distanceSettings.distanceUnit, entry.mode, entry.pack);
+      if (!time.ok) return { reason: time.reason };
+      return { minutes: travelClockMinutes(time, allowance), label: formatTravelTime(time, allowance) };
+    };
+
+    const preview = (modeId: string, allowanceId: string | null): TravelRoutePreview => {
+      const result = travel(modeId, allowanceId);
+      if ('reason' in result) return { ok: false, reason: result.reason };
+      const arrival = advanceCampaignClock(clock, result.minutes);
+      return { ok: true, summary: `${result.label} of travel: from ${formatClockDate(clock)} to ${formatClockDate(arrival)}` };
+    };
+
+    const fog = getActiveLayer(mapData).fogOfWar;
+    const hasFog = fog?.enabled === true && fog.foggedCells.length > 0;
+    const selectedModeId = mapData.travelSettings?.modeIds.find(id => travelModes.some(entry => entry.mode.id === id));
+
+    void new TravelRouteModal(app, {
+      routeName,
+      modes: travelModes.map(({ mode, pack }) => ({ id: mode.id, name: enabledPacks.length > 1 ? `${mode.name} (${pack.name})` : mode.name })),
+      allowances: enabledPacks.flatMap(pack => pack.allowances.map(allowance => ({ id: allowance.id, name: allowance.name }))),
+      initial: {
+        modeId: selectedModeId ?? travelModes[0].mode.id,
+        allowanceId: mapData.travelSettings?.allowanceId ?? null,
+        revealFog: hasFog
+      },
+      hasFog,
+      preview
+    }).openAndGetValue().then(choices => {
+      if (choices == null) return;
+      const result = travel(choices.modeId, choices.allowanceId);
+      if ('reason' in result) return;
+      const arrival = advanceCampaignClock(clock, result.minutes);
+      const revealed = hasFog && choices.revealFog
+        ? getRouteCells(route.points, geo).map(cell => geo.toOffsetCoords(cell.x, cell.y))
+        : [];
+      onRouteTravel?.(
+        updateSavedRoute(mapData.savedRoutes ?? [], route.id, {
+          travelled: { modeId: choices.modeId, minutes: result.minutes, arrivedAt: arrival.minutes }
+        }),
+        arrival,
+        revealed
+      );
+    });
+  };
+
+  const handleUnmarkTravelled = (route: SavedRoute): void => {
+    const travelled = route.travelled;
+    if (travelled == null) return;
+    const label = route.name != null && route.name !== '' ? `"${route.name}"` : 'this route';
+    const clock = mapData.campaignClock ?? createCampaignClock();
+    const rewound = advanceCampaignClock(clock, -travelled.minutes);
+    void new ConfirmModal(app, {
+      message: `Forget that the party travelled ${label}? The campaign clock winds back to ${formatClockDate(rewound)}.`,
+      confirmText: 'Unmark travelled'
+    }).openAndGetValue().then(confirmed => {
+      if (!confirmed) return;
+      onRouteTravel?.(clearRouteTravelled(mapData.savedRoutes ?? [], route.id), rewound);
+    });
+  };
+
   const handleRouteClick = (route: SavedRoute, event: MouseEvent): void => {
     const menu = new Menu();
     menu.addItem(item => item
       .setTitle('Edit route…')
       .setIcon('pencil')
       .onClick(() => handleEditRoute(route)));
+    if (travelModes.length > 0) {
+      menu.addItem(item => item
+        .setTitle('Plan journey…')
+        .setIcon('calendar-days')
+        .onClick(() => handlePlanJourney(route)));
+    }
+    if (travelModes.length > 0 && onRouteTravel != null) {
+      if (route.travelled == null) {
+        menu.addItem(item => item
+          .setTitle('Mark as travelled…')
+          .setIcon('footprints')
+          .onClick(() => handleTravelRoute(route)));
+      } else {
+        menu.addItem(item => item
+          .setTitle('Unmark travelled')
+          .setIcon('undo-2')
+          .onClick(() => handleUnmarkTravelled(route)));
+      }
+    }
     menu.addItem(item => item
       .setTitle('Delete route')
       .setIcon('trash')
@@ -233,6 +464,9 @@ const RouteLayer = ({ currentTool, onSavedRoutesChange }: RouteLayerProps): VNod
               distanceSettings.displayFormat
             ));
           }
+          if (route.travelled != null) {
+            labelParts.push(`arrived ${formatClockDate({ ...(mapData.campaignClock ?? createCampaignClock()), minutes: route.travelled.arrivedAt })}`);
+          }
           const label = labelParts.join(' · ');
           const labelAnchor = worldPoints[Math.floor(worldPoints.length / 2)];
           const revealed = route.id === revealedRouteId;
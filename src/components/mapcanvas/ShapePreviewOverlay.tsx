@@ -27,7 +27,7 @@ import { Z_INDEX } from '../../core/dmtConstants';
 
 
 /** Shape type for preview */
-type ShapeType = 'rectangle' | 'circle' | 'clearArea' | 'edgeLine';
+type ShapeType = 'rectangle' | 'circle' | 'clearArea' | 'generateArea' | 'connectSketch' | 'edgeLine';
 
 /** Props for ShapePreviewOverlay component */
 export interface ShapePreviewOverlayProps {
@@ -163,6 +163,8 @@ const ShapePreviewOverlay = ({
   const colors: Record<string, string> = {
     rectangle: '#00ff00',
     clearArea: '#ff0000',
+    generateArea: '#b57edc',
+    connectSketch: '#b57edc',
     circle: '#00aaff',
     edgeLine: '#ff9500',
     areaSelect: '#4a9eff'
@@ -176,7 +178,7 @@ const ShapePreviewOverlay = ({
   const geo = geometry;
   const md = mapData as MapData & { viewState: NonNullable<MapData['viewState']> };
 
-  if (shapeType === 'rectangle' || shapeType === 'clearArea' || shapeType === 'areaSelect') {
+  if (shapeType === 'rectangle' || shapeType === 'clearArea' || shapeType === 'generateArea' || shapeType === 'connectSketch' || shapeType === 'areaSelect') {
     const minX = Math.min(startPoint.x, endPoint.x);
     const maxX = Math.max(startPoint.x, endPoint.x);
     const minY = Math.min(startPoint.y, endPoint.y);
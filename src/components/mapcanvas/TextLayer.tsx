@@ -76,7 +76,8 @@ const TextLayer = ({
     handleRotateClick,
     handleEditClick,
     handleCanvasDoubleClick,
-    handleTextDeletion
+    handleTextDeletion,
+    handleTextGmOnlyToggle
   } = useTextLabelInteraction(currentTool, onAddCustomColor, customColors?.map(c => c.color) ?? []);
 
   useEffect(() => {
@@ -146,8 +147,9 @@ const TextLayer = ({
             onEdit: handleEditClick,
             onRotate: handleRotateClick,
             onCopyLink: handleCopyLink,
+            onGmOnlyToggle: handleTextGmOnlyToggle,
             onDelete: handleTextDeletion
-          })}
+          }, { isGmOnly: selectedItem.data?.gmOnly === true })}
           mapData={mapData}
           canvasRef={canvasRef}
           containerRef={containerRef}
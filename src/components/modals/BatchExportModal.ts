@@ -0,0 +1,177 @@
+/**
+ * BatchExportModal.ts
+ *
+ * Native Obsidian modal for exporting several boards, strata and layers in
+ * one go. Collects which layers to include (by board, by stratum or one by
+ * one), how to split them into images, what content to draw and the vault
+ * folder to write to. Resolves with the choice, or null when cancelled.
+ */
+
+import type { App, ToggleComponent } from 'obsidian';
+import type { MapData, LayerId } from '#types/core/map.types';
+import type { MapExportSelection } from '#types/core/export.types';
+import { Modal, Setting } from 'obsidian';
+import { DEFAULT_TILE_LAYERS } from '#types/tiles/tile.types';
+import { DEFAULT_BOARD_ID, getBoardsOrdered, getBoardLayers } from '../../persistence/layerAccessor';
+
+interface BatchExportChoice {
+  selection: MapExportSelection;
+  /** Vault folder for the images */
+  folder: string;
+}
+
+class BatchExportModal extends Modal {
+  private mapData: MapData;
+  private chosen: MapExportSelection;
+  private folder: string;
+  private layerToggles = new Map<LayerId, ToggleComponent>();
+  private resolved = false;
+  private resolvePromise!: (value: BatchExportChoice | null) => void;
+
+  constructor(app: App, mapData: MapData) {
+    super(app);
+    this.mapData = mapData;
+    this.chosen = {
+      layerIds: mapData.layers.map(layer => layer.id),
+      grouping: mapData.layerMode === 'strata' ? 'board' : 'layer',
+      includeFog: false,
+      includeObjects: true,
+      includeLabels: true
+    };
+    this.folder = `${mapData.name ?? 'Map'} export`;
+  }
+
+  onOpen(): void {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl('h3', { text: 'Export boards and layers' });
+
+    const boards = getBoardsOrdered(this.mapData);
+    const boardList = boards.length > 0 ? boards : [{ id: DEFAULT_BOARD_ID, name: 'Layers' }];
+    for (const board of boardList) {
+      const layers = getBoardLayers(this.mapData, board.id);
+      if (layers.length === 0) continue;
+
+      new Setting(contentEl)
+        .setName(board.name)
+        .setHeading()
+        .addExtraButton(button => button
+          .setIcon('check-square')
+          .setTooltip('Select all on this board')
+          .onClick(() => this.setLayers(layers.map(layer => layer.id), true)))
+        .addExtraButton(button => button
+          .setIcon('square')
+          .setTooltip('Clear this board')
+          .onClick(() => this.setLayers(layers.map(layer => layer.id), false)));
+
+      for (const layer of [...layers].reverse()) {
+        const role = DEFAULT_TILE_LAYERS.find(entry => entry.role === layer.tileRole);
+        const setting = new Setting(contentEl).setName(layer.name);
+        if (role != null) setting.setDesc(`${role.name} stratum`);
+        setting.addToggle(toggle => {
+          this.layerToggles.set(layer.id, toggle);
+          toggle.setValue(this.chosen.layerIds.includes(layer.id));
+          toggle.onChange(value => this.setLayers([layer.id], value));
+        });
+      }
+    }
+
+    // Strata cut across boards: terrain only, say, on every floor
+    const roles = DEFAULT_TILE_LAYERS.filter(entry => this.mapData.layers.some(layer => layer.tileRole === entry.role));
+    if (roles.length > 0) {
+      const strata = new Setting(contentEl)
+        .setName('Strata')
+        .setDesc('Select or clear one stratum on every board');
+      for (const role of roles) {
+        const ids = this.mapData.layers.filter(layer => layer.tileRole === role.role).map(layer => layer.id);
+        strata.addButton(button => button
+          .setButtonText(role.name)
+          .onClick(() => this.setLayers(ids, !ids.every(id => this.chosen.layerIds.includes(id)))));
+      }
+    }
+
+    new Setting(contentEl).setName('Output').setHeading();
+
+    new Setting(contentEl)
+      .setName('Images')
+      .setDesc('Stack each board’s chosen layers into one image, or save every layer on its own')
+      .addDropdown(dropdown => {
+        dropdown.addOption('board', 'One per board');
+        dropdown.addOption('layer', 'One per layer');
+        dropdown.setValue(this.chosen.grouping);
+        dropdown.onChange(value => { this.chosen.grouping = value as MapExportSelection['grouping']; });
+      });
+
+    new Setting(contentEl)
+      .setName('Fog of war')
+      .addToggle(toggle => {
+        toggle.setValue(this.chosen.includeFog);
+        toggle.onChange(value => { this.chosen.includeFog = value; });
+      });
+
+    new Setting(contentEl)
+      .setName('Objects')
+      .addToggle(toggle => {
+        toggle.setValue(this.chosen.includeObjects);
+        toggle.onChange(value => { this.chosen.includeObjects = value; });
+      });
+
+    new Setting(contentEl)
+      .setName('Text labels')
+      .addToggle(toggle => {
+        toggle.setValue(this.chosen.includeLabels);
+        toggle.onChange(value => { this.chosen.includeLabels = value; });
+      });
+
+    new Setting(contentEl)
+      .setName('Folder')
+      .setDesc('Vault folder for the images; files with the same names are replaced')
+      .addText(text => {
+        text.setValue(this.folder);
+        text.onChange(value => { this.folder = value; });
+      });
+
+    const buttons = contentEl.createDiv({ cls: 'windrose-modal-buttons' });
+
+    const cancelBtn = buttons.createEl('button', { text: 'Cancel' });
+    cancelBtn.onclick = (): void => {
+      this.resolved = true;
+      this.resolvePromise(null);
+      this.close();
+    };
+
+    const exportBtn = buttons.createEl('button', { text: 'Export', cls: 'mod-cta' });
+    exportBtn.onclick = (): void => {
+      this.resolved = true;
+      this.resolvePromise({ selection: { ...this.chosen }, folder: this.folder });
+      this.close();
+    };
+  }
+
+  onClose(): void {
+    this.contentEl.empty();
+    if (!this.resolved && this.resolvePromise != null) {
+      this.resolvePromise(null);
+    }
+  }
+
+  openAndGetValue(): Promise<BatchExportChoice | null> {
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      this.open();
+    });
+  }
+
+  private setLayers(ids: LayerId[], selected: boolean): void {
+    const chosen = new Set(this.chosen.layerIds);
+    for (const id of ids) {
+      if (selected) chosen.add(id);
+      else chosen.delete(id);
+      this.layerToggles.get(id)?.setValue(selected);
+    }
+    this.chosen.layerIds = this.mapData.layers.map(layer => layer.id).filter(id => chosen.has(id));
+  }
+}
+
+export { BatchExportModal };
+export type { BatchExportChoice };
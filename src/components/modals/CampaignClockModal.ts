@@ -0,0 +1,186 @@
+/**
+ * CampaignClockModal.ts
+ *
+ * Native Obsidian modal for the map's campaign clock: set the current date
+ * and time, nudge it forward (an hour, a night's rest, a day), and edit the
+ * calendar's months. Resolves with the edited clock, or null when cancelled.
+ */
+
+import type { App } from 'obsidian';
+import type { CampaignClock } from '#types/core/map.types';
+import type { ClockDate } from '../../travel/campaignClock';
+import { Modal, Setting } from 'obsidian';
+import {
+  advanceCampaignClock,
+  clockMinutesFromDate,
+  createCampaignClock,
+  formatCalendarMonths,
+  formatClockDate,
+  getClockDate,
+  MINUTES_PER_DAY,
+  parseCalendarMonths
+} from '../../travel/campaignClock';
+
+/** Quick steps forward from the current reading */
+const ADVANCE_STEPS: { label: string; minutes: number }[] = [
+  { label: '+1 h', minutes: 60 },
+  { label: '+8 h', minutes: 8 * 60 },
+  { label: '+1 day', minutes: MINUTES_PER_DAY }
+];
+
+class CampaignClockModal extends Modal {
+  private clock: CampaignClock;
+  /** Holds the reading and its fields, rebuilt on every change */
+  private dateEl: HTMLElement | null = null;
+  private resolved = false;
+  private resolvePromise!: (value: CampaignClock | null) => void;
+
+  /** @param clock - The map's clock; null starts a new one */
+  constructor(app: App, clock: CampaignClock | null) {
+    super(app);
+    this.clock = clock != null ? { ...clock } : createCampaignClock();
+  }
+
+  onOpen(): void {
+    this.render();
+  }
+
+  /** Re-set the clock from one edited date field */
+  private setDateField(patch: Partial<ClockDate>): void {
+    const date = { ...getClockDate(this.clock), ...patch };
+    this.clock = { ...this.clock, minutes: clockMinutesFromDate(this.clock.months ?? [], date) };
+    this.renderDate();
+  }
+
+  private render(): void {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl('h3', { text: 'Campaign clock' });
+    this.dateEl = contentEl.createDiv();
+    this.renderDate();
+
+    new Setting(contentEl)
+      .setName('Calendar months')
+      .setDesc('One month per line, its number of days after a comma. Leave empty to count plain days.')
+      .addTextArea(area => {
+        area.setValue(formatCalendarMonths(this.clock.months ?? []));
+        area.setPlaceholder('Deepwinter, 30');
+        area.inputEl.rows = 6;
+        area.inputEl.spellcheck = false;
+        area.onChange(value => {
+          const parsed = parseCalendarMonths(value);
+          const next: CampaignClock = { minutes: this.clock.minutes };
+          if (parsed.length > 0) next.months = parsed;
+          this.clock = next;
+          this.renderDate();
+        });
+      });
+
+    const buttons = contentEl.createDiv({ cls: 'windrose-modal-buttons' });
+    const cancelBtn = buttons.createEl('button', { text: 'Cancel' });
+    cancelBtn.onclick = (): void => {
+      this.resolved = true;
+      this.resolvePromise(null);
+      this.close();
+    };
+
+    const saveBtn = buttons.createEl('button', { text: 'Save', cls: 'mod-cta' });
+    saveBtn.onclick = (): void => {
+      this.resolved = true;
+      this.resolvePromise({ ...this.clock });
+      this.close();
+    };
+  }
+
+  private renderDate(): void {
+    const containerEl = this.dateEl;
+    if (containerEl == null) return;
+    containerEl.empty();
+
+    const date = getClockDate(this.clock);
+    const months = this.clock.months ?? [];
+    new Setting(containerEl).setHeading().setName(formatClockDate(this.clock));
+
+    const parseNumber = (value: string): number | null => {
+      const parsed = parseInt(value, 10);
+      return Number.isFinite(parsed) ? parsed : null;
+    };
+
+    const dateRow = new Setting(containerEl).setName('Date');
+    if (date.year != null && date.month != null) {
+      dateRow.addText(text => {
+        text.setValue(String(date.day));
+        text.inputEl.type = 'number';
+        text.inputEl.min = '1';
+        text.inputEl.addEventListener('change', () => {
+          const day = parseNumber(text.getValue());
+          if (day != null) this.setDateField({ day });
+        });
+      });
+      dateRow.addDropdown(dropdown => {
+        for (const [index, month] of months.entries()) {
+          dropdown.addOption(String(index), month.name);
+        }
+        dropdown.setValue(String(date.month));
+        dropdown.onChange(value => this.setDateField({ month: parseInt(value, 10) }));
+      });
+      dateRow.addText(text => {
+        text.setValue(String(date.year));
+        text.inputEl.type = 'number';
+        text.inputEl.min = '1';
+        text.inputEl.addEventListener('change', () => {
+          const year = parseNumber(text.getValue());
+          if (year != null) this.setDateField({ year });
+        });
+      });
+    } else {
+      dateRow.setDesc('Day of the campaign');
+      dateRow.addText(text => {
+        text.setValue(String(date.day));
+        text.inputEl.type = 'number';
+        text.inputEl.min = '1';
+        text.inputEl.addEventListener('change', () => {
+          const day = parseNumber(text.getValue());
+          if (day != null) this.setDateField({ day });
+        });
+      });
+    }
+
+    new Setting(containerEl)
+      .setName('Time')
+      .addText(text => {
+        text.inputEl.type = 'time';
+        text.setValue(`${String(date.hour).padStart(2, '0')}:${String(date.minute).padStart(2, '0')}`);
+        text.inputEl.addEventListener('change', () => {
+          const [hour, minute] = text.getValue().split(':').map(part => parseInt(part, 10));
+          if (Number.isFinite(hour) && Number.isFinite(minute)) this.setDateField({ hour, minute });
+        });
+      });
+
+    const advanceRow = new Setting(containerEl).setName('Advance');
+    for (const step of ADVANCE_STEPS) {
+      advanceRow.addButton(button => button
+        .setButtonText(step.label)
+        .onClick(() => {
+          this.clock = advanceCampaignClock(this.clock, step.minutes);
+          this.renderDate();
+        }));
+    }
+  }
+
+  onClose(): void {
+    this.contentEl.empty();
+    if (!this.resolved && this.resolvePromise != null) {
+      this.resolvePromise(null);
+    }
+  }
+
+  openAndGetValue(): Promise<CampaignClock | null> {
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      this.open();
+    });
+  }
+}
+
+export { CampaignClockModal };
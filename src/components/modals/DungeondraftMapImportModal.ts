@@ -0,0 +1,139 @@
+/**
+ * DungeondraftMapImportModal.ts
+ *
+ * Native Obsidian modal for importing a .dungeondraft_map file. Reads the
+ * picked file, resolves its art against the installed content packs and
+ * previews the import report (what came across and what could not) before
+ * anything is written. Resolves with the converted map, or null when
+ * cancelled.
+ */
+
+import type { App, TextComponent } from 'obsidian';
+import type { InstalledPack } from '#types/content-packs/contentPack.types';
+import type { DdMapImportResult } from '../../content-packs/ddMapImport';
+import { Modal, Setting } from 'obsidian';
+import {
+  parseDungeondraftMap,
+  convertDungeondraftMap,
+  listReferencedPacks,
+  loadDdPackTiles,
+  summarizeDdImport,
+  describeUnmapped
+} from '../../content-packs/ddMapImport';
+
+class DungeondraftMapImportModal extends Modal {
+  private installedPacks: InstalledPack[];
+  private distancePerCell: number;
+  private mapName = '';
+  private result: DdMapImportResult | null = null;
+  private resolved = false;
+  private resolvePromise!: (value: DdMapImportResult | null) => void;
+
+  constructor(app: App, installedPacks: InstalledPack[], distancePerCell: number) {
+    super(app);
+    this.installedPacks = installedPacks;
+    this.distancePerCell = distancePerCell;
+  }
+
+  onOpen(): void {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl('h3', { text: 'Import Dungeondraft map' });
+    contentEl.createEl('p', {
+      text: 'Each level becomes a board. Art is taken from installed Dungeondraft packs; Dungeondraft\'s built-in assets are not available.',
+      cls: 'setting-item-description'
+    });
+
+    const fileInput = contentEl.createEl('input', {
+      type: 'file',
+      attr: { accept: '.dungeondraft_map' }
+    });
+
+    let nameInput: TextComponent | null = null;
+    new Setting(contentEl)
+      .setName('Map name')
+      .addText(text => {
+        nameInput = text;
+        text.onChange(value => { this.mapName = value; });
+      });
+
+    const reportEl = contentEl.createDiv({ cls: 'windrose-import-preview' });
+    reportEl.hide();
+
+    const buttons = contentEl.createDiv({ cls: 'windrose-modal-buttons' });
+    const cancelBtn = buttons.createEl('button', { text: 'Cancel' });
+    cancelBtn.onclick = (): void => {
+      this.resolved = true;
+      this.resolvePromise(null);
+      this.close();
+    };
+
+    const importBtn = buttons.createEl('button', { text: 'Import', cls: 'mod-cta' });
+    importBtn.disabled = true;
+    importBtn.onclick = (): void => {
+      if (this.result == null) return;
+      const name = this.mapName.trim() !== '' ? this.mapName.trim() : 'Dungeondraft map';
+      this.resolved = true;
+      this.resolvePromise({ ...this.result, mapData: { ...this.result.mapData, name } });
+      this.close();
+    };
+
+    fileInput.addEventListener('change', () => { void (async () => {
+      const file = fileInput.files?.[0];
+      if (file == null) return;
+      this.result = null;
+      importBtn.disabled = true;
+      reportEl.empty();
+      reportEl.show();
+
+      try {
+        const text = await file.text();
+        const map = parseDungeondraftMap(text);
+        const packs = await loadDdPackTiles(this.app, this.installedPacks, listReferencedPacks(text));
+
+        if (this.mapName.trim() === '') {
+          this.mapName = file.name.replace(/\.dungeondraft_map$/i, '');
+          nameInput?.setValue(this.mapName);
+        }
+        this.result = convertDungeondraftMap(map, { name: this.mapName, packs, distancePerCell: this.distancePerCell });
+        this.renderReport(reportEl, this.result);
+        importBtn.disabled = this.result.report.boards === 0;
+      } catch (err: unknown) {
+        console.error('[DungeondraftMapImport] Could not read map:', err);
+        reportEl.createEl('p', {
+          text: `Error reading file: ${(err as Error).message}`,
+          cls: 'windrose-import-error'
+        });
+      }
+    })(); });
+  }
+
+  onClose(): void {
+    this.contentEl.empty();
+    if (!this.resolved && this.resolvePromise != null) {
+      this.resolvePromise(null);
+    }
+  }
+
+  openAndGetValue(): Promise<DdMapImportResult | null> {
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      this.open();
+    });
+  }
+
+  private renderReport(el: HTMLElement, result: DdMapImportResult): void {
+    const { report } = result;
+    const summary = summarizeDdImport(report);
+    el.createEl('p', { text: summary !== '' ? `Imports ${summary}.` : 'Nothing in this map can be imported.' });
+    if (report.unmapped.length === 0) return;
+
+    el.createEl('p', { text: 'Left out or changed:' });
+    const list = el.createEl('ul');
+    for (const item of report.unmapped) {
+      list.createEl('li', { text: describeUnmapped(item) });
+    }
+  }
+}
+
+export { DungeondraftMapImportModal };
@@ -0,0 +1,145 @@
+/**
+ * JourneyPlanModal.ts
+ *
+ * Native Obsidian modal previewing a saved route as a day-by-day journey.
+ * The travel mode and daily allowance can be switched (the preview follows)
+ * and the itinerary note's folder chosen. Resolves with the choices when
+ * the note should be written, or null when cancelled.
+ */
+
+import type { App } from 'obsidian';
+import { Modal, Setting } from 'obsidian';
+
+/** A selectable travel mode or allowance */
+interface JourneyChoice {
+  id: string;
+  name: string;
+}
+
+/** One previewed day: the row's name and its summary */
+interface JourneyPreviewDay {
+  name: string;
+  summary: string;
+}
+
+/** Preview for a mode/allowance pair: the days, or why there are none */
+type JourneyPreview = { ok: true; summary: string; days: JourneyPreviewDay[] } | { ok: false; reason: string };
+
+interface JourneyPlanChoices {
+  modeId: string;
+  /** null when no allowance is picked */
+  allowanceId: string | null;
+  folder: string;
+}
+
+interface JourneyPlanModalConfig {
+  routeName: string;
+  modes: JourneyChoice[];
+  allowances: JourneyChoice[];
+  initial: JourneyPlanChoices;
+  /** Plans the route for the picked mode and allowance */
+  preview: (modeId: string, allowanceId: string | null) => JourneyPreview;
+}
+
+class JourneyPlanModal extends Modal {
+  private config: JourneyPlanModalConfig;
+  private choices: JourneyPlanChoices;
+  private resolved = false;
+  private resolvePromise!: (value: JourneyPlanChoices | null) => void;
+
+  constructor(app: App, config: JourneyPlanModalConfig) {
+    super(app);
+    this.config = config;
+    this.choices = { ...config.initial };
+  }
+
+  onOpen(): void {
+    this.render();
+  }
+
+  private render(): void {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl('h3', { text: `Journey: ${this.config.routeName}` });
+
+    new Setting(contentEl)
+      .setName('Travel mode')
+      .addDropdown(dropdown => {
+        for (const mode of this.config.modes) {
+          dropdown.addOption(mode.id, mode.name);
+        }
+        dropdown.setValue(this.choices.modeId);
+        dropdown.onChange(value => {
+          this.choices.modeId = value;
+          this.render();
+        });
+      });
+
+    new Setting(contentEl)
+      .setName('Daily allowance')
+      .setDesc('How much travel makes a day for modes timed in hours')
+      .addDropdown(dropdown => {
+        dropdown.addOption('', 'None');
+        for (const allowance of this.config.allowances) {
+          dropdown.addOption(allowance.id, allowance.name);
+        }
+        dropdown.setValue(this.choices.allowanceId ?? '');
+        dropdown.onChange(value => {
+          this.choices.allowanceId = value === '' ? null : value;
+          this.render();
+        });
+      });
+
+    const preview = this.config.preview(this.choices.modeId, this.choices.allowanceId);
+    if (preview.ok) {
+      new Setting(contentEl).setHeading().setName('Itinerary').setDesc(preview.summary);
+      for (const day of preview.days) {
+        new Setting(contentEl).setName(day.name).setDesc(day.summary);
+      }
+    } else {
+      new Setting(contentEl).setHeading().setName('Itinerary').setDesc(preview.reason);
+    }
+
+    new Setting(contentEl)
+      .setName('Note folder')
+      .setDesc('The itinerary is written as "<route> - Journey" in this folder')
+      .addText(text => {
+        text.setValue(this.choices.folder);
+        text.setPlaceholder('Vault root');
+        text.onChange(value => { this.choices.folder = value.trim(); });
+      });
+
+    const buttons = contentEl.createDiv({ cls: 'windrose-modal-buttons' });
+    const cancelBtn = buttons.createEl('button', { text: 'Cancel' });
+    cancelBtn.onclick = (): void => {
+      this.resolved = true;
+      this.resolvePromise(null);
+      this.close();
+    };
+
+    const writeBtn = buttons.createEl('button', { text: 'Write note', cls: 'mod-cta' });
+    writeBtn.disabled = !preview.ok;
+    writeBtn.onclick = (): void => {
+      this.resolved = true;
+      this.resolvePromise({ ...this.choices });
+      this.close();
+    };
+  }
+
+  onClose(): void {
+    this.contentEl.empty();
+    if (!this.resolved && this.resolvePromise != null) {
+      this.resolvePromise(null);
+    }
+  }
+
+  openAndGetValue(): Promise<JourneyPlanChoices | null> {
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      this.open();
+    });
+  }
+}
+
+export { JourneyPlanModal };
+export type { JourneyPlanChoices, JourneyPreview, JourneyPreviewDay };
@@ -0,0 +1,130 @@
+/**
+ * TerrainRulesModal.ts
+ *
+ * Native Obsidian modal for a map's own terrain rules: which region tags,
+ * tile categories and painted cell colors stand for which travel terrain on
+ * this map. They are checked before the enabled travel packs' rules.
+ * Resolves with the edited list, or null when cancelled.
+ */
+
+import type { App } from 'obsidian';
+import type { TerrainRule, TerrainRuleSource } from '#types/settings/travelPack.types';
+import { Modal, Setting } from 'obsidian';
+import { createTerrainRule } from '../../travel/travelPackOperations';
+
+/** A terrain a rule can point at */
+interface TerrainRuleTarget {
+  id: string;
+  name: string;
+}
+
+const RULE_SOURCES: { value: TerrainRuleSource; label: string; placeholder: string }[] = [
+  { value: 'regionTag', label: 'Region tag', placeholder: 'Tag' },
+  { value: 'tileCategory', label: 'Tile category', placeholder: 'Category' },
+  { value: 'cellColor', label: 'Cell color', placeholder: '#4a7c3f' }
+];
+
+class TerrainRulesModal extends Modal {
+  private rules: TerrainRule[];
+  private terrains: TerrainRuleTarget[];
+  private resolved = false;
+  private resolvePromise!: (value: TerrainRule[] | null) => void;
+
+  constructor(app: App, rules: TerrainRule[], terrains: TerrainRuleTarget[]) {
+    super(app);
+    this.rules = rules.map(rule => ({ ...rule }));
+    this.terrains = terrains;
+  }
+
+  onOpen(): void {
+    this.render();
+  }
+
+  private render(): void {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl('h3', { text: 'Terrain rules for this map' });
+
+    const heading = new Setting(contentEl)
+      .setDesc('Route segments crossing a tagged region, a tile category or a painted color get its terrain. These rules come before the travel packs’ own.');
+    if (this.terrains.length > 0) {
+      heading.addExtraButton(btn => btn
+        .setIcon('plus')
+        .setTooltip('Add rule')
+        .onClick(() => {
+          this.rules.push(createTerrainRule({ terrainId: this.terrains[0].id }));
+          this.render();
+        }));
+    }
+
+    for (const rule of this.rules) {
+      const source = RULE_SOURCES.find(entry => entry.value === rule.source) ?? RULE_SOURCES[0];
+      const row = new Setting(contentEl);
+      row.addDropdown(dropdown => {
+        for (const entry of RULE_SOURCES) {
+          dropdown.addOption(entry.value, entry.label);
+        }
+        dropdown.setValue(rule.source);
+        dropdown.onChange(value => {
+          // Options come from RULE_SOURCES, so the cast is sound
+          rule.source = value as TerrainRuleSource;
+          this.render();
+        });
+      });
+      row.addText(text => {
+        text.setValue(rule.value);
+        text.setPlaceholder(source.placeholder);
+        text.onChange(value => { rule.value = value.trim(); });
+      });
+      row.addDropdown(dropdown => {
+        for (const terrain of this.terrains) {
+          dropdown.addOption(terrain.id, terrain.name);
+        }
+        // A rule whose terrain's pack was disabled keeps its id until changed
+        if (!this.terrains.some(terrain => terrain.id === rule.terrainId)) {
+          dropdown.addOption(rule.terrainId, '(pack disabled)');
+        }
+        dropdown.setValue(rule.terrainId);
+        dropdown.onChange(value => { rule.terrainId = value; });
+      });
+      row.addExtraButton(btn => btn
+        .setIcon('trash-2')
+        .setTooltip('Remove rule')
+        .onClick(() => {
+          this.rules = this.rules.filter(entry => entry.id !== rule.id);
+          this.render();
+        }));
+    }
+
+    const buttons = contentEl.createDiv({ cls: 'windrose-modal-buttons' });
+    const cancelBtn = buttons.createEl('button', { text: 'Cancel' });
+    cancelBtn.onclick = (): void => {
+      this.resolved = true;
+      this.resolvePromise(null);
+      this.close();
+    };
+
+    const saveBtn = buttons.createEl('button', { text: 'Save', cls: 'mod-cta' });
+    saveBtn.onclick = (): void => {
+      this.resolved = true;
+      this.resolvePromise(this.rules.filter(rule => rule.value !== ''));
+      this.close();
+    };
+  }
+
+  onClose(): void {
+    this.contentEl.empty();
+    if (!this.resolved && this.resolvePromise != null) {
+      this.resolvePromise(null);
+    }
+  }
+
+  openAndGetValue(): Promise<TerrainRule[] | null> {
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      this.open();
+    });
+  }
+}
+
+export { TerrainRulesModal };
@@ -0,0 +1,134 @@
+/**
+ * TravelRouteModal.ts
+ *
+ * Native Obsidian modal for marking a saved route as travelled. The travel
+ * mode and daily allowance can be switched (the preview of the time taken
+ * and the clock's new reading follows), and fog along the route can be
+ * lifted. Resolves with the choices, or null when cancelled.
+ */
+
+import type { App } from 'obsidian';
+import { Modal, Setting } from 'obsidian';
+
+/** A selectable travel mode or allowance */
+interface TravelRouteChoice {
+  id: string;
+  name: string;
+}
+
+/** Preview for a mode/allowance pair: what travelling does, or why it can't */
+type TravelRoutePreview = { ok: true; summary: string } | { ok: false; reason: string };
+
+interface TravelRouteChoices {
+  modeId: string;
+  /** null when no allowance is picked */
+  allowanceId: string | null;
+  /** Lift fog from the cells along the route */
+  revealFog: boolean;
+}
+
+interface TravelRouteModalConfig {
+  routeName: string;
+  modes: TravelRouteChoice[];
+  allowances: TravelRouteChoice[];
+  initial: TravelRouteChoices;
+  /** Whether the active layer has fog to lift */
+  hasFog: boolean;
+  /** Times the route for the picked mode and allowance */
+  preview: (modeId: string, allowanceId: string | null) => TravelRoutePreview;
+}
+
+class TravelRouteModal extends Modal {
+  private config: TravelRouteModalConfig;
+  private choices: TravelRouteChoices;
+  private resolved = false;
+  private resolvePromise!: (value: TravelRouteChoices | null) => void;
+
+  constructor(app: App, config: TravelRouteModalConfig) {
+    super(app);
+    this.config = config;
+    this.choices = { ...config.initial };
+  }
+
+  onOpen(): void {
+    this.render();
+  }
+
+  private render(): void {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl('h3', { text: `Travel: ${this.config.routeName}` });
+
+    new Setting(contentEl)
+      .setName('Travel mode')
+      .addDropdown(dropdown => {
+        for (const mode of this.config.modes) {
+          dropdown.addOption(mode.id, mode.name);
+        }
+        dropdown.setValue(this.choices.modeId);
+        dropdown.onChange(value => {
+          this.choices.modeId = value;
+          this.render();
+        });
+      });
+
+    new Setting(contentEl)
+      .setName('Daily allowance')
+      .setDesc('Once a day\'s travel is spent the party camps, and the clock runs on to the next day')
+      .addDropdown(dropdown => {
+        dropdown.addOption('', 'None');
+        for (const allowance of this.config.allowances) {
+          dropdown.addOption(allowance.id, allowance.name);
+        }
+        dropdown.setValue(this.choices.allowanceId ?? '');
+        dropdown.onChange(value => {
+          this.choices.allowanceId = value === '' ? null : value;
+          this.render();
+        });
+      });
+
+    if (this.config.hasFog) {
+      new Setting(contentEl)
+        .setName('Lift fog along the route')
+        .addToggle(toggle => toggle
+          .setValue(this.choices.revealFog)
+          .onChange(value => { this.choices.revealFog = value; }));
+    }
+
+    const preview = this.config.preview(this.choices.modeId, this.choices.allowanceId);
+    new Setting(contentEl).setHeading().setName('Campaign clock').setDesc(preview.ok ? preview.summary : preview.reason);
+
+    const buttons = contentEl.createDiv({ cls: 'windrose-modal-buttons' });
+    const cancelBtn = buttons.createEl('button', { text: 'Cancel' });
+    cancelBtn.onclick = (): void => {
+      this.resolved = true;
+      this.resolvePromise(null);
+      this.close();
+    };
+
+    const travelBtn = buttons.createEl('button', { text: 'Mark travelled', cls: 'mod-cta' });
+    travelBtn.disabled = !preview.ok;
+    travelBtn.onclick = (): void => {
+      this.resolved = true;
+      this.resolvePromise({ ...this.choices });
+      this.close();
+    };
+  }
+
+  onClose(): void {
+    this.contentEl.empty();
+    if (!this.resolved && this.resolvePromise != null) {
+      this.resolvePromise(null);
+    }
+  }
+
+  openAndGetValue(): Promise<TravelRouteChoices | null> {
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      this.open();
+    });
+  }
+}
+
+export { TravelRouteModal };
+export type { TravelRouteChoices, TravelRoutePreview };
@@ -5,7 +5,7 @@
  * measured. Sits statically at the top-center of the canvas container (the
  * route's live end chases the cursor, so anchoring to it would too) and
  * offers the editing affordances touch input needs on-screen:
- * remove last waypoint, clear all, and save-as-route.
+ * remove last waypoint, clear all, find fastest route and save-as-route.
  *
  * When enabled travel packs offer travel modes, the card grows a Travel
  * block: live travel times for the map's selected modes (explicit guidance
@@ -59,9 +59,13 @@ interface MeasurementControlsProps {
   onAllowanceChange?: (allowanceId: string | null) => void;
   /** Store the current selection as the global default for new/unset maps */
   onSetAsDefault?: () => void;
+  /** Open this map's terrain rules */
+  onEditTerrainRules?: () => void;
   onRemoveLast: () => void;
   onClear: () => void;
   onSaveRoute: () => void;
+  /** Replace the route with the fastest one from its first to its last waypoint */
+  onFindRoute?: () => void;
 }
 
 const MeasurementControls = ({
@@ -74,9 +78,11 @@ const MeasurementControls = ({
   onToggleMode,
   onAllowanceChange,
   onSetAsDefault,
+  onEditTerrainRules,
   onRemoveLast,
   onClear,
-  onSaveRoute
+  onSaveRoute,
+  onFindRoute
 }: MeasurementControlsProps): VNode | null => {
   const [travelExpanded, setTravelExpanded] = useState(false);
 
@@ -116,6 +122,18 @@ const MeasurementControls = ({
           >
             <Icon icon="lucide-x" size={14} />
           </button>
+          {onFindRoute != null && (
+            <button
+              type="button"
+              className="windrose-measure-controls-btn"
+              ref={tooltipRef(canSave ? 'Find fastest route from first to last waypoint' : 'Add a destination to find the fastest route')}
+              aria-label="Find fastest route"
+              disabled={!canSave}
+              onClick={onFindRoute}
+            >
+              <Icon icon="lucide-signpost" size={14} />
+            </button>
+          )}
           <button
             type="button"
             className="windrose-measure-controls-btn windrose-measure-controls-save"
@@ -188,6 +206,18 @@ const MeasurementControls = ({
                     </select>
                   </label>
                 )}
+                {onEditTerrainRules != null && (
+                  <button
+                    type="button"
+                    className="windrose-measure-controls-travel-toggle"
+                    ref={tooltipRef('Map region tags, tile categories and colors to terrains on this map')}
+                    aria-label="Terrain rules for this map"
+                    onClick={onEditTerrainRules}
+                  >
+                    <Icon icon="lucide-map" size={12} />
+                    <span>Terrain rules for this map</span>
+                  </button>
+                )}
                 {onSetAsDefault != null && (
                   <button
                     type="button"
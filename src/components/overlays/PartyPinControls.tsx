@@ -5,7 +5,7 @@
  * is active. Anchors near the pin via usePartyPinCardPosition (flip
  * above/below, edge clamping, gesture-hide) and the selection-card visual
  * language. The collapsible sections (filters & related, beacon note,
- * nearby results) live in PartyPinControlsSections.
+ * travel trail, nearby results) live in PartyPinControlsSections.
  *
  * Range input validates at commit time: zero, negative, or non-numeric
  * values are rejected with visible feedback and never reach map data.
@@ -21,6 +21,7 @@ import type { PartyRangeResults } from '../../objects/partyRangeQuery';
 
 import {
   isValidRange,
+  clearPartyPinTrail,
   removePartyPin,
   updatePartyPin,
   resolvePinIconGlyph,
@@ -36,6 +37,7 @@ import { tooltipRef } from '../shared/obsidianTooltip';
 import {
   PartyPinControlsFilters,
   PartyPinControlsNote,
+  PartyPinControlsTrail,
   PartyPinControlsNearby,
   commitOnEnter
 } from './PartyPinControlsSections';
@@ -51,6 +53,12 @@ interface PartyPinControlsProps {
   travelLabelFor?: (distanceInCells: number) => string | null;
   /** One explicit unit-guidance line when a selected travel mode cannot compute */
   travelHint?: string | null;
+  /** Total trail distance, formatted; null with no recorded moves */
+  trailDistance?: string | null;
+  /** Trail time at the selected travel modes; null when none computes */
+  trailTravel?: string | null;
+  /** The map's campaign clock reading, dating new moves; null without a clock */
+  clockDate?: string | null;
   geometry: IGeometry | null;
   mapData: MapData | null;
   canvasRef: RefObject<HTMLCanvasElement> | null;
@@ -76,6 +84,9 @@ const PartyPinControls = ({
   results,
   travelLabelFor,
   travelHint,
+  trailDistance = null,
+  trailTravel = null,
+  clockDate = null,
   geometry,
   mapData,
   canvasRef,
@@ -294,6 +305,15 @@ const PartyPinControls = ({
           onCreatePartyNote={onCreatePartyNote}
         />
 
+        <PartyPinControlsTrail
+          pin={pin}
+          updatePin={updatePin}
+          distance={trailDistance}
+          travel={trailTravel}
+          clockDate={clockDate}
+          onClearTrail={() => onPartyPinsChange(clearPartyPinTrail(partyPins, pin.id))}
+        />
+
         <PartyPinControlsNearby
           results={results}
           travelLabelFor={travelLabelFor}
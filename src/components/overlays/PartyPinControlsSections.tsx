@@ -3,7 +3,8 @@
  *
  * The beacon controls card's collapsible sections, extracted from
  * PartyPinControls: filters & related (layer scope, tag/prop filters,
- * related mode), the beacon note block, and the nearby-results list.
+ * related mode), the beacon note block, the travel trail, and the
+ * nearby-results list.
  * Each section owns its own draft state; committed changes flow up
  * through a single `updatePin` callback so sections never touch the
  * pins array directly. Markup is verbatim from the original card —
@@ -228,6 +229,93 @@ const PartyPinControlsNote = ({ pin, updatePin, onOpenPartyNote, onCreatePartyNo
   );
 };
 
+// ===========================================
+// Travel trail
+// ===========================================
+
+interface PartyPinControlsTrailProps {
+  pin: PartyPin;
+  updatePin: UpdatePin;
+  /** Total distance travelled, formatted; null with no moves */
+  distance: string | null;
+  /** Time travelled at the selected travel modes; null when none computes */
+  travel: string | null;
+  /** The map's campaign clock reading, which dates new moves; null without a clock */
+  clockDate: string | null;
+  /** Forget the recorded moves */
+  onClearTrail: () => void;
+}
+
+const PartyPinControlsTrail = ({ pin, updatePin, distance, travel, clockDate, onClearTrail }: PartyPinControlsTrailProps): VNode => {
+  const [gameDateDraft, setGameDateDraft] = useState(pin.gameDate ?? '');
+
+  // Re-seed the draft when the pin itself changes (placement, undo/redo)
+  useEffect(() => {
+    setGameDateDraft(pin.gameDate ?? '');
+  }, [pin.id, pin.gameDate]);
+
+  const commitGameDate = (): void => {
+    if (gameDateDraft.trim() === (pin.gameDate ?? '')) return;
+    updatePin({ gameDate: gameDateDraft.trim() });
+  };
+
+  const moveCount = pin.trail?.length ?? 0;
+  const hidden = pin.hideTrail === true;
+
+  return (
+    <div className="windrose-party-controls-trail">
+      <div className="windrose-party-controls-trail-header">
+        <Icon icon="lucide-footprints" size={12} />
+        <span>Trail</span>
+        {moveCount > 0 && (
+          <>
+            <span className="windrose-party-controls-nearby-count">{moveCount}</span>
+            <button
+              className="windrose-party-controls-locate"
+              ref={tooltipRef(hidden ? 'Show trail on map' : 'Hide trail on map')}
+              aria-label={hidden ? 'Show trail on map' : 'Hide trail on map'}
+              onClick={() => updatePin({ hideTrail: !hidden })}
+            >
+              <Icon icon={hidden ? 'lucide-eye-off' : 'lucide-eye'} size={12} />
+            </button>
+            <button
+              className="windrose-party-controls-locate"
+              ref={tooltipRef('Clear trail')}
+              aria-label="Clear trail"
+              onClick={onClearTrail}
+            >
+              <Icon icon="lucide-eraser" size={12} />
+            </button>
+          </>
+        )}
+      </div>
+      {distance != null && (
+        <div className="windrose-party-controls-trail-summary">
+          <div>{distance} travelled</div>
+          {travel != null && <div>{travel}</div>}
+        </div>
+      )}
+      {clockDate != null ? (
+        <div className="windrose-party-controls-trail-summary">
+          <div>New moves are dated by the campaign clock: {clockDate}</div>
+        </div>
+      ) : (
+        <label className="windrose-party-controls-field">
+          <span>Date</span>
+          <input
+            type="text"
+            placeholder="In-game date for new moves"
+            value={gameDateDraft}
+            onInput={(e) => setGameDateDraft((e.target as HTMLInputElement).value)}
+            onBlur={commitGameDate}
+            onKeyDown={(e) => commitOnEnter(e, commitGameDate)}
+          />
+        </label>
+      )}
+    </div>
+  );
+};
+
 // ===========================================
 // Nearby results
 // ===========================================
@@ -344,5 +432,5 @@ const PartyPinControlsNearby = ({ results, travelLabelFor, travelHint, onShowOnM
   </div>
 );
 
-export { PartyPinControlsFilters, PartyPinControlsNote, PartyPinControlsNearby, commitOnEnter };
+export { PartyPinControlsFilters, PartyPinControlsNote, PartyPinControlsTrail, PartyPinControlsNearby, commitOnEnter };
 export type { UpdatePin };
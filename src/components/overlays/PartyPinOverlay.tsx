@@ -1,8 +1,9 @@
 /**
  * PartyPinOverlay.tsx
  *
- * SVG overlay rendering the party pin and its range ring. The ring renders
- * whenever a pin exists, in one of two styles:
+ * SVG overlay rendering the party pin, its travel trail, and its range
+ * ring. The trail draws each recorded move as a line, older moves fading
+ * out. The ring renders whenever a pin exists, in one of two styles:
  * - 'circle': geometric ring at the range radius in world space
  * - 'cells': highlight of the cells actually within range under the map's
  *   distance rules (diagonal rule on grids, hex distance on hex maps)
@@ -20,6 +21,7 @@ import type { DiagonalRule } from '#types/settings/settings.types';
 import type { ViewController } from '#types/hooks/viewController.types';
 import { getCellsWithinRange } from '../../drawing/rangeOperations';
 import { resolvePinIconGlyph } from '../../objects/partyPinOperations';
+import { trailLegOpacity } from '../../objects/partyTrail';
 import {
   computeCounterScale,
   computeOverlayMetrics,
@@ -109,6 +111,7 @@ const PartyPinOverlay = ({
   const cellSpacing = getCellSpacing(geo, pin.position);
   const circleRadius = rangeInCells * cellSpacing;
   const pinScale = (geo.cellSize * 0.9) / PIN_NATIVE_HEIGHT;
+  const trail = pin.trail ?? [];
 
   return (
     <svg
@@ -124,6 +127,36 @@ const PartyPinOverlay = ({
       }}
     >
       <g ref={worldGroupRef} transform={worldTransform}>
+        {/* Travel trail, oldest moves faintest */}
+        {pin.hideTrail !== true && trail.map((move, index) => {
+          const from = geo.getCellCenter(move.from.x, move.from.y);
+          const to = geo.getCellCenter(move.to.x, move.to.y);
+          const opacity = trailLegOpacity(index, trail.length);
+          return (
+            <g key={`trail-${move.at}-${index}`} className="windrose-party-pin-trail">
+              <line
+                x1={from.worldX}
+                y1={from.worldY}
+                x2={to.worldX}
+                y2={to.worldY}
+                stroke={pin.color}
+                strokeOpacity={opacity}
+                strokeWidth={3}
+                strokeDasharray="6 4"
+                strokeLinecap="round"
+                vector-effect="non-scaling-stroke"
+              />
+              <circle
+                cx={from.worldX}
+                cy={from.worldY}
+                r={geo.cellSize * 0.12}
+                fill={pin.color}
+                fillOpacity={opacity}
+              />
+            </g>
+          );
+        })}
+
         {/* Range ring */}
         {pin.rangeStyle === 'circle' && circleRadius > 0 && (
           <circle
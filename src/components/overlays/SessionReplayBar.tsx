@@ -0,0 +1,106 @@
+/**
+ * SessionReplayBar.tsx
+ *
+ * Controls shown over the canvas while a session replay is running: step
+ * back and forward, play/pause, a scrubber across the whole log, and the
+ * time and description of the entry last applied. Escape closes the replay.
+ */
+
+import type { VNode } from 'preact';
+import type { SessionLogEntry } from '#types/core/sessionLog.types';
+
+import { useEffect } from 'preact/hooks';
+import { describeSessionEntry } from '../../persistence/sessionLog';
+import { Icon } from '../shared/Icon';
+import { tooltipRef } from '../shared/obsidianTooltip';
+
+interface SessionReplayBarProps {
+  entries: SessionLogEntry[];
+  /** Entries applied so far (0 = before the first) */
+  step: number;
+  isPlaying: boolean;
+  onStepChange: (step: number) => void;
+  onTogglePlaying: () => void;
+  onClose: () => void;
+}
+
+function formatEntryTime(at: number): string {
+  return new Date(at).toLocaleString(undefined, {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+}
+
+const SessionReplayBar = ({
+  entries,
+  step,
+  isPlaying,
+  onStepChange,
+  onTogglePlaying,
+  onClose
+}: SessionReplayBarProps): VNode => {
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent): void => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const current = step > 0 ? entries[step - 1] : null;
+
+  return (
+    <div className="windrose-session-replay-bar">
+      <button
+        className="windrose-fow-tool-btn"
+        onClick={() => onStepChange(step - 1)}
+        disabled={step === 0}
+        ref={tooltipRef('Previous step')}
+      >
+        <Icon icon="lucide-skip-back" />
+      </button>
+      <button
+        className="windrose-fow-tool-btn"
+        onClick={onTogglePlaying}
+        ref={tooltipRef(isPlaying ? 'Pause' : 'Play')}
+      >
+        <Icon icon={isPlaying ? 'lucide-pause' : 'lucide-play'} />
+      </button>
+      <button
+        className="windrose-fow-tool-btn"
+        onClick={() => onStepChange(step + 1)}
+        disabled={step === entries.length}
+        ref={tooltipRef('Next step')}
+      >
+        <Icon icon="lucide-skip-forward" />
+      </button>
+
+      <input
+        type="range"
+        className="windrose-session-replay-scrubber"
+        min={0}
+        max={entries.length}
+        value={step}
+        onInput={(e) => onStepChange(Number((e.target as HTMLInputElement).value))}
+      />
+
+      <div className="windrose-session-replay-info">
+        <span className="windrose-session-replay-step">{step} / {entries.length}</span>
+        <span>
+          {current ? `${formatEntryTime(current.at)} · ${describeSessionEntry(current)}` : 'Start of session log'}
+        </span>
+      </div>
+
+      <div className="windrose-fow-floating-separator" />
+
+      <button
+        className="windrose-fow-tool-btn"
+        onClick={onClose}
+        ref={tooltipRef('Close replay (Esc)')}
+      >
+        <Icon icon="lucide-x" />
+      </button>
+    </div>
+  );
+};
+
+export { SessionReplayBar };
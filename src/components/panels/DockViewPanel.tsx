@@ -50,6 +50,10 @@ interface DockViewPanelProps {
   onFogVisibilityToggle: () => void;
   onFogFillAll: () => void;
   onFogClearAll: () => void;
+  /** True when the active layer's session log has entries */
+  hasSessionLog: boolean;
+  onSessionReplay: () => void;
+  onSessionRecapExport: () => void;
 }
 
 const DockViewPanel = ({
@@ -64,6 +68,9 @@ const DockViewPanel = ({
   onFogVisibilityToggle,
   onFogFillAll,
   onFogClearAll,
+  hasSessionLog,
+  onSessionReplay,
+  onSessionRecapExport,
 }: DockViewPanelProps): VNode => {
   const app = useApp();
   const featureFlags = useFeatureFlags();
@@ -168,6 +175,26 @@ const DockViewPanel = ({
             <span>Clear All</span>
           </button>
         </div>
+        <div className="windrose-dock-view-toggles">
+          <button
+            className="windrose-dock-view-toggle"
+            onClick={onSessionReplay}
+            disabled={!hasSessionLog}
+            ref={tooltipRef('Replay session')}
+          >
+            <Icon icon="lucide-history" size={14} />
+            <span>Replay</span>
+          </button>
+          <button
+            className="windrose-dock-view-toggle"
+            onClick={onSessionRecapExport}
+            disabled={!hasSessionLog}
+            ref={tooltipRef('Export session recap note')}
+          >
+            <Icon icon="lucide-scroll-text" size={14} />
+            <span>Recap</span>
+          </button>
+        </div>
       </div>
       )}
     </div>
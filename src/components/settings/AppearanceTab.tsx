@@ -264,6 +264,49 @@ function FogOfWarSection(): VNode {
   );
 }
 
+/**
+ * Lighting section: ambient darkness for this map. Per map only, so it
+ * isn't tied to the global settings toggle.
+ */
+function LightingSection(): VNode {
+  const { ambientDarkness, setAmbientDarkness } = useAppearance();
+
+  const [isOpen, setIsOpen] = useState(false);
+
+  const darknessPercent = Math.round(ambientDarkness * 100);
+  const subtitle = darknessPercent > 0 ? `${darknessPercent}% darkness` : 'Off';
+
+  return (
+    <CollapsibleSection
+      title="Lighting"
+      isOpen={isOpen}
+      onToggle={setIsOpen}
+      subtitle={subtitle}
+    >
+      <SettingItem
+        name={`Ambient Darkness: ${darknessPercent}%`}
+        description="Darkens everything outside light sources (0% turns lighting off)"
+      >
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <NativeSlider
+            min={0}
+            max={100}
+            value={darknessPercent}
+            onChange={(val: number) => setAmbientDarkness(val / 100)}
+          />
+          <button
+            class="windrose-color-reset-btn"
+            onClick={() => setAmbientDarkness(0)}
+            ref={tooltipRef('Turn lighting off')}
+          >
+            <Icon icon="lucide-rotate-ccw" />
+          </button>
+        </div>
+      </SettingItem>
+    </CollapsibleSection>
+  );
+}
+
 /**
  * Appearance tab content
  */
@@ -373,6 +416,8 @@ function AppearanceTab(): VNode {
 
       <FogOfWarSection />
 
+      <LightingSection />
+
       <SettingItem
         name="Canvas Size"
         description="Height in pixels (leave blank for global defaults)"
@@ -539,4 +584,4 @@ function InstalledFogPacks({ currentImage, onSelect, disabled }: {
   );
 }
 
-export { AppearanceTab, ColorPickerItem, FogOfWarSection };
\ No newline at end of file
+export { AppearanceTab, ColorPickerItem, FogOfWarSection, LightingSection };
\ No newline at end of file
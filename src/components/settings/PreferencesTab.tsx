@@ -17,11 +17,16 @@
 
 import { useState } from 'preact/hooks';
 import type { VNode } from 'preact';
+import type { PdfPaperSize } from '#types/core/export.types';
 import { useModalShell, useAppearance } from '../../context/MapSettingsContext';
 import { useApp } from '../../context/AppContext';
-import { saveMapImageToVault } from '../../persistence/exportOperations';
+import { saveMapImageToVault, saveMapImagesToVault } from '../../persistence/exportOperations';
+import { saveMapUvttToVault } from '../../persistence/uvttExportOperations';
+import { saveMapSvgToVault } from '../../persistence/svgExportOperations';
+import { saveMapPdfToVault, DEFAULT_PDF_OPTIONS } from '../../persistence/pdfExportOperations';
+import { BatchExportModal } from '../modals/BatchExportModal';
 import { SettingItem, SettingHeading } from './SettingItem';
-import { NativeToggle } from './NativeControls';
+import { NativeToggle, NativeDropdown } from './NativeControls';
 interface ExportResult {
   success: boolean;
   path?: string;
@@ -39,8 +44,12 @@ function PreferencesTab(): VNode {
   const [isExporting, setIsExporting] = useState(false);
   const [exportError, setExportError] = useState<string | null>(null);
   const [exportSuccess, setExportSuccess] = useState<string | null>(null);
+  const [pdfPaper, setPdfPaper] = useState<PdfPaperSize>(DEFAULT_PDF_OPTIONS.paper);
+  const [pdfGmCopy, setPdfGmCopy] = useState(DEFAULT_PDF_OPTIONS.includeGmCopy);
 
-  const handleExportImage = async (): Promise<void> => {
+  const handleExport = async (
+    save: typeof saveMapImageToVault
+  ): Promise<void> => {
     if (mapData == null || geometry == null) {
       setExportError('Map data not available');
       return;
@@ -51,7 +60,7 @@ function PreferencesTab(): VNode {
     setExportSuccess(null);
 
     try {
-      const result: ExportResult = await saveMapImageToVault(app, mapData, geometry);
+      const result: ExportResult = await save(app, mapData, geometry);
 
       if (result.success) {
         setExportSuccess(`Map saved to: ${result.path}`);
@@ -67,6 +76,13 @@ function PreferencesTab(): VNode {
     }
   };
 
+  const handleBatchExport = async (): Promise<void> => {
+    if (mapData == null) return;
+    const choice = await new BatchExportModal(app, mapData).openAndGetValue();
+    if (choice == null) return;
+    await handleExport((a, m, g) => saveMapImagesToVault(a, m, g, choice.selection, choice.folder));
+  };
+
   const alwaysShowControls = overrides.alwaysShowControls ?? globalSettings.alwaysShowControls ?? false;
 
   return (
@@ -119,7 +135,33 @@ function PreferencesTab(): VNode {
       >
         <button
           class="mod-cta"
-          onClick={() => void handleExportImage()}
+          onClick={() => void handleExport(saveMapImageToVault)}
+          disabled={isExporting}
+          style={{ opacity: isExporting ? 0.6 : 1 }}
+        >
+          {isExporting ? 'Exporting...' : 'Export'}
+        </button>
+      </SettingItem>
+
+      <SettingItem
+        name="Export boards and layers"
+        description="Save several boards, strata or layers as PNGs in a vault folder, all with the same bounds so floors line up"
+      >
+        <button
+          onClick={() => void handleBatchExport()}
+          disabled={isExporting}
+          style={{ opacity: isExporting ? 0.6 : 1 }}
+        >
+          {isExporting ? 'Exporting...' : 'Choose...'}
+        </button>
+      </SettingItem>
+
+      <SettingItem
+        name="Export as SVG"
+        description="Save a scalable vector file for print, Inkscape or publishing, with tile art embedded"
+      >
+        <button
+          onClick={() => void handleExport(saveMapSvgToVault)}
           disabled={isExporting}
           style={{ opacity: isExporting ? 0.6 : 1 }}
         >
@@ -127,6 +169,57 @@ function PreferencesTab(): VNode {
         </button>
       </SettingItem>
 
+      {mapData?.mapType === 'grid' && (
+        <SettingItem
+          name="Export for virtual tabletop"
+          description="Save a Universal VTT file (.dd2vtt) with the map image, walls, doors and lights"
+        >
+          <button
+            onClick={() => void handleExport(saveMapUvttToVault)}
+            disabled={isExporting}
+            style={{ opacity: isExporting ? 0.6 : 1 }}
+          >
+            {isExporting ? 'Exporting...' : 'Export'}
+          </button>
+        </SettingItem>
+      )}
+
+      {mapData?.mapType === 'grid' && (
+        <>
+          <SettingItem
+            name="Export for print"
+            description="Save a PDF at 1 inch per cell, tiled across pages with overlap margins, crop marks and page coordinates"
+          >
+            <button
+              onClick={() => void handleExport((a, m, g) => saveMapPdfToVault(a, m, g, {
+                ...DEFAULT_PDF_OPTIONS,
+                paper: pdfPaper,
+                includeGmCopy: pdfGmCopy
+              }))}
+              disabled={isExporting}
+              style={{ opacity: isExporting ? 0.6 : 1 }}
+            >
+              {isExporting ? 'Exporting...' : 'Export'}
+            </button>
+          </SettingItem>
+
+          <SettingItem name="Paper size" description="Page size for the print export">
+            <NativeDropdown
+              value={pdfPaper}
+              options={[{ value: 'letter', label: 'Letter' }, { value: 'a4', label: 'A4' }]}
+              onChange={(value) => setPdfPaper(value as PdfPaperSize)}
+            />
+          </SettingItem>
+
+          <SettingItem
+            name="Include GM copy"
+            description="Add a second set of pages without fog and with GM-only objects and labels"
+          >
+            <NativeToggle value={pdfGmCopy} onChange={() => setPdfGmCopy(!pdfGmCopy)} />
+          </SettingItem>
+        </>
+      )}
+
       {exportError != null && exportError !== '' && (
         <div style={{
           padding: '8px',
@@ -140,6 +140,9 @@ export interface SettingsModalState {
   // Sub-hex parent map backdrop override (undefined = inherit global)
   showParentBackdrop?: boolean;
 
+  // Lighting: darkness outside light sources (0 = off)
+  ambientDarkness: number;
+
   // Background image
   backgroundImagePath: string | null;
   backgroundImageDisplayName: string;
@@ -193,6 +196,7 @@ export interface CurrentSettings {
   overrides?: Record<string, unknown>;
   coordinateDisplayMode?: string;
   showParentBackdrop?: boolean;
+  ambientDarkness?: number;
 }
 
 /** Current background image settings */
@@ -276,7 +280,8 @@ const Actions = {
   CLEAR_FOG_IMAGE: 'CLEAR_FOG_IMAGE',
   SET_OBJECT_SET_ID: 'SET_OBJECT_SET_ID',
   SET_BOUNDS_SHAPE: 'SET_BOUNDS_SHAPE',
-  SET_PARENT_BACKDROP: 'SET_PARENT_BACKDROP'
+  SET_PARENT_BACKDROP: 'SET_PARENT_BACKDROP',
+  SET_AMBIENT_DARKNESS: 'SET_AMBIENT_DARKNESS'
 } as const;
 
 /** Action type union */
@@ -464,6 +469,11 @@ interface SetParentBackdropAction {
   payload: boolean | undefined;
 }
 
+interface SetAmbientDarknessAction {
+  type: typeof Actions.SET_AMBIENT_DARKNESS;
+  payload: number;
+}
+
 /** Discriminated union of all actions */
 type SettingsAction =
   | InitializeAction
@@ -502,7 +512,8 @@ type SettingsAction =
   | ClearFogImageAction
   | SetObjectSetIdAction
   | SetBoundsShapeAction
-  | SetParentBackdropAction;
+  | SetParentBackdropAction
+  | SetAmbientDarknessAction;
 
 // ===========================================
 // Constants
@@ -678,6 +689,8 @@ function buildInitialState(props: BuildInitialStateProps, globalSettings: Plugin
 
     showParentBackdrop: currentSettings?.showParentBackdrop,
 
+    ambientDarkness: currentSettings?.ambientDarkness ?? 0,
+
     backgroundImagePath: currentBackgroundImage?.path ?? null,
     backgroundImageDisplayName: currentBackgroundImage?.path != null && currentBackgroundImage.path !== ''
       ? getDisplayNameFromPath(currentBackgroundImage.path)
@@ -869,6 +882,9 @@ function settingsReducer(state: SettingsModalState, action: SettingsAction): Set
     case Actions.SET_PARENT_BACKDROP:
       return { ...state, showParentBackdrop: action.payload };
 
+    case Actions.SET_AMBIENT_DARKNESS:
+      return { ...state, ambientDarkness: action.payload };
+
     case Actions.SET_IMAGE_SEARCH_RESULTS:
       return { ...state, imageSearchResults: action.payload };
 
@@ -23,6 +23,10 @@ interface FogOfWarToolbarProps {
   onFogVisibilityToggle: () => void;
   onFogFillAll: () => void;
   onFogClearAll: () => void;
+  /** True when the active layer's session log has entries */
+  hasSessionLog: boolean;
+  onSessionReplay: () => void;
+  onSessionRecapExport: () => void;
 }
 
 const FogOfWarToolbar = ({
@@ -31,7 +35,10 @@ const FogOfWarToolbar = ({
   onFogToolSelect,
   onFogVisibilityToggle,
   onFogFillAll,
-  onFogClearAll
+  onFogClearAll,
+  hasSessionLog,
+  onSessionReplay,
+  onSessionRecapExport
 }: FogOfWarToolbarProps): VNode | null => {
   const app = useApp();
 
@@ -108,6 +115,26 @@ const FogOfWarToolbar = ({
       >
         <Icon icon="lucide-x-square" />
       </button>
+
+      <div className="windrose-fow-floating-separator" />
+
+      <button
+        className="windrose-fow-tool-btn"
+        onClick={onSessionReplay}
+        disabled={!hasSessionLog}
+        ref={tooltipRef('Replay session')}
+      >
+        <Icon icon="lucide-history" />
+      </button>
+
+      <button
+        className="windrose-fow-tool-btn"
+        onClick={onSessionRecapExport}
+        disabled={!hasSessionLog}
+        ref={tooltipRef('Export session recap note')}
+      >
+        <Icon icon="lucide-scroll-text" />
+      </button>
     </div>
   );
 };
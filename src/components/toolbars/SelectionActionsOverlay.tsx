@@ -71,8 +71,8 @@ interface SelectionActionsOverlayProps {
   // Multi-select count
   selectionCount?: number;
 
-  // Player light section
-  isPlayer?: boolean;
+  // Light source section
+  showLightControls?: boolean;
   lightEnabled?: boolean;
   lightRadius?: number;
   lightColor?: string;
@@ -108,7 +108,7 @@ const SelectionActionsOverlay = ({
   pendingCustomColorRef,
   colorButtonRef,
   selectionCount,
-  isPlayer,
+  showLightControls,
   lightEnabled,
   lightRadius,
   lightColor,
@@ -213,8 +213,8 @@ const SelectionActionsOverlay = ({
     cardHeight += separatorHeight + 4 + 32;
   }
 
-  // Player light controls (header row + optional controls row)
-  if (isPlayer === true) {
+  // Light controls (header row + optional controls row)
+  if (showLightControls === true) {
     cardHeight += separatorHeight + 4 + 24;
     if (lightEnabled === true) cardHeight += 4 + 24;
   }
@@ -412,8 +412,8 @@ const SelectionActionsOverlay = ({
             </>
           )}
 
-          {/* Player light controls */}
-          {isPlayer === true && (
+          {/* Light controls */}
+          {showLightControls === true && (
             <>
               <div className="windrose-sel-separator" />
               <div className="windrose-sel-player-section">
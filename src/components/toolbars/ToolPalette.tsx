@@ -318,7 +318,9 @@ const toolGroups: ToolGroup[] = [
     subTools: [
       { id: 'rectangle', label: 'Fill Rectangle', title: 'Rectangle (click two corners)', icon: 'lucide-square', gridOnly: true },
       { id: 'circle', label: 'Fill Circle', title: 'Circle (click edge, then center)', icon: 'lucide-circle', gridOnly: true },
-      { id: 'diagonalFill', label: 'Diagonal Fill', title: 'Fill diagonal gaps (click two corners)', icon: 'lucide-slash', gridOnly: true }
+      { id: 'diagonalFill', label: 'Diagonal Fill', title: 'Fill diagonal gaps (click two corners)', icon: 'lucide-slash', gridOnly: true },
+      { id: 'generateArea', label: 'Generate Dungeon', title: 'Generate a dungeon section (click two corners)', icon: 'lucide-dices', gridOnly: true, feature: 'dungeonGenerator' },
+      { id: 'connectSketch', label: 'Connect Rooms', title: 'Connect sketched rooms with corridors, doors and walls (click two corners)', icon: 'lucide-waypoints', gridOnly: true, feature: 'dungeonGenerator' }
     ]
   },
   {
@@ -16,6 +16,7 @@ const TAB_CONFIG: { type: PackType; label: string }[] = [
   { type: 'object-pack', label: 'Object Packs' },
   { type: 'fog-pack', label: 'Fog of War' },
   { type: 'travel-pack', label: 'Travel Packs' },
+  { type: 'dungeon-style-pack', label: 'Dungeon Styles' },
 ];
 
 class ContentPackBrowserModal extends Modal {
@@ -84,9 +85,10 @@ class ContentPackBrowserModal extends Modal {
     let changed = false;
     const valid = [];
     for (const pack of packs) {
-      // Travel packs live in settings, not vault folders — validate there
-      if (pack.type === 'travel-pack') {
-        const stillPresent = (this.plugin.settings.travelPacks ?? []).some(p => p.id === pack.id);
+      // Travel and dungeon style packs live in settings, not vault folders — validate there
+      if (pack.type === 'travel-pack' || pack.type === 'dungeon-style-pack') {
+        const stored = pack.type === 'travel-pack' ? this.plugin.settings.travelPacks : this.plugin.settings.dungeonStylePacks;
+        const stillPresent = (stored ?? []).some(p => p.id === pack.id);
         if (!stillPresent) {
           changed = true;
           continue;
@@ -0,0 +1,840 @@
+/**
+ * ddMapImport.ts
+ *
+ * Converts a Dungeondraft map (.dungeondraft_map, JSON with Godot-encoded
+ * values) into a Windrose grid map. Each level becomes a board with the four
+ * default strata:
+ *  - ground: floor tiles as painted cells, patterns as filled curves, terrain
+ *    as terrain strokes, plus walls, lights and text so lighting and fog see
+ *    them on the board's working layer;
+ *  - props / decoration: props as freeform tile placements, split by their
+ *    Dungeondraft layer.
+ *
+ * Art is resolved against installed content packs: a map texture
+ * `res://packs/<id>/textures/.../X.png` finds the tile with stem `X` in the
+ * pack installed under `<id>`. Dungeondraft's built-in assets ship with the
+ * app, not with packs, so they never resolve. Whatever cannot be carried
+ * over is counted in the import report instead of being dropped silently.
+ *
+ * Dungeondraft authors at 256 px per cell; world positions scale by
+ * gridSize / 256.
+ */
+
+import type { App } from 'obsidian';
+import type { MapData, MapLayer } from '#types/core/map.types';
+import type { Cell } from '#types/core/cell.types';
+import type { Edge } from '#types/core/rendering.types';
+import type { Curve } from '#types/core/curve.types';
+import type { MapObject } from '#types/objects/object.types';
+import type { TextLabel } from '#types/objects/note.types';
+import type { TerrainStroke } from '#types/core/terrainstroke.types';
+import type { WallGap, WallPath } from '#types/core/wallpath.types';
+import type { TileAssignment, TileEntry, TileLayerRole, TileRotation } from '#types/tiles/tile.types';
+import type { InstalledPack } from '#types/content-packs/contentPack.types';
+import { toRelativeTexturePath, sourceTypeOf, stemOf } from './ddImportCore';
+import { DEFAULTS } from '../core/dmtConstants';
+import { DEFAULT_COLOR } from '../drawing/colorOperations';
+import { createWallPath } from '../drawing/wallPathOperations';
+import { createTerrainStroke } from '../drawing/terrainStrokeOperations';
+import { createNewMap } from '../persistence/fileOperations';
+import { createBoardStrata, generateBoardId } from '../persistence/layerAccessor';
+import { generateObjectId } from '../objects/objectOperations';
+import { generateTextLabelId } from '../text/textLabelOperations';
+import { generateCurveId } from '../geometry/curves/curveBoolean';
+import { createWallGapId } from '../drawing/wallGapOperations';
+import { scanTilesetFolder, generateTilesetId } from '../assets/tilesetOperations';
+
+// ===========================================
+// Dungeondraft file shape (only the fields read here)
+// ===========================================
+
+/** Godot values arrive as strings like "Vector2( 1, 2 )" or "PoolIntArray( ... )". */
+type GodotValue = string | number[] | undefined;
+
+interface DdTransformed {
+	position?: GodotValue;
+	rotation?: number;
+	scale?: GodotValue;
+}
+
+interface DdPortal extends DdTransformed {
+	texture?: string;
+	radius?: number;
+}
+
+interface DdWall {
+	points?: GodotValue;
+	texture?: string;
+	color?: string;
+	loop?: boolean;
+	portals?: DdPortal[];
+}
+
+interface DdPath extends DdTransformed {
+	edit_points?: GodotValue;
+	texture?: string;
+	width?: number;
+	loop?: boolean;
+}
+
+interface DdPattern extends DdTransformed {
+	points?: GodotValue;
+	color?: string;
+	texture?: string;
+}
+
+interface DdProp extends DdTransformed {
+	texture?: string;
+	mirror?: boolean;
+	layer?: number;
+}
+
+interface DdLight {
+	position?: GodotValue;
+	color?: string;
+	range?: number;
+}
+
+interface DdText {
+	position?: GodotValue;
+	text?: string;
+	font_name?: string;
+	font_size?: number;
+	font_color?: string;
+}
+
+interface DdTerrain {
+	enabled?: boolean;
+	splat?: GodotValue;
+	splat2?: GodotValue;
+	[texture: `texture_${number}`]: string | undefined;
+}
+
+interface DdLevel {
+	label?: string;
+	tiles?: { cells?: GodotValue; colors?: string[]; textures?: string[] };
+	patterns?: DdPattern[];
+	walls?: DdWall[];
+	portals?: DdPortal[];
+	terrain?: DdTerrain;
+	paths?: DdPath[];
+	objects?: DdProp[];
+	lights?: DdLight[];
+	texts?: DdText[];
+	cave?: { bitmap?: GodotValue };
+	water?: { tree?: unknown };
+	materials?: Record<string, unknown>;
+}
+
+interface DdMapFile {
+	header?: { asset_manifest?: Array<{ id?: string; name?: string }> };
+	world?: { width?: number; height?: number; levels?: Record<string, DdLevel> };
+}
+
+// ===========================================
+// Import context and report
+// ===========================================
+
+/** An installed pack's tiles, as the map's tile references will see them. */
+interface DdPackTiles {
+	/** Dungeondraft pack id, as in `res://packs/<id>/...` */
+	packId: string;
+	name: string;
+	tilesetId: string;
+	tiles: TileEntry[];
+}
+
+interface DdMapImportOptions {
+	name: string;
+	packs: DdPackTiles[];
+	/** Light ranges are in cells; objects store theirs in map distance units. @default 5 */
+	distancePerCell?: number;
+}
+
+/** Something the importer could not carry over, grouped by level, feature and reason. */
+interface DdUnmappedItem {
+	level: string;
+	feature: string;
+	reason: string;
+	count: number;
+	/** A few texture names, to say which art is missing */
+	samples: string[];
+}
+
+interface DdImportReport {
+	boards: number;
+	cells: number;
+	curves: number;
+	terrainStrokes: number;
+	walls: number;
+	openings: number;
+	paths: number;
+	props: number;
+	lights: number;
+	labels: number;
+	unmapped: DdUnmappedItem[];
+}
+
+interface DdMapImportResult {
+	mapData: MapData;
+	report: DdImportReport;
+}
+
+// ===========================================
+// Constants
+// ===========================================
+
+/** Dungeondraft's authoring scale. */
+const DD_PIXELS_PER_CELL = 256;
+
+/** Texture samples kept per report entry. */
+const REPORT_SAMPLE_LIMIT = 3;
+
+/** Props above this Dungeondraft layer render over the props stratum. */
+const DD_PROP_LAYER_TOP = 300;
+
+/** Props at or below this Dungeondraft layer sit on the floor. */
+const DD_FLOOR_LAYER_TOP = 100;
+
+/** Painted-edge color for walls whose art is missing, as generated walls are drawn. */
+const FALLBACK_WALL_COLOR = '#333333';
+
+/** Samples per cell when tracing a wall onto grid edges. */
+const EDGE_TRACE_STEPS = 4;
+
+// ===========================================
+// Godot value parsing
+// ===========================================
+
+/** Numbers of a Godot value: "Vector2( 1, 2 )" -> [1, 2]. Arrays pass through. */
+function parseGodotNumbers(value: GodotValue): number[] {
+	if (Array.isArray(value)) return value;
+	if (typeof value !== 'string') return [];
+	const open = value.indexOf('(');
+	const body = open >= 0 ? value.slice(open + 1, value.lastIndexOf(')')) : value;
+	return body.split(',').map(part => part.trim()).filter(part => part !== '').map(Number).filter(Number.isFinite);
+}
+
+/** Pairs of a Godot vector or vector array. */
+function parseGodotPoints(value: GodotValue): Array<{ x: number; y: number }> {
+	const numbers = parseGodotNumbers(value);
+	const points: Array<{ x: number; y: number }> = [];
+	for (let i = 0; i + 1 < numbers.length; i += 2) points.push({ x: numbers[i], y: numbers[i + 1] });
+	return points;
+}
+
+/** Dungeondraft "AARRGGBB" (or "RRGGBB") color -> hex and alpha. */
+function parseDdColor(value: string | undefined): { hex: string; alpha: number } | null {
+	if (value == null || !/^([0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)) return null;
+	const argb = value.length === 8 ? value : 'ff' + value;
+	return { hex: '#' + argb.slice(2).toLowerCase(), alpha: parseInt(argb.slice(0, 2), 16) / 255 };
+}
+
+function isWhite(color: { hex: string } | null): boolean {
+	return color == null || color.hex === '#ffffff';
+}
+
+// ===========================================
+// Pack resolution
+// ===========================================
+
+/** Pack ids referenced by a map's textures, in first-seen order. */
+function listReferencedPacks(text: string): string[] {
+	const ids = new Set<string>();
+	for (const match of text.matchAll(/res:\/\/packs\/([^/"]+)\//g)) ids.add(match[1]);
+	return [...ids];
+}
+
+/**
+ * Tiles of the installed packs a map references. Packs that are not
+ * installed are left out; their textures are reported as unresolved.
+ */
+async function loadDdPackTiles(app: App, installed: InstalledPack[], packIds: string[]): Promise<DdPackTiles[]> {
+	const packs: DdPackTiles[] = [];
+	for (const packId of packIds) {
+		const pack = installed.find(p => p.id === packId);
+		if (pack == null) continue;
+		const tiles = await scanTilesetFolder(app, pack.vaultPath);
+		packs.push({ packId, name: pack.name, tilesetId: generateTilesetId(pack.vaultPath), tiles });
+	}
+	return packs;
+}
+
+type Resolution =
+	| { tile: { tilesetId: string; tileId: string } }
+	| { reason: string };
+
+/**
+ * Find a map texture among the installed packs' tiles by filename stem.
+ * Strip textures prefer the tile in their source-type folder, since the
+ * pack import keeps walls and paths there.
+ */
+function resolveTexture(texture: string, packs: DdPackTiles[], manifest: Map<string, string>): Resolution {
+	const match = /^res:\/\/packs\/([^/]+)\//.exec(texture);
+	if (match == null) return { reason: 'Dungeondraft built-in asset' };
+
+	const pack = packs.find(p => p.packId === match[1]);
+	if (pack == null) return { reason: `pack "${manifest.get(match[1]) ?? match[1]}" is not installed` };
+
+	const relative = toRelativeTexturePath(texture);
+	const stem = stemOf(relative.slice(relative.lastIndexOf('/') + 1));
+	const sourceType = sourceTypeOf(relative);
+	const candidates = pack.tiles.filter(tile => stemOf(tile.filename) === stem);
+	const entry = candidates.find(tile => sourceType != null && tile.id.startsWith(sourceType + '/')) ?? candidates[0];
+	if (entry == null) return { reason: `not found in installed pack "${pack.name}"` };
+	return { tile: { tilesetId: pack.tilesetId, tileId: entry.id } };
+}
+
+function textureName(texture: string): string {
+	return stemOf(texture.slice(texture.lastIndexOf('/') + 1));
+}
+
+// ===========================================
+// Geometry helpers
+// ===========================================
+
+/** Apply a node's position, rotation and scale to its local points. */
+function transformPoints(node: DdTransformed, points: Array<{ x: number; y: number }>): Array<{ x: number; y: number }> {
+	const [ox, oy] = parseGodotNumbers(node.position);
+	const [sx, sy] = parseGodotNumbers(node.scale);
+	const cos = Math.cos(node.rotation ?? 0);
+	const sin = Math.sin(node.rotation ?? 0);
+	return points.map(p => {
+		const x = p.x * (sx ?? 1);
+		const y = p.y * (sy ?? 1);
+		return { x: (ox ?? 0) + x * cos - y * sin, y: (oy ?? 0) + x * sin + y * cos };
+	});
+}
+
+/** Segment and 0..1 position along it closest to a point, for seating an opening. */
+function nearestSegment(vertices: Array<{ x: number; y: number }>, closed: boolean, px: number, py: number): { seg: number; t: number } {
+	const count = closed ? vertices.length : vertices.length - 1;
+	let best = { seg: 0, t: 0.5, dist: Infinity };
+	for (let i = 0; i < count; i++) {
+		const a = vertices[i];
+		const b = vertices[(i + 1) % vertices.length];
+		const dx = b.x - a.x;
+		const dy = b.y - a.y;
+		const lengthSq = dx * dx + dy * dy;
+		const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / lengthSq));
+		const dist = Math.hypot(a.x + dx * t - px, a.y + dy * t - py);
+		if (dist < best.dist) best = { seg: i, t, dist };
+	}
+	return { seg: best.seg, t: best.t };
+}
+
+/**
+ * Paint the grid edges tracing a wall into `edges`, leaving its openings
+ * open. Sides on the wall's line are painted as they are; a wall off the
+ * grid lines becomes a staircase of the sides nearest to it.
+ */
+function traceWallEdges(
+	edges: Map<string, Edge>,
+	vertices: Array<{ x: number; y: number }>,
+	closed: boolean,
+	gaps: WallGap[],
+	cellSize: number,
+	color: string
+): void {
+	const paint = (x: number, y: number, side: Edge['side']): void => {
+		edges.set(`${x},${y},${side}`, { x, y, side, color });
+	};
+	const count = closed ? vertices.length : vertices.length - 1;
+	for (let seg = 0; seg < count; seg++) {
+		const a = vertices[seg];
+		const b = vertices[(seg + 1) % vertices.length];
+		const length = Math.hypot(b.x - a.x, b.y - a.y);
+		if (length === 0) continue;
+		const openings = gaps
+			.filter(gap => gap.seg === seg)
+			.map(gap => ({ from: gap.t * length - (gap.widthCells * cellSize) / 2, to: gap.t * length + (gap.widthCells * cellSize) / 2 }));
+		const steps = Math.max(1, Math.ceil((length / cellSize) * EDGE_TRACE_STEPS));
+		const cornerAt = (k: number): { x: number; y: number } => ({
+			x: Math.round((a.x + ((b.x - a.x) * k) / steps) / cellSize),
+			y: Math.round((a.y + ((b.y - a.y) * k) / steps) / cellSize),
+		});
+		let prev = cornerAt(0);
+		for (let k = 1; k <= steps; k++) {
+			const next = cornerAt(k);
+			const mid = ((k - 0.5) / steps) * length;
+			if (!openings.some(o => mid >= o.from && mid <= o.to)) {
+				// Along the row line first, then down the column line
+				for (let x = Math.min(prev.x, next.x); x < Math.max(prev.x, next.x); x++) paint(x, prev.y - 1, 'bottom');
+				for (let y = Math.min(prev.y, next.y); y < Math.max(prev.y, next.y); y++) paint(next.x - 1, y, 'right');
+			}
+			prev = next;
+		}
+	}
+}
+
+/** Nearest right angle, for props (grid tiles rotate in quarter turns). */
+function snapRotation(radians: number): { rotation: TileRotation | undefined; exact: boolean } {
+	const degrees = ((radians * 180) / Math.PI % 360 + 360) % 360;
+	const turns = Math.round(degrees / 90);
+	const rotation = ([0, 90, 180, 270] as const)[turns % 4];
+	return { rotation: rotation === 0 ? undefined : rotation, exact: Math.abs(degrees - turns * 90) < 0.5 };
+}
+
+function fontFaceOf(fontName: string | undefined): TextLabel['fontFace'] {
+	if (fontName == null) return 'sans';
+	if (/mono|code/i.test(fontName)) return 'mono';
+	if (/script|hand/i.test(fontName)) return 'script';
+	if (/serif|baskerville|garamond|times/i.test(fontName) && !/sans/i.test(fontName)) return 'serif';
+	return 'sans';
+}
+
+// ===========================================
+// Conversion
+// ===========================================
+
+/**
+ * Parse a .dungeondraft_map file.
+ * @throws Error when the text is not JSON or has no levels
+ */
+function parseDungeondraftMap(text: string): DdMapFile {
+	const file = JSON.parse(text) as DdMapFile;
+	if (file?.world?.levels == null || typeof file.world.levels !== 'object') {
+		throw new Error('Not a Dungeondraft map: no levels found');
+	}
+	return file;
+}
+
+/**
+ * Convert a parsed Dungeondraft map into Windrose map data, one board per
+ * level, listing what could not be converted in the report.
+ */
+function convertDungeondraftMap(file: DdMapFile, options: DdMapImportOptions): DdMapImportResult {
+	const mapData = createNewMap(options.name, 'grid');
+	const cellSize = mapData.gridSize ?? DEFAULTS.gridSize;
+	const scale = cellSize / DD_PIXELS_PER_CELL;
+	const distancePerCell = options.distancePerCell ?? 5;
+	const width = file.world?.width ?? 0;
+	const height = file.world?.height ?? 0;
+	const manifest = new Map((file.header?.asset_manifest ?? [])
+		.filter(entry => entry.id != null)
+		.map(entry => [entry.id ?? '', entry.name ?? entry.id ?? '']));
+
+	const report: DdImportReport = {
+		boards: 0, cells: 0, curves: 0, terrainStrokes: 0, walls: 0, openings: 0,
+		paths: 0, props: 0, lights: 0, labels: 0, unmapped: [],
+	};
+
+	const levelEntries = Object.entries(file.world?.levels ?? {})
+		.sort(([a], [b]) => Number(a) - Number(b));
+
+	const layers: MapLayer[] = [];
+	const boards: NonNullable<MapData['boards']> = [];
+	const groundLayerIds: string[] = [];
+
+	levelEntries.forEach(([, level], index) => {
+		const boardId = generateBoardId();
+		const levelName = level.label != null && level.label.trim() !== '' ? level.label.trim() : `Level ${index + 1}`;
+		boards.push({ id: boardId, name: levelName, order: index });
+
+		const strata = createBoardStrata(boardId);
+		const byRole = (role: TileLayerRole): MapLayer => strata.find(layer => layer.tileRole === role) ?? strata[0];
+		const ground = byRole('ground');
+		groundLayerIds.push(ground.id);
+
+		const unmapped = (feature: string, reason: string, sample?: string, count = 1): void => {
+			const existing = report.unmapped.find(item => item.level === levelName && item.feature === feature && item.reason === reason);
+			const item = existing ?? { level: levelName, feature, reason, count: 0, samples: [] };
+			if (existing == null) report.unmapped.push(item);
+			item.count += count;
+			if (sample != null && !item.samples.includes(sample) && item.samples.length < REPORT_SAMPLE_LIMIT) item.samples.push(sample);
+		};
+		const resolve = (feature: string, texture: string | undefined, reason?: string, count = 1): { tilesetId: string; tileId: string } | null => {
+			if (texture == null || texture === '') return null;
+			const result = resolveTexture(texture, options.packs, manifest);
+			if ('tile' in result) return result.tile;
+			unmapped(feature, reason != null ? `${reason}: ${result.reason}` : result.reason, textureName(texture), count);
+			return null;
+		};
+
+		const conversion: LevelConversion = { cellSize, scale, unmapped, resolve };
+
+		ground.cells = convertFloorTiles(level, width, height);
+		report.cells += ground.cells.length;
+
+		ground.curves = convertPatterns(level.patterns ?? [], conversion);
+		report.curves += ground.curves.length;
+
+		// Terrain entries count cells, not textures
+		ground.terrainStrokes = convertTerrain(
+			level.terrain, width, height, cellSize,
+			(texture, cellCount) => resolve('Terrain cells', texture, undefined, cellCount),
+			reason => unmapped('Terrain', reason)
+		);
+		report.terrainStrokes += ground.terrainStrokes.length;
+
+		const walls = convertWalls(level.walls ?? [], conversion);
+		ground.edges = walls.edges;
+		report.walls += walls.wallPaths.length;
+		report.openings += walls.openings;
+
+		for (const portal of level.portals ?? []) {
+			unmapped('Freestanding door', 'not attached to a wall', portal.texture != null ? textureName(portal.texture) : undefined);
+		}
+
+		const paths = convertPaths(level.paths ?? [], conversion);
+		ground.wallPaths = [...walls.wallPaths, ...paths];
+		report.paths += paths.length;
+
+		for (const [role, placed] of convertProps(level.objects ?? [], conversion)) {
+			const target = byRole(role);
+			target.tiles = [...(target.tiles ?? []), ...placed];
+			report.props += placed.length;
+		}
+
+		ground.objects = convertLights(level.lights ?? [], conversion, distancePerCell);
+		report.lights += ground.objects.length;
+
+		ground.textLabels = convertTexts(level.texts ?? [], conversion);
+		report.labels += ground.textLabels.length;
+
+		if (parseGodotNumbers(level.cave?.bitmap).some(value => value !== 0)) unmapped('Cave', 'no cave tool in Windrose');
+		if (level.water?.tree != null) unmapped('Water', 'no water tool in Windrose');
+		if (level.materials != null && Object.keys(level.materials).length > 0) unmapped('Materials', 'no material layer in Windrose');
+
+		layers.push(...strata);
+	});
+
+	report.boards = boards.length;
+
+	mapData.boards = boards;
+	mapData.layers = layers;
+	mapData.layerMode = 'strata';
+	mapData.layerPanelVisible = true;
+	if (boards.length > 0) {
+		mapData.activeBoardId = boards[0].id;
+		mapData.activeLayerId = groundLayerIds[0];
+	}
+	if (width > 0 && height > 0) {
+		const dimensions = mapData.dimensions ?? DEFAULTS.dimensions;
+		mapData.dimensions = { width: Math.max(dimensions.width, width), height: Math.max(dimensions.height, height) };
+		mapData.viewState = { zoom: mapData.viewState?.zoom ?? DEFAULTS.initialZoom, center: { x: width / 2, y: height / 2 } };
+	}
+
+	return { mapData, report };
+}
+
+// ===========================================
+// Per-level features
+// ===========================================
+
+/** What converting one level's features shares: sizes and the report */
+interface LevelConversion {
+	cellSize: number;
+	/** World units per Dungeondraft pixel */
+	scale: number;
+	/** Count something that could not come across */
+	unmapped: (feature: string, reason: string, sample?: string, count?: number) => void;
+	/** The installed tile for a texture, or null (counted as unmapped) */
+	resolve: (feature: string, texture: string | undefined, reason?: string, count?: number) => { tilesetId: string; tileId: string } | null;
+}
+
+function toWorld(p: { x: number; y: number }, scale: number): { x: number; y: number } {
+	return { x: p.x * scale, y: p.y * scale };
+}
+
+/** Patterns as polygons filled with their color; the texture itself is lost. */
+function convertPatterns(patterns: DdPattern[], conversion: LevelConversion): Curve[] {
+	return patterns.flatMap((pattern): Curve[] => {
+		const points = transformPoints(pattern, parseGodotPoints(pattern.points)).map(p => toWorld(p, conversion.scale));
+		if (points.length < 3) return [];
+		if (pattern.texture != null) conversion.unmapped('Pattern texture', 'drawn as a flat color', textureName(pattern.texture));
+		const color = parseDdColor(pattern.color);
+		// Straight sides: each cubic's controls sit on its own ends
+		const segments = points.map((from, i): Curve['segments'][number] => {
+			const to = points[(i + 1) % points.length];
+			return [from.x, from.y, to.x, to.y, to.x, to.y];
+		});
+		return [{
+			id: generateCurveId(),
+			start: [points[0].x, points[0].y],
+			segments,
+			closed: true,
+			color: isWhite(color) ? DEFAULT_COLOR : color?.hex ?? DEFAULT_COLOR,
+			opacity: color?.alpha ?? 1,
+			strokeColor: '',
+			strokeWidth: 0,
+		}];
+	});
+}
+
+/**
+ * Walls keep their geometry without art, so they still block light and
+ * sight, and are drawn as painted edges. Doors on a wall become its openings.
+ */
+function convertWalls(walls: DdWall[], conversion: LevelConversion): { wallPaths: WallPath[]; edges: Edge[]; openings: number } {
+	const { cellSize, scale, resolve } = conversion;
+	const wallPaths: WallPath[] = [];
+	const edges = new Map<string, Edge>();
+	let openings = 0;
+	for (const wall of walls) {
+		const vertices = parseGodotPoints(wall.points).map(p => toWorld(p, scale));
+		if (vertices.length < 2) continue;
+		const closed = wall.loop === true;
+		const tile = resolve('Wall art', wall.texture, 'wall drawn as painted edges');
+		const tint = parseDdColor(wall.color);
+		const path: WallPath = createWallPath({
+			vertices,
+			closed,
+			tilesetId: tile?.tilesetId ?? '',
+			tileId: tile?.tileId ?? '',
+			kind: 'wall',
+			...(isWhite(tint) ? {} : { tint: tint?.hex.slice(1) }),
+		});
+		const gaps: WallGap[] = [];
+		for (const portal of wall.portals ?? []) {
+			const [px, py] = parseGodotNumbers(portal.position);
+			if (px == null || py == null) continue;
+			const { seg, t } = nearestSegment(vertices, closed, px * scale, py * scale);
+			const doorTile = resolve('Door art', portal.texture, 'opening kept without art');
+			gaps.push({
+				id: createWallGapId(),
+				seg,
+				t,
+				widthCells: ((portal.radius ?? DD_PIXELS_PER_CELL / 2) * 2) / DD_PIXELS_PER_CELL,
+				...(doorTile != null ? { tile: doorTile } : {}),
+			});
+		}
+		if (gaps.length > 0) path.gaps = gaps;
+		if (tile == null) {
+			const edgeColor = isWhite(tint) ? FALLBACK_WALL_COLOR : tint?.hex ?? FALLBACK_WALL_COLOR;
+			traceWallEdges(edges, vertices, closed, gaps, cellSize, edgeColor);
+		}
+		wallPaths.push(path);
+		openings += gaps.length;
+	}
+	return { wallPaths, edges: Array.from(edges.values()), openings };
+}
+
+/** Paths as path strips; a path without installed art is skipped. */
+function convertPaths(paths: DdPath[], conversion: LevelConversion): WallPath[] {
+	return paths.flatMap((ddPath): WallPath[] => {
+		const vertices = transformPoints(ddPath, parseGodotPoints(ddPath.edit_points)).map(p => toWorld(p, conversion.scale));
+		if (vertices.length < 2) return [];
+		const tile = conversion.resolve('Path', ddPath.texture);
+		if (tile == null) return [];
+		return [createWallPath({
+			vertices,
+			closed: ddPath.loop === true,
+			tilesetId: tile.tilesetId,
+			tileId: tile.tileId,
+			kind: 'path',
+			widthScale: ddPath.width ?? 1,
+		})];
+	});
+}
+
+/** Props as freeform tile placements, grouped by the stratum their Dungeondraft layer maps to. */
+function convertProps(props: DdProp[], conversion: LevelConversion): Map<TileLayerRole, TileAssignment[]> {
+	const { cellSize, scale, resolve, unmapped } = conversion;
+	const byRole = new Map<TileLayerRole, TileAssignment[]>();
+	for (const prop of props) {
+		const tile = resolve('Prop', prop.texture);
+		const [x, y] = parseGodotNumbers(prop.position);
+		if (tile == null || x == null || y == null) continue;
+		const worldX = x * scale;
+		const worldY = y * scale;
+		const [sx] = parseGodotNumbers(prop.scale);
+		const { rotation, exact } = snapRotation(prop.rotation ?? 0);
+		if (!exact) unmapped('Prop rotation', 'turned to the nearest right angle', prop.texture != null ? textureName(prop.texture) : undefined);
+		const propScale = Math.abs(sx ?? 1);
+		const placed: TileAssignment = {
+			col: Math.floor(worldX / cellSize),
+			row: Math.floor(worldY / cellSize),
+			tilesetId: tile.tilesetId,
+			tileId: tile.tileId,
+			rotation,
+			flipH: prop.mirror === true || undefined,
+			placement: 'overlay',
+			scale: propScale !== 1 ? propScale : undefined,
+			freeform: true,
+			worldX,
+			worldY,
+		};
+		const ddLayer = prop.layer ?? DD_PROP_LAYER_TOP;
+		const role: TileLayerRole = ddLayer <= DD_FLOOR_LAYER_TOP ? 'ground' : ddLayer > DD_PROP_LAYER_TOP ? 'decoration' : 'props';
+		const placedInRole = byRole.get(role);
+		if (placedInRole != null) placedInRole.push(placed);
+		else byRole.set(role, [placed]);
+	}
+	return byRole;
+}
+
+/** Lights as freeform light-casting markers; range is in cells. */
+function convertLights(lights: DdLight[], conversion: LevelConversion, distancePerCell: number): MapObject[] {
+	const { cellSize, scale } = conversion;
+	return lights.flatMap((light): MapObject[] => {
+		const [x, y] = parseGodotNumbers(light.position);
+		if (x == null || y == null) return [];
+		const color = parseDdColor(light.color);
+		const rgb = color != null
+			? [1, 3, 5].map(i => parseInt(color.hex.slice(i, i + 2), 16)).join(', ')
+			: '255, 255, 100';
+		const worldPosition = { x: x * scale, y: y * scale };
+		return [{
+			id: generateObjectId(),
+			type: 'poi',
+			label: 'Light',
+			position: { x: Math.floor(worldPosition.x / cellSize), y: Math.floor(worldPosition.y / cellSize) },
+			size: { width: 1, height: 1 },
+			freeform: true,
+			worldPosition,
+			lightEnabled: true,
+			lightRadius: (light.range ?? 1) * distancePerCell,
+			lightColor: `rgba(${rgb}, 1)`,
+		}];
+	});
+}
+
+/** Text as text labels; empty text is dropped. */
+function convertTexts(texts: DdText[], conversion: LevelConversion): TextLabel[] {
+	const { scale } = conversion;
+	return texts.flatMap((text): TextLabel[] => {
+		const [x, y] = parseGodotNumbers(text.position);
+		const content = text.text?.trim() ?? '';
+		if (x == null || y == null || content === '') return [];
+		const color = parseDdColor(text.font_color);
+		return [{
+			id: generateTextLabelId(),
+			content,
+			position: { x: x * scale, y: y * scale },
+			rotation: 0,
+			fontSize: Math.max(4, Math.round((text.font_size ?? 64) * scale)),
+			fontFace: fontFaceOf(text.font_name),
+			color: color?.hex ?? '#000000',
+		}];
+	});
+}
+
+/** Painted cells for a level's floor tiles, tinted when Dungeondraft tinted them. */
+function convertFloorTiles(level: DdLevel, width: number, height: number): Cell[] {
+	const indices = parseGodotNumbers(level.tiles?.cells);
+	const colors = level.tiles?.colors ?? [];
+	const perTexture = colors.length === (level.tiles?.textures?.length ?? -1);
+	const cells: Cell[] = [];
+	if (width <= 0 || indices.length !== width * height) return cells;
+	indices.forEach((texture, i) => {
+		if (texture < 0) return;
+		const color = parseDdColor(perTexture ? colors[texture] : colors[i]);
+		cells.push({ x: i % width, y: Math.floor(i / width), color: isWhite(color) ? DEFAULT_COLOR : color?.hex ?? DEFAULT_COLOR });
+	});
+	return cells;
+}
+
+/**
+ * Terrain strokes for a level's splat-painted terrain. Each cell takes the
+ * texture with the most weight; every row's run of same-texture cells becomes
+ * one stroke wide enough to cover the cells' corners.
+ */
+function convertTerrain(
+	terrain: DdTerrain | undefined,
+	width: number,
+	height: number,
+	cellSize: number,
+	resolveSlot: (texture: string | undefined, cellCount: number) => { tilesetId: string; tileId: string } | null,
+	onUnreadable: (reason: string) => void
+): TerrainStroke[] {
+	if (terrain == null || terrain.enabled === false || width <= 0 || height <= 0) return [];
+	const splats = [parseGodotNumbers(terrain.splat), parseGodotNumbers(terrain.splat2)].filter(splat => splat.length > 0);
+	if (splats.length === 0) return [];
+
+	const samples = Math.sqrt(splats[0].length / (4 * width * height));
+	if (!Number.isInteger(samples) || samples < 1 || splats.some(splat => splat.length !== splats[0].length)) {
+		onUnreadable('splat map size does not match the level');
+		return [];
+	}
+
+	// Dominant texture slot per cell
+	const rowWidth = width * samples;
+	const slots = new Array<number>(width * height);
+	for (let row = 0; row < height; row++) {
+		for (let col = 0; col < width; col++) {
+			const weights = new Array<number>(splats.length * 4).fill(0);
+			for (let sy = 0; sy < samples; sy++) {
+				for (let sx = 0; sx < samples; sx++) {
+					const pixel = ((row * samples + sy) * rowWidth + col * samples + sx) * 4;
+					splats.forEach((splat, s) => {
+						for (let c = 0; c < 4; c++) weights[s * 4 + c] += splat[pixel + c];
+					});
+				}
+			}
+			slots[row * width + col] = weights.indexOf(Math.max(...weights));
+		}
+	}
+
+	const counts = new Map<number, number>();
+	for (const slot of slots) counts.set(slot, (counts.get(slot) ?? 0) + 1);
+	const tiles = new Map<number, { tilesetId: string; tileId: string } | null>();
+	for (const [slot, count] of [...counts].sort(([a], [b]) => a - b)) {
+		tiles.set(slot, resolveSlot(terrain[`texture_${slot + 1}`], count));
+	}
+
+	const strokes: TerrainStroke[] = [];
+	const radius = cellSize * Math.SQRT1_2;
+	for (const slot of [...tiles.keys()]) {
+		const tile = tiles.get(slot);
+		if (tile == null) continue;
+		for (let row = 0; row < height; row++) {
+			let col = 0;
+			while (col < width) {
+				if (slots[row * width + col] !== slot) { col++; continue; }
+				const start = col;
+				while (col < width && slots[row * width + col] === slot) col++;
+				const y = (row + 0.5) * cellSize;
+				strokes.push(createTerrainStroke({
+					points: [(start + 0.5) * cellSize, y, (col - 0.5) * cellSize, y],
+					radius,
+					tilesetId: tile.tilesetId,
+					tileId: tile.tileId,
+				}));
+			}
+		}
+	}
+	return strokes;
+}
+
+// ===========================================
+// Report text
+// ===========================================
+
+/** One-line summary of what came across, e.g. "2 boards, 14 walls, 3 lights". */
+function summarizeDdImport(report: DdImportReport): string {
+	const parts: Array<[number, string]> = [
+		[report.boards, 'board'],
+		[report.cells, 'floor cell'],
+		[report.curves, 'floor shape'],
+		[report.terrainStrokes, 'terrain stroke'],
+		[report.walls, 'wall'],
+		[report.openings, 'door'],
+		[report.paths, 'path'],
+		[report.props, 'prop'],
+		[report.lights, 'light'],
+		[report.labels, 'label'],
+	];
+	return parts
+		.filter(([count]) => count > 0)
+		.map(([count, noun]) => `${count} ${noun}${count === 1 ? '' : 's'}`)
+		.join(', ');
+}
+
+/** Report line for one unmapped item: "Cellar: Prop x4 - Dungeondraft built-in asset (barrel_01, crate)". */
+function describeUnmapped(item: DdUnmappedItem): string {
+	const samples = item.samples.length > 0 ? ` (${item.samples.join(', ')})` : '';
+	return `${item.level}: ${item.feature} x${item.count} - ${item.reason}${samples}`;
+}
+
+export {
+	parseDungeondraftMap,
+	convertDungeondraftMap,
+	listReferencedPacks,
+	loadDdPackTiles,
+	parseGodotNumbers,
+	parseDdColor,
+	summarizeDdImport,
+	describeUnmapped,
+};
+export type { DdMapFile, DdPackTiles, DdMapImportOptions, DdImportReport, DdUnmappedItem, DdMapImportResult };
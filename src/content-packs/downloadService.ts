@@ -7,6 +7,7 @@ import type { PluginSettings } from '#types/settings/settings.types';
 import { CONTENT_PACKS_FOLDER } from './contentPackConstants';
 import { ObjectSetHelpers } from '../settings/helpers/objectSetHelpers';
 import { upsertTravelPack, validateTravelPackImport } from '../travel/travelPackOperations';
+import { upsertDungeonStylePack, validateDungeonStylePackImport } from '../generation/dungeonStylePackOperations';
 
 interface PluginLike {
   app: App;
@@ -42,10 +43,10 @@ async function ensureFolder(app: App, path: string): Promise<void> {
 }
 
 /**
- * Travel packs install into plugin settings, not vault folders. The payload
- * may be raw JSON or a zip containing a single .json file.
+ * Parse the payload of a pack that installs into plugin settings: raw JSON,
+ * or a zip containing a single .json file.
  */
-async function installTravelPack(plugin: PluginLike, pack: RegistryPack, payload: Uint8Array): Promise<InstalledPack> {
+function parseSettingsPackPayload(payload: Uint8Array, label: string): unknown {
   let text: string;
   try {
     text = new TextDecoder().decode(payload);
@@ -53,17 +54,14 @@ async function installTravelPack(plugin: PluginLike, pack: RegistryPack, payload
   } catch {
     const extracted = unzipSync(payload);
     const jsonEntry = Object.entries(extracted).find(([name]) => name.endsWith('.json'));
-    if (jsonEntry == null) throw new Error('Travel pack download contains no JSON file');
+    if (jsonEntry == null) throw new Error(`${label} download contains no JSON file`);
     text = new TextDecoder().decode(jsonEntry[1]);
   }
+  return JSON.parse(text);
+}
 
-  const result = validateTravelPackImport(JSON.parse(text));
-  if (!result.valid || result.pack == null) {
-    throw new Error('Invalid travel pack: ' + result.errors.slice(0, 3).join('; '));
-  }
-
-  plugin.settings.travelPacks = upsertTravelPack(plugin.settings.travelPacks ?? [], result.pack);
-
+/** Record a settings-stored pack as installed, save, and announce it */
+async function recordSettingsPackInstall(plugin: PluginLike, pack: RegistryPack): Promise<InstalledPack> {
   const installed: InstalledPack = {
     id: pack.id,
     name: pack.name,
@@ -85,6 +83,32 @@ async function installTravelPack(plugin: PluginLike, pack: RegistryPack, payload
   return installed;
 }
 
+/**
+ * Travel packs install into plugin settings, not vault folders.
+ */
+async function installTravelPack(plugin: PluginLike, pack: RegistryPack, payload: Uint8Array): Promise<InstalledPack> {
+  const result = validateTravelPackImport(parseSettingsPackPayload(payload, 'Travel pack'));
+  if (!result.valid || result.pack == null) {
+    throw new Error('Invalid travel pack: ' + result.errors.slice(0, 3).join('; '));
+  }
+
+  plugin.settings.travelPacks = upsertTravelPack(plugin.settings.travelPacks ?? [], result.pack);
+  return recordSettingsPackInstall(plugin, pack);
+}
+
+/**
+ * Dungeon style packs install into plugin settings like travel packs.
+ */
+async function installDungeonStylePack(plugin: PluginLike, pack: RegistryPack, payload: Uint8Array): Promise<InstalledPack> {
+  const result = validateDungeonStylePackImport(parseSettingsPackPayload(payload, 'Dungeon style pack'));
+  if (!result.valid || result.pack == null) {
+    throw new Error('Invalid dungeon style pack: ' + result.errors.slice(0, 3).join('; '));
+  }
+
+  plugin.settings.dungeonStylePacks = upsertDungeonStylePack(plugin.settings.dungeonStylePacks ?? [], result.pack);
+  return recordSettingsPackInstall(plugin, pack);
+}
+
 async function downloadAndInstallPack(
   plugin: PluginLike,
   pack: RegistryPack
@@ -97,6 +121,9 @@ async function downloadAndInstallPack(
   if (pack.type === 'travel-pack') {
     return installTravelPack(plugin, pack, zipData);
   }
+  if (pack.type === 'dungeon-style-pack') {
+    return installDungeonStylePack(plugin, pack, zipData);
+  }
 
   const extracted = unzipSync(zipData);
 
@@ -32,6 +32,8 @@ async function uninstallPack(plugin: PluginLike, packId: string): Promise<void>
   if (pack.type === 'travel-pack') {
     // Travel packs live in settings, not vault folders
     plugin.settings.travelPacks = (plugin.settings.travelPacks ?? []).filter(p => p.id !== packId);
+  } else if (pack.type === 'dungeon-style-pack') {
+    plugin.settings.dungeonStylePacks = (plugin.settings.dungeonStylePacks ?? []).filter(p => p.id !== packId);
   } else if (pack.vaultPath !== '') {
     const folder = plugin.app.vault.getAbstractFileByPath(pack.vaultPath);
     if (folder != null) {
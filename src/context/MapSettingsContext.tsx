@@ -131,6 +131,7 @@ interface SettingsSaveData {
   distanceSettings: DistanceSettingsSave | null;
   objectSetId?: string | null;
   showParentBackdrop?: boolean;
+  ambientDarkness?: number;
 }
 
 /** Handler functions exposed by context */
@@ -156,6 +157,9 @@ interface MapSettingsHandlers {
   // Sub-hex parent map backdrop override
   setShowParentBackdrop: (value: boolean | undefined) => void;
 
+  // Lighting
+  setAmbientDarkness: (value: number) => void;
+
   // Color picker
   setActiveColorPicker: (picker: string | null) => void;
 
@@ -243,6 +247,7 @@ export interface AppearanceContextValue {
   THEME: typeof THEME;
   fogImageDisplayName: string;
   fogImageSearchResults: ImageSearchResult[];
+  ambientDarkness: number;
   pendingCustomColorRef: MutableRef<HexColor | null>;
   handleToggleUseGlobal: () => void;
   handleColorChange: (key: string, value: SettingsOverrides[keyof SettingsOverrides]) => void;
@@ -253,6 +258,7 @@ export interface AppearanceContextValue {
   handleFogImageSearch: (searchTerm: string) => Promise<void>;
   handleFogImageSelect: (displayName: string) => Promise<void>;
   handleFogImageClear: () => void;
+  setAmbientDarkness: (value: number) => void;
 }
 
 /** Background image context - image, sizing, density, measurement */
@@ -592,13 +598,14 @@ const MapSettingsProvider: FunctionComponent<MapSettingsProviderProps> = ({
     coordinateDisplayMode: state.coordinateDisplayMode,
     objectSetId: state.objectSetId,
     showParentBackdrop: state.showParentBackdrop,
+    ambientDarkness: state.ambientDarkness > 0 ? state.ambientDarkness : undefined,
     distanceSettings: state.distanceSettings.useGlobalDistance ? null : {
       distancePerCell: state.distanceSettings.distancePerCell,
       distanceUnit: state.distanceSettings.distanceUnit,
       gridDiagonalRule: state.distanceSettings.gridDiagonalRule,
       displayFormat: state.distanceSettings.displayFormat
     }
-  }), [state.useGlobalSettings, state.overrides, state.coordinateDisplayMode, state.objectSetId, state.showParentBackdrop, state.distanceSettings]);
+  }), [state.useGlobalSettings, state.overrides, state.coordinateDisplayMode, state.objectSetId, state.showParentBackdrop, state.ambientDarkness, state.distanceSettings]);
 
   const backgroundImageData = useMemo((): BackgroundImageConfig | null => {
     if (state.backgroundImagePath == null || state.backgroundImagePath === '') return null;
@@ -648,6 +655,7 @@ const MapSettingsProvider: FunctionComponent<MapSettingsProviderProps> = ({
       distanceSettings: settingsData.distanceSettings != null ? settingsData.distanceSettings as unknown as Record<string, unknown> : undefined,
       objectSetId: settingsData.objectSetId,
       showParentBackdrop: settingsData.showParentBackdrop,
+      ambientDarkness: settingsData.ambientDarkness,
     };
     onSave(mapSettings, state.preferences, mapType === 'hex' ? state.hexBounds : null, backgroundImageData, calculatedHexSize, forceDelete);
     dispatch({ type: Actions.CLEAR_DELETE_FLAG });
@@ -715,6 +723,7 @@ const MapSettingsProvider: FunctionComponent<MapSettingsProviderProps> = ({
     setDistanceSettings: (updates) => dispatch({ type: Actions.SET_DISTANCE_SETTING, payload: updates }),
     setCoordinateDisplayMode: (mode) => dispatch({ type: Actions.SET_COORDINATE_MODE, payload: mode }),
     setShowParentBackdrop: (value) => dispatch({ type: Actions.SET_PARENT_BACKDROP, payload: value }),
+    setAmbientDarkness: (value) => dispatch({ type: Actions.SET_AMBIENT_DARKNESS, payload: value }),
     setActiveColorPicker: (picker) => dispatch({ type: Actions.SET_ACTIVE_COLOR_PICKER, payload: picker as ColorPickerId }),
     setBackgroundImageDisplayName: (name) => dispatch({ type: Actions.SET_IMAGE_DISPLAY_NAME, payload: name }),
     handleImageClear: () => dispatch({ type: Actions.CLEAR_IMAGE }),
@@ -823,6 +832,7 @@ const MapSettingsProvider: FunctionComponent<MapSettingsProviderProps> = ({
     THEME,
     fogImageDisplayName: state.fogImageDisplayName,
     fogImageSearchResults: state.fogImageSearchResults,
+    ambientDarkness: state.ambientDarkness,
     pendingCustomColorRef,
     handleToggleUseGlobal: handlers.handleToggleUseGlobal,
     handleColorChange: handlers.handleColorChange,
@@ -833,13 +843,15 @@ const MapSettingsProvider: FunctionComponent<MapSettingsProviderProps> = ({
     handleFogImageSearch: handlers.handleFogImageSearch,
     handleFogImageSelect: handlers.handleFogImageSelect,
     handleFogImageClear: handlers.handleFogImageClear,
+    setAmbientDarkness: handlers.setAmbientDarkness,
   }), [
     state.useGlobalSettings, state.overrides, state.activeColorPicker,
     state.objectSetId, state.fogImageDisplayName, state.fogImageSearchResults,
-    globalSettings,
+    state.ambientDarkness, globalSettings,
     handlers.handleColorChange, handlers.handleFogImageClear, handlers.handleFogImageSearch,
     handlers.handleFogImageSelect, handlers.handleLineWidthChange, handlers.handleObjectSetChange,
-    handlers.handleToggleUseGlobal, handlers.setActiveColorPicker, handlers.setFogImageDisplayName
+    handlers.handleToggleUseGlobal, handlers.setActiveColorPicker, handlers.setFogImageDisplayName,
+    handlers.setAmbientDarkness
   ]);
 
   const backgroundImageValue = useMemo((): BackgroundImageContextValue => ({
@@ -0,0 +1,89 @@
+/**
+ * playerViewStore.ts
+ *
+ * Hands the GM's map to player view windows. The GM's full-pane view
+ * publishes what it renders — map data, theme and every pan/zoom change,
+ * including mid-gesture ticks — keyed by map id; player views subscribe and
+ * draw what they receive. Plain module state: popout windows run in the
+ * plugin's JS context, so a second-monitor window sees the same store.
+ *
+ * The last frame per map is kept so a player view opened after the GM has
+ * started shows the current state straight away.
+ */
+
+import type { MapData, StoredViewState } from '#types/core/map.types';
+import type { ResolvedTheme } from '#types/settings/settings.types';
+
+interface PlayerViewFrame {
+  mapData: MapData;
+  viewState: StoredViewState | null;
+  theme: ResolvedTheme | null;
+  tileImagesReady: boolean;
+}
+
+type PlayerViewListener = (frame: PlayerViewFrame) => void;
+
+const frames = new Map<string, PlayerViewFrame>();
+const listeners = new Map<string, Set<PlayerViewListener>>();
+
+function notify(mapId: string, frame: PlayerViewFrame): void {
+  frames.set(mapId, frame);
+  for (const listener of listeners.get(mapId) ?? []) listener(frame);
+}
+
+/**
+ * Publish the GM's current map. The view keeps following the last
+ * published viewState; mapData.viewState only seeds it.
+ */
+function publishPlayerViewMap(
+  mapId: string,
+  mapData: MapData,
+  theme: ResolvedTheme | null = null,
+  tileImagesReady = false
+): void {
+  const viewState = frames.get(mapId)?.viewState ?? mapData.viewState ?? null;
+  notify(mapId, { mapData, viewState, theme, tileImagesReady });
+}
+
+/**
+ * Publish a pan/zoom change. Ignored until the map itself has been published.
+ */
+function publishPlayerViewState(mapId: string, viewState: StoredViewState): void {
+  const frame = frames.get(mapId);
+  if (!frame) return;
+  notify(mapId, { ...frame, viewState });
+}
+
+function getPlayerViewFrame(mapId: string): PlayerViewFrame | null {
+  return frames.get(mapId) ?? null;
+}
+
+/**
+ * Follow a map's published frames. Returns an unsubscribe.
+ */
+function subscribePlayerView(mapId: string, listener: PlayerViewListener): () => void {
+  let set = listeners.get(mapId);
+  if (!set) {
+    set = new Set();
+    listeners.set(mapId, set);
+  }
+  set.add(listener);
+  return () => {
+    set.delete(listener);
+    if (set.size === 0) listeners.delete(mapId);
+  };
+}
+
+/** Drop a map's frame, e.g. when the map is deleted. */
+function clearPlayerView(mapId: string): void {
+  frames.delete(mapId);
+}
+
+export type { PlayerViewFrame };
+export {
+  publishPlayerViewMap,
+  publishPlayerViewState,
+  getPlayerViewFrame,
+  subscribePlayerView,
+  clearPlayerView
+};
@@ -12,6 +12,7 @@
 
 import type { NavigationEventDetail } from '../persistence/deepLinkHandler';
 import type { ObjectLink } from '#types/objects/object.types';
+import type { SessionLogEntry } from '#types/core/sessionLog.types';
 
 /**
  * Per-mount instance scoping for map-scoped events.
@@ -114,6 +115,11 @@ export interface PlayerFogClearDetail extends InstanceScopedDetail {
   objectId: string;
 }
 
+/** Something worth keeping in the active layer's session log happened. */
+export interface SessionLogDetail extends InstanceScopedDetail {
+  entry: SessionLogEntry;
+}
+
 /** Cross-layer object link creation. */
 export interface CreateObjectLinkDetail extends InstanceScopedDetail {
   sourceLayerId: string;
@@ -156,6 +162,7 @@ export interface WindroseEventMap {
   'windrose:center-on-region': CustomEvent<RegionIdDetail>;
   'windrose:before-undo': CustomEvent<InstanceScopedDetail | null>;
   'windrose:player-fog-clear': CustomEvent<PlayerFogClearDetail>;
+  'windrose:session-log': CustomEvent<SessionLogDetail>;
   'windrose-navigate-to': CustomEvent<NavigationEventDetail>;
   'windrose-create-object-link': CustomEvent<CreateObjectLinkDetail>;
   'windrose-remove-object-link': CustomEvent<RemoveObjectLinkDetail>;
@@ -70,7 +70,11 @@ function appendRouteWaypoint(
   }
   const previous = route.segmentTerrains[route.segmentTerrains.length - 1];
   const newTerrain = route.segmentTerrains.length > 0 ? (previous ?? null) : firstSegmentTerrainId;
-  return { points: nextPoints, segmentTerrains: [...route.segmentTerrains, newTerrain] };
+  return {
+    points: nextPoints,
+    segmentTerrains: [...route.segmentTerrains, newTerrain],
+    ...(route.manualTerrains != null ? { manualTerrains: [...route.manualTerrains, false] } : {}),
+  };
 }
 
 /**
@@ -80,11 +84,13 @@ function removeLastRouteWaypoint(route: MeasurementRoute): MeasurementRoute {
   return {
     points: route.points.slice(0, -1),
     segmentTerrains: route.segmentTerrains.slice(0, -1),
+    ...(route.manualTerrains != null ? { manualTerrains: route.manualTerrains.slice(0, -1) } : {}),
   };
 }
 
 /**
- * Assign a terrain (or null = unassigned) to one segment by index.
+ * Assign a terrain (or null = unassigned) to one segment by index. The pick
+ * is marked manual so terrain rules won't overwrite it.
  */
 function setSegmentTerrain(
   route: MeasurementRoute,
@@ -94,7 +100,8 @@ function setSegmentTerrain(
   if (segmentIndex < 0 || segmentIndex >= route.segmentTerrains.length) return route;
   const segmentTerrains = [...route.segmentTerrains];
   segmentTerrains[segmentIndex] = terrainId;
-  return { points: route.points, segmentTerrains };
+  const manualTerrains = segmentTerrains.map((_, i) => i === segmentIndex || (route.manualTerrains?.[i] ?? false));
+  return { points: route.points, segmentTerrains, manualTerrains };
 }
 
 /**
@@ -157,6 +164,28 @@ function getCellPitchPixels(geometry: IGeometry): number {
   return Math.hypot(b.worldX - a.worldX, b.worldY - a.worldY);
 }
 
+/**
+ * Every cell a waypoint sequence passes through, in order and without
+ * repeats (waypoints included). Used to lift fog along a travelled route.
+ */
+function getRouteCells(points: Point[], geometry: IGeometry): Point[] {
+  const seen = new Set<string>();
+  const cells: Point[] = [];
+  const visit = (cell: Point): void => {
+    const key = `${cell.x},${cell.y}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    cells.push({ x: cell.x, y: cell.y });
+  };
+  if (points.length === 1) visit(points[0]);
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    geometry.getCellsInLine(from.x, from.y, to.x, to.y).forEach(visit);
+  }
+  return cells;
+}
+
 /**
  * Distance from a point to a line segment (both in the same coordinate
  * space). Used for route hover/tap hit-testing.
@@ -206,6 +235,18 @@ function updateSavedRoute(
   });
 }
 
+/**
+ * Forget that a saved route was travelled. Unknown ids are a no-op.
+ */
+function clearRouteTravelled(routes: SavedRoute[], routeId: string): SavedRoute[] {
+  return routes.map(r => {
+    if (r.id !== routeId || r.travelled == null) return r;
+    const next: SavedRoute = { ...r };
+    delete next.travelled;
+    return next;
+  });
+}
+
 /**
  * Remove a saved route by id. Returns a new array; the original is not modified.
  */
@@ -224,8 +265,10 @@ export {
   sumDistances,
   computeEuclideanPathLength,
   getCellPitchPixels,
+  getRouteCells,
   distanceToSegment,
   createSavedRoute,
   updateSavedRoute,
+  clearRouteTravelled,
   removeSavedRoute,
 };
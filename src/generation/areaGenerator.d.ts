@@ -0,0 +1,46 @@
+// Type declaration shim for areaGenerator.js
+// The actual implementation is in areaGenerator.js with JSDoc annotations.
+
+import type { CellCoord, DungeonResult } from './dungeonGenerator';
+
+export interface GridArea {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface AreaOpening extends CellCoord {
+  /** Painted cell just outside the area that this border cell joins */
+  outside: CellCoord;
+  side: 'top' | 'bottom' | 'left' | 'right';
+  /** The outside cell holds a door */
+  door: boolean;
+}
+
+export interface AreaExistingContent {
+  cells?: Array<{ x: number; y: number }>;
+  edges?: Array<{ x: number; y: number; side: string }>;
+  objects?: Array<{ type: string; position: { x: number; y: number } }>;
+}
+
+export interface AreaDungeonResult extends DungeonResult {
+  metadata: DungeonResult['metadata'] & {
+    preset: string;
+    area: GridArea;
+    openings: AreaOpening[];
+  };
+}
+
+export function generateDungeonInArea(
+  area: GridArea,
+  existing: AreaExistingContent,
+  presetName?: string | null,
+  color?: string,
+  configOverrides?: Record<string, unknown> & { maxOpenings?: number }
+): AreaDungeonResult | null;
+export function findBoundaryOpenings(area: GridArea, existing: AreaExistingContent, maxOpenings?: number): AreaOpening[];
+export function areaFromCorners(x1: number, y1: number, x2: number, y2: number): GridArea;
+export function presetForArea(area: Pick<GridArea, 'width' | 'height'>): string;
+
+export const AREA_DEFAULTS: { maxOpenings: number; minSide: number };
@@ -0,0 +1,289 @@
+/**
+ * areaGenerator.js
+ *
+ * Generates a dungeon section inside a rectangle of an existing grid map.
+ * The regular dungeon pipeline runs on a grid the size of the area, with
+ * the map's painted cells blocked for rooms, and a one-cell opening room
+ * seeded wherever existing floor or a door meets the area's border so the
+ * section's corridors join the surrounding map. The result is translated
+ * back to map coordinates and never overwrites painted cells.
+ */
+
+import { DUNGEON_PRESETS, DEFAULT_FLOOR_COLOR, generateDungeon } from './dungeonGenerator';
+import { analyzeLayout, reconnectLayout } from './dungeonConstraints';
+import { createSeededRandom, deriveSeed } from './seededRandom';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const AREA_DEFAULTS = {
+  /** Most openings the section connects to; doors are kept first */
+  maxOpenings: 6,
+  /** Smallest area side that can hold a room and its corridors */
+  minSide: 6
+};
+
+const DOOR_TYPES = new Set(['door-horizontal', 'door-vertical', 'secret-door']);
+
+// Border sides: step from a border cell to its outside neighbour
+const SIDES = [
+  { name: 'top', dx: 0, dy: -1 },
+  { name: 'bottom', dx: 0, dy: 1 },
+  { name: 'left', dx: -1, dy: 0 },
+  { name: 'right', dx: 1, dy: 0 }
+];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function cellKey(x, y) {
+  return `${x},${y}`;
+}
+
+/**
+ * Build a normalized area from two opposite corner cells (inclusive).
+ * @param {number} x1 - First corner x
+ * @param {number} y1 - First corner y
+ * @param {number} x2 - Second corner x
+ * @param {number} y2 - Second corner y
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function areaFromCorners(x1, y1, x2, y2) {
+  const x = Math.min(x1, x2);
+  const y = Math.min(y1, y2);
+  return { x, y, width: Math.abs(x2 - x1) + 1, height: Math.abs(y2 - y1) + 1 };
+}
+
+function isInArea(x, y, area) {
+  return x >= area.x && x < area.x + area.width && y >= area.y && y < area.y + area.height;
+}
+
+/**
+ * Key of the wall edge between two orthogonally adjacent cells, in the
+ * stored right/bottom form.
+ */
+function wallKeyBetween(a, b) {
+  if (a.x === b.x) return `${a.x},${Math.min(a.y, b.y)},bottom`;
+  return `${Math.min(a.x, b.x)},${a.y},right`;
+}
+
+/**
+ * Move a room (and the parts of a composite room) into map coordinates.
+ */
+function translateRoom(room, area) {
+  const moved = { ...room, x: room.x + area.x, y: room.y + area.y };
+  if (room.parts) {
+    moved.parts = room.parts.map(part => ({ ...part, x: part.x + area.x, y: part.y + area.y }));
+  }
+  return moved;
+}
+
+/**
+ * Preset whose grid best matches the area, so room sizes suit the space.
+ * @param {{width: number, height: number}} area
+ * @returns {string} Preset name
+ */
+function presetForArea(area) {
+  const side = Math.max(area.width, area.height);
+  if (side < 30) return 'small';
+  if (side < 50) return 'medium';
+  return 'large';
+}
+
+// =============================================================================
+// OPENINGS
+// =============================================================================
+
+/**
+ * Find where existing floor meets the area's border: painted cells just
+ * outside the area whose neighbour inside the area is empty and not walled
+ * off. Adjacent candidates along a side form one opening; a door in the run
+ * wins, otherwise its middle cell is used.
+ * @param {{x: number, y: number, width: number, height: number}} area
+ * @param {Object} existing - { cells, edges, objects } of the target layer
+ * @param {number} [maxOpenings] - Cap on openings returned (doors first)
+ * @returns {Array<{x: number, y: number, outside: {x: number, y: number}, side: string, door: boolean}>}
+ *   `x`/`y` is the border cell inside the area, `outside` the cell it joins
+ */
+function findBoundaryOpenings(area, existing, maxOpenings = AREA_DEFAULTS.maxOpenings) {
+  const painted = new Set((existing.cells ?? []).map(c => cellKey(c.x, c.y)));
+  const walls = new Set((existing.edges ?? []).map(e => `${e.x},${e.y},${e.side}`));
+  const doorCells = new Set(
+    (existing.objects ?? []).filter(o => DOOR_TYPES.has(o.type)).map(o => cellKey(o.position.x, o.position.y))
+  );
+
+  const openings = [];
+  for (const side of SIDES) {
+    const horizontal = side.dy !== 0;
+    const length = horizontal ? area.width : area.height;
+    let run = [];
+
+    const closeRun = () => {
+      if (run.length === 0) return;
+      const door = run.find(c => c.door);
+      openings.push(door ?? run[Math.floor((run.length - 1) / 2)]);
+      run = [];
+    };
+
+    for (let i = 0; i < length; i++) {
+      const inside = horizontal
+        ? { x: area.x + i, y: side.dy < 0 ? area.y : area.y + area.height - 1 }
+        : { x: side.dx < 0 ? area.x : area.x + area.width - 1, y: area.y + i };
+      const outside = { x: inside.x + side.dx, y: inside.y + side.dy };
+
+      const open = painted.has(cellKey(outside.x, outside.y)) &&
+        !painted.has(cellKey(inside.x, inside.y)) &&
+        !walls.has(wallKeyBetween(inside, outside));
+
+      if (open) {
+        run.push({ x: inside.x, y: inside.y, outside, side: side.name, door: doorCells.has(cellKey(outside.x, outside.y)) });
+      } else {
+        closeRun();
+      }
+    }
+    closeRun();
+  }
+
+  // A corner cell can open on two sides; keep it once
+  const seen = new Set();
+  const unique = openings.filter(o => {
+    const key = cellKey(o.x, o.y);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  unique.sort((a, b) => Number(b.door) - Number(a.door));
+  return unique.slice(0, maxOpenings);
+}
+
+// =============================================================================
+// MAIN GENERATION FUNCTION
+// =============================================================================
+
+/**
+ * Generate a dungeon section inside an area of an existing map.
+ * @param {{x: number, y: number, width: number, height: number}} area - Grid
+ *   rectangle to fill (see areaFromCorners)
+ * @param {Object} existing - { cells, edges, objects } already on the layer
+ * @param {string|null} [presetName] - Size preset; null picks one from the area
+ * @param {string} [color] - Floor color (configOverrides.floorColor wins)
+ * @param {Object} [configOverrides] - As for generateDungeon, plus
+ *   `maxOpenings`. Layout constraints are not applied to sections, and
+ *   sections are always room-based: a cave style lends only its colors and
+ *   door and water chances.
+ * @returns {Object|null} { cells, objects, edges, metadata } in map
+ *   coordinates holding only the new content, or null when no room fits.
+ *   metadata.openings lists the border cells the section connects to.
+ */
+function generateDungeonInArea(area, existing, presetName = null, color = DEFAULT_FLOOR_COLOR, configOverrides = {}) {
+  if (area.width < AREA_DEFAULTS.minSide || area.height < AREA_DEFAULTS.minSide) return null;
+
+  const preset = presetName ?? presetForArea(area);
+  const base = DUNGEON_PRESETS[preset] ?? DUNGEON_PRESETS.medium;
+
+  // Local grid coordinates: the area's top-left cell is 0,0
+  const painted = new Set((existing.cells ?? []).map(c => cellKey(c.x, c.y)));
+  const blockedCells = new Set();
+  let freeCells = 0;
+  for (let x = area.x - 1; x <= area.x + area.width; x++) {
+    for (let y = area.y - 1; y <= area.y + area.height; y++) {
+      if (painted.has(cellKey(x, y))) {
+        blockedCells.add(cellKey(x - area.x, y - area.y));
+      } else if (isInArea(x, y, area)) {
+        freeCells++;
+      }
+    }
+  }
+
+  const openings = findBoundaryOpenings(area, existing, configOverrides.maxOpenings ?? AREA_DEFAULTS.maxOpenings);
+  const localOpenings = openings.map(o => ({ x: o.x - area.x, y: o.y - area.y }));
+  const openingKeys = new Set(localOpenings.map(o => cellKey(o.x, o.y)));
+
+  // Scale the room count to the free space against the preset's full grid
+  const share = freeCells / (base.gridWidth * base.gridHeight);
+  const roomCount = {
+    min: Math.max(1, Math.round(base.roomCount.min * share)),
+    max: Math.max(1, Math.round(base.roomCount.max * share))
+  };
+
+  const { constraints: _constraints, maxOpenings: _maxOpenings, layout: _layout, ...overrides } = configOverrides;
+  const result = generateDungeon(preset, color, {
+    roomCount,
+    ...overrides,
+    gridWidth: area.width,
+    gridHeight: area.height,
+    blockedCells,
+    openings: localOpenings,
+    // The cave pass knows nothing of openings or blocked cells; this also
+    // clears the layout a cave style brings in
+    layout: undefined
+  });
+  if (result.metadata.rooms.length === 0) return null;
+
+  // Opening cells are passages to the outside, never walled
+  const touchesOpening = (edge) => {
+    const other = edge.side === 'right' ? { x: edge.x + 1, y: edge.y } : { x: edge.x, y: edge.y + 1 };
+    return openingKeys.has(cellKey(edge.x, edge.y)) || openingKeys.has(cellKey(other.x, other.y));
+  };
+  result.edges = result.edges.filter(edge => !touchesOpening(edge));
+
+  // Failed door rolls can wall rooms off; open walls until every room joins
+  // the first opening. The openings count as rooms here so the layout graph
+  // has a node to start from.
+  if (localOpenings.length > 0) {
+    const openingRooms = localOpenings.map((o, i) => ({ id: `opening-${i}`, x: o.x, y: o.y, width: 1, height: 1, shape: 'rectangle' }));
+    const layout = analyzeLayout({ ...result, metadata: { rooms: [...openingRooms, ...result.metadata.rooms] } });
+    reconnectLayout(result, layout, openingRooms[0].id, createSeededRandom(deriveSeed(result.metadata.seed, 'area')));
+  }
+
+  const toMap = (point) => ({ ...point, x: point.x + area.x, y: point.y + area.y });
+
+  // Painted cells stay as they are: a corridor crossing existing floor joins it
+  const keep = (cell) => isInArea(cell.x, cell.y, area) && !painted.has(cellKey(cell.x, cell.y));
+  const cells = result.cells.map(toMap).filter(keep);
+  const edges = result.edges.map(toMap);
+
+  // With openings the section is entered from the map, so it needs no stairs;
+  // an isolated section keeps its entrance stairs so it can still be reached
+  const stairIds = openings.length > 0
+    ? new Set([result.metadata.entryStairsId, result.metadata.exitStairsId])
+    : new Set();
+  const objects = result.objects
+    .filter(obj => !stairIds.has(obj.id))
+    .map(obj => ({ ...obj, position: toMap(obj.position) }))
+    .filter(obj => keep(obj.position));
+
+  const { metadata } = result;
+  return {
+    cells,
+    objects,
+    edges,
+    metadata: {
+      ...metadata,
+      rooms: metadata.rooms.map(room => translateRoom(room, area)),
+      corridorResult: {
+        cells: metadata.corridorResult.cells.map(toMap),
+        byConnection: metadata.corridorResult.byConnection.map(conn => ({
+          ...conn,
+          cells: conn.cells.map(toMap),
+          orderedPath: conn.orderedPath.map(toMap)
+        }))
+      },
+      doorPositions: metadata.doorPositions.map(toMap),
+      entryStairsId: stairIds.size > 0 ? undefined : metadata.entryStairsId,
+      exitStairsId: stairIds.size > 0 ? undefined : metadata.exitStairsId,
+      preset,
+      area,
+      openings
+    }
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { generateDungeonInArea, findBoundaryOpenings, areaFromCorners, presetForArea, AREA_DEFAULTS };
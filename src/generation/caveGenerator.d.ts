@@ -0,0 +1,73 @@
+// Type declaration shim for caveGenerator.js
+// The actual implementation is in caveGenerator.js with JSDoc annotations.
+
+import type { CellCoord } from './dungeonGenerator';
+
+export interface CaveChamber {
+  id: number;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  shape: 'composite';
+  parts: Array<{ x: number; y: number; width: number; height: number }>;
+}
+
+export interface CaveLayout {
+  floorCells: CellCoord[];
+  rooms: CaveChamber[];
+  corridorResult: {
+    cells: CellCoord[];
+    byConnection: Array<{ cells: CellCoord[]; orderedPath: CellCoord[]; width: number }>;
+  };
+}
+
+export interface CaveLayoutConfig {
+  gridWidth: number;
+  gridHeight: number;
+  caveFillChance?: number;
+  caveSmoothingPasses?: number;
+  caveMinRegionSize?: number;
+  caveMinChamberSize?: number;
+  caveChamberSpacing?: number;
+  caveTunnelWander?: number;
+}
+
+export const CAVE_DEFAULTS: {
+  fillChance: number;
+  smoothingPasses: number;
+  minRegionSize: number;
+  minChamberSize: number;
+  chamberSpacing: number;
+  tunnelWander: number;
+};
+
+export function generateCaveLayout(config: CaveLayoutConfig, random?: () => number): CaveLayout;
+export function seedCaveGrid(width: number, height: number, fillChance: number, random: () => number): Uint8Array;
+export function smoothCaveGrid(grid: Uint8Array, width: number, height: number): Uint8Array;
+export function findCaveRegions(grid: Uint8Array, width: number, height: number): number[][];
+export function connectCaveRegions(
+  grid: Uint8Array,
+  width: number,
+  height: number,
+  minRegionSize: number,
+  wander: number,
+  random: () => number
+): CellCoord[][];
+export function carveCaveTunnel(
+  grid: Uint8Array,
+  width: number,
+  from: CellCoord,
+  to: CellCoord,
+  wander: number,
+  random: () => number
+): CellCoord[];
+export function detectCaveChambers(
+  grid: Uint8Array,
+  width: number,
+  height: number,
+  minChamberSize: number,
+  spacing: number
+): { rooms: CaveChamber[]; passageCells: CellCoord[] };
+export function computeWallDistance(grid: Uint8Array, width: number, height: number): Int32Array;
+export function cellsToRowParts(cells: CellCoord[]): Array<{ x: number; y: number; width: number; height: number }>;
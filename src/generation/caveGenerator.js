@@ -0,0 +1,451 @@
+/**
+ * caveGenerator.js
+ *
+ * Cave layout phase for the Cavern style. Replaces the room scatter of the
+ * main pipeline with a natural cave:
+ *   1. Cellular Automata - random fill smoothed into organic rock/floor
+ *   2. Region Detection - flood fill, cull slivers, tunnel pockets together
+ *   3. Chamber Detection - wide areas become rooms, narrow runs become passages
+ *
+ * Chambers are emitted as composite rooms (one part per row run) so the rest
+ * of the pipeline — stairs, water, stocking — treats them like any other room.
+ * All rolls come from the `random` argument so seeded runs stay reproducible.
+ */
+
+// =============================================================================
+// DEFAULTS
+// =============================================================================
+
+const CAVE_DEFAULTS = {
+  fillChance: 0.45,       // Initial chance a cell starts as rock
+  smoothingPasses: 5,     // Automata iterations
+  minRegionSize: 12,      // Pockets smaller than this are filled back in
+  minChamberSize: 9,      // Open areas smaller than this stay passage
+  chamberSpacing: 7,      // Minimum distance between chamber centres
+  tunnelWander: 0.35      // Chance a tunnel step swaps axis (0 = straight L)
+};
+
+const WALL = 1;
+const FLOOR = 0;
+
+/** Half-size of the open square kept around a multi-level entry anchor */
+const ANCHOR_CLEARING_RADIUS = 2;
+
+// =============================================================================
+// PHASE 1: CELLULAR AUTOMATA
+// =============================================================================
+
+/**
+ * Randomly fill a grid with rock. The outer ring is always rock so the cave
+ * never touches the map edge.
+ * @param {number} width - Grid width in cells
+ * @param {number} height - Grid height in cells
+ * @param {number} fillChance - Probability (0-1) a cell starts as rock
+ * @param {() => number} random - Random source
+ * @returns {Uint8Array} Row-major grid, 1 = rock, 0 = floor
+ */
+function seedCaveGrid(width, height, fillChance, random) {
+  const grid = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const isBorder = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+      grid[y * width + x] = isBorder || random() < fillChance ? WALL : FLOOR;
+    }
+  }
+  return grid;
+}
+
+/**
+ * Count rock cells among the 8 neighbours. Off-grid counts as rock.
+ */
+function countWallNeighbors(grid, width, height, x, y) {
+  let count = 0;
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if (dx === 0 && dy === 0) continue;
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= width || ny >= height || grid[ny * width + nx] === WALL) {
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * One automata pass (the classic 4-5 rule): five or more rock neighbours
+ * turns a cell to rock, three or fewer opens it, four leaves it unchanged.
+ * @returns {Uint8Array} New grid
+ */
+function smoothCaveGrid(grid, width, height) {
+  const next = new Uint8Array(grid.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+        next[i] = WALL;
+        continue;
+      }
+      const walls = countWallNeighbors(grid, width, height, x, y);
+      if (walls >= 5) next[i] = WALL;
+      else if (walls <= 3) next[i] = FLOOR;
+      else next[i] = grid[i];
+    }
+  }
+  return next;
+}
+
+/**
+ * Force a square of floor around a cell (kept off the rock border). Used to
+ * guarantee the multi-level entry anchor lands in open cave.
+ * @param {{x: number, y: number}} center - Cell to clear around
+ * @param {number} radius - Half-size of the square
+ */
+function clearCaveArea(grid, width, height, center, radius) {
+  for (let y = Math.max(1, center.y - radius); y <= Math.min(height - 2, center.y + radius); y++) {
+    for (let x = Math.max(1, center.x - radius); x <= Math.min(width - 2, center.x + radius); x++) {
+      grid[y * width + x] = FLOOR;
+    }
+  }
+}
+
+// =============================================================================
+// PHASE 2: REGION DETECTION & CONNECTION
+// =============================================================================
+
+/**
+ * Find 4-connected floor regions.
+ * @returns {number[][]} Regions as arrays of grid indices, largest first
+ */
+function findCaveRegions(grid, width, height) {
+  const visited = new Uint8Array(grid.length);
+  const regions = [];
+
+  for (let start = 0; start < grid.length; start++) {
+    if (grid[start] !== FLOOR || visited[start]) continue;
+
+    const region = [];
+    const stack = [start];
+    visited[start] = 1;
+    while (stack.length > 0) {
+      const i = stack.pop();
+      region.push(i);
+      const x = i % width;
+      const y = Math.floor(i / width);
+      const neighbors = [
+        x > 0 ? i - 1 : -1,
+        x < width - 1 ? i + 1 : -1,
+        y > 0 ? i - width : -1,
+        y < height - 1 ? i + width : -1
+      ];
+      for (const n of neighbors) {
+        if (n >= 0 && grid[n] === FLOOR && !visited[n]) {
+          visited[n] = 1;
+          stack.push(n);
+        }
+      }
+    }
+    regions.push(region);
+  }
+
+  return regions.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Region cells that touch rock — the only candidates for a closest pair,
+ * which keeps the pair search cheap on large caves.
+ */
+function getRegionEdgeCells(grid, width, region) {
+  return region.filter(i =>
+    grid[i - 1] === WALL || grid[i + 1] === WALL ||
+    grid[i - width] === WALL || grid[i + width] === WALL
+  );
+}
+
+/**
+ * Carve a one-wide tunnel between two cells. Each step moves toward the
+ * target; `wander` is the chance of stepping along the other axis, which
+ * gives a ragged staircase instead of a clean L. Always terminates in
+ * |dx| + |dy| steps.
+ * @returns {Array<{x: number, y: number}>} Ordered path, both ends included
+ */
+function carveCaveTunnel(grid, width, from, to, wander, random) {
+  let x = from.x;
+  let y = from.y;
+  const path = [{ x, y }];
+
+  while (x !== to.x || y !== to.y) {
+    const dx = to.x - x;
+    const dy = to.y - y;
+    let moveX = Math.abs(dx) >= Math.abs(dy);
+    if (dx !== 0 && dy !== 0 && random() < wander) moveX = !moveX;
+    if (moveX && dx !== 0) x += Math.sign(dx);
+    else y += Math.sign(dy);
+
+    grid[y * width + x] = FLOOR;
+    path.push({ x, y });
+  }
+
+  return path;
+}
+
+/**
+ * Drop regions below minRegionSize (the largest always survives), then join
+ * every remaining region to the growing main cave through its closest pair
+ * of edge cells.
+ * @returns {Array<Array<{x: number, y: number}>>} Tunnel paths carved
+ */
+function connectCaveRegions(grid, width, height, minRegionSize, wander, random) {
+  const regions = findCaveRegions(grid, width, height);
+  if (regions.length === 0) return [];
+
+  const kept = [regions[0]];
+  for (const region of regions.slice(1)) {
+    if (region.length >= minRegionSize) {
+      kept.push(region);
+    } else {
+      for (const i of region) grid[i] = WALL;
+    }
+  }
+
+  const tunnels = [];
+  let connectedEdges = getRegionEdgeCells(grid, width, kept[0]);
+  const pending = kept.slice(1).map(region => getRegionEdgeCells(grid, width, region));
+
+  while (pending.length > 0) {
+    // Closest pending region to anything already connected
+    let best = null;
+    for (let r = 0; r < pending.length; r++) {
+      for (const a of pending[r]) {
+        const ax = a % width;
+        const ay = Math.floor(a / width);
+        for (const b of connectedEdges) {
+          const distance = Math.abs(ax - (b % width)) + Math.abs(ay - Math.floor(b / width));
+          if (!best || distance < best.distance) {
+            best = { distance, regionIndex: r, from: a, to: b };
+          }
+        }
+      }
+    }
+
+    const from = { x: best.from % width, y: Math.floor(best.from / width) };
+    const to = { x: best.to % width, y: Math.floor(best.to / width) };
+    const path = carveCaveTunnel(grid, width, from, to, wander, random);
+    tunnels.push(path);
+
+    const [joined] = pending.splice(best.regionIndex, 1);
+    connectedEdges = connectedEdges.concat(joined, path.map(c => c.y * width + c.x));
+  }
+
+  return tunnels;
+}
+
+// =============================================================================
+// PHASE 3: CHAMBER DETECTION
+// =============================================================================
+
+/**
+ * Compress a cell list into row runs for a composite room's parts.
+ */
+function cellsToRowParts(cells) {
+  const sorted = [...cells].sort((a, b) => a.y - b.y || a.x - b.x);
+  const parts = [];
+  for (const cell of sorted) {
+    const last = parts[parts.length - 1];
+    if (last && last.y === cell.y && last.x + last.width === cell.x) {
+      last.width++;
+    } else {
+      parts.push({ x: cell.x, y: cell.y, width: 1, height: 1 });
+    }
+  }
+  return parts;
+}
+
+/**
+ * Distance from each floor cell to the nearest rock (8-connected steps);
+ * rock cells are 0.
+ * @returns {Int32Array} Distance per grid index
+ */
+function computeWallDistance(grid, width, height) {
+  const distance = new Int32Array(grid.length).fill(-1);
+  const queue = [];
+  for (let i = 0; i < grid.length; i++) {
+    if (grid[i] === WALL) {
+      distance[i] = 0;
+      queue.push(i);
+    }
+  }
+  for (let head = 0; head < queue.length; head++) {
+    const i = queue[head];
+    const x = i % width;
+    const y = Math.floor(i / width);
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const n = ny * width + nx;
+        if (distance[n] === -1) {
+          distance[n] = distance[i] + 1;
+          queue.push(n);
+        }
+      }
+    }
+  }
+  return distance;
+}
+
+/**
+ * Split the cave floor into chambers and passages. Cells at least two steps
+ * from rock are "wide"; chamber centres are picked from the widest cells
+ * outward, at least `spacing` apart, so one sprawling cavern becomes several
+ * chambers. Wide cells go to their nearest centre, each chamber then takes
+ * one ring of the floor around it, and whatever floor is left is passage.
+ * @returns {{rooms: Array, passageCells: Array<{x: number, y: number}>}}
+ */
+function detectCaveChambers(grid, width, height, minChamberSize, spacing) {
+  const distance = computeWallDistance(grid, width, height);
+
+  const wide = [];
+  for (let i = 0; i < grid.length; i++) {
+    if (distance[i] >= 2) wide.push(i);
+  }
+  wide.sort((a, b) => distance[b] - distance[a] || a - b);
+
+  const centers = [];
+  for (const i of wide) {
+    const x = i % width;
+    const y = Math.floor(i / width);
+    const crowded = centers.some(c =>
+      Math.max(Math.abs(c % width - x), Math.abs(Math.floor(c / width) - y)) < spacing
+    );
+    if (!crowded) centers.push(i);
+  }
+
+  // Multi-source flood through wide cells: nearest centre wins
+  const owner = new Int32Array(grid.length).fill(-1);
+  const queue = [];
+  centers.forEach((c, index) => {
+    owner[c] = index;
+    queue.push(c);
+  });
+  for (let head = 0; head < queue.length; head++) {
+    const i = queue[head];
+    for (const n of [i - 1, i + 1, i - width, i + width]) {
+      if (distance[n] >= 2 && owner[n] === -1) {
+        owner[n] = owner[i];
+        queue.push(n);
+      }
+    }
+  }
+
+  // One ring of bordering floor joins the chamber it touches first
+  const members = centers.map(() => []);
+  for (let i = 0; i < grid.length; i++) {
+    if (owner[i] !== -1) members[owner[i]].push(i);
+  }
+  members.forEach((cells, index) => {
+    for (const i of [...cells]) {
+      for (const n of [i - 1, i + 1, i - width, i + width]) {
+        if (grid[n] === FLOOR && owner[n] === -1) {
+          owner[n] = index;
+          cells.push(n);
+        }
+      }
+    }
+  });
+
+  const rooms = [];
+  for (const cellIndices of members) {
+    if (cellIndices.length < minChamberSize) {
+      for (const i of cellIndices) owner[i] = -1;
+      continue;
+    }
+
+    const cells = cellIndices.map(i => ({ x: i % width, y: Math.floor(i / width) }));
+    const xs = cells.map(c => c.x);
+    const ys = cells.map(c => c.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    rooms.push({
+      id: rooms.length,
+      x: minX,
+      y: minY,
+      width: Math.max(...xs) - minX + 1,
+      height: Math.max(...ys) - minY + 1,
+      shape: 'composite',
+      parts: cellsToRowParts(cells)
+    });
+  }
+
+  const passageCells = [];
+  for (let i = 0; i < grid.length; i++) {
+    if (grid[i] === FLOOR && owner[i] === -1) {
+      passageCells.push({ x: i % width, y: Math.floor(i / width) });
+    }
+  }
+
+  return { rooms, passageCells };
+}
+
+// =============================================================================
+// MAIN CAVE LAYOUT
+// =============================================================================
+
+/**
+ * Generate a cave layout on the config's grid.
+ * @param {Object} config - Merged generation config. Reads gridWidth,
+ *   gridHeight, entryAnchor (a cell that must end up as open floor) and the
+ *   optional caveFillChance, caveSmoothingPasses,
+ *   caveMinRegionSize, caveMinChamberSize, caveChamberSpacing and
+ *   caveTunnelWander.
+ * @param {() => number} [random=Math.random] - Random source
+ * @returns {Object} { floorCells, rooms, corridorResult } where corridorResult
+ *   matches the shape carveCorridors returns (passages + tunnels)
+ */
+function generateCaveLayout(config, random = Math.random) {
+  const width = config.gridWidth;
+  const height = config.gridHeight;
+  const fillChance = config.caveFillChance ?? CAVE_DEFAULTS.fillChance;
+  const passes = config.caveSmoothingPasses ?? CAVE_DEFAULTS.smoothingPasses;
+  const minRegionSize = config.caveMinRegionSize ?? CAVE_DEFAULTS.minRegionSize;
+  const minChamberSize = config.caveMinChamberSize ?? CAVE_DEFAULTS.minChamberSize;
+  const spacing = config.caveChamberSpacing ?? CAVE_DEFAULTS.chamberSpacing;
+  const wander = config.caveTunnelWander ?? CAVE_DEFAULTS.tunnelWander;
+
+  const anchor = config.entryAnchor ?? null;
+
+  let grid = seedCaveGrid(width, height, fillChance, random);
+  for (let pass = 0; pass < passes; pass++) {
+    if (anchor) clearCaveArea(grid, width, height, anchor, ANCHOR_CLEARING_RADIUS);
+    grid = smoothCaveGrid(grid, width, height);
+  }
+  if (anchor) clearCaveArea(grid, width, height, anchor, ANCHOR_CLEARING_RADIUS);
+
+  const tunnels = connectCaveRegions(grid, width, height, minRegionSize, wander, random);
+  const { rooms, passageCells } = detectCaveChambers(grid, width, height, minChamberSize, spacing);
+
+  const floorCells = [];
+  for (let i = 0; i < grid.length; i++) {
+    if (grid[i] === FLOOR) {
+      floorCells.push({ x: i % width, y: Math.floor(i / width) });
+    }
+  }
+
+  return {
+    floorCells,
+    rooms,
+    corridorResult: {
+      cells: passageCells,
+      byConnection: tunnels.map(path => ({ cells: path, orderedPath: path, width: 1 }))
+    }
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { generateCaveLayout, CAVE_DEFAULTS, // Individual phases (for testing)
+  seedCaveGrid, clearCaveArea, smoothCaveGrid, findCaveRegions, connectCaveRegions, carveCaveTunnel, detectCaveChambers, computeWallDistance, cellsToRowParts };
@@ -0,0 +1,72 @@
+// Type declaration shim for dungeonConstraints.js
+// The actual implementation is in dungeonConstraints.js with JSDoc annotations.
+
+import type { DungeonConstraintSpec } from '#types/core/map.types';
+import type { DungeonResult, DungeonRoom } from './dungeonGenerator';
+
+export interface NormalizedConstraints {
+  requiredRooms: Array<{ template: string; secret: boolean }>;
+  bossDepth: number | 'farthest' | null;
+  minLoops: number;
+  maxLoops: number | null;
+  lockedDoors: number;
+  maxAttempts: number;
+}
+
+export interface UnmetConstraint {
+  constraint: 'requiredRooms' | 'bossDepth' | 'minLoops' | 'maxLoops' | 'lockedDoors';
+  message: string;
+}
+
+export interface ConstraintReport {
+  satisfied: boolean;
+  unmet: UnmetConstraint[];
+  /** Layouts generated; set by generateDungeon */
+  attempts?: number;
+}
+
+export interface LayoutGraph {
+  nodes: string[];
+  nodeOf: Map<string, string>;
+  roomOfNode: Map<string, DungeonRoom>;
+  nodeOfRoom: Map<number | string, string>;
+  edges: Array<{ a: string; b: string; cells: Set<string> | null }>;
+}
+
+export function normalizeConstraints(spec: DungeonConstraintSpec | null | undefined): NormalizedConstraints | null;
+export function limitLoops<T extends DungeonRoom>(
+  rooms: T[],
+  connections: Array<[T, T]>,
+  minLoops: number,
+  maxLoops: number | null,
+  random: () => number
+): Array<[T, T]>;
+export function applyDungeonConstraints(
+  result: DungeonResult,
+  constraints: NormalizedConstraints,
+  random: () => number
+): ConstraintReport;
+export function analyzeLayout(result: {
+  cells: Array<{ x: number; y: number }>;
+  edges?: Array<{ x: number; y: number; side: string }>;
+  metadata: { rooms: DungeonRoom[] };
+}): LayoutGraph;
+export function roomDepths(
+  layout: LayoutGraph,
+  entryRoomId: number | string | undefined,
+  lockedCells?: Set<string>
+): Map<number | string, number>;
+export function countLoops(layout: LayoutGraph): number;
+export function groupDoors<T extends { position: { x: number; y: number } }>(
+  doors: T[]
+): Array<{ cells: Set<string>; doors: T[] }>;
+export function reconnectLayout(
+  result: DungeonResult,
+  layout: LayoutGraph,
+  entryRoomId: number | string | undefined,
+  random: () => number
+): number;
+export function openLoops(result: DungeonResult, layout: LayoutGraph, needed: number, random: () => number): number;
+
+export const CONSTRAINT_DEFAULTS: { maxAttempts: number };
+export const KEY_NAMES: string[];
@@ -0,0 +1,739 @@
+/**
+ * dungeonConstraints.js
+ *
+ * Constraint pass for generated dungeons. A constraint spec asks for layout
+ * properties a random roll only produces by luck:
+ *   - Required rooms - rooms reserved for ROOM_TEMPLATES entries, optionally
+ *     reachable through secret doors only
+ *   - Boss room - a room at a given depth (rooms traversed) from the entrance
+ *   - Loops - a minimum, and optionally maximum, number of independent cycles
+ *   - Locked doors - doors that cut off part of the dungeon, each with a key
+ *     placed where it can be reached before its door
+ *
+ * Everything is checked against the carved layout (floor cells, wall edges and
+ * door objects) rather than the planned connection graph, because a failed
+ * door roll walls its corridor off. generateDungeon retries with derived seeds
+ * and keeps the layout that meets the most constraints; the rest are reported.
+ * All rolls come from the `random` argument so seeded runs stay reproducible.
+ */
+
+import { ROOM_TEMPLATES, getRoomCells } from './objectPlacer';
+
+// =============================================================================
+// DEFAULTS
+// =============================================================================
+
+const CONSTRAINT_DEFAULTS = {
+  maxAttempts: 20      // Layouts tried before settling for the best one
+};
+
+const DOOR_TYPES = new Set(['door-horizontal', 'door-vertical', 'secret-door']);
+
+/** Key names, handed out in lock order */
+const KEY_NAMES = ['Iron key', 'Brass key', 'Bone key', 'Silver key', 'Copper key', 'Obsidian key'];
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+// IDs stay on Math.random: they must be unique per run, not reproducible.
+function generateObjectId() {
+  return 'obj-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+function cellKey(x, y) {
+  return `${x},${y}`;
+}
+
+function pick(items, random) {
+  return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Fisher-Yates shuffle into a new array.
+ */
+function shuffled(items, random) {
+  const result = items.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// =============================================================================
+// SPEC NORMALIZATION
+// =============================================================================
+
+/**
+ * Normalize a constraint spec from configOverrides.constraints.
+ * @param {Object|null|undefined} spec - Raw spec
+ * @param {Array<string|{template: string, secret?: boolean}>} [spec.requiredRooms] -
+ *   ROOM_TEMPLATES keys; `secret` rooms are only reachable through secret doors
+ * @param {'farthest'|number} [spec.bossDepth] - Boss room depth: rooms
+ *   traversed from the entrance, or 'farthest' for the deepest reachable room
+ * @param {number} [spec.minLoops] - Minimum independent cycles
+ * @param {number} [spec.maxLoops] - Maximum independent cycles
+ * @param {number} [spec.lockedDoors] - Locked door/key pairs
+ * @param {number} [spec.maxAttempts] - Layouts to try before giving up
+ * @returns {Object|null} Normalized constraints, or null when nothing is asked for
+ */
+function normalizeConstraints(spec) {
+  if (!spec || typeof spec !== 'object') return null;
+
+  const requiredRooms = (Array.isArray(spec.requiredRooms) ? spec.requiredRooms : [])
+    .map(entry => typeof entry === 'string'
+      ? { template: entry, secret: false }
+      : { template: String(entry?.template ?? ''), secret: entry?.secret === true })
+    .filter(entry => entry.template !== '');
+
+  let bossDepth = null;
+  if (spec.bossDepth === 'farthest') {
+    bossDepth = 'farthest';
+  } else if (Number.isFinite(spec.bossDepth) && spec.bossDepth >= 1) {
+    bossDepth = Math.floor(spec.bossDepth);
+  }
+
+  const minLoops = Number.isFinite(spec.minLoops) ? Math.max(0, Math.floor(spec.minLoops)) : 0;
+  const maxLoops = Number.isFinite(spec.maxLoops) ? Math.max(minLoops, Math.floor(spec.maxLoops)) : null;
+  const lockedDoors = Number.isFinite(spec.lockedDoors) ? Math.max(0, Math.floor(spec.lockedDoors)) : 0;
+
+  if (requiredRooms.length === 0 && bossDepth === null && minLoops === 0 &&
+      maxLoops === null && lockedDoors === 0) {
+    return null;
+  }
+
+  const maxAttempts = Number.isFinite(spec.maxAttempts)
+    ? Math.max(1, Math.floor(spec.maxAttempts))
+    : CONSTRAINT_DEFAULTS.maxAttempts;
+
+  return { requiredRooms, bossDepth, minLoops, maxLoops, lockedDoors, maxAttempts };
+}
+
+// =============================================================================
+// CONNECTION GRAPH ADJUSTMENT
+// =============================================================================
+
+/**
+ * Bring the planned number of extra connections within [minLoops, maxLoops]
+ * before corridors are carved. The first rooms.length - 1 connections are the
+ * spanning tree (buildConnectionGraph emits it first); surplus extras are
+ * dropped at random and missing ones are added between close room pairs.
+ * @param {Array} rooms - All rooms
+ * @param {Array<[Object, Object]>} connections - Room pairs from buildConnectionGraph
+ * @param {number} minLoops - Minimum extra connections
+ * @param {number|null} maxLoops - Maximum extra connections (null = no cap)
+ * @param {() => number} random - Random source
+ * @returns {Array<[Object, Object]>} Adjusted connections, tree first
+ */
+function limitLoops(rooms, connections, minLoops, maxLoops, random) {
+  const treeSize = Math.max(0, rooms.length - 1);
+  const tree = connections.slice(0, treeSize);
+  let extras = connections.slice(treeSize);
+
+  if (maxLoops !== null && extras.length > maxLoops) {
+    const kept = new Set(shuffled(extras, random).slice(0, maxLoops));
+    extras = extras.filter(pair => kept.has(pair));
+  }
+
+  if (extras.length < minLoops) {
+    const linked = new Set(connections.map(([a, b]) => `${a.id}|${b.id}`));
+    const candidates = [];
+    for (let i = 0; i < rooms.length; i++) {
+      for (let j = i + 1; j < rooms.length; j++) {
+        const a = rooms[i];
+        const b = rooms[j];
+        if (linked.has(`${a.id}|${b.id}`) || linked.has(`${b.id}|${a.id}`)) continue;
+        const dx = (b.x + b.width / 2) - (a.x + a.width / 2);
+        const dy = (b.y + b.height / 2) - (a.y + a.height / 2);
+        // Jitter so retries don't always add the same short links
+        candidates.push({ a, b, score: Math.sqrt(dx * dx + dy * dy) * (0.75 + random() * 0.5) });
+      }
+    }
+    candidates.sort((p, q) => p.score - q.score);
+    for (const { a, b } of candidates) {
+      if (extras.length >= minLoops) break;
+      extras.push([a, b]);
+    }
+  }
+
+  return [...tree, ...extras];
+}
+
+// =============================================================================
+// LAYOUT ANALYSIS
+// =============================================================================
+
+/**
+ * Build the walkable graph of a generated layout. Nodes are rooms and passage
+ * areas (connected floor outside any room); an edge joins two nodes when some
+ * pair of neighbouring cells crosses between them without a wall edge. For
+ * room/passage edges the passage-side crossing cells are kept, so a lock on
+ * those cells can cut the edge.
+ * @param {Object} result - generateDungeon-shaped result (cells, edges, metadata.rooms)
+ * @returns {{nodes: string[], nodeOf: Map<string, string>, roomOfNode: Map<string, Object>, nodeOfRoom: Map<*, string>, edges: Array<{a: string, b: string, cells: Set<string>|null}>}}
+ */
+function analyzeLayout(result) {
+  const { rooms } = result.metadata;
+  const floor = new Set(result.cells.map(c => cellKey(c.x, c.y)));
+  const walls = new Set((result.edges ?? []).map(e => `${e.x},${e.y},${e.side}`));
+
+  const nodeOf = new Map();
+  const roomOfNode = new Map();
+  const nodeOfRoom = new Map();
+  for (const room of rooms) {
+    const node = `room:${room.id}`;
+    roomOfNode.set(node, room);
+    nodeOfRoom.set(room.id, node);
+    for (const cell of getRoomCells(room)) {
+      const key = cellKey(cell.x, cell.y);
+      if (floor.has(key) && !nodeOf.has(key)) nodeOf.set(key, node);
+    }
+  }
+
+  // A 'bottom' edge at (x, y) separates (x, y) from (x, y + 1); a 'right'
+  // edge separates (x, y) from (x + 1, y).
+  const isOpen = (x, y, nx, ny) => {
+    if (nx === x) return !walls.has(`${x},${Math.min(y, ny)},bottom`);
+    return !walls.has(`${Math.min(x, nx)},${y},right`);
+  };
+  const neighbours = (x, y) => [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]
+    .filter(([nx, ny]) => floor.has(cellKey(nx, ny)) && isOpen(x, y, nx, ny));
+
+  // Label passage areas
+  let passageCount = 0;
+  for (const key of floor) {
+    if (nodeOf.has(key)) continue;
+    const node = `passage:${passageCount++}`;
+    nodeOf.set(key, node);
+    const queue = [key];
+    while (queue.length > 0) {
+      const [x, y] = queue.pop().split(',').map(Number);
+      for (const [nx, ny] of neighbours(x, y)) {
+        const nKey = cellKey(nx, ny);
+        if (!nodeOf.has(nKey)) {
+          nodeOf.set(nKey, node);
+          queue.push(nKey);
+        }
+      }
+    }
+  }
+
+  const edgeMap = new Map();
+  for (const key of floor) {
+    const [x, y] = key.split(',').map(Number);
+    for (const [nx, ny] of [[x + 1, y], [x, y + 1]]) {
+      const nKey = cellKey(nx, ny);
+      if (!floor.has(nKey) || !isOpen(x, y, nx, ny)) continue;
+      const a = nodeOf.get(key);
+      const b = nodeOf.get(nKey);
+      if (a === b) continue;
+
+      const edgeKey = a < b ? `${a}|${b}` : `${b}|${a}`;
+      if (!edgeMap.has(edgeKey)) {
+        const isRoomPair = roomOfNode.has(a) && roomOfNode.has(b);
+        edgeMap.set(edgeKey, { a, b, cells: isRoomPair ? null : new Set() });
+      }
+      const edge = edgeMap.get(edgeKey);
+      if (edge.cells) edge.cells.add(roomOfNode.has(a) ? nKey : key);
+    }
+  }
+
+  const nodes = new Set([...roomOfNode.keys(), ...nodeOf.values()]);
+  return { nodes: [...nodes], nodeOf, roomOfNode, nodeOfRoom, edges: [...edgeMap.values()] };
+}
+
+/**
+ * Depth of every room reachable from the entry room, counted in rooms
+ * traversed (the entry is 0, its neighbours 1). Passages cost nothing.
+ * @param {Object} layout - analyzeLayout result
+ * @param {*} entryRoomId - Entry room ID
+ * @param {Set<string>} [lockedCells] - Door cells that cannot be crossed
+ * @returns {Map<*, number>} Room ID -> depth
+ */
+function roomDepths(layout, entryRoomId, lockedCells = new Set()) {
+  const depths = new Map();
+  const start = layout.nodeOfRoom.get(entryRoomId);
+  if (!start) return depths;
+
+  const adjacency = new Map();
+  for (const edge of layout.edges) {
+    if (edge.cells && [...edge.cells].every(key => lockedCells.has(key))) continue;
+    if (!adjacency.has(edge.a)) adjacency.set(edge.a, []);
+    if (!adjacency.has(edge.b)) adjacency.set(edge.b, []);
+    adjacency.get(edge.a).push(edge.b);
+    adjacency.get(edge.b).push(edge.a);
+  }
+
+  // 0-1 BFS: entering a room costs 1, entering a passage costs 0
+  const distance = new Map([[start, 0]]);
+  const deque = [start];
+  while (deque.length > 0) {
+    const node = deque.shift();
+    const base = distance.get(node);
+    for (const next of adjacency.get(node) ?? []) {
+      const cost = layout.roomOfNode.has(next) ? 1 : 0;
+      if (distance.has(next) && distance.get(next) <= base + cost) continue;
+      distance.set(next, base + cost);
+      if (cost === 0) deque.unshift(next);
+      else deque.push(next);
+    }
+  }
+
+  for (const [node, depth] of distance) {
+    const room = layout.roomOfNode.get(node);
+    if (room) depths.set(room.id, depth);
+  }
+  return depths;
+}
+
+/**
+ * Connected component of every node, as a representative node.
+ * @param {Object} layout - analyzeLayout result
+ * @returns {Map<string, string>} Node -> component representative
+ */
+function findComponents(layout) {
+  const parent = new Map(layout.nodes.map(n => [n, n]));
+  const find = n => {
+    while (parent.get(n) !== n) {
+      parent.set(n, parent.get(parent.get(n)));
+      n = parent.get(n);
+    }
+    return n;
+  };
+  for (const { a, b } of layout.edges) {
+    parent.set(find(a), find(b));
+  }
+  return new Map(layout.nodes.map(n => [n, find(n)]));
+}
+
+/**
+ * Independent cycles in the layout graph (edges - nodes + components).
+ * @param {Object} layout - analyzeLayout result
+ * @returns {number}
+ */
+function countLoops(layout) {
+  const components = new Set(findComponents(layout).values()).size;
+  return layout.edges.length - layout.nodes.length + components;
+}
+
+/**
+ * Passage cells a room can be entered from, or null if the room touches
+ * another room directly (an opening no door can close).
+ */
+function getRoomOpenings(layout, roomId) {
+  const node = layout.nodeOfRoom.get(roomId);
+  const openings = new Set();
+  for (const edge of layout.edges) {
+    if (edge.a !== node && edge.b !== node) continue;
+    if (!edge.cells) return null;
+    for (const key of edge.cells) openings.add(key);
+  }
+  return openings;
+}
+
+/**
+ * Group door objects on neighbouring cells (wide entrances hold two) so a
+ * lock closes the whole entrance.
+ * @param {Array} doors - Door objects
+ * @returns {Array<{cells: Set<string>, doors: Array}>}
+ */
+function groupDoors(doors) {
+  const byCell = new Map(doors.map(door => [cellKey(door.position.x, door.position.y), door]));
+  const seen = new Set();
+  const groups = [];
+  for (const [key, door] of byCell) {
+    if (seen.has(key)) continue;
+    const group = { cells: new Set([key]), doors: [door] };
+    seen.add(key);
+    const queue = [door.position];
+    while (queue.length > 0) {
+      const { x, y } = queue.pop();
+      for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+        const nKey = cellKey(nx, ny);
+        if (seen.has(nKey) || !byCell.has(nKey)) continue;
+        seen.add(nKey);
+        group.cells.add(nKey);
+        group.doors.push(byCell.get(nKey));
+        queue.push({ x: nx, y: ny });
+      }
+    }
+    groups.push(group);
+  }
+  return groups;
+}
+
+// =============================================================================
+// LAYOUT REPAIR
+// =============================================================================
+
+/**
+ * Walls between a passage and a room that could become doors: the passage
+ * cell must be free of objects.
+ */
+function findWallOpenings(result, layout) {
+  const occupied = new Set(result.objects.map(o => cellKey(o.position.x, o.position.y)));
+  const openings = [];
+  for (const wall of result.edges ?? []) {
+    const far = wall.side === 'bottom' ? { x: wall.x, y: wall.y + 1 } : { x: wall.x + 1, y: wall.y };
+    const nodeA = layout.nodeOf.get(cellKey(wall.x, wall.y));
+    const nodeB = layout.nodeOf.get(cellKey(far.x, far.y));
+    if (!nodeA || !nodeB || layout.roomOfNode.has(nodeA) === layout.roomOfNode.has(nodeB)) continue;
+
+    const roomFirst = layout.roomOfNode.has(nodeA);
+    const passage = roomFirst ? far : { x: wall.x, y: wall.y };
+    if (occupied.has(cellKey(passage.x, passage.y))) continue;
+    openings.push({
+      wall,
+      passage,
+      roomCell: roomFirst ? { x: wall.x, y: wall.y } : far,
+      roomNode: roomFirst ? nodeA : nodeB,
+      passageNode: roomFirst ? nodeB : nodeA
+    });
+  }
+  return openings;
+}
+
+/**
+ * Replace a wall with a door, as if its door roll had succeeded, and record
+ * the new crossing in the layout graph.
+ */
+function openWall(result, layout, opening) {
+  const { wall, passage, roomCell, roomNode, passageNode } = opening;
+  // Same orientation rules as findDoorCandidatesForConnection: the door
+  // faces the room, and a door crossed horizontally is a vertical door
+  const dx = roomCell.x - passage.x;
+  const dy = roomCell.y - passage.y;
+  const type = dy === 0 ? 'door-vertical' : 'door-horizontal';
+  const alignment = dy < 0 ? 'north' : dy > 0 ? 'south' : dx < 0 ? 'west' : 'east';
+  const room = layout.roomOfNode.get(roomNode);
+
+  result.edges = result.edges.filter(edge => edge !== wall);
+  result.objects.push({
+    id: generateObjectId(),
+    type,
+    position: { x: passage.x, y: passage.y },
+    alignment,
+    scale: 1,
+    rotation: 0
+  });
+  result.metadata.doorPositions.push({
+    x: passage.x, y: passage.y, type, alignment, roomId: room.id, isSecret: false, scale: 1
+  });
+  result.metadata.doorCount = result.objects.filter(o => DOOR_TYPES.has(o.type)).length;
+  layout.edges.push({ a: roomNode, b: passageNode, cells: new Set([cellKey(passage.x, passage.y)]) });
+}
+
+/**
+ * Open walls until every room that can be joined to the entrance is. A room
+ * whose only entrances all failed their door rolls is otherwise unreachable,
+ * which would skew boss depth and key placement.
+ * @returns {number} Doors added
+ */
+function reconnectLayout(result, layout, entryRoomId, random) {
+  const entryNode = layout.nodeOfRoom.get(entryRoomId);
+  if (!entryNode) return 0;
+
+  let added = 0;
+  for (;;) {
+    const components = findComponents(layout);
+    const home = components.get(entryNode);
+    const bridges = findWallOpenings(result, layout).filter(({ roomNode, passageNode }) =>
+      (components.get(roomNode) === home) !== (components.get(passageNode) === home)
+    );
+    if (bridges.length === 0) return added;
+    openWall(result, layout, pick(bridges, random));
+    added++;
+  }
+}
+
+/**
+ * Open walls between a passage and a room that are already connected some
+ * other way; each door closes one new loop.
+ * @returns {number} Loops added
+ */
+function openLoops(result, layout, needed, random) {
+  const components = findComponents(layout);
+  const linked = new Set(layout.edges.map(({ a, b }) => (a < b ? `${a}|${b}` : `${b}|${a}`)));
+
+  let added = 0;
+  for (const opening of shuffled(findWallOpenings(result, layout), random)) {
+    if (added >= needed) break;
+    const { roomNode, passageNode, passage } = opening;
+    const pair = roomNode < passageNode ? `${roomNode}|${passageNode}` : `${passageNode}|${roomNode}`;
+    if (linked.has(pair) || components.get(roomNode) !== components.get(passageNode)) continue;
+    // An earlier door this pass may have taken the cell
+    if (result.objects.some(o => o.position.x === passage.x && o.position.y === passage.y)) continue;
+
+    openWall(result, layout, opening);
+    linked.add(pair);
+    added++;
+  }
+  return added;
+}
+
+// =============================================================================
+// CONSTRAINT APPLICATION
+// =============================================================================
+
+/**
+ * Choose the boss room. Returns the room ID and, if the requested depth
+ * could not be met exactly, an unmet entry.
+ */
+function chooseBossRoom(depths, entryRoomId, bossDepth, random) {
+  const candidates = [...depths].filter(([id]) => id !== entryRoomId);
+  if (candidates.length === 0) {
+    return { roomId: null, unmet: 'No room besides the entrance can be reached' };
+  }
+
+  const target = bossDepth === 'farthest'
+    ? Math.max(...candidates.map(([, depth]) => depth))
+    : bossDepth;
+  const exact = candidates.filter(([, depth]) => depth === target);
+  if (exact.length > 0) {
+    return { roomId: pick(exact, random)[0], unmet: null };
+  }
+
+  const closest = Math.min(...candidates.map(([, depth]) => Math.abs(depth - target)));
+  const [roomId, depth] = pick(candidates.filter(([, d]) => Math.abs(d - target) === closest), random);
+  return {
+    roomId,
+    unmet: `No room is ${target} rooms from the entrance; the boss room is ${depth} deep`
+  };
+}
+
+/**
+ * Turn every door at the given cells into a secret door, mirroring how
+ * generateDoorObjects rotates secret doors on vertical passages.
+ */
+function makeDoorsSecret(result, cells) {
+  for (const obj of result.objects) {
+    if (!DOOR_TYPES.has(obj.type) || obj.type === 'secret-door') continue;
+    if (!cells.has(cellKey(obj.position.x, obj.position.y))) continue;
+    if (obj.type === 'door-vertical' && (obj.alignment === 'east' || obj.alignment === 'west')) {
+      obj.rotation = 90;
+    }
+    obj.type = 'secret-door';
+  }
+  for (const pos of result.metadata.doorPositions ?? []) {
+    if (cells.has(cellKey(pos.x, pos.y))) pos.isSecret = true;
+  }
+  result.metadata.secretDoorCount = result.objects.filter(o => o.type === 'secret-door').length;
+}
+
+/**
+ * Reserve rooms for the required templates. Secret rooms go first since fewer
+ * rooms qualify: every way in must already hold a door.
+ */
+function assignRequiredRooms(result, layout, depths, required, reserved, random) {
+  const roomTemplates = {};
+  const unmet = [];
+  const { rooms, waterRoomIds = [] } = result.metadata;
+  const water = new Set(waterRoomIds);
+  const doorCells = new Set(result.objects
+    .filter(o => DOOR_TYPES.has(o.type))
+    .map(o => cellKey(o.position.x, o.position.y)));
+
+  const ordered = [...required.filter(r => r.secret), ...required.filter(r => !r.secret)];
+  for (const { template: key, secret } of ordered) {
+    const template = ROOM_TEMPLATES[key];
+    if (!template) {
+      unmet.push({ constraint: 'requiredRooms', message: `Unknown room template "${key}"` });
+      continue;
+    }
+
+    const candidates = [];
+    for (const room of rooms) {
+      if (reserved.has(room.id) || water.has(room.id) || !depths.has(room.id)) continue;
+      if (getRoomCells(room).length < template.minRoomSize) continue;
+      if (secret) {
+        const openings = getRoomOpenings(layout, room.id);
+        if (!openings || openings.size === 0) continue;
+        if (![...openings].every(cell => doorCells.has(cell))) continue;
+        candidates.push({ room, openings });
+      } else {
+        candidates.push({ room, openings: null });
+      }
+    }
+
+    if (candidates.length === 0) {
+      const label = template.name.toLowerCase();
+      unmet.push({
+        constraint: 'requiredRooms',
+        message: secret ? `No room could be hidden behind secret doors as a ${label}` : `No free room is large enough for a ${label}`
+      });
+      continue;
+    }
+
+    const { room, openings } = pick(candidates, random);
+    reserved.add(room.id);
+    roomTemplates[room.id] = key;
+    if (openings) makeDoorsSecret(result, openings);
+  }
+
+  return { roomTemplates, unmet };
+}
+
+/**
+ * Lock doors one at a time. Each lock must cut off rooms that are still
+ * reachable with the earlier locks closed; the first prefers the door nearest
+ * the boss room. Keys are then placed back to front: the last lock's key is
+ * reachable with every door locked, and each earlier key sits in the area the
+ * next lock opens, so the keys form a chain toward the boss.
+ */
+function placeLocksAndKeys(result, layout, count, bossRoomId, random) {
+  const { entryRoomId, waterRoomIds = [] } = result.metadata;
+  const doors = result.objects.filter(o => DOOR_TYPES.has(o.type) && o.type !== 'secret-door');
+  const groups = shuffled(groupDoors(doors), random);
+
+  const locks = [];
+  const lockedCells = new Set();
+  let reachable = roomDepths(layout, entryRoomId);
+
+  while (locks.length < count) {
+    const options = [];
+    for (const group of groups) {
+      if (locks.some(lock => lock.group === group)) continue;
+      const after = roomDepths(layout, entryRoomId, new Set([...lockedCells, ...group.cells]));
+      const cut = [...reachable.keys()].filter(id => !after.has(id));
+      if (cut.length > 0) options.push({ group, reachable: after, cut });
+    }
+    if (options.length === 0) break;
+
+    const guardingBoss = options
+      .filter(option => option.cut.includes(bossRoomId))
+      .sort((p, q) => p.cut.length - q.cut.length);
+    const chosen = guardingBoss.length > 0 ? guardingBoss[0] : pick(options, random);
+
+    locks.push(chosen);
+    for (const key of chosen.group.cells) lockedCells.add(key);
+    reachable = chosen.reachable;
+  }
+
+  const occupied = new Set(result.objects.map(o => cellKey(o.position.x, o.position.y)));
+  const water = new Set(waterRoomIds);
+  const roomsById = new Map(result.metadata.rooms.map(r => [r.id, r]));
+  const lockedDoors = [];
+  const keys = [];
+
+  for (let i = locks.length - 1; i >= 0; i--) {
+    const lock = locks[i];
+    const keyName = KEY_NAMES[i % KEY_NAMES.length];
+    // Rooms open with this lock and the ones before it still closed
+    const open = [...lock.reachable.keys()];
+    const opened = i < locks.length - 1 ? new Set(locks[i + 1].cut) : null;
+    const rank = id => (opened?.has(id) ? 0 : 2) + (water.has(id) || id === entryRoomId ? 1 : 0);
+    const best = Math.min(...open.map(rank));
+    const room = roomsById.get(pick(open.filter(id => rank(id) === best), random));
+
+    const free = getRoomCells(room).filter(c => !occupied.has(cellKey(c.x, c.y)));
+    const cell = free.length > 0 ? pick(free, random) : null;
+    let keyObject = null;
+    if (cell) {
+      occupied.add(cellKey(cell.x, cell.y));
+      keyObject = {
+        id: generateObjectId(),
+        type: 'poi',
+        position: { x: cell.x, y: cell.y },
+        alignment: 'center',
+        scale: 1,
+        rotation: 0,
+        label: keyName,
+        customTooltip: `Opens the door locked with the ${keyName.toLowerCase()}`
+      };
+      keys.push(keyObject);
+    }
+
+    for (const door of lock.group.doors) {
+      door.label = `Locked door (${keyName})`;
+      door.customTooltip = `Locked; opens with the ${keyName.toLowerCase()}`;
+    }
+
+    lockedDoors.unshift({
+      doorIds: lock.group.doors.map(d => d.id),
+      keyId: keyObject?.id ?? null,
+      keyName,
+      keyRoomId: room.id,
+      keyPosition: cell ? { x: cell.x, y: cell.y } : null,
+      lockedRoomIds: lock.cut
+    });
+  }
+
+  result.objects.push(...keys);
+  return lockedDoors;
+}
+
+/**
+ * Apply a normalized constraint spec to a generated dungeon, in place: open
+ * walled entrances so every room is reachable and enough loops exist, pick
+ * the boss room, reserve template rooms (turning doors secret where asked),
+ * then lock doors and place their keys.
+ *
+ * Adds to result.metadata:
+ *   - bossRoomId, roomTemplates ({roomId: templateKey}) and lockedDoors, for
+ *     stocking and the saved recipe
+ *   - constraintReport: {satisfied, unmet: [{constraint, message}]}
+ *
+ * @param {Object} result - generateDungeon result
+ * @param {Object} constraints - normalizeConstraints result
+ * @param {() => number} random - Random source
+ * @returns {Object} The constraint report
+ */
+function applyDungeonConstraints(result, constraints, random) {
+  const meta = result.metadata;
+  const unmet = [];
+  const layout = analyzeLayout(result);
+  // Repairs first: new doors change depths and which doors can be locked
+  reconnectLayout(result, layout, meta.entryRoomId, random);
+  const missingLoops = constraints.minLoops - countLoops(layout);
+  if (missingLoops > 0) openLoops(result, layout, missingLoops, random);
+  const depths = roomDepths(layout, meta.entryRoomId);
+
+  let bossRoomId = null;
+  if (constraints.bossDepth !== null) {
+    const boss = chooseBossRoom(depths, meta.entryRoomId, constraints.bossDepth, random);
+    bossRoomId = boss.roomId;
+    if (boss.unmet) unmet.push({ constraint: 'bossDepth', message: boss.unmet });
+  }
+
+  const reserved = new Set([meta.entryRoomId, meta.exitRoomId, bossRoomId].filter(id => id != null));
+  const { roomTemplates, unmet: roomsUnmet } = assignRequiredRooms(
+    result, layout, depths, constraints.requiredRooms, reserved, random
+  );
+  unmet.push(...roomsUnmet);
+
+  let lockedDoors = [];
+  if (constraints.lockedDoors > 0) {
+    lockedDoors = placeLocksAndKeys(result, layout, constraints.lockedDoors, bossRoomId, random);
+    if (lockedDoors.length < constraints.lockedDoors) {
+      unmet.push({
+        constraint: 'lockedDoors',
+        message: meta.doorCount === 0
+          ? 'The layout has no doors to lock'
+          : `Only ${lockedDoors.length} of ${constraints.lockedDoors} doors could be locked so they close off part of the dungeon`
+      });
+    }
+  }
+
+  const loops = countLoops(layout);
+  if (loops < constraints.minLoops) {
+    unmet.push({ constraint: 'minLoops', message: `The layout has ${loops} loops, fewer than ${constraints.minLoops}` });
+  }
+  if (constraints.maxLoops !== null && loops > constraints.maxLoops) {
+    unmet.push({ constraint: 'maxLoops', message: `The layout has ${loops} loops, more than ${constraints.maxLoops}` });
+  }
+
+  meta.bossRoomId = bossRoomId ?? undefined;
+  meta.roomTemplates = roomTemplates;
+  meta.lockedDoors = lockedDoors;
+  meta.loopCount = loops;
+  meta.constraintReport = { satisfied: unmet.length === 0, unmet };
+  return meta.constraintReport;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { normalizeConstraints, limitLoops, applyDungeonConstraints, CONSTRAINT_DEFAULTS, KEY_NAMES, // Analysis and repair (exported for testing)
+  analyzeLayout, roomDepths, countLoops, groupDoors, reconnectLayout, openLoops };
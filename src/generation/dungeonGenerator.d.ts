@@ -1,3 +1,6 @@
+import type { DungeonConstraintSpec, LockedDoorRecord } from '#types/core/map.types';
+import type { ConstraintReport } from './dungeonConstraints';
+
 export interface DungeonRoom {
   id: number | string;
   x: number;
@@ -30,6 +33,11 @@ export interface DungeonObject {
   type: string;
   position: CellCoord;
   rotation?: number;
+  alignment?: string;
+  label?: string;
+  customTooltip?: string;
+  /** Hidden from the player view; set on stocked traps */
+  gmOnly?: boolean;
 }
 
 export interface CorridorResult {
@@ -57,9 +65,40 @@ export interface DungeonResult {
     corridorResult: CorridorResult;
     doorPositions: CellCoord[];
     style: string;
+    /** Seed the run used; pass it back as configOverrides.seed to replay it */
+    seed: number;
+    /** ID of the entry stair object, when one was placed */
+    entryStairsId?: string;
+    /** ID of the exit stair object, when one was placed */
+    exitStairsId?: string;
+    /** Constraint runs only: the room chosen for the boss */
+    bossRoomId?: number;
+    /** Constraint runs only: room ID -> ROOM_TEMPLATES key */
+    roomTemplates?: Record<string, string>;
+    /** Constraint runs only: locked entrances and their keys */
+    lockedDoors?: LockedDoorRecord[];
+    /** Constraint runs only: independent loops in the carved layout */
+    loopCount?: number;
+    /** Constraint runs only: which constraints held */
+    constraintReport?: ConstraintReport;
   };
 }
 
+/** Pairs a floor's exit stairs with the entry stairs of the floor below. */
+export interface StairLink {
+  fromLevel: number;
+  fromObjectId: string;
+  toLevel: number;
+  toObjectId: string;
+}
+
+export interface MultiLevelDungeonResult {
+  /** One result per floor, top floor first */
+  levels: DungeonResult[];
+  stairLinks: StairLink[];
+  seed: number;
+}
+
 export interface DungeonPreset {
   gridWidth: number;
   gridHeight: number;
@@ -109,8 +148,15 @@ export function generateAllRoomBoundaryEdges(
 export function generateDungeon(
   presetName?: string,
   color?: string,
-  configOverrides?: Partial<DungeonPreset> & Record<string, unknown>
+  configOverrides?: Partial<DungeonPreset> & { seed?: number | string; constraints?: DungeonConstraintSpec } & Record<string, unknown>
 ): DungeonResult;
+export function generateMultiLevelDungeon(
+  presetName?: string,
+  color?: string,
+  configOverrides?: Partial<DungeonPreset> & { seed?: number | string; constraints?: DungeonConstraintSpec } & Record<string, unknown>,
+  levelCount?: number
+): MultiLevelDungeonResult;
+export function withRandomSource<T>(source: () => number, fn: () => T): T;
 
 export const DUNGEON_PRESETS: Record<string, DungeonPreset>;
 export const DUNGEON_STYLES: Record<string, { name: string; overrides: Partial<DungeonPreset> }>;
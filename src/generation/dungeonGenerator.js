@@ -7,9 +7,19 @@
  *   2. Connection Graph - determine which rooms connect (via MST algorithm)
  *   3. Corridor Carving - create paths between connected rooms (a nightmare)
  *   4. Cell Generation - convert to Windrose cell format
+ * Styles with `layout: 'cave'` swap phases 1-3 for the cellular-automata cave
+ * phase in caveGenerator.js. Sketch generation (sketchGenerator.js) passes
+ * its hand-drawn rooms in configOverrides.sketchRooms, replacing phase 1.
  * 
+ * Every roll goes through the module's active random source, so a seed passed
+ * in configOverrides replays the exact same dungeon. A constraint spec in
+ * configOverrides.constraints is enforced by dungeonConstraints.js.
  */
 
+import { generateCaveLayout } from './caveGenerator';
+import { applyDungeonConstraints, limitLoops, normalizeConstraints } from './dungeonConstraints';
+import { createSeededRandom, deriveSeed, generateSeed, normalizeSeed } from './seededRandom';
+
 // =============================================================================
 // PRESETS
 // =============================================================================
@@ -88,15 +98,10 @@ const DUNGEON_STYLES = {
     name: 'Cavern',
     description: 'Natural cave system with organic passages',
     overrides: {
-      circleChance: 0.6,
-      complexRoomChance: 0.05,
-      corridorStyle: 'organic',
+      layout: 'cave',  // Cellular automata instead of room scatter
       doorChance: 0,
       secretDoorChance: 0,
-      loopChance: 0.2,
-      roomSizeBias: 0.3,
-      waterChance: 0.35,
-      diagonalCorridorChance: 0.7  // More organic paths
+      waterChance: 0.35
     }
   },
   fortress: {
@@ -137,12 +142,39 @@ const DEFAULT_WATER_COLOR = '#4a90d9';
 const DEFAULT_WATER_OPACITY = 0.6;
 const DEFAULT_WALL_COLOR = '#333333';
 
+// =============================================================================
+// RANDOM SOURCE
+// =============================================================================
+
+/**
+ * Active random source for all generation rolls. Plain Math.random outside a
+ * generateDungeon call; generateDungeon swaps in a seeded source for the
+ * duration of the run (generation is synchronous, so nothing can interleave).
+ */
+let random = Math.random;
+
+/**
+ * Run fn with the given random source active, restoring the previous one after.
+ * @param {() => number} source - Math.random-compatible source
+ * @param {Function} fn - Work to run
+ * @returns {*} fn's return value
+ */
+function withRandomSource(source, fn) {
+  const previous = random;
+  random = source;
+  try {
+    return fn();
+  } finally {
+    random = previous;
+  }
+}
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
 
 function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
@@ -157,7 +189,7 @@ function biasedRandomInt(min, max, bias = 0) {
   // Use power curve to skew distribution
   // bias > 0: skew toward max (spacious)
   // bias < 0: skew toward min (compact)
-  const t = Math.random();
+  const t = random();
   const exponent = bias > 0 ? 1 / (1 + bias * 2) : 1 + Math.abs(bias) * 2;
   const skewed = Math.pow(t, exponent);
   
@@ -173,7 +205,26 @@ function rectanglesOverlap(a, b, padding = 0) {
   );
 }
 
+/**
+ * Check whether a room, grown by the padding, covers any blocked cell.
+ * @param {Object} room - Room rectangle
+ * @param {Set<string>|undefined} blockedCells - "x,y" keys rooms must keep clear of
+ * @param {number} padding - Clearance around the room
+ * @returns {boolean}
+ */
+function touchesBlockedCells(room, blockedCells, padding = 0) {
+  if (!blockedCells || blockedCells.size === 0) return false;
+  for (let x = room.x - padding; x < room.x + room.width + padding; x++) {
+    for (let y = room.y - padding; y < room.y + room.height + padding; y++) {
+      if (blockedCells.has(cellKey(x, y))) return true;
+    }
+  }
+  return false;
+}
+
 function getRoomCenter(room) {
+  // Irregular rooms (sketched clusters) carry a center cell inside the room
+  if (room.center) return room.center;
   if (room.shape === 'circle') {
     return {
       x: Math.floor(room.x + room.radius),
@@ -224,6 +275,7 @@ function isCellInRoomRect(x, y, room) {
          y >= room.y && y < room.y + room.height;
 }
 
+// IDs stay on Math.random: they must be unique per run, not reproducible.
 function generateObjectId() {
   return 'obj-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
 }
@@ -393,7 +445,7 @@ function generateTShapedRoom(x, y, roomSize, bias = 0) {
  * @returns {Object} Composite room
  */
 function generateCompositeRoom(x, y, roomSize, bias = 0) {
-  if (Math.random() < 0.7) {
+  if (random() < 0.7) {
     return generateLShapedRoom(x, y, roomSize, bias);
   } else {
     return generateTShapedRoom(x, y, roomSize, bias);
@@ -416,16 +468,29 @@ function generateRooms(config) {
     roomSizeBias = 0
   } = config;
   
-  const targetCount = randomInt(roomCount.min, roomCount.max);
+  const openings = config.openings ?? [];
+  const targetCount = randomInt(roomCount.min, roomCount.max) + openings.length;
   const rooms = [];
   const maxAttempts = targetCount * 50;
+
+  // Multi-level: the floor above fixes where this floor's entry stairs land,
+  // so seed a rectangular room around that cell before scattering the rest
+  if (config.entryAnchor) {
+    rooms.push(generateAnchoredRoom(config.entryAnchor, config, rooms.length));
+  }
+
+  // Area generation: one-cell opening rooms sit where the section must join
+  // the surrounding map, so the connection graph routes corridors to them
+  for (const cell of openings) {
+    rooms.push({ id: rooms.length, x: cell.x, y: cell.y, width: 1, height: 1, shape: 'rectangle', opening: true });
+  }
   let attempts = 0;
   
   while (rooms.length < targetCount && attempts < maxAttempts) {
     attempts++;
     
     // Determine room type: circle, composite (L/T), or rectangle
-    const roll = Math.random();
+    const roll = random();
     const isCircle = roll < circleChance;
     const isComposite = !isCircle && roll < circleChance + complexRoomChance;
     
@@ -500,7 +565,7 @@ function generateRooms(config) {
     
     const hasOverlap = rooms.some(existing => 
       rectanglesOverlap(newRoom, existing, padding)
-    );
+    ) || touchesBlockedCells(newRoom, config.blockedCells, padding);
     
     if (!hasOverlap) {
       rooms.push(newRoom);
@@ -510,6 +575,30 @@ function generateRooms(config) {
   return rooms;
 }
 
+/**
+ * Build a rectangular room that contains the anchor cell, kept inside the
+ * grid margin where possible (containing the anchor wins over the margin).
+ * @param {{x: number, y: number}} anchor - Cell the room must contain
+ * @param {Object} config - Generation config (gridWidth, gridHeight, roomSize, padding)
+ * @param {number} id - Room ID
+ * @returns {Object} Rectangle room
+ */
+function generateAnchoredRoom(anchor, config, id) {
+  const { gridWidth, gridHeight, roomSize, padding, roomSizeBias = 0 } = config;
+  const width = biasedRandomInt(roomSize.minWidth, roomSize.maxWidth, roomSizeBias);
+  const height = biasedRandomInt(roomSize.minHeight, roomSize.maxHeight, roomSizeBias);
+  const margin = padding + 1;
+
+  let x = anchor.x - randomInt(0, width - 1);
+  let y = anchor.y - randomInt(0, height - 1);
+  x = Math.max(margin, Math.min(x, gridWidth - width - margin));
+  y = Math.max(margin, Math.min(y, gridHeight - height - margin));
+  x = Math.max(anchor.x - width + 1, Math.min(x, anchor.x));
+  y = Math.max(anchor.y - height + 1, Math.min(y, anchor.y));
+
+  return { id, x, y, width, height, shape: 'rectangle' };
+}
+
 // =============================================================================
 // PHASE 2: CONNECTION GRAPH (MST)
 // =============================================================================
@@ -574,7 +663,7 @@ function buildConnectionGraph(rooms, loopChance = 0) {
   if (loopChance > 0) {
     for (const edge of allEdges) {
       if (mstEdges.has(edge)) continue;
-      if (Math.random() < loopChance) {
+      if (random() < loopChance) {
         connections.push([rooms[edge.i], rooms[edge.j]]);
       }
     }
@@ -818,7 +907,7 @@ function carveCorridorBetween(roomA, roomB, width = 1, allRooms = []) {
   } else if (verticalFirstBad && !horizontalFirstBad) {
     horizontalFirst = true;
   } else {
-    horizontalFirst = Math.random() < 0.5;
+    horizontalFirst = random() < 0.5;
   }
   
   if (horizontalFirst) {
@@ -1138,12 +1227,12 @@ function addCorridorWobble(corridorResult, allRooms, roomA, roomB) {
       // Decide whether to change wobble state
       if (currentWobble === 0) {
         // Maybe start wobbling
-        if (Math.random() < wobbleChance) {
-          currentWobble = Math.random() < 0.5 ? 1 : -1;
+        if (random() < wobbleChance) {
+          currentWobble = random() < 0.5 ? 1 : -1;
         }
       } else {
         // Maybe stop or continue wobbling
-        if (Math.random() > wobblePersist) {
+        if (random() > wobblePersist) {
           currentWobble = 0;
         }
       }
@@ -1544,7 +1633,7 @@ function carveCorridorsWithDiagonals(connections, corridorWidth, allRooms, corri
 
     // Try diagonal if style allows and rooms are suitable
     if (corridorStyle === 'diagonal' || (corridorStyle !== 'organic' && diagonalChance > 0)) {
-      const tryDiagonal = corridorStyle === 'diagonal' || Math.random() < diagonalChance;
+      const tryDiagonal = corridorStyle === 'diagonal' || random() < diagonalChance;
 
       if (tryDiagonal && canUseDiagonalCorridor(roomA, roomB, allRooms)) {
         result = carveDiagonalCorridor(roomA, roomB, corridorWidth, allRooms, color);
@@ -1990,7 +2079,7 @@ function addSecretDoorsToIsolatedRooms(rooms, doorPositions, wallEdges, corridor
 
     // Pick a random edge to create opening (and possibly secret door)
     if (roomEdges.length > 0) {
-      const chosen = roomEdges[Math.floor(Math.random() * roomEdges.length)];
+      const chosen = roomEdges[Math.floor(random() * roomEdges.length)];
 
       edgesToRemove.add(chosen.index);
 
@@ -2084,10 +2173,10 @@ function findDoorPositions(corridorsByConnection, rooms, doorChance = 0.7, secre
 
   for (const group of groups) {
     // Roll once per entrance group
-    if (Math.random() > doorChance) continue;
+    if (random() > doorChance) continue;
 
     // Roll once for secret door for this entrance
-    const isSecret = Math.random() < secretDoorChance;
+    const isSecret = random() < secretDoorChance;
 
     // If we have carvedCellSet, calculate actual opening width
     if (carvedCellSet && group.length > 0) {
@@ -2181,8 +2270,32 @@ function getRoomCells(room) {
   return cells;
 }
 
-function findEntryExitRooms(rooms) {
+/**
+ * Pick the entry and exit rooms. Without an anchor the entry is the top-left
+ * room and the exit the bottom-right one. With an anchor (multi-level floors
+ * below the first) the entry is the room holding the anchor cell, if any, and
+ * the exit the room farthest from it.
+ * @param {Array} rooms - All rooms
+ * @param {{x: number, y: number}|null} [anchor] - Fixed entry stair cell
+ * @returns {{entry: Object|null, exit: Object|null}}
+ */
+function findEntryExitRooms(rooms, anchor = null) {
   if (rooms.length === 0) return { entry: null, exit: null };
+  if (anchor) {
+    const entry = rooms.find(room => isCellInRoom(anchor.x, anchor.y, room)) ?? null;
+    let exit = null;
+    let bestDistance = -1;
+    for (const room of rooms) {
+      if (room === entry) continue;
+      const center = getRoomCenter(room);
+      const distance = Math.abs(center.x - anchor.x) + Math.abs(center.y - anchor.y);
+      if (distance > bestDistance) {
+        bestDistance = distance;
+        exit = room;
+      }
+    }
+    return { entry, exit: exit ?? entry };
+  }
   if (rooms.length === 1) return { entry: rooms[0], exit: rooms[0] };
   
   // Find topmost-leftmost room for entry (stairs down into dungeon)
@@ -2211,40 +2324,73 @@ function findEntryExitRooms(rooms) {
   return { entry, exit };
 }
 
-function generateStairObjects(entryRoom, exitRoom) {
-  const objects = [];
-  
-  if (entryRoom) {
-    const entryCells = getRoomCells(entryRoom);
-    if (entryCells.length > 0) {
-      const cell = entryCells[Math.floor(Math.random() * entryCells.length)];
-      objects.push({
-        id: generateObjectId(),
-        type: 'stairs-down',
-        position: { x: cell.x, y: cell.y },
-        alignment: 'center',
-        scale: 1,
-        rotation: 0
-      });
-    }
+/**
+ * Place the entry and exit stairs.
+ * @param {Object|null} entryRoom - Entry room
+ * @param {Object|null} exitRoom - Exit room
+ * @param {Object} [options]
+ * @param {{x: number, y: number}|null} [options.entryPosition] - Fixed entry
+ *   stair cell (multi-level); placed even when no room holds it
+ * @param {string} [options.entryType='stairs-down'] - Entry stair object type
+ * @param {string|null} [options.exitType='stairs-up'] - Exit stair object
+ *   type; null places no exit stairs (bottom floor)
+ * @returns {{entryStairs: Object|null, exitStairs: Object|null}}
+ */
+function placeStairs(entryRoom, exitRoom, options = {}) {
+  const { entryPosition = null, entryType = 'stairs-down', exitType = 'stairs-up' } = options;
+  let entryStairs = null;
+  let exitStairs = null;
+  
+  const entryCells = entryPosition ? [entryPosition] : (entryRoom ? getRoomCells(entryRoom) : []);
+  if (entryCells.length > 0) {
+    const cell = entryCells[Math.floor(random() * entryCells.length)];
+    entryStairs = {
+      id: generateObjectId(),
+      type: entryType,
+      position: { x: cell.x, y: cell.y },
+      alignment: 'center',
+      scale: 1,
+      rotation: 0
+    };
   }
   
-  if (exitRoom && exitRoom !== entryRoom) {
+  if (exitType && exitRoom && exitRoom !== entryRoom) {
     const exitCells = getRoomCells(exitRoom);
     if (exitCells.length > 0) {
-      const cell = exitCells[Math.floor(Math.random() * exitCells.length)];
-      objects.push({
+      const cell = exitCells[Math.floor(random() * exitCells.length)];
+      exitStairs = {
         id: generateObjectId(),
-        type: 'stairs-up',
+        type: exitType,
         position: { x: cell.x, y: cell.y },
         alignment: 'center',
         scale: 1,
         rotation: 0
-      });
+      };
     }
   }
   
-  return objects;
+  return { entryStairs, exitStairs };
+}
+
+/**
+ * Stair objects for the entry/exit rooms (see placeStairs for options).
+ * @returns {Array} Stair objects, entry first
+ */
+function generateStairObjects(entryRoom, exitRoom, options = {}) {
+  const { entryStairs, exitStairs } = placeStairs(entryRoom, exitRoom, options);
+  return [entryStairs, exitStairs].filter(Boolean);
+}
+
+/**
+ * Stair placement options carried on the generation config.
+ * Multi-level generation sets these per floor; single floors use the defaults.
+ */
+function getStairOptions(config) {
+  return {
+    entryPosition: config.entryAnchor ?? null,
+    entryType: config.entryStairType ?? 'stairs-down',
+    exitType: config.exitStairType === undefined ? 'stairs-up' : config.exitStairType
+  };
 }
 
 // =============================================================================
@@ -2268,7 +2414,7 @@ function selectWaterRooms(rooms, waterChance, entryRoomId, exitRoomId) {
     if (room.id === entryRoomId || room.id === exitRoomId) continue;
 
     // Roll for water
-    if (Math.random() < waterChance) {
+    if (random() < waterChance) {
       waterRoomIds.push(room.id);
     }
   }
@@ -2352,12 +2498,107 @@ function generateCells(rooms, corridorCells, color = DEFAULT_FLOOR_COLOR) {
 // MAIN GENERATION FUNCTION
 // =============================================================================
 
+/**
+ * Generate a complete dungeon.
+ * @param {string} [presetName='medium'] - Size preset ('small', 'medium', 'large')
+ * @param {string} [color] - Floor color (configOverrides.floorColor wins)
+ * @param {Object} [configOverrides] - Style and tuning overrides. `seed` (number
+ *   or text) makes the run reproducible; when absent a fresh seed is drawn.
+ *   Either way the seed used is returned as metadata.seed. `constraints` (see
+ *   normalizeConstraints) retries the layout until the spec holds; the outcome
+ *   is reported as metadata.constraintReport.
+ * @returns {Object} { cells, objects, edges, metadata }
+ */
 function generateDungeon(presetName = 'medium', color = DEFAULT_FLOOR_COLOR, configOverrides = {}) {
+  const seed = normalizeSeed(configOverrides.seed) ?? generateSeed();
+  const constraints = normalizeConstraints(configOverrides.constraints);
+  if (!constraints) {
+    return withRandomSource(createSeededRandom(seed), () =>
+      runGeneration(presetName, color, { ...configOverrides, seed })
+    );
+  }
+
+  // Retry until the constraints hold, keeping the layout with the fewest
+  // unmet ones. Each attempt draws from its own stream derived from the seed,
+  // so the whole search replays from metadata.seed.
+  let best = null;
+  let attempts = 0;
+  while (attempts < constraints.maxAttempts) {
+    const attempt = attempts++;
+    const attemptSeed = attempt === 0 ? seed : deriveSeed(seed, `attempt-${attempt}`);
+    const result = withRandomSource(createSeededRandom(attemptSeed), () => {
+      const generated = runGeneration(presetName, color, { ...configOverrides, seed, constraints });
+      applyDungeonConstraints(generated, constraints, random);
+      return generated;
+    });
+    if (!best || result.metadata.constraintReport.unmet.length < best.metadata.constraintReport.unmet.length) {
+      best = result;
+    }
+    if (result.metadata.constraintReport.satisfied) break;
+  }
+  best.metadata.constraintReport.attempts = attempts;
+  return best;
+}
+
+/**
+ * Generate a stack of floors whose stairs line up: each floor's exit stairs
+ * sit on the same cell as the next floor's entry stairs, so the floors can be
+ * stacked as boards and the stair pairs linked.
+ * @param {string} [presetName='medium'] - Size preset, shared by every floor
+ * @param {string} [color] - Floor color (configOverrides.floorColor wins)
+ * @param {Object} [configOverrides] - As for generateDungeon; `seed` seeds the
+ *   whole stack (each floor below the first draws from a derived seed)
+ * @param {number} [levelCount=2] - Number of floors
+ * @returns {Object} { levels, stairLinks, seed } — levels are generateDungeon
+ *   results, top floor first; each stairLinks entry pairs a floor's exit
+ *   stairs with the entry stairs of the floor below by object ID
+ */
+function generateMultiLevelDungeon(presetName = 'medium', color = DEFAULT_FLOOR_COLOR, configOverrides = {}, levelCount = 2) {
+  const seed = normalizeSeed(configOverrides.seed) ?? generateSeed();
+  const count = Math.max(1, Math.floor(levelCount));
+  const levels = [];
+  const stairLinks = [];
+
+  for (let level = 0; level < count; level++) {
+    const above = levels[level - 1];
+    const aboveExit = above?.objects.find(o => o.id === above.metadata.exitStairsId);
+
+    const levelOverrides = {
+      ...configOverrides,
+      // The top floor uses the stack seed itself, so it matches the
+      // single-floor dungeon generated from the same seed
+      seed: level === 0 ? seed : deriveSeed(seed, `level-${level}`)
+    };
+    if (count > 1) {
+      levelOverrides.entryAnchor = aboveExit?.position ?? null;
+      levelOverrides.entryStairType = level === 0 ? 'stairs-down' : 'stairs-up';
+      levelOverrides.exitStairType = level < count - 1 ? 'stairs-down' : null;
+    }
+
+    const result = generateDungeon(presetName, color, levelOverrides);
+    if (aboveExit && result.metadata.entryStairsId) {
+      stairLinks.push({
+        fromLevel: level - 1,
+        fromObjectId: aboveExit.id,
+        toLevel: level,
+        toObjectId: result.metadata.entryStairsId
+      });
+    }
+    levels.push(result);
+  }
+
+  return { levels, stairLinks, seed };
+}
+
+function runGeneration(presetName, color, configOverrides) {
   const baseConfig = DUNGEON_PRESETS[presetName] || DUNGEON_PRESETS.medium;
   
-  // Apply style overrides if a style is specified
+  // Apply style overrides if a style is specified. A user-defined style
+  // travels in the overrides as styleDefinition and brings its own.
   let styleOverrides = {};
-  if (configOverrides.style && DUNGEON_STYLES[configOverrides.style]) {
+  if (configOverrides.styleDefinition) {
+    styleOverrides = configOverrides.styleDefinition.overrides ?? {};
+  } else if (configOverrides.style && DUNGEON_STYLES[configOverrides.style]) {
     styleOverrides = DUNGEON_STYLES[configOverrides.style].overrides;
   }
   
@@ -2369,14 +2610,27 @@ function generateDungeon(presetName = 'medium', color = DEFAULT_FLOOR_COLOR, con
   const floorColor = config.floorColor ?? color;
   const wallColor = config.wallColor ?? DEFAULT_WALL_COLOR;
 
-  // Phase 1: Generate rooms
-  const rooms = generateRooms(config);
+  // Sketched rooms are already laid out, so a cave style only lends its colors
+  if (config.layout === 'cave' && !config.sketchRooms) {
+    return runCaveGeneration(config, floorColor);
+  }
+
+  // Phase 1: Generate rooms, or take the sketched ones as they are. Opening
+  // rooms (area generation) take part in corridors and doors but are not
+  // chambers: they get no stairs, water, secret doors or stocking
+  const rooms = config.sketchRooms ?? generateRooms(config);
+  const layoutRooms = rooms.filter(room => !room.opening);
   
-  // Phase 2: Build connection graph (MST with optional loops)
-  const connections = buildConnectionGraph(rooms, config.loopChance || 0);
+  // Phase 2: Build connection graph (MST with optional loops), held to the
+  // constraint spec's loop bounds when there is one
+  let connections = buildConnectionGraph(rooms, config.loopChance || 0);
+  if (config.constraints) {
+    const { minLoops, maxLoops } = config.constraints;
+    connections = limitLoops(rooms, connections, minLoops, maxLoops, random);
+  }
   
   // Phase 3: Carve corridors
-  const useWideCorridors = Math.random() < (config.wideCorridorChance || 0);
+  const useWideCorridors = random() < (config.wideCorridorChance || 0);
   const corridorWidth = useWideCorridors ? 2 : (config.corridorWidth || 1);
   const corridorStyle = config.corridorStyle || 'straight';
   const diagonalChance = config.diagonalCorridorChance ?? 0;
@@ -2431,13 +2685,13 @@ function generateDungeon(presetName = 'medium', color = DEFAULT_FLOOR_COLOR, con
   // Add secret doors to any rooms that ended up with no doors (emergent generation)
   // Calculate remaining secret door quota based on user's secretDoorChance
   const existingSecretDoorCount = doorObjects.filter(o => o.type === 'secret-door').length;
-  const isolatedRoomCount = getIsolatedRooms(rooms, doorPositions).length;
+  const isolatedRoomCount = getIsolatedRooms(layoutRooms, doorPositions).length;
   const totalDoorCount = doorObjects.length + isolatedRoomCount;
   const targetSecretDoorCount = Math.round(totalDoorCount * (config.secretDoorChance ?? 0));
   const remainingSecretQuota = Math.max(0, targetSecretDoorCount - existingSecretDoorCount);
 
   const isolatedRoomResult = addSecretDoorsToIsolatedRooms(
-    rooms, doorPositions, wallEdges, corridorCellSet, remainingSecretQuota
+    layoutRooms, doorPositions, wallEdges, corridorCellSet, remainingSecretQuota
   );
   wallEdges = isolatedRoomResult.updatedEdges;
   if (isolatedRoomResult.secretDoorObjects.length > 0) {
@@ -2445,15 +2699,16 @@ function generateDungeon(presetName = 'medium', color = DEFAULT_FLOOR_COLOR, con
   }
 
   // Phase 3b: Generate entry/exit stairs
-  const { entry, exit } = findEntryExitRooms(rooms);
-  const stairObjects = generateStairObjects(entry, exit);
+  const { entry, exit } = findEntryExitRooms(layoutRooms, config.entryAnchor);
+  const { entryStairs, exitStairs } = placeStairs(entry, exit, getStairOptions(config));
+  const stairObjects = [entryStairs, exitStairs].filter(Boolean);
 
   // Phase 3c: Generate water features
   const waterChance = config.waterChance ?? 0;
   const waterColor = config.waterColor ?? DEFAULT_WATER_COLOR;
   const waterOpacity = config.waterOpacity ?? DEFAULT_WATER_OPACITY;
-  const waterRoomIds = selectWaterRooms(rooms, waterChance, entry?.id, exit?.id);
-  const waterCells = generateWaterCells(rooms, waterRoomIds, waterColor, waterOpacity);
+  const waterRoomIds = selectWaterRooms(layoutRooms, waterChance, entry?.id, exit?.id);
+  const waterCells = generateWaterCells(layoutRooms, waterRoomIds, waterColor, waterOpacity);
 
   // Combine all objects
   const objects = [...doorObjects, ...stairObjects];
@@ -2479,11 +2734,11 @@ function generateDungeon(presetName = 'medium', color = DEFAULT_FLOOR_COLOR, con
     objects,
     edges: wallEdges,
     metadata: {
-      rooms,
+      rooms: layoutRooms,
       connections: connections.map(([a, b]) => [a.id, b.id]),
       gridWidth: config.gridWidth,
       gridHeight: config.gridHeight,
-      roomCount: rooms.length,
+      roomCount: layoutRooms.length,
       doorCount: doorObjects.length,
       secretDoorCount,
       hasWideCorridors: useWideCorridors,
@@ -2494,7 +2749,70 @@ function generateDungeon(presetName = 'medium', color = DEFAULT_FLOOR_COLOR, con
       // Data for objectPlacer (dungeon stocking)
       corridorResult,
       doorPositions,
-      style: config.style || 'classic'
+      style: config.style || 'classic',
+      seed: config.seed,
+      entryStairsId: entryStairs?.id,
+      exitStairsId: exitStairs?.id
+    }
+  };
+}
+
+// =============================================================================
+// CAVE PIPELINE
+// =============================================================================
+
+/**
+ * Cave variant of the pipeline: the cave layout stands in for rooms,
+ * connections and corridors, then stairs and water run as usual. Caves have
+ * no doors and no room/corridor seams, so no wall edges are emitted.
+ * @param {Object} config - Merged generation config
+ * @param {string} floorColor - Floor color
+ * @returns {Object} { cells, objects, edges, metadata }
+ */
+function runCaveGeneration(config, floorColor) {
+  const { floorCells, rooms, corridorResult } = generateCaveLayout(config, random);
+
+  const { entry, exit } = findEntryExitRooms(rooms, config.entryAnchor);
+  const { entryStairs, exitStairs } = placeStairs(entry, exit, getStairOptions(config));
+  const stairObjects = [entryStairs, exitStairs].filter(Boolean);
+
+  const waterChance = config.waterChance ?? 0;
+  const waterColor = config.waterColor ?? DEFAULT_WATER_COLOR;
+  const waterOpacity = config.waterOpacity ?? DEFAULT_WATER_OPACITY;
+  const waterRoomIds = selectWaterRooms(rooms, waterChance, entry?.id, exit?.id);
+  const waterCells = generateWaterCells(rooms, waterRoomIds, waterColor, waterOpacity);
+
+  const cellMap = new Map();
+  for (const cell of floorCells) {
+    cellMap.set(cellKey(cell.x, cell.y), { x: cell.x, y: cell.y, color: floorColor });
+  }
+  for (const cell of waterCells) {
+    cellMap.set(cellKey(cell.x, cell.y), cell);
+  }
+
+  return {
+    cells: Array.from(cellMap.values()),
+    objects: stairObjects,
+    edges: [],
+    metadata: {
+      rooms,
+      connections: [],
+      gridWidth: config.gridWidth,
+      gridHeight: config.gridHeight,
+      roomCount: rooms.length,
+      doorCount: 0,
+      secretDoorCount: 0,
+      hasWideCorridors: false,
+      hasDiagonalCorridors: false,
+      entryRoomId: entry?.id,
+      exitRoomId: exit?.id,
+      waterRoomIds,
+      corridorResult,
+      doorPositions: [],
+      style: config.style || 'classic',
+      seed: config.seed,
+      entryStairsId: entryStairs?.id,
+      exitStairsId: exitStairs?.id
     }
   };
 }
@@ -2503,7 +2821,7 @@ function generateDungeon(presetName = 'medium', color = DEFAULT_FLOOR_COLOR, con
 // EXPORTS
 // =============================================================================
 
-export { generateDungeon, DUNGEON_PRESETS, DUNGEON_STYLES, DEFAULT_FLOOR_COLOR, DEFAULT_WATER_COLOR, DEFAULT_WATER_OPACITY, DEFAULT_WALL_COLOR, DIAGONAL_SEGMENTS, // Individual phases
+export { generateDungeon, generateMultiLevelDungeon, withRandomSource, DUNGEON_PRESETS, DUNGEON_STYLES, DEFAULT_FLOOR_COLOR, DEFAULT_WATER_COLOR, DEFAULT_WATER_OPACITY, DEFAULT_WALL_COLOR, DIAGONAL_SEGMENTS, // Individual phases
   generateRooms, buildConnectionGraph, carveCorridors, carveCorridorsWithDiagonals, carveDiagonalCorridor, generateCells, selectWaterRooms, generateWaterCells, // Utilities
-  getRoomCenter, getRoomCells, getRoomDistance, isCellInRoom, isCellInRoomRect, isCellAdjacentToRoom, carveCorridorBetween, canUseDiagonalCorridor, getDiagonalDirection, findDoorCandidates, findDoorPositions, generateDoorObjects, findEntryExitRooms, generateStairObjects, // Door/edge utilities (for testing)
+  getRoomCenter, getRoomCells, getRoomDistance, isCellInRoom, isCellInRoomRect, isCellAdjacentToRoom, carveCorridorBetween, canUseDiagonalCorridor, getDiagonalDirection, findDoorCandidates, findDoorPositions, generateDoorObjects, findEntryExitRooms, generateStairObjects, placeStairs, // Door/edge utilities (for testing)
   isAtCorridorIntersection, isCellAdjacentToRoomForOpening, calculateRoomOpeningWidth, generateWallEdgesForCells, generateAllRoomBoundaryEdges };
\ No newline at end of file
@@ -0,0 +1,63 @@
+// Type declaration shim for dungeonKey.js
+// The actual implementation is in dungeonKey.js with JSDoc annotations.
+
+import type { TextLabel } from '#types/objects/note.types';
+import type { DungeonRoom } from './dungeonGenerator';
+import type { RoomAssignment } from './objectPlacer';
+
+export type RoomKeyCategory = 'monster' | 'trap' | 'feature' | 'empty' | 'water' | 'entrance' | 'exit';
+
+export interface RoomKeyEntry {
+  number: number;
+  roomId: number | string;
+  category: RoomKeyCategory;
+  boss: boolean;
+  /** Room template name ("Library"), when the room used one */
+  template: string | null;
+  /** The room won its secondary treasure roll */
+  treasure: boolean;
+  /** Summarised object names ("Chest ×2") */
+  contents: string[];
+  /** Numbers of the rooms this one connects to */
+  exits: number[];
+  /** Cell the room's number label sits on */
+  labelCell: { x: number; y: number };
+}
+
+interface KeyObject {
+  type: string;
+  position: { x: number; y: number };
+  label?: string;
+}
+
+/** The parts of a generateDungeon result the key reads */
+export interface RoomKeySource {
+  cells: Array<{ x: number; y: number }>;
+  edges?: Array<{ x: number; y: number; side: string }>;
+  objects: KeyObject[];
+  metadata: {
+    rooms: DungeonRoom[];
+    connections?: Array<[number | string, number | string]>;
+    entryRoomId?: number | string;
+    exitRoomId?: number | string;
+  };
+}
+
+/** The parts of a stockDungeon result the key reads */
+export interface RoomKeyStocking {
+  objects: KeyObject[];
+  roomAssignments: Record<string | number, RoomAssignment>;
+}
+
+export function numberRooms(
+  rooms: DungeonRoom[],
+  entryRoomId?: number | string,
+  firstNumber?: number
+): Map<number | string, number>;
+export function buildRoomKey(
+  result: RoomKeySource,
+  stockResult?: RoomKeyStocking | null,
+  firstNumber?: number
+): RoomKeyEntry[];
+export function describeCategory(entry: RoomKeyEntry): string;
+export function buildRoomKeyLabels(entries: RoomKeyEntry[], gridSize: number): TextLabel[];
@@ -0,0 +1,222 @@
+/**
+ * dungeonKey.js
+ *
+ * Numbered room key for generated dungeons. Turns the generator's rooms and
+ * connections and the stocker's room assignments into one entry per room
+ * (number, category, contents, treasure, exits), plus the numbered text
+ * labels that mark each room on the map. The key note itself is written by
+ * persistence/dungeonKeyNoteOperations.
+ */
+
+import { analyzeLayout } from './dungeonConstraints';
+import { getRoomCells, isCellInRoom } from './objectPlacer';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const DOOR_TYPES = new Set(['door-horizontal', 'door-vertical', 'secret-door']);
+
+/** Display names for objects the stocker doesn't label */
+const CONTENT_NAMES = {
+  'stairs-up': 'Stairs up',
+  'stairs-down': 'Stairs down'
+};
+
+const CATEGORY_NAMES = {
+  monster: 'Monster',
+  trap: 'Trap',
+  feature: 'Feature',
+  empty: 'Empty',
+  water: 'Water',
+  entrance: 'Entrance',
+  exit: 'Exit'
+};
+
+/** Room number labels, relative to the map's grid size */
+const LABEL_FONT_SCALE = 0.6;
+const LABEL_COLOR = '#ffffff';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function cellKey(x, y) {
+  return `${x},${y}`;
+}
+
+// IDs stay on Math.random: they must be unique per run, not reproducible.
+function generateTextLabelId() {
+  return 'text-' + Date.now() + '-' + Math.random().toString(36).slice(2, 11);
+}
+
+function contentName(obj) {
+  if (obj.label) return obj.label;
+  if (CONTENT_NAMES[obj.type]) return CONTENT_NAMES[obj.type];
+  const words = obj.type.replace(/-/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Summarise objects as "Name" or "Name ×n", in order of first appearance.
+ */
+function summariseContents(objects) {
+  const counts = new Map();
+  for (const obj of objects) {
+    const name = contentName(obj);
+    counts.set(name, (counts.get(name) ?? 0) + 1);
+  }
+  return [...counts].map(([name, count]) => count > 1 ? `${name} ×${count}` : name);
+}
+
+/**
+ * Room cell for the number label: the free cell nearest the room's middle,
+ * so the number doesn't sit on the boss or a stair.
+ */
+function findLabelCell(room, occupied) {
+  const cells = getRoomCells(room);
+  if (cells.length === 0) return { x: room.x, y: room.y };
+  const midX = room.x + room.width / 2 - 0.5;
+  const midY = room.y + room.height / 2 - 0.5;
+  const distance = (cell) => (cell.x - midX) ** 2 + (cell.y - midY) ** 2;
+  const byDistance = [...cells].sort((a, b) => distance(a) - distance(b));
+  return byDistance.find(cell => !occupied.has(cellKey(cell.x, cell.y))) ?? byDistance[0];
+}
+
+/**
+ * Rooms joined by the layout's planned connections. Caverns plan none, so
+ * their chambers are joined wherever the carved floor links them, directly
+ * or through one passage.
+ */
+function findRoomNeighbours(result) {
+  const neighbours = new Map(result.metadata.rooms.map(room => [room.id, new Set()]));
+  const link = (a, b) => {
+    if (a === b) return;
+    neighbours.get(a)?.add(b);
+    neighbours.get(b)?.add(a);
+  };
+
+  const connections = result.metadata.connections ?? [];
+  if (connections.length > 0) {
+    for (const [a, b] of connections) link(a, b);
+    return neighbours;
+  }
+
+  const layout = analyzeLayout(result);
+  const roomsByPassage = new Map();
+  for (const { a, b } of layout.edges) {
+    const roomA = layout.roomOfNode.get(a);
+    const roomB = layout.roomOfNode.get(b);
+    if (roomA && roomB) {
+      link(roomA.id, roomB.id);
+      continue;
+    }
+    const [room, passage] = roomA ? [roomA, b] : [roomB, a];
+    if (!room) continue;
+    if (!roomsByPassage.has(passage)) roomsByPassage.set(passage, []);
+    roomsByPassage.get(passage).push(room.id);
+  }
+  for (const ids of roomsByPassage.values()) {
+    for (const a of ids) for (const b of ids) link(a, b);
+  }
+  return neighbours;
+}
+
+// =============================================================================
+// ROOM KEY
+// =============================================================================
+
+/**
+ * Number rooms the way a printed key reads: the entrance first, then the
+ * rest top to bottom, left to right.
+ * @param {Array} rooms - metadata.rooms
+ * @param {number|string} [entryRoomId] - metadata.entryRoomId
+ * @param {number} [firstNumber=1] - Number of the first room (later floors
+ *   of a multi-level dungeon carry on from the floor above)
+ * @returns {Map<number|string, number>} Room ID -> room number
+ */
+function numberRooms(rooms, entryRoomId, firstNumber = 1) {
+  const ordered = [...rooms].sort((a, b) => {
+    if (a.id === entryRoomId) return -1;
+    if (b.id === entryRoomId) return 1;
+    return a.y - b.y || a.x - b.x;
+  });
+  return new Map(ordered.map((room, i) => [room.id, firstNumber + i]));
+}
+
+/**
+ * Build the room key of a generated and stocked dungeon.
+ * @param {Object} result - generateDungeon result
+ * @param {Object} stockResult - stockDungeon result ({ objects, roomAssignments })
+ * @param {number} [firstNumber=1] - Number of the first room
+ * @returns {Array<Object>} One entry per room, in key order: { number, roomId,
+ *   category, boss, template, treasure, contents, exits, labelCell }.
+ *   `contents` are summarised object names, `exits` the numbers of the
+ *   rooms it connects to and `labelCell` the cell its number goes on.
+ */
+function buildRoomKey(result, stockResult, firstNumber = 1) {
+  const { rooms, entryRoomId, exitRoomId } = result.metadata;
+  const numbers = numberRooms(rooms, entryRoomId, firstNumber);
+  const neighbours = findRoomNeighbours(result);
+  const objects = [...result.objects, ...(stockResult?.objects ?? [])]
+    .filter(obj => !DOOR_TYPES.has(obj.type));
+  const occupied = new Set(objects.map(obj => cellKey(obj.position.x, obj.position.y)));
+  const assignments = stockResult?.roomAssignments ?? {};
+
+  const entries = rooms.map(room => {
+    const assignment = assignments[room.id] ?? {};
+    let category = assignment.category ?? 'empty';
+    if (room.id === entryRoomId) category = 'entrance';
+    else if (room.id === exitRoomId && category === 'entry_exit') category = 'exit';
+
+    const inside = objects.filter(obj => isCellInRoom(obj.position.x, obj.position.y, room));
+    return {
+      number: numbers.get(room.id),
+      roomId: room.id,
+      category,
+      boss: assignment.boss === true,
+      template: assignment.template ?? null,
+      treasure: assignment.hasSecondaryTreasure === true,
+      contents: summariseContents(inside),
+      exits: [...neighbours.get(room.id)].map(id => numbers.get(id)).sort((a, b) => a - b),
+      labelCell: findLabelCell(room, occupied)
+    };
+  });
+  return entries.sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Display name of a key entry's category ("Monster", "Entrance", ...).
+ * @param {Object} entry - buildRoomKey entry
+ * @returns {string}
+ */
+function describeCategory(entry) {
+  const name = CATEGORY_NAMES[entry.category] ?? entry.category;
+  if (entry.boss) return `${name} (boss)`;
+  if (entry.template) return `${name} (${entry.template})`;
+  return name;
+}
+
+/**
+ * Numbered text labels for a room key, centred on each entry's label cell.
+ * @param {Array<Object>} entries - buildRoomKey entries
+ * @param {number} gridSize - Map grid size in world units
+ * @returns {Array<Object>} TextLabel objects in world coordinates
+ */
+function buildRoomKeyLabels(entries, gridSize) {
+  return entries.map(entry => ({
+    id: generateTextLabelId(),
+    content: String(entry.number),
+    position: { x: (entry.labelCell.x + 0.5) * gridSize, y: (entry.labelCell.y + 0.5) * gridSize },
+    rotation: 0,
+    fontSize: Math.round(gridSize * LABEL_FONT_SCALE),
+    fontFace: 'sans',
+    color: LABEL_COLOR
+  }));
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { buildRoomKey, buildRoomKeyLabels, numberRooms, describeCategory };
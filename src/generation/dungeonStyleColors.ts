@@ -1,7 +1,9 @@
 /**
  * dungeonStyleColors.ts
  * Per-style default colors for the dungeon generator, plus resolution
- * against user overrides in plugin settings (settings.dungeonStyleColors).
+ * against user overrides in plugin settings (settings.dungeonStyleColors)
+ * and the colors of user-defined styles from enabled packs
+ * (settings.dungeonStylePacks).
  *
  * Single source of truth for generation color defaults — the generator
  * itself stays style-blind and receives explicit colors via configOverrides.
@@ -10,6 +12,7 @@
 import type { DungeonStyleName, DungeonStyleColors } from '#types/core/map.types';
 
 import { getSettings } from '../core/settingsAccessor';
+import { getEnabledDungeonStyles } from './dungeonStylePackOperations';
 
 const DUNGEON_STYLE_NAMES: DungeonStyleName[] = ['classic', 'cavern', 'fortress', 'crypt'];
 
@@ -33,12 +36,18 @@ function isDungeonStyleName(style: string | null | undefined): style is DungeonS
 /**
  * Resolve the effective colors for a generation style: built-in style
  * defaults overlaid with any user overrides from plugin settings.
- * Unknown or absent styles resolve as 'classic'.
+ * A user-defined style's colors overlay the classic ones while its pack is
+ * enabled; other unknown or absent styles resolve as 'classic'.
  */
 function resolveDungeonStyleColors(style: string | null | undefined): DungeonStyleColors {
+  const settings = getSettings();
   const styleName: DungeonStyleName = isDungeonStyleName(style) ? style : 'classic';
-  const overrides = getSettings().dungeonStyleColors?.[styleName];
-  return { ...DUNGEON_STYLE_COLOR_DEFAULTS[styleName], ...overrides };
+  const resolved = { ...DUNGEON_STYLE_COLOR_DEFAULTS[styleName], ...settings.dungeonStyleColors?.[styleName] };
+  if (styleName === style || style == null) return resolved;
+
+  const custom = getEnabledDungeonStyles(settings.dungeonStylePacks)
+    .find(definition => definition.id === style);
+  return { ...resolved, ...custom?.colors };
 }
 
 export { DUNGEON_STYLE_NAMES, DUNGEON_STYLE_COLOR_DEFAULTS, isDungeonStyleName, resolveDungeonStyleColors };
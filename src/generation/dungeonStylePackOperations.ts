@@ -0,0 +1,562 @@
+/**
+ * dungeonStylePackOperations.ts
+ *
+ * Pure operations for dungeon style packs: creation, list editing,
+ * enable/disable, export serialization, import validation, checking a
+ * style against the object set it will be stocked from, and gathering the
+ * stocking tables that apply to a style. All functions
+ * return new arrays/objects (immutable updates).
+ *
+ * Styles reference object types by id only. A style may name custom object
+ * types, so whether those exist depends on the object set in use, which is
+ * checked separately from the pack's own shape.
+ */
+
+// Type-only imports
+import type {
+  DungeonPlacementZone,
+  DungeonLevelRange,
+  DungeonStockingTable,
+  DungeonStockingTableEntry,
+  DungeonStockingTableKind,
+  DungeonStyleCategoryWeights,
+  DungeonStyleDefinition,
+  DungeonStyleGeneratorOverrides,
+  DungeonStyleObjectPools,
+  DungeonStylePack,
+  DungeonStylePackExport,
+  DungeonStylePackValidation,
+  DungeonStyleRoomTemplate,
+  DungeonStyleTemplateObject,
+} from '#types/settings/dungeonStyle.types';
+
+import { DUNGEON_STYLES } from './dungeonGenerator';
+import { ROOM_TEMPLATES, STOCKING_CONFIG, STYLE_OBJECT_POOLS } from './objectPlacer';
+import { DUNGEON_STYLE_NAMES } from './dungeonStyleColors';
+
+/** Version stamp written into exported pack files */
+const DUNGEON_STYLE_PACK_FORMAT = 'windrose-dungeon-style-pack';
+const DUNGEON_STYLE_PACK_FORMAT_VERSION = 1;
+
+const PLACEMENT_ZONES: DungeonPlacementZone[] = ['center', 'corners', 'walls', 'scattered', 'flanking'];
+const POOL_KEYS: (keyof DungeonStyleObjectPools)[] = ['monsters', 'treasures', 'features', 'traps'];
+const WEIGHT_KEYS: (keyof DungeonStyleCategoryWeights)[] = ['monster', 'empty', 'feature', 'trap'];
+const CORRIDOR_STYLES = ['straight', 'organic', 'diagonal'];
+const TABLE_KINDS: DungeonStockingTableKind[] = ['encounter', 'treasure'];
+
+/** Generator overrides that are chances (0-1); roomSizeBias runs -1 to 1 */
+const CHANCE_OVERRIDES: (keyof DungeonStyleGeneratorOverrides)[] = [
+  'circleChance', 'complexRoomChance', 'doorChance', 'secretDoorChance',
+  'loopChance', 'wideCorridorChance', 'waterChance', 'diagonalCorridorChance',
+];
+
+/**
+ * Generate a unique id for a pack or style
+ */
+function generateDungeonStyleId(prefix: string): string {
+  return prefix + '-' + Date.now() + '-' + Math.random().toString(36).slice(2, 11);
+}
+
+// ===========================================
+// Creation
+// ===========================================
+
+/**
+ * Create a style that starts as a copy of the built-in classic style, so a
+ * new style generates sensibly before it is edited.
+ */
+function createDungeonStyle(name: string): DungeonStyleDefinition {
+  return {
+    id: generateDungeonStyleId('style'),
+    name,
+    overrides: { ...(DUNGEON_STYLES.classic.overrides as DungeonStyleGeneratorOverrides) },
+    pools: structuredClone(STYLE_OBJECT_POOLS.classic) as unknown as DungeonStyleObjectPools,
+    templates: structuredClone(ROOM_TEMPLATES) as Record<string, DungeonStyleRoomTemplate>,
+    categoryWeights: { ...STOCKING_CONFIG.categoryWeights },
+  };
+}
+
+/** Create a pack holding one starter style (enabled by default) */
+function createDungeonStylePack(name: string): DungeonStylePack {
+  return {
+    id: generateDungeonStyleId('dungeon-style-pack'),
+    name,
+    enabled: true,
+    styles: [createDungeonStyle('New style')],
+  };
+}
+
+// ===========================================
+// Pack list editing
+// ===========================================
+
+/** Add or replace a pack (matched by id). Returns a new array. */
+function upsertDungeonStylePack(packs: DungeonStylePack[], pack: DungeonStylePack): DungeonStylePack[] {
+  const index = packs.findIndex(p => p.id === pack.id);
+  if (index === -1) return [...packs, pack];
+  return packs.map(p => (p.id === pack.id ? pack : p));
+}
+
+/** Remove a pack by id. Returns a new array. */
+function removeDungeonStylePack(packs: DungeonStylePack[], packId: string): DungeonStylePack[] {
+  return packs.filter(p => p.id !== packId);
+}
+
+/** Enable or disable a pack. Only enabled packs offer styles when generating. */
+function setDungeonStylePackEnabled(packs: DungeonStylePack[], packId: string, enabled: boolean): DungeonStylePack[] {
+  return packs.map(p => (p.id === packId ? { ...p, enabled } : p));
+}
+
+/** Enabled packs only — everything generation-facing goes through this */
+function getEnabledDungeonStylePacks(packs: DungeonStylePack[] | undefined): DungeonStylePack[] {
+  return (packs ?? []).filter(p => p.enabled);
+}
+
+/**
+ * Styles of every enabled pack, in pack order. A style id that appears in
+ * two packs is offered once (first wins), as is one shadowing a built-in.
+ */
+function getEnabledDungeonStyles(packs: DungeonStylePack[] | undefined): DungeonStyleDefinition[] {
+  const seen = new Set<string>(DUNGEON_STYLE_NAMES);
+  const styles: DungeonStyleDefinition[] = [];
+  for (const pack of getEnabledDungeonStylePacks(packs)) {
+    for (const style of pack.styles) {
+      if (seen.has(style.id)) continue;
+      seen.add(style.id);
+      styles.push(style);
+    }
+  }
+  return styles;
+}
+
+/**
+ * Stocking tables of every enabled pack that apply to a style (tables that
+ * list no styles apply to all). Level filtering is left to the stocker,
+ * since every floor of a stack has its own level.
+ */
+function getEnabledStockingTables(packs: DungeonStylePack[] | undefined, style: string): DungeonStockingTable[] {
+  return getEnabledDungeonStylePacks(packs)
+    .flatMap(pack => pack.tables ?? [])
+    .filter(table => table.styles == null || table.styles.length === 0 || table.styles.includes(style));
+}
+
+// ===========================================
+// Object set checks
+// ===========================================
+
+/** Every object type id a style can place, in first-use order */
+function getStyleObjectTypes(style: DungeonStyleDefinition): string[] {
+  const types = new Set<string>();
+  for (const key of POOL_KEYS) {
+    for (const type of style.pools[key]) types.add(type);
+  }
+  for (const template of Object.values(style.templates)) {
+    for (const spec of template.objects) types.add(spec.type);
+  }
+  types.add(style.boss ?? 'boss');
+  return [...types];
+}
+
+/**
+ * Object types a style references that the object set doesn't provide
+ * (deleted custom objects, hidden built-ins, or a different set's ids).
+ * @param knownTypeIds - Ids of the object set in use (getResolvedObjectTypes)
+ */
+function findMissingStyleObjects(style: DungeonStyleDefinition, knownTypeIds: Iterable<string>): string[] {
+  const known = new Set(knownTypeIds);
+  return getStyleObjectTypes(style).filter(type => !known.has(type));
+}
+
+/**
+ * Prepare a style for generation against an object set: drop the object
+ * types the set lacks (stocking them would place unknown objects), drop
+ * templates left empty, and record each remaining type's display label.
+ * The result is what a map embeds, so re-rolls need neither pack nor set.
+ * @param objectTypes - The object set in use (getResolvedObjectTypes)
+ * @returns The prepared style and the ids that were dropped
+ */
+function resolveDungeonStyleForGeneration(
+  style: DungeonStyleDefinition,
+  objectTypes: { id: string; label: string }[]
+): { style: DungeonStyleDefinition; missing: string[] } {
+  const labels = new Map(objectTypes.map(type => [type.id, type.label]));
+  const missing = findMissingStyleObjects(style, labels.keys());
+
+  const keep = (type: string): boolean => labels.has(type);
+  const pools = Object.fromEntries(
+    POOL_KEYS.map(key => [key, style.pools[key].filter(keep)])
+  ) as unknown as DungeonStyleObjectPools;
+
+  const templates: Record<string, DungeonStyleRoomTemplate> = {};
+  for (const [key, template] of Object.entries(style.templates)) {
+    const objects = template.objects.filter(spec => keep(spec.type));
+    if (objects.length > 0) templates[key] = { ...template, objects };
+  }
+
+  const used = new Set<string>();
+  for (const key of POOL_KEYS) pools[key].forEach(type => used.add(type));
+  for (const template of Object.values(templates)) template.objects.forEach(spec => used.add(spec.type));
+  const boss = style.boss ?? 'boss';
+  if (keep(boss)) used.add(boss);
+
+  const resolved: DungeonStyleDefinition = {
+    ...style,
+    pools,
+    templates,
+    labels: Object.fromEntries([...used].map(type => [type, labels.get(type) as string])),
+  };
+  // A missing boss falls back to the stocker's default rather than nothing
+  if (!keep(boss)) delete resolved.boss;
+  return { style: resolved, missing };
+}
+
+// ===========================================
+// Export
+// ===========================================
+
+/** Build the export envelope (local `enabled` state and labels are stripped) */
+function exportDungeonStylePack(pack: DungeonStylePack): DungeonStylePackExport {
+  const { enabled: _enabled, ...portable } = pack;
+  return {
+    format: DUNGEON_STYLE_PACK_FORMAT,
+    formatVersion: DUNGEON_STYLE_PACK_FORMAT_VERSION,
+    pack: {
+      ...portable,
+      styles: portable.styles.map(({ labels: _labels, ...style }) => style),
+    },
+  };
+}
+
+/** Serialize a pack to pretty JSON for writing to a file */
+function serializeDungeonStylePack(pack: DungeonStylePack): string {
+  return JSON.stringify(exportDungeonStylePack(pack), null, 2);
+}
+
+// ===========================================
+// Import validation
+// ===========================================
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isNonEmptyString(value: unknown): value is string {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isPositiveNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function isCount(value: unknown): value is number {
+  return typeof value === 'number' && Number.isInteger(value) && value >= 0;
+}
+
+function isInRange(value: unknown, min: number, max: number): value is number {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function validateOverrides(raw: unknown, label: string, errors: string[]): DungeonStyleGeneratorOverrides {
+  if (raw === undefined) return {};
+  if (!isRecord(raw)) {
+    errors.push(`${label}: generator overrides must be an object`);
+    return {};
+  }
+  const overrides: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if ((CHANCE_OVERRIDES as string[]).includes(key)) {
+      if (!isInRange(value, 0, 1)) errors.push(`${label}: ${key} must be between 0 and 1`);
+    } else if (key === 'roomSizeBias') {
+      if (!isInRange(value, -1, 1)) errors.push(`${label}: roomSizeBias must be between -1 and 1`);
+    } else if (key === 'corridorStyle') {
+      if (!CORRIDOR_STYLES.includes(value as string)) errors.push(`${label}: corridorStyle must be straight, organic or diagonal`);
+    } else if (key === 'layout') {
+      if (value !== 'cave') errors.push(`${label}: layout can only be "cave"`);
+    } else {
+      errors.push(`${label}: unknown generator setting "${key}"`);
+      continue;
+    }
+    overrides[key] = value;
+  }
+  return overrides;
+}
+
+function validatePools(raw: unknown, label: string, errors: string[]): DungeonStyleObjectPools {
+  const pools = { monsters: [], treasures: [], features: [], traps: [] } as DungeonStyleObjectPools;
+  if (!isRecord(raw)) {
+    errors.push(`${label}: object pools are missing`);
+    return pools;
+  }
+  for (const key of POOL_KEYS) {
+    const list = raw[key];
+    if (!Array.isArray(list) || !list.every(isNonEmptyString)) {
+      errors.push(`${label}: the ${key} pool must be a list of object type ids`);
+      continue;
+    }
+    pools[key] = list;
+  }
+  if (pools.monsters.length === 0) errors.push(`${label}: the monsters pool needs at least one object type`);
+  if (pools.treasures.length === 0) errors.push(`${label}: the treasures pool needs at least one object type`);
+  return pools;
+}
+
+function validateTemplates(raw: unknown, label: string, errors: string[]): Record<string, DungeonStyleRoomTemplate> {
+  const templates: Record<string, DungeonStyleRoomTemplate> = {};
+  if (raw === undefined) return templates;
+  if (!isRecord(raw)) {
+    errors.push(`${label}: room templates must be an object of template key to template`);
+    return templates;
+  }
+  for (const [key, template] of Object.entries(raw)) {
+    if (!isRecord(template) || !isNonEmptyString(template.name)) {
+      errors.push(`${label}: template "${key}" is missing a name`);
+      continue;
+    }
+    const where = `${label}, template "${template.name}"`;
+    if (!isPositiveNumber(template.minRoomSize)) errors.push(`${where}: minRoomSize must be greater than zero`);
+    const rawObjects = Array.isArray(template.objects) ? template.objects : [];
+    if (rawObjects.length === 0) errors.push(`${where}: needs at least one object`);
+
+    const objects: DungeonStyleTemplateObject[] = [];
+    for (const [i, spec] of rawObjects.entries()) {
+      if (!isRecord(spec) || !isNonEmptyString(spec.type)) {
+        errors.push(`${where}: object #${i + 1} is missing an object type`);
+        continue;
+      }
+      const count = spec.count;
+      if (!isRecord(count) || !isCount(count.min) || !isCount(count.max) || count.min > count.max) {
+        errors.push(`${where}: "${spec.type}" needs a count with whole numbers 0 ≤ min ≤ max`);
+      }
+      if (!PLACEMENT_ZONES.includes(spec.placement as DungeonPlacementZone)) {
+        errors.push(`${where}: "${spec.type}" has an invalid placement (use ${PLACEMENT_ZONES.join(', ')})`);
+      }
+      objects.push({
+        type: spec.type,
+        count: isRecord(count) ? { min: count.min as number, max: count.max as number } : { min: 0, max: 0 },
+        placement: spec.placement as DungeonPlacementZone,
+      });
+    }
+    templates[key] = { name: template.name, objects, minRoomSize: template.minRoomSize as number };
+  }
+  return templates;
+}
+
+function validateWeights(raw: unknown, label: string, errors: string[]): DungeonStyleCategoryWeights | undefined {
+  if (raw === undefined) return undefined;
+  if (!isRecord(raw) || !WEIGHT_KEYS.every(key => isInRange(raw[key], 0, Infinity))) {
+    errors.push(`${label}: category weights need monster, empty, feature and trap numbers of zero or more`);
+    return undefined;
+  }
+  const weights = Object.fromEntries(WEIGHT_KEYS.map(key => [key, raw[key]])) as unknown as DungeonStyleCategoryWeights;
+  if (WEIGHT_KEYS.every(key => weights[key] === 0)) errors.push(`${label}: category weights cannot all be zero`);
+  return weights;
+}
+
+function validateColors(raw: unknown, label: string, errors: string[]): DungeonStyleDefinition['colors'] {
+  if (raw === undefined) return undefined;
+  const colors: NonNullable<DungeonStyleDefinition['colors']> = {};
+  if (!isRecord(raw)) {
+    errors.push(`${label}: colors must be an object`);
+    return undefined;
+  }
+  for (const channel of ['floor', 'wall', 'water'] as const) {
+    const value = raw[channel];
+    if (value === undefined) continue;
+    if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+      errors.push(`${label}: ${channel} color must be a hex color like #c4a57b`);
+      continue;
+    }
+    colors[channel] = value;
+  }
+  return colors;
+}
+
+function validateLevelRange(raw: unknown, label: string, errors: string[]): DungeonLevelRange | undefined {
+  if (raw === undefined) return undefined;
+  const range: DungeonLevelRange = {};
+  if (!isRecord(raw)) {
+    errors.push(`${label}: levels must be an object with min and/or max`);
+    return undefined;
+  }
+  for (const bound of ['min', 'max'] as const) {
+    const value = raw[bound];
+    if (value === undefined) continue;
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < 1) {
+      errors.push(`${label}: levels.${bound} must be a whole number of 1 or more`);
+      continue;
+    }
+    range[bound] = value;
+  }
+  if (range.min != null && range.max != null && range.min > range.max) {
+    errors.push(`${label}: levels.min cannot be above levels.max`);
+  }
+  return range;
+}
+
+/**
+ * Validate one stocking table of a pack, pushing problems onto `errors`.
+ * @returns The normalized table, or null when it has no usable id or name
+ */
+function validateStockingTable(raw: unknown, index: number, errors: string[]): DungeonStockingTable | null {
+  if (!isRecord(raw) || !isNonEmptyString(raw.id) || !isNonEmptyString(raw.name)) {
+    errors.push(`Table #${index + 1} is missing an id or name`);
+    return null;
+  }
+  const label = `Table "${raw.name}"`;
+  if (!TABLE_KINDS.includes(raw.kind as DungeonStockingTableKind)) {
+    errors.push(`${label}: kind must be encounter or treasure`);
+  }
+  if (raw.styles !== undefined && (!Array.isArray(raw.styles) || !raw.styles.every(isNonEmptyString))) {
+    errors.push(`${label}: styles must be a list of style ids`);
+  }
+  const levels = validateLevelRange(raw.levels, label, errors);
+
+  const rawEntries = Array.isArray(raw.entries) ? raw.entries : [];
+  if (rawEntries.length === 0) errors.push(`${label}: needs at least one entry`);
+  const entries: DungeonStockingTableEntry[] = [];
+  for (const [i, rawEntry] of rawEntries.entries()) {
+    if (!isRecord(rawEntry) || !isNonEmptyString(rawEntry.label)) {
+      errors.push(`${label}: entry #${i + 1} is missing a label`);
+      continue;
+    }
+    const where = `${label}, entry "${rawEntry.label}"`;
+    if (rawEntry.text !== undefined && typeof rawEntry.text !== 'string') errors.push(`${where}: text must be a string`);
+    if (rawEntry.weight !== undefined && !isPositiveNumber(rawEntry.weight)) errors.push(`${where}: weight must be greater than zero`);
+    const entryLevels = validateLevelRange(rawEntry.levels, where, errors);
+    entries.push({
+      label: rawEntry.label,
+      ...(isNonEmptyString(rawEntry.text) ? { text: rawEntry.text } : {}),
+      ...(isPositiveNumber(rawEntry.weight) ? { weight: rawEntry.weight } : {}),
+      ...(entryLevels ? { levels: entryLevels } : {}),
+    });
+  }
+
+  return {
+    id: raw.id,
+    name: raw.name,
+    kind: raw.kind as DungeonStockingTableKind,
+    ...(Array.isArray(raw.styles) && raw.styles.length > 0 ? { styles: raw.styles as string[] } : {}),
+    ...(levels ? { levels } : {}),
+    entries,
+  };
+}
+
+/**
+ * Validate one style of a pack, pushing problems onto `errors`.
+ * @returns The normalized style, or null when it has no usable id or name
+ */
+function validateDungeonStyle(raw: unknown, index: number, errors: string[]): DungeonStyleDefinition | null {
+  if (!isRecord(raw) || !isNonEmptyString(raw.id) || !isNonEmptyString(raw.name)) {
+    errors.push(`Style #${index + 1} is missing an id or name`);
+    return null;
+  }
+  const label = `Style "${raw.name}"`;
+  if ((DUNGEON_STYLE_NAMES as string[]).includes(raw.id)) {
+    errors.push(`${label}: id "${raw.id}" is reserved for a built-in style`);
+  }
+  if (raw.boss !== undefined && !isNonEmptyString(raw.boss)) errors.push(`${label}: boss must be an object type id`);
+
+  const categoryWeights = validateWeights(raw.categoryWeights, label, errors);
+  const colors = validateColors(raw.colors, label, errors);
+  return {
+    id: raw.id,
+    name: raw.name,
+    ...(isNonEmptyString(raw.description) ? { description: raw.description } : {}),
+    overrides: validateOverrides(raw.overrides, label, errors),
+    pools: validatePools(raw.pools, label, errors),
+    templates: validateTemplates(raw.templates, label, errors),
+    ...(categoryWeights ? { categoryWeights } : {}),
+    ...(isNonEmptyString(raw.boss) ? { boss: raw.boss } : {}),
+    ...(colors && Object.keys(colors).length > 0 ? { colors } : {}),
+  };
+}
+
+/**
+ * Validate parsed JSON as a dungeon style pack export and normalize it into
+ * a DungeonStylePack (enabled by default). Returns every problem found, not
+ * just the first — import errors must be actionable. Object types are not
+ * checked here; see findMissingStyleObjects.
+ */
+function validateDungeonStylePackImport(data: unknown): DungeonStylePackValidation {
+  const errors: string[] = [];
+
+  if (!isRecord(data)) {
+    return { valid: false, errors: ['File is not a JSON object'] };
+  }
+  if (data.format !== DUNGEON_STYLE_PACK_FORMAT) {
+    const found = typeof data.format === 'string' ? data.format : 'missing';
+    return { valid: false, errors: [`Not a dungeon style pack file (format: ${found})`] };
+  }
+  if (!isPositiveNumber(data.formatVersion) || data.formatVersion > DUNGEON_STYLE_PACK_FORMAT_VERSION) {
+    return { valid: false, errors: [`Unsupported dungeon style pack format version: ${String(data.formatVersion)}`] };
+  }
+  const rawPack = data.pack;
+  if (!isRecord(rawPack)) {
+    return { valid: false, errors: ['Missing pack contents'] };
+  }
+
+  if (!isNonEmptyString(rawPack.id)) errors.push('Pack id is missing');
+  if (!isNonEmptyString(rawPack.name)) errors.push('Pack name is missing');
+
+  const rawStyles = Array.isArray(rawPack.styles) ? rawPack.styles : [];
+  const rawTables = Array.isArray(rawPack.tables) ? rawPack.tables : [];
+  if (rawStyles.length === 0 && rawTables.length === 0) errors.push('Pack has no styles or stocking tables');
+  const styles: DungeonStyleDefinition[] = [];
+  for (const [i, raw] of rawStyles.entries()) {
+    const style = validateDungeonStyle(raw, i, errors);
+    if (style) styles.push(style);
+  }
+
+  const seen = new Set<string>();
+  for (const style of styles) {
+    if (seen.has(style.id)) errors.push(`Duplicate style id: ${style.id}`);
+    seen.add(style.id);
+  }
+
+  const tables: DungeonStockingTable[] = [];
+  for (const [i, raw] of rawTables.entries()) {
+    const table = validateStockingTable(raw, i, errors);
+    if (table) tables.push(table);
+  }
+  const seenTables = new Set<string>();
+  for (const table of tables) {
+    if (seenTables.has(table.id)) errors.push(`Duplicate table id: ${table.id}`);
+    seenTables.add(table.id);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    pack: {
+      id: rawPack.id as string,
+      name: rawPack.name as string,
+      ...(isNonEmptyString(rawPack.description) ? { description: rawPack.description } : {}),
+      enabled: true,
+      styles,
+      ...(tables.length > 0 ? { tables } : {}),
+    },
+  };
+}
+
+export {
+  DUNGEON_STYLE_PACK_FORMAT,
+  DUNGEON_STYLE_PACK_FORMAT_VERSION,
+  createDungeonStyle,
+  createDungeonStylePack,
+  upsertDungeonStylePack,
+  removeDungeonStylePack,
+  setDungeonStylePackEnabled,
+  getEnabledDungeonStylePacks,
+  getEnabledDungeonStyles,
+  getEnabledStockingTables,
+  getStyleObjectTypes,
+  findMissingStyleObjects,
+  resolveDungeonStyleForGeneration,
+  exportDungeonStylePack,
+  serializeDungeonStylePack,
+  validateDungeonStylePackImport,
+};
@@ -0,0 +1,130 @@
+// Type declaration shim for hexWildernessGenerator.js
+// The actual implementation is in hexWildernessGenerator.js with JSDoc annotations.
+
+import type { RandomSource } from './seededRandom';
+
+export type WildernessTerrainKind = 'plains' | 'forest' | 'swamp' | 'hills' | 'mountains' | 'water';
+export type WildernessSize = 'small' | 'medium' | 'large';
+
+export interface AxialHex {
+  q: number;
+  r: number;
+}
+
+export interface WildernessCell extends AxialHex {
+  color: string;
+}
+
+export interface WildernessObject {
+  id: string;
+  type: string;
+  position: { x: number; y: number };
+  size: { width: number; height: number };
+  label: string;
+  linkedNote: null;
+  alignment: 'center';
+  slot: number;
+}
+
+export interface WildernessRegion {
+  id: string;
+  name: string;
+  hexes: Array<{ x: number; y: number }>;
+  color: string;
+  opacity: number;
+  borderColor: string;
+  borderWidth: number;
+  visible: boolean;
+  order: number;
+  tags: WildernessTerrainKind[];
+  travelTerrainId?: string;
+}
+
+export interface WildernessPreset {
+  cols: number;
+  rows: number;
+  settlementCount: number;
+  dungeonCount: number;
+}
+
+export interface WildernessConfig extends WildernessPreset {
+  orientation: 'flat' | 'pointy';
+  waterShare: number;
+  mountainShare: number;
+  hillShare: number;
+  swampShare: number;
+  forestShare: number;
+  noiseScale: number;
+  minRegionSize: number;
+  markerSpacing: number;
+  settlementObjectType: string;
+  dungeonObjectType: string;
+  regionOpacity: number;
+}
+
+export interface WildernessOverrides extends Partial<WildernessConfig> {
+  seed?: number | string;
+  /** Terrain kind -> travel-pack terrain id, stored as Region.travelTerrainId */
+  travelTerrains?: Partial<Record<WildernessTerrainKind, string | null>>;
+}
+
+export interface WildernessResult {
+  cells: WildernessCell[];
+  objects: WildernessObject[];
+  regions: WildernessRegion[];
+  metadata: {
+    cols: number;
+    rows: number;
+    orientation: 'flat' | 'pointy';
+    /** Seed the run used; pass it back as configOverrides.seed to replay it */
+    seed: number;
+    regionCount: number;
+    settlementCount: number;
+    dungeonCount: number;
+  };
+}
+
+export interface TerrainZone {
+  terrain: WildernessTerrainKind;
+  hexes: AxialHex[];
+}
+
+export function generateWilderness(presetName?: string, configOverrides?: WildernessOverrides): WildernessResult;
+export function buildHexBounds(
+  cols: number,
+  rows: number,
+  orientation: 'flat' | 'pointy'
+): Array<AxialHex & { wx: number; wy: number }>;
+export function classifyTerrain(
+  hexes: Array<AxialHex & { wx: number; wy: number }>,
+  config: WildernessConfig,
+  random: RandomSource
+): Map<string, WildernessTerrainKind>;
+export function findTerrainZones(terrain: Map<string, WildernessTerrainKind>): TerrainZone[];
+export function mergeSmallZones(
+  terrain: Map<string, WildernessTerrainKind>,
+  minSize: number
+): Map<string, WildernessTerrainKind>;
+export function buildRegions(
+  zones: TerrainZone[],
+  config: WildernessConfig & Pick<WildernessOverrides, 'travelTerrains'>,
+  random: RandomSource
+): WildernessRegion[];
+export function placeMarkers(
+  terrain: Map<string, WildernessTerrainKind>,
+  weights: Partial<Record<WildernessTerrainKind, number>>,
+  count: number,
+  spacing: number,
+  taken: AxialHex[],
+  random: RandomSource,
+  bonus?: (q: number, r: number) => number
+): AxialHex[];
+export function hexDistance(a: AxialHex, b: AxialHex): number;
+export function suggestTravelTerrains(
+  packTerrains: Array<{ id: string; name: string }>
+): Record<WildernessTerrainKind, string | null>;
+
+export const WILDERNESS_PRESETS: Record<WildernessSize, WildernessPreset>;
+export const WILDERNESS_DEFAULTS: Omit<WildernessConfig, keyof WildernessPreset>;
+export const WILDERNESS_TERRAINS: Record<WildernessTerrainKind, { name: string; color: string; nouns: string[]; keywords: string[] }>;
+export const TERRAIN_KINDS: WildernessTerrainKind[];
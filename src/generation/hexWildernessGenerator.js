@@ -0,0 +1,546 @@
+/**
+ * hexWildernessGenerator.js
+ *
+ * Procedural hexcrawl generation for hex maps. Implements a four-phase pipeline:
+ *   1. Terrain - two value-noise fields (elevation, moisture) ranked into
+ *      water, plains, forest, swamp, hills and mountains
+ *   2. Zones - connected same-terrain hexes; slivers merge into a neighbour
+ *   3. Regions - each zone becomes a named Region, optionally tagged with a
+ *      travel-pack terrain
+ *   4. Markers - settlements and dungeon sites placed as hex objects
+ *
+ * Hexes are axial {q, r}; the map's rectangular bounds are walked in offset
+ * coordinates so the result fills a standard hex map. Every roll comes from a
+ * seeded source, so the same seed and options replay the same wilderness.
+ */
+
+import { offsetToAxial } from '../geometry/core/offsetCoordinates';
+import { createSeededRandom, deriveSeed, generateSeed, normalizeSeed } from './seededRandom';
+
+// =============================================================================
+// PRESETS & DEFAULTS
+// =============================================================================
+
+const WILDERNESS_PRESETS = {
+  small: { cols: 16, rows: 12, settlementCount: 3, dungeonCount: 2 },
+  medium: { cols: 26, rows: 20, settlementCount: 6, dungeonCount: 4 },
+  large: { cols: 36, rows: 28, settlementCount: 10, dungeonCount: 6 }
+};
+
+const WILDERNESS_DEFAULTS = {
+  orientation: 'flat',
+  waterShare: 0.16,       // Lowest hexes that flood
+  mountainShare: 0.08,    // Highest hexes that become peaks
+  hillShare: 0.14,        // Band below the peaks
+  swampShare: 0.1,        // Wettest low ground, as a share of lowland
+  forestShare: 0.4,       // Wettest remaining lowland, as a share of lowland
+  noiseScale: 5,          // Hexes per noise lattice step (larger = broader zones)
+  minRegionSize: 4,       // Zones smaller than this merge into a neighbour
+  markerSpacing: 3,       // Minimum hex distance between any two markers
+  settlementObjectType: 'poi',
+  dungeonObjectType: 'entrance',
+  regionOpacity: 0.25
+};
+
+/**
+ * Terrain kinds in the order they are listed to users. `keywords` suggest a
+ * travel-pack terrain for the kind; the stored link is always the terrain id.
+ */
+const WILDERNESS_TERRAINS = {
+  plains: {
+    name: 'Plains', color: '#a8b86a',
+    nouns: ['Plains', 'Fields', 'Steppe', 'Meadows', 'Downs'],
+    keywords: ['plain', 'grass', 'open', 'field', 'meadow', 'clear']
+  },
+  forest: {
+    name: 'Forest', color: '#4f7a3a',
+    nouns: ['Woods', 'Forest', 'Weald', 'Thicket', 'Wildwood'],
+    keywords: ['forest', 'wood', 'jungle', 'thicket']
+  },
+  swamp: {
+    name: 'Swamp', color: '#6b7a55',
+    nouns: ['Marsh', 'Fen', 'Bog', 'Mire', 'Moss'],
+    keywords: ['swamp', 'marsh', 'bog', 'fen', 'mire']
+  },
+  hills: {
+    name: 'Hills', color: '#a08a5c',
+    nouns: ['Hills', 'Tors', 'Barrows', 'Knolls', 'Uplands'],
+    keywords: ['hill', 'upland', 'rough']
+  },
+  mountains: {
+    name: 'Mountains', color: '#7d7468',
+    nouns: ['Peaks', 'Mountains', 'Crags', 'Spires', 'Teeth'],
+    keywords: ['mountain', 'peak', 'alpine', 'crag']
+  },
+  water: {
+    name: 'Water', color: '#4a7fb0',
+    nouns: ['Lake', 'Mere', 'Waters', 'Sound', 'Deep'],
+    keywords: ['water', 'lake', 'sea', 'river', 'sail', 'boat']
+  }
+};
+
+const TERRAIN_KINDS = Object.keys(WILDERNESS_TERRAINS);
+
+/** Terrains a settlement or dungeon site may sit on, with a preference weight */
+const SETTLEMENT_TERRAIN_WEIGHTS = { plains: 3, forest: 1.5, hills: 1.5 };
+const DUNGEON_TERRAIN_WEIGHTS = { mountains: 3, hills: 2.5, swamp: 2, forest: 1.5 };
+
+const NAME_ADJECTIVES = [
+  'Ashen', 'Silver', 'Howling', 'Whispering', 'Black', 'Golden', 'Grey',
+  'Sunken', 'Thorn', 'Raven', 'Broken', 'Misty', 'Red', 'Wyrm', 'Elder',
+  'Frost', 'Hollow', 'Bleak', 'Amber', 'Iron', 'Witch', 'Lonely', 'Shattered'
+];
+const SETTLEMENT_PREFIXES = [
+  'Ash', 'Bright', 'Cold', 'Elder', 'Fair', 'Green', 'High', 'Iron', 'Mill',
+  'Oak', 'Raven', 'Red', 'Stone', 'Thorn', 'Wolf', 'Black', 'White', 'Marsh'
+];
+const SETTLEMENT_SUFFIXES = [
+  'brook', 'ford', 'holm', 'stead', 'wick', 'ton', 'bury', 'vale', 'haven',
+  'gate', 'mere', 'field', 'by', 'cross'
+];
+const DUNGEON_SITES = ['Barrow', 'Tomb', 'Ruins', 'Lair', 'Caverns', 'Tower', 'Crypt', 'Halls', 'Mines', 'Keep'];
+
+/** Axial neighbour offsets, shared by both orientations */
+const HEX_DIRECTIONS = [
+  [1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1], [0, 1]
+];
+
+// =============================================================================
+// HEX HELPERS
+// =============================================================================
+
+function hexKey(q, r) {
+  return `${q},${r}`;
+}
+
+/**
+ * Axial hex distance.
+ */
+function hexDistance(a, b) {
+  const dq = a.q - b.q;
+  const dr = a.r - b.r;
+  return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+}
+
+/**
+ * All hexes inside the rectangular offset bounds, in axial coordinates with
+ * a world-space position (in hex radii) for sampling the noise fields.
+ * @param {number} cols - Offset columns
+ * @param {number} rows - Offset rows
+ * @param {'flat'|'pointy'} orientation - Hex orientation
+ * @returns {Array<{q: number, r: number, wx: number, wy: number}>}
+ */
+function buildHexBounds(cols, rows, orientation) {
+  const hexes = [];
+  for (let col = 0; col < cols; col++) {
+    for (let row = 0; row < rows; row++) {
+      const { q, r } = offsetToAxial(col, row, orientation);
+      const wx = orientation === 'flat' ? 1.5 * q : Math.sqrt(3) * (q + r / 2);
+      const wy = orientation === 'flat' ? Math.sqrt(3) * (r + q / 2) : 1.5 * r;
+      hexes.push({ q, r, wx, wy });
+    }
+  }
+  return hexes;
+}
+
+// =============================================================================
+// PHASE 1: TERRAIN
+// =============================================================================
+
+/**
+ * Build a smooth 2D value-noise function over [0, width] x [0, height].
+ * Random values sit on a lattice `step` units apart and are blended with a
+ * smoothstep, so neighbouring hexes get similar values.
+ * @param {number} width - Extent to cover on x
+ * @param {number} height - Extent to cover on y
+ * @param {number} step - Lattice spacing
+ * @param {() => number} random - Random source
+ * @returns {(x: number, y: number) => number} Noise in [0, 1)
+ */
+function createValueNoise(width, height, step, random) {
+  const latticeW = Math.ceil(width / step) + 2;
+  const latticeH = Math.ceil(height / step) + 2;
+  const lattice = new Float32Array(latticeW * latticeH);
+  for (let i = 0; i < lattice.length; i++) lattice[i] = random();
+
+  const smooth = t => t * t * (3 - 2 * t);
+  const at = (x, y) => lattice[y * latticeW + x];
+
+  return (x, y) => {
+    const gx = Math.max(0, x) / step;
+    const gy = Math.max(0, y) / step;
+    const x0 = Math.floor(gx);
+    const y0 = Math.floor(gy);
+    const tx = smooth(gx - x0);
+    const ty = smooth(gy - y0);
+    const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * tx;
+    const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * tx;
+    return top + (bottom - top) * ty;
+  };
+}
+
+/**
+ * Two-octave noise field sampled at every hex.
+ * @returns {Map<string, number>} Hex key -> value
+ */
+function sampleNoiseField(hexes, scale, random) {
+  const minX = Math.min(...hexes.map(h => h.wx));
+  const minY = Math.min(...hexes.map(h => h.wy));
+  const width = Math.max(...hexes.map(h => h.wx)) - minX;
+  const height = Math.max(...hexes.map(h => h.wy)) - minY;
+
+  const broad = createValueNoise(width, height, scale, random);
+  const fine = createValueNoise(width, height, scale / 2, random);
+
+  const field = new Map();
+  for (const hex of hexes) {
+    const x = hex.wx - minX;
+    const y = hex.wy - minY;
+    field.set(hexKey(hex.q, hex.r), broad(x, y) + 0.5 * fine(x, y));
+  }
+  return field;
+}
+
+/**
+ * Keys of the `share` fraction of `keys` with the highest score.
+ */
+function topShare(keys, score, share) {
+  const count = Math.round(keys.length * share);
+  return new Set([...keys].sort((a, b) => score(b) - score(a)).slice(0, count));
+}
+
+/**
+ * Classify every hex into a terrain kind. Thresholds are ranks, not absolute
+ * noise values, so each terrain's share of the map is stable across seeds.
+ * @param {Array<{q: number, r: number, wx: number, wy: number}>} hexes
+ * @param {Object} config - Merged generation config
+ * @param {() => number} random - Random source
+ * @returns {Map<string, string>} Hex key -> terrain kind
+ */
+function classifyTerrain(hexes, config, random) {
+  const elevation = sampleNoiseField(hexes, config.noiseScale, random);
+  const moisture = sampleNoiseField(hexes, config.noiseScale, random);
+  const keys = hexes.map(h => hexKey(h.q, h.r));
+  const terrain = new Map();
+
+  const water = topShare(keys, k => -elevation.get(k), config.waterShare);
+  const highland = topShare(keys, k => elevation.get(k), config.mountainShare + config.hillShare);
+  const mountains = topShare([...highland], k => elevation.get(k),
+    config.mountainShare / Math.max(config.mountainShare + config.hillShare, Number.EPSILON));
+
+  const lowland = keys.filter(k => !water.has(k) && !highland.has(k));
+  // Swamps want wet, low ground; forests just want wet ground
+  const swamp = topShare(lowland, k => moisture.get(k) - elevation.get(k), config.swampShare);
+  const forest = topShare(lowland.filter(k => !swamp.has(k)), k => moisture.get(k),
+    config.forestShare / Math.max(1 - config.swampShare, Number.EPSILON));
+
+  for (const key of keys) {
+    if (water.has(key)) terrain.set(key, 'water');
+    else if (mountains.has(key)) terrain.set(key, 'mountains');
+    else if (highland.has(key)) terrain.set(key, 'hills');
+    else if (swamp.has(key)) terrain.set(key, 'swamp');
+    else if (forest.has(key)) terrain.set(key, 'forest');
+    else terrain.set(key, 'plains');
+  }
+  return terrain;
+}
+
+// =============================================================================
+// PHASE 2: ZONES
+// =============================================================================
+
+/**
+ * Group hexes into connected zones of the same terrain.
+ * @param {Map<string, string>} terrain - Hex key -> terrain kind
+ * @returns {Array<{terrain: string, hexes: Array<{q: number, r: number}>}>}
+ */
+function findTerrainZones(terrain) {
+  const seen = new Set();
+  const zones = [];
+
+  for (const [startKey, kind] of terrain) {
+    if (seen.has(startKey)) continue;
+    seen.add(startKey);
+    const hexes = [];
+    const stack = [startKey];
+    while (stack.length > 0) {
+      const key = stack.pop();
+      const [q, r] = key.split(',').map(Number);
+      hexes.push({ q, r });
+      for (const [dq, dr] of HEX_DIRECTIONS) {
+        const next = hexKey(q + dq, r + dr);
+        if (!seen.has(next) && terrain.get(next) === kind) {
+          seen.add(next);
+          stack.push(next);
+        }
+      }
+    }
+    zones.push({ terrain: kind, hexes });
+  }
+  return zones;
+}
+
+/**
+ * Repaint zones smaller than `minSize` with the terrain they border most,
+ * so the map reads as a few broad zones rather than speckle. Mutates and
+ * returns `terrain`.
+ */
+function mergeSmallZones(terrain, minSize) {
+  for (let pass = 0; pass < 5; pass++) {
+    let changed = false;
+    for (const zone of findTerrainZones(terrain)) {
+      if (zone.hexes.length >= minSize) continue;
+      const borderCounts = {};
+      for (const { q, r } of zone.hexes) {
+        for (const [dq, dr] of HEX_DIRECTIONS) {
+          const kind = terrain.get(hexKey(q + dq, r + dr));
+          if (kind != null && kind !== zone.terrain) {
+            borderCounts[kind] = (borderCounts[kind] ?? 0) + 1;
+          }
+        }
+      }
+      const replacement = Object.entries(borderCounts).sort((a, b) => b[1] - a[1])[0]?.[0];
+      if (replacement == null) continue;
+      for (const { q, r } of zone.hexes) terrain.set(hexKey(q, r), replacement);
+      changed = true;
+    }
+    if (!changed) break;
+  }
+  return terrain;
+}
+
+// =============================================================================
+// PHASE 3: REGIONS
+// =============================================================================
+
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * Draw a name not already in `used`, falling back to a numbered variant.
+ */
+function uniqueName(makeName, used, random) {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const name = makeName(random);
+    if (!used.has(name)) {
+      used.add(name);
+      return name;
+    }
+  }
+  const base = makeName(random);
+  let n = 2;
+  while (used.has(`${base} ${n}`)) n++;
+  used.add(`${base} ${n}`);
+  return `${base} ${n}`;
+}
+
+// IDs stay on Math.random: they must be unique per run, not reproducible.
+function generateRegionId() {
+  return `region-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function generateObjectId() {
+  return 'obj-' + Date.now() + '-' + Math.random().toString(36).slice(2, 11);
+}
+
+/**
+ * Turn terrain zones into named Regions, largest first.
+ * @param {Array<{terrain: string, hexes: Array<{q: number, r: number}>}>} zones
+ * @param {Object} config - Merged generation config (`travelTerrains` maps a
+ *   terrain kind to a travel-pack terrain id)
+ * @param {() => number} random - Random source for names
+ * @returns {Array<Object>} Regions in Windrose format (hexes as {x: q, y: r})
+ */
+function buildRegions(zones, config, random) {
+  const used = new Set();
+  const travelTerrains = config.travelTerrains ?? {};
+  const sorted = [...zones].sort((a, b) => b.hexes.length - a.hexes.length);
+
+  return sorted.map((zone, order) => {
+    const info = WILDERNESS_TERRAINS[zone.terrain];
+    const name = uniqueName(rand => `${pick(NAME_ADJECTIVES, rand)} ${pick(info.nouns, rand)}`, used, random);
+    const travelTerrainId = travelTerrains[zone.terrain];
+    return {
+      id: generateRegionId(),
+      name,
+      hexes: zone.hexes.map(({ q, r }) => ({ x: q, y: r })),
+      color: info.color,
+      opacity: config.regionOpacity,
+      borderColor: info.color,
+      borderWidth: 2,
+      visible: true,
+      order,
+      tags: [zone.terrain],
+      ...(travelTerrainId != null && travelTerrainId !== '' ? { travelTerrainId } : {})
+    };
+  });
+}
+
+/**
+ * Suggest a travel-pack terrain for each terrain kind by matching the pack
+ * terrain names against each kind's keywords. Only a starting point for the
+ * picker: the stored link is the terrain id the user confirms.
+ * @param {Array<{id: string, name: string}>} packTerrains - Terrains of one pack
+ * @returns {Record<string, string|null>} Terrain kind -> terrain id
+ */
+function suggestTravelTerrains(packTerrains) {
+  const suggestions = {};
+  for (const kind of TERRAIN_KINDS) {
+    const { keywords } = WILDERNESS_TERRAINS[kind];
+    const match = packTerrains.find(t => keywords.some(word => t.name.toLowerCase().includes(word)));
+    suggestions[kind] = match?.id ?? null;
+  }
+  return suggestions;
+}
+
+// =============================================================================
+// PHASE 4: MARKERS
+// =============================================================================
+
+/**
+ * Place up to `count` markers on the best-scoring hexes, keeping them at
+ * least `spacing` hexes from each other and from `taken`.
+ * @param {Map<string, string>} terrain - Hex key -> terrain kind
+ * @param {Record<string, number>} weights - Terrain kind -> preference
+ * @param {number} count - Markers wanted
+ * @param {number} spacing - Minimum hex distance between markers
+ * @param {Array<{q: number, r: number}>} taken - Already placed markers
+ * @param {() => number} random - Random source
+ * @param {(q: number, r: number) => number} [bonus] - Extra score per hex
+ * @returns {Array<{q: number, r: number}>} Chosen hexes
+ */
+function placeMarkers(terrain, weights, count, spacing, taken, random, bonus = () => 0) {
+  const candidates = [];
+  for (const [key, kind] of terrain) {
+    const weight = weights[kind];
+    if (weight == null) continue;
+    const [q, r] = key.split(',').map(Number);
+    candidates.push({ q, r, score: weight + bonus(q, r) + random() * 2 });
+  }
+  candidates.sort((a, b) => b.score - a.score);
+
+  const placed = [];
+  for (const hex of candidates) {
+    if (placed.length >= count) break;
+    const crowded = [...taken, ...placed].some(other => hexDistance(hex, other) < spacing);
+    if (!crowded) placed.push({ q: hex.q, r: hex.r });
+  }
+  return placed;
+}
+
+/**
+ * Settlements prefer to sit beside water.
+ */
+function waterBonus(terrain) {
+  return (q, r) => HEX_DIRECTIONS.some(([dq, dr]) => terrain.get(hexKey(q + dq, r + dr)) === 'water') ? 1.5 : 0;
+}
+
+function createMarkerObject(type, hex, label) {
+  return {
+    id: generateObjectId(),
+    type,
+    position: { x: hex.q, y: hex.r },
+    size: { width: 1, height: 1 },
+    label,
+    linkedNote: null,
+    alignment: 'center',
+    slot: 0
+  };
+}
+
+// =============================================================================
+// MAIN ENTRY POINT
+// =============================================================================
+
+/**
+ * Generate a hexcrawl wilderness.
+ * @param {string} [presetName='medium'] - Size preset (small, medium, large)
+ * @param {Object} [configOverrides] - Overrides for the preset and defaults.
+ *   `seed` replays a previous result; `travelTerrains` maps terrain kinds to
+ *   travel-pack terrain ids, stored on the regions as `travelTerrainId`.
+ * @returns {Object} { cells, objects, regions, metadata }
+ */
+function generateWilderness(presetName = 'medium', configOverrides = {}) {
+  const seed = normalizeSeed(configOverrides.seed) ?? generateSeed();
+  const preset = WILDERNESS_PRESETS[presetName] ?? WILDERNESS_PRESETS.medium;
+  const config = { ...WILDERNESS_DEFAULTS, ...preset, ...configOverrides, seed };
+
+  // Separate streams so changing marker counts never reshapes the terrain
+  const terrainRandom = createSeededRandom(seed);
+  const nameRandom = createSeededRandom(deriveSeed(seed, 'names'));
+  const markerRandom = createSeededRandom(deriveSeed(seed, 'markers'));
+
+  const hexes = buildHexBounds(config.cols, config.rows, config.orientation);
+  const terrain = mergeSmallZones(classifyTerrain(hexes, config, terrainRandom), config.minRegionSize);
+  const regions = buildRegions(findTerrainZones(terrain), config, nameRandom);
+
+  const cells = hexes.map(({ q, r }) => ({
+    q,
+    r,
+    color: WILDERNESS_TERRAINS[terrain.get(hexKey(q, r))].color
+  }));
+
+  const settlementHexes = placeMarkers(
+    terrain, SETTLEMENT_TERRAIN_WEIGHTS, config.settlementCount, config.markerSpacing,
+    [], markerRandom, waterBonus(terrain)
+  );
+  const dungeonHexes = placeMarkers(
+    terrain, DUNGEON_TERRAIN_WEIGHTS, config.dungeonCount, config.markerSpacing,
+    settlementHexes, markerRandom
+  );
+
+  const usedNames = new Set();
+  const objects = [
+    ...settlementHexes.map(hex => createMarkerObject(
+      config.settlementObjectType, hex,
+      uniqueName(rand => pick(SETTLEMENT_PREFIXES, rand) + pick(SETTLEMENT_SUFFIXES, rand), usedNames, nameRandom)
+    )),
+    ...dungeonHexes.map(hex => createMarkerObject(
+      config.dungeonObjectType, hex,
+      uniqueName(rand => `The ${pick(NAME_ADJECTIVES, rand)} ${pick(DUNGEON_SITES, rand)}`, usedNames, nameRandom)
+    ))
+  ];
+
+  return {
+    cells,
+    objects,
+    regions,
+    metadata: {
+      cols: config.cols,
+      rows: config.rows,
+      orientation: config.orientation,
+      seed,
+      regionCount: regions.length,
+      settlementCount: settlementHexes.length,
+      dungeonCount: dungeonHexes.length
+    }
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+  // Main entry point
+  generateWilderness,
+
+  // Phases (exposed for testing)
+  buildHexBounds,
+  classifyTerrain,
+  findTerrainZones,
+  mergeSmallZones,
+  buildRegions,
+  placeMarkers,
+  hexDistance,
+
+  // Travel pack integration
+  suggestTravelTerrains,
+
+  // Constants
+  WILDERNESS_PRESETS,
+  WILDERNESS_DEFAULTS,
+  WILDERNESS_TERRAINS,
+  TERRAIN_KINDS
+};
@@ -58,6 +58,22 @@ export interface RoomTemplate {
   minRoomSize: number;
 }
 
+export interface StockingTableEntry {
+  label: string;
+  text?: string;
+  weight?: number;
+  levels?: { min?: number; max?: number };
+}
+
+export interface StockingTable {
+  id: string;
+  name: string;
+  kind: 'encounter' | 'treasure';
+  styles?: string[];
+  levels?: { min?: number; max?: number };
+  entries: StockingTableEntry[];
+}
+
 export function rollWeightedCategory(weights: CategoryWeights): keyof CategoryWeights;
 export function normalizeWeights(weights: CategoryWeights): CategoryWeights;
 export function getObjectBudget(roomSize: number, densityMultiplier?: number): number;
@@ -66,15 +82,37 @@ export function identifyPlacementZones(
   room: RoomLike,
   doorPositions?: CellPosition[]
 ): PlacementZones;
-export function selectValidTemplate(roomSize: number): RoomTemplate | null;
+export function selectValidTemplate(roomSize: number, templates?: Record<string, RoomTemplate>): RoomTemplate | null;
 export function stockDungeon(
   rooms: RoomLike[],
   corridorResult: CorridorResult,
   doorPositions: CellPosition[],
   style?: string,
   config?: Record<string, unknown>,
-  options?: { entryRoomId?: number | string; exitRoomId?: number | string; waterRoomIds?: (number | string)[] }
+  options?: {
+    entryRoomId?: number | string;
+    exitRoomId?: number | string;
+    waterRoomIds?: (number | string)[];
+    /** Layout constraints: room that gets the boss */
+    bossRoomId?: number | string;
+    /** Layout constraints: room ID -> ROOM_TEMPLATES key */
+    roomTemplates?: Record<string, string>;
+  }
 ): { objects: PlacedObject[]; roomAssignments: Record<string | number, RoomAssignment> };
 
-export const STYLE_OBJECT_POOLS: Record<string, Record<string, unknown[]>>;
+export function selectTableEntries(
+  tables: StockingTable[],
+  kind: StockingTable['kind'],
+  style: string,
+  level: number
+): StockingTableEntry[];
+export function rollTableEntry(entries: StockingTableEntry[], rand: () => number): StockingTableEntry | null;
+
+export const STOCKING_CONFIG: {
+  categoryWeights: CategoryWeights;
+  treasureChance: CategoryWeights;
+  sizeThresholds: { small: number; medium: number };
+  corridorTrapRatio: number;
+};
+export const STYLE_OBJECT_POOLS: Record<string, Record<string, string[]>>;
 export const ROOM_TEMPLATES: Record<string, RoomTemplate>;
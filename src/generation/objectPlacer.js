@@ -4,8 +4,12 @@
  * Dungeon stocking module for Windrose MapDesigner.
  * Places objects (monsters, traps, treasure, features) in generated dungeons
  * using B/X-style random tables with configurable weights.
+ * A seed in the stocking config makes the rolls reproducible. Optional
+ * stocking tables give the placed monsters and treasure rolled names.
  */
 
+import { createSeededRandom, deriveSeed, normalizeSeed } from './seededRandom';
+
 // =============================================================================
 // TYPE DEFINITIONS (JSDoc)
 // =============================================================================
@@ -31,6 +35,7 @@
  * @property {boolean} [isTreasure] - Whether this is a treasure object
  * @property {string} [templateName] - Template name if using a room template
  * @property {boolean} [isCorridor] - Whether placed in a corridor
+ * @property {boolean} [isBoss] - Whether placed in the boss room
  */
 
 /**
@@ -44,6 +49,7 @@
  * @property {number} rotation - Rotation in degrees
  * @property {string} label - Display label
  * @property {string} [customTooltip] - Tooltip text (if applicable)
+ * @property {boolean} [gmOnly] - Hidden from the player view (traps)
  */
 
 /**
@@ -248,10 +254,23 @@ const PLACEMENT_PREFERENCES = {
 // UTILITY FUNCTIONS
 // =============================================================================
 
+/**
+ * Active random source for stocking rolls. Math.random unless stockDungeon
+ * was given a seed, in which case a seeded source is active for its run.
+ */
+let random = Math.random;
+
 function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
+/**
+ * Placement context of each object placed this run, read back by the
+ * stocking-table pass to tell monsters from treasure.
+ */
+const placementContexts = new WeakMap();
+
+// IDs stay on Math.random: they must be unique per run, not reproducible.
 function generateObjectId() {
   return 'obj-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
 }
@@ -265,7 +284,7 @@ function cellKey(x, y) {
  */
 function selectFromPool(pool) {
   if (!pool || pool.length === 0) return null;
-  return pool[Math.floor(Math.random() * pool.length)];
+  return pool[Math.floor(random() * pool.length)];
 }
 
 /**
@@ -279,7 +298,7 @@ function rollWeightedCategory(weights) {
 
   if (total === 0) return ROOM_CATEGORIES.EMPTY;
 
-  let roll = Math.random() * total;
+  let roll = random() * total;
 
   for (const [category, weight] of entries) {
     roll -= weight;
@@ -370,16 +389,23 @@ function getObjectLabel(objectType) {
  * @param {boolean} context.isTreasure - Whether this is a treasure object
  * @param {string} context.templateName - Template name if applicable
  * @param {boolean} context.isCorridor - Whether placed in corridor
+ * @param {boolean} context.isBoss - Whether placed in the boss room
  * @returns {string} Tooltip text
  */
 function getObjectTooltip(objectType, context = {}) {
-  const { category, isTreasure, templateName, isCorridor } = context;
+  const { category, isTreasure, templateName, isCorridor, isBoss } = context;
 
   // Corridor traps
   if (isCorridor) {
     return 'Corridor trap';
   }
 
+  // Boss room: the boss, its retinue and its hoard
+  if (isBoss) {
+    if (isTreasure) return 'Boss hoard';
+    return objectType === 'boss' || objectType === 'boss-alt' ? 'Boss lair' : 'Boss retinue';
+  }
+
   // Treasure objects get special tooltips based on room category
   if (isTreasure) {
     if (category === 'monster') {
@@ -604,7 +630,7 @@ function placeObject(zones, objectType, occupiedCells, preferredZone = null, con
     if (available.length === 0) continue;
 
     // Select a random cell
-    const cell = available[Math.floor(Math.random() * available.length)];
+    const cell = available[Math.floor(random() * available.length)];
     occupiedCells.add(cellKey(cell.x, cell.y));
 
     // Generate label and tooltip
@@ -627,6 +653,7 @@ function placeObject(zones, objectType, occupiedCells, preferredZone = null, con
       obj.customTooltip = customTooltip;
     }
 
+    placementContexts.set(obj, context);
     return obj;
   }
 
@@ -665,14 +692,17 @@ function placeObjects(zones, pool, count, occupiedCells, preferredZone = null, c
 
 /**
  * Select a valid template for the given room size.
+ * @param {number} roomSize - Room size in cells
+ * @param {Object<string, RoomTemplate>} [templates=ROOM_TEMPLATES] - Templates
+ *   to pick from (a user-defined style brings its own)
  */
-function selectValidTemplate(roomSize) {
-  const validTemplates = Object.entries(ROOM_TEMPLATES)
+function selectValidTemplate(roomSize, templates = ROOM_TEMPLATES) {
+  const validTemplates = Object.entries(templates)
     .filter(([, template]) => roomSize >= template.minRoomSize);
 
   if (validTemplates.length === 0) return null;
 
-  const [, template] = validTemplates[Math.floor(Math.random() * validTemplates.length)];
+  const [, template] = validTemplates[Math.floor(random() * validTemplates.length)];
   return template;
 }
 
@@ -743,7 +773,7 @@ function selectCorridorTrapPosition(corridorCells, occupiedCells) {
 
   if (available.length === 0) return null;
 
-  return available[Math.floor(Math.random() * available.length)];
+  return available[Math.floor(random() * available.length)];
 }
 
 // =============================================================================
@@ -822,12 +852,12 @@ function stockWaterRoom(room, roomCells, roomDoors, style, occupiedCells) {
   );
 
   // 30% chance of center island feature (fountain or statue)
-  if (waterZones.deepWater.length > 0 && Math.random() < WATER_PLACEMENT_RULES.centerFeatureChance) {
+  if (waterZones.deepWater.length > 0 && random() < WATER_PLACEMENT_RULES.centerFeatureChance) {
     const centerCells = waterZones.deepWater.filter(
       cell => !occupiedCells.has(cellKey(cell.x, cell.y))
     );
     if (centerCells.length > 0) {
-      const cell = centerCells[Math.floor(Math.random() * centerCells.length)];
+      const cell = centerCells[Math.floor(random() * centerCells.length)];
       const featureType = selectFromPool(WATER_PLACEMENT_RULES.centerFeatures);
       occupiedCells.add(cellKey(cell.x, cell.y));
       objects.push({
@@ -846,12 +876,12 @@ function stockWaterRoom(room, roomCells, roomDoors, style, occupiedCells) {
 
   // Cavern style: chance of aquatic monster in deep water
   if (WATER_PLACEMENT_RULES.deepWaterMonsterStyles.includes(style)) {
-    if (waterZones.deepWater.length > 0 && Math.random() < 0.3) {
+    if (waterZones.deepWater.length > 0 && random() < 0.3) {
       const deepCells = waterZones.deepWater.filter(
         cell => !occupiedCells.has(cellKey(cell.x, cell.y))
       );
       if (deepCells.length > 0) {
-        const cell = deepCells[Math.floor(Math.random() * deepCells.length)];
+        const cell = deepCells[Math.floor(random() * deepCells.length)];
         occupiedCells.add(cellKey(cell.x, cell.y));
         objects.push({
           id: generateObjectId(),
@@ -864,6 +894,7 @@ function stockWaterRoom(room, roomCells, roomDoors, style, occupiedCells) {
           label: getObjectLabel('monster'),
           customTooltip: 'Aquatic creature'
         });
+        placementContexts.set(objects[objects.length - 1], { category: 'monster' });
       }
     }
   }
@@ -876,7 +907,7 @@ function stockWaterRoom(room, roomCells, roomDoors, style, occupiedCells) {
     );
     if (available.length === 0) break;
 
-    const cell = available[Math.floor(Math.random() * available.length)];
+    const cell = available[Math.floor(random() * available.length)];
     const objectType = selectFromPool(shorePool);
     occupiedCells.add(cellKey(cell.x, cell.y));
 
@@ -899,6 +930,131 @@ function stockWaterRoom(room, roomCells, roomDoors, style, occupiedCells) {
   };
 }
 
+// =============================================================================
+// BOSS ROOM
+// =============================================================================
+
+/**
+ * Stock the boss room: the boss at the centre, a retinue from the style's
+ * monster pool and a guaranteed hoard.
+ * @param {PlacementZones} zones - Placement zones
+ * @param {number} roomSize - Room size in cells
+ * @param {Object} objectPool - Style object pool
+ * @param {string} style - Dungeon style
+ * @param {number} densityMultiplier - Object density multiplier
+ * @param {Set<string>} occupiedCells - Set of occupied cell keys
+ * @param {string} [bossType] - Object placed as the boss (a user-defined
+ *   style may name its own; built-in crypts use 'boss-alt')
+ * @returns {PlacedObject[]} Placed objects
+ */
+function stockBossRoom(zones, roomSize, objectPool, style, densityMultiplier, occupiedCells, bossType = style === 'crypt' ? 'boss-alt' : 'boss') {
+  const objects = [];
+  const boss = placeObject(zones, bossType, occupiedCells, 'center', { category: 'monster', isBoss: true });
+  if (boss) objects.push(boss);
+
+  const budget = getObjectBudget(roomSize, densityMultiplier);
+  const retinuePool = objectPool.monsters.filter(type => type !== 'boss-alt' && type !== bossType);
+  const retinueCount = Math.floor(budget * 0.4);
+  objects.push(...placeObjects(zones, retinuePool, retinueCount, occupiedCells, null, { category: 'monster', isBoss: true }));
+
+  const hoardCount = Math.max(1, Math.floor(budget * 0.3));
+  objects.push(...placeObjects(zones, objectPool.treasures, hoardCount, occupiedCells, 'corners', { category: 'monster', isTreasure: true, isBoss: true }));
+  return objects;
+}
+
+// =============================================================================
+// STOCKING TABLES
+// =============================================================================
+
+/**
+ * Whether a dungeon level falls within a table's or entry's level range.
+ * @param {{min?: number, max?: number}|undefined} range - Absent bounds are open
+ * @param {number} level - Dungeon level (1 = the top floor)
+ * @returns {boolean}
+ */
+function isLevelInRange(range, level) {
+  if (!range) return true;
+  return (range.min == null || level >= range.min) && (range.max == null || level <= range.max);
+}
+
+/**
+ * Entries of every table of one kind that applies to a style and level.
+ * A table with no styles listed applies to every style.
+ * @param {Object[]} tables - Stocking tables
+ * @param {string} kind - 'encounter' or 'treasure'
+ * @param {string} style - Dungeon style id
+ * @param {number} level - Dungeon level (1 = the top floor)
+ * @returns {Object[]} Eligible entries, in table order
+ */
+function selectTableEntries(tables, kind, style, level) {
+  return tables
+    .filter(table => table.kind === kind &&
+      (!table.styles || table.styles.length === 0 || table.styles.includes(style)) &&
+      isLevelInRange(table.levels, level))
+    .flatMap(table => table.entries.filter(entry => isLevelInRange(entry.levels, level)));
+}
+
+/**
+ * Roll one entry, weighted by its `weight` (default 1).
+ * @param {Object[]} entries - Eligible entries
+ * @param {function(): number} rand - Random source
+ * @returns {Object|null} The entry, or null when there is nothing to roll on
+ */
+function rollTableEntry(entries, rand) {
+  const total = entries.reduce((sum, entry) => sum + (entry.weight ?? 1), 0);
+  if (total <= 0) return null;
+
+  let roll = rand() * total;
+  for (const entry of entries) {
+    roll -= entry.weight ?? 1;
+    if (roll < 0) return entry;
+  }
+  return entries[entries.length - 1];
+}
+
+/**
+ * Name stocked monsters and treasure from stocking tables: the rolled entry
+ * becomes the object's label and tooltip. A room's monsters share one
+ * encounter roll and its boss gets another; each treasure object is rolled
+ * on its own. Objects with nothing to roll on keep their generic text.
+ * @param {PlacedObject[]} objects - Stocked objects (updated in place)
+ * @param {RoomDefinition[]} rooms - Generated rooms
+ * @param {Object[]} tables - Stocking tables
+ * @param {string} style - Dungeon style id
+ * @param {number} level - Dungeon level (1 = the top floor)
+ * @param {string} bossType - Object type placed as the boss
+ * @param {function(): number} rand - Random source for the table rolls
+ */
+function applyStockingTables(objects, rooms, tables, style, level, bossType, rand) {
+  const encounters = selectTableEntries(tables, 'encounter', style, level);
+  const treasures = selectTableEntries(tables, 'treasure', style, level);
+  if (encounters.length === 0 && treasures.length === 0) return;
+
+  const named = new Set();
+  for (const room of rooms) {
+    let encounter;
+    for (const obj of objects) {
+      const context = placementContexts.get(obj);
+      if (!context || named.has(obj) || !isCellInRoom(obj.position.x, obj.position.y, room)) continue;
+
+      let entry = null;
+      if (context.isTreasure) {
+        entry = rollTableEntry(treasures, rand);
+      } else if (context.category === 'monster' && context.isBoss && obj.type === bossType) {
+        entry = rollTableEntry(encounters, rand);
+      } else if (context.category === 'monster') {
+        if (encounter === undefined) encounter = rollTableEntry(encounters, rand);
+        entry = encounter;
+      }
+      if (!entry) continue;
+
+      named.add(obj);
+      obj.label = entry.label;
+      obj.customTooltip = entry.text || entry.label;
+    }
+  }
+}
+
 // =============================================================================
 // MAIN STOCKING FUNCTION
 // =============================================================================
@@ -909,28 +1065,60 @@ function stockWaterRoom(room, roomCells, roomDoors, style, occupiedCells) {
  * @param {Array} rooms - Generated rooms
  * @param {Object} corridorResult - Corridor generation result (cells, byConnection)
  * @param {Array} doorPositions - Door positions (to avoid placement)
- * @param {string} style - Dungeon style ('classic', 'cavern', 'fortress', 'crypt')
- * @param {Object} config - Stocking configuration
- * @param {Object} options - Additional options (entryRoomId, exitRoomId, waterRoomIds)
+ * @param {string} style - Dungeon style ('classic', 'cavern', 'fortress', 'crypt',
+ *   or a user-defined style's id)
+ * @param {Object} config - Stocking configuration. `seed` (usually the layout's
+ *   metadata.seed) makes the stocking reproducible. `styleDefinition` (a
+ *   user-defined style) replaces the style's object pools, room templates,
+ *   default category weights and boss, and relabels its objects.
+ *   `stockingTables` name monsters and treasure from rolls on the tables that
+ *   apply to the style and to `level` (the dungeon level, default 1).
+ * @param {Object} options - Additional options (entryRoomId, exitRoomId,
+ *   waterRoomIds, and from layout constraints bossRoomId and roomTemplates,
+ *   a {roomId: ROOM_TEMPLATES key} map of rooms that must use that template)
  * @returns {Object} { objects: MapObject[], roomAssignments: {} }
  */
 function stockDungeon(rooms, corridorResult, doorPositions, style = 'classic', config = {}, options = {}) {
+  const seed = normalizeSeed(config.seed);
+  if (seed === null) {
+    return runStocking(rooms, corridorResult, doorPositions, style, config, options, Math.random);
+  }
+
+  // Stocking gets its own stream derived from the seed, so the same seed
+  // yields the same contents whether stocked with the layout or re-rolled alone.
+  // Table rolls get a stream of their own, so adding tables names the same
+  // objects rather than moving them.
+  const previous = random;
+  random = createSeededRandom(deriveSeed(seed, 'stocking'));
+  try {
+    return runStocking(rooms, corridorResult, doorPositions, style, config, options,
+      createSeededRandom(deriveSeed(seed, 'stocking-tables')));
+  } finally {
+    random = previous;
+  }
+}
+
+function runStocking(rooms, corridorResult, doorPositions, style, config, options, tableRandom) {
   const stockedObjects = [];
   const roomAssignments = {};
   const occupiedCells = new Set();
 
-  // Get style-specific object pool
-  const objectPool = STYLE_OBJECT_POOLS[style] || STYLE_OBJECT_POOLS.classic;
+  // User-defined styles bring their own tables; built-ins use the constants
+  const definition = config.styleDefinition ?? null;
+  const objectPool = definition?.pools ?? STYLE_OBJECT_POOLS[style] ?? STYLE_OBJECT_POOLS.classic;
+  const templates = definition?.templates ?? ROOM_TEMPLATES;
+  const defaultWeights = definition?.categoryWeights ?? STOCKING_CONFIG.categoryWeights;
+  const bossType = definition?.boss ?? (style === 'crypt' ? 'boss-alt' : 'boss');
 
   // Build water room lookup set
   const waterRoomSet = new Set(options.waterRoomIds || []);
 
   // Merge config with defaults
   const categoryWeights = normalizeWeights({
-    monster: config.monsterWeight ?? STOCKING_CONFIG.categoryWeights.monster,
-    empty: config.emptyWeight ?? STOCKING_CONFIG.categoryWeights.empty,
-    feature: config.featureWeight ?? STOCKING_CONFIG.categoryWeights.feature,
-    trap: config.trapWeight ?? STOCKING_CONFIG.categoryWeights.trap
+    monster: config.monsterWeight ?? defaultWeights.monster,
+    empty: config.emptyWeight ?? defaultWeights.empty,
+    feature: config.featureWeight ?? defaultWeights.feature,
+    trap: config.trapWeight ?? defaultWeights.trap
   });
 
   const densityMultiplier = config.objectDensity ?? 1.0;
@@ -944,12 +1132,6 @@ function stockDungeon(rooms, corridorResult, doorPositions, style = 'classic', c
 
   // Stock each room
   for (const room of rooms) {
-    // Skip entry/exit rooms (they have stairs)
-    if (room.id === options.entryRoomId || room.id === options.exitRoomId) {
-      roomAssignments[room.id] = { category: 'entry_exit', hasSecondaryTreasure: false };
-      continue;
-    }
-
     // Get room cells for zone identification
     const roomCells = getRoomCells(room);
 
@@ -959,6 +1141,35 @@ function stockDungeon(rooms, corridorResult, doorPositions, style = 'classic', c
       d.y >= room.y && d.y < room.y + room.height
     );
 
+    // The boss room (chosen by a layout constraint) is stocked even when it
+    // holds the exit stairs
+    if (room.id === options.bossRoomId) {
+      const zones = identifyPlacementZones(roomCells, room, roomDoors);
+      stockedObjects.push(...stockBossRoom(zones, roomCells.length, objectPool, style, densityMultiplier, occupiedCells, bossType));
+      roomAssignments[room.id] = { category: ROOM_CATEGORIES.MONSTER, boss: true, hasSecondaryTreasure: true };
+      continue;
+    }
+
+    // Skip entry/exit rooms (they have stairs)
+    if (room.id === options.entryRoomId || room.id === options.exitRoomId) {
+      roomAssignments[room.id] = { category: 'entry_exit', hasSecondaryTreasure: false };
+      continue;
+    }
+
+    // Rooms reserved for a template by a layout constraint always get it
+    const requiredKey = options.roomTemplates?.[room.id];
+    const requiredTemplate = templates[requiredKey] ?? ROOM_TEMPLATES[requiredKey];
+    if (requiredTemplate) {
+      const zones = identifyPlacementZones(roomCells, room, roomDoors);
+      stockedObjects.push(...applyRoomTemplate(requiredTemplate, zones, occupiedCells));
+      roomAssignments[room.id] = {
+        category: ROOM_CATEGORIES.FEATURE,
+        hasSecondaryTreasure: false,
+        template: requiredTemplate.name
+      };
+      continue;
+    }
+
     // Handle water rooms specially
     if (waterRoomSet.has(room.id)) {
       const waterResult = stockWaterRoom(room, roomCells, roomDoors, style, occupiedCells);
@@ -987,7 +1198,7 @@ function stockDungeon(rooms, corridorResult, doorPositions, style = 'classic', c
         stockedObjects.push(...monsters);
 
         // Secondary treasure roll (B/X: 3-in-6 for monster rooms)
-        if (Math.random() < STOCKING_CONFIG.treasureChance.monster) {
+        if (random() < STOCKING_CONFIG.treasureChance.monster) {
           roomAssignments[room.id].hasSecondaryTreasure = true;
           const treasureCount = Math.max(1, Math.floor(objectBudget * 0.3));
           const treasureContext = { category: 'monster', isTreasure: true };
@@ -1002,10 +1213,12 @@ function stockDungeon(rooms, corridorResult, doorPositions, style = 'classic', c
         const trapCount = randomInt(1, 2);
         const trapContext = { category: 'trap' };
         const traps = placeObjects(zones, objectPool.traps, trapCount, occupiedCells, null, trapContext);
+        // Whatever the pool stocks as a trap, players don't get to see it
+        for (const trap of traps) trap.gmOnly = true;
         stockedObjects.push(...traps);
 
         // Secondary treasure roll (B/X: 2-in-6 for trap rooms - it's bait!)
-        if (Math.random() < STOCKING_CONFIG.treasureChance.trap) {
+        if (random() < STOCKING_CONFIG.treasureChance.trap) {
           roomAssignments[room.id].hasSecondaryTreasure = true;
           const treasureContext = { category: 'trap', isTreasure: true };
           const treasure = placeObjects(zones, objectPool.treasures, 1, occupiedCells, 'center', treasureContext);
@@ -1016,8 +1229,8 @@ function stockDungeon(rooms, corridorResult, doorPositions, style = 'classic', c
 
       case ROOM_CATEGORIES.FEATURE: {
         // 50% chance to use a template if room is large enough
-        if (useTemplates && Math.random() < 0.5 && roomSize >= 9) {
-          const template = selectValidTemplate(roomSize);
+        if (useTemplates && random() < 0.5 && roomSize >= 9) {
+          const template = selectValidTemplate(roomSize, templates);
           if (template) {
             const templateObjects = applyRoomTemplate(template, zones, occupiedCells);
             stockedObjects.push(...templateObjects);
@@ -1037,7 +1250,7 @@ function stockDungeon(rooms, corridorResult, doorPositions, style = 'classic', c
       case ROOM_CATEGORIES.EMPTY:
       default: {
         // Usually empty, but small chance of hidden treasure (B/X: 1-in-6)
-        if (Math.random() < STOCKING_CONFIG.treasureChance.empty) {
+        if (random() < STOCKING_CONFIG.treasureChance.empty) {
           roomAssignments[room.id].hasSecondaryTreasure = true;
           const treasureContext = { category: 'empty', isTreasure: true };
           const treasure = placeObjects(zones, objectPool.treasures, 1, occupiedCells, 'corners', treasureContext);
@@ -1069,12 +1282,26 @@ function stockDungeon(rooms, corridorResult, doorPositions, style = 'classic', c
           scale: 1,
           rotation: 0,
           label: getObjectLabel(trapType),
-          customTooltip: 'Corridor trap'
+          customTooltip: 'Corridor trap',
+          gmOnly: true
         });
       }
     }
   }
 
+  // Custom object types get the labels of the object set the style was
+  // prepared against, not a capitalised id
+  if (definition?.labels) {
+    for (const obj of stockedObjects) {
+      const label = definition.labels[obj.type];
+      if (label) obj.label = label;
+    }
+  }
+
+  if (config.stockingTables?.length > 0) {
+    applyStockingTables(stockedObjects, rooms, config.stockingTables, style, config.level ?? 1, bossType, tableRandom);
+  }
+
   return {
     objects: stockedObjects,
     roomAssignments
@@ -1088,5 +1315,5 @@ function stockDungeon(rooms, corridorResult, doorPositions, style = 'classic', c
 export { // Main entry point
   stockDungeon, // Constants
   ROOM_CATEGORIES, STOCKING_CONFIG, STYLE_OBJECT_POOLS, ROOM_TEMPLATES, PLACEMENT_PREFERENCES, // Utilities (exported for testing)
-  rollWeightedCategory, normalizeWeights, getObjectBudget, identifyPlacementZones, selectValidTemplate, applyRoomTemplate, placeObject, placeObjects, findCorridorOnlyCells, // Re-exports from dungeonGenerator needed by stockDungeon
+  rollWeightedCategory, normalizeWeights, getObjectBudget, identifyPlacementZones, selectValidTemplate, applyRoomTemplate, placeObject, placeObjects, findCorridorOnlyCells, stockBossRoom, selectTableEntries, rollTableEntry, // Re-exports from dungeonGenerator needed by stockDungeon
   getRoomCells, isCellInRoom };
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * seededRandom.ts
+ * Deterministic random source for procedural generation.
+ *
+ * The generator and stocker draw every roll from a RandomSource, so the same
+ * seed replays the same dungeon — layouts can be re-created from a map's
+ * generationSettings, shared between GMs, or pinned in tests.
+ */
+
+/** A Math.random()-compatible source: returns a float in [0, 1). */
+type RandomSource = () => number;
+
+/** Largest seed value; seeds are unsigned 32-bit integers. */
+const MAX_SEED = 0xffffffff;
+
+/**
+ * Create a seeded random source (mulberry32). Small, fast, and good enough
+ * for layout rolls; not suitable for anything security-sensitive.
+ */
+function createSeededRandom(seed: number): RandomSource {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Draw a fresh seed for a generation that was not given one. */
+function generateSeed(): number {
+  return Math.floor(Math.random() * MAX_SEED) >>> 0;
+}
+
+/** FNV-1a hash, so word seeds ("goblin-warren") are as usable as numbers. */
+function hashSeedString(text: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Coerce user or persisted input to a seed. Non-negative integers up to
+ * MAX_SEED pass through unchanged; other non-empty text is hashed.
+ * Returns null for absent/empty input so callers can draw a fresh seed.
+ */
+function normalizeSeed(value: unknown): number | null {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return null;
+    return Math.abs(Math.trunc(value)) % (MAX_SEED + 1);
+  }
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (text === '') return null;
+  if (/^\d+$/.test(text)) {
+    const parsed = Number(text);
+    if (parsed <= MAX_SEED) return parsed;
+  }
+  return hashSeedString(text);
+}
+
+/**
+ * Derive an independent seed for a sub-stream (e.g. stocking vs. layout) so
+ * changing how many rolls one phase makes never shifts the other's results.
+ */
+function deriveSeed(seed: number, salt: string): number {
+  return hashSeedString(`${seed >>> 0}:${salt}`);
+}
+
+export { MAX_SEED, createSeededRandom, generateSeed, normalizeSeed, deriveSeed };
+export type { RandomSource };
@@ -0,0 +1,41 @@
+// Type declaration shim for sketchGenerator.js
+// The actual implementation is in sketchGenerator.js with JSDoc annotations.
+
+import type { CellCoord, DungeonResult, DungeonRoom } from './dungeonGenerator';
+import type { GridArea } from './areaGenerator';
+
+export interface SketchRoom extends DungeonRoom {
+  /** Cluster cell nearest the centroid; corridors aim here */
+  center: CellCoord;
+  /** One-row runs of a room that doesn't fill its bounding box */
+  parts?: Array<{ x: number; y: number; width: number; height: number }>;
+}
+
+export interface SketchExistingContent {
+  cells?: Array<{ x: number; y: number }>;
+  edges?: Array<{ x: number; y: number; side: string }>;
+}
+
+export interface SketchDungeonResult extends DungeonResult {
+  /** Existing walls that now stand across a corridor mouth or door */
+  removedEdges: Array<{ x: number; y: number; side: string }>;
+  metadata: DungeonResult['metadata'] & {
+    rooms: SketchRoom[];
+    preset: string;
+    area: GridArea;
+  };
+}
+
+export function generateDungeonFromSketch(
+  area: GridArea,
+  existing: SketchExistingContent,
+  color?: string,
+  configOverrides?: Record<string, unknown> & { minRoomCells?: number }
+): SketchDungeonResult | null;
+export function findSketchRooms(
+  area: GridArea,
+  cells: Array<{ x: number; y: number }>,
+  minRoomCells?: number
+): SketchRoom[];
+
+export const SKETCH_DEFAULTS: { minRoomCells: number };
@@ -0,0 +1,264 @@
+/**
+ * sketchGenerator.js
+ *
+ * Turns hand-drawn rooms into a connected dungeon. Each cluster of painted
+ * cells inside a rectangle of the map becomes a room, and the regular
+ * pipeline's connection graph, corridors, doors and boundary walls run over
+ * them in place of generated rooms. Only the new corridors, doors and walls
+ * come back; the sketched cells are never repainted.
+ */
+
+import { DEFAULT_FLOOR_COLOR, generateDungeon } from './dungeonGenerator';
+import { analyzeLayout, reconnectLayout } from './dungeonConstraints';
+import { presetForArea } from './areaGenerator';
+import { createSeededRandom, deriveSeed } from './seededRandom';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SKETCH_DEFAULTS = {
+  /** Clusters with fewer cells are left alone rather than treated as rooms */
+  minRoomCells: 4
+};
+
+const NEIGHBOURS = [
+  { dx: 1, dy: 0 },
+  { dx: -1, dy: 0 },
+  { dx: 0, dy: 1 },
+  { dx: 0, dy: -1 }
+];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function cellKey(x, y) {
+  return `${x},${y}`;
+}
+
+function isInArea(x, y, area) {
+  return x >= area.x && x < area.x + area.width && y >= area.y && y < area.y + area.height;
+}
+
+/**
+ * Cell on the far side of a stored right/bottom wall edge.
+ */
+function otherSideOf(edge) {
+  return edge.side === 'right' ? { x: edge.x + 1, y: edge.y } : { x: edge.x, y: edge.y + 1 };
+}
+
+/**
+ * Build a room from one cluster of cells. A cluster that fills its bounding
+ * box is a rectangle; any other shape is a composite of one-row parts. The
+ * center is the cluster cell nearest its centroid, so corridors aim at a
+ * cell that is really inside an L- or U-shaped room.
+ * @param {Array<{x: number, y: number}>} cells - Cluster cells
+ * @param {number} id - Room ID
+ * @returns {Object} Room in the generator's room format
+ */
+function roomFromCluster(cells, id) {
+  const xs = cells.map(c => c.x);
+  const ys = cells.map(c => c.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  const width = Math.max(...xs) - x + 1;
+  const height = Math.max(...ys) - y + 1;
+
+  const cx = cells.reduce((sum, c) => sum + c.x, 0) / cells.length;
+  const cy = cells.reduce((sum, c) => sum + c.y, 0) / cells.length;
+  let center = cells[0];
+  let best = Infinity;
+  for (const cell of cells) {
+    const distance = (cell.x - cx) ** 2 + (cell.y - cy) ** 2;
+    if (distance < best) {
+      best = distance;
+      center = cell;
+    }
+  }
+
+  const room = { id, x, y, width, height, shape: 'rectangle', center: { x: center.x, y: center.y } };
+  if (cells.length === width * height) return room;
+
+  // Row runs: consecutive cells of one row form a part
+  const sorted = [...cells].sort((a, b) => a.y - b.y || a.x - b.x);
+  const parts = [];
+  for (const cell of sorted) {
+    const last = parts[parts.length - 1];
+    if (last && last.y === cell.y && last.x + last.width === cell.x) {
+      last.width++;
+    } else {
+      parts.push({ x: cell.x, y: cell.y, width: 1, height: 1 });
+    }
+  }
+  return { ...room, shape: 'composite', parts };
+}
+
+// =============================================================================
+// ROOM DETECTION
+// =============================================================================
+
+/**
+ * Find the sketched rooms inside an area: clusters of orthogonally connected
+ * painted cells that lie wholly inside it. A cluster that runs past the
+ * area's edge is only partly selected and is left out, as are clusters
+ * smaller than minRoomCells. Rooms are ordered top-left first.
+ * @param {{x: number, y: number, width: number, height: number}} area
+ * @param {Array<{x: number, y: number}>} cells - Painted cells of the layer
+ * @param {number} [minRoomCells] - Smallest cluster treated as a room
+ * @returns {Array<Object>} Rooms in map coordinates
+ */
+function findSketchRooms(area, cells, minRoomCells = SKETCH_DEFAULTS.minRoomCells) {
+  const painted = new Set(cells.map(c => cellKey(c.x, c.y)));
+  const seen = new Set();
+  const clusters = [];
+
+  const inside = cells
+    .filter(c => isInArea(c.x, c.y, area))
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+
+  for (const start of inside) {
+    const startKey = cellKey(start.x, start.y);
+    if (seen.has(startKey)) continue;
+    seen.add(startKey);
+
+    const cluster = [];
+    let crossesBorder = false;
+    const queue = [{ x: start.x, y: start.y }];
+    while (queue.length > 0) {
+      const cell = queue.pop();
+      cluster.push(cell);
+      for (const { dx, dy } of NEIGHBOURS) {
+        const nx = cell.x + dx;
+        const ny = cell.y + dy;
+        const key = cellKey(nx, ny);
+        if (!painted.has(key)) continue;
+        if (!isInArea(nx, ny, area)) {
+          crossesBorder = true;
+          continue;
+        }
+        if (seen.has(key)) continue;
+        seen.add(key);
+        queue.push({ x: nx, y: ny });
+      }
+    }
+
+    if (!crossesBorder && cluster.length >= minRoomCells) clusters.push(cluster);
+  }
+
+  return clusters.map((cluster, index) => roomFromCluster(cluster, index));
+}
+
+// =============================================================================
+// MAIN GENERATION FUNCTION
+// =============================================================================
+
+/**
+ * Connect the sketched rooms inside an area with corridors, doors and walls.
+ * @param {{x: number, y: number, width: number, height: number}} area - Grid
+ *   rectangle holding the sketch (see areaFromCorners)
+ * @param {Object} existing - { cells, edges } already on the layer
+ * @param {string} [color] - Corridor color (configOverrides.floorColor wins)
+ * @param {Object} [configOverrides] - As for generateDungeon, plus
+ *   `minRoomCells`. Layout constraints, water and stairs are not applied.
+ * @returns {Object|null} { cells, objects, edges, removedEdges, metadata } in
+ *   map coordinates holding only the new content, or null when the area
+ *   holds fewer than two rooms. removedEdges lists existing walls a corridor
+ *   now passes through.
+ */
+function generateDungeonFromSketch(area, existing, color = DEFAULT_FLOOR_COLOR, configOverrides = {}) {
+  const {
+    constraints: _constraints,
+    minRoomCells = SKETCH_DEFAULTS.minRoomCells,
+    ...overrides
+  } = configOverrides;
+
+  const mapRooms = findSketchRooms(area, existing.cells ?? [], minRoomCells);
+  if (mapRooms.length < 2) return null;
+
+  // Local grid coordinates: the area's top-left cell is 0,0
+  const toLocal = (point) => ({ ...point, x: point.x - area.x, y: point.y - area.y });
+  const toMap = (point) => ({ ...point, x: point.x + area.x, y: point.y + area.y });
+  const sketchRooms = mapRooms.map(room => ({
+    ...toLocal(room),
+    center: toLocal(room.center),
+    ...(room.parts ? { parts: room.parts.map(toLocal) } : {})
+  }));
+
+  const preset = presetForArea(area);
+  const result = generateDungeon(preset, color, {
+    ...overrides,
+    gridWidth: area.width,
+    gridHeight: area.height,
+    sketchRooms,
+    waterChance: 0
+  });
+
+  // Failed door rolls can wall a room off; open walls until all rooms join
+  const layout = analyzeLayout(result);
+  reconnectLayout(result, layout, sketchRooms[0].id, createSeededRandom(deriveSeed(result.metadata.seed, 'sketch')));
+
+  // Only corridor cells outside the sketch are new; painted cells stay as drawn
+  const painted = new Set((existing.cells ?? []).map(c => cellKey(c.x, c.y)));
+  const cells = result.cells
+    .map(toMap)
+    .filter(cell => isInArea(cell.x, cell.y, area) && !painted.has(cellKey(cell.x, cell.y)));
+  const newCells = new Set(cells.map(c => cellKey(c.x, c.y)));
+
+  // Walls belong to the new corridors: a wall between two painted cells
+  // would cut through the sketch
+  const edges = result.edges
+    .map(toMap)
+    .filter(edge => {
+      const other = otherSideOf(edge);
+      return newCells.has(cellKey(edge.x, edge.y)) || newCells.has(cellKey(other.x, other.y));
+    });
+
+  const { entryStairsId, exitStairsId } = result.metadata;
+  const objects = result.objects
+    .filter(obj => obj.id !== entryStairsId && obj.id !== exitStairsId)
+    .map(obj => ({ ...obj, position: toMap(obj.position) }))
+    .filter(obj => newCells.has(cellKey(obj.position.x, obj.position.y)));
+
+  // A wall the sketch already has between a room and a cell the generator
+  // left open (a corridor mouth or door) would block the way in
+  const newWalls = new Set(edges.map(e => `${e.x},${e.y},${e.side}`));
+  const removedEdges = (existing.edges ?? []).filter(edge => {
+    if (newWalls.has(`${edge.x},${edge.y},${edge.side}`)) return false;
+    const other = otherSideOf(edge);
+    const a = cellKey(edge.x, edge.y);
+    const b = cellKey(other.x, other.y);
+    return (newCells.has(a) && painted.has(b)) || (newCells.has(b) && painted.has(a));
+  });
+
+  const { metadata } = result;
+  return {
+    cells,
+    objects,
+    edges,
+    removedEdges,
+    metadata: {
+      ...metadata,
+      rooms: mapRooms,
+      corridorResult: {
+        cells: metadata.corridorResult.cells.map(toMap),
+        byConnection: metadata.corridorResult.byConnection.map(conn => ({
+          ...conn,
+          cells: conn.cells.map(toMap),
+          orderedPath: conn.orderedPath.map(toMap)
+        }))
+      },
+      doorPositions: metadata.doorPositions.map(toMap),
+      entryStairsId: undefined,
+      exitStairsId: undefined,
+      preset,
+      area
+    }
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { generateDungeonFromSketch, findSketchRooms, SKETCH_DEFAULTS };
@@ -13,7 +13,9 @@ import { DEFAULTS } from '../../core/dmtConstants';
 import { GridGeometry } from './GridGeometry';
 import { HexGeometry } from './HexGeometry';
 
-function createGeometry(mapData: MapData): ExtendedGeometry {
+type MapShape = Pick<MapData, 'mapType' | 'gridSize' | 'hexSize' | 'orientation' | 'hexBounds'>;
+
+function createGeometry(mapData: MapShape): ExtendedGeometry {
   const mapType = mapData.mapType ?? DEFAULTS.mapType;
 
   if (mapType === 'hex') {
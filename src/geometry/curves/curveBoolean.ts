@@ -15,6 +15,11 @@ import type { Curve, BezierSegment } from '#types/core/curve.types';
 import { difference, union } from './polygonClipping';
 
 
+/** Generate a unique curve ID */
+function generateCurveId(): string {
+  return 'curve-' + Date.now() + '-' + Math.random().toString(36).slice(2, 11);
+}
+
 /** A 2D point as [x, y] tuple */
 type Pt = [number, number];
 
@@ -957,4 +962,4 @@ function unionCurves(curves: Curve[]): MultiPolygon | null {
   }
 }
 
-export { flattenCurve, isLinearBezier, simplifyRing, pointInPolygon, cellOverlapsCurve, curveToPolygon, polygonToCurve, subtractCellFromCurve, findCurveAtCell, eraseCellFromCurves, eraseRectangleFromCurves, eraseWorldPolygonFromCurves, unionCurves, signedArea, ensureCCW, ensureCW, polygonArea, segmentIntersectsRect, polygonIntersectsRect, openCurveOverlapsRect, openCurveOverlapsPolygon, evalBezier };
\ No newline at end of file
+export { generateCurveId, flattenCurve, isLinearBezier, simplifyRing, pointInPolygon, cellOverlapsCurve, curveToPolygon, polygonToCurve, subtractCellFromCurve, findCurveAtCell, eraseCellFromCurves, eraseRectangleFromCurves, eraseWorldPolygonFromCurves, unionCurves, signedArea, ensureCCW, ensureCW, polygonArea, segmentIntersectsRect, polygonIntersectsRect, openCurveOverlapsRect, openCurveOverlapsPolygon, evalBezier };
\ No newline at end of file
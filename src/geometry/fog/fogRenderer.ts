@@ -3,7 +3,8 @@
  *
  * Orchestrates fog of war rendering for both hex and grid maps.
  * Handles fog settings, fill style setup, blur configuration, and dispatches
- * to the appropriate grid or hex fog renderer.
+ * to the appropriate grid or hex fog renderer. Remembered cells (explored,
+ * but out of every player's sight) get a second, dimmer pass of the same fog.
  */
 
 import type { FoggedCell } from '#types/core/map.types';
@@ -71,6 +72,9 @@ type RenderHexFogFn = (
   axialToOffset: (q: number, r: number, orientation: 'flat' | 'pointy') => { col: number; row: number }
 ) => void;
 
+/** Remembered cells are drawn at this fraction of the fog's opacity. */
+const REMEMBERED_OPACITY_RATIO = 0.5;
+
 /**
  * Extracts fog settings from effective settings object.
  */
@@ -299,9 +303,11 @@ function renderFog(
   renderGridFog: RenderGridFogFn,
   renderHexFog: RenderHexFogFn,
   offsetToAxial: (col: number, row: number, orientation: 'flat' | 'pointy') => { q: number; r: number },
-  axialToOffset: (q: number, r: number, orientation: 'flat' | 'pointy') => { col: number; row: number }
+  axialToOffset: (q: number, r: number, orientation: 'flat' | 'pointy') => { col: number; row: number },
+  rememberedCells: FoggedCell[] = []
 ): void {
-  if (!fow.enabled || fow.foggedCells == null || fow.foggedCells.length === 0) return;
+  const foggedCells = fow.foggedCells ?? [];
+  if (!fow.enabled || (foggedCells.length === 0 && rememberedCells.length === 0)) return;
 
   const { ctx, fogCanvas, width, height, offsetX, offsetY, zoom, scaledSize, northDirection } = context;
   const { fowColor, fowOpacity, fowImagePath, fowBlurEnabled, fowBlurFactor } = settings;
@@ -335,30 +341,40 @@ function renderFog(
   }
 
   // Calculate visible bounds and render
-  if (isHexMap && hexGeometry) {
-    const visibleBounds = calculateHexVisibleBounds(mapBounds.hexBounds);
-
-    renderHexFog(
-      fow.foggedCells,
-      { ctx, fogCtx, offsetX, offsetY, zoom },
-      { fowOpacity, fowBlurEnabled, blurRadius, useGlobalAlpha },
-      visibleBounds,
-      hexGeometry,
-      geometry,
-      orientation,
-      offsetToAxial,
-      axialToOffset
-    );
-  } else {
-    const visibleBounds = calculateGridVisibleBounds(width, height, offsetX, offsetY, scaledSize, mapBounds.dimensions);
-
-    renderGridFog(
-      fow.foggedCells,
-      { ctx, fogCtx, offsetX, offsetY, scaledSize },
-      { fowOpacity, fowBlurEnabled, blurRadius, useGlobalAlpha },
-      visibleBounds,
-      zoom
-    );
+  const drawCells = (cells: FoggedCell[], opacity: number, blurEnabled: boolean, targetFogCtx: CanvasRenderingContext2D | null): void => {
+    if (cells.length === 0) return;
+    if (isHexMap && hexGeometry) {
+      renderHexFog(
+        cells,
+        { ctx, fogCtx: targetFogCtx, offsetX, offsetY, zoom },
+        { fowOpacity: opacity, fowBlurEnabled: blurEnabled, blurRadius, useGlobalAlpha },
+        calculateHexVisibleBounds(mapBounds.hexBounds),
+        hexGeometry,
+        geometry,
+        orientation,
+        offsetToAxial,
+        axialToOffset
+      );
+    } else {
+      renderGridFog(
+        cells,
+        { ctx, fogCtx: targetFogCtx, offsetX, offsetY, scaledSize },
+        { fowOpacity: opacity, fowBlurEnabled: blurEnabled, blurRadius, useGlobalAlpha },
+        calculateGridVisibleBounds(width, height, offsetX, offsetY, scaledSize, mapBounds.dimensions),
+        zoom
+      );
+    }
+  };
+
+  drawCells(foggedCells, fowOpacity, fowBlurEnabled, fogCtx);
+
+  // Remembered cells: the same fog, dimmer and without soft edges. The
+  // interior grid lines above leave their own fill style behind.
+  if (rememberedCells.length > 0) {
+    const rememberedOpacity = fowOpacity * REMEMBERED_OPACITY_RATIO;
+    ctx.fillStyle = fillStyle;
+    if (useGlobalAlpha) ctx.globalAlpha = rememberedOpacity;
+    drawCells(rememberedCells, rememberedOpacity, false, null);
   }
 
   // Cleanup
@@ -0,0 +1,397 @@
+/**
+ * Fog Visibility Module
+ *
+ * Line of sight for player light reveal and the lighting pass. Painted
+ * edges, wall paths and closed doors become blocker segments in world space;
+ * a fogged cell is visible when a sight line from the token reaches its
+ * center or one of a few points just inside its outline without crossing a
+ * blocker, and a light shines over the polygon its rays reach. Works the
+ * same on grid and hex maps (edges are grid-only, so hex maps block on wall
+ * paths and doors).
+ *
+ * Cells players have uncovered are remembered as explored; the ones out of
+ * sight of every lit player token are worked out here for the renderer.
+ */
+
+import type { FoggedCell, MapLayer } from '#types/core/map.types';
+import type { Edge } from '#types/core/rendering.types';
+import type { MapObject } from '#types/objects/object.types';
+import type { WallPath } from '#types/core/wallpath.types';
+import type { ExtendedGeometry } from '#types/contexts/context.types';
+
+import { buildGapFlatten, clampGapToSegment, pointAtLength, subtractIntervals } from '../../drawing/wallGapOperations';
+import { axialToOffset } from '../core/offsetCoordinates';
+
+/** Door object types that stop sight; a door's own cell stays visible. */
+const DOOR_TYPES = new Set(['door-horizontal', 'door-vertical', 'secret-door']);
+
+/** Sample points sit this fraction of the way from a cell's center to its outline. */
+const SAMPLE_INSET = 0.8;
+
+/** Guards against rays that only graze a blocker at their own ends. */
+const EPSILON = 1e-6;
+
+/** Rays cast to each side of a blocker endpoint, to see past its corner. */
+const CORNER_NUDGE = 1e-4;
+
+/** Rays spread around the full circle so an open light stays round. */
+const CIRCLE_RAYS = 48;
+
+/**
+ * A wall segment in world coordinates. `owner` ("col,row") marks the outline
+ * of a center-placed door: it hides what lies past the door but not the
+ * door's own cell.
+ */
+interface SightBlocker {
+  ax: number;
+  ay: number;
+  bx: number;
+  by: number;
+  owner?: string;
+}
+
+interface SightSources {
+  edges?: Edge[];
+  wallPaths?: WallPath[];
+  objects?: MapObject[];
+}
+
+/** Where a lit player token sees from, and how far (to cell centers). */
+interface SightOrigin {
+  x: number;
+  y: number;
+  cell: string;
+  radius: number;
+}
+
+const rememberedCache = new WeakMap<MapLayer, { geometry: ExtendedGeometry; distancePerCell: number; cells: FoggedCell[] }>();
+
+function cellKey(col: number, row: number): string {
+  return `${col},${row}`;
+}
+
+/**
+ * Blocker segments for painted grid edges (stored as right/bottom sides).
+ */
+function edgeBlockers(edges: Edge[], cellSize: number): SightBlocker[] {
+  return edges.map(edge => edge.side === 'right'
+    ? { ax: (edge.x + 1) * cellSize, ay: edge.y * cellSize, bx: (edge.x + 1) * cellSize, by: (edge.y + 1) * cellSize }
+    : { ax: edge.x * cellSize, ay: (edge.y + 1) * cellSize, bx: (edge.x + 1) * cellSize, by: (edge.y + 1) * cellSize });
+}
+
+/**
+ * Blocker segments along a wall path's centerline, with its gaps (doorways,
+ * windows, thresholds) left open.
+ */
+function wallPathBlockers(wall: WallPath, cellSize: number): SightBlocker[] {
+  const flat = buildGapFlatten(wall);
+  if (flat.points.length < 2) return [];
+
+  const skips = (wall.gaps ?? []).map(gap => {
+    const span = clampGapToSegment(gap, flat, cellSize);
+    return [span.lo, span.hi] as [number, number];
+  });
+
+  const blockers: SightBlocker[] = [];
+  for (const [start, end] of subtractIntervals(0, flat.totalLength, skips)) {
+    const first = pointAtLength(flat, start);
+    const points: Array<[number, number]> = [[first.x, first.y]];
+    for (let i = 0; i < flat.points.length; i++) {
+      if (flat.cumLen[i] > start && flat.cumLen[i] < end) points.push(flat.points[i]);
+    }
+    const last = pointAtLength(flat, end);
+    points.push([last.x, last.y]);
+
+    for (let i = 1; i < points.length; i++) {
+      blockers.push({ ax: points[i - 1][0], ay: points[i - 1][1], bx: points[i][0], by: points[i][1] });
+    }
+  }
+  return blockers;
+}
+
+/**
+ * Blocker segments for door objects. A grid door placed on a cell side
+ * blocks that side; a centered door, or any door on a hex map, blocks its
+ * cell's outline for everything but the door cell itself.
+ */
+function doorBlockers(objects: MapObject[], geometry: ExtendedGeometry): SightBlocker[] {
+  const blockers: SightBlocker[] = [];
+  for (const obj of objects) {
+    if (!DOOR_TYPES.has(obj.type)) continue;
+    const { x, y } = obj.position;
+
+    if (geometry.type === 'hex') {
+      const { col, row } = axialToOffset(x, y, geometry.orientation);
+      const vertices = geometry.getHexVertices(x, y);
+      for (let i = 0; i < vertices.length; i++) {
+        const a = vertices[i];
+        const b = vertices[(i + 1) % vertices.length];
+        blockers.push({ ax: a.worldX, ay: a.worldY, bx: b.worldX, by: b.worldY, owner: cellKey(col, row) });
+      }
+      continue;
+    }
+
+    const size = geometry.cellSize;
+    const left = x * size;
+    const top = y * size;
+    const right = left + size;
+    const bottom = top + size;
+    switch (obj.alignment) {
+      case 'north': blockers.push({ ax: left, ay: top, bx: right, by: top }); break;
+      case 'south': blockers.push({ ax: left, ay: bottom, bx: right, by: bottom }); break;
+      case 'west': blockers.push({ ax: left, ay: top, bx: left, by: bottom }); break;
+      case 'east': blockers.push({ ax: right, ay: top, bx: right, by: bottom }); break;
+      default: {
+        const owner = cellKey(x, y);
+        blockers.push(
+          { ax: left, ay: top, bx: right, by: top, owner },
+          { ax: right, ay: top, bx: right, by: bottom, owner },
+          { ax: left, ay: bottom, bx: right, by: bottom, owner },
+          { ax: left, ay: top, bx: left, by: bottom, owner }
+        );
+      }
+    }
+  }
+  return blockers;
+}
+
+/**
+ * Collect every sight blocker on a layer.
+ */
+function buildSightBlockers(sources: SightSources, geometry: ExtendedGeometry): SightBlocker[] {
+  const cellSize = geometry.cellSize;
+  return [
+    ...(geometry.type === 'grid' ? edgeBlockers(sources.edges ?? [], cellSize) : []),
+    ...(sources.wallPaths ?? []).flatMap(wall => wallPathBlockers(wall, cellSize)),
+    ...doorBlockers(sources.objects ?? [], geometry)
+  ];
+}
+
+/**
+ * Whether segment PQ crosses a blocker strictly between its ends. Touching a
+ * blocker's endpoint counts, so sight can't slip between two walls meeting
+ * at a corner.
+ */
+function crossesBlocker(px: number, py: number, qx: number, qy: number, b: SightBlocker): boolean {
+  const rx = qx - px;
+  const ry = qy - py;
+  const sx = b.bx - b.ax;
+  const sy = b.by - b.ay;
+  const denom = rx * sy - ry * sx;
+  if (Math.abs(denom) < EPSILON) return false;
+
+  const t = ((b.ax - px) * sy - (b.ay - py) * sx) / denom;
+  const u = ((b.ax - px) * ry - (b.ay - py) * rx) / denom;
+  return t > EPSILON && t < 1 - EPSILON && u >= -EPSILON && u <= 1 + EPSILON;
+}
+
+/**
+ * Whether a sight line from the origin reaches a point.
+ * @param ownerKey - Cell the point belongs to; that cell's door outline is ignored
+ */
+function hasLineOfSight(
+  originX: number, originY: number,
+  targetX: number, targetY: number,
+  blockers: SightBlocker[],
+  ownerKey?: string
+): boolean {
+  for (const blocker of blockers) {
+    if (blocker.owner != null && blocker.owner === ownerKey) continue;
+    if (crossesBlocker(originX, originY, targetX, targetY, blocker)) return false;
+  }
+  return true;
+}
+
+/**
+ * World center and sample points of a fogged cell.
+ */
+function cellSamplePoints(cell: FoggedCell, geometry: ExtendedGeometry): Array<{ x: number; y: number }> {
+  if (geometry.type === 'hex') {
+    const center = geometry.offsetToWorld(cell.col, cell.row);
+    const angleOffset = geometry.orientation === 'flat' ? 0 : Math.PI / 6;
+    const reach = geometry.hexSize * SAMPLE_INSET;
+    const points = [{ x: center.worldX, y: center.worldY }];
+    for (let i = 0; i < 6; i++) {
+      const angle = angleOffset + (Math.PI / 3) * i;
+      points.push({ x: center.worldX + reach * Math.cos(angle), y: center.worldY + reach * Math.sin(angle) });
+    }
+    return points;
+  }
+
+  const center = geometry.getCellCenter(cell.col, cell.row);
+  const reach = (geometry.cellSize / 2) * SAMPLE_INSET;
+  return [
+    { x: center.worldX, y: center.worldY },
+    { x: center.worldX - reach, y: center.worldY - reach },
+    { x: center.worldX + reach, y: center.worldY - reach },
+    { x: center.worldX - reach, y: center.worldY + reach },
+    { x: center.worldX + reach, y: center.worldY + reach }
+  ];
+}
+
+/**
+ * Split fogged cells into those a light at the origin reveals and those it
+ * leaves fogged. A cell is revealed when its center lies within the radius
+ * and at least one of its sample points is in line of sight.
+ * @param origin - Light position in world coordinates, with the "col,row"
+ *   key of the cell it stands in (a door there doesn't blind the token)
+ * @param radiusWorld - Reveal radius measured to cell centers
+ * @returns Cells still fogged afterwards
+ */
+function filterVisibleFogCells(
+  foggedCells: FoggedCell[],
+  origin: { x: number; y: number; cell?: string },
+  radiusWorld: number,
+  blockers: SightBlocker[],
+  geometry: ExtendedGeometry
+): FoggedCell[] {
+  const radiusSq = radiusWorld * radiusWorld;
+
+  // Only blockers that reach into the light's circle can hide anything
+  const reach = radiusWorld + geometry.cellSize;
+  const nearby = blockers.filter(b =>
+    (b.owner == null || b.owner !== origin.cell) &&
+    Math.max(b.ax, b.bx) >= origin.x - reach && Math.min(b.ax, b.bx) <= origin.x + reach &&
+    Math.max(b.ay, b.by) >= origin.y - reach && Math.min(b.ay, b.by) <= origin.y + reach
+  );
+
+  return foggedCells.filter(cell => {
+    const samples = cellSamplePoints(cell, geometry);
+    const center = samples[0];
+    const dx = center.x - origin.x;
+    const dy = center.y - origin.y;
+    if (dx * dx + dy * dy > radiusSq) return true;
+
+    const key = cellKey(cell.col, cell.row);
+    return !samples.some(point => hasLineOfSight(origin.x, origin.y, point.x, point.y, nearby, key));
+  });
+}
+
+/**
+ * Distance along a ray (unit direction) to the nearest blocker, capped at
+ * the light's radius.
+ */
+function castRay(
+  originX: number, originY: number,
+  dirX: number, dirY: number,
+  radius: number,
+  blockers: SightBlocker[]
+): number {
+  let nearest = radius;
+  for (const b of blockers) {
+    const sx = b.bx - b.ax;
+    const sy = b.by - b.ay;
+    const denom = dirX * sy - dirY * sx;
+    if (Math.abs(denom) < EPSILON) continue;
+
+    const t = ((b.ax - originX) * sy - (b.ay - originY) * sx) / denom;
+    const u = ((b.ax - originX) * dirY - (b.ay - originY) * dirX) / denom;
+    if (t > EPSILON && t < nearest && u >= -EPSILON && u <= 1 + EPSILON) nearest = t;
+  }
+  return nearest;
+}
+
+/**
+ * The area a light lights: a polygon around the origin, cut short wherever
+ * a blocker is in the way and rounded off at the radius elsewhere. Rays go
+ * to a ring of angles plus just either side of every blocker endpoint in
+ * reach, so shadow edges line up with wall corners.
+ * @param origin - Light position in world coordinates, with the "col,row"
+ *   key of the cell it stands in (a door there doesn't shadow its own light)
+ * @returns Polygon vertices in world coordinates, sorted by angle
+ */
+function computeLightPolygon(
+  origin: { x: number; y: number; cell?: string },
+  radiusWorld: number,
+  blockers: SightBlocker[]
+): Array<{ x: number; y: number }> {
+  const nearby = blockers.filter(b =>
+    (b.owner == null || b.owner !== origin.cell) &&
+    Math.max(b.ax, b.bx) >= origin.x - radiusWorld && Math.min(b.ax, b.bx) <= origin.x + radiusWorld &&
+    Math.max(b.ay, b.by) >= origin.y - radiusWorld && Math.min(b.ay, b.by) <= origin.y + radiusWorld
+  );
+
+  const angles: number[] = [];
+  for (let i = 0; i < CIRCLE_RAYS; i++) angles.push((Math.PI * 2 * i) / CIRCLE_RAYS - Math.PI);
+  for (const b of nearby) {
+    for (const [px, py] of [[b.ax, b.ay], [b.bx, b.by]]) {
+      const angle = Math.atan2(py - origin.y, px - origin.x);
+      angles.push(angle - CORNER_NUDGE, angle, angle + CORNER_NUDGE);
+    }
+  }
+  angles.sort((a, b) => a - b);
+
+  return angles.map(angle => {
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+    const distance = castRay(origin.x, origin.y, dx, dy, radiusWorld, nearby);
+    return { x: origin.x + dx * distance, y: origin.y + dy * distance };
+  });
+}
+
+/**
+ * Sight origin of a player token with its light on, or null for anything
+ * else. The radius reaches half a cell past the light so the cells at its
+ * edge count as seen.
+ */
+function getPlayerSightOrigin(
+  obj: MapObject,
+  geometry: ExtendedGeometry,
+  distancePerCell: number
+): SightOrigin | null {
+  if (obj.isPlayer !== true || obj.lightEnabled !== true || (obj.lightRadius ?? 0) === 0) return null;
+
+  let x: number, y: number;
+  if (obj.freeform === true && obj.worldPosition != null) {
+    x = obj.worldPosition.x;
+    y = obj.worldPosition.y;
+  } else {
+    const w = geometry.getCellCenter(obj.position.x, obj.position.y);
+    x = w.worldX;
+    y = w.worldY;
+  }
+
+  const cell = geometry.type === 'hex'
+    ? axialToOffset(obj.position.x, obj.position.y, geometry.orientation)
+    : { col: obj.position.x, row: obj.position.y };
+  const radius = ((obj.lightRadius ?? 0) / distancePerCell) * geometry.cellSize + geometry.cellSize * 0.5;
+
+  return { x, y, cell: cellKey(cell.col, cell.row), radius };
+}
+
+/**
+ * Explored cells no lit player token on the layer can see right now. These
+ * render as remembered: dimmed, with their objects hidden. Memoized per
+ * layer, since the renderer asks on every frame.
+ */
+function getRememberedCells(layer: MapLayer, geometry: ExtendedGeometry, distancePerCell: number): FoggedCell[] {
+  const explored = layer.fogOfWar?.exploredCells;
+  if (layer.fogOfWar?.enabled !== true || explored == null || explored.length === 0) return [];
+
+  const cached = rememberedCache.get(layer);
+  if (cached && cached.geometry === geometry && cached.distancePerCell === distancePerCell) return cached.cells;
+
+  const origins = layer.objects
+    .map(obj => getPlayerSightOrigin(obj, geometry, distancePerCell))
+    .filter((origin): origin is SightOrigin => origin != null);
+  const blockers = origins.length > 0 ? buildSightBlockers(layer, geometry) : [];
+
+  let cells = explored;
+  for (const origin of origins) {
+    cells = filterVisibleFogCells(cells, origin, origin.radius, blockers, geometry);
+  }
+
+  rememberedCache.set(layer, { geometry, distancePerCell, cells });
+  return cells;
+}
+
+export {
+  buildSightBlockers,
+  hasLineOfSight,
+  filterVisibleFogCells,
+  computeLightPolygon,
+  getPlayerSightOrigin,
+  getRememberedCells,
+  DOOR_TYPES
+};
+export type { SightBlocker, SightSources, SightOrigin };
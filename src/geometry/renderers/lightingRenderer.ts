@@ -0,0 +1,172 @@
+/**
+ * lightingRenderer.ts
+ *
+ * Canvas renderer for map lighting. With the map's ambient darkness above
+ * zero, the view is covered in darkness and every light-enabled object on
+ * the layer cuts a radial falloff out of it, then tints what it lights with
+ * its own color. Light stops at painted edges, wall paths and closed doors.
+ */
+
+import type { MapLayer } from '#types/core/map.types';
+import type { MapObject } from '#types/objects/object.types';
+import type { ExtendedGeometry } from '#types/contexts/context.types';
+
+import { buildSightBlockers, computeLightPolygon } from '../fog/fogVisibility';
+import { axialToOffset } from '../core/offsetCoordinates';
+
+interface ViewState {
+  x: number;
+  y: number;
+  zoom: number;
+}
+
+interface LightingOptions {
+  /** 0 (no lighting pass) to 1 (unlit areas fully black) */
+  ambientDarkness: number;
+  distancePerCell: number;
+}
+
+interface LightSource {
+  x: number;
+  y: number;
+  cell: string;
+  radius: number;
+  color: string;
+}
+
+const DEFAULT_LIGHT_COLOR = 'rgba(255, 255, 100, 1)';
+
+/** Strength of the colored tint a light adds over what it lights. */
+const GLOW_ALPHA = 0.3;
+
+/** Darkness is built here, then laid over the map in one draw. */
+let darknessCanvas: HTMLCanvasElement | null = null;
+
+/**
+ * World position, cell key and world radius of every lit object on a layer.
+ */
+function collectLightSources(
+  objects: MapObject[],
+  geometry: ExtendedGeometry,
+  distancePerCell: number
+): LightSource[] {
+  const lights: LightSource[] = [];
+  for (const obj of objects) {
+    if (obj.lightEnabled !== true || obj.lightRadius == null || obj.lightRadius <= 0) continue;
+
+    let x: number, y: number;
+    if (obj.freeform === true && obj.worldPosition != null) {
+      x = obj.worldPosition.x;
+      y = obj.worldPosition.y;
+    } else {
+      const w = geometry.getCellCenter(obj.position.x, obj.position.y);
+      x = w.worldX;
+      y = w.worldY;
+    }
+
+    const cell = geometry.type === 'hex'
+      ? axialToOffset(obj.position.x, obj.position.y, geometry.orientation)
+      : { col: obj.position.x, row: obj.position.y };
+
+    lights.push({
+      x,
+      y,
+      cell: `${cell.col},${cell.row}`,
+      radius: (obj.lightRadius / distancePerCell) * geometry.cellSize,
+      color: obj.lightColor ?? DEFAULT_LIGHT_COLOR
+    });
+  }
+  return lights;
+}
+
+/**
+ * Clip to a light's polygon and return its screen center and radius.
+ */
+function clipToLight(
+  ctx: CanvasRenderingContext2D,
+  light: LightSource,
+  polygon: Array<{ x: number; y: number }>,
+  viewState: ViewState
+): { sx: number; sy: number; sr: number } {
+  ctx.beginPath();
+  polygon.forEach((p, i) => {
+    const px = p.x * viewState.zoom + viewState.x;
+    const py = p.y * viewState.zoom + viewState.y;
+    if (i === 0) ctx.moveTo(px, py);
+    else ctx.lineTo(px, py);
+  });
+  ctx.closePath();
+  ctx.clip();
+  return {
+    sx: light.x * viewState.zoom + viewState.x,
+    sy: light.y * viewState.zoom + viewState.y,
+    sr: light.radius * viewState.zoom
+  };
+}
+
+/**
+ * Darken the map by the ambient darkness, then light and tint each source.
+ */
+function renderLighting(
+  ctx: CanvasRenderingContext2D,
+  layer: MapLayer,
+  geometry: ExtendedGeometry,
+  viewState: ViewState,
+  options: LightingOptions
+): void {
+  const darkness = Math.min(Math.max(options.ambientDarkness, 0), 1);
+  if (darkness === 0) return;
+
+  const { width, height } = ctx.canvas;
+  darknessCanvas ??= activeWindow.createEl('canvas');
+  if (darknessCanvas.width !== width) darknessCanvas.width = width;
+  if (darknessCanvas.height !== height) darknessCanvas.height = height;
+  const dctx = darknessCanvas.getContext('2d');
+  if (!dctx) return;
+
+  const lights = collectLightSources(layer.objects, geometry, options.distancePerCell);
+  const blockers = lights.length > 0 ? buildSightBlockers(layer, geometry) : [];
+  const polygons = lights.map(light => computeLightPolygon(light, light.radius, blockers));
+
+  // Darkness covers the whole canvas; lights are cut out in map space, so
+  // they follow the map's rotation
+  dctx.setTransform(1, 0, 0, 1, 0, 0);
+  dctx.clearRect(0, 0, width, height);
+  dctx.fillStyle = `rgba(0, 0, 0, ${darkness})`;
+  dctx.fillRect(0, 0, width, height);
+  dctx.setTransform(ctx.getTransform());
+  dctx.globalCompositeOperation = 'destination-out';
+  lights.forEach((light, i) => {
+    dctx.save();
+    const { sx, sy, sr } = clipToLight(dctx, light, polygons[i], viewState);
+    const falloff = dctx.createRadialGradient(sx, sy, 0, sx, sy, sr);
+    falloff.addColorStop(0, 'rgba(0, 0, 0, 1)');
+    falloff.addColorStop(0.5, 'rgba(0, 0, 0, 0.9)');
+    falloff.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    dctx.fillStyle = falloff;
+    dctx.fillRect(sx - sr, sy - sr, sr * 2, sr * 2);
+    dctx.restore();
+  });
+  dctx.globalCompositeOperation = 'source-over';
+
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.drawImage(darknessCanvas, 0, 0);
+  ctx.restore();
+
+  // Colored glow over the lit area
+  lights.forEach((light, i) => {
+    ctx.save();
+    const { sx, sy, sr } = clipToLight(ctx, light, polygons[i], viewState);
+    const glow = ctx.createRadialGradient(sx, sy, 0, sx, sy, sr);
+    glow.addColorStop(0, light.color);
+    glow.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    ctx.globalCompositeOperation = 'screen';
+    ctx.globalAlpha = GLOW_ALPHA;
+    ctx.fillStyle = glow;
+    ctx.fillRect(sx - sr, sy - sr, sr * 2, sr * 2);
+    ctx.restore();
+  });
+}
+
+export { renderLighting, collectLightSources };
@@ -69,7 +69,7 @@ function calculateObjectPosition(
   obj: MapObject,
   allObjects: MapObject[],
   geometry: IGeometry,
-  context: ObjectRenderContext,
+  context: Omit<ObjectRenderContext, 'ctx'>,
   isHexMap: boolean,
   orientation: 'flat' | 'pointy',
   deps: Pick<ObjectRenderDeps, 'getObjectsInCell' | 'getSlotOffset' | 'getMultiObjectScale'>
@@ -720,6 +720,151 @@ function calculateTileDrawRect(
   return { drawX, drawY, drawWidth, drawHeight };
 }
 
+/** Where a stamped tile lands on screen (see computeTilePlacement) */
+interface TilePlacement {
+  /** Screen position of the anchor cell center (or the freeform stamp point) */
+  anchorX: number;
+  anchorY: number;
+  /** Footprint center; rotation and flip apply about this point */
+  centerX: number;
+  centerY: number;
+  rect: { drawX: number; drawY: number; drawWidth: number; drawHeight: number };
+  /** User rotation plus any art-orientation adaptation, in degrees */
+  rotation: number;
+}
+
+/**
+ * Screen position of a tile's anchor cell. Freeform stamps use their stored
+ * world coordinates directly. Cheap enough to cull on before placement.
+ */
+function tileAnchorScreen(
+  tile: TileAssignment,
+  geometry: TileGeometry,
+  viewState: TileViewState
+): { screenX: number; screenY: number } {
+  if (tile.freeform === true && tile.worldX != null && tile.worldY != null) {
+    return geometry.worldToScreen(tile.worldX, tile.worldY, viewState.x, viewState.y, viewState.zoom);
+  }
+  const world = geometry.hexToWorld(tile.col, tile.row);
+  return geometry.worldToScreen(world.worldX, world.worldY, viewState.x, viewState.y, viewState.zoom);
+}
+
+/**
+ * Pure: place one stamped tile — its footprint center, the unrotated draw rect
+ * and the rotation to apply about that center (flipH applies on top). Needs the
+ * image's natural size to tell stamps from cell-filling art. Shared by the
+ * canvas pass and the SVG export so both seat tiles identically.
+ */
+function computeTilePlacement(
+  tile: TileAssignment,
+  tileset: TilesetDef,
+  tileMeta: TileMetadataStore[string] | undefined,
+  naturalWidth: number,
+  naturalHeight: number,
+  geometry: TileGeometry,
+  viewState: TileViewState
+): TilePlacement {
+  const isGrid = geometry.orientation !== 'flat' && geometry.orientation !== 'pointy';
+  const hexScreenWidth = isGrid
+    ? geometry.hexSize * viewState.zoom
+    : geometry.orientation === 'flat' ? 2 * geometry.hexSize * viewState.zoom : SQRT3 * geometry.hexSize * viewState.zoom;
+  const hexScreenHeight = isGrid
+    ? geometry.hexSize * viewState.zoom
+    : geometry.orientation === 'flat' ? SQRT3 * geometry.hexSize * viewState.zoom : 2 * geometry.hexSize * viewState.zoom;
+
+  const screen = tileAnchorScreen(tile, geometry, viewState);
+
+  // Multi-cell footprint (grid, snapped tiles only). The draw rect is sized to
+  // the UNROTATED span and centered on the footprint center derived from the
+  // EFFECTIVE (rotation-swapped) span; rotating that rect about the same center
+  // then fills the swapped cell box exactly. 1x1 / hex / freeform tiles collapse
+  // back to the anchor cell center, leaving existing behavior unchanged.
+  const resolvedSpan = isGrid && tile.freeform !== true
+    ? resolveTileRender(tile, tileMeta, tileset)
+    : null;
+  const spanW = resolvedSpan?.spanW ?? 1;
+  const spanH = resolvedSpan?.spanH ?? 1;
+  const eff = spanW > 1 || spanH > 1
+    ? effectiveSpan({ spanW, spanH, rotation: tile.rotation })
+    : { spanW, spanH };
+  const centerX = screen.screenX + ((eff.spanW - 1) / 2) * hexScreenWidth;
+  const centerY = screen.screenY + ((eff.spanH - 1) / 2) * hexScreenHeight;
+
+  // Art-orientation adaptation (hex maps only): mismatched hexagonal art is
+  // sized in its own orientation's frame — the transpose of the cell bbox —
+  // then rotated ±30° about the cell center by the caller.
+  const adapt = tileOrientationAdaptation(geometry.orientation, tileset.artOrientation);
+  const frameW = adapt.rotationDeg !== 0 ? hexScreenHeight : hexScreenWidth;
+  const frameH = adapt.rotationDeg !== 0 ? hexScreenWidth : hexScreenHeight;
+  const cellW = frameW * spanW;
+  const cellH = frameH * spanH;
+
+  const folder = isFolderTileset(tileset) ? tileset : null;
+  const hexHeight = folder?.hexHeight ?? tileset.tileHeight;
+
+  // Auto-detect fit mode for mixed tilesets: if the actual image dimensions
+  // differ significantly from the tileset's declared dimensions, this tile
+  // is a stamp/object (not cell-filling). Scale it relative to the tileset's
+  // coordinate space so a 55px stamp in a 256px tileset stays small.
+  let drawOverride: { drawX: number; drawY: number; drawWidth: number; drawHeight: number } | null = null;
+  const natW = naturalWidth;
+  const natH = naturalHeight;
+  if (natW > 0 && natH > 0 && tile.fitMode == null) {
+    const wRatio = natW / tileset.tileWidth;
+    const hRatio = natH / hexHeight;
+    const stampThreshold = tileset.stampThreshold ?? 0.5;
+    if (wRatio < stampThreshold || hRatio < stampThreshold) {
+      // Scale relative to the footprint using pre-computed screen dimensions
+      const fillScaleX = cellW / tileset.tileWidth;
+      const fillScaleY = cellH / hexHeight;
+      // Use the smaller fill scale to preserve aspect ratio
+      const baseScale = Math.min(fillScaleX, fillScaleY);
+      // Ensure stamps are at least minStampScale of the footprint's smaller dimension
+      const minHexDim = Math.min(cellW, cellH);
+      const minStampDim = minHexDim * (tileset.minStampScale ?? 0.35);
+      const naturalMinDim = Math.min(natW, natH) * baseScale;
+      const effectiveScale = (naturalMinDim < minStampDim
+        ? baseScale * (minStampDim / naturalMinDim)
+        : baseScale) * (tile.scale ?? 1);
+      const drawWidth = natW * effectiveScale;
+      const drawHeight = natH * effectiveScale;
+      drawOverride = {
+        drawX: centerX - drawWidth / 2,
+        drawY: centerY - drawHeight / 2,
+        drawWidth,
+        drawHeight,
+      };
+    }
+  }
+
+  let rect = drawOverride ?? calculateTileDrawRect(
+    centerX, centerY,
+    tileset, geometry.hexSize, viewState.zoom, adapt.sizeOrientation,
+    tile.fitMode, spanW, spanH
+  );
+
+  // Apply per-tile scale to non-stamp tiles (stamps already applied above)
+  if (drawOverride == null && tile.scale != null && tile.scale !== 1) {
+    const s = tile.scale;
+    const cx = rect.drawX + rect.drawWidth / 2;
+    const cy = rect.drawY + rect.drawHeight / 2;
+    const w = rect.drawWidth * s;
+    const h = rect.drawHeight * s;
+    rect = { drawX: cx - w / 2, drawY: cy - h / 2, drawWidth: w, drawHeight: h };
+  }
+
+  // Orientation adaptation composes with the user rotation (both are about
+  // the footprint center, so they commute)
+  return {
+    anchorX: screen.screenX,
+    anchorY: screen.screenY,
+    centerX,
+    centerY,
+    rect,
+    rotation: (tile.rotation ?? 0) + adapt.rotationDeg,
+  };
+}
+
 /**
  * Pure: how a hex tile's art orientation adapts to the cell orientation.
  * Hexagonal art can only match a hex cell of the same orientation — non-uniform
@@ -831,14 +976,7 @@ function renderTiles(
   // — same idiom as getTheme() — so it stays live without a cache-version dance.
   const metaStore = options?.tileMetadata ?? getTileMetadataForRender();
 
-  // Pre-compute cell screen dimensions (constant for all tiles in this frame)
   const isGrid = geometry.orientation !== 'flat' && geometry.orientation !== 'pointy';
-  const hexScreenWidth = isGrid
-    ? geometry.hexSize * viewState.zoom
-    : geometry.orientation === 'flat' ? 2 * geometry.hexSize * viewState.zoom : SQRT3 * geometry.hexSize * viewState.zoom;
-  const hexScreenHeight = isGrid
-    ? geometry.hexSize * viewState.zoom
-    : geometry.orientation === 'flat' ? SQRT3 * geometry.hexSize * viewState.zoom : 2 * geometry.hexSize * viewState.zoom;
 
   // Partition by depth tier, then by placement within each tier
   const DEPTH_ORDER = ['ground', 'structure', 'props', 'decoration'] as const;
@@ -940,101 +1078,20 @@ function renderTiles(
     const img = getCachedImage(entry.vaultPath);
     if (!img || !img.naturalWidth) return;
 
-    // Convert to screen coordinates
-    // Freeform stamps use stored world coordinates directly
-    const screen = tile.freeform === true && tile.worldX != null && tile.worldY != null
-      ? geometry.worldToScreen(tile.worldX, tile.worldY, viewState.x, viewState.y, viewState.zoom)
-      : (() => {
-          const world = geometry.hexToWorld(tile.col, tile.row);
-          return geometry.worldToScreen(world.worldX, world.worldY, viewState.x, viewState.y, viewState.zoom);
-        })();
-
-    // Multi-cell footprint (grid, snapped tiles only). The draw rect is sized to
-    // the UNROTATED span and centered on the footprint center derived from the
-    // EFFECTIVE (rotation-swapped) span; rotating that rect about the same center
-    // then fills the swapped cell box exactly. 1x1 / hex / freeform tiles collapse
-    // back to the anchor cell center, leaving existing behavior unchanged.
-    const resolvedSpan = isGrid && tile.freeform !== true
-      ? resolveTileRender(tile, metaStore[entry.vaultPath], tileset)
-      : null;
-    const spanW = resolvedSpan?.spanW ?? 1;
-    const spanH = resolvedSpan?.spanH ?? 1;
-    const eff = spanW > 1 || spanH > 1
-      ? effectiveSpan({ spanW, spanH, rotation: tile.rotation })
-      : { spanW, spanH };
-    const centerX = screen.screenX + ((eff.spanW - 1) / 2) * hexScreenWidth;
-    const centerY = screen.screenY + ((eff.spanH - 1) / 2) * hexScreenHeight;
-
-    // Art-orientation adaptation (hex maps only): mismatched hexagonal art is
-    // sized in its own orientation's frame — the transpose of the cell bbox —
-    // then rotated ±30° about the cell center below.
-    const adapt = tileOrientationAdaptation(geometry.orientation, tileset.artOrientation);
-    const frameW = adapt.rotationDeg !== 0 ? hexScreenHeight : hexScreenWidth;
-    const frameH = adapt.rotationDeg !== 0 ? hexScreenWidth : hexScreenHeight;
-    const cellW = frameW * spanW;
-    const cellH = frameH * spanH;
-
+    // Viewport culling (generous margin for overflow), before the placement math
+    const screen = tileAnchorScreen(tile, geometry, viewState);
     const folder = isFolderTileset(tileset) ? tileset : null;
-    const hexHeight = folder?.hexHeight ?? tileset.tileHeight;
     const maxOverflow = Math.max(folder?.overflowTop ?? 0, folder?.overflowBottom ?? 0, tileset.tileHeight);
-
-    // Viewport culling (generous margin for overflow)
     const margin = maxOverflow * viewState.zoom * 2;
     if (screen.screenX < -margin || screen.screenX > canvasW + margin ||
         screen.screenY < -margin || screen.screenY > canvasH + margin) {
       return;
     }
 
-    // Auto-detect fit mode for mixed tilesets: if the actual image dimensions
-    // differ significantly from the tileset's declared dimensions, this tile
-    // is a stamp/object (not cell-filling). Scale it relative to the tileset's
-    // coordinate space so a 55px stamp in a 256px tileset stays small.
-    let drawOverride: { drawX: number; drawY: number; drawWidth: number; drawHeight: number } | null = null;
-    const natW = img.naturalWidth;
-    const natH = img.naturalHeight;
-    if (natW > 0 && natH > 0 && tile.fitMode == null) {
-      const wRatio = natW / tileset.tileWidth;
-      const hRatio = natH / hexHeight;
-      const stampThreshold = tileset.stampThreshold ?? 0.5;
-      if (wRatio < stampThreshold || hRatio < stampThreshold) {
-        // Scale relative to the footprint using pre-computed screen dimensions
-        const fillScaleX = cellW / tileset.tileWidth;
-        const fillScaleY = cellH / hexHeight;
-        // Use the smaller fill scale to preserve aspect ratio
-        const baseScale = Math.min(fillScaleX, fillScaleY);
-        // Ensure stamps are at least minStampScale of the footprint's smaller dimension
-        const minHexDim = Math.min(cellW, cellH);
-        const minStampDim = minHexDim * (tileset.minStampScale ?? 0.35);
-        const naturalMinDim = Math.min(natW, natH) * baseScale;
-        const effectiveScale = (naturalMinDim < minStampDim
-          ? baseScale * (minStampDim / naturalMinDim)
-          : baseScale) * (tile.scale ?? 1);
-        const drawWidth = natW * effectiveScale;
-        const drawHeight = natH * effectiveScale;
-        drawOverride = {
-          drawX: centerX - drawWidth / 2,
-          drawY: centerY - drawHeight / 2,
-          drawWidth,
-          drawHeight,
-        };
-      }
-    }
-
-    let rect = drawOverride ?? calculateTileDrawRect(
-      centerX, centerY,
-      tileset, geometry.hexSize, viewState.zoom, adapt.sizeOrientation,
-      tile.fitMode, spanW, spanH
+    const placement = computeTilePlacement(
+      tile, tileset, metaStore[entry.vaultPath], img.naturalWidth, img.naturalHeight, geometry, viewState
     );
-
-    // Apply per-tile scale to non-stamp tiles (stamps already applied above)
-    if (drawOverride == null && tile.scale != null && tile.scale !== 1) {
-      const s = tile.scale;
-      const cx = rect.drawX + rect.drawWidth / 2;
-      const cy = rect.drawY + rect.drawHeight / 2;
-      const w = rect.drawWidth * s;
-      const h = rect.drawHeight * s;
-      rect = { drawX: cx - w / 2, drawY: cy - h / 2, drawWidth: w, drawHeight: h };
-    }
+    const { centerX, centerY, rect } = placement;
 
     // Apply opacity (per-tile and layer-level)
     const tileOpacity = tile.opacity ?? 1;
@@ -1042,9 +1099,8 @@ function renderTiles(
       ctx.globalAlpha = previousAlpha * opacity * tileOpacity;
     }
 
-    // Apply rotation/flip if needed. Orientation adaptation composes with the
-    // user rotation (both are about the cell center, so they commute).
-    const totalRotation = (tile.rotation ?? 0) + adapt.rotationDeg;
+    // Apply rotation/flip about the footprint center if needed
+    const totalRotation = placement.rotation;
     const needsTransform = totalRotation !== 0 || tile.flipH === true;
     if (needsTransform) {
       ctx.save();
@@ -1092,4 +1148,4 @@ function renderTiles(
   }
 }
 
-export { renderTiles, sortTilesForRendering, calculateTileDrawRect, computeRegionPatternTransform, regionFeatherPx, shadowBlurImage, pyramidLevels, pyramidBlurImage, canvasBlurCapabilities, tileOrientationAdaptation };
+export { renderTiles, sortTilesForRendering, calculateTileDrawRect, computeTilePlacement, computeRegionPatternTransform, regionFeatherPx, shadowBlurImage, pyramidLevels, pyramidBlurImage, canvasBlurCapabilities, tileOrientationAdaptation };
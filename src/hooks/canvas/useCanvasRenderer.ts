@@ -35,6 +35,7 @@ import { renderGridBackgroundImage } from '../../geometry/renderers/backgroundRe
 import { renderGridFog } from '../../geometry/fog/gridFogRenderer';
 import { renderHexFog } from '../../geometry/fog/hexFogRenderer';
 import { getFogSettings, clearFogCanvas, renderFog } from '../../geometry/fog/fogRenderer';
+import { toPlayerViewMapData } from '../../objects/playerVisibility';
 import { renderObjects } from '../../geometry/renderers/objectRenderer';
 import { renderSelections } from '../../geometry/renderers/selectionRenderer';
 import { segmentRenderer } from '../../geometry/renderers/segmentRenderer';
@@ -43,6 +44,8 @@ import { calculateViewportOffset } from '../../geometry/core/BaseGeometry';
 import { renderRegions } from '../../geometry/renderers/regionRenderer';
 import { renderOutlines } from '../../geometry/renderers/outlineRenderer';
 import { renderShapeOverlays, renderPlayerLights } from '../../geometry/renderers/shapeOverlayRenderer';
+import { renderLighting } from '../../geometry/renderers/lightingRenderer';
+import { getRememberedCells } from '../../geometry/fog/fogVisibility';
 import { renderTiles } from '../../geometry/renderers/tileRenderer';
 import { gridRenderer } from '../../geometry/renderers/gridRenderer';
 import { hexRenderer } from '../../geometry/renderers/hexRenderer';
@@ -406,10 +409,12 @@ function renderLayerCellsAndEdges(
   }
 }
 
-const renderCanvas: RenderCanvas = (canvas, fogCanvas, mapData, geometry, selectedItems = [], options = {}) => {
-  const { isResizeMode = false, theme = null, showCoordinates = false, layerVisibility = null, adjacentSubHexes = null, hiddenTileLayers = undefined, draggingWallId = null, subHexPath = null, liveViewState = null } = options;
+const renderCanvas: RenderCanvas = (canvas, fogCanvas, sourceMapData, geometry, selectedItems = [], options = {}) => {
+  const { isResizeMode = false, theme = null, showCoordinates = false, layerVisibility = null, adjacentSubHexes = null, hiddenTileLayers = undefined, draggingWallId = null, subHexPath = null, liveViewState = null, playerView = false } = options;
   if (canvas == null) return;
 
+  const mapData = playerView ? toPlayerViewMapData(sourceMapData) : sourceMapData;
+
   // Normalize selectedItems to array (backward compatibility)
   const itemsArray: RendererSelectedItem[] = Array.isArray(selectedItems) ? selectedItems : (selectedItems != null ? [selectedItems] : []);
 
@@ -491,6 +496,15 @@ const renderCanvas: RenderCanvas = (canvas, fogCanvas, mapData, geometry, select
     zoom
   );
 
+  // Explored cells out of every lit player's sight: dimmed fog over them, and
+  // their objects stay hidden like fogged ones
+  const distancePerCell = (mapData.settings?.overrides?.distancePerCell as number | undefined) ?? 5;
+  const rememberedCells = getRememberedCells(activeLayer, geometry, distancePerCell);
+  const rememberedSet = rememberedCells.length > 0 ? new Set(rememberedCells.map(c => `${c.col},${c.row}`)) : null;
+  const isCellHidden = rememberedSet == null
+    ? isCellFogged
+    : (layer: MapLayer, col: number, row: number): boolean => isCellFogged(layer, col, row) || rememberedSet.has(`${col},${row}`);
+
   // ---- Static content (everything that only depends on map data + viewport
   // transform). The parameters deliberately SHADOW the outer ctx/offsetX/
   // offsetY/width/height so the pass bodies below run unchanged whether they
@@ -804,12 +818,12 @@ const renderCanvas: RenderCanvas = (canvas, fogCanvas, mapData, geometry, select
     renderOutlines(ctx, mapData.outlines, geometry, { x: offsetX, y: offsetY, zoom }, mapData.hexBounds ?? {}, mapData.orientation ?? 'flat');
   }
 
-  // Draw player light radii (before shapes and objects)
-  if (activeLayer.objects.length > 0) {
+  // Draw player light radii (before shapes and objects); with darkness on,
+  // the lighting pass below shows the light instead
+  const ambientDarkness = mapData.settings?.ambientDarkness ?? 0;
+  if (activeLayer.objects.length > 0 && ambientDarkness <= 0) {
     const playerObjects = activeLayer.objects.filter((o: MapObject) => o.isPlayer === true && o.lightEnabled === true);
     if (playerObjects.length > 0) {
-      const settings = mapData.settings?.overrides ?? {};
-      const distancePerCell = (settings.distancePerCell as number) ?? 5;
       renderPlayerLights(ctx, playerObjects, geometry, { x: offsetX, y: offsetY, zoom }, distancePerCell);
     }
   }
@@ -872,7 +886,7 @@ const renderCanvas: RenderCanvas = (canvas, fogCanvas, mapData, geometry, select
       {
         getObjectType: getObjectTypeForMap,
         getRenderChar,
-        isCellFogged,
+        isCellFogged: isCellHidden,
         getObjectsInCell,
         getSlotOffset,
         getMultiObjectScale,
@@ -884,6 +898,12 @@ const renderCanvas: RenderCanvas = (canvas, fogCanvas, mapData, geometry, select
     );
   }
 
+  // Ambient darkness and light sources, over the map and its objects but
+  // under labels so they stay readable
+  if (ambientDarkness > 0 && !showCoordinates) {
+    renderLighting(ctx, activeLayer, geometry, { x: offsetX, y: offsetY, zoom }, { ambientDarkness, distancePerCell });
+  }
+
   // Draw text labels
   if (activeLayer.textLabels.length > 0 && !showCoordinates && visibility.textLabels) {
     renderTextLabels(
@@ -937,8 +957,9 @@ const renderCanvas: RenderCanvas = (canvas, fogCanvas, mapData, geometry, select
     clearFogCanvas(fogCanvas);
   }
 
-  if (fow != null && fow.enabled === true && fow.foggedCells != null && fow.foggedCells.length > 0) {
+  if (fow != null && fow.enabled === true && ((fow.foggedCells?.length ?? 0) > 0 || rememberedCells.length > 0)) {
     const fogSettings = getFogSettings(effectiveSettings);
+    if (playerView) fogSettings.fowOpacity = 1;
     const isHexMap = geometry.type === 'hex';
     const hexGeom = geometry.type === 'hex' ? geometry : null;
     const gridGeom = geometry.type === 'grid' ? geometry : null;
@@ -957,7 +978,8 @@ const renderCanvas: RenderCanvas = (canvas, fogCanvas, mapData, geometry, select
       renderGridFog,
       renderHexFog,
       offsetToAxial,
-      axialToOffset
+      axialToOffset,
+      rememberedCells
     );
   }
 
@@ -989,7 +1011,7 @@ const renderCanvas: RenderCanvas = (canvas, fogCanvas, mapData, geometry, select
 };
 
 const useCanvasRenderer: UseCanvasRenderer = (canvasRef, fogCanvasRef, mapData, geometry, selectedItems = [], options = {}, viewController) => {
-  const { isResizeMode = false, theme = null, showCoordinates = false, layerVisibility = null, tileImagesReady = false, adjacentSubHexes = null, hiddenTileLayers = undefined, draggingWallId = null, subHexPath = null } = options;
+  const { isResizeMode = false, theme = null, showCoordinates = false, layerVisibility = null, tileImagesReady = false, adjacentSubHexes = null, hiddenTileLayers = undefined, draggingWallId = null, subHexPath = null, playerView = false } = options;
   // Coalesce renders to at most one per animation frame. Pan/zoom writes viewState
   // (stored on mapData) on EVERY pointermove/touchmove; on a 120Hz touch device that
   // fires far faster than the display refreshes, so rendering synchronously per update
@@ -1010,6 +1032,7 @@ const useCanvasRenderer: UseCanvasRenderer = (canvasRef, fogCanvasRef, mapData,
     tileImagesReady: boolean;
     draggingWallId: typeof draggingWallId;
     subHexPath: typeof subHexPath;
+    playerView: boolean;
   } | null>(null);
 
   // useLayoutEffect (not useEffect): the inputs ref must refresh at COMMIT,
@@ -1019,7 +1042,7 @@ const useCanvasRenderer: UseCanvasRenderer = (canvasRef, fogCanvasRef, mapData,
   // useEffect here, that frame painted the OLD map at the NEW view (the
   // "giant grid" ghost frame on surfacing, windrose-1mc trace 2026-08-20).
   useLayoutEffect(() => {
-    renderInputsRef.current = { mapData, geometry, selectedItems, isResizeMode, theme, showCoordinates, layerVisibility, adjacentSubHexes, hiddenTileLayers, tileImagesReady, draggingWallId, subHexPath };
+    renderInputsRef.current = { mapData, geometry, selectedItems, isResizeMode, theme, showCoordinates, layerVisibility, adjacentSubHexes, hiddenTileLayers, tileImagesReady, draggingWallId, subHexPath, playerView };
     const scheduleRender = (): void => {
       // A frame is already queued — it will pick up the latest inputs from the ref.
       if (rafIdRef.current != null) return;
@@ -1030,7 +1053,7 @@ const useCanvasRenderer: UseCanvasRenderer = (canvasRef, fogCanvasRef, mapData,
           const fogCanvas = fogCanvasRef?.current ?? null;
           // Read the live viewState at FIRE time so a gesture's setLive→scheduleRender
           // path paints the current pan/zoom even though mapData hasn't changed.
-          renderCanvas(canvasRef.current, fogCanvas, a.mapData, a.geometry, a.selectedItems, { isResizeMode: a.isResizeMode, theme: a.theme, showCoordinates: a.showCoordinates, layerVisibility: a.layerVisibility, adjacentSubHexes: a.adjacentSubHexes, hiddenTileLayers: a.hiddenTileLayers, tileImagesReady: a.tileImagesReady, draggingWallId: a.draggingWallId, subHexPath: a.subHexPath, liveViewState: viewController.getLive() });
+          renderCanvas(canvasRef.current, fogCanvas, a.mapData, a.geometry, a.selectedItems, { isResizeMode: a.isResizeMode, theme: a.theme, showCoordinates: a.showCoordinates, layerVisibility: a.layerVisibility, adjacentSubHexes: a.adjacentSubHexes, hiddenTileLayers: a.hiddenTileLayers, tileImagesReady: a.tileImagesReady, draggingWallId: a.draggingWallId, subHexPath: a.subHexPath, liveViewState: viewController.getLive(), playerView: a.playerView });
         }
       });
     };
@@ -1040,7 +1063,7 @@ const useCanvasRenderer: UseCanvasRenderer = (canvasRef, fogCanvasRef, mapData,
     // The ViewController drives imperative renders on setLive() during a gesture.
     viewController.setRenderCallback(scheduleRender);
     scheduleRender();
-  }, [mapData, geometry, selectedItems, isResizeMode, theme, canvasRef, fogCanvasRef, showCoordinates, layerVisibility, tileImagesReady, adjacentSubHexes, hiddenTileLayers, draggingWallId, subHexPath, viewController]);
+  }, [mapData, geometry, selectedItems, isResizeMode, theme, canvasRef, fogCanvasRef, showCoordinates, layerVisibility, tileImagesReady, adjacentSubHexes, hiddenTileLayers, draggingWallId, subHexPath, playerView, viewController]);
 
   // Cancel any frame still pending when the component unmounts.
   useEffect(() => () => {
@@ -24,7 +24,7 @@ import { useGroupDrag } from '../objects/useGroupDrag';
 import { captureSubHexBackdrop } from '../../core/subHexBackdropStore';
 
 const DRAWING_TOOL_SET: Set<string> = new Set([
-  'draw', 'erase', 'rectangle', 'circle', 'clearArea',
+  'draw', 'erase', 'rectangle', 'circle', 'clearArea', 'generateArea', 'connectSketch',
   'edgeDraw', 'edgeErase', 'edgeLine', 'segmentDraw'
 ]);
 
@@ -550,9 +550,9 @@ const useEventCoordinator = ({
             }
           }
         }
-        else if ((currentTool === 'rectangle' || currentTool === 'clearArea' || currentTool === 'circle') && toGrid != null) {
+        else if ((currentTool === 'rectangle' || currentTool === 'clearArea' || currentTool === 'generateArea' || currentTool === 'connectSketch' || currentTool === 'circle') && toGrid != null) {
           const hasStart = (currentTool === 'circle' && drawingHandlers.circleStart != null) ||
-                           ((currentTool === 'rectangle' || currentTool === 'clearArea') && drawingHandlers.rectangleStart != null);
+                           ((currentTool === 'rectangle' || currentTool === 'clearArea' || currentTool === 'generateArea' || currentTool === 'connectSketch') && drawingHandlers.rectangleStart != null);
           if (hasStart) {
             const coords = toGrid(clientX, clientY);
             if (coords) {
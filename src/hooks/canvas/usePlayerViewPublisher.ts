@@ -0,0 +1,43 @@
+/**
+ * usePlayerViewPublisher.ts
+ *
+ * Feeds the player view store from a GM map canvas: the map data and theme
+ * whenever they change, and every live pan/zoom change through the
+ * ViewController, so player windows follow a gesture as it happens rather
+ * than jumping when it is committed.
+ */
+
+import type { MapData } from '#types/core/map.types';
+import type { ResolvedTheme } from '#types/settings/settings.types';
+import type { ViewController } from '#types/hooks/viewController.types';
+
+import { useEffect, useRef } from 'preact/hooks';
+import { publishPlayerViewMap, publishPlayerViewState } from '../../core/playerViewStore';
+
+/**
+ * @param mapId - Map to publish under; null or empty publishes nothing
+ */
+function usePlayerViewPublisher(
+  mapId: string | null | undefined,
+  mapData: MapData | null,
+  theme: ResolvedTheme | null,
+  tileImagesReady: boolean,
+  viewController: ViewController
+): void {
+  // The theme object is rebuilt on every render; publish only real changes
+  const themeRef = useRef(theme);
+  themeRef.current = theme;
+  const themeKey = JSON.stringify(theme);
+
+  useEffect(() => {
+    if (mapId == null || mapId === '' || mapData == null) return;
+    publishPlayerViewMap(mapId, mapData, themeRef.current, tileImagesReady);
+  }, [mapId, mapData, themeKey, tileImagesReady]);
+
+  useEffect(() => {
+    if (mapId == null || mapId === '') return undefined;
+    return viewController.subscribeLive(viewState => publishPlayerViewState(mapId, viewState));
+  }, [mapId, viewController]);
+}
+
+export { usePlayerViewPublisher };
@@ -5,7 +5,7 @@
  * - usePaintTool: paint/erase cells, objects, text labels, curves, edges
  * - useEdgeDragTool: edge paint/erase via drag
  * - useSegmentDragTool: segment paint via drag
- * - useShapeTools: rectangle, circle, clear area, edge line (2-click shapes)
+ * - useShapeTools: rectangle, circle, clear area, generate area, connect sketch, edge line (2-click shapes)
  * - useSegmentPicker: touch segment selection modal
  * - useSegmentHover: segment hover preview
  */
@@ -75,7 +75,9 @@ const useDrawingTools = (
     getTextLabelAtPosition,
     removeTextLabel,
     getObjectAtPosition,
-    removeObjectsInRectangle
+    removeObjectsInRectangle,
+    onGenerateInArea,
+    onConnectSketch
   } = useMapOperations();
 
   // Compose sub-hooks
@@ -101,7 +103,7 @@ const useDrawingTools = (
     currentTool, selectedColor, selectedOpacity, edgeWidth, previewSettings,
     mapData, geometry, screenToWorld, getClientCoords,
     onCellsChange, onCurvesChange, onObjectsChange, onTextLabelsChange, onEdgesChange,
-    removeObjectsInRectangle
+    removeObjectsInRectangle, onGenerateInArea, onConnectSketch
   });
 
   const segmentPicker = useSegmentPicker({
@@ -1,7 +1,7 @@
 /**
  * useShapeTools.ts
  *
- * Manages rectangle, circle, clear area, and edge line shape tools.
+ * Manages rectangle, circle, clear area, generate area, connect sketch, and edge line shape tools.
  * Handles 2-click shape placement, touch preview/confirm, and hover preview.
  */
 
@@ -64,6 +64,10 @@ interface UseShapeToolsOptions {
   onTextLabelsChange: (labels: TextLabel[]) => void;
   onEdgesChange: (edges: Edge[], skipHistory?: boolean) => void;
   removeObjectsInRectangle: (objects: MapObject[], x1: number, y1: number, x2: number, y2: number) => MapObject[];
+  /** Fills the rectangle with a generated dungeon section (generateArea tool) */
+  onGenerateInArea?: (x1: number, y1: number, x2: number, y2: number) => void;
+  /** Connects the sketched rooms inside the rectangle (connectSketch tool) */
+  onConnectSketch?: (x1: number, y1: number, x2: number, y2: number) => void;
 }
 
 interface UseShapeToolsResult {
@@ -101,7 +105,7 @@ function useShapeTools({
   currentTool, selectedColor, selectedOpacity, edgeWidth = null, previewSettings,
   mapData, geometry, screenToWorld, getClientCoords,
   onCellsChange, onCurvesChange, onObjectsChange, onTextLabelsChange, onEdgesChange,
-  removeObjectsInRectangle
+  removeObjectsInRectangle, onGenerateInArea, onConnectSketch
 }: UseShapeToolsOptions): UseShapeToolsResult {
 
   const [rectangleStart, setRectangleStart] = useState<RectangleStart | null>(null);
@@ -212,7 +216,7 @@ function useShapeTools({
     if (touchConfirmPending) return;
 
     const hasStart = (currentTool === 'circle' && circleStart != null) ||
-                     ((currentTool === 'rectangle' || currentTool === 'clearArea') && rectangleStart != null) ||
+                     ((currentTool === 'rectangle' || currentTool === 'clearArea' || currentTool === 'generateArea' || currentTool === 'connectSketch') && rectangleStart != null) ||
                      (currentTool === 'edgeLine' && edgeLineStart != null);
 
     if (hasStart) {
@@ -240,7 +244,7 @@ function useShapeTools({
       return distFromCenter <= radius;
     }
 
-    if ((currentTool === 'rectangle' || currentTool === 'clearArea') && rectangleStart) {
+    if ((currentTool === 'rectangle' || currentTool === 'clearArea' || currentTool === 'generateArea' || currentTool === 'connectSketch') && rectangleStart) {
       const minX = Math.min(rectangleStart.x, pendingEndPoint.x);
       const maxX = Math.max(rectangleStart.x, pendingEndPoint.x);
       const minY = Math.min(rectangleStart.y, pendingEndPoint.y);
@@ -259,6 +263,14 @@ function useShapeTools({
     return false;
   }, [currentTool, circleStart, rectangleStart, edgeLineStart, pendingEndPoint]);
 
+  const generateInRectangle = useCallback((x1: number, y1: number, x2: number, y2: number): void => {
+    onGenerateInArea?.(x1, y1, x2, y2);
+  }, [onGenerateInArea]);
+
+  const connectInRectangle = useCallback((x1: number, y1: number, x2: number, y2: number): void => {
+    onConnectSketch?.(x1, y1, x2, y2);
+  }, [onConnectSketch]);
+
   const confirmTouchShape = useCallback((): void => {
     if (!touchConfirmPending || !pendingEndPoint) return;
 
@@ -271,6 +283,12 @@ function useShapeTools({
     } else if (currentTool === 'clearArea' && rectangleStart) {
       clearRectangle(rectangleStart.x, rectangleStart.y, pendingEndPoint.x, pendingEndPoint.y);
       setRectangleStart(null);
+    } else if (currentTool === 'generateArea' && rectangleStart) {
+      generateInRectangle(rectangleStart.x, rectangleStart.y, pendingEndPoint.x, pendingEndPoint.y);
+      setRectangleStart(null);
+    } else if (currentTool === 'connectSketch' && rectangleStart) {
+      connectInRectangle(rectangleStart.x, rectangleStart.y, pendingEndPoint.x, pendingEndPoint.y);
+      setRectangleStart(null);
     } else if (currentTool === 'edgeLine' && edgeLineStart) {
       fillEdgeLine(edgeLineStart.x, edgeLineStart.y, pendingEndPoint.x, pendingEndPoint.y);
       setEdgeLineStart(null);
@@ -280,7 +298,7 @@ function useShapeTools({
     setPendingEndPoint(null);
     setShapeHoverPosition(null);
   }, [touchConfirmPending, pendingEndPoint, currentTool, circleStart, rectangleStart, edgeLineStart,
-      fillCircle, fillRectangle, clearRectangle, fillEdgeLine]);
+      fillCircle, fillRectangle, clearRectangle, generateInRectangle, connectInRectangle, fillEdgeLine]);
 
   const cancelShapePreview = useCallback((): void => {
     setRectangleStart(null);
@@ -302,7 +320,7 @@ function useShapeTools({
     const isTouch = isTouchEvent || (e as TouchEvent).touches !== undefined || (e as PointerEvent).pointerType === 'touch';
     const touchPreviewEnabled = previewSettings.touchEnabled && isTouch;
 
-    if (currentTool === 'rectangle' || currentTool === 'clearArea' || currentTool === 'circle') {
+    if (currentTool === 'rectangle' || currentTool === 'clearArea' || currentTool === 'generateArea' || currentTool === 'connectSketch' || currentTool === 'circle') {
       if (touchConfirmPending && pendingEndPoint) {
         if (isPointInShapeBounds(gridX, gridY)) {
           confirmTouchShape();
@@ -335,6 +353,10 @@ function useShapeTools({
       } else {
         if (currentTool === 'rectangle') {
           fillRectangle(rectangleStart.x, rectangleStart.y, gridX, gridY);
+        } else if (currentTool === 'generateArea') {
+          generateInRectangle(rectangleStart.x, rectangleStart.y, gridX, gridY);
+        } else if (currentTool === 'connectSketch') {
+          connectInRectangle(rectangleStart.x, rectangleStart.y, gridX, gridY);
         } else {
           clearRectangle(rectangleStart.x, rectangleStart.y, gridX, gridY);
         }
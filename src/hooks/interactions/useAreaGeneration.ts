@@ -0,0 +1,118 @@
+/**
+ * useAreaGeneration.ts
+ *
+ * Generate tool for existing grid maps: fills a cell rectangle with a stocked
+ * dungeon section whose corridors join the floor and doors on its border.
+ * Cells, objects and walls land in one update with a single history entry,
+ * so one undo removes the whole section.
+ */
+
+import type { MapData } from '#types/core/map.types';
+import type { Cell } from '#types/core/cell.types';
+import type { Edge } from '#types/core/rendering.types';
+import type { MapObject } from '#types/objects/object.types';
+import type { ExtendedGeometry } from '#types/contexts/context.types';
+import type { MapDataUpdater } from '#types/hooks/mapData.types';
+import type { LayerHistorySnapshot } from '#types/hooks/layerHistory.types';
+
+import { isGridCell } from '#types/core/cell.types';
+import { useCallback } from 'preact/hooks';
+import { Notice } from 'obsidian';
+import { getActiveLayer, updateActiveLayer } from '../../persistence/layerAccessor';
+import { buildLayerHistorySnapshot } from '../state/useLayerHistory';
+import { mergeEdges } from '../../drawing/edgeOperations';
+import { areaFromCorners, generateDungeonInArea } from '../../generation/areaGenerator';
+import { resolveDungeonStyleColors } from '../../generation/dungeonStyleColors';
+import { stockDungeon } from '../../generation/objectPlacer';
+import { generateSeed } from '../../generation/seededRandom';
+
+interface UseAreaGenerationOptions {
+  mapData: MapData | null;
+  geometry: ExtendedGeometry | null;
+  updateMapData: MapDataUpdater;
+  addToHistory: (state: LayerHistorySnapshot) => void;
+  isApplyingHistory: () => boolean;
+}
+
+/**
+ * @returns Handler taking the two corner cells of the rectangle
+ */
+function useAreaGeneration({
+  mapData, geometry, updateMapData, addToHistory, isApplyingHistory
+}: UseAreaGenerationOptions): (x1: number, y1: number, x2: number, y2: number) => void {
+  return useCallback((x1: number, y1: number, x2: number, y2: number): void => {
+    if (mapData == null || geometry?.type !== 'grid' || isApplyingHistory()) return;
+
+    // A map generated earlier lends its style, colors and density; any other
+    // map gets the classic style with the configured colors
+    const configOverrides = mapData.generationSettings?.configOverrides ?? {};
+    const { constraints: _constraints, ...recipe } = configOverrides;
+    const styleColors = resolveDungeonStyleColors(recipe.style);
+    const overrides = {
+      floorColor: styleColors.floor,
+      wallColor: styleColors.wall,
+      waterColor: styleColors.water,
+      ...recipe,
+      seed: generateSeed()
+    };
+
+    const layer = getActiveLayer(mapData);
+    const area = areaFromCorners(x1, y1, x2, y2);
+    const existing = { cells: layer.cells.filter(isGridCell), edges: layer.edges, objects: layer.objects };
+    const result = generateDungeonInArea(area, existing, null, undefined, overrides);
+    if (result == null) {
+      new Notice('No room fits in that area. Select a larger or emptier area.');
+      return;
+    }
+
+    const { metadata } = result;
+    const isolated = metadata.openings.length === 0;
+    const occupied = [
+      ...metadata.doorPositions,
+      ...result.objects.map(obj => obj.position),
+      ...layer.objects.map(obj => ({ x: obj.position.x, y: obj.position.y }))
+    ];
+    const stockResult = stockDungeon(
+      metadata.rooms,
+      metadata.corridorResult,
+      occupied,
+      metadata.style,
+      {
+        objectDensity: recipe.objectDensity ?? 1.0,
+        monsterWeight: recipe.monsterWeight,
+        emptyWeight: recipe.emptyWeight,
+        featureWeight: recipe.featureWeight,
+        trapWeight: recipe.trapWeight,
+        useTemplates: recipe.useTemplates,
+        styleDefinition: recipe.styleDefinition,
+        stockingTables: recipe.stockingTables,
+        level: recipe.dungeonLevel,
+        seed: metadata.seed
+      },
+      {
+        // A section entered from the map has no entrance room to keep clear
+        entryRoomId: isolated ? metadata.entryRoomId : undefined,
+        exitRoomId: isolated ? metadata.exitRoomId : undefined,
+        waterRoomIds: metadata.waterRoomIds
+      }
+    );
+    const newObjects = [...result.objects, ...stockResult.objects] as MapObject[];
+
+    updateMapData((current: MapData) => {
+      if (current == null) return current;
+      const activeLayer = getActiveLayer(current);
+
+      // The section never paints over cells drawn since it was generated
+      const painted = new Set(activeLayer.cells.filter(isGridCell).map(cell => `${cell.x},${cell.y}`));
+      const cells = [...activeLayer.cells, ...(result.cells as Cell[]).filter(cell => isGridCell(cell) && !painted.has(`${cell.x},${cell.y}`))];
+      const objects = [...activeLayer.objects, ...newObjects];
+      const edges = mergeEdges(activeLayer.edges, result.edges as Edge[]);
+
+      addToHistory(buildLayerHistorySnapshot(activeLayer, current.name ?? '', { cells, objects, edges }, current.regions ?? [], current.outlines ?? [], current.shapeOverlays ?? [], activeLayer.fogOfWar, current.partyPins ?? [], current.savedRoutes ?? [], current.campaignClock ?? null));
+
+      return updateActiveLayer(current, { cells, objects, edges });
+    });
+  }, [mapData, geometry, updateMapData, addToHistory, isApplyingHistory]);
+}
+
+export { useAreaGeneration };
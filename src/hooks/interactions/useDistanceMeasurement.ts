@@ -6,7 +6,9 @@
  * cursor from the last waypoint (mouse) and is included in the running
  * total. Supports remove-last, clear-all, and per-segment terrain
  * assignment (new segments inherit the previous segment's terrain; the
- * first segment takes the caller-provided default).
+ * first segment takes the caller-provided default). When the caller can
+ * infer terrain from the map, every edit re-infers the segments not picked
+ * by hand.
  *
  * The committed route is reported to the caller via onRouteChange so it can
  * persist with the map (one current route per map); when the tool activates,
@@ -27,6 +29,7 @@ import type {
 
 import { useCallback, useEffect, useMemo, useRef, useState } from 'preact/hooks';
 import { formatDistance, formatEuclideanDistance, getEffectiveDistanceSettings } from '../../drawing/distanceOperations';
+import { applyInferredTerrains } from '../../travel/terrainInference';
 import {
   appendRouteWaypoint,
   computeEuclideanPathLength,
@@ -58,7 +61,9 @@ const useDistanceMeasurement = (
   persistedRoute?: MeasurementRoute,
   onRouteChange?: (route: MeasurementRoute) => void,
   /** Terrain the route's FIRST segment defaults to (TM-21); null = unassigned */
-  firstSegmentTerrainId: string | null = null
+  firstSegmentTerrainId: string | null = null,
+  /** Terrain under a segment from the map's terrain rules; null = none */
+  inferSegmentTerrain?: (from: MeasurementPoint, to: MeasurementPoint) => string | null
 ): UseDistanceMeasurementResult => {
   const [route, setRoute] = useState<MeasurementRoute>(EMPTY_ROUTE);
   const [previewTarget, setPreviewTarget] = useState<MeasurementPoint | null>(null);
@@ -96,9 +101,10 @@ const useDistanceMeasurement = (
 
   /** Commit a route change to local state and the persisted route */
   const commitRoute = useCallback((next: MeasurementRoute): void => {
-    setRoute(next);
-    onRouteChange?.(next);
-  }, [onRouteChange]);
+    const inferred = inferSegmentTerrain != null ? applyInferredTerrains(next, inferSegmentTerrain) : next;
+    setRoute(inferred);
+    onRouteChange?.(inferred);
+  }, [onRouteChange, inferSegmentTerrain]);
 
   /**
    * Handle click/tap - append a waypoint (same-cell repeat is a no-op)
@@ -146,6 +152,14 @@ const useDistanceMeasurement = (
     if (next !== route) commitRoute(next);
   }, [route, commitRoute]);
 
+  /**
+   * Replace the whole route, e.g. with a found fastest route
+   */
+  const replaceRoute = useCallback((next: MeasurementRoute): void => {
+    setPreviewTarget(null);
+    commitRoute(next);
+  }, [commitRoute]);
+
   /** Per-committed-segment distances in cells */
   const segmentDistances = useMemo((): number[] => {
     if (!geometry) return [];
@@ -223,7 +237,8 @@ const useDistanceMeasurement = (
     handleMeasureMove,
     removeLastWaypoint,
     clearMeasurement,
-    assignSegmentTerrain
+    assignSegmentTerrain,
+    replaceRoute
   };
 };
 
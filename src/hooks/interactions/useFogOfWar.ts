@@ -31,6 +31,7 @@ import type {
 
 import { useCallback, useMemo, useState } from 'preact/hooks';
 import { getActiveLayer, updateActiveLayer, initializeFogOfWar, fogAll, fogPaintedCells, revealAll, toggleFogVisibility, getFogState } from '../../persistence/layerAccessor';
+import { appendSessionLog } from '../../persistence/sessionLog';
 
 
 /**
@@ -139,7 +140,13 @@ function useFogOfWar({
     if (!activeLayer.fogOfWar) return;
 
     const updatedLayer = revealAll(activeLayer);
-    updateMapData(updateActiveLayer(mapData, { fogOfWar: updatedLayer.fogOfWar }));
+    const revealed = activeLayer.fogOfWar.foggedCells;
+    updateMapData(updateActiveLayer(mapData, {
+      fogOfWar: updatedLayer.fogOfWar,
+      ...(revealed.length > 0
+        ? { sessionLog: appendSessionLog(activeLayer.sessionLog, { kind: 'reveal', at: Date.now(), cells: revealed }) }
+        : {})
+    }));
   }, [mapData, updateMapData]);
 
   // Handle fog changes from FogOfWarLayer (for paint/erase/rectangle operations)
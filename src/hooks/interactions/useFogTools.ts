@@ -48,7 +48,8 @@ const useFogTools = (
   const {
     geometry,
     mapData,
-    screenToGrid
+    screenToGrid,
+    instanceId
   } = useMapState();
 
   // Fog tool state
@@ -122,8 +123,17 @@ const useFogTools = (
       if (updatedLayer.fogOfWar != null) {
         onFogChange(updatedLayer.fogOfWar);
       }
+
+      // Erasing a fogged cell goes in the session log as a GM reveal
+      const wasFogged = activeTool === 'erase'
+        && fogData.foggedCells.some(c => c.col === col && c.row === row);
+      if (wasFogged) {
+        activeDocument.dispatchEvent(new CustomEvent('windrose:session-log', {
+          detail: { entry: { kind: 'reveal', at: Date.now(), cells: [{ col, row }] }, instanceId: instanceId ?? undefined }
+        }));
+      }
     },
-    [mapData, activeTool, onFogChange, ensureFogInitialized]
+    [mapData, activeTool, onFogChange, ensureFogInitialized, instanceId]
   );
 
   /**
@@ -4,7 +4,9 @@
  * Party pin tool behavior. First press places the pin at the pressed cell;
  * with a pin present, pressing moves it there and dragging carries it live
  * so the range ring follows. Intermediate drag positions suppress history;
- * release commits the gesture as a single undo step.
+ * release commits the gesture as a single undo step and records it as one
+ * move on the pin's trail, dated by the map's campaign clock when it keeps
+ * one.
  */
 
 // Type-only imports
@@ -12,7 +14,13 @@ import type { PartyPin } from '#types/core/map.types';
 import type { Point } from '#types/core/geometry.types';
 
 import { useCallback, useRef } from 'preact/hooks';
-import { createPartyPin, getPartyPin, movePartyPin, upsertPartyPin } from '../../objects/partyPinOperations';
+import {
+  createPartyPin,
+  getPartyPin,
+  movePartyPin,
+  recordPartyPinMove,
+  upsertPartyPin
+} from '../../objects/partyPinOperations';
 
 type PartyPinsChangeHandler = (partyPins: PartyPin[], suppressHistory?: boolean) => void;
 
@@ -27,16 +35,21 @@ interface UsePartyPinInteractionResult {
 function usePartyPinInteraction(
   partyPins: PartyPin[] | undefined,
   onPartyPinsChange: PartyPinsChangeHandler,
-  onSelectedChange?: (selected: boolean) => void
+  onSelectedChange?: (selected: boolean) => void,
+  clockDate: string | null = null
 ): UsePartyPinInteractionResult {
-  // Latest pins without re-registering handlers each render
+  // Latest pins and clock reading without re-registering handlers each render
   const pinsRef = useRef<PartyPin[]>([]);
   pinsRef.current = partyPins ?? [];
+  const clockDateRef = useRef<string | null>(null);
+  clockDateRef.current = clockDate;
 
   const isDraggingRef = useRef(false);
   // Last dragged cell, committed on release. Kept in a ref because the
   // pins prop can lag one render behind the final suppressed move.
   const dragPositionRef = useRef<Point | null>(null);
+  // Where the gesture picked the pin up, for the trail's recorded move
+  const dragStartRef = useRef<Point | null>(null);
 
   const handlePartyPinPointerDown = useCallback((gridX: number, gridY: number): void => {
     const pins = pinsRef.current;
@@ -49,6 +62,7 @@ function usePartyPinInteraction(
 
     isDraggingRef.current = true;
     dragPositionRef.current = { x: gridX, y: gridY };
+    dragStartRef.current = { ...pin.position };
     onPartyPinsChange(movePartyPin(pins, pin.id, { x: gridX, y: gridY }), true);
   }, [onPartyPinsChange]);
 
@@ -64,6 +78,7 @@ function usePartyPinInteraction(
     }
     isDraggingRef.current = true;
     dragPositionRef.current = { x: gridX, y: gridY };
+    dragStartRef.current = { x: gridX, y: gridY };
     onSelectedChange?.(true);
     return true;
   }, [onSelectedChange]);
@@ -91,10 +106,14 @@ function usePartyPinInteraction(
     const pins = pinsRef.current;
     const pin = getPartyPin(pins);
     const finalPosition = dragPositionRef.current;
+    const startPosition = dragStartRef.current;
     dragPositionRef.current = null;
+    dragStartRef.current = null;
     if (!pin || !finalPosition) return;
 
-    onPartyPinsChange(movePartyPin(pins, pin.id, finalPosition), false);
+    onPartyPinsChange(startPosition
+      ? recordPartyPinMove(pins, pin.id, startPosition, finalPosition, Date.now(), clockDateRef.current)
+      : movePartyPin(pins, pin.id, finalPosition), false);
   }, [onPartyPinsChange]);
 
   const isPartyPinDragging = useCallback((): boolean => isDraggingRef.current, []);
@@ -1,10 +1,12 @@
 import { useEffect } from 'preact/hooks';
-import type { MapData, FoggedCell } from '#types/core/map.types';
+import type { MapData } from '#types/core/map.types';
 import type { ExtendedGeometry } from '#types/contexts/context.types';
 import type { MapObject } from '#types/objects/object.types';
 import type { MapDataUpdater } from '#types/hooks/mapData.types';
 import type { LayerHistorySnapshot } from '#types/hooks/layerHistory.types';
 import { getActiveLayer } from '../../persistence/layerAccessor';
+import { appendSessionLog } from '../../persistence/sessionLog';
+import { buildSightBlockers, filterVisibleFogCells, getPlayerSightOrigin } from '../../geometry/fog/fogVisibility';
 import type { PlayerFogClearDetail } from '../../core/windroseEvents';
 import { isForeignInstanceEvent } from '../../core/windroseEvents';
 
@@ -32,44 +34,28 @@ function usePlayerFogClear({
         if (activeLayer.fogOfWar?.enabled !== true || (activeLayer.fogOfWar?.foggedCells?.length ?? 0) === 0) return current;
 
         const obj = activeLayer.objects.find((o: MapObject) => o.id === objectId);
-        if (obj == null || obj.isPlayer !== true || obj.lightEnabled !== true || (obj.lightRadius ?? 0) === 0) return current;
+        if (obj == null) return current;
 
         const settings = current.settings?.overrides ?? {};
         const distancePerCell = (settings.distancePerCell as number | undefined) ?? 5;
-        const cellSize = geometry.cellSize;
-        const radiusInCells = (obj.lightRadius ?? 0) / distancePerCell;
-        const radiusInWorld = radiusInCells * cellSize;
+        const origin = getPlayerSightOrigin(obj, geometry, distancePerCell);
+        if (origin == null) return current;
 
-        let objWorldX: number, objWorldY: number;
-        if (obj.freeform === true && obj.worldPosition != null) {
-          objWorldX = obj.worldPosition.x;
-          objWorldY = obj.worldPosition.y;
-        } else {
-          const w = geometry.getCellCenter(obj.position.x, obj.position.y);
-          objWorldX = w.worldX;
-          objWorldY = w.worldY;
-        }
+        // Walls, wall paths and doors cut the light off
+        const blockers = buildSightBlockers(activeLayer, geometry);
+        const foggedCells = activeLayer.fogOfWar.foggedCells;
+        const remainingCells = filterVisibleFogCells(foggedCells, origin, origin.radius, blockers, geometry);
 
-        const clearRadius = radiusInWorld + cellSize * 0.5;
-        const radiusSq = clearRadius * clearRadius;
-        const remainingCells = activeLayer.fogOfWar.foggedCells.filter((fc: FoggedCell) => {
-          let cellWorldX: number, cellWorldY: number;
-          if (geometry.offsetToWorld != null) {
-            const w = geometry.offsetToWorld(fc.col, fc.row);
-            cellWorldX = w.worldX;
-            cellWorldY = w.worldY;
-          } else {
-            cellWorldX = (fc.col + 0.5) * cellSize;
-            cellWorldY = (fc.row + 0.5) * cellSize;
-          }
-          const dx = cellWorldX - objWorldX;
-          const dy = cellWorldY - objWorldY;
-          return dx * dx + dy * dy > radiusSq;
-        });
+        if (remainingCells.length >= foggedCells.length) return current;
 
-        if (remainingCells.length >= activeLayer.fogOfWar.foggedCells.length) return current;
+        // What the token just uncovered is remembered once it's out of sight
+        const remaining = new Set(remainingCells.map(c => `${c.col},${c.row}`));
+        const explored = activeLayer.fogOfWar.exploredCells ?? [];
+        const exploredKeys = new Set(explored.map(c => `${c.col},${c.row}`));
+        const revealed = foggedCells.filter(c => !remaining.has(`${c.col},${c.row}`));
+        const uncovered = revealed.filter(c => !exploredKeys.has(`${c.col},${c.row}`));
 
-        const newFog = { ...activeLayer.fogOfWar, foggedCells: remainingCells };
+        const newFog = { ...activeLayer.fogOfWar, foggedCells: remainingCells, exploredCells: [...explored, ...uncovered] };
 
         addToHistory({
           cells: activeLayer.cells,
@@ -87,7 +73,13 @@ function usePlayerFogClear({
 
         const layers = current.layers.map(l =>
           l.id === current.activeLayerId
-            ? { ...l, fogOfWar: newFog }
+            ? {
+              ...l,
+              fogOfWar: newFog,
+              sessionLog: appendSessionLog(l.sessionLog, {
+                kind: 'reveal', at: Date.now(), cells: revealed, objectId, label: obj.label
+              })
+            }
             : l
         );
         return { ...current, layers };
@@ -37,6 +37,7 @@ interface ObjectHandlers {
   onResize: (e?: Event) => void;
   onDelete: (e?: Event) => void;
   onPlayerToggle?: (e?: Event) => void;
+  onGmOnlyToggle?: (e?: Event) => void;
   onMeasureToggle?: (e?: Event) => void;
 }
 
@@ -44,6 +45,7 @@ interface TextHandlers {
   onEdit: (e?: Event) => void;
   onRotate: (e?: Event) => void;
   onCopyLink: (e?: Event) => void;
+  onGmOnlyToggle?: (e?: Event) => void;
   onDelete: (e?: Event) => void;
 }
 
@@ -56,9 +58,14 @@ interface MultiHandlers {
 interface ObjectActionOptions {
   isResizeMode?: boolean;
   isPlayer?: boolean;
+  isGmOnly?: boolean;
   isMeasuring?: boolean;
 }
 
+interface TextActionOptions {
+  isGmOnly?: boolean;
+}
+
 function buildObjectActions(
   item: Extract<SelectedItem, { type: 'object' }>,
   handlers: ObjectHandlers,
@@ -138,6 +145,11 @@ function buildObjectActions(
       icon: 'lucide-user', group: 'player', visible: true,
       invoke: handlers.onPlayerToggle ?? ((): void => {}), active: options?.isPlayer === true, iconOnly: true
     },
+    {
+      id: 'gmOnly', label: options?.isGmOnly === true ? 'Show to Players' : 'GM Only',
+      icon: 'lucide-eye-off', group: 'player', visible: handlers.onGmOnlyToggle != null,
+      invoke: handlers.onGmOnlyToggle ?? ((): void => {}), active: options?.isGmOnly === true, iconOnly: true
+    },
 
     // Danger group
     {
@@ -147,7 +159,7 @@ function buildObjectActions(
   ];
 }
 
-function buildTextActions(handlers: TextHandlers): SelectionAction[] {
+function buildTextActions(handlers: TextHandlers, options?: TextActionOptions): SelectionAction[] {
   return [
     {
       id: 'edit', label: 'Edit', icon: 'lucide-pencil',
@@ -161,6 +173,11 @@ function buildTextActions(handlers: TextHandlers): SelectionAction[] {
       id: 'copyLink', label: 'Copy Link', icon: 'lucide-link',
       group: 'links', visible: true, invoke: handlers.onCopyLink, iconOnly: true
     },
+    {
+      id: 'gmOnly', label: options?.isGmOnly === true ? 'Show to Players' : 'GM Only',
+      icon: 'lucide-eye-off', group: 'player', visible: handlers.onGmOnlyToggle != null,
+      invoke: handlers.onGmOnlyToggle ?? ((): void => {}), active: options?.isGmOnly === true, iconOnly: true
+    },
     {
       id: 'delete', label: 'Delete', icon: 'lucide-trash-2',
       group: 'danger', visible: true, invoke: handlers.onDelete
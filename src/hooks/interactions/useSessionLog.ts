@@ -0,0 +1,47 @@
+/**
+ * useSessionLog.ts
+ *
+ * Appends 'windrose:session-log' events to the active layer's session log.
+ * Tools that don't own the map data (the fog brushes, object dragging)
+ * announce what happened; this hook, mounted beside usePlayerFogClear, does
+ * the write. The log is not part of undo history: undoing a reveal doesn't
+ * unsay that it happened.
+ */
+
+import type { MapData } from '#types/core/map.types';
+import type { MapDataUpdater } from '#types/hooks/mapData.types';
+import type { SessionLogDetail } from '../../core/windroseEvents';
+
+import { useEffect } from 'preact/hooks';
+import { isForeignInstanceEvent } from '../../core/windroseEvents';
+import { appendLayerSessionLog } from '../../persistence/sessionLog';
+
+interface UseSessionLogOptions {
+  updateMapData: MapDataUpdater;
+  isApplyingHistory: () => boolean;
+  /** Per-mount instance id — gates the session-log event (fail-open). */
+  instanceId?: string;
+}
+
+function useSessionLog({ updateMapData, isApplyingHistory, instanceId }: UseSessionLogOptions): void {
+  useEffect(() => {
+    const handler = (e: CustomEvent<SessionLogDetail>): void => {
+      if (isForeignInstanceEvent(e.detail, instanceId)) return;
+      if (isApplyingHistory()) return;
+      const { entry } = e.detail;
+
+      updateMapData((current: MapData) => {
+        if (current == null) return current;
+        const layers = current.layers.map(l =>
+          l.id === current.activeLayerId ? appendLayerSessionLog(l, entry) : l
+        );
+        return { ...current, layers };
+      });
+    };
+
+    activeDocument.addEventListener('windrose:session-log', handler);
+    return () => activeDocument.removeEventListener('windrose:session-log', handler);
+  }, [updateMapData, isApplyingHistory, instanceId]);
+}
+
+export { useSessionLog };
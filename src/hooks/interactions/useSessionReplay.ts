@@ -0,0 +1,137 @@
+/**
+ * useSessionReplay.ts
+ *
+ * Session replay and recap export for the active layer's session log.
+ * While replaying, the hook hands back map data with the active layer
+ * rolled back to the chosen step (see getSessionReplayLayer); the real map
+ * data is never touched, so closing the replay simply shows it again.
+ * Playing advances one entry per REPLAY_STEP_MS.
+ */
+
+import type { App } from 'obsidian';
+import type { MapData } from '#types/core/map.types';
+import type { SessionLogEntry } from '#types/core/sessionLog.types';
+
+import { useCallback, useEffect, useMemo, useState } from 'preact/hooks';
+import { Notice } from 'obsidian';
+import { getActiveLayer } from '../../persistence/layerAccessor';
+import { getSessionReplayLayer } from '../../persistence/sessionLog';
+import {
+  buildSessionRecapNoteContent,
+  buildSessionRecapNotePath,
+  createSessionRecapNote
+} from '../../persistence/sessionRecapNoteOperations';
+
+/** Time each entry stays on screen while playing */
+const REPLAY_STEP_MS = 1200;
+
+const NO_ENTRIES: SessionLogEntry[] = [];
+
+interface UseSessionReplayOptions {
+  app: App;
+  mapData: MapData | null;
+  mapId: string;
+  /** Note hosting the map, for the recap's deeplinks; '' in full-pane views */
+  notePath: string;
+}
+
+interface UseSessionReplayResult {
+  /** The active layer's log, oldest first */
+  sessionLog: SessionLogEntry[];
+  /** Entries applied so far (0 = before the first); null when not replaying */
+  replayStep: number | null;
+  /** Map data to draw while replaying; null when not replaying */
+  replayMapData: MapData | null;
+  isReplayPlaying: boolean;
+  startReplay: () => void;
+  stopReplay: () => void;
+  setReplayStep: (step: number) => void;
+  toggleReplayPlaying: () => void;
+  exportSessionRecap: () => void;
+}
+
+function useSessionReplay({ app, mapData, mapId, notePath }: UseSessionReplayOptions): UseSessionReplayResult {
+  const [replayStep, setStep] = useState<number | null>(null);
+  const [isReplayPlaying, setIsReplayPlaying] = useState(false);
+
+  const activeLayer = mapData ? getActiveLayer(mapData) : null;
+  const sessionLog = activeLayer?.sessionLog ?? NO_ENTRIES;
+  const logLength = sessionLog.length;
+
+  // Another layer, or a log that shrank under us, can leave the step past the end
+  const step = replayStep == null ? null : Math.min(replayStep, logLength);
+
+  const replayMapData = useMemo((): MapData | null => {
+    if (step == null || mapData == null || activeLayer == null) return null;
+    const replayLayer = getSessionReplayLayer(activeLayer, step);
+    return {
+      ...mapData,
+      layers: mapData.layers.map(l => (l.id === activeLayer.id ? replayLayer : l))
+    };
+  }, [step, mapData, activeLayer]);
+
+  const startReplay = useCallback((): void => {
+    if (logLength === 0) return;
+    setStep(0);
+    setIsReplayPlaying(false);
+  }, [logLength]);
+
+  const stopReplay = useCallback((): void => {
+    setStep(null);
+    setIsReplayPlaying(false);
+  }, []);
+
+  const setReplayStep = useCallback((next: number): void => {
+    setStep(Math.max(0, Math.min(next, logLength)));
+  }, [logLength]);
+
+  const toggleReplayPlaying = useCallback((): void => {
+    // Playing from the end starts over
+    if (!isReplayPlaying && step === logLength) setStep(0);
+    setIsReplayPlaying(prev => !prev);
+  }, [isReplayPlaying, step, logLength]);
+
+  useEffect(() => {
+    if (!isReplayPlaying || step == null) return undefined;
+    if (step >= logLength) {
+      setIsReplayPlaying(false);
+      return undefined;
+    }
+    const timer = window.setTimeout(() => setStep(step + 1), REPLAY_STEP_MS);
+    return () => window.clearTimeout(timer);
+  }, [isReplayPlaying, step, logLength]);
+
+  const exportSessionRecap = useCallback((): void => {
+    if (mapData == null || activeLayer == null || logLength === 0) return;
+    const mapName = mapData.name ?? '';
+    const content = buildSessionRecapNoteContent(sessionLog, {
+      mapId,
+      mapName,
+      mapType: mapData.mapType,
+      mapNotePath: notePath,
+      layerId: activeLayer.id
+    });
+    const path = buildSessionRecapNotePath(notePath, mapName, sessionLog[logLength - 1].at);
+    void createSessionRecapNote(app, path, content).then(written => {
+      new Notice(`Session recap written to ${written}`);
+    }).catch((error: unknown) => {
+      console.error('[Windrose] Failed to write session recap note:', error);
+      new Notice('Failed to write the session recap note');
+    });
+  }, [app, mapData, activeLayer, sessionLog, logLength, mapId, notePath]);
+
+  return {
+    sessionLog,
+    replayStep: step,
+    replayMapData,
+    isReplayPlaying,
+    startReplay,
+    stopReplay,
+    setReplayStep,
+    toggleReplayPlaying,
+    exportSessionRecap
+  };
+}
+
+export { useSessionReplay };
+export type { UseSessionReplayResult };
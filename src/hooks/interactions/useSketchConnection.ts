@@ -0,0 +1,108 @@
+/**
+ * useSketchConnection.ts
+ *
+ * Connect Rooms tool for grid maps: treats the painted cell clusters inside a
+ * cell rectangle as hand-drawn rooms and adds the corridors, doors and walls
+ * that join them. Corridors take the sketch's floor color. Everything lands
+ * in one update with a single history entry, so one undo removes it.
+ */
+
+import type { MapData } from '#types/core/map.types';
+import type { Cell } from '#types/core/cell.types';
+import type { Edge } from '#types/core/rendering.types';
+import type { MapObject } from '#types/objects/object.types';
+import type { ExtendedGeometry } from '#types/contexts/context.types';
+import type { MapDataUpdater } from '#types/hooks/mapData.types';
+import type { LayerHistorySnapshot } from '#types/hooks/layerHistory.types';
+
+import { isGridCell } from '#types/core/cell.types';
+import { useCallback } from 'preact/hooks';
+import { Notice } from 'obsidian';
+import { getActiveLayer, updateActiveLayer } from '../../persistence/layerAccessor';
+import { buildLayerHistorySnapshot } from '../state/useLayerHistory';
+import { mergeEdges } from '../../drawing/edgeOperations';
+import { areaFromCorners } from '../../generation/areaGenerator';
+import { generateDungeonFromSketch } from '../../generation/sketchGenerator';
+import { resolveDungeonStyleColors } from '../../generation/dungeonStyleColors';
+import { generateSeed } from '../../generation/seededRandom';
+
+interface UseSketchConnectionOptions {
+  mapData: MapData | null;
+  geometry: ExtendedGeometry | null;
+  updateMapData: MapDataUpdater;
+  addToHistory: (state: LayerHistorySnapshot) => void;
+  isApplyingHistory: () => boolean;
+}
+
+/**
+ * Most used color among cells, or null when there are none.
+ */
+function dominantColor(cells: Array<{ color: string }>): string | null {
+  const counts = new Map<string, number>();
+  for (const cell of cells) counts.set(cell.color, (counts.get(cell.color) ?? 0) + 1);
+  let best: string | null = null;
+  let bestCount = 0;
+  for (const [color, count] of counts) {
+    if (count > bestCount) {
+      best = color;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * @returns Handler taking the two corner cells of the rectangle
+ */
+function useSketchConnection({
+  mapData, geometry, updateMapData, addToHistory, isApplyingHistory
+}: UseSketchConnectionOptions): (x1: number, y1: number, x2: number, y2: number) => void {
+  return useCallback((x1: number, y1: number, x2: number, y2: number): void => {
+    if (mapData == null || geometry?.type !== 'grid' || isApplyingHistory()) return;
+
+    const layer = getActiveLayer(mapData);
+    const area = areaFromCorners(x1, y1, x2, y2);
+    const gridCells = layer.cells.filter(isGridCell);
+
+    // Corridor and door rolls follow the map's generation recipe when it has
+    // one; walls use its style colors and corridors the sketch's own floor
+    const configOverrides = mapData.generationSettings?.configOverrides ?? {};
+    const { constraints: _constraints, ...recipe } = configOverrides;
+    const styleColors = resolveDungeonStyleColors(recipe.style);
+    const sketchColor = dominantColor(gridCells.filter(cell =>
+      cell.x >= area.x && cell.x < area.x + area.width && cell.y >= area.y && cell.y < area.y + area.height
+    ));
+    const overrides = {
+      wallColor: styleColors.wall,
+      ...recipe,
+      floorColor: sketchColor ?? recipe.floorColor ?? styleColors.floor,
+      seed: generateSeed()
+    };
+
+    const result = generateDungeonFromSketch(area, { cells: gridCells, edges: layer.edges }, undefined, overrides);
+    if (result == null) {
+      new Notice('Draw at least two rooms inside the area to connect them.');
+      return;
+    }
+
+    const removed = new Set(result.removedEdges.map(edge => `${edge.x},${edge.y},${edge.side}`));
+
+    updateMapData((current: MapData) => {
+      if (current == null) return current;
+      const activeLayer = getActiveLayer(current);
+
+      // Corridors never paint over cells drawn since the sketch was read
+      const painted = new Set(activeLayer.cells.filter(isGridCell).map(cell => `${cell.x},${cell.y}`));
+      const cells = [...activeLayer.cells, ...(result.cells as Cell[]).filter(cell => isGridCell(cell) && !painted.has(`${cell.x},${cell.y}`))];
+      const objects = [...activeLayer.objects, ...(result.objects as MapObject[])];
+      const kept = activeLayer.edges.filter(edge => !removed.has(`${edge.x},${edge.y},${edge.side}`));
+      const edges = mergeEdges(kept, result.edges as Edge[]);
+
+      addToHistory(buildLayerHistorySnapshot(activeLayer, current.name ?? '', { cells, objects, edges }, current.regions ?? [], current.outlines ?? [], current.shapeOverlays ?? [], activeLayer.fogOfWar, current.partyPins ?? [], current.savedRoutes ?? [], current.campaignClock ?? null));
+
+      return updateActiveLayer(current, { cells, objects, edges });
+    });
+  }, [mapData, geometry, updateMapData, addToHistory, isApplyingHistory]);
+}
+
+export { useSketchConnection };
@@ -203,6 +203,31 @@ const useTextLabelInteraction = (
     });
   }, [selectedItem, mapData, updateTextLabel, onTextLabelsChange, setSelectedItem]);
 
+  /**
+   * Toggle whether the selected label is hidden from the player view
+   */
+  const handleTextGmOnlyToggle = useCallback((): void => {
+    if (!selectedItem || selectedItem.type !== 'text' || !selectedItem.data || !mapData) {
+      return;
+    }
+
+    const gmOnly = selectedItem.data.gmOnly !== true;
+    const updatedLabels = updateTextLabel(
+      getActiveLayer(mapData).textLabels,
+      selectedItem.id,
+      { gmOnly }
+    );
+    onTextLabelsChange(updatedLabels);
+
+    setSelectedItem({
+      ...selectedItem,
+      data: {
+        ...selectedItem.data,
+        gmOnly
+      }
+    });
+  }, [selectedItem, mapData, updateTextLabel, onTextLabelsChange, setSelectedItem]);
+
   /**
    * Handle text label deletion
    */
@@ -479,6 +504,7 @@ const useTextLabelInteraction = (
     stopTextDragging,
     handleTextRotation,
     handleTextDeletion,
+    handleTextGmOnlyToggle,
     handleTextKeyDown,
     handleTextSubmit,
     handleTextCancel,
@@ -454,15 +454,33 @@ function useObjectDragSelect(
         if (fogObjectId != null && fogObjectId !== '') {
           const initialObj = dragInitialStateRef.current.find((o: MapObject) => o.id === fogObjectId);
           const currentObj = getActiveLayer(mapData).objects?.find((o: MapObject) => o.id === fogObjectId);
-          if (initialObj && currentObj && currentObj.isPlayer === true && currentObj.lightEnabled === true && currentObj.lightRadius != null) {
+          if (initialObj && currentObj && currentObj.isPlayer === true) {
             const moved = initialObj.position.x !== currentObj.position.x
               || initialObj.position.y !== currentObj.position.y
               || initialObj.worldPosition?.x !== currentObj.worldPosition?.x
               || initialObj.worldPosition?.y !== currentObj.worldPosition?.y;
             if (moved) {
-              activeDocument.dispatchEvent(new CustomEvent('windrose:player-fog-clear', {
-                detail: { objectId: fogObjectId, instanceId: instanceId ?? undefined }
+              // Logged before the fog clear so replay shows the move, then what it revealed
+              activeDocument.dispatchEvent(new CustomEvent('windrose:session-log', {
+                detail: {
+                  entry: {
+                    kind: 'move',
+                    at: Date.now(),
+                    objectId: fogObjectId,
+                    label: currentObj.label,
+                    from: initialObj.position,
+                    to: currentObj.position,
+                    fromWorld: initialObj.worldPosition,
+                    toWorld: currentObj.worldPosition
+                  },
+                  instanceId: instanceId ?? undefined
+                }
               }));
+              if (currentObj.lightEnabled === true && currentObj.lightRadius != null) {
+                activeDocument.dispatchEvent(new CustomEvent('windrose:player-fog-clear', {
+                  detail: { objectId: fogObjectId, instanceId: instanceId ?? undefined }
+                }));
+              }
             }
           }
         }
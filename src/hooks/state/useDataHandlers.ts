@@ -10,7 +10,7 @@
  */
 
 // Type-only imports
-import type { MapLayer, StoredViewState, TextLabelSettings, Region, Outline, ShapeOverlay, FogOfWar, PartyPin, SavedRoute, MeasurementRoute, MapTravelSettings } from '#types/core/map.types';
+import type { StoredViewState, TextLabelSettings, Region, Outline, ShapeOverlay, FoggedCell, PartyPin, SavedRoute, MeasurementRoute, MapTravelSettings, GenerationSettings, CampaignClock } from '#types/core/map.types';
 import type { CustomColor } from '#types/core/common.types';
 import type { Cell } from '#types/core/cell.types';
 import type { Curve } from '#types/core/curve.types';
@@ -26,10 +26,11 @@ import type {
   LayerDataHandlers,
   MapDataHandlers,
 } from '#types/hooks/dataHandlers.types';
-import type { LayerHistorySnapshot } from '#types/hooks/layerHistory.types';
 
 import { useCallback, useMemo } from 'preact/hooks';
-import { getActiveLayer, updateActiveLayer, promoteToStrata, getActiveBoardLayers, setActiveLayer } from '../../persistence/layerAccessor';
+import { getActiveLayer, updateActiveLayer, promoteToStrata, getActiveBoardLayers, setActiveLayer, revealCells } from '../../persistence/layerAccessor';
+import { appendSessionLog } from '../../persistence/sessionLog';
+import { buildLayerHistorySnapshot } from './useLayerHistory';
 
 
 /**
@@ -42,38 +43,6 @@ function useDataHandlers({
   isApplyingHistory
 }: UseDataHandlersOptions): UseDataHandlersResult {
 
-  // =========================================================================
-  // Helper: Build history state from layer + name
-  // =========================================================================
-
-  const buildLayerHistorySnapshot = useCallback((
-    layer: MapLayer,
-    name: string,
-    overrides: Partial<LayerHistorySnapshot> = {},
-    regions: Region[] = [],
-    outlines: Outline[] = [],
-    shapeOverlays: ShapeOverlay[] = [],
-    fogOfWar: FogOfWar | null = null,
-    partyPins: PartyPin[] = [],
-    savedRoutes: SavedRoute[] = []
-  ): LayerHistorySnapshot => ({
-    cells: overrides.cells ?? layer.cells ?? [],
-    curves: overrides.curves ?? layer.curves ?? [],
-    name: name,
-    objects: overrides.objects ?? layer.objects ?? [],
-    textLabels: overrides.textLabels ?? layer.textLabels ?? [],
-    edges: overrides.edges ?? layer.edges ?? [],
-    tiles: overrides.tiles ?? layer.tiles ?? [],
-    wallPaths: overrides.wallPaths ?? layer.wallPaths ?? [],
-    terrainStrokes: overrides.terrainStrokes ?? layer.terrainStrokes ?? [],
-    regions: overrides.regions ?? regions,
-    outlines: overrides.outlines ?? outlines,
-    shapeOverlays: overrides.shapeOverlays ?? shapeOverlays,
-    fogOfWar: overrides.fogOfWar ?? fogOfWar,
-    partyPins: overrides.partyPins ?? partyPins,
-    savedRoutes: overrides.savedRoutes ?? savedRoutes
-  }), []);
-
   // =========================================================================
   // Factory: Create layer data change handler
   // =========================================================================
@@ -91,13 +60,13 @@ function useDataHandlers({
 
         if (!suppressHistory) {
           const activeLayer = getActiveLayer(currentMapData);
-          addToHistory(buildLayerHistorySnapshot(activeLayer, currentMapData.name ?? '', { [field]: newValue }, currentMapData.regions ?? [], currentMapData.outlines ?? [], currentMapData.shapeOverlays ?? [], activeLayer.fogOfWar, currentMapData.partyPins ?? [], currentMapData.savedRoutes ?? []));
+          addToHistory(buildLayerHistorySnapshot(activeLayer, currentMapData.name ?? '', { [field]: newValue }, currentMapData.regions ?? [], currentMapData.outlines ?? [], currentMapData.shapeOverlays ?? [], activeLayer.fogOfWar, currentMapData.partyPins ?? [], currentMapData.savedRoutes ?? [], currentMapData.campaignClock ?? null));
         }
 
         return newMapData;
       });
     };
-  }, [updateMapData, addToHistory, isApplyingHistory, buildLayerHistorySnapshot]);
+  }, [updateMapData, addToHistory, isApplyingHistory]);
 
   // =========================================================================
   // Layer Data Handlers (using factory)
@@ -141,7 +110,7 @@ function useDataHandlers({
 
         const activeLayer = getActiveLayer(currentMapData);
         if (!suppressHistory) {
-          addToHistory(buildLayerHistorySnapshot(activeLayer, currentMapData.name ?? '', { tiles: newValue }, currentMapData.regions ?? [], currentMapData.outlines ?? [], currentMapData.shapeOverlays ?? [], activeLayer.fogOfWar, currentMapData.partyPins ?? [], currentMapData.savedRoutes ?? []));
+          addToHistory(buildLayerHistorySnapshot(activeLayer, currentMapData.name ?? '', { tiles: newValue }, currentMapData.regions ?? [], currentMapData.outlines ?? [], currentMapData.shapeOverlays ?? [], activeLayer.fogOfWar, currentMapData.partyPins ?? [], currentMapData.savedRoutes ?? [], currentMapData.campaignClock ?? null));
         }
 
         let nextMapData = updateActiveLayer(currentMapData, { tiles: newValue });
@@ -164,7 +133,7 @@ function useDataHandlers({
         return nextMapData;
       });
     },
-    [updateMapData, addToHistory, isApplyingHistory, buildLayerHistorySnapshot]
+    [updateMapData, addToHistory, isApplyingHistory]
   );
 
   const handleWallPathsChange = useMemo(
@@ -189,11 +158,11 @@ function useDataHandlers({
       if (currentMapData == null) return currentMapData;
 
       const activeLayer = getActiveLayer(currentMapData);
-      addToHistory(buildLayerHistorySnapshot(activeLayer, newName, {}, currentMapData.regions ?? [], currentMapData.outlines ?? [], currentMapData.shapeOverlays ?? [], activeLayer.fogOfWar, currentMapData.partyPins ?? [], currentMapData.savedRoutes ?? []));
+      addToHistory(buildLayerHistorySnapshot(activeLayer, newName, {}, currentMapData.regions ?? [], currentMapData.outlines ?? [], currentMapData.shapeOverlays ?? [], activeLayer.fogOfWar, currentMapData.partyPins ?? [], currentMapData.savedRoutes ?? [], currentMapData.campaignClock ?? null));
 
       return { ...currentMapData, name: newName };
     });
-  }, [updateMapData, addToHistory, isApplyingHistory, buildLayerHistorySnapshot]);
+  }, [updateMapData, addToHistory, isApplyingHistory]);
 
   // Handle adding a custom color
   const handleAddCustomColor = useCallback((newColor: HexColor): void => {
@@ -298,11 +267,11 @@ function useDataHandlers({
       if (currentMapData == null) return currentMapData;
 
       const activeLayer = getActiveLayer(currentMapData);
-      addToHistory(buildLayerHistorySnapshot(activeLayer, currentMapData.name ?? '', {}, regions, currentMapData.outlines ?? [], currentMapData.shapeOverlays ?? [], activeLayer.fogOfWar, currentMapData.partyPins ?? [], currentMapData.savedRoutes ?? []));
+      addToHistory(buildLayerHistorySnapshot(activeLayer, currentMapData.name ?? '', {}, regions, currentMapData.outlines ?? [], currentMapData.shapeOverlays ?? [], activeLayer.fogOfWar, currentMapData.partyPins ?? [], currentMapData.savedRoutes ?? [], currentMapData.campaignClock ?? null));
 
       return { ...currentMapData, regions };
     });
-  }, [updateMapData, addToHistory, isApplyingHistory, buildLayerHistorySnapshot]);
+  }, [updateMapData, addToHistory, isApplyingHistory]);
 
   // Handle outlines change (hex maps only) - tracked in history for undo/redo
   const handleOutlinesChange = useCallback((outlines: Outline[]): void => {
@@ -312,11 +281,11 @@ function useDataHandlers({
       if (currentMapData == null) return currentMapData;
 
       const activeLayer = getActiveLayer(currentMapData);
-      addToHistory(buildLayerHistorySnapshot(activeLayer, currentMapData.name ?? '', {}, currentMapData.regions ?? [], outlines, currentMapData.shapeOverlays ?? [], activeLayer.fogOfWar, currentMapData.partyPins ?? [], currentMapData.savedRoutes ?? []));
+      addToHistory(buildLayerHistorySnapshot(activeLayer, currentMapData.name ?? '', {}, currentMapData.regions ?? [], outlines, currentMapData.shapeOverlays ?? [], activeLayer.fogOfWar, currentMapData.partyPins ?? [], currentMapData.savedRoutes ?? [], currentMapData.campaignClock ?? null));
 
       return { ...currentMapData, outlines };
     });
-  }, [updateMapData, addToHistory, isApplyingHistory, buildLayerHistorySnapshot]);
+  }, [updateMapData, addToHistory, isApplyingHistory]);
 
   // Handle shape overlays change - tracked in history for undo/redo
   const handleShapeOverlaysChange = useCallback((shapeOverlays: ShapeOverlay[]): void => {
@@ -326,11 +295,11 @@ function useDataHandlers({
       if (currentMapData == null) return currentMapData;
 
       const activeLayer = getActiveLayer(currentMapData);
-      addToHistory(buildLayerHistorySnapshot(activeLayer, currentMapData.name ?? '', {}, currentMapData.regions ?? [], currentMapData.outlines ?? [], shapeOverlays, activeLayer.fogOfWar, currentMapData.partyPins ?? [], currentMapData.savedRoutes ?? []));
+      addToHistory(buildLayerHistorySnapshot(activeLayer, currentMapData.name ?? '', {}, currentMapData.regions ?? [], currentMapData.outlines ?? [], shapeOverlays, activeLayer.fogOfWar, currentMapData.partyPins ?? [], currentMapData.savedRoutes ?? [], currentMapData.campaignClock ?? null));
 
       return { ...currentMapData, shapeOverlays };
     });
-  }, [updateMapData, addToHistory, isApplyingHistory, buildLayerHistorySnapshot]);
+  }, [updateMapData, addToHistory, isApplyingHistory]);
 
   // Handle party pins change - tracked in history; suppressHistory skips the
   // snapshot during live drag so the whole drag undoes as one step
@@ -342,12 +311,12 @@ function useDataHandlers({
 
       if (!suppressHistory) {
         const activeLayer = getActiveLayer(currentMapData);
-        addToHistory(buildLayerHistorySnapshot(activeLayer, currentMapData.name ?? '', {}, currentMapData.regions ?? [], currentMapData.outlines ?? [], currentMapData.shapeOverlays ?? [], activeLayer.fogOfWar, partyPins, currentMapData.savedRoutes ?? []));
+        addToHistory(buildLayerHistorySnapshot(activeLayer, currentMapData.name ?? '', {}, currentMapData.regions ?? [], currentMapData.outlines ?? [], currentMapData.shapeOverlays ?? [], activeLayer.fogOfWar, partyPins, currentMapData.savedRoutes ?? [], currentMapData.campaignClock ?? null));
       }
 
       return { ...currentMapData, partyPins };
     });
-  }, [updateMapData, addToHistory, isApplyingHistory, buildLayerHistorySnapshot]);
+  }, [updateMapData, addToHistory, isApplyingHistory]);
 
   // Handle the in-progress measurement route change - NOT tracked in history.
   // This is measure-tool working state that persists with the map so a
@@ -367,6 +336,14 @@ function useDataHandlers({
     });
   }, [updateMapData]);
 
+  // Handle generation settings change (re-roll records the seed it used)
+  const handleGenerationSettingsChange = useCallback((generationSettings: GenerationSettings): void => {
+    updateMapData((currentMapData) => {
+      if (currentMapData == null) return currentMapData;
+      return { ...currentMapData, generationSettings };
+    });
+  }, [updateMapData]);
+
   // Handle saved routes change - tracked in history so save-as-route,
   // edits, and deletions all undo/redo like other map elements
   const handleSavedRoutesChange = useCallback((savedRoutes: SavedRoute[]): void => {
@@ -376,11 +353,49 @@ function useDataHandlers({
       if (currentMapData == null) return currentMapData;
 
       const activeLayer = getActiveLayer(currentMapData);
-      addToHistory(buildLayerHistorySnapshot(activeLayer, currentMapData.name ?? '', {}, currentMapData.regions ?? [], currentMapData.outlines ?? [], currentMapData.shapeOverlays ?? [], activeLayer.fogOfWar, currentMapData.partyPins ?? [], savedRoutes));
+      addToHistory(buildLayerHistorySnapshot(activeLayer, currentMapData.name ?? '', {}, currentMapData.regions ?? [], currentMapData.outlines ?? [], currentMapData.shapeOverlays ?? [], activeLayer.fogOfWar, currentMapData.partyPins ?? [], savedRoutes, currentMapData.campaignClock ?? null));
 
       return { ...currentMapData, savedRoutes };
     });
-  }, [updateMapData, addToHistory, isApplyingHistory, buildLayerHistorySnapshot]);
+  }, [updateMapData, addToHistory, isApplyingHistory]);
+
+  // Handle the campaign clock being set by hand - tracked in history, since
+  // undo puts back the clock snapshots hold
+  const handleCampaignClockChange = useCallback((campaignClock: CampaignClock): void => {
+    if (isApplyingHistory()) return;
+
+    updateMapData((currentMapData) => {
+      if (currentMapData == null) return currentMapData;
+
+      const activeLayer = getActiveLayer(currentMapData);
+      addToHistory(buildLayerHistorySnapshot(activeLayer, currentMapData.name ?? '', {}, currentMapData.regions ?? [], currentMapData.outlines ?? [], currentMapData.shapeOverlays ?? [], activeLayer.fogOfWar, currentMapData.partyPins ?? [], currentMapData.savedRoutes ?? [], campaignClock));
+
+      return { ...currentMapData, campaignClock };
+    });
+  }, [updateMapData, addToHistory, isApplyingHistory]);
+
+  // Handle a route being marked (or unmarked) travelled. The routes, the fog
+  // lifted along the way and the clock they moved are one history entry
+  const handleRouteTravel = useCallback((savedRoutes: SavedRoute[], campaignClock: CampaignClock, revealed: FoggedCell[] = []): void => {
+    if (isApplyingHistory()) return;
+
+    updateMapData((currentMapData) => {
+      if (currentMapData == null) return currentMapData;
+
+      const activeLayer = getActiveLayer(currentMapData);
+      const foggedKeys = new Set((activeLayer.fogOfWar?.foggedCells ?? []).map(c => `${c.col},${c.row}`));
+      const lifted = revealed.filter(c => foggedKeys.has(`${c.col},${c.row}`));
+      const revealedLayer = revealCells(activeLayer, lifted);
+      addToHistory(buildLayerHistorySnapshot(revealedLayer, currentMapData.name ?? '', {}, currentMapData.regions ?? [], currentMapData.outlines ?? [], currentMapData.shapeOverlays ?? [], revealedLayer.fogOfWar, currentMapData.partyPins ?? [], savedRoutes, campaignClock));
+
+      const next = { ...currentMapData, savedRoutes, campaignClock };
+      if (lifted.length === 0) return next;
+      return updateActiveLayer(next, {
+        fogOfWar: revealedLayer.fogOfWar,
+        sessionLog: appendSessionLog(activeLayer.sessionLog, { kind: 'reveal', at: Date.now(), cells: lifted })
+      });
+    });
+  }, [updateMapData, addToHistory, isApplyingHistory]);
 
   // =========================================================================
   // Return Value
@@ -412,7 +427,10 @@ function useDataHandlers({
     handlePartyPinsChange,
     handleMeasurementRouteChange,
     handleSavedRoutesChange,
-    handleTravelSettingsChange
+    handleTravelSettingsChange,
+    handleCampaignClockChange,
+    handleRouteTravel,
+    handleGenerationSettingsChange
   };
 
   return {
@@ -443,7 +461,10 @@ function useDataHandlers({
     handlePartyPinsChange,
     handleMeasurementRouteChange,
     handleSavedRoutesChange,
-    handleTravelSettingsChange
+    handleTravelSettingsChange,
+    handleCampaignClockChange,
+    handleRouteTravel,
+    handleGenerationSettingsChange
   };
 }
 
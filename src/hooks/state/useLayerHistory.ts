@@ -13,7 +13,7 @@
  */
 
 // Type-only imports
-import type { MapData, MapLayer, LayerId, Region, Outline, ShapeOverlay, FogOfWar, PartyPin, SavedRoute } from '#types/core/map.types';
+import type { MapData, MapLayer, LayerId, Region, Outline, ShapeOverlay, FogOfWar, PartyPin, SavedRoute, CampaignClock } from '#types/core/map.types';
 import type {
   LayerHistorySnapshot,
   LayerHistoryCache,
@@ -27,6 +27,66 @@ import { useCallback, useEffect, useRef } from 'preact/hooks';
 import { useHistory } from './useHistory';
 import { getActiveLayer, getLayerById, updateActiveLayer, updateLayer, addLayer, cloneLayer, removeLayer, reorderLayers, setActiveLayer } from '../../persistence/layerAccessor';
 
+/**
+ * History snapshot of a layer and the map-level data tracked with it.
+ * `overrides` replaces the layer's own data with what a change is about to
+ * write. Every history call site builds its snapshot here, so a field added
+ * to the history is recorded everywhere.
+ */
+function buildLayerHistorySnapshot(
+  layer: MapLayer,
+  name: string,
+  overrides: Partial<LayerHistorySnapshot> = {},
+  regions: Region[] = [],
+  outlines: Outline[] = [],
+  shapeOverlays: ShapeOverlay[] = [],
+  fogOfWar: FogOfWar | null = null,
+  partyPins: PartyPin[] = [],
+  savedRoutes: SavedRoute[] = [],
+  campaignClock: CampaignClock | null = null
+): LayerHistorySnapshot {
+  return {
+    cells: overrides.cells ?? layer.cells ?? [],
+    curves: overrides.curves ?? layer.curves ?? [],
+    name: name,
+    objects: overrides.objects ?? layer.objects ?? [],
+    textLabels: overrides.textLabels ?? layer.textLabels ?? [],
+    edges: overrides.edges ?? layer.edges ?? [],
+    tiles: overrides.tiles ?? layer.tiles ?? [],
+    wallPaths: overrides.wallPaths ?? layer.wallPaths ?? [],
+    terrainStrokes: overrides.terrainStrokes ?? layer.terrainStrokes ?? [],
+    regions: overrides.regions ?? regions,
+    outlines: overrides.outlines ?? outlines,
+    shapeOverlays: overrides.shapeOverlays ?? shapeOverlays,
+    fogOfWar: overrides.fogOfWar ?? fogOfWar,
+    partyPins: overrides.partyPins ?? partyPins,
+    savedRoutes: overrides.savedRoutes ?? savedRoutes,
+    campaignClock: overrides.campaignClock ?? campaignClock
+  };
+}
+
+/**
+ * Map data with a history snapshot applied: layer data to the active layer,
+ * name and map-level data at the root. Snapshots that predate a field leave
+ * the map's current value in place.
+ */
+function applyHistorySnapshot(mapData: MapData, snapshot: LayerHistorySnapshot): MapData {
+  const campaignClock = snapshot.campaignClock !== undefined ? snapshot.campaignClock ?? undefined : mapData.campaignClock;
+  return updateActiveLayer(
+    { ...mapData, name: snapshot.name, regions: snapshot.regions ?? mapData.regions, outlines: snapshot.outlines ?? mapData.outlines, shapeOverlays: snapshot.shapeOverlays ?? mapData.shapeOverlays, partyPins: snapshot.partyPins ?? mapData.partyPins, savedRoutes: snapshot.savedRoutes ?? mapData.savedRoutes, campaignClock },
+    {
+      cells: snapshot.cells,
+      curves: snapshot.curves,
+      objects: snapshot.objects,
+      textLabels: snapshot.textLabels,
+      edges: snapshot.edges,
+      tiles: snapshot.tiles,
+      wallPaths: snapshot.wallPaths,
+      terrainStrokes: snapshot.terrainStrokes,
+      fogOfWar: snapshot.fogOfWar !== undefined ? snapshot.fogOfWar : undefined
+    }
+  );
+}
 
 /**
  * Hook for managing layer switching with per-layer history
@@ -105,7 +165,8 @@ function useLayerHistory({
         shapeOverlays: mapData.shapeOverlays ?? [],
         fogOfWar: activeLayer.fogOfWar,
         partyPins: mapData.partyPins ?? [],
-        savedRoutes: mapData.savedRoutes ?? []
+        savedRoutes: mapData.savedRoutes ?? [],
+        campaignClock: mapData.campaignClock ?? null
       });
       historyInitialized.current = true;
     }
@@ -127,23 +188,8 @@ function useLayerHistory({
    * Build a history state snapshot from layer data
    */
   const buildHistoryState = useCallback(
-    (layer: MapLayer, name: string, regions: Region[] = [], outlines: Outline[] = [], shapeOverlays: ShapeOverlay[] = [], fogOfWar: FogOfWar | null = null, partyPins: PartyPin[] = [], savedRoutes: SavedRoute[] = []): LayerHistorySnapshot => ({
-      cells: layer.cells,
-      curves: layer.curves,
-      name: name,
-      objects: layer.objects,
-      textLabels: layer.textLabels,
-      edges: layer.edges,
-      tiles: layer.tiles,
-      wallPaths: layer.wallPaths,
-      terrainStrokes: layer.terrainStrokes,
-      shapeOverlays: shapeOverlays,
-      fogOfWar: fogOfWar ?? layer.fogOfWar,
-      regions: regions,
-      outlines: outlines,
-      partyPins: partyPins,
-      savedRoutes: savedRoutes
-    }),
+    (layer: MapLayer, name: string, regions: Region[] = [], outlines: Outline[] = [], shapeOverlays: ShapeOverlay[] = [], fogOfWar: FogOfWar | null = null, partyPins: PartyPin[] = [], savedRoutes: SavedRoute[] = [], campaignClock: CampaignClock | null = null): LayerHistorySnapshot =>
+      buildLayerHistorySnapshot(layer, name, {}, regions, outlines, shapeOverlays, fogOfWar ?? layer.fogOfWar, partyPins, savedRoutes, campaignClock),
     []
   );
 
@@ -168,7 +214,7 @@ function useLayerHistory({
         // No cached history for this layer - initialize fresh
         const layer = getActiveLayer(newMapData);
         historyInitialized.current = false;
-        resetHistory(buildHistoryState(layer, newMapData.name ?? '', newMapData.regions ?? [], newMapData.outlines ?? [], newMapData.shapeOverlays ?? [], layer.fogOfWar, newMapData.partyPins ?? [], newMapData.savedRoutes ?? []));
+        resetHistory(buildHistoryState(layer, newMapData.name ?? '', newMapData.regions ?? [], newMapData.outlines ?? [], newMapData.shapeOverlays ?? [], layer.fogOfWar, newMapData.partyPins ?? [], newMapData.savedRoutes ?? [], newMapData.campaignClock ?? null));
         historyInitialized.current = true;
       }
     },
@@ -208,7 +254,7 @@ function useLayerHistory({
     // New layer always starts with fresh history
     const newActiveLayer = getActiveLayer(newMapData);
     historyInitialized.current = false;
-    resetHistory(buildHistoryState(newActiveLayer, newMapData.name ?? '', newMapData.regions ?? [], newMapData.outlines ?? [], newMapData.shapeOverlays ?? [], newActiveLayer.fogOfWar, newMapData.partyPins ?? [], newMapData.savedRoutes ?? []));
+    resetHistory(buildHistoryState(newActiveLayer, newMapData.name ?? '', newMapData.regions ?? [], newMapData.outlines ?? [], newMapData.shapeOverlays ?? [], newActiveLayer.fogOfWar, newMapData.partyPins ?? [], newMapData.savedRoutes ?? [], newMapData.campaignClock ?? null));
     historyInitialized.current = true;
   }, [mapData, updateMapData, saveCurrentLayerHistory, resetHistory, buildHistoryState]);
 
@@ -225,7 +271,7 @@ function useLayerHistory({
 
       const clonedLayer = getActiveLayer(newMapData);
       historyInitialized.current = false;
-      resetHistory(buildHistoryState(clonedLayer, newMapData.name ?? '', newMapData.regions ?? [], newMapData.outlines ?? [], newMapData.shapeOverlays ?? [], clonedLayer.fogOfWar, newMapData.partyPins ?? [], newMapData.savedRoutes ?? []));
+      resetHistory(buildHistoryState(clonedLayer, newMapData.name ?? '', newMapData.regions ?? [], newMapData.outlines ?? [], newMapData.shapeOverlays ?? [], clonedLayer.fogOfWar, newMapData.partyPins ?? [], newMapData.savedRoutes ?? [], newMapData.campaignClock ?? null));
       historyInitialized.current = true;
     },
     [mapData, updateMapData, saveCurrentLayerHistory, resetHistory, buildHistoryState]
@@ -323,22 +369,7 @@ function useLayerHistory({
     const previousState = undoInternal();
     if (previousState && mapData) {
       isApplyingHistoryRef.current = true;
-      // Apply layer-specific data to active layer, name/regions/outlines at root
-      const newMapData = updateActiveLayer(
-        { ...mapData, name: previousState.name, regions: previousState.regions ?? mapData.regions, outlines: previousState.outlines ?? mapData.outlines, shapeOverlays: previousState.shapeOverlays ?? mapData.shapeOverlays, partyPins: previousState.partyPins ?? mapData.partyPins, savedRoutes: previousState.savedRoutes ?? mapData.savedRoutes },
-        {
-          cells: previousState.cells,
-          curves: previousState.curves,
-          objects: previousState.objects,
-          textLabels: previousState.textLabels,
-          edges: previousState.edges,
-          tiles: previousState.tiles,
-          wallPaths: previousState.wallPaths,
-          terrainStrokes: previousState.terrainStrokes,
-          fogOfWar: previousState.fogOfWar !== undefined ? previousState.fogOfWar : undefined
-        }
-      );
-      updateMapData(newMapData);
+      updateMapData(applyHistorySnapshot(mapData, previousState));
       // Use setTimeout to ensure state update completes before re-enabling history
       window.setTimeout(() => {
         isApplyingHistoryRef.current = false;
@@ -350,22 +381,7 @@ function useLayerHistory({
     const nextState = redoInternal();
     if (nextState && mapData) {
       isApplyingHistoryRef.current = true;
-      // Apply layer-specific data to active layer, name/regions/outlines at root
-      const newMapData = updateActiveLayer(
-        { ...mapData, name: nextState.name, regions: nextState.regions ?? mapData.regions, outlines: nextState.outlines ?? mapData.outlines, shapeOverlays: nextState.shapeOverlays ?? mapData.shapeOverlays, partyPins: nextState.partyPins ?? mapData.partyPins, savedRoutes: nextState.savedRoutes ?? mapData.savedRoutes },
-        {
-          cells: nextState.cells,
-          curves: nextState.curves,
-          objects: nextState.objects,
-          textLabels: nextState.textLabels,
-          edges: nextState.edges,
-          tiles: nextState.tiles,
-          wallPaths: nextState.wallPaths,
-          terrainStrokes: nextState.terrainStrokes,
-          fogOfWar: nextState.fogOfWar !== undefined ? nextState.fogOfWar : undefined
-        }
-      );
-      updateMapData(newMapData);
+      updateMapData(applyHistorySnapshot(mapData, nextState));
       // Use setTimeout to ensure state update completes before re-enabling history
       window.setTimeout(() => {
         isApplyingHistoryRef.current = false;
@@ -440,4 +456,4 @@ function useLayerHistory({
   };
 }
 
-export { useLayerHistory };
\ No newline at end of file
+export { useLayerHistory, buildLayerHistorySnapshot, applyHistorySnapshot };
\ No newline at end of file
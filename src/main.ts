@@ -1,13 +1,19 @@
 import { Plugin, Notice, TFile, MarkdownRenderChild } from 'obsidian';
 import type { PluginSettings } from '#types/settings/settings.types';
 import type { MapType } from '#types/index';
+import type { Board } from '#types/core/map.types';
+import type { WildernessInsertData } from './settings/modals/InsertDungeonModal';
 import { render, h } from 'preact';
 import { DungeonMapTracker } from './DungeonMapTracker';
 import { AppContext } from './context/AppContext';
 import { InsertMapModal } from './components/modals/InsertMapModal';
 import { InsertDungeonModal } from './settings/modals/InsertDungeonModal';
+import { DungeondraftMapImportModal } from './components/modals/DungeondraftMapImportModal';
 import * as dungeonGenerator from './generation/dungeonGenerator';
 import * as objectPlacer from './generation/objectPlacer';
+import * as hexWildernessGenerator from './generation/hexWildernessGenerator';
+import type { RoomKeyEntry } from './generation/dungeonKey';
+import { buildRoomKeyLabels } from './generation/dungeonKey';
 import { registerDeepLinks } from './core/deepLinkRegistration';
 import { setPlugin, clearPlugin, FALLBACK_SETTINGS } from './core/settingsAccessor';
 import { DEFAULTS } from './core/dmtConstants';
@@ -19,9 +25,12 @@ import { writeCanvasCapabilityReport } from './utils/canvasCapabilityReport';
 import { recordInputEventProbe } from './utils/inputEventProbe';
 import { recordZoomTrace } from './utils/zoomTraceProbe';
 import { scanTilesetFolder } from './assets/tilesetOperations';
-import { enqueueDataFileOp, getSaveQueue, notifyCorruptedDataFile } from './persistence/fileOperations';
+import { createNewMap, enqueueDataFileOp, getSaveQueue, notifyCorruptedDataFile } from './persistence/fileOperations';
+import { createBoardStrata, generateBoardId } from './persistence/layerAccessor';
 import { flushAll, installLifecycleJournaling, journalAll } from './persistence/saveCoordinator';
 import { pruneJournal } from './persistence/saveJournal';
+import type { DungeonKeyLevel } from './persistence/dungeonKeyNoteOperations';
+import { buildDungeonKeyNoteContent, buildDungeonKeyNotePath, createDungeonKeyNote } from './persistence/dungeonKeyNoteOperations';
 import { runImportDetectionPass } from './assets/importDetectionPass';
 import {
   loadTileMetadata,
@@ -41,16 +50,43 @@ interface DungeonCell {
   [key: string]: unknown;
 }
 
+/** Room data the fog builder needs to reveal the entry room. */
+interface DungeonStockingMetadata {
+  rooms?: Array<{ id: string; x: number; y: number; width: number; height: number; radius?: number; shape?: string; parts?: Array<{ x: number; y: number; width: number; height: number }> }>;
+  entryRoomId?: string;
+}
+
+/** Generated object, as far as stair linking needs to see it. */
+interface DungeonObject {
+  id: string;
+  type: string;
+  position: { x: number; y: number };
+  [key: string]: unknown;
+}
+
+/** One floor of a multi-level dungeon. */
+interface DungeonLevel {
+  cells: DungeonCell[];
+  objects: DungeonObject[];
+  edges: unknown[];
+  stockingMetadata?: DungeonStockingMetadata;
+  roomKey?: RoomKeyEntry[];
+}
+
 /** Options bag passed from the dungeon generator. */
 interface DungeonGenOptions {
   preset?: string;
   configOverrides?: { autoFogEnabled?: boolean; [key: string]: unknown };
+  seed?: number;
   distancePerCell?: number;
   distanceUnit?: string;
-  stockingMetadata?: {
-    rooms?: Array<{ id: string; x: number; y: number; width: number; height: number; radius?: number; shape?: string; parts?: Array<{ x: number; y: number; width: number; height: number }> }>;
-    entryRoomId?: string;
-  };
+  stockingMetadata?: DungeonStockingMetadata;
+  /** Numbered room key of the (top) floor, when the room key option was on */
+  roomKey?: RoomKeyEntry[];
+  /** Multi-level dungeons: one entry per floor, top floor first */
+  levels?: DungeonLevel[];
+  /** Stair pairs to link across floors (indices into `levels`) */
+  stairLinks?: Array<{ fromLevel: number; fromObjectId: string; toLevel: number; toObjectId: string }>;
   [key: string]: unknown;
 }
 
@@ -169,12 +205,12 @@ export default class WindrosePlugin extends Plugin {
       name: 'Generate random dungeon',
       // checkCallback form: re-evaluated every palette open, so toggling the
       // dungeonGenerator feature takes effect without a plugin reload.
-      editorCheckCallback: (checking, editor) => {
+      editorCheckCallback: (checking, editor, ctx) => {
         if (!isFeatureEnabled('dungeonGenerator')) return false;
         if (checking) return true;
         new InsertDungeonModal(this.app, this, async (mapName, cells, objects, edges, options) => {
           const mapId = 'map-' + Date.now() + '-' + Math.random().toString(36).slice(2, 11);
-          await this.saveDungeonToJson(mapId, mapName, cells as DungeonCell[], objects, edges, options as DungeonGenOptions);
+          const keyLevels = await this.saveDungeonToJson(mapId, mapName, cells as DungeonCell[], objects, edges, options as DungeonGenOptions);
 
           const codeBlock = [
             '```windrose-map',
@@ -184,12 +220,61 @@ export default class WindrosePlugin extends Plugin {
             '```'
           ].join('\n');
 
+          editor.replaceSelection(codeBlock);
+          if (keyLevels.length > 0) {
+            await this.writeDungeonKeyNote(mapId, mapName, ctx.file?.path ?? '', keyLevels);
+          }
+        }, async (mapName, wilderness) => {
+          const mapId = 'map-' + Date.now() + '-' + Math.random().toString(36).slice(2, 11);
+          await this.saveWildernessToJson(mapId, mapName, wilderness);
+
+          const codeBlock = [
+            '```windrose-map',
+            `id: ${mapId}`,
+            `name: ${mapName}`,
+            'type: hex',
+            '```'
+          ].join('\n');
+
           editor.replaceSelection(codeBlock);
         }).open();
         return true;
       }
     });
 
+    this.addCommand({
+      id: 'import-dungeondraft-map',
+      name: 'Import Dungeondraft map',
+      editorCallback: (editor) => { void (async () => {
+        const modal = new DungeondraftMapImportModal(
+          this.app,
+          this.settings.installedContentPacks ?? [],
+          this.settings.distancePerCellGrid
+        );
+        const imported = await modal.openAndGetValue();
+        if (imported == null) return;
+
+        const mapId = 'map-' + Date.now() + '-' + Math.random().toString(36).slice(2, 11);
+        const mapName = imported.mapData.name ?? '';
+        try {
+          await this.writeGeneratedMap(mapId, imported.mapData);
+        } catch {
+          new Notice('Failed to save the imported map');
+          return;
+        }
+
+        editor.replaceSelection([
+          '```windrose-map',
+          `id: ${mapId}`,
+          `name: ${mapName}`,
+          'type: grid',
+          '```'
+        ].join('\n'));
+        const skipped = imported.report.unmapped.length;
+        new Notice(`Imported ${mapName}` + (skipped > 0 ? ` (${skipped} item type(s) left out or changed)` : ''));
+      })(); }
+    });
+
     this.addCommand({
       id: 'rescan-tile-classification',
       name: 'Rescan tile classification (fill missing)',
@@ -465,11 +550,14 @@ export default class WindrosePlugin extends Plugin {
     return objectPlacer;
   }
 
-  private buildFogOfWar(cells: DungeonCell[], options: DungeonGenOptions): { enabled: boolean; foggedCells: Array<{ col: number; row: number }> } | null {
+  async loadWildernessGenerator(): Promise<typeof hexWildernessGenerator> {
+    return hexWildernessGenerator;
+  }
+
+  private buildFogOfWar(cells: DungeonCell[], options: DungeonGenOptions, stockingMeta: DungeonStockingMetadata | undefined = options?.stockingMetadata): { enabled: boolean; foggedCells: Array<{ col: number; row: number }> } | null {
     const autoFogEnabled = options?.configOverrides?.autoFogEnabled;
     if (autoFogEnabled !== true) return null;
 
-    const stockingMeta = options?.stockingMetadata;
     if (stockingMeta?.rooms == null || cells.length === 0) return null;
 
     const entryRoomId = stockingMeta.entryRoomId;
@@ -510,16 +598,193 @@ export default class WindrosePlugin extends Plugin {
   }
 
   /**
-   * Write a generated dungeon into the shared data file.
+   * Lay out a multi-level dungeon as one board per floor. The top floor is
+   * active and ordered highest, so each floor's "board below" is the next one
+   * down. A floor's content goes on its ground stratum, and each aligned stair
+   * pair is linked both ways so following the link changes floors.
+   */
+  private buildDungeonLevelBoards(levels: DungeonLevel[], options: DungeonGenOptions): { boards: Board[]; layers: Array<Record<string, unknown>>; activeLayerId: string; activeBoardId: string; groundLayerIds: string[] } {
+    const boards: Board[] = [];
+    const layers: Array<Record<string, unknown>> = [];
+    const groundLayerIds: string[] = [];
+
+    levels.forEach((level, index) => {
+      const boardId = generateBoardId();
+      boards.push({ id: boardId, name: `Level ${index + 1}`, order: levels.length - 1 - index });
+
+      for (const stratum of createBoardStrata(boardId)) {
+        if (stratum.tileRole !== 'ground') {
+          layers.push({ ...stratum });
+          continue;
+        }
+        groundLayerIds.push(stratum.id);
+        layers.push({
+          ...stratum,
+          cells: level.cells,
+          edges: level.edges ?? [],
+          objects: level.objects.map(obj => ({ ...obj })),
+          textLabels: buildRoomKeyLabels(level.roomKey ?? [], DEFAULTS.gridSize),
+          fogOfWar: this.buildFogOfWar(level.cells, options, level.stockingMetadata)
+        });
+      }
+    });
+
+    const findObject = (levelIndex: number, objectId: string): DungeonObject | undefined => {
+      const ground = layers.find(l => l.id === groundLayerIds[levelIndex]);
+      return (ground?.objects as DungeonObject[] | undefined)?.find(o => o.id === objectId);
+    };
+
+    for (const link of options.stairLinks ?? []) {
+      const from = findObject(link.fromLevel, link.fromObjectId);
+      const to = findObject(link.toLevel, link.toObjectId);
+      if (from == null || to == null) continue;
+      from.linkedObject = { layerId: groundLayerIds[link.toLevel], objectId: to.id, position: to.position, objectType: to.type };
+      to.linkedObject = { layerId: groundLayerIds[link.fromLevel], objectId: from.id, position: from.position, objectType: from.type };
+    }
+
+    return { boards, layers, activeLayerId: groundLayerIds[0], activeBoardId: boards[0].id, groundLayerIds };
+  }
+
+  /**
+   * Build a generated dungeon's map data and write it into the shared data file.
+   * @returns The room key per floor, with the layer each floor landed on;
+   *   empty when the room key option was off
+   */
+  private async saveDungeonToJson(mapId: string, mapName: string, cells: DungeonCell[], objects: unknown[], edges: unknown[], options: DungeonGenOptions): Promise<DungeonKeyLevel[]> {
+    const SCHEMA_VERSION = 2;
+
+    const layerId = 'layer-' + Date.now() + '-' + Math.random().toString(36).slice(2, 11);
+    const levelBoards = options.levels != null && options.levels.length > 1
+      ? this.buildDungeonLevelBoards(options.levels, options)
+      : null;
+    const roomKeyLabels = levelBoards == null ? buildRoomKeyLabels(options.roomKey ?? [], DEFAULTS.gridSize) : [];
+
+    let centerX = DUNGEON_FALLBACK_CENTER.x, centerY = DUNGEON_FALLBACK_CENTER.y;
+    if (cells.length > 0) {
+      const minX = Math.min(...cells.map((c) => c.x));
+      const maxX = Math.max(...cells.map((c) => c.x));
+      const minY = Math.min(...cells.map((c) => c.y));
+      const maxY = Math.max(...cells.map((c) => c.y));
+      centerX = (minX + maxX) / 2;
+      centerY = (minY + maxY) / 2;
+    }
+
+    const mapData = {
+      name: mapName,
+      description: "",
+      mapType: "grid",
+      northDirection: 0,
+      customColors: [],
+      sidebarCollapsed: false,
+      expandedState: false,
+      generationSettings: {
+        preset: options.preset,
+        seed: options.seed,
+        configOverrides: options.configOverrides ?? {},
+        distancePerCell: options.distancePerCell ?? 5,
+        distanceUnit: options.distanceUnit ?? 'ft',
+        stockingMetadata: options.stockingMetadata ?? null,
+        ...(roomKeyLabels.length > 0 ? { roomKeyLabelIds: roomKeyLabels.map(label => label.id) } : {}),
+        ...(levelBoards != null ? { levelCount: levelBoards.boards.length } : {})
+      },
+      settings: {
+        useGlobalSettings: false,
+        overrides: {
+          distancePerCellGrid: options.distancePerCell ?? 5,
+          distanceUnitGrid: options.distanceUnit ?? 'ft'
+        }
+      },
+      uiPreferences: {
+        rememberPanZoom: true,
+        rememberSidebarState: true,
+        rememberExpandedState: false
+      },
+      lastTextLabelSettings: null,
+      schemaVersion: SCHEMA_VERSION,
+      ...(levelBoards != null ? {
+        activeLayerId: levelBoards.activeLayerId,
+        activeBoardId: levelBoards.activeBoardId,
+        boards: levelBoards.boards,
+        layerMode: 'strata',
+        layerPanelVisible: true,
+        layers: levelBoards.layers
+      } : {
+        activeLayerId: layerId,
+        layerPanelVisible: false,
+        layers: [{
+          id: layerId,
+          name: 'Layer 1',
+          order: 0,
+          visible: true,
+          cells: cells,
+          edges: edges ?? [],
+          objects: objects ?? [],
+          textLabels: roomKeyLabels,
+          fogOfWar: this.buildFogOfWar(cells, options)
+        }]
+      }),
+      gridSize: DEFAULTS.gridSize,
+      dimensions: { ...DEFAULTS.dimensions },
+      viewState: {
+        zoom: 1.5,
+        center: { x: centerX, y: centerY }
+      }
+    };
+
+    await this.writeGeneratedMap(mapId, mapData);
+
+    if (levelBoards != null) {
+      return (options.levels ?? [])
+        .map((level, index) => ({ name: `Level ${index + 1}`, layerId: levelBoards.groundLayerIds[index], entries: level.roomKey ?? [] }))
+        .filter(level => level.entries.length > 0);
+    }
+    return options.roomKey != null && options.roomKey.length > 0
+      ? [{ layerId, entries: options.roomKey }]
+      : [];
+  }
+
+  /**
+   * Write the companion key note of a generated dungeon beside the note the
+   * map was inserted into. The map is already saved, so a failure here only
+   * costs the note.
+   */
+  private async writeDungeonKeyNote(mapId: string, mapName: string, mapNotePath: string, levels: DungeonKeyLevel[]): Promise<void> {
+    try {
+      const content = buildDungeonKeyNoteContent(levels, { mapId, mapName, mapNotePath });
+      const path = await createDungeonKeyNote(this.app, buildDungeonKeyNotePath(mapNotePath, mapName), content);
+      new Notice(`Room key written to ${path}`);
+    } catch (error) {
+      console.error('[Windrose] Failed to write room key note:', error);
+      new Notice('Failed to write the room key note');
+    }
+  }
+
+  /**
+   * Write a generated hex wilderness into the shared data file as a new hex
+   * map: terrain on the first layer, zones as regions.
+   */
+  private async saveWildernessToJson(mapId: string, mapName: string, wilderness: WildernessInsertData): Promise<void> {
+    const mapData = createNewMap(
+      mapName, 'hex', { maxCol: wilderness.cols, maxRow: wilderness.rows }, wilderness.orientation
+    );
+    mapData.generationSettings = { seed: wilderness.seed };
+    const [layer] = mapData.layers;
+    layer.cells = wilderness.cells;
+    layer.objects = wilderness.objects;
+    mapData.regions = wilderness.regions;
+
+    await this.writeGeneratedMap(mapId, mapData);
+  }
+
+  /**
+   * Insert a generated map into the shared data file.
    *
    * Runs inside the data-file mutex: it is a read-modify-write of the whole
    * file, so without serialization it can interleave with an autosave and lose
    * one of the two updates. Refuses to write over an unparseable file for the
    * same reason saveMapData does.
    */
-  private async saveDungeonToJson(mapId: string, mapName: string, cells: DungeonCell[], objects: unknown[], edges: unknown[], options: DungeonGenOptions): Promise<void> {
-    const SCHEMA_VERSION = 2;
-
+  private async writeGeneratedMap(mapId: string, mapData: unknown): Promise<void> {
     return enqueueDataFileOp(async () => {
     try {
       const dataFilePath = this.dataFilePath;
@@ -533,78 +798,15 @@ export default class WindrosePlugin extends Plugin {
           allData = JSON.parse(content) as { maps: Record<string, unknown> };
         } catch (parseError) {
           console.error(
-            '[Windrose] Existing data file is unparseable. Refusing to overwrite it with a generated dungeon.',
+            '[Windrose] Existing data file is unparseable. Refusing to overwrite it with a generated map.',
             parseError
           );
           notifyCorruptedDataFile(dataFilePath);
-          throw new Error('Windrose: map data file is unreadable, dungeon not saved.');
+          throw new Error('Windrose: map data file is unreadable, generated map not saved.');
         }
       }
 
       allData.maps ??= {};
-
-      const layerId = 'layer-' + Date.now() + '-' + Math.random().toString(36).slice(2, 11);
-
-      let centerX = DUNGEON_FALLBACK_CENTER.x, centerY = DUNGEON_FALLBACK_CENTER.y;
-      if (cells.length > 0) {
-        const minX = Math.min(...cells.map((c) => c.x));
-        const maxX = Math.max(...cells.map((c) => c.x));
-        const minY = Math.min(...cells.map((c) => c.y));
-        const maxY = Math.max(...cells.map((c) => c.y));
-        centerX = (minX + maxX) / 2;
-        centerY = (minY + maxY) / 2;
-      }
-
-      const mapData = {
-        name: mapName,
-        description: "",
-        mapType: "grid",
-        northDirection: 0,
-        customColors: [],
-        sidebarCollapsed: false,
-        expandedState: false,
-        generationSettings: {
-          preset: options.preset,
-          configOverrides: options.configOverrides ?? {},
-          distancePerCell: options.distancePerCell ?? 5,
-          distanceUnit: options.distanceUnit ?? 'ft',
-          stockingMetadata: options.stockingMetadata ?? null
-        },
-        settings: {
-          useGlobalSettings: false,
-          overrides: {
-            distancePerCellGrid: options.distancePerCell ?? 5,
-            distanceUnitGrid: options.distanceUnit ?? 'ft'
-          }
-        },
-        uiPreferences: {
-          rememberPanZoom: true,
-          rememberSidebarState: true,
-          rememberExpandedState: false
-        },
-        lastTextLabelSettings: null,
-        schemaVersion: SCHEMA_VERSION,
-        activeLayerId: layerId,
-        layerPanelVisible: false,
-        layers: [{
-          id: layerId,
-          name: 'Layer 1',
-          order: 0,
-          visible: true,
-          cells: cells,
-          edges: edges ?? [],
-          objects: objects ?? [],
-          textLabels: [],
-          fogOfWar: this.buildFogOfWar(cells, options)
-        }],
-        gridSize: DEFAULTS.gridSize,
-        dimensions: { ...DEFAULTS.dimensions },
-        viewState: {
-          zoom: 1.5,
-          center: { x: centerX, y: centerY }
-        }
-      };
-
       allData.maps[mapId] = mapData;
 
       const jsonString = JSON.stringify(allData, null, 2);
@@ -618,7 +820,7 @@ export default class WindrosePlugin extends Plugin {
         await this.app.vault.create(dataFilePath, jsonString);
       }
     } catch (error) {
-      console.error('[Windrose] Failed to save dungeon:', error);
+      console.error('[Windrose] Failed to save generated map:', error);
       throw error;
     }
     });
@@ -1,16 +1,17 @@
 /**
  * partyPinOperations.ts
  *
- * Pure operations for party pins: creation, movement, range updates, and
- * removal. All functions return new arrays/objects (immutable updates) so
- * they compose with handlePartyPinsChange and history tracking.
+ * Pure operations for party pins: creation, movement (and the trail of
+ * recorded moves), range updates, and removal. All functions return new
+ * arrays/objects (immutable updates) so they compose with
+ * handlePartyPinsChange and history tracking.
  *
  * The UI exposes a single party pin per map; these operations work on the
  * pins array so storage can hold more in the future without a migration.
  */
 
 // Type-only imports
-import type { PartyPin, PartyRangeStyle } from '#types/core/map.types';
+import type { PartyPin, PartyPinMove, PartyRangeStyle } from '#types/core/map.types';
 import type { Point } from '#types/core/geometry.types';
 
 import { getIconInfo } from '../assets/rpgAwesomeIcons';
@@ -23,6 +24,9 @@ const PARTY_PIN_DEFAULTS = {
   rangeStyle: 'circle' as PartyRangeStyle,
 };
 
+/** Oldest moves are dropped beyond this, keeping map files small */
+const MAX_PARTY_TRAIL_MOVES = 500;
+
 /**
  * Generate a unique party pin ID
  */
@@ -85,8 +89,54 @@ function movePartyPin(partyPins: PartyPin[], pinId: string, position: Point): Pa
 }
 
 /**
- * Update a pin's fields (label, color, icon, range, rangeStyle).
- * Invalid range values are ignored, keeping the current range.
+ * Move a pin and record the move on its trail, stamped with the in-game
+ * date. A move back onto the same cell records nothing.
+ * Returns a new array; unknown ids leave the array unchanged.
+ * @param at - Epoch milliseconds of the move
+ * @param clockDate - The map's campaign clock reading; wins over the pin's
+ *   own free-text date when the map keeps a clock
+ */
+function recordPartyPinMove(
+  partyPins: PartyPin[],
+  pinId: string,
+  from: Point,
+  to: Point,
+  at: number,
+  clockDate: string | null = null
+): PartyPin[] {
+  return partyPins.map(p => {
+    if (p.id !== pinId) return p;
+    const moved: PartyPin = { ...p, position: { ...to } };
+    if (from.x === to.x && from.y === to.y) return moved;
+    const gameDate = clockDate ?? p.gameDate;
+    const move: PartyPinMove = {
+      from: { ...from },
+      to: { ...to },
+      at,
+      ...(gameDate != null && gameDate !== '' ? { gameDate } : {})
+    };
+    const trail = [...(p.trail ?? []), move];
+    moved.trail = trail.length > MAX_PARTY_TRAIL_MOVES ? trail.slice(trail.length - MAX_PARTY_TRAIL_MOVES) : trail;
+    return moved;
+  });
+}
+
+/**
+ * Forget a pin's recorded moves. Returns a new array.
+ */
+function clearPartyPinTrail(partyPins: PartyPin[], pinId: string): PartyPin[] {
+  return partyPins.map(p => {
+    if (p.id !== pinId) return p;
+    const next = { ...p };
+    delete next.trail;
+    return next;
+  });
+}
+
+/**
+ * Update a pin's fields (label, color, icon, range, rangeStyle, ...).
+ * Invalid range values are ignored, keeping the current range; an empty
+ * icon or in-game date clears it.
  * Returns a new array; unknown ids leave the array unchanged.
  */
 function updatePartyPin(
@@ -104,6 +154,9 @@ function updatePartyPin(
     if (safeUpdates.icon !== undefined && safeUpdates.icon === '') {
       delete next.icon;
     }
+    if (safeUpdates.gameDate !== undefined && safeUpdates.gameDate.trim() === '') {
+      delete next.gameDate;
+    }
     return next;
   });
 }
@@ -183,11 +236,14 @@ function formatPropertyFilters(properties: Record<string, string[]> | undefined)
 
 export {
   PARTY_PIN_DEFAULTS,
+  MAX_PARTY_TRAIL_MOVES,
   isValidRange,
   getPartyPin,
   createPartyPin,
   upsertPartyPin,
   movePartyPin,
+  recordPartyPinMove,
+  clearPartyPinTrail,
   updatePartyPin,
   removePartyPin,
   resolvePinIconGlyph,
@@ -0,0 +1,86 @@
+/**
+ * partyTrail.ts
+ *
+ * Sums up a party pin's trail of recorded moves: how far each move went
+ * under the map's distance rules, and how long the whole trail took at the
+ * selected travel modes. Each move counts as a straight leg; its terrain is
+ * inferred from the map the same way route segments pick theirs up.
+ */
+
+// Type-only imports
+import type { IGeometry, Point } from '#types/core/geometry.types';
+import type { PartyPinMove } from '#types/core/map.types';
+import type { DiagonalRule } from '#types/settings/settings.types';
+import type { TravelAllowance, TravelMode, TravelPack, TravelTerrain } from '#types/settings/travelPack.types';
+
+import { computeRouteTravelTime, formatTravelTime } from '../travel/travelTimeOperations';
+
+/** One move of the trail, measured */
+interface PartyTrailLeg {
+  move: PartyPinMove;
+  distanceInCells: number;
+  /** Inferred terrain (TravelTerrain.id); null when the ground has none */
+  terrainId: string | null;
+}
+
+interface PartyTrailSummary {
+  legs: PartyTrailLeg[];
+  totalCells: number;
+}
+
+/** Fully faded oldest leg's opacity; the newest is drawn solid */
+const TRAIL_MIN_OPACITY = 0.15;
+const TRAIL_MAX_OPACITY = 0.9;
+
+/**
+ * Measure every move of a trail.
+ * @param inferTerrain - Terrain under a leg (see inferSegmentTerrain); omit to leave legs plain
+ */
+function summarizePartyTrail(
+  moves: PartyPinMove[],
+  geometry: IGeometry,
+  diagonalRule: DiagonalRule,
+  inferTerrain?: (from: Point, to: Point) => string | null
+): PartyTrailSummary {
+  const legs = moves.map(move => ({
+    move,
+    distanceInCells: geometry.getCellDistance(move.from.x, move.from.y, move.to.x, move.to.y, { diagonalRule }),
+    terrainId: inferTerrain?.(move.from, move.to) ?? null
+  }));
+  return { legs, totalCells: legs.reduce((sum, leg) => sum + leg.distanceInCells, 0) };
+}
+
+/**
+ * Time the trail took at each selected mode, e.g. "March 2 days + 3 h ·
+ * Wagon 1 day". Modes whose units don't fit the map are skipped; null when
+ * nothing computes or there's nothing to time.
+ */
+function formatTrailTravelTimes(
+  summary: PartyTrailSummary,
+  distancePerCell: number,
+  mapUnit: string,
+  selectedModes: { mode: TravelMode; pack: TravelPack }[],
+  allowance: TravelAllowance | null,
+  terrains: TravelTerrain[]
+): string | null {
+  if (summary.legs.length === 0) return null;
+  const multipliers = new Map(terrains.map(terrain => [terrain.id, terrain.multiplier]));
+  const distances = summary.legs.map(leg => leg.distanceInCells * distancePerCell);
+  const legMultipliers = summary.legs.map(leg => (leg.terrainId != null ? multipliers.get(leg.terrainId) : undefined) ?? 1);
+
+  const parts: string[] = [];
+  for (const { mode, pack } of selectedModes) {
+    const result = computeRouteTravelTime(distances, legMultipliers, mapUnit, mode, pack);
+    if (result.ok) parts.push(`${mode.name} ${formatTravelTime(result, allowance)}`);
+  }
+  return parts.length > 0 ? parts.join(' · ') : null;
+}
+
+/** Opacity of the trail's leg at `index` of `count`: older legs fade out */
+function trailLegOpacity(index: number, count: number): number {
+  if (count <= 1) return TRAIL_MAX_OPACITY;
+  return TRAIL_MIN_OPACITY + (TRAIL_MAX_OPACITY - TRAIL_MIN_OPACITY) * (index / (count - 1));
+}
+
+export { summarizePartyTrail, formatTrailTravelTimes, trailLegOpacity };
+export type { PartyTrailLeg, PartyTrailSummary };
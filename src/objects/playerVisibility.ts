@@ -0,0 +1,68 @@
+/**
+ * playerVisibility.ts
+ *
+ * What the player view leaves out. Objects and text labels flagged `gmOnly`
+ * are hidden, as are object types that would give the game away on their
+ * own (secret doors, traps, note pins). Note links are stripped from the
+ * objects that stay, so no note badge is drawn.
+ *
+ * Filtered layers are memoized by identity: a pan/zoom tick produces a new
+ * mapData with the same layers, and the renderer's static-layer cache keys
+ * on layer identity, so the player view must hand it the same filtered
+ * layers back until the GM actually edits something.
+ */
+
+import type { MapData, MapLayer } from '#types/core/map.types';
+import type { MapObject } from '#types/objects/object.types';
+import type { TextLabel } from '#types/objects/note.types';
+
+/** Object types only the GM sees, whatever their gmOnly flag. */
+const GM_ONLY_OBJECT_TYPES = new Set(['secret-door', 'trap', 'note_pin']);
+
+const layerCache = new WeakMap<MapLayer, MapLayer>();
+const layersCache = new WeakMap<MapLayer[], MapLayer[]>();
+
+function isObjectVisibleToPlayers(obj: MapObject): boolean {
+  return obj.gmOnly !== true && !GM_ONLY_OBJECT_TYPES.has(obj.type);
+}
+
+function isLabelVisibleToPlayers(label: TextLabel): boolean {
+  return label.gmOnly !== true;
+}
+
+/**
+ * A layer as players see it. Returns the same object for the same input.
+ */
+function toPlayerLayer(layer: MapLayer): MapLayer {
+  const cached = layerCache.get(layer);
+  if (cached) return cached;
+
+  const objects = (layer.objects ?? [])
+    .filter(isObjectVisibleToPlayers)
+    .map(obj => (obj.linkedNote != null ? { ...obj, linkedNote: null } : obj));
+  const textLabels = (layer.textLabels ?? []).filter(isLabelVisibleToPlayers);
+
+  const filtered = { ...layer, objects, textLabels };
+  layerCache.set(layer, filtered);
+  return filtered;
+}
+
+/**
+ * Map data with everything GM-only removed from every layer. Fog is left
+ * as is; the renderer's playerView option draws it fully opaque.
+ */
+function toPlayerViewMapData(mapData: MapData): MapData {
+  let layers = layersCache.get(mapData.layers);
+  if (!layers) {
+    layers = mapData.layers.map(toPlayerLayer);
+    layersCache.set(mapData.layers, layers);
+  }
+  return { ...mapData, layers };
+}
+
+export {
+  GM_ONLY_OBJECT_TYPES,
+  isObjectVisibleToPlayers,
+  isLabelVisibleToPlayers,
+  toPlayerViewMapData
+};
@@ -0,0 +1,135 @@
+/**
+ * dungeonKeyNoteOperations.ts
+ *
+ * Writes the companion note of a generated dungeon's room key: one heading
+ * per numbered room with its category, contents, exits and a deep link to the
+ * room on the map.
+ *
+ * The note is written once, at generation time. It is never overwritten: if
+ * the path is taken, the next free "<name> N.md" is used instead.
+ */
+
+import type { App } from 'obsidian';
+import type { RoomKeyEntry } from '../generation/dungeonKey';
+
+import { normalizePath } from 'obsidian';
+import { describeCategory } from '../generation/dungeonKey';
+import { generateDeepLink } from './deepLinkHandler';
+
+/** Frontmatter key recording the map a key note belongs to */
+const DUNGEON_KEY_NOTE_MARKER_KEY = 'windrose-dungeon-key';
+
+/** Deeplink zoom used for rooms — the zoom generated maps open at */
+const KEY_DEEP_LINK_ZOOM = 1.5;
+
+/** One floor of the key; single-level dungeons have exactly one */
+export interface DungeonKeyLevel {
+  /** Floor heading ("Level 2"); omitted for single-level dungeons */
+  name?: string;
+  /** Layer holding the floor, for deeplinks */
+  layerId: string;
+  entries: RoomKeyEntry[];
+}
+
+/** Context about the map the key describes */
+export interface DungeonKeyNoteContext {
+  mapId: string;
+  mapName: string;
+  /** Path of the note hosting the map; '' when unknown (no deeplinks) */
+  mapNotePath: string;
+}
+
+/**
+ * Make a map name safe to use as a note file name.
+ * Falls back to 'Dungeon' when nothing survives.
+ */
+function sanitizeKeyNoteFileName(name: string): string {
+  const cleaned = name
+    .replace(/[\\/:*?"<>|#^[\]]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return cleaned === '' ? 'Dungeon' : cleaned;
+}
+
+/**
+ * Path for a map's key note: "<map name> - Key.md" beside the note hosting
+ * the map, or in the vault root when there is none.
+ */
+function buildDungeonKeyNotePath(mapNotePath: string, mapName: string): string {
+  const fileName = `${sanitizeKeyNoteFileName(mapName)} - Key.md`;
+  const lastSlash = mapNotePath.lastIndexOf('/');
+  const folder = lastSlash === -1 ? '' : mapNotePath.slice(0, lastSlash);
+  return normalizePath(folder === '' ? fileName : `${folder}/${fileName}`);
+}
+
+/** Link to another room's heading in the same note */
+function roomLink(number: number): string {
+  return `[[#Room ${number}|${number}]]`;
+}
+
+/**
+ * Render the key note's markdown. Pure.
+ */
+function buildDungeonKeyNoteContent(levels: DungeonKeyLevel[], context: DungeonKeyNoteContext): string {
+  const lines: string[] = [];
+  lines.push('---');
+  lines.push(`${DUNGEON_KEY_NOTE_MARKER_KEY}: ${context.mapId}`);
+  lines.push('---');
+  lines.push('');
+
+  const hasDeepLinks = context.mapNotePath !== '';
+  const mapName = context.mapName !== '' ? `**${context.mapName}**` : 'the dungeon';
+  const hostLink = hasDeepLinks ? `, mapped in [[${context.mapNotePath.replace(/\.md$/, '')}]]` : '';
+  lines.push(`Room key for ${mapName}${hostLink}.`);
+  lines.push('');
+
+  const roomHeading = levels.length > 1 ? '###' : '##';
+  for (const level of levels) {
+    if (level.name != null) {
+      lines.push(`## ${level.name}`);
+      lines.push('');
+    }
+    for (const entry of level.entries) {
+      lines.push(`${roomHeading} Room ${entry.number}`);
+      lines.push('');
+      lines.push(`- **Category:** ${describeCategory(entry)}`);
+      lines.push(`- **Contents:** ${entry.contents.length > 0 ? entry.contents.join(', ') : 'Nothing'}`);
+      if (entry.treasure) lines.push('- **Treasure:** Yes');
+      lines.push(`- **Exits:** ${entry.exits.length > 0 ? entry.exits.map(roomLink).join(', ') : 'None'}`);
+      if (hasDeepLinks) {
+        const url = generateDeepLink(
+          context.mapNotePath, context.mapId,
+          entry.labelCell.x + 0.5, entry.labelCell.y + 0.5,
+          KEY_DEEP_LINK_ZOOM, level.layerId
+        );
+        lines.push(`- [Show on map](${url})`);
+      }
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Create the key note at the first free path from `path` ("… - Key.md",
+ * "… - Key 2.md", …). Existing notes are never touched; the folder is the
+ * host note's, so it already exists.
+ * @returns The path the note was written to
+ */
+async function createDungeonKeyNote(app: App, path: string, content: string): Promise<string> {
+  const base = path.replace(/\.md$/, '');
+  let candidate = path;
+  for (let n = 2; app.vault.getAbstractFileByPath(candidate) != null; n++) {
+    candidate = `${base} ${n}.md`;
+  }
+  await app.vault.create(candidate, content);
+  return candidate;
+}
+
+export {
+  DUNGEON_KEY_NOTE_MARKER_KEY,
+  buildDungeonKeyNotePath,
+  buildDungeonKeyNoteContent,
+  createDungeonKeyNote,
+};
@@ -8,18 +8,19 @@
 
 // Type-only imports
 import type { BoundingBox } from '#types/core/geometry.types';
-import type { MapData, MapLayer } from '#types/core/map.types';
+import type { MapData, MapLayer, BoardId, FogOfWar } from '#types/core/map.types';
 import type { TextLabel } from '#types/objects/note.types';
 import type {
   RenderParams,
   ExportResult,
-  ExportTheme
+  ExportTheme,
+  MapExportSelection
 } from '#types/core/export.types';
 import type { ExtendedGeometry } from '#types/contexts/context.types';
 import type { App } from 'obsidian';
 import { TFile } from 'obsidian';
 
-import { getActiveLayer } from './layerAccessor';
+import { DEFAULT_BOARD_ID, getActiveLayer, getBoardsOrdered, getBoardLayers } from './layerAccessor';
 import { getFontCss } from '../text/fontOptions';
 import { renderCanvas } from '../hooks/canvas/useCanvasRenderer';
 import { getSettings } from '../core/settingsAccessor';
@@ -122,25 +123,16 @@ function calculateContentBounds(
 }
 
 // ===========================================
-// Canvas Rendering
+// Export Theme
 // ===========================================
 
 /**
- * Render map content to a canvas context using the same rendering logic as the main canvas.
+ * Theme for exports, from the global settings rather than the live view
  */
-function renderMapToCanvas(
-  ctx: CanvasRenderingContext2D,
-  params: RenderParams
-): void {
-  const { mapData, geometry, width, height } = params;
-
-  const tempCanvas = activeWindow.createEl('canvas');
-  tempCanvas.width = width;
-  tempCanvas.height = height;
-
+function getExportTheme(): ExportTheme {
   const effectiveSettings = getSettings();
 
-  const theme: ExportTheme = {
+  return {
     grid: {
       lines: effectiveSettings.gridLineColor,
       lineWidth: effectiveSettings.gridLineWidth,
@@ -162,6 +154,26 @@ function renderMapToCanvas(
     },
     coordinateKey: effectiveSettings.coordinateKeyColor
   };
+}
+
+// ===========================================
+// Canvas Rendering
+// ===========================================
+
+/**
+ * Render map content to a canvas context using the same rendering logic as the main canvas.
+ */
+function renderMapToCanvas(
+  ctx: CanvasRenderingContext2D,
+  params: RenderParams
+): void {
+  const { mapData, geometry, width, height, playerView = false } = params;
+
+  const tempCanvas = activeWindow.createEl('canvas');
+  tempCanvas.width = width;
+  tempCanvas.height = height;
+
+  const theme = getExportTheme();
 
   renderCanvas(
     tempCanvas,
@@ -169,7 +181,7 @@ function renderMapToCanvas(
     mapData,
     geometry,
     [],
-    { isResizeMode: false, theme, showCoordinates: false, layerVisibility: { grid: true, objects: true, textLabels: true, hexCoordinates: false, regions: true, outlines: true } }
+    { isResizeMode: false, theme, showCoordinates: false, layerVisibility: { grid: true, objects: true, textLabels: true, hexCoordinates: false, regions: true, outlines: true }, playerView }
   );
 
   ctx.drawImage(tempCanvas, 0, 0);
@@ -204,6 +216,17 @@ async function exportMapAsImage(
     maxY: bounds.maxY + buffer
   };
   
+  return renderBoundsToPng(mapData, geometry, exportBounds);
+}
+
+/**
+ * Render the map as a PNG the size of a world area, one pixel per world unit
+ */
+async function renderBoundsToPng(
+  mapData: MapData,
+  geometry: ExtendedGeometry,
+  exportBounds: BoundingBox
+): Promise<Blob> {
   // Calculate canvas dimensions
   const width = Math.ceil(exportBounds.maxX - exportBounds.minX);
   const height = Math.ceil(exportBounds.maxY - exportBounds.minY);
@@ -272,8 +295,279 @@ async function saveMapImageToVault(
   }
 }
 
+// ===========================================
+// Batch Export
+// ===========================================
+
+/** One image of a batch export */
+interface BatchExportImage {
+  /** File name without extension */
+  name: string;
+  /** The layers stacked in this image, bottom first */
+  layers: MapLayer[];
+  /** Map data arranged so the renderer draws exactly these layers */
+  mapData: MapData;
+}
+
+/** Fog over a stack of layers: every cell fogged on any of them */
+function mergeLayerFog(layers: MapLayer[]): FogOfWar | null {
+  const fogs = layers
+    .map(layer => layer.fogOfWar)
+    .filter((fog): fog is FogOfWar => fog?.enabled === true);
+  if (fogs.length <= 1) return fogs[0] ?? null;
+
+  const seen = new Set<string>();
+  const foggedCells = fogs.flatMap(fog => fog.foggedCells).filter(cell => {
+    const key = `${cell.col},${cell.row}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return { ...fogs[0], foggedCells };
+}
+
+/**
+ * Arrange map data so the canvas renders a stack of layers from one board.
+ * The canvas composites a strata board's visible layers but draws objects,
+ * labels and fog from the active layer only, so the top layer carries those
+ * for the whole stack. Ghosted layers and boards below are turned off.
+ */
+function composeExportMapData(
+  mapData: MapData,
+  boardId: BoardId,
+  layers: MapLayer[],
+  selection: MapExportSelection
+): MapData {
+  const top = layers[layers.length - 1];
+  const stacked = layers.map((layer): MapLayer => ({
+    ...layer,
+    visible: true,
+    showLayerBelow: false,
+    objects: [],
+    textLabels: [],
+    fogOfWar: null
+  }));
+  stacked[stacked.length - 1] = {
+    ...stacked[stacked.length - 1],
+    objects: selection.includeObjects ? layers.flatMap(layer => layer.objects) : [],
+    textLabels: selection.includeLabels ? layers.flatMap(layer => layer.textLabels) : [],
+    fogOfWar: selection.includeFog ? mergeLayerFog(layers) : null
+  };
+
+  return {
+    ...mapData,
+    layerMode: 'strata',
+    activeBoardId: boardId,
+    activeLayerId: top.id,
+    layers: stacked,
+    boards: mapData.boards?.map(board => ({ ...board, showBoardBelow: false }))
+  };
+}
+
+/**
+ * Split a selection into images: per board (its chosen layers stacked) or
+ * per layer, boards in order and layers bottom first. Names are unique.
+ */
+function planBatchExport(mapData: MapData, selection: MapExportSelection): BatchExportImage[] {
+  const chosen = new Set(selection.layerIds);
+  const boards = getBoardsOrdered(mapData);
+  const boardList = boards.length > 0 ? boards : [{ id: DEFAULT_BOARD_ID, name: mapData.name ?? 'Map', order: 0 }];
+  const usedNames = new Map<string, number>();
+  const uniqueName = (name: string): string => {
+    const count = (usedNames.get(name) ?? 0) + 1;
+    usedNames.set(name, count);
+    return count === 1 ? name : `${name} ${count}`;
+  };
+
+  const images: BatchExportImage[] = [];
+  for (const board of boardList) {
+    const layers = getBoardLayers(mapData, board.id).filter(layer => chosen.has(layer.id));
+    if (layers.length === 0) continue;
+
+    if (selection.grouping === 'board') {
+      images.push({
+        name: uniqueName(board.name),
+        layers,
+        mapData: composeExportMapData(mapData, board.id, layers, selection)
+      });
+      continue;
+    }
+    for (const layer of layers) {
+      images.push({
+        name: uniqueName(boardList.length > 1 ? `${board.name} - ${layer.name}` : layer.name),
+        layers: [layer],
+        mapData: composeExportMapData(mapData, board.id, [layer], selection)
+      });
+    }
+  }
+  return images;
+}
+
+/**
+ * Content bounds of one exported layer, counting its tiles and curves too,
+ * which a layer of a stack may hold on their own
+ */
+function calculateLayerBounds(layer: MapLayer, geometry: ExtendedGeometry): BoundingBox | null {
+  let bounds = calculateContentBounds(layer, geometry);
+  const include = (minX: number, minY: number, maxX: number, maxY: number): void => {
+    bounds = bounds == null ? { minX, minY, maxX, maxY } : {
+      minX: Math.min(bounds.minX, minX),
+      minY: Math.min(bounds.minY, minY),
+      maxX: Math.max(bounds.maxX, maxX),
+      maxY: Math.max(bounds.maxY, maxY)
+    };
+  };
+
+  // Tiles (the cell each one is placed on)
+  for (const tile of layer.tiles ?? []) {
+    const cell = geometry.getCellBounds(geometry.type === 'hex'
+      ? { q: tile.col, r: tile.row, color: '' }
+      : { x: tile.col, y: tile.row, color: '' });
+    include(cell.minX, cell.minY, cell.maxX, cell.maxY);
+  }
+
+  // Curves (start and control points, which enclose the curve)
+  for (const curve of layer.curves) {
+    const points = [curve.start[0], curve.start[1], ...curve.segments.flat()];
+    for (let i = 0; i < points.length; i += 2) {
+      include(points[i], points[i + 1], points[i], points[i + 1]);
+    }
+  }
+
+  return bounds;
+}
+
+/**
+ * Shared bounds for a batch: the content of every exported layer, so images
+ * line up when stacked
+ */
+function calculateBatchBounds(images: BatchExportImage[], geometry: ExtendedGeometry): BoundingBox | null {
+  let union: BoundingBox | null = null;
+  for (const image of images) {
+    for (const layer of image.layers) {
+      const bounds = calculateLayerBounds(layer, geometry);
+      if (!bounds) continue;
+      union = union == null ? bounds : {
+        minX: Math.min(union.minX, bounds.minX),
+        minY: Math.min(union.minY, bounds.minY),
+        maxX: Math.max(union.maxX, bounds.maxX),
+        maxY: Math.max(union.maxY, bounds.maxY)
+      };
+    }
+  }
+  return union;
+}
+
+/**
+ * Point the view at a world area, one pixel per world unit, so a batch image
+ * shows the shared bounds rather than wherever the map was last panned.
+ * The renderer frames the view around viewState.center (cells on grid maps,
+ * world units on hex maps).
+ */
+function frameExportView(mapData: MapData, geometry: ExtendedGeometry, bounds: BoundingBox): MapData {
+  // The canvas is rounded up to whole pixels from the top-left corner
+  const centerX = bounds.minX + Math.ceil(bounds.maxX - bounds.minX) / 2;
+  const centerY = bounds.minY + Math.ceil(bounds.maxY - bounds.minY) / 2;
+  return {
+    ...mapData,
+    viewState: {
+      zoom: 1,
+      center: geometry.type === 'hex'
+        ? { x: centerX, y: centerY }
+        : { x: centerX / geometry.cellSize, y: centerY / geometry.cellSize }
+    }
+  };
+}
+
+/**
+ * Render every image of a batch export as a PNG over the same area
+ */
+async function exportMapImages(
+  mapData: MapData,
+  geometry: ExtendedGeometry,
+  selection: MapExportSelection,
+  buffer: number = 20
+): Promise<Array<{ name: string; blob: Blob }>> {
+  const images = planBatchExport(mapData, selection);
+  const bounds = calculateBatchBounds(images, geometry);
+
+  if (!bounds) {
+    throw new Error('No content to export');
+  }
+
+  const exportBounds: BoundingBox = {
+    minX: bounds.minX - buffer,
+    minY: bounds.minY - buffer,
+    maxX: bounds.maxX + buffer,
+    maxY: bounds.maxY + buffer
+  };
+
+  const results: Array<{ name: string; blob: Blob }> = [];
+  for (const image of images) {
+    const framed = frameExportView(image.mapData, geometry, exportBounds);
+    results.push({ name: image.name, blob: await renderBoundsToPng(framed, geometry, exportBounds) });
+  }
+  return results;
+}
+
+/**
+ * Save a batch export as PNGs in a vault folder, replacing same-named files
+ */
+async function saveMapImagesToVault(
+  app: App,
+  mapData: MapData,
+  geometry: ExtendedGeometry,
+  selection: MapExportSelection,
+  folder: string
+): Promise<ExportResult> {
+  try {
+    const images = await exportMapImages(mapData, geometry, selection);
+
+    const safeFolder = folder.split('/')
+      .map(part => part.trim().replace(/[\\:*?"<>|]/g, '_'))
+      .filter(part => part !== '')
+      .join('/');
+    let current = '';
+    for (const part of safeFolder.split('/').filter(p => p !== '')) {
+      current = current === '' ? part : `${current}/${part}`;
+      if (app.vault.getAbstractFileByPath(current) == null) {
+        await app.vault.createFolder(current);
+      }
+    }
+
+    for (const { name, blob } of images) {
+      const fileName = `${name}.png`.replace(/[\\/:*?"<>|]/g, '_');
+      const path = safeFolder === '' ? fileName : `${safeFolder}/${fileName}`;
+      const arrayBuffer = await blob.arrayBuffer();
+      const existingFile = app.vault.getAbstractFileByPath(path);
+      if (existingFile instanceof TFile) {
+        await app.vault.modifyBinary(existingFile, arrayBuffer);
+      } else {
+        await app.vault.createBinary(path, arrayBuffer);
+      }
+    }
+
+    return { success: true, path: safeFolder === '' ? '/' : safeFolder };
+  } catch (error) {
+    console.error('[exportOperations] Batch export failed:', error);
+    return { success: false, error: (error as Error).message };
+  }
+}
+
 // ===========================================
 // Exports
 // ===========================================
 
-export { calculateContentBounds, renderMapToCanvas, exportMapAsImage, saveMapImageToVault };
\ No newline at end of file
+export {
+  calculateContentBounds,
+  getExportTheme,
+  renderMapToCanvas,
+  exportMapAsImage,
+  saveMapImageToVault,
+  planBatchExport,
+  calculateBatchBounds,
+  frameExportView,
+  exportMapImages,
+  saveMapImagesToVault
+};
+export type { BatchExportImage };
\ No newline at end of file
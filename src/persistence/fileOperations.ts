@@ -5,7 +5,8 @@
  * Handles loading/saving map data to the Obsidian vault.
  */
 
-import type { MapData, MapLayer, MapType } from '#types/core/map.types';
+import type { HexBounds, MapData, MapLayer, MapType } from '#types/core/map.types';
+import type { HexOrientation } from '#types/settings/settings.types';
 import type { WallPath } from '#types/core/wallpath.types';
 import type { App } from 'obsidian';
 import { TFile, Notice } from 'obsidian';
@@ -817,7 +818,12 @@ async function deleteMapData(app: App, mapId: string): Promise<boolean> {
   });
 }
 
-function createNewMap(mapName: string = '', mapType: MapType = 'grid'): MapData {
+function createNewMap(
+  mapName: string = '',
+  mapType: MapType = 'grid',
+  hexBounds: HexBounds = DEFAULTS.hexBounds,
+  hexOrientation?: HexOrientation
+): MapData {
   // Generate layer ID for initial layer
   const initialLayerId = generateLayerId();
 
@@ -881,8 +887,8 @@ function createNewMap(mapName: string = '', mapType: MapType = 'grid'): MapData
     const globalSettings = getSettings();
 
     baseMap.hexSize = DEFAULTS.hexSize;
-    baseMap.orientation = globalSettings.hexOrientation || DEFAULTS.hexOrientation;
-    baseMap.hexBounds = { ...DEFAULTS.hexBounds };
+    baseMap.orientation = hexOrientation ?? (globalSettings.hexOrientation || DEFAULTS.hexOrientation);
+    baseMap.hexBounds = { ...hexBounds };
     baseMap.dimensions = { ...DEFAULTS.dimensions };
 
     // Calculate proper viewport center for hex map using offset coordinates
@@ -890,8 +896,8 @@ function createNewMap(mapName: string = '', mapType: MapType = 'grid'): MapData
     const orientation = baseMap.orientation;
 
     // Calculate center in offset coordinates (rectangular bounds)
-    const centerCol = Math.floor(DEFAULTS.hexBounds.maxCol / 2);
-    const centerRow = Math.floor(DEFAULTS.hexBounds.maxRow / 2);
+    const centerCol = Math.floor(hexBounds.maxCol / 2);
+    const centerRow = Math.floor(hexBounds.maxRow / 2);
 
     // Convert offset center to axial coordinates
     const { q: centerQ, r: centerR } = offsetToAxial(centerCol, centerRow, orientation);
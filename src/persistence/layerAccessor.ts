@@ -14,6 +14,7 @@ import type {
   BoardId,
   LayerUpdate,
   LegacyMapData,
+  FogOfWar,
   FoggedCell,
   FogState,
   FogBounds,
@@ -259,17 +260,11 @@ function ensureBoards(mapData: MapData): MapData {
 }
 
 /**
- * Add a new board (floor) seeded with the default tile-layer stack
- * (one MapLayer per DEFAULT_TILE_LAYERS role) and switch to it.
+ * Empty stratum layers for a board: one MapLayer per DEFAULT_TILE_LAYERS role,
+ * ground first. Orders are board-local (0..3 per DEFAULT_TILE_LAYERS).
  */
-function addBoard(mapData: MapData, name: string | null = null): MapData {
-  const boards = getBoardsOrdered(mapData);
-  const boardId = generateBoardId();
-  const order = boards.length > 0 ? Math.max(...boards.map(b => b.order)) + 1 : 0;
-  const board: Board = { id: boardId, name: name ?? 'Floor ' + (order + 1), order };
-
-  // Seed the board's strata. Orders are board-local (0..3 per DEFAULT_TILE_LAYERS).
-  const newLayers: MapLayer[] = DEFAULT_TILE_LAYERS.map((def, i) => ({
+function createBoardStrata(boardId: BoardId): MapLayer[] {
+  return DEFAULT_TILE_LAYERS.map((def, i) => ({
     id: generateLayerId() + '-' + i,
     name: def.name,
     order: def.order,
@@ -284,6 +279,18 @@ function addBoard(mapData: MapData, name: string | null = null): MapData {
     tileRole: def.role,
     boardId,
   }));
+}
+
+/**
+ * Add a new board (floor) seeded with the default tile-layer stack
+ * (one MapLayer per DEFAULT_TILE_LAYERS role) and switch to it.
+ */
+function addBoard(mapData: MapData, name: string | null = null): MapData {
+  const boards = getBoardsOrdered(mapData);
+  const boardId = generateBoardId();
+  const order = boards.length > 0 ? Math.max(...boards.map(b => b.order)) + 1 : 0;
+  const board: Board = { id: boardId, name: name ?? 'Floor ' + (order + 1), order };
+  const newLayers = createBoardStrata(boardId);
 
   return {
     ...mapData,
@@ -843,6 +850,15 @@ function initializeFogOfWar(mapData: MapData, layerId: LayerId): MapData {
   });
 }
 
+/**
+ * Explored cells left after a GM fog or reveal: cells it touches lose their
+ * explored memory, either fogged again or plainly revealed.
+ */
+function dropExplored(fog: FogOfWar, touched: (col: number, row: number) => boolean): FoggedCell[] | undefined {
+  if (fog.exploredCells == null || fog.exploredCells.length === 0) return fog.exploredCells;
+  return fog.exploredCells.filter(c => !touched(c.col, c.row));
+}
+
 /**
  * Check if a cell is fogged
  */
@@ -862,7 +878,8 @@ function fogCell(layer: MapLayer, col: number, row: number): MapLayer {
     ...layer,
     fogOfWar: {
       ...layer.fogOfWar,
-      foggedCells: [...layer.fogOfWar.foggedCells, { col, row }]
+      foggedCells: [...layer.fogOfWar.foggedCells, { col, row }],
+      exploredCells: dropExplored(layer.fogOfWar, (c, r) => c === col && r === row)
     }
   };
 }
@@ -879,7 +896,26 @@ function revealCell(layer: MapLayer, col: number, row: number): MapLayer {
       ...layer.fogOfWar,
       foggedCells: layer.fogOfWar.foggedCells.filter(
         c => !(c.col === col && c.row === row)
-      )
+      ),
+      exploredCells: dropExplored(layer.fogOfWar, (c, r) => c === col && r === row)
+    }
+  };
+}
+
+/**
+ * Remove fog from a set of cells, e.g. the cells along a travelled route
+ */
+function revealCells(layer: MapLayer, cells: FoggedCell[]): MapLayer {
+  if (!layer.fogOfWar || cells.length === 0) return layer;
+  const keys = new Set(cells.map(c => `${c.col},${c.row}`));
+  const touched = (col: number, row: number): boolean => keys.has(`${col},${row}`);
+
+  return {
+    ...layer,
+    fogOfWar: {
+      ...layer.fogOfWar,
+      foggedCells: layer.fogOfWar.foggedCells.filter(c => !touched(c.col, c.row)),
+      exploredCells: dropExplored(layer.fogOfWar, touched)
     }
   };
 }
@@ -901,15 +937,16 @@ function modifyRectangleFog(
   const maxCol = Math.max(startCol, endCol);
   const minRow = Math.min(startRow, endRow);
   const maxRow = Math.max(startRow, endRow);
+  const inside = (col: number, row: number): boolean =>
+    col >= minCol && col <= maxCol && row >= minRow && row <= maxRow;
 
   if (operation === 'reveal') {
     return {
       ...layer,
       fogOfWar: {
         ...layer.fogOfWar,
-        foggedCells: layer.fogOfWar.foggedCells.filter(c =>
-          c.col < minCol || c.col > maxCol || c.row < minRow || c.row > maxRow
-        )
+        foggedCells: layer.fogOfWar.foggedCells.filter(c => !inside(c.col, c.row)),
+        exploredCells: dropExplored(layer.fogOfWar, inside)
       }
     };
   }
@@ -931,7 +968,8 @@ function modifyRectangleFog(
     ...layer,
     fogOfWar: {
       ...layer.fogOfWar,
-      foggedCells: [...layer.fogOfWar.foggedCells, ...newCells]
+      foggedCells: [...layer.fogOfWar.foggedCells, ...newCells],
+      exploredCells: dropExplored(layer.fogOfWar, inside)
     }
   };
 }
@@ -961,7 +999,8 @@ function fogAll(layer: MapLayer, bounds: FogBounds): MapLayer {
     ...layer,
     fogOfWar: {
       ...layer.fogOfWar,
-      foggedCells: allCells
+      foggedCells: allCells,
+      exploredCells: dropExplored(layer.fogOfWar, () => true)
     }
   };
 }
@@ -998,7 +1037,8 @@ function fogPaintedCells(layer: MapLayer, geometry: IGeometry): MapLayer {
     ...layer,
     fogOfWar: {
       ...layer.fogOfWar,
-      foggedCells: [...layer.fogOfWar.foggedCells, ...newCells]
+      foggedCells: [...layer.fogOfWar.foggedCells, ...newCells],
+      exploredCells: dropExplored(layer.fogOfWar, (col, row) => existingFogged.has(`${col},${row}`))
     }
   };
 }
@@ -1013,7 +1053,8 @@ function revealAll(layer: MapLayer): MapLayer {
     ...layer,
     fogOfWar: {
       ...layer.fogOfWar,
-      foggedCells: []
+      foggedCells: [],
+      exploredCells: dropExplored(layer.fogOfWar, () => true)
     }
   };
 }
@@ -1080,9 +1121,9 @@ export {
   migrateToLayerSchema, needsMigration,
   // Board (floor) projection
   DEFAULT_BOARD_ID, generateBoardId, layerBoardId, getBoardsOrdered, getActiveBoardId,
-  getBoardLayers, getActiveBoardLayers, getBoardBelow, updateBoard, getRenderLayers, ensureBoards, addBoard, removeBoard, setActiveBoard,
+  getBoardLayers, getActiveBoardLayers, getBoardBelow, updateBoard, getRenderLayers, ensureBoards, createBoardStrata, addBoard, removeBoard, setActiveBoard,
   promoteToStrata, setLayerMode,
-  initializeFogOfWar, isCellFogged, fogCell, revealCell,
+  initializeFogOfWar, isCellFogged, fogCell, revealCell, revealCells,
   fogRectangle, revealRectangle, fogAll, fogPaintedCells, revealAll,
   toggleFogVisibility, setFogVisibility, hasFogData, getFogState
 };
\ No newline at end of file
@@ -120,6 +120,36 @@ async function openNoteInNewTab(notePath: string | null | undefined): Promise<bo
   }
 }
 
+// ===========================================
+// Campaign Clock
+// ===========================================
+
+/** Frontmatter property carrying the campaign clock's date into notes */
+const CAMPAIGN_DATE_PROPERTY = 'windrose-date';
+
+/**
+ * Write the campaign clock's date into a note's frontmatter, so the note
+ * hosting a map always says what day it is in the campaign. A null date
+ * removes the property, for a map back to keeping no clock.
+ */
+async function writeCampaignDateProperty(notePath: string | null | undefined, date: string | null): Promise<boolean> {
+  if (notePath == null || notePath === '') return false;
+
+  try {
+    const app = getApp();
+    const file = app.vault.getAbstractFileByPath(notePath);
+    if (!(file instanceof TFile)) return false;
+    await app.fileManager.processFrontMatter(file, (frontmatter: Record<string, unknown>) => {
+      if (date == null) delete frontmatter[CAMPAIGN_DATE_PROPERTY];
+      else frontmatter[CAMPAIGN_DATE_PROPERTY] = date;
+    });
+    return true;
+  } catch (error) {
+    console.error('[writeCampaignDateProperty] Error writing frontmatter:', error);
+    return false;
+  }
+}
+
 // ===========================================
 // Validation
 // ===========================================
@@ -156,4 +186,4 @@ function formatNoteForDisplay(notePath: string | null | undefined): string {
 // Exports
 // ===========================================
 
-export { buildNoteIndex, getNoteEntries, getNoteDisplayNames, getFullPathFromDisplayName, getDisplayNameFromPath, openNoteInNewTab, isValidNotePath, formatNoteForDisplay };
\ No newline at end of file
+export { CAMPAIGN_DATE_PROPERTY, buildNoteIndex, getNoteEntries, getNoteDisplayNames, getFullPathFromDisplayName, getDisplayNameFromPath, openNoteInNewTab, writeCampaignDateProperty, isValidNotePath, formatNoteForDisplay };
\ No newline at end of file
@@ -2,12 +2,13 @@
  * partyNoteOperations.ts
  *
  * Generates and maintains a party pin's vault note: a markdown table of the
- * pin's in-range results, updated by the same recalculation pipeline that
- * feeds the canvas overlay.
+ * pin's in-range results (and, once it has moved, its travel trail),
+ * updated by the same recalculation pipeline that feeds the canvas overlay. Journey itineraries (a saved route split into
+ * travel days) are written alongside it under the same rules.
  *
  * Safety rules:
  * - Every generated note carries a frontmatter marker with the owning pin's
- *   id. Updates and deletions verify the marker first — a user note that
+ *   (or route's) id. Updates and deletions verify the marker first — a user note that
  *   happens to share the path is never overwritten or trashed.
  * - Writes are change-detected: identical content is never rewritten, so
  *   file modification times (and sync) stay quiet while nothing changes.
@@ -15,16 +16,22 @@
  */
 
 import type { App } from 'obsidian';
+import type { Point } from '#types/core/geometry.types';
 import type { PartyPin } from '#types/core/map.types';
 import type { PartyRangeResults } from '../objects/partyRangeQuery';
 import type { RelatedNotes } from '../objects/partyRelatedNotes';
+import type { JourneyPlan } from '../travel/journeyPlanner';
 
 import { normalizePath, TFile as ObsidianTFile } from 'obsidian';
 import { generateDeepLink } from './deepLinkHandler';
+import { CAMPAIGN_DATE_PROPERTY } from './noteOperations';
 
 /** Frontmatter key marking a note as generated by a party pin */
 const PARTY_NOTE_MARKER_KEY = 'windrose-party-pin';
 
+/** Frontmatter key marking a note as a saved route's journey itinerary */
+const JOURNEY_NOTE_MARKER_KEY = 'windrose-journey';
+
 /** Deeplink zoom used in note rows — fixed so content never churns with the viewport */
 const NOTE_DEEP_LINK_ZOOM = 1.175;
 
@@ -36,6 +43,8 @@ export interface PartyNoteContext {
   mapNotePath: string;
   /** Display unit for the pin's range (e.g. 'ft', 'mi'); omitted → bare number */
   distanceUnit?: string;
+  /** The map's campaign clock reading, written to the frontmatter; omitted without a clock */
+  campaignDate?: string;
 }
 
 /** Outcome of an upsert, for caller feedback */
@@ -46,14 +55,20 @@ export type PartyNoteDeleteResult = 'deleted' | 'not-found' | 'not-owned';
 
 /**
  * Make a label safe to use as a note file name.
- * Falls back to 'Party' when nothing survives.
+ * Falls back to `fallback` ('Party' by default) when nothing survives.
  */
-function sanitizePartyNoteFileName(label: string): string {
+function sanitizePartyNoteFileName(label: string, fallback = 'Party'): string {
   const cleaned = label
     .replace(/[\\/:*?"<>|#^[\]]/g, '')
     .replace(/\s+/g, ' ')
     .trim();
-  return cleaned === '' ? 'Party' : cleaned;
+  return cleaned === '' ? fallback : cleaned;
+}
+
+/** Join a vault folder ('' for the root) and a file name */
+function joinNotePath(folder: string, fileName: string): string {
+  const trimmed = folder.trim().replace(/^\/+|\/+$/g, '');
+  return normalizePath(trimmed === '' ? fileName : `${trimmed}/${fileName}`);
 }
 
 /**
@@ -61,9 +76,15 @@ function sanitizePartyNoteFileName(label: string): string {
  * @param folder - Vault folder ('' for the vault root)
  */
 function buildPartyNotePath(folder: string, label: string): string {
-  const fileName = `${sanitizePartyNoteFileName(label)} - Nearby.md`;
-  const trimmed = folder.trim().replace(/^\/+|\/+$/g, '');
-  return normalizePath(trimmed === '' ? fileName : `${trimmed}/${fileName}`);
+  return joinNotePath(folder, `${sanitizePartyNoteFileName(label)} - Nearby.md`);
+}
+
+/**
+ * Build the full vault path for a route's journey itinerary.
+ * @param folder - Vault folder ('' for the vault root)
+ */
+function buildJourneyNotePath(folder: string, routeName: string): string {
+  return joinNotePath(folder, `${sanitizePartyNoteFileName(routeName, 'Route')} - Journey.md`);
 }
 
 /** Escape a string for use inside a markdown table cell */
@@ -93,6 +114,56 @@ export interface PartyNoteTravelLabels {
   unlinked: Map<string, string>;
 }
 
+/** Formatted trail figures for the note's Trail section */
+export interface PartyNoteTrail {
+  /** Total distance travelled */
+  distance: string;
+  /** Time travelled at the selected modes; null when none computes */
+  travel: string | null;
+  /** Distance of each move, index-aligned with the pin's trail */
+  moveDistances: string[];
+}
+
+function pad(n: number): string {
+  return String(n).padStart(2, '0');
+}
+
+/** Local date and time of a move, "YYYY-MM-DD HH:MM" */
+function formatMoveTime(at: number): string {
+  const d = new Date(at);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/** Render the Trail section: totals, then one row per move, newest first */
+function renderTrailSection(pin: PartyPin, trail: PartyNoteTrail, context: PartyNoteContext): string[] {
+  const moves = pin.trail ?? [];
+  const lines: string[] = ['## Trail', ''];
+  const moveWord = moves.length === 1 ? 'move' : 'moves';
+  const travelClause = trail.travel != null ? ` (${trail.travel})` : '';
+  lines.push(`**${trail.distance}** travelled over ${moves.length} ${moveWord}${travelClause}.`);
+  lines.push('');
+
+  const hasDeepLinks = context.mapNotePath !== '';
+  const hasGameDates = moves.some(move => move.gameDate != null);
+  const header = ['When', ...(hasGameDates ? ['In-game date'] : []), 'Distance', ...(hasDeepLinks ? ['Map'] : [])];
+  lines.push(`| ${header.join(' | ')} |`);
+  lines.push(`|${header.map(() => ' --- ').join('|')}|`);
+  for (let i = moves.length - 1; i >= 0; i--) {
+    const move = moves[i];
+    const cells = [formatMoveTime(move.at)];
+    if (hasGameDates) cells.push(escapeTableCell(move.gameDate ?? '—'));
+    cells.push(escapeTableCell(trail.moveDistances[i] ?? '—'));
+    if (hasDeepLinks) {
+      const url = generateDeepLink(context.mapNotePath, context.mapId, move.to.x, move.to.y, NOTE_DEEP_LINK_ZOOM, '');
+      // The link's own "|" would end the table cell
+      cells.push(`[show](${escapeTableCell(url)})`);
+    }
+    lines.push(`| ${cells.join(' | ')} |`);
+  }
+  lines.push('');
+  return lines;
+}
+
 /**
  * Render the note's full markdown content for the current results.
  * Pure — content equality doubles as the change detector.
@@ -100,17 +171,24 @@ export interface PartyNoteTravelLabels {
  *                  provided, the table gains a Related column
  * @param travel - Per-result travel-time labels; when provided, both
  *                 tables gain a Travel column (PP-35)
+ * @param trail - Trail figures; when provided and the pin has moved, the
+ *                note ends with a Trail section
  */
 function buildPartyNoteContent(
   pin: PartyPin,
   results: PartyRangeResults,
   context: PartyNoteContext,
   related?: Map<string, RelatedNotes>,
-  travel?: PartyNoteTravelLabels
+  travel?: PartyNoteTravelLabels,
+  trail?: PartyNoteTrail
 ): string {
+  const trailLines = trail != null && (pin.trail?.length ?? 0) > 0 ? renderTrailSection(pin, trail, context) : [];
   const lines: string[] = [];
   lines.push('---');
   lines.push(`${PARTY_NOTE_MARKER_KEY}: ${pin.id}`);
+  if (context.campaignDate != null && context.campaignDate !== '') {
+    lines.push(`${CAMPAIGN_DATE_PROPERTY}: ${JSON.stringify(context.campaignDate)}`);
+  }
   lines.push('---');
   lines.push('');
   // No H1 — the note title already carries "<label> - Nearby"
@@ -124,6 +202,7 @@ function buildPartyNoteContent(
   if (results.linked.length === 0 && results.unlinked.length === 0) {
     lines.push('*Nothing in range.*');
     lines.push('');
+    lines.push(...trailLines);
     return lines.join('\n');
   }
 
@@ -177,19 +256,87 @@ function buildPartyNoteContent(
     lines.push('');
   }
 
+  lines.push(...trailLines);
+  return lines.join('\n');
+}
+
+/** Display formatting for a journey itinerary, supplied by the caller */
+export interface JourneyNoteLabels {
+  routeName: string;
+  modeName: string;
+  /** Name of a cell ("C4" on hex maps) */
+  cell: (point: Point) => string;
+  /** Travel time, in the plan's time base */
+  time: (amount: number) => string;
+  /** Distance, in map units */
+  distance: (amount: number) => string;
+}
+
+/**
+ * Render a route's journey itinerary: one table row per travel day with
+ * the cells crossed, regions and linked notes met, and where the party
+ * camps. Pure, like the party note.
+ */
+function buildJourneyNoteContent(
+  routeId: string,
+  plan: JourneyPlan,
+  context: PartyNoteContext,
+  labels: JourneyNoteLabels
+): string {
+  const hasDeepLinks = context.mapNotePath !== '';
+  const stop = (point: Point): string => {
+    const name = escapeTableCell(labels.cell(point));
+    if (!hasDeepLinks) return name;
+    const url = generateDeepLink(context.mapNotePath, context.mapId, point.x, point.y, NOTE_DEEP_LINK_ZOOM, '');
+    // The link's own "|" would end the table cell
+    return `[${name}](${escapeTableCell(url)})`;
+  };
+
+  const lines: string[] = [];
+  lines.push('---');
+  lines.push(`${JOURNEY_NOTE_MARKER_KEY}: ${routeId}`);
+  lines.push('---');
+  lines.push('');
+  const dayCount = plan.days.length;
+  const mapClause = context.mapName !== '' ? ` on **${context.mapName}**` : '';
+  lines.push(`**${labels.routeName}** by ${labels.modeName}${mapClause}: ${dayCount} ${dayCount === 1 ? 'day' : 'days'}, ${labels.distance(plan.totalDistance)}, ${labels.time(plan.totalTime)} of travel.`);
+  lines.push('');
+  lines.push(`Setting out from ${stop(plan.days[0].start)}.`);
+  lines.push('');
+  lines.push('| Day | Distance | Travel | Path | Regions | Notes | Camp |');
+  lines.push('| --- | --- | --- | --- | --- | --- | --- |');
+  for (const day of plan.days) {
+    const last = day.day === dayCount;
+    const cells = [
+      `${day.day}`,
+      escapeTableCell(labels.distance(day.distance)),
+      escapeTableCell(labels.time(day.time)),
+      day.cells.length > 0 ? escapeTableCell(day.cells.map(labels.cell).join(' → ')) : '—',
+      day.regions.length > 0 ? escapeTableCell(day.regions.join(', ')) : '—',
+      day.notes.length > 0 ? day.notes.map(wikiLinkCell).join(', ') : '—',
+      last ? `Arrive at ${stop(day.end)}` : stop(day.end)
+    ];
+    lines.push(`| ${cells.join(' | ')} |`);
+  }
+  lines.push('');
   return lines.join('\n');
 }
 
 /**
- * Check whether note content carries this pin's ownership marker.
+ * Check whether note content carries the given ownership marker.
  * Reads the raw frontmatter block directly (deterministic — no dependency
  * on metadata cache freshness at decision time).
  */
-function isOwnedPartyNoteContent(content: string, pinId: string): boolean {
+function isOwnedNoteContent(content: string, markerKey: string, ownerId: string): boolean {
   const frontmatter = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
   if (!frontmatter) return false;
-  const markerLine = new RegExp(`^${PARTY_NOTE_MARKER_KEY}:\\s*(.+)$`, 'm').exec(frontmatter[1]);
-  return markerLine != null && markerLine[1].trim() === pinId;
+  const markerLine = new RegExp(`^${markerKey}:\\s*(.+)$`, 'm').exec(frontmatter[1]);
+  return markerLine != null && markerLine[1].trim() === ownerId;
+}
+
+/** Check whether note content carries this pin's ownership marker */
+function isOwnedPartyNoteContent(content: string, pinId: string): boolean {
+  return isOwnedNoteContent(content, PARTY_NOTE_MARKER_KEY, pinId);
 }
 
 /** Ensure the folder chain for a note path exists */
@@ -205,15 +352,18 @@ async function ensureParentFolder(app: App, notePath: string): Promise<void> {
 }
 
 /**
- * Create or update the pin's note with the given content.
+ * Create or update an owned note with the given content.
  * - Missing file (including manual deletion): recreated
- * - Existing file without this pin's marker: left untouched ('blocked')
+ * - Existing file without the owner's marker: left untouched ('blocked')
  * - Identical content: no write ('unchanged')
  */
-async function upsertPartyNote(app: App, pin: PartyPin, content: string): Promise<PartyNoteWriteResult> {
-  const path = pin.partyNote?.path;
-  if (path == null || path === '') return 'blocked';
-
+async function upsertOwnedNote(
+  app: App,
+  path: string,
+  markerKey: string,
+  ownerId: string,
+  content: string
+): Promise<PartyNoteWriteResult> {
   const existing = app.vault.getAbstractFileByPath(path);
   if (existing == null) {
     await ensureParentFolder(app, path);
@@ -223,13 +373,28 @@ async function upsertPartyNote(app: App, pin: PartyPin, content: string): Promis
   if (!(existing instanceof ObsidianTFile)) return 'blocked';
 
   const currentContent = await app.vault.read(existing);
-  if (!isOwnedPartyNoteContent(currentContent, pin.id)) return 'blocked';
+  if (!isOwnedNoteContent(currentContent, markerKey, ownerId)) return 'blocked';
   if (currentContent === content) return 'unchanged';
 
   await app.vault.modify(existing, content);
   return 'updated';
 }
 
+/** Create or update the pin's note with the given content (see upsertOwnedNote) */
+async function upsertPartyNote(app: App, pin: PartyPin, content: string): Promise<PartyNoteWriteResult> {
+  const path = pin.partyNote?.path;
+  if (path == null || path === '') return 'blocked';
+  return upsertOwnedNote(app, path, PARTY_NOTE_MARKER_KEY, pin.id, content);
+}
+
+/**
+ * Write a route's journey itinerary to `path`. A file there that another
+ * route or the user wrote is left untouched ('blocked').
+ */
+async function upsertJourneyNote(app: App, path: string, routeId: string, content: string): Promise<PartyNoteWriteResult> {
+  return upsertOwnedNote(app, path, JOURNEY_NOTE_MARKER_KEY, routeId, content);
+}
+
 /**
  * Trash the pin's note after verifying this pin generated it.
  * Uses fileManager.trashFile so the user's trash preference is honored.
@@ -250,10 +415,14 @@ async function deletePartyNote(app: App, pin: PartyPin): Promise<PartyNoteDelete
 
 export {
   PARTY_NOTE_MARKER_KEY,
+  JOURNEY_NOTE_MARKER_KEY,
   sanitizePartyNoteFileName,
   buildPartyNotePath,
   buildPartyNoteContent,
+  buildJourneyNotePath,
+  buildJourneyNoteContent,
   isOwnedPartyNoteContent,
   upsertPartyNote,
+  upsertJourneyNote,
   deletePartyNote,
 };
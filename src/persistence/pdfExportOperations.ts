@@ -0,0 +1,441 @@
+/**
+ * pdfExportOperations.ts
+ *
+ * Exports a grid map as a print-ready PDF at battlemap scale, tiled across
+ * Letter or A4 pages. Each page repeats a strip of its neighbors' art as an
+ * overlap margin for taping, carries crop marks and a page coordinate
+ * (columns A, B, C… by rows 1, 2, 3…), and is rendered locally with the
+ * same canvas pipeline as the PNG export. No external service is involved.
+ *
+ * Pages show what players see: fog is solid and GM-only content is hidden.
+ * An optional GM copy follows with fog removed and everything shown.
+ * Lighting is left out so prints stay readable.
+ */
+
+import type { App } from 'obsidian';
+import type { MapData } from '#types/core/map.types';
+import type { ExtendedGeometry } from '#types/contexts/context.types';
+import type { ExportResult, PdfExportOptions, PdfPaperSize } from '#types/core/export.types';
+
+import { TFile } from 'obsidian';
+import { getActiveLayer } from './layerAccessor';
+import { calculateContentBounds, renderMapToCanvas } from './exportOperations';
+
+const PDF_POINTS_PER_INCH = 72;
+
+/** Page sizes in points (portrait) */
+const PDF_PAPER_SIZES: Record<PdfPaperSize, { width: number; height: number }> = {
+  letter: { width: 612, height: 792 },
+  a4: { width: 595.28, height: 841.89 }
+};
+
+/** Unprinted border most printers need, in inches */
+const PDF_PAGE_MARGIN_IN = 0.5;
+
+/** Art repeated from the next page over, for lining pages up, in inches */
+const PDF_OVERLAP_IN = 0.25;
+
+/** Raster resolution of the printed map */
+const PDF_DPI = 150;
+
+const PDF_JPEG_QUALITY = 0.92;
+
+const CROP_MARK_LENGTH_PT = 12;
+const CROP_MARK_GAP_PT = 3;
+const CAPTION_FONT_SIZE_PT = 8;
+
+const DEFAULT_PDF_OPTIONS: PdfExportOptions = {
+  paper: 'letter',
+  inchesPerCell: 1,
+  includeGmCopy: false
+};
+
+/** One printed page's share of the map */
+interface PdfPageTile {
+  /** Page coordinate, e.g. "B2" */
+  label: string;
+  column: number;
+  row: number;
+  /** Printed area in cells, from the exported area's top-left corner */
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+interface PdfLayout {
+  /** Page size in points */
+  pageWidth: number;
+  pageHeight: number;
+  columns: number;
+  rows: number;
+  tiles: PdfPageTile[];
+}
+
+/** A finished page: drawing operators plus the map image they place */
+interface PdfPage {
+  width: number;
+  height: number;
+  content: string;
+  image: { data: Uint8Array; width: number; height: number };
+}
+
+function num(value: number): string {
+  return String(Math.round(value * 100) / 100);
+}
+
+/** Column letters like spreadsheet columns: A…Z, AA, AB… */
+function columnLetters(index: number): string {
+  let label = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
+  }
+  return label;
+}
+
+/** A PDF literal string; the built-in font only covers ASCII */
+function pdfString(text: string): string {
+  const ascii = text.replace(/[^\x20-\x7e]/g, '?');
+  return '(' + ascii.replace(/[\\()]/g, ch => '\\' + ch) + ')';
+}
+
+// ===========================================
+// Page Layout
+// ===========================================
+
+function countPages(cells: number, printable: number, step: number): number {
+  return cells <= printable ? 1 : Math.ceil((cells - printable) / step - 1e-9) + 1;
+}
+
+/**
+ * Split a cols × rows area into pages. Pages advance by the printable size
+ * less the overlap, so neighbors share an overlap-wide strip of art.
+ */
+function layoutPdfPages(cols: number, rows: number, options: PdfExportOptions): PdfLayout {
+  const { width: pageWidth, height: pageHeight } = PDF_PAPER_SIZES[options.paper];
+  const cellsPerInch = 1 / options.inchesPerCell;
+  const printableW = (pageWidth / PDF_POINTS_PER_INCH - 2 * PDF_PAGE_MARGIN_IN) * cellsPerInch;
+  const printableH = (pageHeight / PDF_POINTS_PER_INCH - 2 * PDF_PAGE_MARGIN_IN) * cellsPerInch;
+  const stepX = printableW - PDF_OVERLAP_IN * cellsPerInch;
+  const stepY = printableH - PDF_OVERLAP_IN * cellsPerInch;
+  const columns = countPages(cols, printableW, stepX);
+  const pageRows = countPages(rows, printableH, stepY);
+
+  const tiles: PdfPageTile[] = [];
+  for (let row = 0; row < pageRows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const x = column * stepX;
+      const y = row * stepY;
+      tiles.push({
+        label: `${columnLetters(column)}${row + 1}`,
+        column,
+        row,
+        x,
+        y,
+        width: Math.min(printableW, cols - x),
+        height: Math.min(printableH, rows - y)
+      });
+    }
+  }
+
+  return { pageWidth, pageHeight, columns, rows: pageRows, tiles };
+}
+
+/**
+ * Drawing operators for one page: the map image (as /Im0) in the top-left
+ * of the printable area, crop marks at its corners, overlap ticks where the
+ * next page's art begins, and a caption in the bottom margin.
+ */
+function buildPdfPageContent(
+  tile: PdfPageTile,
+  layout: PdfLayout,
+  options: PdfExportOptions,
+  caption: string
+): string {
+  const pointsPerCell = options.inchesPerCell * PDF_POINTS_PER_INCH;
+  const margin = PDF_PAGE_MARGIN_IN * PDF_POINTS_PER_INCH;
+  const overlap = PDF_OVERLAP_IN * PDF_POINTS_PER_INCH;
+  const w = tile.width * pointsPerCell;
+  const h = tile.height * pointsPerCell;
+  const left = margin;
+  const right = margin + w;
+  const top = layout.pageHeight - margin;
+  const bottom = top - h;
+
+  const ops = [
+    `q ${num(w)} 0 0 ${num(h)} ${num(left)} ${num(bottom)} cm /Im0 Do Q`,
+    `q 0.5 w 0 G`
+  ];
+  const line = (x1: number, y1: number, x2: number, y2: number): void => {
+    ops.push(`${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+  };
+
+  // Crop marks: short lines out from each corner, clear of the art
+  const gap = CROP_MARK_GAP_PT;
+  const len = CROP_MARK_LENGTH_PT;
+  for (const x of [left, right]) {
+    const out = x === left ? -1 : 1;
+    for (const y of [bottom, top]) {
+      const up = y === top ? 1 : -1;
+      line(x + out * gap, y, x + out * (gap + len), y);
+      line(x, y + up * gap, x, y + up * (gap + len));
+    }
+  }
+
+  // Overlap ticks: the next page's art starts here
+  if (tile.column < layout.columns - 1) {
+    const x = right - overlap;
+    line(x, top + gap, x, top + gap + len / 2);
+    line(x, bottom - gap, x, bottom - gap - len / 2);
+  }
+  if (tile.row < layout.rows - 1) {
+    const y = bottom + overlap;
+    line(left - gap, y, left - gap - len / 2, y);
+    line(right + gap, y, right + gap + len / 2, y);
+  }
+  ops.push('Q');
+
+  // Caption just under the art, clear of the corner's crop mark
+  const captionX = left + gap + len;
+  const captionY = bottom - gap - CAPTION_FONT_SIZE_PT - 2;
+  ops.push(`BT /F1 ${CAPTION_FONT_SIZE_PT} Tf ${num(captionX)} ${num(captionY)} Td ${pdfString(caption)} Tj ET`);
+
+  return ops.join('\n');
+}
+
+// ===========================================
+// PDF Document
+// ===========================================
+
+/**
+ * Assemble a PDF from pages whose images are baseline JPEGs.
+ * Objects: 1 catalog, 2 page tree, 3 font, 4 info, then page, content and
+ * image objects for each page in turn.
+ */
+function buildPdfDocument(pages: PdfPage[], title: string): Uint8Array {
+  const chunks: Uint8Array[] = [];
+  const offsets: number[] = [];
+  let length = 0;
+
+  const write = (part: string | Uint8Array): void => {
+    let bytes: Uint8Array;
+    if (typeof part === 'string') {
+      bytes = new Uint8Array(part.length);
+      for (let i = 0; i < part.length; i++) bytes[i] = part.charCodeAt(i) & 0xff;
+    } else {
+      bytes = part;
+    }
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const writeObject = (id: number, body: string): void => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${body}\nendobj\n`);
+  };
+  const writeStream = (id: number, dict: string, data: string | Uint8Array): void => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n<< ${dict} /Length ${data.length} >>\nstream\n`);
+    write(data);
+    write('\nendstream\nendobj\n');
+  };
+
+  const pageId = (index: number): number => 5 + index * 3;
+
+  write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+  writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  writeObject(2, `<< /Type /Pages /Kids [${pages.map((_, i) => `${pageId(i)} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  writeObject(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  writeObject(4, `<< /Title ${pdfString(title)} /Producer (Windrose) >>`);
+
+  pages.forEach((page, i) => {
+    const id = pageId(i);
+    writeObject(id,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+      `/Resources << /Font << /F1 3 0 R >> /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`
+    );
+    writeStream(id + 1, '', page.content);
+    writeStream(id + 2,
+      `/Type /XObject /Subtype /Image /Width ${page.image.width} /Height ${page.image.height} ` +
+      '/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode',
+      page.image.data
+    );
+  });
+
+  const size = pageId(pages.length);
+  const xrefOffset = length;
+  write(`xref\n0 ${size}\n0000000000 65535 f \n`);
+  for (let id = 1; id < size; id++) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${size} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let at = 0;
+  for (const chunk of chunks) {
+    pdf.set(chunk, at);
+    at += chunk.length;
+  }
+  return pdf;
+}
+
+// ===========================================
+// Rendering
+// ===========================================
+
+/**
+ * Render part of a grid map as a JPEG. `center` is in cells, which is how
+ * the renderer frames grid views.
+ */
+async function renderPdfImage(
+  mapData: MapData,
+  geometry: ExtendedGeometry,
+  center: { x: number; y: number },
+  width: number,
+  height: number,
+  pixelsPerCell: number,
+  playerView: boolean
+): Promise<PdfPage['image']> {
+  const framed: MapData = {
+    ...mapData,
+    viewState: { zoom: pixelsPerCell / geometry.cellSize, center }
+  };
+
+  const canvas = activeWindow.createEl('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new Error('Failed to create canvas context');
+  }
+  renderMapToCanvas(ctx, {
+    mapData: framed,
+    geometry,
+    bounds: { minX: 0, minY: 0, maxX: width, maxY: height },
+    width,
+    height,
+    playerView
+  });
+
+  const blob = await new Promise<Blob>((resolve, reject) => {
+    canvas.toBlob((result) => {
+      if (result) {
+        resolve(result);
+      } else {
+        reject(new Error('Failed to create page image'));
+      }
+    }, 'image/jpeg', PDF_JPEG_QUALITY);
+  });
+  return { data: new Uint8Array(await blob.arrayBuffer()), width, height };
+}
+
+/**
+ * Build a tiled, print-scale PDF of the active layer of a grid map
+ */
+async function exportMapAsPdf(
+  mapData: MapData,
+  geometry: ExtendedGeometry,
+  options: PdfExportOptions = DEFAULT_PDF_OPTIONS
+): Promise<Uint8Array> {
+  if (geometry.type !== 'grid') {
+    throw new Error('PDF export supports grid maps only');
+  }
+
+  const layer = getActiveLayer(mapData);
+  const bounds = calculateContentBounds(layer, geometry);
+  if (!bounds) {
+    throw new Error('No content to export');
+  }
+
+  const size = geometry.cellSize;
+  const minCol = Math.floor(bounds.minX / size);
+  const minRow = Math.floor(bounds.minY / size);
+  const cols = Math.ceil(bounds.maxX / size) - minCol;
+  const rows = Math.ceil(bounds.maxY / size) - minRow;
+
+  const layout = layoutPdfPages(cols, rows, options);
+  const pixelsPerCell = PDF_DPI * options.inchesPerCell;
+  const mapName = mapData.name ?? 'Map';
+
+  // Prints are static, so lighting is left out
+  const printable: MapData = {
+    ...mapData,
+    northDirection: 0,
+    settings: mapData.settings ? { ...mapData.settings, ambientDarkness: 0 } : mapData.settings
+  };
+  const copies = [{ mapData: printable, playerView: true, suffix: '' }];
+  if (options.includeGmCopy) {
+    copies.push({
+      mapData: { ...printable, layers: printable.layers.map(l => ({ ...l, fogOfWar: null })) },
+      playerView: false,
+      suffix: ' - GM copy'
+    });
+  }
+
+  const scale = `1 cell = ${num(options.inchesPerCell)} in`;
+  const pages: PdfPage[] = [];
+  for (const copy of copies) {
+    for (const tile of layout.tiles) {
+      const image = await renderPdfImage(
+        copy.mapData,
+        geometry,
+        { x: minCol + tile.x + tile.width / 2, y: minRow + tile.y + tile.height / 2 },
+        Math.round(tile.width * pixelsPerCell),
+        Math.round(tile.height * pixelsPerCell),
+        pixelsPerCell,
+        copy.playerView
+      );
+      const caption = `${mapName}${copy.suffix} - page ${tile.label} ` +
+        `(column ${tile.column + 1} of ${layout.columns}, row ${tile.row + 1} of ${layout.rows}) - ${scale}`;
+      pages.push({
+        width: layout.pageWidth,
+        height: layout.pageHeight,
+        content: buildPdfPageContent(tile, layout, options, caption),
+        image
+      });
+    }
+  }
+
+  return buildPdfDocument(pages, mapName);
+}
+
+/**
+ * Save a PDF export to the vault root
+ */
+async function saveMapPdfToVault(
+  app: App,
+  mapData: MapData,
+  geometry: ExtendedGeometry,
+  options: PdfExportOptions = DEFAULT_PDF_OPTIONS,
+  filename?: string
+): Promise<ExportResult> {
+  try {
+    const pdf = await exportMapAsPdf(mapData, geometry, options);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const mapName = mapData.name ?? 'map';
+    const safeName = (filename ?? `${mapName}-${timestamp}.pdf`).replace(/[\\/:*?"<>|]/g, '_');
+
+    const data = pdf.buffer.slice(pdf.byteOffset, pdf.byteOffset + pdf.byteLength) as ArrayBuffer;
+    const existingFile = app.vault.getAbstractFileByPath(safeName);
+    if (existingFile instanceof TFile) {
+      await app.vault.modifyBinary(existingFile, data);
+    } else {
+      await app.vault.createBinary(safeName, data);
+    }
+
+    return { success: true, path: safeName };
+  } catch (error) {
+    console.error('[pdfExportOperations] Export failed:', error);
+    return { success: false, error: (error as Error).message };
+  }
+}
+
+export {
+  DEFAULT_PDF_OPTIONS,
+  layoutPdfPages,
+  buildPdfPageContent,
+  buildPdfDocument,
+  exportMapAsPdf,
+  saveMapPdfToVault
+};
+export type { PdfPageTile, PdfLayout, PdfPage };
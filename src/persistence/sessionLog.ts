@@ -0,0 +1,121 @@
+/**
+ * sessionLog.ts
+ *
+ * A layer's session log: a timestamped record of fog reveals and player
+ * token moves, kept on the layer so it is saved with the map. Replay walks
+ * the log backwards from the layer as it is now, so the log only has to
+ * hold what changed, never full snapshots.
+ *
+ * Replay is approximate by design: objects added or deleted since an entry
+ * was logged show as they are now, and fog the GM painted back over a cell
+ * is only undone when that cell was revealed again later.
+ */
+
+import type { MapLayer, FoggedCell } from '#types/core/map.types';
+import type { MapObject } from '#types/objects/object.types';
+import type { SessionLogEntry, SessionRevealEntry } from '#types/core/sessionLog.types';
+
+/** Oldest entries are dropped past this, so a long campaign can't bloat the map file */
+const MAX_SESSION_LOG_ENTRIES = 2000;
+
+/**
+ * GM reveals closer together than this fold into one entry, so an erase
+ * stroke logs once rather than once per cell.
+ */
+const REVEAL_MERGE_WINDOW_MS = 5000;
+
+function cellKey(cell: FoggedCell): string {
+  return `${cell.col},${cell.row}`;
+}
+
+function isGmReveal(entry: SessionLogEntry | undefined): entry is SessionRevealEntry {
+  return entry?.kind === 'reveal' && entry.objectId == null;
+}
+
+/**
+ * Append an entry, folding it into the previous one when both are GM
+ * reveals inside the merge window. Returns a new array.
+ */
+function appendSessionLog(log: SessionLogEntry[] | undefined, entry: SessionLogEntry): SessionLogEntry[] {
+  const entries = log ?? [];
+  const last = entries[entries.length - 1];
+
+  if (isGmReveal(entry) && isGmReveal(last) && entry.at - last.at <= REVEAL_MERGE_WINDOW_MS) {
+    const seen = new Set(last.cells.map(cellKey));
+    const merged: SessionRevealEntry = {
+      ...last,
+      cells: [...last.cells, ...entry.cells.filter(c => !seen.has(cellKey(c)))]
+    };
+    return [...entries.slice(0, -1), merged];
+  }
+
+  const next = [...entries, entry];
+  return next.length > MAX_SESSION_LOG_ENTRIES ? next.slice(next.length - MAX_SESSION_LOG_ENTRIES) : next;
+}
+
+/** A layer with an entry appended to its session log. */
+function appendLayerSessionLog(layer: MapLayer, entry: SessionLogEntry): MapLayer {
+  return { ...layer, sessionLog: appendSessionLog(layer.sessionLog, entry) };
+}
+
+/**
+ * The layer as it stood after the first `step` log entries: cells revealed
+ * by later entries are fogged again, and tokens moved by later entries are
+ * put back where their first later move started. `step` at or past the log's
+ * length returns the layer unchanged.
+ */
+function getSessionReplayLayer(layer: MapLayer, step: number): MapLayer {
+  const log = layer.sessionLog ?? [];
+  if (step >= log.length) return layer;
+  const later = log.slice(Math.max(step, 0));
+
+  const startPositions = new Map<string, Pick<MapObject, 'position' | 'worldPosition'>>();
+  const refogged = new Map<string, FoggedCell>();
+  for (const entry of later) {
+    if (entry.kind === 'move') {
+      if (!startPositions.has(entry.objectId)) {
+        startPositions.set(entry.objectId, { position: entry.from, worldPosition: entry.fromWorld });
+      }
+    } else {
+      for (const cell of entry.cells) refogged.set(cellKey(cell), cell);
+    }
+  }
+
+  const objects = startPositions.size === 0 ? layer.objects : layer.objects.map(obj => {
+    const start = startPositions.get(obj.id);
+    if (!start) return obj;
+    return {
+      ...obj,
+      position: start.position,
+      ...(start.worldPosition != null ? { worldPosition: start.worldPosition } : {})
+    };
+  });
+
+  let fogOfWar = layer.fogOfWar;
+  if (fogOfWar != null && refogged.size > 0) {
+    const fogged = new Set(fogOfWar.foggedCells.map(cellKey));
+    const foggedCells = [...fogOfWar.foggedCells, ...[...refogged.values()].filter(c => !fogged.has(cellKey(c)))];
+    const exploredCells = fogOfWar.exploredCells?.filter(c => !refogged.has(cellKey(c)));
+    fogOfWar = { ...fogOfWar, enabled: true, foggedCells, ...(exploredCells ? { exploredCells } : {}) };
+  }
+
+  return { ...layer, objects, fogOfWar };
+}
+
+/** One-line description of an entry, for the replay bar and the recap note. */
+function describeSessionEntry(entry: SessionLogEntry): string {
+  const name = entry.label != null && entry.label !== '' ? entry.label : 'A token';
+  if (entry.kind === 'move') return `${name} moved`;
+  const count = entry.cells.length;
+  const cells = `${count} ${count === 1 ? 'cell' : 'cells'}`;
+  return entry.objectId != null ? `${name} revealed ${cells}` : `The GM revealed ${cells}`;
+}
+
+export {
+  MAX_SESSION_LOG_ENTRIES,
+  REVEAL_MERGE_WINDOW_MS,
+  appendSessionLog,
+  appendLayerSessionLog,
+  getSessionReplayLayer,
+  describeSessionEntry
+};
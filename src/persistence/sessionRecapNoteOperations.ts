@@ -0,0 +1,140 @@
+/**
+ * sessionRecapNoteOperations.ts
+ *
+ * Writes a layer's session log out as a recap note: one heading per day,
+ * one timestamped line per reveal or move, and a deep link to where each
+ * token ended up.
+ *
+ * Every export is a new note. It is never overwritten: if the path is taken,
+ * the next free "<name> N.md" is used instead.
+ */
+
+import type { App } from 'obsidian';
+import type { MapType } from '#types/core/map.types';
+import type { SessionLogEntry } from '#types/core/sessionLog.types';
+
+import { normalizePath } from 'obsidian';
+import { describeSessionEntry } from './sessionLog';
+import { generateDeepLink } from './deepLinkHandler';
+
+/** Frontmatter key recording the map a recap note belongs to */
+const SESSION_RECAP_NOTE_MARKER_KEY = 'windrose-session-recap';
+
+/** Deeplink zoom used for moves — close enough to see the token */
+const RECAP_DEEP_LINK_ZOOM = 1.5;
+
+/** Context about the map and layer the log came from */
+export interface SessionRecapNoteContext {
+  mapId: string;
+  mapName: string;
+  mapType: MapType;
+  /** Path of the note hosting the map; '' when unknown (no deeplinks) */
+  mapNotePath: string;
+  /** Layer the log belongs to, for deeplinks */
+  layerId: string;
+}
+
+function pad(n: number): string {
+  return String(n).padStart(2, '0');
+}
+
+/** Local calendar date, "YYYY-MM-DD" */
+function formatDate(at: number): string {
+  const d = new Date(at);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** Local time of day, "HH:MM" */
+function formatTime(at: number): string {
+  const d = new Date(at);
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * Make a map name safe to use as a note file name.
+ * Falls back to 'Map' when nothing survives.
+ */
+function sanitizeRecapNoteFileName(name: string): string {
+  const cleaned = name
+    .replace(/[\\/:*?"<>|#^[\]]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return cleaned === '' ? 'Map' : cleaned;
+}
+
+/**
+ * Path for a recap note: "<map name> - Session <date>.md" beside the note
+ * hosting the map, or in the vault root when there is none.
+ */
+function buildSessionRecapNotePath(mapNotePath: string, mapName: string, at: number): string {
+  const fileName = `${sanitizeRecapNoteFileName(mapName)} - Session ${formatDate(at)}.md`;
+  const lastSlash = mapNotePath.lastIndexOf('/');
+  const folder = lastSlash === -1 ? '' : mapNotePath.slice(0, lastSlash);
+  return normalizePath(folder === '' ? fileName : `${folder}/${fileName}`);
+}
+
+/**
+ * Render the recap note's markdown. Pure; times are local.
+ */
+function buildSessionRecapNoteContent(entries: SessionLogEntry[], context: SessionRecapNoteContext): string {
+  const lines: string[] = [];
+  lines.push('---');
+  lines.push(`${SESSION_RECAP_NOTE_MARKER_KEY}: ${context.mapId}`);
+  lines.push('---');
+  lines.push('');
+
+  const hasDeepLinks = context.mapNotePath !== '';
+  const mapName = context.mapName !== '' ? `**${context.mapName}**` : 'the map';
+  const hostLink = hasDeepLinks ? `, mapped in [[${context.mapNotePath.replace(/\.md$/, '')}]]` : '';
+  lines.push(`Session recap for ${mapName}${hostLink}.`);
+
+  let day = '';
+  for (const entry of entries) {
+    const entryDay = formatDate(entry.at);
+    if (entryDay !== day) {
+      day = entryDay;
+      lines.push('');
+      lines.push(`## ${day}`);
+      lines.push('');
+    }
+
+    let line = `- **${formatTime(entry.at)}** ${describeSessionEntry(entry)}`;
+    if (entry.kind === 'move' && hasDeepLinks) {
+      // Grid positions name a cell's corner; hex positions are already centers
+      const offset = context.mapType === 'hex' ? 0 : 0.5;
+      const url = generateDeepLink(
+        context.mapNotePath, context.mapId,
+        entry.to.x + offset, entry.to.y + offset,
+        RECAP_DEEP_LINK_ZOOM, context.layerId
+      );
+      line += ` ([show](${url}))`;
+    }
+    lines.push(line);
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Create the recap note at the first free path from `path` ("… .md",
+ * "… 2.md", …). Existing notes are never touched; the folder is the host
+ * note's, so it already exists.
+ * @returns The path the note was written to
+ */
+async function createSessionRecapNote(app: App, path: string, content: string): Promise<string> {
+  const base = path.replace(/\.md$/, '');
+  let candidate = path;
+  for (let n = 2; app.vault.getAbstractFileByPath(candidate) != null; n++) {
+    candidate = `${base} ${n}.md`;
+  }
+  await app.vault.create(candidate, content);
+  return candidate;
+}
+
+export {
+  SESSION_RECAP_NOTE_MARKER_KEY,
+  buildSessionRecapNotePath,
+  buildSessionRecapNoteContent,
+  createSessionRecapNote,
+};
@@ -0,0 +1,863 @@
+/**
+ * svgExportOperations.ts
+ *
+ * Exports a map as an SVG document in world units, so it prints at any size,
+ * opens for editing in Inkscape and embeds crisply in published PDFs.
+ *
+ * - Painted cells (segments and borders included), edges, curves, hex
+ *   regions and outlines are vector shapes; objects and text labels are
+ *   text glyphs in the fonts the canvas uses.
+ * - Tile art and image objects are embedded as base64 image elements,
+ *   seated exactly where the canvas draws them.
+ * - Each composited map layer becomes an Inkscape layer.
+ *
+ * Covers what the canvas composites for the active board. Fog, lighting, the
+ * background image, wall path textures and terrain brush strokes are raster
+ * effects and are left out.
+ */
+
+import type { App } from 'obsidian';
+import type { MapData, MapLayer } from '#types/core/map.types';
+import type { BoundingBox } from '#types/core/geometry.types';
+import type { Cell } from '#types/core/cell.types';
+import type { ObjectTypeDefinition } from '#types/objects/object.types';
+import type { TileAssignment, TileEntry, TilesetDef, TileMetadataStore } from '#types/tiles/tile.types';
+import type { ExtendedGeometry, ExtendedHexGeometry } from '#types/contexts/context.types';
+import type { ExportResult, ExportTheme, SvgImageSource } from '#types/core/export.types';
+
+import { TFile, arrayBufferToBase64 } from 'obsidian';
+import { isGridCell } from '#types/core/cell.types';
+import { SEGMENT_TRIANGLES } from '../core/dmtConstants';
+import { getActiveLayer, getRenderLayers } from './layerAccessor';
+import { getExportTheme } from './exportOperations';
+import { getTileMetadataForRender } from './tileMetadata';
+import { getCellColor } from '../drawing/colorOperations';
+import { buildCellLookup, calculateBordersOptimized } from '../drawing/borderCalculator';
+import { getInternalBorders, getExternalBorders } from '../drawing/segmentBorderCalculator';
+import { buildCellMap } from '../geometry/core/cellAccessor';
+import { segmentRenderer } from '../geometry/renderers/segmentRenderer';
+import { computeTilePlacement, sortTilesForRendering } from '../geometry/renderers/tileRenderer';
+import { computeBoundaryEdges, computeCentroid } from '../geometry/renderers/regionRenderer';
+import { findEnclosedHexes } from '../geometry/renderers/outlineRenderer';
+import { calculateObjectPosition } from '../geometry/renderers/objectRenderer';
+import { resolveTileRender } from '../assets/tileRenderResolution';
+import { readTileImageBinary, resolveTileEntry } from '../assets/tilesetOperations';
+import { getObjectType, getRenderChar } from '../objects/objectTypeResolver';
+import { getObjectsInCell, getSlotOffset, getMultiObjectScale } from '../objects/hexSlotPositioner';
+import { getFontCss } from '../text/fontOptions';
+
+/** Empty cells kept around the content */
+const SVG_MARGIN_CELLS = 1;
+
+/** Rough glyph advance in ems, for the extent of text we can't measure */
+const SVG_TEXT_WIDTH_EM = 0.6;
+
+/** Tile depth tiers, back to front (as the canvas draws them) */
+const TILE_DEPTH_ORDER = ['ground', 'structure', 'props', 'decoration'] as const;
+
+const OBJECT_SYMBOL_FONT = "'Noto Emoji', 'Noto Sans Symbols 2', monospace";
+
+const OUTLINE_DASH: Record<string, string | undefined> = { dashed: '12 6', dotted: '0.5 8' };
+
+const IMAGE_MIME_TYPES: Record<string, string> = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  avif: 'image/avif',
+  svg: 'image/svg+xml'
+};
+
+interface SvgExportOptions {
+  theme: ExportTheme;
+  getObjectType: (typeId: string) => ObjectTypeDefinition | null;
+  /** Embedded images by vault path; tiles and image objects without one are left out */
+  images?: Map<string, SvgImageSource>;
+  /** Per-tile metadata (terrain fills, footprints); defaults to the renderer's store */
+  tileMetadata?: TileMetadataStore;
+}
+
+/** Elements emitted so far and the world rectangle they cover */
+interface SvgDocument {
+  defs: string[];
+  body: string[];
+  bounds: BoundingBox | null;
+}
+
+function num(value: number): string {
+  return String(Math.round(value * 100) / 100);
+}
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function extendBounds(doc: SvgDocument, minX: number, minY: number, maxX: number, maxY: number): void {
+  if (doc.bounds == null) {
+    doc.bounds = { minX, minY, maxX, maxY };
+    return;
+  }
+  doc.bounds.minX = Math.min(doc.bounds.minX, minX);
+  doc.bounds.minY = Math.min(doc.bounds.minY, minY);
+  doc.bounds.maxX = Math.max(doc.bounds.maxX, maxX);
+  doc.bounds.maxY = Math.max(doc.bounds.maxY, maxY);
+}
+
+function extendBoundsByPoints(doc: SvgDocument, points: Array<{ x: number; y: number }>): void {
+  for (const p of points) extendBounds(doc, p.x, p.y, p.x, p.y);
+}
+
+function opacityAttr(name: string, opacity: number | undefined): string {
+  return opacity != null && opacity < 1 ? ` ${name}="${num(opacity)}"` : '';
+}
+
+/** Closed polygon path data */
+function polygonPath(points: Array<{ x: number; y: number }>): string {
+  return points.map((p, i) => `${i === 0 ? 'M' : 'L'}${num(p.x)} ${num(p.y)}`).join('') + 'Z';
+}
+
+function hexPoints(geometry: ExtendedHexGeometry, q: number, r: number): Array<{ x: number; y: number }> {
+  return geometry.getHexVertices(q, r).map(v => ({ x: v.worldX, y: v.worldY }));
+}
+
+function imageElement(
+  image: SvgImageSource,
+  rect: { drawX: number; drawY: number; drawWidth: number; drawHeight: number },
+  extra = ''
+): string {
+  return `<image xlink:href="${image.href}" x="${num(rect.drawX)}" y="${num(rect.drawY)}" ` +
+    `width="${num(rect.drawWidth)}" height="${num(rect.drawHeight)}" preserveAspectRatio="none"${extra}/>`;
+}
+
+/** Transform turning (and mirroring) an element about a point, or '' */
+function rotateAbout(cx: number, cy: number, rotation: number, flipH = false): string {
+  if (rotation === 0 && !flipH) return '';
+  const parts = [`translate(${num(cx)} ${num(cy)})`];
+  if (rotation !== 0) parts.push(`rotate(${num(rotation)})`);
+  if (flipH) parts.push('scale(-1 1)');
+  parts.push(`translate(${num(-cx)} ${num(-cy)})`);
+  return ` transform="${parts.join(' ')}"`;
+}
+
+// ===========================================
+// Cells and Edges
+// ===========================================
+
+function addCells(doc: SvgDocument, layer: MapLayer, geometry: ExtendedGeometry, theme: ExportTheme): void {
+  if (layer.cells.length === 0) return;
+
+  // One path per (color, opacity), like the canvas batches its fills
+  const fills = new Map<string, { color: string; opacity: number; d: string[] }>();
+  const addFill = (cell: Cell, d: string): void => {
+    const color = getCellColor(cell);
+    const opacity = cell.opacity ?? 1;
+    const key = `${opacity}|${color}`;
+    let group = fills.get(key);
+    if (group == null) {
+      group = { color, opacity, d: [] };
+      fills.set(key, group);
+    }
+    group.d.push(d);
+  };
+
+  if (geometry.type === 'hex') {
+    for (const cell of layer.cells) {
+      if (isGridCell(cell)) continue;
+      const points = hexPoints(geometry, cell.q, cell.r);
+      addFill(cell, polygonPath(points));
+      extendBoundsByPoints(doc, points);
+    }
+  } else {
+    const size = geometry.cellSize;
+    const { simpleCells, segmentCells } = segmentRenderer.separateCellsByType(layer.cells);
+    for (const cell of simpleCells) {
+      if (!isGridCell(cell)) continue;
+      addFill(cell, `M${num(cell.x * size)} ${num(cell.y * size)}h${num(size)}v${num(size)}h${num(-size)}Z`);
+    }
+    for (const cell of segmentCells) {
+      const vertices = segmentRenderer.getCellVertices(cell.x * size, cell.y * size, size);
+      for (const name of Object.keys(cell.segments) as Array<keyof typeof cell.segments>) {
+        if (cell.segments[name] !== true) continue;
+        addFill(cell, polygonPath(SEGMENT_TRIANGLES[name].map(v => vertices[v])));
+      }
+    }
+    for (const cell of layer.cells) {
+      if (isGridCell(cell)) {
+        extendBounds(doc, cell.x * size, cell.y * size, (cell.x + 1) * size, (cell.y + 1) * size);
+      }
+    }
+  }
+
+  for (const group of fills.values()) {
+    doc.body.push(`<path d="${group.d.join('')}" fill="${escapeXml(group.color)}"${opacityAttr('fill-opacity', group.opacity)}/>`);
+  }
+
+  if (geometry.type === 'grid') {
+    addInteriorGridLines(doc, layer.cells, geometry.cellSize, theme);
+    addCellBorders(doc, layer.cells, geometry, theme);
+  }
+}
+
+/** Lighter grid lines between neighboring painted cells */
+function addInteriorGridLines(doc: SvgDocument, cells: Cell[], size: number, theme: ExportTheme): void {
+  const painted = new Set<string>();
+  for (const cell of cells) {
+    if (isGridCell(cell)) painted.add(`${cell.x},${cell.y}`);
+  }
+
+  const d: string[] = [];
+  for (const cell of cells) {
+    if (!isGridCell(cell)) continue;
+    const x = cell.x * size;
+    const y = cell.y * size;
+    if (painted.has(`${cell.x + 1},${cell.y}`)) d.push(`M${num(x + size)} ${num(y)}v${num(size)}`);
+    if (painted.has(`${cell.x},${cell.y + 1}`)) d.push(`M${num(x)} ${num(y + size)}h${num(size)}`);
+  }
+  if (d.length === 0) return;
+
+  const width = Math.max(1, (theme.grid.lineWidth ?? 1) * 0.5);
+  doc.body.push(`<path d="${d.join('')}" fill="none" stroke="${escapeXml(theme.grid.lines)}" stroke-width="${num(width)}"/>`);
+}
+
+/** Outer borders of painted areas, segment diagonals included */
+function addCellBorders(doc: SvgDocument, cells: Cell[], geometry: ExtendedGeometry, theme: ExportTheme): void {
+  const size = geometry.cellSize;
+  const lookup = buildCellLookup(cells);
+  const { simpleCells, segmentCells } = segmentRenderer.separateCellsByType(cells);
+  const d: string[] = [];
+
+  for (const cell of simpleCells) {
+    if (!isGridCell(cell)) continue;
+    const x = cell.x * size;
+    const y = cell.y * size;
+    for (const side of calculateBordersOptimized(lookup, cell.x, cell.y)) {
+      switch (side) {
+        case 'top': d.push(`M${num(x)} ${num(y)}h${num(size)}`); break;
+        case 'bottom': d.push(`M${num(x)} ${num(y + size)}h${num(size)}`); break;
+        case 'left': d.push(`M${num(x)} ${num(y)}v${num(size)}`); break;
+        case 'right': d.push(`M${num(x + size)} ${num(y)}v${num(size)}`); break;
+      }
+    }
+  }
+
+  if (segmentCells.length > 0) {
+    const cellMap = buildCellMap(cells, geometry);
+    for (const cell of segmentCells) {
+      const vertices = segmentRenderer.getCellVertices(cell.x * size, cell.y * size, size);
+      for (const { from, to } of getInternalBorders(cell)) {
+        d.push(`M${num(vertices[from].x)} ${num(vertices[from].y)}L${num(vertices[to].x)} ${num(vertices[to].y)}`);
+      }
+      for (const { segment } of getExternalBorders(cell, cellMap, geometry)) {
+        const [, a, b] = SEGMENT_TRIANGLES[segment];
+        d.push(`M${num(vertices[a].x)} ${num(vertices[a].y)}L${num(vertices[b].x)} ${num(vertices[b].y)}`);
+      }
+    }
+  }
+
+  if (d.length === 0) return;
+  doc.body.push(
+    `<path d="${d.join('')}" fill="none" stroke="${escapeXml(theme.cells.border)}" ` +
+    `stroke-width="${num(theme.cells.borderWidth)}" stroke-linecap="square"/>`
+  );
+}
+
+function addEdges(doc: SvgDocument, layer: MapLayer, size: number, theme: ExportTheme): void {
+  // Same default thickness as the canvas: a little heavier than grid lines
+  const autoWidth = Math.min(2.5, theme.cells.borderWidth);
+  const strokes = new Map<string, { color: string; width: number; opacity: number; d: string[] }>();
+
+  for (const edge of layer.edges) {
+    if (edge == null || typeof edge.x !== 'number' || typeof edge.y !== 'number' || edge.color == null) continue;
+    const width = typeof edge.width === 'number' && edge.width > 0 ? edge.width : autoWidth;
+    const opacity = edge.opacity ?? 1;
+    const key = `${edge.color}|${width}|${opacity}`;
+    let group = strokes.get(key);
+    if (group == null) {
+      group = { color: edge.color, width, opacity, d: [] };
+      strokes.set(key, group);
+    }
+    const x = edge.x * size;
+    const y = edge.y * size;
+    if (edge.side === 'right') {
+      group.d.push(`M${num(x + size)} ${num(y)}v${num(size)}`);
+    } else if (edge.side === 'bottom') {
+      group.d.push(`M${num(x)} ${num(y + size)}h${num(size)}`);
+    }
+    extendBounds(doc, x, y, x + size, y + size);
+  }
+
+  for (const group of strokes.values()) {
+    doc.body.push(
+      `<path d="${group.d.join('')}" fill="none" stroke="${escapeXml(group.color)}" ` +
+      `stroke-width="${num(group.width)}" stroke-linecap="square"${opacityAttr('stroke-opacity', group.opacity)}/>`
+    );
+  }
+}
+
+// ===========================================
+// Curves
+// ===========================================
+
+function addCurves(doc: SvgDocument, layer: MapLayer, theme: ExportTheme): void {
+  for (const curve of layer.curves) {
+    const [sx, sy] = curve.start;
+    let d = `M${num(sx)} ${num(sy)}`;
+    const points = [{ x: sx, y: sy }];
+    for (const seg of curve.segments) {
+      d += `C${num(seg[0])} ${num(seg[1])} ${num(seg[2])} ${num(seg[3])} ${num(seg[4])} ${num(seg[5])}`;
+      points.push({ x: seg[0], y: seg[1] }, { x: seg[2], y: seg[3] }, { x: seg[4], y: seg[5] });
+    }
+    if (curve.closed) d += 'Z';
+    for (const ring of curve.innerRings ?? []) {
+      if (ring.length < 3) continue;
+      d += polygonPath(ring.map(([x, y]) => ({ x, y })));
+    }
+    extendBoundsByPoints(doc, points);
+
+    // Closed curves fill and take the cell border; open ones are plain strokes
+    const filled = curve.closed && curve.color !== '' && curve.color !== 'transparent';
+    const fill = filled
+      ? `fill="${escapeXml(curve.color)}" fill-rule="evenodd"${opacityAttr('fill-opacity', curve.opacity ?? 1)}`
+      : 'fill="none"';
+    const stroke = curve.closed
+      ? `stroke="${escapeXml(theme.cells.border)}" stroke-width="${num(theme.cells.borderWidth)}"`
+      : `stroke="${escapeXml(curve.strokeColor || theme.cells.border)}" stroke-width="${num(curve.strokeWidth || 2)}"`;
+    doc.body.push(`<path d="${d}" ${fill} ${stroke} stroke-linecap="round" stroke-linejoin="round"/>`);
+  }
+}
+
+// ===========================================
+// Tiles
+// ===========================================
+
+function tileGeometryFor(geometry: ExtendedGeometry): Parameters<typeof computeTilePlacement>[5] {
+  return geometry.type === 'hex'
+    ? { hexToWorld: geometry.hexToWorld.bind(geometry), worldToScreen: geometry.worldToScreen.bind(geometry), hexSize: geometry.hexSize, orientation: geometry.orientation }
+    : { hexToWorld: geometry.getCellCenter.bind(geometry), worldToScreen: geometry.worldToScreen.bind(geometry), hexSize: geometry.cellSize, orientation: 'grid' };
+}
+
+/** Resolves placements to tileset entries, memoized per export */
+function createTileResolver(tilesets: TilesetDef[]): (tile: TileAssignment) => { entry: TileEntry; tileset: TilesetDef } | null {
+  const cache = new Map<string, { entry: TileEntry; tileset: TilesetDef } | null>();
+  return (tile) => {
+    const key = tile.tilesetId + ':' + tile.tileId;
+    let hit = cache.get(key);
+    if (hit === undefined) {
+      const tileset = tilesets.find(ts => ts.id === tile.tilesetId);
+      const entry = resolveTileEntry(tileset, tile.tileId);
+      hit = tileset != null && entry != null ? { entry, tileset } : null;
+      cache.set(key, hit);
+    }
+    return hit;
+  };
+}
+
+function addTiles(
+  doc: SvgDocument,
+  layer: MapLayer,
+  tilesets: TilesetDef[],
+  geometry: ExtendedGeometry,
+  images: Map<string, SvgImageSource>,
+  metaStore: TileMetadataStore
+): void {
+  const tiles = layer.tiles ?? [];
+  if (tiles.length === 0 || tilesets.length === 0) return;
+
+  const resolve = createTileResolver(tilesets);
+  const tileGeometry = tileGeometryFor(geometry);
+  const viewState = { x: 0, y: 0, zoom: 1 };
+
+  for (const depth of TILE_DEPTH_ORDER) {
+    const inDepth = tiles.filter(t => (t.depth ?? 'ground') === depth ||
+      (depth === 'ground' && !(TILE_DEPTH_ORDER as readonly string[]).includes(t.depth ?? 'ground')));
+
+    // Terrain (region) tiles on grid maps fill their cells with one
+    // world-anchored pattern, so the texture runs seamlessly across cells
+    const regionFills = new Map<string, { image: SvgImageSource; worldRepeat: number; cells: TileAssignment[] }>();
+    const fill: TileAssignment[] = [];
+    const overlay: TileAssignment[] = [];
+    const freeform: TileAssignment[] = [];
+    for (const t of inDepth) {
+      if (geometry.type === 'grid' && t.freeform !== true) {
+        const lookup = resolve(t);
+        const image = lookup != null ? images.get(lookup.entry.vaultPath) : undefined;
+        if (lookup != null && image != null) {
+          const resolved = resolveTileRender(t, metaStore[lookup.entry.vaultPath], lookup.tileset);
+          if (resolved.renderMode === 'region') {
+            const key = `${lookup.entry.vaultPath}|${resolved.worldRepeat}`;
+            let group = regionFills.get(key);
+            if (group == null) {
+              group = { image, worldRepeat: resolved.worldRepeat, cells: [] };
+              regionFills.set(key, group);
+            }
+            group.cells.push(t);
+            continue;
+          }
+        }
+      }
+      if (t.freeform === true) freeform.push(t);
+      else if (t.placement === 'overlay') overlay.push(t);
+      else fill.push(t);
+    }
+
+    for (const group of regionFills.values()) {
+      const size = geometry.cellSize;
+      const id = `tile-fill-${doc.defs.length + 1}`;
+      const patternW = group.worldRepeat * size;
+      const patternH = patternW * group.image.height / group.image.width;
+      doc.defs.push(
+        `<pattern id="${id}" patternUnits="userSpaceOnUse" width="${num(patternW)}" height="${num(patternH)}">` +
+        imageElement(group.image, { drawX: 0, drawY: 0, drawWidth: patternW, drawHeight: patternH }) +
+        '</pattern>'
+      );
+      const d: string[] = [];
+      for (const t of group.cells) {
+        d.push(`M${num(t.col * size)} ${num(t.row * size)}h${num(size)}v${num(size)}h${num(-size)}Z`);
+        extendBounds(doc, t.col * size, t.row * size, (t.col + 1) * size, (t.row + 1) * size);
+      }
+      doc.body.push(`<path d="${d.join('')}" fill="url(#${id})"/>`);
+    }
+
+    const stamped = [
+      ...sortTilesForRendering(fill, tileGeometry.orientation),
+      ...sortTilesForRendering(overlay, tileGeometry.orientation),
+      ...freeform
+    ];
+    for (const tile of stamped) {
+      const lookup = resolve(tile);
+      const image = lookup != null ? images.get(lookup.entry.vaultPath) : undefined;
+      if (lookup == null || image == null) continue;
+
+      const placement = computeTilePlacement(
+        tile, lookup.tileset, metaStore[lookup.entry.vaultPath], image.width, image.height, tileGeometry, viewState
+      );
+      const { centerX, centerY, rect } = placement;
+      const flipH = tile.flipH === true;
+      const transform = rotateAbout(centerX, centerY, placement.rotation, flipH);
+      doc.body.push(imageElement(image, rect, transform + opacityAttr('opacity', tile.opacity)));
+
+      if (placement.rotation % 360 === 0) {
+        extendBounds(doc, rect.drawX, rect.drawY, rect.drawX + rect.drawWidth, rect.drawY + rect.drawHeight);
+      } else {
+        const reach = Math.max(
+          Math.hypot(rect.drawX - centerX, rect.drawY - centerY),
+          Math.hypot(rect.drawX + rect.drawWidth - centerX, rect.drawY + rect.drawHeight - centerY)
+        );
+        extendBounds(doc, centerX - reach, centerY - reach, centerX + reach, centerY + reach);
+      }
+    }
+  }
+}
+
+// ===========================================
+// Regions and Outlines (hex maps)
+// ===========================================
+
+function addRegions(doc: SvgDocument, mapData: MapData, geometry: ExtendedHexGeometry): void {
+  const regions = [...(mapData.regions ?? [])].sort((a, b) => a.order - b.order);
+  for (const region of regions) {
+    if (!region.visible || region.hexes.length === 0) continue;
+
+    const fill: string[] = [];
+    for (const h of region.hexes) {
+      const points = hexPoints(geometry, h.x, h.y);
+      fill.push(polygonPath(points));
+      extendBoundsByPoints(doc, points);
+    }
+    doc.body.push(`<path d="${fill.join('')}" fill="${escapeXml(region.color)}"${opacityAttr('fill-opacity', region.opacity)}/>`);
+
+    const border = computeBoundaryEdges(region.hexes, geometry).map(({ q, r, edgeIndex }) => {
+      const points = hexPoints(geometry, q, r);
+      const a = points[edgeIndex];
+      const b = points[(edgeIndex + 1) % 6];
+      return `M${num(a.x)} ${num(a.y)}L${num(b.x)} ${num(b.y)}`;
+    });
+    if (border.length > 0) {
+      doc.body.push(
+        `<path d="${border.join('')}" fill="none" stroke="${escapeXml(region.borderColor)}" ` +
+        `stroke-width="${num(region.borderWidth)}" stroke-linecap="round" stroke-linejoin="round"/>`
+      );
+    }
+
+    if (region.name) {
+      const center = region.labelPosition
+        ? { worldX: region.labelPosition.x, worldY: region.labelPosition.y }
+        : computeCentroid(region.hexes, geometry);
+      const fontSize = 14;
+      const width = region.name.length * fontSize * SVG_TEXT_WIDTH_EM;
+      doc.body.push(
+        `<rect x="${num(center.worldX - width / 2 - 6)}" y="${num(center.worldY - fontSize / 2 - 3)}" ` +
+        `width="${num(width + 12)}" height="${num(fontSize + 6)}" fill="#000000" fill-opacity="0.5"/>`,
+        `<text x="${num(center.worldX)}" y="${num(center.worldY)}" font-family="sans-serif" font-weight="bold" ` +
+        `font-size="${num(fontSize)}" fill="#ffffff" text-anchor="middle" dominant-baseline="central">${escapeXml(region.name)}</text>`
+      );
+    }
+  }
+}
+
+/** The side of hex (q, r) facing a neighbor, as the canvas picks it */
+function hexSideToward(
+  geometry: ExtendedHexGeometry,
+  q: number,
+  r: number,
+  neighbor: { x: number; y: number }
+): [{ x: number; y: number }, { x: number; y: number }] {
+  const points = hexPoints(geometry, q, r);
+  const center = geometry.hexToWorld(q, r);
+  const other = geometry.hexToWorld(neighbor.x, neighbor.y);
+  const dirX = other.worldX - center.worldX;
+  const dirY = other.worldY - center.worldY;
+  let best = 0;
+  let bestDot = -Infinity;
+  for (let e = 0; e < 6; e++) {
+    const a = points[e];
+    const b = points[(e + 1) % 6];
+    const dot = ((a.x + b.x) / 2 - center.worldX) * dirX + ((a.y + b.y) / 2 - center.worldY) * dirY;
+    if (dot > bestDot) {
+      bestDot = dot;
+      best = e;
+    }
+  }
+  return [points[best], points[(best + 1) % 6]];
+}
+
+function addOutlines(doc: SvgDocument, mapData: MapData, geometry: ExtendedHexGeometry): void {
+  const outlines = [...(mapData.outlines ?? [])].sort((a, b) => a.order - b.order);
+  const orientation = mapData.orientation ?? 'flat';
+
+  for (const outline of outlines) {
+    if (!outline.visible || outline.vertices.length < 3) continue;
+
+    const dash = OUTLINE_DASH[outline.lineStyle];
+    const stroke = `stroke="${escapeXml(outline.color)}" stroke-width="${num(outline.lineWidth)}" ` +
+      `stroke-linecap="round" stroke-linejoin="round"${dash != null ? ` stroke-dasharray="${dash}"` : ''}`;
+    const fill = outline.filled
+      ? `fill="${escapeXml(outline.color)}" fill-opacity="${num(outline.fillOpacity)}"`
+      : 'fill="none"';
+
+    if (outline.snapMode !== 'hex') {
+      doc.body.push(`<path d="${polygonPath(outline.vertices)}" ${fill} ${stroke}/>`);
+      extendBoundsByPoints(doc, outline.vertices);
+      continue;
+    }
+
+    const hexes = findEnclosedHexes(outline.vertices, geometry, mapData.hexBounds ?? {}, orientation);
+    if (hexes.length === 0) continue;
+    const members = new Set(hexes.map(h => `${h.x},${h.y}`));
+
+    const area: string[] = [];
+    const border: string[] = [];
+    for (const h of hexes) {
+      const points = hexPoints(geometry, h.x, h.y);
+      area.push(polygonPath(points));
+      extendBoundsByPoints(doc, points);
+      for (const neighbor of geometry.getNeighbors(h.x, h.y)) {
+        if (members.has(`${neighbor.x},${neighbor.y}`)) continue;
+        const [a, b] = hexSideToward(geometry, h.x, h.y, neighbor);
+        border.push(`M${num(a.x)} ${num(a.y)}L${num(b.x)} ${num(b.y)}`);
+      }
+    }
+    if (outline.filled) doc.body.push(`<path d="${area.join('')}" ${fill}/>`);
+    doc.body.push(`<path d="${border.join('')}" fill="none" ${stroke}/>`);
+  }
+}
+
+// ===========================================
+// Objects and Text Labels
+// ===========================================
+
+function addObjects(
+  doc: SvgDocument,
+  layer: MapLayer,
+  mapData: MapData,
+  geometry: ExtendedGeometry,
+  options: SvgExportOptions
+): void {
+  const images = options.images ?? new Map<string, SvgImageSource>();
+  const isHexMap = geometry.type === 'hex';
+  const context = { offsetX: 0, offsetY: 0, zoom: 1, scaledSize: geometry.getScaledCellSize(1) };
+
+  for (const obj of layer.objects) {
+    const objType = options.getObjectType(obj.type);
+    if (!objType) continue;
+
+    const { screenX, screenY, objectWidth, objectHeight } = calculateObjectPosition(
+      obj, layer.objects, geometry, context, isHexMap, mapData.orientation ?? 'flat',
+      { getObjectsInCell, getSlotOffset, getMultiObjectScale }
+    );
+    const centerX = screenX + objectWidth / 2;
+    const centerY = screenY + objectHeight / 2;
+    const scale = obj.scale ?? 1;
+    const transform = rotateAbout(centerX, centerY, obj.rotation ?? 0);
+    const renderInfo = getRenderChar(objType);
+
+    if (renderInfo.isImage === true) {
+      const image = renderInfo.imagePath != null ? images.get(renderInfo.imagePath) : undefined;
+      if (image == null) continue;
+      const size = Math.min(objectWidth, objectHeight) * 0.9 * scale;
+      doc.body.push(imageElement(
+        image,
+        { drawX: centerX - size / 2, drawY: centerY - size / 2, drawWidth: size, drawHeight: size },
+        transform
+      ));
+      extendBounds(doc, centerX - size / 2, centerY - size / 2, centerX + size / 2, centerY + size / 2);
+      continue;
+    }
+
+    const fontSize = Math.min(objectWidth, objectHeight) * 0.8 * scale;
+    const fontFamily = renderInfo.isIcon ? 'rpgawesome' : OBJECT_SYMBOL_FONT;
+    doc.body.push(
+      `<text x="${num(centerX)}" y="${num(centerY)}" font-family="${escapeXml(fontFamily)}" font-size="${num(fontSize)}" ` +
+      `fill="${escapeXml(obj.color ?? '#ffffff')}" stroke="#000000" stroke-width="${num(Math.max(2, fontSize * 0.08))}" ` +
+      `paint-order="stroke" text-anchor="middle" dominant-baseline="central"${transform}>${escapeXml(renderInfo.char)}</text>`
+    );
+    extendBounds(doc, screenX, screenY, screenX + objectWidth, screenY + objectHeight);
+  }
+}
+
+function addTextLabels(doc: SvgDocument, layer: MapLayer): void {
+  for (const label of layer.textLabels) {
+    const { x, y } = label.position;
+    const fontFamily = getFontCss(label.fontFace || 'sans');
+    doc.body.push(
+      `<text x="${num(x)}" y="${num(y)}" font-family="${escapeXml(fontFamily)}" font-size="${num(label.fontSize)}" ` +
+      `fill="${escapeXml(label.color || '#ffffff')}" stroke="#000000" stroke-width="3" stroke-linejoin="round" ` +
+      `paint-order="stroke" text-anchor="middle" dominant-baseline="central"` +
+      `${rotateAbout(x, y, label.rotation ?? 0)}${opacityAttr('opacity', label.opacity)}>${escapeXml(label.content)}</text>`
+    );
+    const halfWidth = label.content.length * label.fontSize * SVG_TEXT_WIDTH_EM / 2;
+    const halfHeight = label.fontSize * 0.6;
+    extendBounds(doc, x - halfWidth, y - halfHeight, x + halfWidth, y + halfHeight);
+  }
+}
+
+// ===========================================
+// Grid
+// ===========================================
+
+function gridLines(geometry: ExtendedGeometry, area: BoundingBox, theme: ExportTheme): string {
+  const d: string[] = [];
+
+  if (geometry.type === 'grid') {
+    const size = geometry.cellSize;
+    for (let x = area.minX; x <= area.maxX + 1e-6; x += size) {
+      d.push(`M${num(x)} ${num(area.minY)}V${num(area.maxY)}`);
+    }
+    for (let y = area.minY; y <= area.maxY + 1e-6; y += size) {
+      d.push(`M${num(area.minX)} ${num(y)}H${num(area.maxX)}`);
+    }
+  } else {
+    // Axial coordinates are linear in world space, so the corners bound them
+    const corners = [
+      geometry.worldToHex(area.minX, area.minY), geometry.worldToHex(area.maxX, area.minY),
+      geometry.worldToHex(area.minX, area.maxY), geometry.worldToHex(area.maxX, area.maxY)
+    ];
+    const minQ = Math.min(...corners.map(c => c.q)) - 1;
+    const maxQ = Math.max(...corners.map(c => c.q)) + 1;
+    const minR = Math.min(...corners.map(c => c.r)) - 1;
+    const maxR = Math.max(...corners.map(c => c.r)) + 1;
+    const reach = geometry.hexSize;
+    for (let q = minQ; q <= maxQ; q++) {
+      for (let r = minR; r <= maxR; r++) {
+        if (!geometry.isWithinBounds(q, r)) continue;
+        const { worldX, worldY } = geometry.hexToWorld(q, r);
+        if (worldX < area.minX - reach || worldX > area.maxX + reach ||
+            worldY < area.minY - reach || worldY > area.maxY + reach) continue;
+        d.push(polygonPath(hexPoints(geometry, q, r)));
+      }
+    }
+  }
+
+  if (d.length === 0) return '';
+  return `<path d="${d.join('')}" fill="none" stroke="${escapeXml(theme.grid.lines)}" stroke-width="${num(theme.grid.lineWidth ?? 1)}"/>`;
+}
+
+// ===========================================
+// Document
+// ===========================================
+
+/** Content bounds plus a margin; grid maps snap outward to whole cells */
+function getSvgArea(bounds: BoundingBox, geometry: ExtendedGeometry): BoundingBox {
+  if (geometry.type === 'grid') {
+    const size = geometry.cellSize;
+    return {
+      minX: (Math.floor(bounds.minX / size) - SVG_MARGIN_CELLS) * size,
+      minY: (Math.floor(bounds.minY / size) - SVG_MARGIN_CELLS) * size,
+      maxX: (Math.ceil(bounds.maxX / size) + SVG_MARGIN_CELLS) * size,
+      maxY: (Math.ceil(bounds.maxY / size) + SVG_MARGIN_CELLS) * size
+    };
+  }
+  const margin = geometry.hexSize * SVG_MARGIN_CELLS;
+  return {
+    minX: bounds.minX - margin,
+    minY: bounds.minY - margin,
+    maxX: bounds.maxX + margin,
+    maxY: bounds.maxY + margin
+  };
+}
+
+/**
+ * Build the SVG document for a map, or null when there is nothing to draw.
+ * Pure: images must already be loaded into options.images.
+ */
+function buildMapSvg(mapData: MapData, geometry: ExtendedGeometry, options: SvgExportOptions): string | null {
+  const { theme } = options;
+  const images = options.images ?? new Map<string, SvgImageSource>();
+  const metaStore = options.tileMetadata ?? getTileMetadataForRender();
+  const tilesets = mapData.tilesets ?? [];
+  const doc: SvgDocument = { defs: [], body: [], bounds: null };
+
+  // Composited layers, bottom to top: cells and edges, curves, then tiles
+  for (const layer of getRenderLayers(mapData)) {
+    const start = doc.body.length;
+    addCells(doc, layer, geometry, theme);
+    if (geometry.type === 'grid') addEdges(doc, layer, geometry.cellSize, theme);
+    addCurves(doc, layer, theme);
+    addTiles(doc, layer, tilesets, geometry, images, metaStore);
+    if (doc.body.length > start) {
+      doc.body.splice(start, 0, `<g inkscape:groupmode="layer" inkscape:label="${escapeXml(layer.name)}">`);
+      doc.body.push('</g>');
+    }
+  }
+
+  if (geometry.type === 'hex') {
+    addRegions(doc, mapData, geometry);
+    addOutlines(doc, mapData, geometry);
+  }
+
+  // Objects and labels come from the active layer, as on the canvas
+  const activeLayer = getActiveLayer(mapData);
+  addObjects(doc, activeLayer, mapData, geometry, options);
+  addTextLabels(doc, activeLayer);
+
+  if (doc.bounds == null) return null;
+
+  const area = getSvgArea(doc.bounds, geometry);
+  const width = area.maxX - area.minX;
+  const height = area.maxY - area.minY;
+  const title = mapData.name != null && mapData.name !== '' ? `<title>${escapeXml(mapData.name)}</title>` : '';
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+      'xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ' +
+      `width="${num(width)}" height="${num(height)}" viewBox="${num(area.minX)} ${num(area.minY)} ${num(width)} ${num(height)}">`,
+    title,
+    doc.defs.length > 0 ? `<defs>${doc.defs.join('')}</defs>` : '',
+    `<rect x="${num(area.minX)}" y="${num(area.minY)}" width="${num(width)}" height="${num(height)}" fill="${escapeXml(theme.grid.background)}"/>`,
+    gridLines(geometry, area, theme),
+    ...doc.body,
+    '</svg>',
+    ''
+  ].filter(line => line !== '').join('\n') + '\n';
+}
+
+// ===========================================
+// Images
+// ===========================================
+
+/**
+ * Vault paths of every image the SVG would embed: tiles on the composited
+ * layers and image objects on the active layer.
+ */
+function getSvgImagePaths(
+  mapData: MapData,
+  getObjectTypeForMap: (typeId: string) => ObjectTypeDefinition | null
+): string[] {
+  const paths = new Set<string>();
+  const resolve = createTileResolver(mapData.tilesets ?? []);
+  for (const layer of getRenderLayers(mapData)) {
+    for (const tile of layer.tiles ?? []) {
+      const lookup = resolve(tile);
+      if (lookup != null) paths.add(lookup.entry.vaultPath);
+    }
+  }
+  for (const obj of getActiveLayer(mapData).objects) {
+    const renderInfo = getRenderChar(getObjectTypeForMap(obj.type));
+    if (renderInfo.isImage === true && renderInfo.imagePath != null && renderInfo.imagePath !== '') {
+      paths.add(renderInfo.imagePath);
+    }
+  }
+  return [...paths];
+}
+
+/**
+ * Read images from the vault as data URLs with their natural sizes.
+ * Unreadable images are skipped (the SVG leaves them out).
+ */
+async function loadSvgImages(app: App, paths: string[]): Promise<Map<string, SvgImageSource>> {
+  const images = new Map<string, SvgImageSource>();
+  for (const path of paths) {
+    try {
+      const binary = await readTileImageBinary(app, path);
+      if (binary == null) continue;
+      const bitmap = await createImageBitmap(new Blob([binary]));
+      const { width, height } = bitmap;
+      bitmap.close();
+      const extension = path.split('.').pop()?.toLowerCase() ?? '';
+      const mime = IMAGE_MIME_TYPES[extension] ?? 'image/png';
+      images.set(path, { href: `data:${mime};base64,${arrayBufferToBase64(binary)}`, width, height });
+    } catch (error) {
+      console.warn(`[svgExportOperations] Skipping unreadable image ${path}:`, error);
+    }
+  }
+  return images;
+}
+
+/**
+ * Build the SVG for a map with its tile and object images embedded
+ */
+async function exportMapAsSvg(app: App, mapData: MapData, geometry: ExtendedGeometry): Promise<string> {
+  const getObjectTypeForMap = (typeId: string): ObjectTypeDefinition | null =>
+    getObjectType(typeId, mapData.mapType ?? 'grid', mapData.objectSetId);
+  const images = await loadSvgImages(app, getSvgImagePaths(mapData, getObjectTypeForMap));
+
+  const svg = buildMapSvg(mapData, geometry, {
+    theme: getExportTheme(),
+    getObjectType: getObjectTypeForMap,
+    images
+  });
+  if (svg == null) {
+    throw new Error('No content to export');
+  }
+  return svg;
+}
+
+/**
+ * Save an SVG export to the vault root
+ */
+async function saveMapSvgToVault(
+  app: App,
+  mapData: MapData,
+  geometry: ExtendedGeometry,
+  filename?: string
+): Promise<ExportResult> {
+  try {
+    const content = await exportMapAsSvg(app, mapData, geometry);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const mapName = mapData.name ?? 'map';
+    const safeName = (filename ?? `${mapName}-${timestamp}.svg`).replace(/[\\/:*?"<>|]/g, '_');
+
+    const existingFile = app.vault.getAbstractFileByPath(safeName);
+    if (existingFile instanceof TFile) {
+      await app.vault.modify(existingFile, content);
+    } else {
+      await app.vault.create(safeName, content);
+    }
+
+    return { success: true, path: safeName };
+  } catch (error) {
+    console.error('[svgExportOperations] Export failed:', error);
+    return { success: false, error: (error as Error).message };
+  }
+}
+
+export { buildMapSvg, getSvgImagePaths, exportMapAsSvg, saveMapSvgToVault };
+export type { SvgExportOptions };
@@ -0,0 +1,345 @@
+/**
+ * uvttExportOperations.ts
+ *
+ * Exports the active layer of a grid map as a Universal VTT file (.dd2vtt),
+ * the format Foundry's battlemap importers, Arkenforge and others read:
+ * the rendered map image plus walls, doors and lights in grid units.
+ *
+ * - Walls come from painted edges and wall paths; gaps in a wall path stay open.
+ * - Doors (secret doors included) become portals. A door on a cell side
+ *   replaces the painted edge under it, so the VTT can open it.
+ * - Light-enabled objects become lights; the map's ambient darkness sets the
+ *   ambient light.
+ *
+ * The image is what players see: no fog, no lighting, no GM-only content and
+ * no player tokens (the VTT brings its own).
+ */
+
+import type { App } from 'obsidian';
+import type { MapData, MapLayer } from '#types/core/map.types';
+import type { MapObject } from '#types/objects/object.types';
+import type { ExtendedGeometry } from '#types/contexts/context.types';
+import type { ExportResult, UvttFile, UvttLight, UvttPoint, UvttPortal } from '#types/core/export.types';
+import type { SightBlocker } from '../geometry/fog/fogVisibility';
+
+import { TFile } from 'obsidian';
+import { getActiveLayer } from './layerAccessor';
+import { calculateContentBounds, renderMapToCanvas } from './exportOperations';
+import { buildSightBlockers, DOOR_TYPES } from '../geometry/fog/fogVisibility';
+import { collectLightSources } from '../geometry/renderers/lightingRenderer';
+
+/** Version of the format written; the one Dungeondraft writes */
+const UVTT_FORMAT = 0.3;
+
+/** Image resolution, lowered for maps that would exceed UVTT_MAX_IMAGE_SIZE */
+const UVTT_PIXELS_PER_GRID = 100;
+
+/** Longest image side in pixels; larger canvases fail in some browsers */
+const UVTT_MAX_IMAGE_SIZE = 8192;
+
+/** Empty cells kept around the content */
+const UVTT_MARGIN_CELLS = 1;
+
+/** The exported rectangle, in whole cells */
+interface UvttArea {
+  minCol: number;
+  minRow: number;
+  cols: number;
+  rows: number;
+}
+
+/** Everything in the file but the image and its resolution */
+type UvttScene = Pick<UvttFile, 'line_of_sight' | 'portals' | 'lights' | 'environment'>;
+
+/**
+ * Cell rectangle covering the layer's content plus a margin, or null when
+ * the layer is empty.
+ */
+function getUvttArea(layer: MapLayer, geometry: ExtendedGeometry): UvttArea | null {
+  const bounds = calculateContentBounds(layer, geometry);
+  if (!bounds) return null;
+  const size = geometry.cellSize;
+  const minCol = Math.floor(bounds.minX / size) - UVTT_MARGIN_CELLS;
+  const minRow = Math.floor(bounds.minY / size) - UVTT_MARGIN_CELLS;
+  const maxCol = Math.ceil(bounds.maxX / size) + UVTT_MARGIN_CELLS;
+  const maxRow = Math.ceil(bounds.maxY / size) + UVTT_MARGIN_CELLS;
+  return { minCol, minRow, cols: maxCol - minCol, rows: maxRow - minRow };
+}
+
+function segmentKey(a: UvttPoint, b: UvttPoint): string {
+  const [p, q] = a.x < b.x || (a.x === b.x && a.y <= b.y) ? [a, b] : [b, a];
+  return `${p.x},${p.y},${q.x},${q.y}`;
+}
+
+/**
+ * A door's portal. Side-aligned doors sit on that side; centered doors
+ * cross the cell, along their glyph (a vertical door blocks an east-west
+ * passage) turned by the object's rotation.
+ */
+function doorPortal(obj: MapObject, area: UvttArea): UvttPortal {
+  const left = obj.position.x - area.minCol;
+  const top = obj.position.y - area.minRow;
+  let a: UvttPoint, b: UvttPoint;
+
+  switch (obj.alignment) {
+    case 'north': a = { x: left, y: top }; b = { x: left + 1, y: top }; break;
+    case 'south': a = { x: left, y: top + 1 }; b = { x: left + 1, y: top + 1 }; break;
+    case 'west': a = { x: left, y: top }; b = { x: left, y: top + 1 }; break;
+    case 'east': a = { x: left + 1, y: top }; b = { x: left + 1, y: top + 1 }; break;
+    default: {
+      const quarterTurns = Math.round((obj.rotation ?? 0) / 90);
+      const vertical = (obj.type === 'door-vertical') !== (quarterTurns % 2 !== 0);
+      a = vertical ? { x: left + 0.5, y: top } : { x: left, y: top + 0.5 };
+      b = vertical ? { x: left + 0.5, y: top + 1 } : { x: left + 1, y: top + 0.5 };
+    }
+  }
+
+  return {
+    position: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+    bounds: [a, b],
+    rotation: a.x === b.x ? Math.PI / 2 : 0,
+    closed: true,
+    freestanding: false
+  };
+}
+
+/**
+ * Join straight runs of unit edge segments into single walls, so the VTT
+ * gets one wall per side of a room rather than one per cell.
+ */
+function mergeEdgeWalls(segments: Array<[UvttPoint, UvttPoint]>): UvttPoint[][] {
+  const rows = new Map<string, Array<[number, number]>>();
+  for (const [a, b] of segments) {
+    const horizontal = a.y === b.y;
+    const key = horizontal ? `h${a.y}` : `v${a.x}`;
+    const span: [number, number] = horizontal ? [Math.min(a.x, b.x), Math.max(a.x, b.x)] : [Math.min(a.y, b.y), Math.max(a.y, b.y)];
+    const list = rows.get(key) ?? [];
+    list.push(span);
+    rows.set(key, list);
+  }
+
+  const walls: UvttPoint[][] = [];
+  for (const [key, spans] of rows) {
+    const line = Number(key.slice(1));
+    const horizontal = key.startsWith('h');
+    spans.sort((p, q) => p[0] - q[0]);
+    let [start, end] = spans[0];
+    const push = (): void => {
+      walls.push(horizontal
+        ? [{ x: start, y: line }, { x: end, y: line }]
+        : [{ x: line, y: start }, { x: line, y: end }]);
+    };
+    for (const [s, e] of spans.slice(1)) {
+      if (s <= end) {
+        end = Math.max(end, e);
+      } else {
+        push();
+        [start, end] = [s, e];
+      }
+    }
+    push();
+  }
+  return walls;
+}
+
+/**
+ * Chain consecutive segments that share an endpoint into polylines (a wall
+ * path's pieces come out in order).
+ */
+function chainSegments(segments: Array<[UvttPoint, UvttPoint]>): UvttPoint[][] {
+  const lines: UvttPoint[][] = [];
+  for (const [a, b] of segments) {
+    const current = lines[lines.length - 1];
+    const tail = current?.[current.length - 1];
+    if (tail != null && tail.x === a.x && tail.y === a.y) {
+      current.push(b);
+    } else {
+      lines.push([a, b]);
+    }
+  }
+  return lines;
+}
+
+/**
+ * CSS color (#rgb, #rrggbb, #rrggbbaa, rgb() or rgba()) as opaque ARGB hex.
+ * Unreadable colors become white.
+ */
+function toUvttColor(color: string): string {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(color.trim())?.[1];
+  if (hex != null) {
+    const rgb = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex.slice(0, 6);
+    return `ff${rgb.toLowerCase()}`;
+  }
+  const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(color.trim());
+  if (rgb != null) {
+    return `ff${rgb.slice(1, 4).map(v => Math.min(255, Number(v)).toString(16).padStart(2, '0')).join('')}`;
+  }
+  return 'ffffffff';
+}
+
+/**
+ * Walls, portals, lights and ambient light of a layer over an area, in grid
+ * units from the area's top-left corner. Pure.
+ */
+function buildUvttScene(
+  layer: MapLayer,
+  geometry: ExtendedGeometry,
+  area: UvttArea,
+  options: { distancePerCell: number; ambientDarkness: number }
+): UvttScene {
+  const size = geometry.cellSize;
+  const toGrid = (x: number, y: number): UvttPoint => ({ x: x / size - area.minCol, y: y / size - area.minRow });
+  const toSegment = (b: SightBlocker): [UvttPoint, UvttPoint] => [toGrid(b.ax, b.ay), toGrid(b.bx, b.by)];
+
+  const portals = layer.objects.filter(obj => DOOR_TYPES.has(obj.type)).map(obj => doorPortal(obj, area));
+  const portalKeys = new Set(portals.map(p => segmentKey(p.bounds[0], p.bounds[1])));
+
+  const edgeSegments = buildSightBlockers({ edges: layer.edges }, geometry)
+    .map(toSegment)
+    .filter(([a, b]) => !portalKeys.has(segmentKey(a, b)));
+  const pathSegments = buildSightBlockers({ wallPaths: layer.wallPaths }, geometry).map(toSegment);
+
+  // Player tokens are left out of the image, so their lights go with them
+  const scenery = layer.objects.filter(obj => obj.isPlayer !== true);
+  const lights: UvttLight[] = collectLightSources(scenery, geometry, options.distancePerCell)
+    .map(light => ({
+      position: toGrid(light.x, light.y),
+      range: light.radius / size,
+      intensity: 1,
+      color: toUvttColor(light.color),
+      shadows: true
+    }));
+
+  const darkness = Math.min(Math.max(options.ambientDarkness, 0), 1);
+  const level = Math.round(255 * (1 - darkness)).toString(16).padStart(2, '0');
+
+  return {
+    line_of_sight: [...mergeEdgeWalls(edgeSegments), ...chainSegments(pathSegments)],
+    portals,
+    lights,
+    environment: { baked_lighting: false, ambient_light: `ff${level}${level}${level}` }
+  };
+}
+
+/**
+ * Render the area as players see it, `pixelsPerGrid` pixels to a cell.
+ */
+function renderUvttImage(
+  mapData: MapData,
+  layer: MapLayer,
+  geometry: ExtendedGeometry,
+  area: UvttArea,
+  pixelsPerGrid: number
+): HTMLCanvasElement {
+  const width = area.cols * pixelsPerGrid;
+  const height = area.rows * pixelsPerGrid;
+
+  // The renderer frames the view around viewState.center (in cells on grid
+  // maps); centering on the area puts its corner at the image's corner
+  const framed: MapData = {
+    ...mapData,
+    northDirection: 0,
+    settings: mapData.settings ? { ...mapData.settings, ambientDarkness: 0 } : mapData.settings,
+    viewState: {
+      zoom: pixelsPerGrid / geometry.cellSize,
+      center: { x: area.minCol + area.cols / 2, y: area.minRow + area.rows / 2 }
+    },
+    layers: mapData.layers.map(l => (l.id === layer.id
+      ? { ...l, fogOfWar: null, objects: l.objects.filter(obj => obj.isPlayer !== true) }
+      : l))
+  };
+
+  const canvas = activeWindow.createEl('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new Error('Failed to create canvas context');
+  }
+  renderMapToCanvas(ctx, {
+    mapData: framed,
+    geometry,
+    bounds: { minX: 0, minY: 0, maxX: width, maxY: height },
+    width,
+    height,
+    playerView: true
+  });
+  return canvas;
+}
+
+/**
+ * Build the Universal VTT file for the active layer of a grid map.
+ */
+function exportMapAsUvtt(mapData: MapData, geometry: ExtendedGeometry): UvttFile {
+  if (geometry.type !== 'grid') {
+    throw new Error('Universal VTT export supports grid maps only');
+  }
+
+  const layer = getActiveLayer(mapData);
+  const area = getUvttArea(layer, geometry);
+  if (!area) {
+    throw new Error('No content to export');
+  }
+
+  const pixelsPerGrid = Math.max(1, Math.min(
+    UVTT_PIXELS_PER_GRID,
+    Math.floor(UVTT_MAX_IMAGE_SIZE / Math.max(area.cols, area.rows))
+  ));
+
+  const scene = buildUvttScene(layer, geometry, area, {
+    distancePerCell: (mapData.settings?.overrides?.distancePerCell as number | undefined) ?? 5,
+    ambientDarkness: mapData.settings?.ambientDarkness ?? 0
+  });
+
+  const image = renderUvttImage(mapData, layer, geometry, area, pixelsPerGrid)
+    .toDataURL('image/png')
+    .replace(/^data:image\/png;base64,/, '');
+
+  return {
+    format: UVTT_FORMAT,
+    resolution: {
+      map_origin: { x: 0, y: 0 },
+      map_size: { x: area.cols, y: area.rows },
+      pixels_per_grid: pixelsPerGrid
+    },
+    line_of_sight: scene.line_of_sight,
+    objects_line_of_sight: [],
+    portals: scene.portals,
+    environment: scene.environment,
+    lights: scene.lights,
+    image
+  };
+}
+
+/**
+ * Save a Universal VTT export to the vault root
+ */
+async function saveMapUvttToVault(
+  app: App,
+  mapData: MapData,
+  geometry: ExtendedGeometry,
+  filename?: string
+): Promise<ExportResult> {
+  try {
+    const content = JSON.stringify(exportMapAsUvtt(mapData, geometry));
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const mapName = mapData.name ?? 'map';
+    const safeName = (filename ?? `${mapName}-${timestamp}.dd2vtt`).replace(/[\\/:*?"<>|]/g, '_');
+
+    const existingFile = app.vault.getAbstractFileByPath(safeName);
+    if (existingFile instanceof TFile) {
+      await app.vault.modify(existingFile, content);
+    } else {
+      await app.vault.create(safeName, content);
+    }
+
+    return { success: true, path: safeName };
+  } catch (error) {
+    console.error('[uvttExportOperations] Export failed:', error);
+    return { success: false, error: (error as Error).message };
+  }
+}
+
+export { getUvttArea, buildUvttScene, toUvttColor, exportMapAsUvtt, saveMapUvttToVault };
+export type { UvttArea };
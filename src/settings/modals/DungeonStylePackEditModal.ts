@@ -0,0 +1,197 @@
+/**
+ * DungeonStylePackEditModal.ts
+ *
+ * Native Obsidian modal for editing a dungeon style pack: name/description
+ * plus the pack's styles and stocking tables as JSON (the same shapes as the
+ * pack file's `styles` and `tables`). Both are nested — pools, templates,
+ * weights, table entries — so they are edited as text and validated as a
+ * whole on save, with every problem listed. Object types the active object set lacks are reported as
+ * warnings: they are skipped when generating, not an error.
+ */
+
+import type { App, TextAreaComponent } from 'obsidian';
+import { Modal, Notice, Setting } from 'obsidian';
+import type { DungeonStylePack } from '#types/settings/dungeonStyle.types';
+import type { WindrosePlugin } from '../tabs/settingsTabContext';
+import { getResolvedObjectTypes } from '../../objects/objectTypeResolver';
+import {
+  createDungeonStyle,
+  exportDungeonStylePack,
+  findMissingStyleObjects,
+  upsertDungeonStylePack,
+  validateDungeonStylePackImport,
+} from '../../generation/dungeonStylePackOperations';
+
+class DungeonStylePackEditModal extends Modal {
+  private plugin: WindrosePlugin;
+  private packId: string;
+  private onChanged: () => void;
+  private name = '';
+  private description = '';
+  private stylesText = '';
+  private tablesText = '';
+  private textArea: TextAreaComponent | null = null;
+  private errorsEl: HTMLElement | null = null;
+
+  constructor(app: App, plugin: WindrosePlugin, packId: string, onChanged: () => void) {
+    super(app);
+    this.plugin = plugin;
+    this.packId = packId;
+    this.onChanged = onChanged;
+  }
+
+  private getPack(): DungeonStylePack | null {
+    return (this.plugin.settings.dungeonStylePacks ?? []).find(p => p.id === this.packId) ?? null;
+  }
+
+  onOpen(): void {
+    this.modalEl.addClass('windrose-dungeon-style-modal');
+    const { contentEl } = this;
+    contentEl.empty();
+    const pack = this.getPack();
+    if (!pack) {
+      contentEl.createEl('p', { text: 'This dungeon style pack no longer exists.' });
+      return;
+    }
+
+    this.name = pack.name;
+    this.description = pack.description ?? '';
+    this.stylesText = JSON.stringify(exportDungeonStylePack(pack).pack.styles, null, 2);
+    this.tablesText = JSON.stringify(pack.tables ?? [], null, 2);
+
+    contentEl.createEl('h3', { text: 'Edit dungeon style pack' });
+
+    new Setting(contentEl)
+      .setName('Name')
+      .addText(text => {
+        text.setValue(this.name);
+        text.onChange(value => { this.name = value; });
+      });
+
+    new Setting(contentEl)
+      .setName('Description')
+      .addText(text => {
+        text.setValue(this.description);
+        text.setPlaceholder('Optional');
+        text.onChange(value => { this.description = value; });
+      });
+
+    new Setting(contentEl)
+      .setName('Styles')
+      .setDesc('Generator overrides, object pools, room templates, category weights, boss and colors per style. See the random dungeons guide for every field.')
+      .addExtraButton(btn => btn
+        .setIcon('plus')
+        .setTooltip('Add a style based on classic')
+        .onClick(() => this.appendStyle()));
+
+    new Setting(contentEl)
+      .setClass('windrose-dungeon-style-json')
+      .addTextArea(area => {
+        this.textArea = area;
+        area.setValue(this.stylesText);
+        area.inputEl.rows = 18;
+        area.inputEl.spellcheck = false;
+        area.onChange(value => { this.stylesText = value; });
+      });
+
+    new Setting(contentEl)
+      .setName('Stocking tables')
+      .setDesc('Encounter and treasure tables, filtered by style and dungeon level. Rolled entries name the monsters and treasure placed when stocking.');
+
+    new Setting(contentEl)
+      .setClass('windrose-dungeon-style-json')
+      .addTextArea(area => {
+        area.setValue(this.tablesText);
+        area.inputEl.rows = 10;
+        area.inputEl.spellcheck = false;
+        area.onChange(value => { this.tablesText = value; });
+      });
+
+    this.errorsEl = contentEl.createDiv({ cls: 'windrose-dungeon-style-errors' });
+
+    new Setting(contentEl)
+      .addButton(btn => btn
+        .setButtonText('Cancel')
+        .onClick(() => this.close()))
+      .addButton(btn => btn
+        .setButtonText('Save')
+        .setCta()
+        .onClick(() => this.save()));
+  }
+
+  /** Append a classic-based style to the JSON, keeping the user's edits */
+  private appendStyle(): void {
+    let styles: unknown;
+    try {
+      styles = JSON.parse(this.stylesText);
+    } catch {
+      this.showErrors(['Fix the JSON before adding a style']);
+      return;
+    }
+    const list: unknown[] = Array.isArray(styles) ? styles : [];
+    const { labels: _labels, ...style } = createDungeonStyle('New style');
+    this.stylesText = JSON.stringify([...list, style], null, 2);
+    this.textArea?.setValue(this.stylesText);
+  }
+
+  private showErrors(errors: string[]): void {
+    if (!this.errorsEl) return;
+    this.errorsEl.empty();
+    for (const error of errors) {
+      this.errorsEl.createDiv({ cls: 'windrose-dungeon-style-error', text: error });
+    }
+  }
+
+  private save(): void {
+    const current = this.getPack();
+    if (!current) {
+      this.close();
+      return;
+    }
+
+    let styles: unknown;
+    try {
+      styles = JSON.parse(this.stylesText);
+    } catch (e) {
+      this.showErrors([`Styles are not valid JSON: ${(e as Error).message}`]);
+      return;
+    }
+    let tables: unknown;
+    try {
+      tables = JSON.parse(this.tablesText === '' ? '[]' : this.tablesText);
+    } catch (e) {
+      this.showErrors([`Stocking tables are not valid JSON: ${(e as Error).message}`]);
+      return;
+    }
+
+    // Validate exactly as an imported file would be
+    const result = validateDungeonStylePackImport({
+      ...exportDungeonStylePack(current),
+      pack: { id: current.id, name: this.name.trim(), description: this.description.trim(), styles, tables },
+    });
+    if (!result.valid || result.pack == null) {
+      this.showErrors(result.errors);
+      return;
+    }
+
+    const pack: DungeonStylePack = { ...result.pack, enabled: current.enabled };
+    this.plugin.settings.dungeonStylePacks = upsertDungeonStylePack(this.plugin.settings.dungeonStylePacks ?? [], pack);
+    void this.plugin.saveSettings();
+    this.onChanged();
+
+    const knownIds = getResolvedObjectTypes('grid').map(type => type.id);
+    const missing = pack.styles.flatMap(style =>
+      findMissingStyleObjects(style, knownIds).map(type => `${style.name}: ${type}`)
+    );
+    if (missing.length > 0) {
+      new Notice(`Saved. These object types aren't in the current object set and will be skipped:\n${missing.slice(0, 8).join('\n')}`, 10000);
+    }
+    this.close();
+  }
+
+  onClose(): void {
+    this.contentEl.empty();
+  }
+}
+
+export { DungeonStylePackEditModal };
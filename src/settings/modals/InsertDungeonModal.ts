@@ -1,11 +1,30 @@
-import type { App, TextComponent } from 'obsidian';
+import type { App, SliderComponent, TextComponent } from 'obsidian';
 import { Modal, Setting, Notice, setTooltip } from 'obsidian';
+import type { HexCell, HexOrientation, MapObject } from '#types/index';
+import type { DungeonConstraintSpec, LockedDoorRecord, Region } from '#types/core/map.types';
 import { DungeonEssenceVisualizer } from '../DungeonEssenceVisualizer';
 import { resolveDungeonStyleColors } from '../../generation/dungeonStyleColors';
+import { generateSeed, normalizeSeed } from '../../generation/seededRandom';
+import type { WildernessResult, WildernessSize, WildernessTerrainKind } from '../../generation/hexWildernessGenerator';
+import { TERRAIN_KINDS, WILDERNESS_PRESETS, WILDERNESS_TERRAINS, suggestTravelTerrains } from '../../generation/hexWildernessGenerator';
+import type { RoomKeyEntry, RoomKeySource, RoomKeyStocking } from '../../generation/dungeonKey';
+import { buildRoomKey } from '../../generation/dungeonKey';
+import { getSettings } from '../../core/settingsAccessor';
+import { getEnabledTravelPacks } from '../../travel/travelPackOperations';
+import type { DungeonStyleDefinition } from '#types/settings/dungeonStyle.types';
+import {
+  getEnabledDungeonStylePacks,
+  getEnabledDungeonStyles,
+  getEnabledStockingTables,
+  resolveDungeonStyleForGeneration,
+} from '../../generation/dungeonStylePackOperations';
+import { getResolvedObjectTypes } from '../../objects/objectTypeResolver';
 
 type DungeonSize = 'small' | 'medium' | 'large';
 type DungeonStyleName = 'classic' | 'cavern' | 'fortress' | 'crypt';
 type CorridorStyle = 'straight' | 'organic' | 'diagonal';
+/** What the Generate command builds: a grid dungeon or a hex wilderness */
+type GeneratedMapKind = 'dungeon' | 'wilderness';
 
 interface DungeonStyleDefaults {
   circleChance: number;
@@ -41,7 +60,9 @@ interface ConfigOverrides {
   trapWeight: number | null;
   useTemplates: boolean | null;
   waterChance: number | null;
+  dungeonLevel: number | null;
   autoFogEnabled: boolean;
+  roomKeyEnabled: boolean;
   [key: string]: unknown;
 }
 
@@ -71,9 +92,50 @@ interface DungeonGenerationResult {
     corridorResult: unknown;
     doorPositions: unknown[];
     style: string;
+    seed: number;
+    bossRoomId?: string;
+    roomTemplates?: Record<string, string>;
+    lockedDoors?: LockedDoorRecord[];
+    constraintReport?: { satisfied: boolean; unmet: Array<{ constraint: string; message: string }> };
   };
 }
 
+interface MultiLevelGenerationResult {
+  levels: DungeonGenerationResult[];
+  stairLinks: Array<{ fromLevel: number; fromObjectId: string; toLevel: number; toObjectId: string }>;
+  seed: number;
+}
+
+interface DungeonStockingMetadata {
+  rooms: unknown[];
+  corridorResult: unknown;
+  doorPositions: unknown[];
+  entryRoomId?: string;
+  exitRoomId?: string;
+  waterRoomIds: string[];
+  style: string;
+  bossRoomId?: string;
+  roomTemplates?: Record<string, string>;
+  lockedDoors?: LockedDoorRecord[];
+}
+
+/** Layout constraint choices offered in the advanced options */
+interface ConstraintChoices {
+  bossDepth: 'farthest' | number | null;
+  secretTreasury: boolean;
+  minLoops: number;
+  lockedDoors: number;
+}
+
+interface DungeonInsertLevel {
+  cells: Record<string, unknown>[];
+  objects: Record<string, unknown>[];
+  edges: unknown[];
+  stockingMetadata: DungeonStockingMetadata;
+  /** Numbered room key, when the room key option is on */
+  roomKey?: RoomKeyEntry[];
+}
+
 interface StockResult {
   objects: Record<string, unknown>[];
   roomAssignments: Record<string, unknown>;
@@ -84,17 +146,15 @@ interface DungeonInsertOptions {
   distanceUnit: string;
   preset: DungeonSize;
   configOverrides: Record<string, unknown>;
+  seed: number;
   roomCount: number;
   doorCount: number;
-  stockingMetadata: {
-    rooms: unknown[];
-    corridorResult: unknown;
-    doorPositions: unknown[];
-    entryRoomId?: string;
-    exitRoomId?: string;
-    waterRoomIds: string[];
-    style: string;
-  };
+  stockingMetadata: DungeonStockingMetadata;
+  /** Numbered room key of the (top) floor, when the room key option is on */
+  roomKey?: RoomKeyEntry[];
+  /** Multi-level only: every floor, top first (the top floor is also passed positionally) */
+  levels?: DungeonInsertLevel[];
+  stairLinks?: MultiLevelGenerationResult['stairLinks'];
   [key: string]: unknown;
 }
 
@@ -106,12 +166,32 @@ type OnInsertCallback = (
   options: DungeonInsertOptions
 ) => void | Promise<void>;
 
+/** A generated wilderness, ready to be written as a new hex map */
+interface WildernessInsertData {
+  cols: number;
+  rows: number;
+  orientation: HexOrientation;
+  seed: number;
+  cells: HexCell[];
+  objects: MapObject[];
+  regions: Region[];
+}
+
+type OnInsertWildernessCallback = (
+  mapName: string,
+  wilderness: WildernessInsertData
+) => void | Promise<void>;
+
 interface WindrosePlugin {
   // Method syntax (not property-arrow) so parameters are checked bivariantly:
   // the concrete plugin's typed generateDungeon/stockDungeon signatures stay
   // assignable to this structural duck-type without resorting to `any`.
-  loadDungeonGenerator(): Promise<{ generateDungeon(...args: unknown[]): unknown }>;
+  loadDungeonGenerator(): Promise<{
+    generateDungeon(...args: unknown[]): unknown;
+    generateMultiLevelDungeon(...args: unknown[]): unknown;
+  }>;
   loadObjectPlacer(): Promise<{ stockDungeon(...args: unknown[]): unknown }>;
+  loadWildernessGenerator(): Promise<{ generateWilderness(...args: unknown[]): unknown }>;
 }
 
 const DUNGEON_STYLE_DEFAULTS: Record<DungeonStyleName, DungeonStyleDefaults> = {
@@ -137,12 +217,19 @@ const DUNGEON_STYLE_DEFAULTS: Record<DungeonStyleName, DungeonStyleDefaults> = {
   }
 };
 
-async function stockGeneratedDungeon(plugin: WindrosePlugin, result: DungeonGenerationResult, overrides: Record<string, unknown>): Promise<StockResult> {
+/**
+ * Stock a generated floor.
+ * @param floor - Index of the floor in a stack (0 = top), added to the
+ *   dungeon level the stocking tables are filtered by
+ */
+async function stockGeneratedDungeon(plugin: WindrosePlugin, result: DungeonGenerationResult, overrides: Record<string, unknown>, floor = 0): Promise<StockResult> {
   const objectPlacer = await plugin.loadObjectPlacer();
+  // Keys placed by layout constraints must not share a cell with stocking
+  const keyPositions = (result.metadata.lockedDoors ?? []).flatMap(lock => lock.keyPosition ? [lock.keyPosition] : []);
   const stockResult = objectPlacer.stockDungeon(
     result.metadata.rooms,
     result.metadata.corridorResult,
-    result.metadata.doorPositions,
+    [...result.metadata.doorPositions, ...keyPositions],
     result.metadata.style || 'classic',
     {
       objectDensity: (overrides.objectDensity as number | undefined) ?? 1.0,
@@ -150,17 +237,64 @@ async function stockGeneratedDungeon(plugin: WindrosePlugin, result: DungeonGene
       emptyWeight: overrides.emptyWeight,
       featureWeight: overrides.featureWeight,
       trapWeight: overrides.trapWeight,
-      useTemplates: overrides.useTemplates
+      useTemplates: overrides.useTemplates,
+      styleDefinition: overrides.styleDefinition,
+      stockingTables: overrides.stockingTables,
+      level: ((overrides.dungeonLevel as number | undefined) ?? 1) + floor,
+      seed: result.metadata.seed
     },
     {
       entryRoomId: result.metadata.entryRoomId,
       exitRoomId: result.metadata.exitRoomId,
-      waterRoomIds: result.metadata.waterRoomIds
+      waterRoomIds: result.metadata.waterRoomIds,
+      bossRoomId: result.metadata.bossRoomId,
+      roomTemplates: result.metadata.roomTemplates
     }
   ) as StockResult;
   return stockResult;
 }
 
+function toStockingMetadata(result: DungeonGenerationResult): DungeonStockingMetadata {
+  return {
+    rooms: result.metadata.rooms,
+    corridorResult: result.metadata.corridorResult,
+    doorPositions: result.metadata.doorPositions,
+    entryRoomId: result.metadata.entryRoomId,
+    exitRoomId: result.metadata.exitRoomId,
+    waterRoomIds: result.metadata.waterRoomIds,
+    style: result.metadata.style,
+    bossRoomId: result.metadata.bossRoomId,
+    roomTemplates: result.metadata.roomTemplates,
+    lockedDoors: result.metadata.lockedDoors
+  };
+}
+
+/**
+ * Room key of a generated, stocked floor.
+ * @param firstNumber - Number of the floor's first room
+ */
+function buildGeneratedRoomKey(result: DungeonGenerationResult, stockResult: StockResult, firstNumber = 1): RoomKeyEntry[] {
+  // The modal's result types are loose duck-types of the generator's own
+  return buildRoomKey(result as unknown as RoomKeySource, stockResult as unknown as RoomKeyStocking, firstNumber);
+}
+
+/**
+ * Tell the user which layout constraints the generator gave up on.
+ * @param results - Every generated floor
+ */
+function reportUnmetConstraints(results: DungeonGenerationResult[]): void {
+  const messages = results.flatMap((result, level) =>
+    (result.metadata.constraintReport?.unmet ?? []).map(({ message }) =>
+      results.length > 1 ? `Level ${level + 1}: ${message}` : message
+    )
+  );
+  if (messages.length === 0) return;
+  new Notice(`Some layout constraints could not be met:\n${messages.join('\n')}`, 10000);
+}
+
+/** Most floors offered by the Levels slider */
+const MAX_DUNGEON_LEVELS = 5;
+
 class InsertDungeonModal extends Modal {
   private plugin: WindrosePlugin;
   private onInsert: OnInsertCallback;
@@ -169,27 +303,60 @@ class InsertDungeonModal extends Modal {
   private distancePerCell: number;
   private distanceUnit: string;
   private advancedOpen: boolean;
-  private dungeonStyle: DungeonStyleName;
+  /** A built-in style name or the id of a user-defined style */
+  private dungeonStyle: string;
+  /** Styles of the enabled dungeon style packs */
+  private customStyles: DungeonStyleDefinition[];
   private visualizer: DungeonEssenceVisualizer | null;
   private sliderRefs: Record<string, SliderRef>;
   private corridorSelect: HTMLSelectElement | null;
   private configOverrides: ConfigOverrides;
   private nameInput: TextComponent | null;
-
-  constructor(app: App, plugin: WindrosePlugin, onInsert: OnInsertCallback) {
+  private seedInput: TextComponent | null;
+  /** Seed as typed: blank means "draw a fresh one", text is hashed */
+  private seedText: string;
+  /** Floors to generate; more than one writes a board per floor */
+  private levelCount: number;
+  private onInsertWilderness: OnInsertWildernessCallback;
+  private mapKind: GeneratedMapKind;
+  private wildernessSize: WildernessSize;
+  private settlementCount: number;
+  private dungeonSiteCount: number;
+  private settlementSlider: SliderComponent | null;
+  private dungeonSiteSlider: SliderComponent | null;
+  /** Enabled travel pack whose terrains tag the generated regions ('' = none) */
+  private travelPackId: string;
+  private travelTerrains: Partial<Record<WildernessTerrainKind, string | null>>;
+  private constraintChoices: ConstraintChoices;
+
+  constructor(app: App, plugin: WindrosePlugin, onInsert: OnInsertCallback, onInsertWilderness: OnInsertWildernessCallback) {
     super(app);
     this.plugin = plugin;
     this.onInsert = onInsert;
+    this.onInsertWilderness = onInsertWilderness;
     this.mapName = '';
     this.dungeonSize = null;
     this.distancePerCell = 5;
     this.distanceUnit = 'ft';
     this.advancedOpen = false;
     this.dungeonStyle = 'classic';
+    this.customStyles = getEnabledDungeonStyles(getSettings().dungeonStylePacks);
     this.visualizer = null;
     this.sliderRefs = {};
     this.corridorSelect = null;
     this.nameInput = null;
+    this.seedInput = null;
+    this.seedText = '';
+    this.levelCount = 1;
+    this.mapKind = 'dungeon';
+    this.wildernessSize = 'medium';
+    this.settlementCount = WILDERNESS_PRESETS.medium.settlementCount;
+    this.dungeonSiteCount = WILDERNESS_PRESETS.medium.dungeonCount;
+    this.settlementSlider = null;
+    this.dungeonSiteSlider = null;
+    this.travelPackId = '';
+    this.travelTerrains = {};
+    this.constraintChoices = { bossDepth: null, secretTreasury: false, minLoops: 0, lockedDoors: 0 };
     this.configOverrides = {
       circleChance: null,
       loopChance: null,
@@ -207,12 +374,26 @@ class InsertDungeonModal extends Modal {
       trapWeight: null,
       useTemplates: null,
       waterChance: null,
-      autoFogEnabled: false
+      dungeonLevel: null,
+      autoFogEnabled: false,
+      roomKeyEnabled: false
     };
   }
 
+  /** The selected user-defined style, or null for a built-in one */
+  getCustomStyle(): DungeonStyleDefinition | null {
+    return this.customStyles.find(style => style.id === this.dungeonStyle) ?? null;
+  }
+
+  /** Slider defaults of the selected style; user-defined styles start from classic */
+  getStyleDefaults(): DungeonStyleDefaults {
+    const custom = this.getCustomStyle();
+    if (custom) return { ...DUNGEON_STYLE_DEFAULTS.classic, ...custom.overrides };
+    return DUNGEON_STYLE_DEFAULTS[this.dungeonStyle as DungeonStyleName] ?? DUNGEON_STYLE_DEFAULTS.classic;
+  }
+
   getVisualizerSettings(): VisualizerSettings {
-    const base = DUNGEON_STYLE_DEFAULTS[this.dungeonStyle] ?? DUNGEON_STYLE_DEFAULTS.classic;
+    const base = this.getStyleDefaults();
 
     const settings: VisualizerSettings = { ...base, size: this.dungeonSize ?? 'medium' };
     if (this.configOverrides.circleChance !== null) settings.circleChance = this.configOverrides.circleChance;
@@ -247,35 +428,102 @@ class InsertDungeonModal extends Modal {
     overrides.floorColor = colors.floor;
     overrides.wallColor = colors.wall;
     overrides.waterColor = colors.water;
+    const constraints = this.buildConstraintSpec();
+    if (constraints) overrides.constraints = constraints;
+
+    // A user-defined style travels with the map so re-rolls don't need its pack
+    const custom = this.getCustomStyle();
+    if (custom) {
+      const { style, missing } = resolveDungeonStyleForGeneration(custom, getResolvedObjectTypes('grid'));
+      overrides.styleDefinition = style;
+      if (missing.length > 0) {
+        new Notice(`Style "${custom.name}" uses objects that aren't in the object set; they were skipped: ${missing.join(', ')}`, 8000);
+      }
+    }
+
+    // So do the stocking tables that apply to the style
+    const tables = getEnabledStockingTables(getSettings().dungeonStylePacks, this.dungeonStyle);
+    if (tables.length > 0) overrides.stockingTables = tables;
     return overrides;
   }
 
+  /** Constraint spec for the chosen layout constraints, or null if none are set */
+  buildConstraintSpec(): DungeonConstraintSpec | null {
+    const { bossDepth, secretTreasury, minLoops, lockedDoors } = this.constraintChoices;
+    const spec: DungeonConstraintSpec = {};
+    if (bossDepth !== null) spec.bossDepth = bossDepth;
+    if (secretTreasury) spec.requiredRooms = [{ template: 'treasury', secret: true }];
+    if (minLoops > 0) spec.minLoops = minLoops;
+    if (lockedDoors > 0) spec.lockedDoors = lockedDoors;
+    return Object.keys(spec).length > 0 ? spec : null;
+  }
+
   async generateAndInsert(): Promise<void> {
     if (!this.dungeonSize) return;
     try {
       const generator = await this.plugin.loadDungeonGenerator();
       const overrides = this.buildGenerationOverrides();
+      // The seed is recorded on generationSettings, not in the overrides, so a
+      // re-roll (which replays the overrides) still draws a new layout.
+      const seed = normalizeSeed(this.seedText) ?? generateSeed();
+
+      if (this.levelCount > 1) {
+        const stack = generator.generateMultiLevelDungeon(this.dungeonSize, undefined, { ...overrides, seed }, this.levelCount) as MultiLevelGenerationResult;
+        const levels: DungeonInsertLevel[] = [];
+        let nextRoomNumber = 1;
+        for (const [floor, result] of stack.levels.entries()) {
+          const stockResult = await stockGeneratedDungeon(this.plugin, result, overrides, floor);
+          // Room numbers run on from the floor above, so every room's number is unique
+          const roomKey = this.configOverrides.roomKeyEnabled
+            ? buildGeneratedRoomKey(result, stockResult, nextRoomNumber)
+            : undefined;
+          nextRoomNumber += roomKey?.length ?? 0;
+          levels.push({
+            cells: result.cells,
+            objects: [...result.objects, ...stockResult.objects],
+            edges: result.edges ?? [],
+            stockingMetadata: toStockingMetadata(result),
+            roomKey
+          });
+        }
+
+        reportUnmetConstraints(stack.levels);
+        const [top] = levels;
+        await this.onInsert(this.mapName, top.cells, top.objects, top.edges, {
+          distancePerCell: this.distancePerCell,
+          distanceUnit: this.distanceUnit,
+          preset: this.dungeonSize,
+          configOverrides: overrides,
+          seed: stack.seed,
+          roomCount: stack.levels.reduce((sum, r) => sum + r.metadata.roomCount, 0),
+          doorCount: stack.levels.reduce((sum, r) => sum + r.metadata.doorCount, 0),
+          stockingMetadata: top.stockingMetadata,
+          roomKey: top.roomKey,
+          levels,
+          stairLinks: stack.stairLinks
+        });
+        this.close();
+        return;
+      }
 
-      const result = generator.generateDungeon(this.dungeonSize, undefined, overrides) as DungeonGenerationResult;
+      const result = generator.generateDungeon(this.dungeonSize, undefined, { ...overrides, seed }) as DungeonGenerationResult;
       const stockResult = await stockGeneratedDungeon(this.plugin, result, overrides);
       const allObjects = [...result.objects, ...stockResult.objects];
+      const roomKey = this.configOverrides.roomKeyEnabled
+        ? buildGeneratedRoomKey(result, stockResult)
+        : undefined;
+      reportUnmetConstraints([result]);
 
       await this.onInsert(this.mapName, result.cells, allObjects, result.edges ?? [], {
         distancePerCell: this.distancePerCell,
         distanceUnit: this.distanceUnit,
         preset: this.dungeonSize,
         configOverrides: overrides,
+        seed: result.metadata.seed,
         roomCount: result.metadata.roomCount,
         doorCount: result.metadata.doorCount,
-        stockingMetadata: {
-          rooms: result.metadata.rooms,
-          corridorResult: result.metadata.corridorResult,
-          doorPositions: result.metadata.doorPositions,
-          entryRoomId: result.metadata.entryRoomId,
-          exitRoomId: result.metadata.exitRoomId,
-          waterRoomIds: result.metadata.waterRoomIds,
-          style: result.metadata.style
-        }
+        stockingMetadata: toStockingMetadata(result),
+        roomKey
       });
       this.close();
     } catch (err: unknown) {
@@ -284,8 +532,132 @@ class InsertDungeonModal extends Modal {
     }
   }
 
+  async generateWildernessAndInsert(): Promise<void> {
+    try {
+      const generator = await this.plugin.loadWildernessGenerator();
+      const seed = normalizeSeed(this.seedText) ?? generateSeed();
+      const result = generator.generateWilderness(this.wildernessSize, {
+        seed,
+        // Same orientation createNewMap gives a fresh hex map
+        orientation: getSettings().hexOrientation,
+        settlementCount: this.settlementCount,
+        dungeonCount: this.dungeonSiteCount,
+        travelTerrains: this.travelPackId !== '' ? this.travelTerrains : undefined
+      }) as WildernessResult;
+
+      await this.onInsertWilderness(this.mapName, {
+        cols: result.metadata.cols,
+        rows: result.metadata.rows,
+        orientation: result.metadata.orientation,
+        seed: result.metadata.seed,
+        cells: result.cells,
+        objects: result.objects,
+        regions: result.regions
+      });
+      this.close();
+    } catch (err: unknown) {
+      console.error('[Windrose] Wilderness generation failed:', err);
+      new Notice('Failed to generate wilderness: ' + (err as Error).message);
+    }
+  }
+
+  /**
+   * Options for the hex wilderness: size, marker counts, and an optional
+   * travel pack whose terrains are assigned to the generated regions.
+   */
+  renderWildernessOptions(container: HTMLElement): void {
+    const sizeContainer = container.createDiv({ cls: 'windrose-dungeon-size-selection' });
+    sizeContainer.createDiv({ text: 'Wilderness size', cls: 'setting-item-name' });
+    sizeContainer.createDiv({
+      text: 'Choose how many hexes the map spans',
+      cls: 'setting-item-description'
+    });
+
+    const buttonRow = sizeContainer.createDiv({ cls: 'windrose-dungeon-size-buttons' });
+    const sizeLabels: Record<WildernessSize, string> = { small: 'Small', medium: 'Medium', large: 'Large' };
+    const buttons: Record<string, HTMLButtonElement> = {};
+
+    for (const [size, label] of Object.entries(sizeLabels)) {
+      const preset = WILDERNESS_PRESETS[size as WildernessSize];
+      const btn = buttonRow.createEl('button', {
+        cls: 'windrose-dungeon-size-btn',
+        text: label,
+        attr: { type: 'button' }
+      });
+      setTooltip(btn, `${preset.cols} × ${preset.rows} hexes`);
+      buttons[size] = btn;
+
+      btn.onclick = () => {
+        this.wildernessSize = size as WildernessSize;
+        Object.values(buttons).forEach((b: HTMLButtonElement) => b.removeClass('selected'));
+        btn.addClass('selected');
+        this.settlementCount = preset.settlementCount;
+        this.dungeonSiteCount = preset.dungeonCount;
+        this.settlementSlider?.setValue(preset.settlementCount);
+        this.dungeonSiteSlider?.setValue(preset.dungeonCount);
+      };
+    }
+    buttons[this.wildernessSize].addClass('selected');
+
+    new Setting(container)
+      .setName('Settlements')
+      .setDesc('Towns and villages, placed on open ground and near water')
+      .addSlider(slider => {
+        this.settlementSlider = slider;
+        slider.setLimits(0, 12, 1);
+        slider.setValue(this.settlementCount);
+        slider.onChange(value => { this.settlementCount = value; });
+      });
+
+    new Setting(container)
+      .setName('Dungeon sites')
+      .setDesc('Ruins, lairs and tombs, placed in the hills, mountains and marshes')
+      .addSlider(slider => {
+        this.dungeonSiteSlider = slider;
+        slider.setLimits(0, 10, 1);
+        slider.setValue(this.dungeonSiteCount);
+        slider.onChange(value => { this.dungeonSiteCount = value; });
+      });
+
+    const packs = getEnabledTravelPacks(getSettings().travelPacks);
+    if (packs.length === 0) return;
+
+    new Setting(container)
+      .setName('Travel terrains')
+      .setDesc('Tag each region with a terrain from an enabled travel pack')
+      .addDropdown(dropdown => {
+        dropdown.addOption('', 'None');
+        for (const pack of packs) dropdown.addOption(pack.id, pack.name);
+        dropdown.setValue(this.travelPackId);
+        dropdown.onChange(value => {
+          this.travelPackId = value;
+          const pack = packs.find(p => p.id === value);
+          this.travelTerrains = pack != null ? suggestTravelTerrains(pack.terrains) : {};
+          renderTerrainPickers();
+        });
+      });
+    const terrainContainer = container.createDiv();
+    const renderTerrainPickers = (): void => {
+      terrainContainer.empty();
+      const pack = packs.find(p => p.id === this.travelPackId);
+      if (pack == null) return;
+      for (const kind of TERRAIN_KINDS) {
+        new Setting(terrainContainer)
+          .setName(WILDERNESS_TERRAINS[kind].name)
+          .addDropdown(dropdown => {
+            dropdown.addOption('', 'None');
+            for (const terrain of pack.terrains) dropdown.addOption(terrain.id, terrain.name);
+            dropdown.setValue(this.travelTerrains[kind] ?? '');
+            dropdown.onChange(value => { this.travelTerrains[kind] = value === '' ? null : value; });
+          });
+      }
+    };
+
+    renderTerrainPickers();
+  }
+
   syncSlidersToStyle(): void {
-    const defaults = DUNGEON_STYLE_DEFAULTS[this.dungeonStyle] ?? DUNGEON_STYLE_DEFAULTS.classic;
+    const defaults = this.getStyleDefaults();
 
     for (const [key, ref] of Object.entries(this.sliderRefs)) {
       const defaultVal = defaults[key as keyof DungeonStyleDefaults];
@@ -318,7 +690,7 @@ class InsertDungeonModal extends Modal {
     const visualizerContainer = headerContainer.createDiv({ cls: 'windrose-dungeon-visualizer' });
 
     const titleOverlay = headerContainer.createDiv({ cls: 'windrose-dungeon-title-overlay' });
-    titleOverlay.createEl('h2', { text: 'Generate random dungeon' });
+    const title = titleOverlay.createEl('h2', { text: 'Generate random dungeon' });
 
     this.visualizer = new DungeonEssenceVisualizer(visualizerContainer, {
       height: 180,
@@ -331,7 +703,7 @@ class InsertDungeonModal extends Modal {
 
     new Setting(contentEl)
       .setName('Map name')
-      .setDesc('A display name for this dungeon map (can be left blank)')
+      .setDesc('A display name for this map (can be left blank)')
       .addText(text => {
         this.nameInput = text;
         text
@@ -342,7 +714,46 @@ class InsertDungeonModal extends Modal {
         window.setTimeout(() => text.inputEl.focus(), 10);
       });
 
-    const styleContainer = contentEl.createDiv({ cls: 'windrose-dungeon-style-selection' });
+    new Setting(contentEl)
+      .setName('Map type')
+      .setDesc('A grid dungeon, or a hex wilderness with named regions, settlements and dungeon sites')
+      .addDropdown(dropdown => {
+        dropdown.addOption('dungeon', 'Dungeon (grid map)');
+        dropdown.addOption('wilderness', 'Wilderness (hex map)');
+        dropdown.setValue(this.mapKind);
+        dropdown.onChange(value => {
+          this.mapKind = value as GeneratedMapKind;
+          dungeonSection.toggle(this.mapKind === 'dungeon');
+          wildernessSection.toggle(this.mapKind === 'wilderness');
+          title.setText(this.mapKind === 'wilderness' ? 'Generate random wilderness' : 'Generate random dungeon');
+        });
+      });
+
+    new Setting(contentEl)
+      .setName('Seed')
+      .setDesc('Same seed, map type, size, and options reproduce the same map. Leave blank for a random one.')
+      .addText(text => {
+        this.seedInput = text;
+        text
+          .setPlaceholder('Random')
+          .setValue(this.seedText)
+          .onChange((value: string) => {
+            this.seedText = value;
+          });
+      })
+      .addExtraButton(button => {
+        button
+          .setIcon('lucide-dices')
+          .setTooltip('Roll a new seed')
+          .onClick(() => {
+            this.seedText = String(generateSeed());
+            this.seedInput?.setValue(this.seedText);
+          });
+      });
+
+    const dungeonSection = contentEl.createDiv();
+
+    const styleContainer = dungeonSection.createDiv({ cls: 'windrose-dungeon-style-selection' });
     styleContainer.createDiv({ text: 'Style', cls: 'setting-item-name' });
     styleContainer.createDiv({
       text: 'Choose the architectural style of the dungeon',
@@ -351,12 +762,15 @@ class InsertDungeonModal extends Modal {
 
     const styleRow = styleContainer.createDiv({ cls: 'windrose-dungeon-style-buttons' });
 
-    const styleInfo: Record<DungeonStyleName, { label: string; desc: string }> = {
+    const styleInfo: Record<string, { label: string; desc: string }> = {
       classic: { label: 'Classic', desc: 'Balanced mix of rooms and corridors' },
       cavern: { label: 'Cavern', desc: 'Natural caves with organic passages' },
       fortress: { label: 'Fortress', desc: 'Military structure, wide corridors' },
       crypt: { label: 'Crypt', desc: 'Tight passages, hidden chambers' }
     };
+    for (const style of this.customStyles) {
+      styleInfo[style.id] = { label: style.name, desc: style.description ?? 'Custom style' };
+    }
 
     const styleButtons: Record<string, HTMLButtonElement> = {};
 
@@ -376,7 +790,7 @@ class InsertDungeonModal extends Modal {
       styleButtons[style] = btn;
 
       btn.onclick = () => {
-        this.dungeonStyle = style as DungeonStyleName;
+        this.dungeonStyle = style;
         this.configOverrides.style = style === 'classic' ? null : style;
         Object.values(styleButtons).forEach((b: HTMLButtonElement) => b.removeClass('selected'));
         btn.addClass('selected');
@@ -387,7 +801,7 @@ class InsertDungeonModal extends Modal {
 
     styleButtons.classic.addClass('selected');
 
-    const sizeContainer = contentEl.createDiv({ cls: 'windrose-dungeon-size-selection' });
+    const sizeContainer = dungeonSection.createDiv({ cls: 'windrose-dungeon-size-selection' });
     sizeContainer.createDiv({ text: 'Dungeon size', cls: 'setting-item-name' });
     sizeContainer.createDiv({
       text: 'Choose the overall size of the generated dungeon',
@@ -421,7 +835,7 @@ class InsertDungeonModal extends Modal {
       };
     }
 
-    const distContainer = contentEl.createDiv({ cls: 'windrose-dungeon-size-selection' });
+    const distContainer = dungeonSection.createDiv({ cls: 'windrose-dungeon-size-selection' });
     distContainer.createDiv({ text: 'Distance measurement', cls: 'setting-item-name' });
     distContainer.createDiv({
       text: 'Set the scale for distance measurement on this map',
@@ -449,7 +863,16 @@ class InsertDungeonModal extends Modal {
       this.distanceUnit = (e.target as HTMLInputElement).value || 'ft';
     });
 
-    const advancedContainer = contentEl.createDiv({ cls: 'windrose-dungeon-advanced' });
+    new Setting(dungeonSection)
+      .setName('Levels')
+      .setDesc('Generate several floors, each on its own board. Each floor’s down stairs line up with, and link to, the up stairs on the floor below.')
+      .addSlider(slider => {
+        slider.setLimits(1, MAX_DUNGEON_LEVELS, 1);
+        slider.setValue(this.levelCount);
+        slider.onChange(value => { this.levelCount = value; });
+      });
+
+    const advancedContainer = dungeonSection.createDiv({ cls: 'windrose-dungeon-advanced' });
 
     const advancedHeader = advancedContainer.createDiv({ cls: 'windrose-dungeon-advanced-header' });
     const chevron = advancedHeader.createSpan({ cls: 'windrose-dungeon-advanced-chevron', text: '▶' });
@@ -464,7 +887,7 @@ class InsertDungeonModal extends Modal {
       chevron.textContent = this.advancedOpen ? '▼' : '▶';
     };
 
-    const createSlider = (container: HTMLElement, label: string, key: string, min: number, max: number, step: number, defaultVal: number, formatFn: (v: number) => string): { slider: HTMLInputElement; valueDisplay: HTMLSpanElement } => {
+    const createSlider = (container: HTMLElement, label: string, key: string, min: number, max: number, step: number, defaultVal: number, formatFn: (v: number) => string, store?: (v: number) => void): { slider: HTMLInputElement; valueDisplay: HTMLSpanElement } => {
       const row = container.createDiv({ cls: 'windrose-dungeon-slider-row' });
       row.createEl('label', { text: label });
 
@@ -483,6 +906,10 @@ class InsertDungeonModal extends Modal {
       slider.addEventListener('input', (e: Event) => {
         const val = parseFloat((e.target as HTMLInputElement).value);
         valueDisplay.textContent = formatFn(val);
+        if (store) {
+          store(val);
+          return;
+        }
         this.configOverrides[key] = val;
         this.updateVisualizer();
       });
@@ -562,6 +989,78 @@ class InsertDungeonModal extends Modal {
     createSlider(advancedContent, 'Features', 'featureWeight', 0, 1, 0.05, 0.17, pct);
     createSlider(advancedContent, 'Traps', 'trapWeight', 0, 1, 0.05, 0.17, pct);
 
+    const keyRow = advancedContent.createDiv({ cls: 'windrose-dungeon-slider-row' });
+    keyRow.createEl('label', { text: 'Room key' });
+    const keyToggleContainer = keyRow.createDiv({ cls: 'windrose-dungeon-toggle-container' });
+    const keyCheckbox = keyToggleContainer.createEl('input', {
+      type: 'checkbox',
+      attr: { id: 'windrose-room-key-toggle' }
+    });
+    keyToggleContainer.createEl('label', {
+      attr: { for: 'windrose-room-key-toggle' },
+      text: 'Enable',
+      cls: 'windrose-checkbox-label'
+    });
+    keyCheckbox.addEventListener('change', (e: Event) => {
+      this.configOverrides.roomKeyEnabled = (e.target as HTMLInputElement).checked;
+    });
+    advancedContent.createDiv({
+      cls: 'windrose-checkbox-hint',
+      text: 'Numbers each room and writes a key note beside this one listing what each room holds and where it leads'
+    });
+
+    const hasStockingTables = getEnabledDungeonStylePacks(getSettings().dungeonStylePacks)
+      .some(pack => (pack.tables?.length ?? 0) > 0);
+    if (hasStockingTables) {
+      createSlider(advancedContent, 'Dungeon Level', 'dungeonLevel', 1, 20, 1, 1, String);
+      advancedContent.createDiv({
+        cls: 'windrose-checkbox-hint',
+        text: 'Monsters and treasure are named from your stocking tables for this level and style. Each floor below the first is a level deeper.'
+      });
+    }
+
+    advancedContent.createDiv({ cls: 'windrose-dungeon-section-header', text: 'Layout constraints' });
+
+    const bossRow = advancedContent.createDiv({ cls: 'windrose-dungeon-slider-row' });
+    bossRow.createEl('label', { text: 'Boss room' });
+    const bossSelect = bossRow.createDiv({ cls: 'windrose-dungeon-toggle-container' })
+      .createEl('select', { cls: 'windrose-dungeon-select' });
+    bossSelect.createEl('option', { value: '', text: 'None' });
+    bossSelect.createEl('option', { value: 'farthest', text: 'Farthest from entrance' });
+    for (const depth of [2, 3, 4, 5]) {
+      bossSelect.createEl('option', { value: String(depth), text: `${depth} rooms deep` });
+    }
+    bossSelect.addEventListener('change', (e: Event) => {
+      const value = (e.target as HTMLSelectElement).value;
+      this.constraintChoices.bossDepth = value === '' ? null : value === 'farthest' ? 'farthest' : Number(value);
+    });
+
+    const treasuryRow = advancedContent.createDiv({ cls: 'windrose-dungeon-slider-row' });
+    treasuryRow.createEl('label', { text: 'Secret treasury' });
+    const treasuryToggleContainer = treasuryRow.createDiv({ cls: 'windrose-dungeon-toggle-container' });
+    const treasuryCheckbox = treasuryToggleContainer.createEl('input', {
+      type: 'checkbox',
+      attr: { id: 'windrose-treasury-toggle' }
+    });
+    treasuryToggleContainer.createEl('label', {
+      attr: { for: 'windrose-treasury-toggle' },
+      text: 'Require',
+      cls: 'windrose-checkbox-label'
+    });
+    treasuryCheckbox.addEventListener('change', (e: Event) => {
+      this.constraintChoices.secretTreasury = (e.target as HTMLInputElement).checked;
+    });
+
+    const countLabel = (v: number): string => v === 0 ? 'Any' : String(v);
+    createSlider(advancedContent, 'Minimum Loops', 'minLoops', 0, 3, 1, 0, countLabel,
+      v => { this.constraintChoices.minLoops = v; });
+    createSlider(advancedContent, 'Locked Doors', 'lockedDoors', 0, 3, 1, 0, (v: number) => v === 0 ? 'None' : String(v),
+      v => { this.constraintChoices.lockedDoors = v; });
+    advancedContent.createDiv({
+      cls: 'windrose-checkbox-hint',
+      text: 'Layouts are re-rolled until these hold. Each locked door gets a key placed where it can be found first.'
+    });
+
     advancedContent.createDiv({ cls: 'windrose-dungeon-section-header', text: 'Solo play' });
 
     const fogRow = advancedContent.createDiv({ cls: 'windrose-dungeon-slider-row' });
@@ -585,6 +1084,10 @@ class InsertDungeonModal extends Modal {
       text: 'Cover dungeon with fog, revealing only the entrance room'
     });
 
+    const wildernessSection = contentEl.createDiv();
+    this.renderWildernessOptions(wildernessSection);
+    wildernessSection.hide();
+
     const buttonContainer = contentEl.createDiv({ cls: 'windrose-modal-buttons' });
 
     const cancelBtn = buttonContainer.createEl('button', { text: 'Cancel' });
@@ -592,6 +1095,10 @@ class InsertDungeonModal extends Modal {
 
     const generateBtn = buttonContainer.createEl('button', { text: 'Generate', cls: 'mod-cta' });
     generateBtn.onclick = async () => {
+      if (this.mapKind === 'wilderness') {
+        await this.generateWildernessAndInsert();
+        return;
+      }
       if (!this.dungeonSize) {
         buttonRow.addClass('windrose-shake');
         window.setTimeout(() => buttonRow.removeClass('windrose-shake'), 300);
@@ -602,7 +1109,11 @@ class InsertDungeonModal extends Modal {
     };
 
     contentEl.addEventListener('keydown', (e: KeyboardEvent) => { void (async () => {
-      if (e.key === 'Enter' && this.dungeonSize) {
+      if (e.key !== 'Enter') return;
+      if (this.mapKind === 'wilderness') {
+        e.preventDefault();
+        await this.generateWildernessAndInsert();
+      } else if (this.dungeonSize) {
         e.preventDefault();
         await this.generateAndInsert();
       }
@@ -616,9 +1127,12 @@ class InsertDungeonModal extends Modal {
     }
     this.sliderRefs = {};
     this.corridorSelect = null;
+    this.seedInput = null;
+    this.settlementSlider = null;
+    this.dungeonSiteSlider = null;
     this.contentEl.empty();
   }
 }
 
 export { InsertDungeonModal };
-export type { OnInsertCallback, DungeonInsertOptions };
+export type { OnInsertCallback, OnInsertWildernessCallback, DungeonInsertOptions, WildernessInsertData };
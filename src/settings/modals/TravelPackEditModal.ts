@@ -2,8 +2,8 @@
  * TravelPackEditModal.ts
  *
  * Native Obsidian modal for editing a travel pack: name/description plus
- * the four entity lists (custom units, terrains, travel modes, per-day
- * allowances). Edits apply immediately to plugin settings (instant-apply,
+ * its entity lists (custom units, terrains, terrain rules, travel modes,
+ * per-day allowances). Edits apply immediately to plugin settings (instant-apply,
  * matching the settings tab convention).
  *
  * Text edits commit without re-rendering (re-render would steal focus per
@@ -23,16 +23,20 @@ import type {
   TravelMode,
   TravelAllowance,
   TravelTimeUnit,
+  TerrainRule,
+  TerrainRuleSource,
 } from '#types/settings/travelPack.types';
 import type { WindrosePlugin } from '../tabs/settingsTabContext';
 import { ConfirmModal } from './ConfirmModal';
 import {
+  createTerrainRule,
   createTravelAllowance,
   createTravelMode,
   createTravelTerrain,
   createTravelUnit,
   findModesReferencingUnit,
   removePackItem,
+  removeTravelTerrain,
   resolvePackUnit,
   upsertPackItem,
   upsertTravelPack,
@@ -40,6 +44,11 @@ import {
 
 const DEFAULT_TERRAIN_COLOR = '#a8a29e';
 const MODE_TIME_UNITS: TravelTimeUnit[] = ['minutes', 'hours', 'days'];
+const RULE_SOURCES: { value: TerrainRuleSource; label: string; placeholder: string }[] = [
+  { value: 'regionTag', label: 'Region tag', placeholder: 'Tag' },
+  { value: 'tileCategory', label: 'Tile category', placeholder: 'Category' },
+  { value: 'cellColor', label: 'Cell color', placeholder: '#4a7c3f' },
+];
 
 /** Maps each pack list key to its entity type so patchItem patches typecheck */
 interface PackItemTypes {
@@ -47,6 +56,7 @@ interface PackItemTypes {
   terrains: TravelTerrain;
   modes: TravelMode;
   allowances: TravelAllowance;
+  terrainRules: TerrainRule;
 }
 
 class TravelPackEditModal extends Modal {
@@ -108,7 +118,7 @@ class TravelPackEditModal extends Modal {
   ): void {
     const current = this.getPack();
     if (!current) return;
-    const item = (current[key] as PackItemTypes[K][]).find(e => e.id === itemId);
+    const item = ((current[key] ?? []) as PackItemTypes[K][]).find(e => e.id === itemId);
     if (!item) return;
     this.commit(upsertPackItem(current, key, { ...item, ...patch }), rerender);
   }
@@ -169,6 +179,7 @@ class TravelPackEditModal extends Modal {
 
     this.renderUnits(contentEl, pack);
     this.renderTerrains(contentEl, pack);
+    this.renderTerrainRules(contentEl, pack);
     this.renderModes(contentEl, pack);
     this.renderAllowances(contentEl, pack);
   }
@@ -265,7 +276,7 @@ class TravelPackEditModal extends Modal {
 
   private renderTerrains(containerEl: HTMLElement, pack: TravelPack): void {
     new Setting(containerEl).setName('Terrain types').setHeading()
-      .setDesc('Speed multipliers — above 1 is faster (roads), below 1 is slower (swamps).')
+      .setDesc('Speed multipliers — above 1 is faster (roads), below 1 is slower (swamps). Toggle on for terrain routes can’t cross.')
       .addExtraButton(btn => btn
         .setIcon('plus')
         .setTooltip('Add terrain')
@@ -299,12 +310,78 @@ class TravelPackEditModal extends Modal {
           this.patchItem('terrains', terrain.id, { color: value });
         });
       });
+      row.addToggle(toggle => {
+        toggle.setTooltip('Impassable: found routes go around it');
+        toggle.setValue(terrain.impassable === true);
+        toggle.onChange(value => {
+          this.patchItem('terrains', terrain.id, { impassable: value });
+        });
+      });
       row.addExtraButton(btn => btn
         .setIcon('trash-2')
         .setTooltip('Remove terrain')
         .onClick(() => {
           const current = this.getPack();
-          if (current) this.commit(removePackItem(current, 'terrains', terrain.id), true);
+          if (current) this.commit(removeTravelTerrain(current, terrain.id), true);
+        }));
+    }
+  }
+
+  // ===========================================
+  // Terrain rules
+  // ===========================================
+
+  private renderTerrainRules(containerEl: HTMLElement, pack: TravelPack): void {
+    const heading = new Setting(containerEl).setName('Terrain rules').setHeading()
+      .setDesc('Route segments crossing a tagged region, a tile category or a painted color get its terrain automatically.');
+    if (pack.terrains.length === 0) {
+      heading.setDesc('Add a terrain first, then map region tags, tile categories or cell colors to it.');
+      return;
+    }
+    heading.addExtraButton(btn => btn
+      .setIcon('plus')
+      .setTooltip('Add rule')
+      .onClick(() => {
+        const current = this.getPack();
+        if (current) this.commit(upsertPackItem(current, 'terrainRules', createTerrainRule({ terrainId: current.terrains[0].id })), true);
+      }));
+
+    for (const rule of pack.terrainRules ?? []) {
+      const source = RULE_SOURCES.find(entry => entry.value === rule.source) ?? RULE_SOURCES[0];
+      const row = new Setting(containerEl);
+      row.settingEl.addClass('windrose-travel-pack-row');
+      row.addDropdown(dropdown => {
+        for (const entry of RULE_SOURCES) {
+          dropdown.addOption(entry.value, entry.label);
+        }
+        dropdown.setValue(rule.source);
+        dropdown.onChange(value => {
+          // Options come from RULE_SOURCES, so the cast is sound
+          this.patchItem('terrainRules', rule.id, { source: value as TerrainRuleSource }, true);
+        });
+      });
+      row.addText(text => {
+        text.setValue(rule.value);
+        text.setPlaceholder(source.placeholder);
+        text.onChange(value => {
+          this.patchItem('terrainRules', rule.id, { value: value.trim() });
+        });
+      });
+      row.addDropdown(dropdown => {
+        for (const terrain of pack.terrains) {
+          dropdown.addOption(terrain.id, terrain.name);
+        }
+        dropdown.setValue(rule.terrainId);
+        dropdown.onChange(value => {
+          this.patchItem('terrainRules', rule.id, { terrainId: value });
+        });
+      });
+      row.addExtraButton(btn => btn
+        .setIcon('trash-2')
+        .setTooltip('Remove rule')
+        .onClick(() => {
+          const current = this.getPack();
+          if (current) this.commit(removePackItem(current, 'terrainRules', rule.id), true);
         }));
     }
   }
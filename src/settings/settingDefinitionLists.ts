@@ -1,6 +1,7 @@
 import type { SettingDefinitionItem, SettingGroupItem } from 'obsidian';
 import { Notice } from 'obsidian';
 import type { TravelPack } from '#types/settings/travelPack.types';
+import type { DungeonStylePack } from '#types/settings/dungeonStyle.types';
 import { BUILT_IN_COLORS } from '../core/settingsAccessor';
 import { isFeatureEnabled } from '../core/featureFlags';
 import { ContentPackBrowserModal } from '../content-packs/ContentPackBrowserModal';
@@ -12,18 +13,29 @@ import {
   upsertTravelPack,
   validateTravelPackImport,
 } from '../travel/travelPackOperations';
+import {
+  createDungeonStylePack,
+  findMissingStyleObjects,
+  removeDungeonStylePack,
+  serializeDungeonStylePack,
+  setDungeonStylePackEnabled,
+  upsertDungeonStylePack,
+  validateDungeonStylePackImport,
+} from '../generation/dungeonStylePackOperations';
+import { getResolvedObjectTypes } from '../objects/objectTypeResolver';
 import { ColorHelpers } from './helpers/colorHelpers';
 import { FolderSuggest } from './helpers/FolderSuggest';
 import { runFolderDetection, FOLDER_DETECT_DEBOUNCE_MS } from './helpers/folderDetection';
 import { ColorEditModal } from './modals/ColorEditModal';
 import { ConfirmModal } from './modals/ConfirmModal';
 import { TravelPackEditModal } from './modals/TravelPackEditModal';
+import { DungeonStylePackEditModal } from './modals/DungeonStylePackEditModal';
 import { AddTilesModal } from './modals/AddTilesModal';
 import type { SettingsTabThis } from './tabs/settingsTabContext';
 
 // settingDefinitionLists.ts
 // Declarative Settings API (Obsidian 1.13+) list sections: Color palette,
-// Travel packs, and Tile sets. Phase 2 of the migration in
+// Travel packs, Dungeon style packs, and Tile sets. Phase 2 of the migration in
 // docs/proposals/settings-api-migration.md. Section shape: an intro group
 // carries the section heading (native lists force delete/drag affordances
 // onto EVERY item row, so intro text cannot live inside a list that uses
@@ -367,6 +379,175 @@ function buildTravelPackSections(tab: SettingsTabThis): SettingDefinitionItem[]
   ];
 }
 
+// --- Dungeon style packs ---
+
+/**
+ * Summarize a style pack for its list row, flagging object types the
+ * current object set doesn't have (they are skipped when generating).
+ */
+function dungeonStylePackSummary(pack: DungeonStylePack): string {
+  const parts: string[] = [];
+  if (pack.styles.length > 0) {
+    parts.push(`${pack.styles.length} style(s): ${pack.styles.map(style => style.name).join(', ')}`);
+  }
+  const tableCount = pack.tables?.length ?? 0;
+  if (tableCount > 0) parts.push(`${tableCount} stocking table(s)`);
+  const summary = parts.join('; ');
+  const knownIds = getResolvedObjectTypes('grid').map(type => type.id);
+  const missing = [...new Set(pack.styles.flatMap(style => findMissingStyleObjects(style, knownIds)))];
+  const warning = missing.length > 0 ? ` — not in the object set: ${missing.join(', ')}` : '';
+  return pack.description != null && pack.description !== ''
+    ? `${pack.description} — ${summary}${warning}`
+    : summary + warning;
+}
+
+async function importDungeonStylePackFile(tab: SettingsTabThis, file: File): Promise<void> {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(await file.text());
+  } catch {
+    new Notice('Import failed: the file is not valid JSON');
+    return;
+  }
+
+  const result = validateDungeonStylePackImport(parsed);
+  if (!result.valid || result.pack == null) {
+    new Notice('Import failed:\n' + result.errors.slice(0, 5).join('\n'), 10000);
+    return;
+  }
+
+  const existing = (tab.plugin.settings.dungeonStylePacks ?? []).find(p => p.id === result.pack?.id);
+  if (existing != null) {
+    const confirmed = await new ConfirmModal(tab.app, {
+      message: `A dungeon style pack with this id already exists ("${existing.name}"). Replace it with "${result.pack.name}"?`,
+      confirmText: 'Replace pack'
+    }).openAndGetValue();
+    if (!confirmed) return;
+  }
+
+  tab.plugin.settings.dungeonStylePacks = upsertDungeonStylePack(tab.plugin.settings.dungeonStylePacks ?? [], result.pack);
+  saveAndRebuild(tab);
+  new Notice(`Imported dungeon style pack "${result.pack.name}"`);
+}
+
+function dungeonStylePackRow(tab: SettingsTabThis, pack: DungeonStylePack): SettingGroupItem {
+  return {
+    name: pack.name,
+    desc: dungeonStylePackSummary(pack),
+    render: (setting) => {
+      setting.addToggle(toggle => {
+        toggle.setTooltip(pack.enabled ? 'Enabled — styles offered when generating' : 'Disabled — styles hidden when generating');
+        toggle.setValue(pack.enabled);
+        toggle.onChange(async (enabled) => {
+          tab.plugin.settings.dungeonStylePacks = setDungeonStylePackEnabled(tab.plugin.settings.dungeonStylePacks ?? [], pack.id, enabled);
+          tab.settingsChanged = true;
+          await tab.plugin.saveSettings();
+        });
+      });
+      setting.addExtraButton(btn => btn
+        .setIcon('pencil')
+        .setTooltip('Edit pack')
+        .onClick(() => {
+          new DungeonStylePackEditModal(tab.app, tab.plugin, pack.id, () => saveAndRebuild(tab)).open();
+        }));
+      setting.addExtraButton(btn => btn
+        .setIcon('download')
+        .setTooltip('Export to file')
+        .onClick(async () => {
+          const current = (tab.plugin.settings.dungeonStylePacks ?? []).find(p => p.id === pack.id);
+          if (!current) return;
+          const base = `windrose-dungeon-style-pack-${packSlug(current.name)}`;
+          let filename = `${base}.json`;
+          if (tab.app.vault.getAbstractFileByPath(filename) != null) {
+            filename = `${base}-${Date.now()}.json`;
+          }
+          try {
+            await tab.app.vault.create(filename, serializeDungeonStylePack(current));
+            new Notice(`Exported to ${filename} in the vault root`);
+          } catch (e) {
+            console.error('[Windrose] Dungeon style pack export failed:', e);
+            new Notice('Export failed — see console for details');
+          }
+        }));
+    }
+  };
+}
+
+function buildDungeonStylePackSections(tab: SettingsTabThis): SettingDefinitionItem[] {
+  const generatorEnabled = (): boolean => isFeatureEnabled('dungeonGenerator');
+  const packs = tab.plugin.settings.dungeonStylePacks ?? [];
+  return [
+    {
+      type: 'group',
+      heading: 'Dungeon style packs',
+      visible: generatorEnabled,
+      items: [
+        infoItem('Style packs add your own dungeon styles: generator settings, the objects each room category is stocked with (custom objects included), room templates, and category weights. They can also carry encounter and treasure tables that name the monsters and treasure placed. Enabled packs add their styles and tables to the generate dialog.')
+      ]
+    },
+    {
+      type: 'list',
+      visible: generatorEnabled,
+      emptyState: 'No dungeon style packs yet',
+      addItem: {
+        name: 'New dungeon style pack',
+        action: () => {
+          void (async () => {
+            const pack = createDungeonStylePack('New style pack');
+            tab.plugin.settings.dungeonStylePacks = upsertDungeonStylePack(tab.plugin.settings.dungeonStylePacks ?? [], pack);
+            tab.settingsChanged = true;
+            await tab.plugin.saveSettings();
+            tab.update();
+            new DungeonStylePackEditModal(tab.app, tab.plugin, pack.id, () => saveAndRebuild(tab)).open();
+          })();
+        }
+      },
+      onDelete: (index) => {
+        const pack = (tab.plugin.settings.dungeonStylePacks ?? [])[index] as DungeonStylePack | undefined;
+        if (pack == null) return;
+        void (async () => {
+          const confirmed = await new ConfirmModal(tab.app, {
+            message: `Delete dungeon style pack "${pack.name}"?\nMaps already generated with its styles keep their contents and can still be re-rolled.`,
+            confirmText: 'Delete pack',
+            isDestructive: true
+          }).openAndGetValue();
+          if (!confirmed) return;
+          tab.plugin.settings.dungeonStylePacks = removeDungeonStylePack(tab.plugin.settings.dungeonStylePacks ?? [], pack.id);
+          saveAndRebuild(tab);
+        })();
+      },
+      items: dedupeRowNames(packs.map(pack => dungeonStylePackRow(tab, pack)))
+    },
+    {
+      type: 'group',
+      visible: generatorEnabled,
+      items: [
+        {
+          name: 'Import from file',
+          desc: 'Import a dungeon style pack from a JSON file',
+          action: () => {
+            const input = createEl('input', { type: 'file' });
+            input.accept = '.json';
+            input.addEventListener('change', () => {
+              const file = input.files?.[0];
+              if (!file) return;
+              void importDungeonStylePackFile(tab, file);
+            });
+            input.click();
+          }
+        },
+        {
+          name: 'Browse dungeon style packs',
+          desc: 'Download ready-made dungeon styles from the content library',
+          action: () => {
+            new ContentPackBrowserModal(tab.app, tab.plugin, 'dungeon-style-pack', () => saveAndRebuild(tab)).open();
+          }
+        }
+      ]
+    }
+  ];
+}
+
 // --- Tile sets ---
 
 function tilesetFolderRow(tab: SettingsTabThis, folderPath: string, index: number): SettingGroupItem {
@@ -466,4 +647,4 @@ function buildTilesetSections(tab: SettingsTabThis): SettingDefinitionItem[] {
   return sections;
 }
 
-export { buildColorPaletteSections, buildTravelPackSections, buildTilesetSections, packSummary, packSlug, infoItem, dedupeRowNames, saveAndRebuild };
+export { buildColorPaletteSections, buildTravelPackSections, buildDungeonStylePackSections, buildTilesetSections, packSummary, packSlug, infoItem, dedupeRowNames, saveAndRebuild };
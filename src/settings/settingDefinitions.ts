@@ -10,7 +10,7 @@ import { getInstalledPacks } from '../content-packs/installedPacksService';
 import { fogPackImagePath } from '../content-packs/contentPackConstants';
 import { getPackUnitOptions } from '../travel/travelPackOperations';
 import { DUNGEON_STYLE_NAMES, DUNGEON_STYLE_COLOR_DEFAULTS } from '../generation/dungeonStyleColors';
-import { buildColorPaletteSections, buildTravelPackSections, buildTilesetSections, infoItem } from './settingDefinitionLists';
+import { buildColorPaletteSections, buildTravelPackSections, buildDungeonStylePackSections, buildTilesetSections, infoItem } from './settingDefinitionLists';
 import { buildObjectTypesSections, objectsPageDisplayValue } from './settingDefinitionObjects';
 import type { SettingsTabThis } from './tabs/settingsTabContext';
 
@@ -752,9 +752,12 @@ function buildSettingDefinitions(tab: SettingsTabThis): SettingDefinitionItem[]
     {
       type: 'page',
       name: 'Dungeon generation',
-      desc: 'Default colors for generated dungeon styles',
+      desc: 'Default colors for generated dungeon styles, and your own styles',
       visible: () => isFeatureEnabled('dungeonGenerator'),
-      items: [buildDungeonGenerationGroup(tab)]
+      items: [
+        buildDungeonGenerationGroup(tab),
+        ...buildDungeonStylePackSections(tab)
+      ]
     },
     {
       type: 'page',
@@ -0,0 +1,153 @@
+/**
+ * campaignClock.ts
+ *
+ * The map's in-game calendar and clock. The clock is a count of minutes
+ * since the calendar's first moment; these helpers turn it into a date
+ * ("14 Mirtul 1492, 14:00", or "Day 12, 14:00" without a calendar), set it
+ * from one, and advance it by a route's travel time.
+ */
+
+// Type-only imports
+import type { CalendarMonth, CampaignClock } from '#types/core/map.types';
+import type { TravelAllowance } from '#types/settings/travelPack.types';
+import type { TravelTime } from './travelTimeOperations';
+
+import { allowanceHoursPerDay } from './travelTimeOperations';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/** New clocks start on the first morning: parties set out at daybreak */
+const CLOCK_START_MINUTES = 8 * 60;
+
+/** A clock reading broken into calendar fields */
+interface ClockDate {
+  /** 1-based year; null without a calendar */
+  year: number | null;
+  /** 0-based month index; null without a calendar */
+  month: number | null;
+  /** 1-based day of the month, or the day count without a calendar */
+  day: number;
+  hour: number;
+  minute: number;
+}
+
+function createCampaignClock(months?: CalendarMonth[]): CampaignClock {
+  return {
+    minutes: CLOCK_START_MINUTES,
+    ...(months != null && months.length > 0 ? { months } : {})
+  };
+}
+
+function calendarMonths(clock: CampaignClock): CalendarMonth[] {
+  return clock.months ?? [];
+}
+
+function yearLength(months: CalendarMonth[]): number {
+  return months.reduce((sum, month) => sum + month.days, 0);
+}
+
+function getClockDate(clock: CampaignClock): ClockDate {
+  const total = Math.max(0, Math.floor(clock.minutes));
+  const dayIndex = Math.floor(total / MINUTES_PER_DAY);
+  const minuteOfDay = total - dayIndex * MINUTES_PER_DAY;
+  const hour = Math.floor(minuteOfDay / 60);
+  const minute = minuteOfDay % 60;
+
+  const months = calendarMonths(clock);
+  const daysPerYear = yearLength(months);
+  if (daysPerYear === 0) {
+    return { year: null, month: null, day: dayIndex + 1, hour, minute };
+  }
+
+  let rest = dayIndex % daysPerYear;
+  let month = 0;
+  while (rest >= months[month].days) {
+    rest -= months[month].days;
+    month++;
+  }
+  return { year: Math.floor(dayIndex / daysPerYear) + 1, month, day: rest + 1, hour, minute };
+}
+
+/**
+ * Clock minutes for a date on the given calendar. Out-of-range fields are
+ * clamped: a day past the month's end lands on its last day.
+ */
+function clockMinutesFromDate(months: CalendarMonth[], date: ClockDate): number {
+  const clamp = (value: number, min: number, max: number): number =>
+    Math.min(max, Math.max(min, Math.floor(value)));
+  const timeOfDay = clamp(date.hour, 0, 23) * 60 + clamp(date.minute, 0, 59);
+
+  const daysPerYear = yearLength(months);
+  if (daysPerYear === 0) {
+    return (Math.max(1, Math.floor(date.day)) - 1) * MINUTES_PER_DAY + timeOfDay;
+  }
+
+  const month = clamp(date.month ?? 0, 0, months.length - 1);
+  const day = clamp(date.day, 1, months[month].days);
+  const daysBefore = months.slice(0, month).reduce((sum, entry) => sum + entry.days, 0);
+  const year = Math.max(1, Math.floor(date.year ?? 1));
+  return ((year - 1) * daysPerYear + daysBefore + day - 1) * MINUTES_PER_DAY + timeOfDay;
+}
+
+/** The clock moved on (or back) by whole minutes; never before the first moment */
+function advanceCampaignClock(clock: CampaignClock, minutes: number): CampaignClock {
+  return { ...clock, minutes: Math.max(0, clock.minutes + Math.round(minutes)) };
+}
+
+function formatClockDate(clock: CampaignClock): string {
+  const date = getClockDate(clock);
+  const time = `${String(date.hour).padStart(2, '0')}:${String(date.minute).padStart(2, '0')}`;
+  if (date.year == null || date.month == null) return `Day ${date.day}, ${time}`;
+  return `${date.day} ${calendarMonths(clock)[date.month].name} ${date.year}, ${time}`;
+}
+
+/**
+ * How far a travel time moves the clock, in minutes. With an allowance, a
+ * day of travel is a whole calendar day: the party makes camp once the
+ * allowance is spent, so 10 h at 8 h a day is one day and 2 hours. Day-based
+ * times count whole calendar days, their fraction as allowance hours (or
+ * part of a day without one).
+ */
+function travelClockMinutes(time: TravelTime, allowance: TravelAllowance | null): number {
+  if (time.base === 'hours' && allowance == null) return Math.round(time.amount * 60);
+
+  const hoursPerDay = allowance != null ? allowanceHoursPerDay(allowance) : 24;
+  const totalDays = time.base === 'days' ? time.amount : time.amount / hoursPerDay;
+  // Float slack so 16 h at 8 h a day is exactly two days
+  const wholeDays = Math.floor(totalDays + 1e-9);
+  const remainderHours = Math.max(0, (totalDays - wholeDays) * hoursPerDay);
+  return Math.round(wholeDays * MINUTES_PER_DAY + remainderHours * 60);
+}
+
+/**
+ * Months from the calendar editor's text, one per line as "Name, days".
+ * Lines without a day count are skipped.
+ */
+function parseCalendarMonths(text: string): CalendarMonth[] {
+  const months: CalendarMonth[] = [];
+  for (const line of text.split('\n')) {
+    const match = /^(.*?)[\s,:]+(\d+)\s*$/.exec(line.trim());
+    if (match == null) continue;
+    const name = match[1].trim();
+    const days = parseInt(match[2], 10);
+    if (name !== '' && days >= 1) months.push({ name, days });
+  }
+  return months;
+}
+
+function formatCalendarMonths(months: CalendarMonth[]): string {
+  return months.map(month => `${month.name}, ${month.days}`).join('\n');
+}
+
+export {
+  MINUTES_PER_DAY,
+  createCampaignClock,
+  getClockDate,
+  clockMinutesFromDate,
+  advanceCampaignClock,
+  formatClockDate,
+  travelClockMinutes,
+  parseCalendarMonths,
+  formatCalendarMonths
+};
+export type { ClockDate };
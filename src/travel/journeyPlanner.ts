@@ -0,0 +1,230 @@
+/**
+ * journeyPlanner.ts
+ *
+ * Splits a route into travel days for hexcrawl play. The route is walked
+ * cell by cell: each segment's travel time (mode speed × terrain
+ * multiplier, as computeRouteTravelTime reckons it) is spread evenly over
+ * the cells the segment enters. A day ends, and the party camps, at the
+ * last cell reached before the day's travel time runs out: the selected
+ * allowance for hour-based modes, one day for day-based ones. A cell that
+ * alone takes longer than that fills a day of its own.
+ *
+ * Each day lists the cells it enters and the regions and linked notes met
+ * on the way, for the itinerary note.
+ */
+
+// Type-only imports
+import type { Point, IGeometry } from '#types/core/geometry.types';
+import type { MapData, MapLayer, MapType } from '#types/core/map.types';
+import type { HexOrientation } from '#types/settings/settings.types';
+import type { TravelAllowance, TravelMode, TravelPack, TravelTerrain } from '#types/settings/travelPack.types';
+import type { TravelTimeError } from './travelTimeOperations';
+
+import { axialToOffset, columnToLabel, rowToLabel } from '../geometry/core/offsetCoordinates';
+import { allowanceHoursPerDay, computeRouteTravelTime } from './travelTimeOperations';
+
+/** Float slack so a day that lands exactly on the allowance still fits */
+const DAY_EPSILON = 1e-9;
+
+/** What lies in a cell, as far as the itinerary cares */
+interface JourneyPlace {
+  /** Names of the regions covering the cell */
+  regions: string[];
+  /** Vault paths of notes linked from the cell's markers and regions */
+  notes: string[];
+}
+
+/** One day of travel */
+interface JourneyDay {
+  /** 1-based day number */
+  day: number;
+  start: Point;
+  /** Where the day ends: the camp, or the destination on the last day */
+  end: Point;
+  /** Cells entered during the day, in order (the end cell last) */
+  cells: Point[];
+  /** Distance covered, in map units */
+  distance: number;
+  /** Travel time spent, in the plan's time base */
+  time: number;
+  /** Region names met, in order */
+  regions: string[];
+  /** Linked note paths met, in order */
+  notes: string[];
+}
+
+/** A route split into days */
+interface JourneyPlan {
+  ok: true;
+  days: JourneyDay[];
+  /** Time base of every time in the plan (see TravelTime) */
+  base: 'hours' | 'days';
+  /** Travel time one day allows, in that base */
+  dayLength: number;
+  totalTime: number;
+  totalDistance: number;
+}
+
+type JourneyPlanResult = JourneyPlan | TravelTimeError;
+
+/** The route to plan, as saved or measured */
+interface JourneyRoute {
+  points: Point[];
+  segmentTerrains?: (string | null)[];
+}
+
+interface JourneyPlanOptions {
+  geometry: IGeometry;
+  /** Length of each segment in cells (computeSegmentDistances) */
+  segmentDistances: number[];
+  distancePerCell: number;
+  mapUnit: string;
+  mode: TravelMode;
+  pack: TravelPack;
+  /** Required for hour- and minute-based modes */
+  allowance: TravelAllowance | null;
+  /** Terrains the route's segments may reference */
+  terrains: TravelTerrain[];
+  /** What lies in each cell, keyed "x,y" (buildJourneyPlaces) */
+  places?: Map<string, JourneyPlace>;
+}
+
+function cellKey(x: number, y: number): string {
+  return `${x},${y}`;
+}
+
+function pushUnique(list: string[], values: string[]): void {
+  for (const value of values) {
+    if (!list.includes(value)) list.push(value);
+  }
+}
+
+/**
+ * Regions and linked notes per cell, from the given layers' markers (with a
+ * linked note) and the map's regions.
+ */
+function buildJourneyPlaces(
+  mapData: MapData,
+  layers: MapLayer[],
+  geometry: IGeometry
+): Map<string, JourneyPlace> {
+  const places = new Map<string, JourneyPlace>();
+  const placeAt = (x: number, y: number): JourneyPlace => {
+    const key = cellKey(x, y);
+    let place = places.get(key);
+    if (place == null) {
+      place = { regions: [], notes: [] };
+      places.set(key, place);
+    }
+    return place;
+  };
+
+  const regions = [...(mapData.regions ?? [])].sort((a, b) => a.order - b.order);
+  for (const region of regions) {
+    for (const hex of region.hexes) {
+      const place = placeAt(hex.x, hex.y);
+      pushUnique(place.regions, [region.name]);
+      if (region.linkedNote != null && region.linkedNote !== '') pushUnique(place.notes, [region.linkedNote]);
+    }
+  }
+
+  for (const layer of layers) {
+    for (const obj of layer.objects) {
+      if (obj.linkedNote == null || obj.linkedNote === '') continue;
+      // Freeform markers store world coordinates
+      const cell = obj.freeform === true && obj.worldPosition
+        ? geometry.worldToGrid(obj.worldPosition.x, obj.worldPosition.y)
+        : obj.position;
+      pushUnique(placeAt(cell.x, cell.y).notes, [obj.linkedNote]);
+    }
+  }
+  return places;
+}
+
+/**
+ * Split a route into travel days. Fails with the same guidance as the
+ * route's travel time when the mode's units don't fit the map, or when an
+ * hour-based mode has no allowance to say how long a day is.
+ */
+function planJourney(route: JourneyRoute, options: JourneyPlanOptions): JourneyPlanResult {
+  const { geometry, segmentDistances, distancePerCell, mapUnit, mode, pack, allowance, terrains, places } = options;
+  const multipliers = new Map(terrains.map(terrain => [terrain.id, terrain.multiplier]));
+
+  const legs: { cells: Point[]; distance: number; time: number }[] = [];
+  let base: 'hours' | 'days' = mode.timeUnit === 'days' ? 'days' : 'hours';
+  for (let i = 0; i < route.points.length - 1; i++) {
+    const from = route.points[i];
+    const to = route.points[i + 1];
+    const distance = (segmentDistances[i] ?? 0) * distancePerCell;
+    const terrainId = route.segmentTerrains?.[i];
+    const multiplier = terrainId != null ? multipliers.get(terrainId) ?? 1 : 1;
+    const time = computeRouteTravelTime([distance], [multiplier], mapUnit, mode, pack);
+    if (!time.ok) return time;
+    base = time.base;
+    const cells = geometry.getCellsInLine(from.x, from.y, to.x, to.y)
+      .filter(cell => cell.x !== from.x || cell.y !== from.y);
+    legs.push({ cells, distance, time: time.amount });
+  }
+
+  if (base === 'hours' && allowance == null) {
+    return {
+      ok: false,
+      reason: `"${mode.name}" is timed in ${mode.timeUnit} — pick a daily allowance to split the route into days.`
+    };
+  }
+  const dayLength = base === 'days' || allowance == null ? 1 : allowanceHoursPerDay(allowance);
+
+  const newDay = (day: number, start: Point): JourneyDay => ({
+    day, start, end: start, cells: [], distance: 0, time: 0, regions: [], notes: []
+  });
+  const days: JourneyDay[] = [];
+  let current = newDay(1, route.points[0]);
+
+  for (const leg of legs) {
+    if (leg.cells.length === 0) continue;
+    const stepTime = leg.time / leg.cells.length;
+    const stepDistance = leg.distance / leg.cells.length;
+    for (const cell of leg.cells) {
+      if (current.cells.length > 0 && current.time + stepTime > dayLength + DAY_EPSILON) {
+        days.push(current);
+        current = newDay(days.length + 1, current.end);
+      }
+      current.cells.push(cell);
+      current.end = cell;
+      current.time += stepTime;
+      current.distance += stepDistance;
+      const place = places?.get(cellKey(cell.x, cell.y));
+      if (place != null) {
+        pushUnique(current.regions, place.regions);
+        pushUnique(current.notes, place.notes);
+      }
+    }
+  }
+  if (current.cells.length > 0 || days.length === 0) days.push(current);
+
+  return {
+    ok: true,
+    days,
+    base,
+    dayLength,
+    totalTime: legs.reduce((sum, leg) => sum + leg.time, 0),
+    totalDistance: legs.reduce((sum, leg) => sum + leg.distance, 0)
+  };
+}
+
+/**
+ * Name a cell for the itinerary: the column-row label the hex coordinate
+ * overlay shows ("C4") on hex maps, "x, y" on grid maps.
+ */
+function formatJourneyCell(cell: Point, mapType: MapType | undefined, orientation?: HexOrientation): string {
+  if (mapType !== 'hex') return `${cell.x}, ${cell.y}`;
+  const { col, row } = axialToOffset(cell.x, cell.y, orientation);
+  return columnToLabel(col) + rowToLabel(row);
+}
+
+export {
+  buildJourneyPlaces,
+  planJourney,
+  formatJourneyCell
+};
+export type { JourneyDay, JourneyPlace, JourneyPlan, JourneyPlanOptions, JourneyPlanResult, JourneyRoute };
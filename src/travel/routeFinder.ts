@@ -0,0 +1,325 @@
+/**
+ * routeFinder.ts
+ *
+ * Finds the fastest route between two cells for the measure tool. An A*
+ * search steps cell to cell (six neighbors on hex maps, eight on grid maps),
+ * paying each step's length divided by the speed multiplier of the terrain
+ * it enters. Terrain is read the way route segments infer theirs (regions,
+ * tiles, painted colors and terrain rules); walls and impassable terrain are
+ * never crossed. The path is then folded into waypoints, one per straight
+ * run over a single terrain, ready for createSavedRoute.
+ */
+
+// Type-only imports
+import type { Point } from '#types/core/geometry.types';
+import type { MapData, MapLayer } from '#types/core/map.types';
+import type { ExtendedGeometry } from '#types/contexts/context.types';
+import type { DiagonalRule } from '#types/settings/settings.types';
+import type { TerrainRule, TravelTerrain } from '#types/settings/travelPack.types';
+import type { SightBlocker } from '../geometry/fog/fogVisibility';
+
+import { buildSightBlockers, hasLineOfSight } from '../geometry/fog/fogVisibility';
+import { getRenderLayers } from '../persistence/layerAccessor';
+import { buildCellTerrainMap } from './terrainInference';
+
+/** Cells of slack around the route's ends and the map's content on unbounded maps */
+const SEARCH_MARGIN = 10;
+
+/** Gives up rather than stall the canvas on huge open maps */
+const MAX_EXPANDED_CELLS = 200000;
+
+const GRID_STEPS: Point[] = [
+  { x: 1, y: 0 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 0, y: -1 },
+  { x: 1, y: 1 }, { x: 1, y: -1 }, { x: -1, y: 1 }, { x: -1, y: -1 }
+];
+
+/** Inclusive cell-coordinate box the search stays inside */
+interface SearchArea {
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+}
+
+interface RouteFinderOptions {
+  geometry: ExtendedGeometry;
+  /** Diagonal rule for grid steps (ignored on hex maps) */
+  diagonalRule: DiagonalRule;
+  /** Terrain of each cell, keyed "x,y"; missing cells travel at normal speed */
+  terrains: Map<string, TravelTerrain>;
+  /** Wall segments no step may cross */
+  blockers: SightBlocker[];
+  area: SearchArea;
+}
+
+/** A found route, shaped for createSavedRoute */
+interface FoundRoute {
+  points: Point[];
+  /** Terrain per segment (index i = point i → i+1; null = unassigned) */
+  segmentTerrains: (string | null)[];
+}
+
+interface SearchNode {
+  key: string;
+  x: number;
+  y: number;
+  /** Estimated total cost through this node */
+  f: number;
+}
+
+function cellKey(x: number, y: number): string {
+  return `${x},${y}`;
+}
+
+/**
+ * Min-heap on estimated cost; the open set of the search.
+ */
+class NodeQueue {
+  private items: SearchNode[] = [];
+
+  get size(): number {
+    return this.items.length;
+  }
+
+  push(node: SearchNode): void {
+    const items = this.items;
+    items.push(node);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].f <= node.f) break;
+      items[i] = items[parent];
+      i = parent;
+    }
+    items[i] = node;
+  }
+
+  pop(): SearchNode | undefined {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length === 0 || last === undefined) return top;
+
+    let i = 0;
+    for (;;) {
+      const left = i * 2 + 1;
+      if (left >= items.length) break;
+      const right = left + 1;
+      const child = right < items.length && items[right].f < items[left].f ? right : left;
+      if (items[child].f >= last.f) break;
+      items[i] = items[child];
+      i = child;
+    }
+    items[i] = last;
+    return top;
+  }
+}
+
+/**
+ * Buckets wall segments by area so a step only tests the walls near it.
+ */
+class BlockerIndex {
+  private buckets = new Map<string, SightBlocker[]>();
+  private size: number;
+
+  constructor(blockers: SightBlocker[], cellSize: number) {
+    this.size = cellSize * 4;
+    for (const blocker of blockers) {
+      this.forBuckets(blocker.ax, blocker.ay, blocker.bx, blocker.by, key => {
+        const bucket = this.buckets.get(key);
+        if (bucket != null) bucket.push(blocker);
+        else this.buckets.set(key, [blocker]);
+      });
+    }
+  }
+
+  /** Whether the straight line between two world points crosses no wall */
+  isOpen(ax: number, ay: number, bx: number, by: number): boolean {
+    const nearby = new Set<SightBlocker>();
+    this.forBuckets(ax, ay, bx, by, key => {
+      for (const blocker of this.buckets.get(key) ?? []) nearby.add(blocker);
+    });
+    return nearby.size === 0 || hasLineOfSight(ax, ay, bx, by, [...nearby]);
+  }
+
+  private forBuckets(ax: number, ay: number, bx: number, by: number, visit: (key: string) => void): void {
+    const minX = Math.floor(Math.min(ax, bx) / this.size);
+    const maxX = Math.floor(Math.max(ax, bx) / this.size);
+    const minY = Math.floor(Math.min(ay, by) / this.size);
+    const maxY = Math.floor(Math.max(ay, by) / this.size);
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) visit(cellKey(x, y));
+    }
+  }
+}
+
+/** Length in cells of one step on a grid map */
+function gridStepLength(dx: number, dy: number, diagonalRule: DiagonalRule): number {
+  if (dx === 0 || dy === 0) return 1;
+  switch (diagonalRule) {
+    case 'equal': return 1;
+    case 'euclidean': return Math.SQRT2;
+    case 'alternating':
+    default: return 1.5;
+  }
+}
+
+/**
+ * Box around the route's ends and everything painted or placed, with a
+ * margin so the search can walk around obstacles at the edge of the map.
+ */
+function buildSearchArea(mapData: MapData, layers: MapLayer[], start: Point, goal: Point): SearchArea {
+  const area: SearchArea = {
+    minX: Math.min(start.x, goal.x),
+    minY: Math.min(start.y, goal.y),
+    maxX: Math.max(start.x, goal.x),
+    maxY: Math.max(start.y, goal.y)
+  };
+  const include = (x: number, y: number): void => {
+    area.minX = Math.min(area.minX, x);
+    area.minY = Math.min(area.minY, y);
+    area.maxX = Math.max(area.maxX, x);
+    area.maxY = Math.max(area.maxY, y);
+  };
+  for (const layer of layers) {
+    for (const cell of layer.cells) {
+      if ('q' in cell) include(cell.q, cell.r);
+      else include(cell.x, cell.y);
+    }
+    for (const tile of layer.tiles ?? []) include(tile.col, tile.row);
+  }
+  for (const region of mapData.regions ?? []) {
+    for (const hex of region.hexes) include(hex.x, hex.y);
+  }
+
+  return {
+    minX: area.minX - SEARCH_MARGIN,
+    minY: area.minY - SEARCH_MARGIN,
+    maxX: area.maxX + SEARCH_MARGIN,
+    maxY: area.maxY + SEARCH_MARGIN
+  };
+}
+
+/**
+ * Fold a cell path into waypoints: a new segment starts wherever the
+ * direction or the entered terrain changes.
+ */
+function foldPath(path: Point[], terrainIds: (string | null)[]): FoundRoute {
+  const points: Point[] = [path[0]];
+  const segmentTerrains: (string | null)[] = [];
+  for (let i = 1; i < path.length; i++) {
+    const dx = path[i].x - path[i - 1].x;
+    const dy = path[i].y - path[i - 1].y;
+    const next = path[i + 1];
+    const continues = next != null &&
+      next.x - path[i].x === dx && next.y - path[i].y === dy &&
+      terrainIds[i + 1] === terrainIds[i];
+    if (continues) continue;
+    points.push(path[i]);
+    segmentTerrains.push(terrainIds[i]);
+  }
+  return { points, segmentTerrains };
+}
+
+/**
+ * Minimum-travel-time route between two cells, or null when the goal
+ * can't be reached (walled off, impassable, or outside the search area).
+ */
+function findFastestRoute(start: Point, goal: Point, options: RouteFinderOptions): FoundRoute | null {
+  const { geometry, diagonalRule, terrains, blockers, area } = options;
+  const startKey = cellKey(start.x, start.y);
+  const goalKey = cellKey(goal.x, goal.y);
+  if (startKey === goalKey) return null;
+  if (terrains.get(goalKey)?.impassable === true) return null;
+
+  // The heuristic assumes the whole way is at the fastest terrain's speed
+  let fastest = 1;
+  for (const terrain of terrains.values()) fastest = Math.max(fastest, terrain.multiplier);
+  const estimate = (x: number, y: number): number =>
+    geometry.getCellDistance(x, y, goal.x, goal.y, { diagonalRule: 'equal' }) / fastest;
+
+  const cost = new Map<string, number>([[startKey, 0]]);
+  const cameFrom = new Map<string, string>();
+  const cells = new Map<string, Point>([[startKey, start]]);
+  const closed = new Set<string>();
+  const walls = new BlockerIndex(blockers, geometry.cellSize);
+  const open = new NodeQueue();
+  open.push({ key: startKey, x: start.x, y: start.y, f: estimate(start.x, start.y) });
+
+  while (open.size > 0 && closed.size < MAX_EXPANDED_CELLS) {
+    const node = open.pop();
+    if (node == null) break;
+    if (closed.has(node.key)) continue;
+    if (node.key === goalKey) break;
+    closed.add(node.key);
+
+    const from = geometry.getCellCenter(node.x, node.y);
+    const neighbors = geometry.type === 'hex'
+      ? geometry.getNeighbors(node.x, node.y)
+      : GRID_STEPS.map(step => ({ x: node.x + step.x, y: node.y + step.y }));
+
+    for (const next of neighbors) {
+      const key = cellKey(next.x, next.y);
+      if (closed.has(key)) continue;
+      if (next.x < area.minX || next.x > area.maxX || next.y < area.minY || next.y > area.maxY) continue;
+      if (!geometry.isWithinBounds(next.x, next.y)) continue;
+
+      const terrain = terrains.get(key);
+      if (terrain?.impassable === true) continue;
+
+      const to = geometry.getCellCenter(next.x, next.y);
+      if (!walls.isOpen(from.worldX, from.worldY, to.worldX, to.worldY)) continue;
+
+      const length = geometry.type === 'hex' ? 1 : gridStepLength(next.x - node.x, next.y - node.y, diagonalRule);
+      const total = (cost.get(node.key) ?? 0) + length / (terrain?.multiplier ?? 1);
+      if (total >= (cost.get(key) ?? Infinity)) continue;
+
+      cost.set(key, total);
+      cameFrom.set(key, node.key);
+      cells.set(key, next);
+      open.push({ key, x: next.x, y: next.y, f: total + estimate(next.x, next.y) });
+    }
+  }
+
+  if (!cameFrom.has(goalKey)) return null;
+
+  const path: Point[] = [];
+  const terrainIds: (string | null)[] = [];
+  for (let key: string | undefined = goalKey; key != null; key = cameFrom.get(key)) {
+    path.unshift(cells.get(key) as Point);
+    terrainIds.unshift(terrains.get(key)?.id ?? null);
+  }
+  return foldPath(path, terrainIds);
+}
+
+/**
+ * Fastest route across the map's current board: terrain and walls are read
+ * from the layers the canvas draws (every visible stratum on strata maps,
+ * the active layer otherwise).
+ */
+function findFastestRouteOnMap(
+  mapData: MapData,
+  geometry: ExtendedGeometry,
+  start: Point,
+  goal: Point,
+  terrains: TravelTerrain[],
+  diagonalRule: DiagonalRule,
+  rules: TerrainRule[] = []
+): FoundRoute | null {
+  const layers = getRenderLayers(mapData);
+  const blockers = layers.flatMap(layer => buildSightBlockers({ edges: layer.edges, wallPaths: layer.wallPaths }, geometry));
+  return findFastestRoute(start, goal, {
+    geometry,
+    diagonalRule,
+    terrains: buildCellTerrainMap(mapData, layers, terrains, rules),
+    blockers,
+    area: buildSearchArea(mapData, layers, start, goal)
+  });
+}
+
+export {
+  findFastestRoute,
+  findFastestRouteOnMap,
+  buildSearchArea
+};
+export type { FoundRoute, RouteFinderOptions, SearchArea };
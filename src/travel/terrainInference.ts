@@ -0,0 +1,170 @@
+/**
+ * terrainInference.ts
+ *
+ * Works out which travel terrain lies under each cell of a map so route
+ * segments can be assigned one without the terrain picker. A cell's terrain
+ * comes, strongest first, from a region's own travel terrain, a terrain rule
+ * on a region tag, a rule on a tile category, a tile whose category or tags
+ * carry a terrain's name, and finally a rule on the cell's painted color.
+ * Rules live on travel packs and per map (map rules are checked first).
+ *
+ * A segment takes the terrain most of its cells share; segments picked by
+ * hand are left alone.
+ */
+
+// Type-only imports
+import type { Point, IGeometry } from '#types/core/geometry.types';
+import type { MapData, MapLayer, MapTravelSettings, MeasurementRoute } from '#types/core/map.types';
+import type { TerrainRule, TerrainRuleSource, TravelPack, TravelTerrain } from '#types/settings/travelPack.types';
+
+function cellKey(x: number, y: number): string {
+  return `${x},${y}`;
+}
+
+/** Rule values compare case-insensitively; colors ignore a leading "#" */
+function normalizeRuleValue(source: TerrainRuleSource, value: string): string {
+  const trimmed = value.trim().toLowerCase();
+  return source === 'cellColor' ? trimmed.replace(/^#/, '') : trimmed;
+}
+
+/**
+ * Terrain rules in the order they're checked: the map's own, then each
+ * enabled pack's. Rules pointing at terrains no enabled pack defines are
+ * dropped.
+ */
+function collectTerrainRules(
+  enabledPacks: TravelPack[],
+  mapSettings: MapTravelSettings | null | undefined
+): TerrainRule[] {
+  const terrainIds = new Set(enabledPacks.flatMap(pack => pack.terrains.map(terrain => terrain.id)));
+  return [
+    ...(mapSettings?.terrainRules ?? []),
+    ...enabledPacks.flatMap(pack => pack.terrainRules ?? [])
+  ].filter(rule => rule.value.trim() !== '' && terrainIds.has(rule.terrainId));
+}
+
+/**
+ * Terrain of every cell the layers and regions cover, keyed "x,y" (axial
+ * q,r on hex maps).
+ */
+function buildCellTerrainMap(
+  mapData: MapData,
+  layers: MapLayer[],
+  terrains: TravelTerrain[],
+  rules: TerrainRule[] = []
+): Map<string, TravelTerrain> {
+  const result = new Map<string, TravelTerrain>();
+  if (terrains.length === 0) return result;
+
+  const byId = new Map(terrains.map(terrain => [terrain.id, terrain]));
+  const byName = new Map(terrains.map(terrain => [terrain.name.trim().toLowerCase(), terrain]));
+
+  // First matching rule wins, so earlier (map) rules beat later (pack) ones
+  const ruleLookup = (source: TerrainRuleSource): Map<string, TravelTerrain> => {
+    const lookup = new Map<string, TravelTerrain>();
+    for (const rule of rules) {
+      const terrain = byId.get(rule.terrainId);
+      const value = normalizeRuleValue(source, rule.value);
+      if (rule.source === source && terrain != null && !lookup.has(value)) lookup.set(value, terrain);
+    }
+    return lookup;
+  };
+  const colorRules = ruleLookup('cellColor');
+  const categoryRules = ruleLookup('tileCategory');
+  const tagRules = ruleLookup('regionTag');
+
+  if (colorRules.size > 0) {
+    for (const layer of layers) {
+      for (const cell of layer.cells) {
+        const terrain = colorRules.get(normalizeRuleValue('cellColor', cell.color));
+        if (terrain == null) continue;
+        if ('q' in cell) result.set(cellKey(cell.q, cell.r), terrain);
+        else result.set(cellKey(cell.x, cell.y), terrain);
+      }
+    }
+  }
+
+  const tilesets = new Map((mapData.tilesets ?? []).map(tileset => [tileset.id, tileset]));
+  for (const layer of layers) {
+    for (const tile of layer.tiles ?? []) {
+      if (tile.freeform === true) continue;
+      const entry = tilesets.get(tile.tilesetId)?.tiles.find(candidate => candidate.id === tile.tileId);
+      if (entry == null) continue;
+      const categories = entry.category != null ? [entry.category, entry.category.split('/').pop() ?? ''] : [];
+      const byRule = categories.map(name => categoryRules.get(normalizeRuleValue('tileCategory', name))).find(match => match != null);
+      const byTerrainName = [...categories, ...(entry.tags ?? [])]
+        .map(name => byName.get(name.trim().toLowerCase()))
+        .find(match => match != null);
+      const terrain = byRule ?? byTerrainName;
+      if (terrain != null) result.set(cellKey(tile.col, tile.row), terrain);
+    }
+  }
+
+  const regions = [...(mapData.regions ?? [])].sort((a, b) => a.order - b.order);
+  for (const region of regions) {
+    const own = region.travelTerrainId != null ? byId.get(region.travelTerrainId) : undefined;
+    const tagged = (region.tags ?? [])
+      .map(tag => tagRules.get(normalizeRuleValue('regionTag', tag)))
+      .find(match => match != null);
+    const terrain = own ?? tagged;
+    if (terrain == null) continue;
+    for (const hex of region.hexes) result.set(cellKey(hex.x, hex.y), terrain);
+  }
+  return result;
+}
+
+/**
+ * Terrain most of a segment's cells share (the cell it leaves from doesn't
+ * count), or null when none of them has one. Ties go to the terrain met first.
+ */
+function inferSegmentTerrain(
+  from: Point,
+  to: Point,
+  geometry: IGeometry,
+  cellTerrains: Map<string, TravelTerrain>
+): string | null {
+  if (cellTerrains.size === 0) return null;
+
+  const counts = new Map<string, number>();
+  for (const cell of geometry.getCellsInLine(from.x, from.y, to.x, to.y)) {
+    if (cell.x === from.x && cell.y === from.y) continue;
+    const terrain = cellTerrains.get(cellKey(cell.x, cell.y));
+    if (terrain != null) counts.set(terrain.id, (counts.get(terrain.id) ?? 0) + 1);
+  }
+
+  let best: string | null = null;
+  let bestCount = 0;
+  for (const [terrainId, count] of counts) {
+    if (count > bestCount) {
+      best = terrainId;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Re-infer every segment not picked by hand. Segments over ground no rule
+ * covers keep what they had. Returns the same route when nothing changed.
+ */
+function applyInferredTerrains(
+  route: MeasurementRoute,
+  infer: (from: Point, to: Point) => string | null
+): MeasurementRoute {
+  let segmentTerrains: (string | null)[] | null = null;
+  for (let i = 0; i < route.segmentTerrains.length; i++) {
+    if (route.manualTerrains?.[i] === true) continue;
+    const terrainId = infer(route.points[i], route.points[i + 1]);
+    if (terrainId == null || terrainId === route.segmentTerrains[i]) continue;
+    segmentTerrains ??= [...route.segmentTerrains];
+    segmentTerrains[i] = terrainId;
+  }
+  return segmentTerrains != null ? { ...route, segmentTerrains } : route;
+}
+
+export {
+  collectTerrainRules,
+  buildCellTerrainMap,
+  inferSegmentTerrain,
+  applyInferredTerrains
+};
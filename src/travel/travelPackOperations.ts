@@ -20,6 +20,8 @@ import type {
   TravelMode,
   TravelAllowance,
   TravelTimeUnit,
+  TerrainRule,
+  TerrainRuleSource,
 } from '#types/settings/travelPack.types';
 import type { MapTravelSettings } from '#types/core/map.types';
 
@@ -28,6 +30,7 @@ const TRAVEL_PACK_FORMAT = 'windrose-travel-pack';
 const TRAVEL_PACK_FORMAT_VERSION = 1;
 
 const TIME_UNITS: TravelTimeUnit[] = ['minutes', 'hours', 'days'];
+const TERRAIN_RULE_SOURCES: TerrainRuleSource[] = ['regionTag', 'tileCategory', 'cellColor'];
 
 /**
  * Generate a unique id for a pack or pack entity
@@ -69,6 +72,7 @@ function createTravelTerrain(overrides: Partial<Omit<TravelTerrain, 'id'>> = {})
     name: overrides.name ?? 'New terrain',
     multiplier: overrides.multiplier ?? 1,
     ...(overrides.color !== undefined ? { color: overrides.color } : {}),
+    ...(overrides.impassable === true ? { impassable: true } : {}),
   };
 }
 
@@ -92,6 +96,15 @@ function createTravelAllowance(overrides: Partial<Omit<TravelAllowance, 'id'>> =
   };
 }
 
+function createTerrainRule(overrides: Partial<Omit<TerrainRule, 'id'>> & { terrainId: string }): TerrainRule {
+  return {
+    id: generateTravelId('terrain-rule'),
+    source: overrides.source ?? 'regionTag',
+    value: overrides.value ?? '',
+    terrainId: overrides.terrainId,
+  };
+}
+
 // ===========================================
 // Pack list editing
 // ===========================================
@@ -119,15 +132,15 @@ function getEnabledTravelPacks(packs: TravelPack[] | undefined): TravelPack[] {
 }
 
 // ===========================================
-// Pack entity editing (units/terrains/modes/allowances)
+// Pack entity editing (units/terrains/modes/allowances/terrain rules)
 // ===========================================
 
-type PackListKey = 'units' | 'terrains' | 'modes' | 'allowances';
+type PackListKey = 'units' | 'terrains' | 'modes' | 'allowances' | 'terrainRules';
 type PackEntity = { id: string };
 
 /** Add or replace an entity in one of the pack's lists (matched by id) */
 function upsertPackItem<T extends PackEntity>(pack: TravelPack, key: PackListKey, item: T): TravelPack {
-  const list = pack[key] as PackEntity[];
+  const list = (pack[key] ?? []) as PackEntity[];
   const index = list.findIndex(e => e.id === item.id);
   const next = index === -1 ? [...list, item] : list.map(e => (e.id === item.id ? item : e));
   return { ...pack, [key]: next };
@@ -135,10 +148,17 @@ function upsertPackItem<T extends PackEntity>(pack: TravelPack, key: PackListKey
 
 /** Remove an entity from one of the pack's lists by id */
 function removePackItem(pack: TravelPack, key: PackListKey, itemId: string): TravelPack {
-  const list = pack[key] as PackEntity[];
+  const list = (pack[key] ?? []) as PackEntity[];
   return { ...pack, [key]: list.filter(e => e.id !== itemId) };
 }
 
+/** Remove a terrain along with the terrain rules that point at it */
+function removeTravelTerrain(pack: TravelPack, terrainId: string): TravelPack {
+  const next = removePackItem(pack, 'terrains', terrainId);
+  if (pack.terrainRules == null) return next;
+  return { ...next, terrainRules: pack.terrainRules.filter(rule => rule.terrainId !== terrainId) };
+}
+
 /**
  * Modes whose distance unit references the given custom unit.
  * The settings UI warns before a unit removal leaves modes dangling.
@@ -281,6 +301,7 @@ function validateTravelPackImport(data: unknown): TravelPackValidation {
   const terrains: TravelTerrain[] = [];
   const modes: TravelMode[] = [];
   const allowances: TravelAllowance[] = [];
+  const terrainRules: TerrainRule[] = [];
 
   const rawUnits = Array.isArray(rawPack.units) ? rawPack.units : [];
   for (const [i, raw] of rawUnits.entries()) {
@@ -311,6 +332,7 @@ function validateTravelPackImport(data: unknown): TravelPackValidation {
       name: raw.name,
       multiplier: raw.multiplier as number,
       ...(isNonEmptyString(raw.color) ? { color: raw.color } : {}),
+      ...(raw.impassable === true ? { impassable: true } : {}),
     });
   }
 
@@ -366,10 +388,34 @@ function validateTravelPackImport(data: unknown): TravelPackValidation {
     });
   }
 
+  const terrainIds = new Set(terrains.map(t => t.id));
+  const rawRules = Array.isArray(rawPack.terrainRules) ? rawPack.terrainRules : [];
+  for (const [i, raw] of rawRules.entries()) {
+    if (!isRecord(raw) || !isNonEmptyString(raw.id) || !isNonEmptyString(raw.value)) {
+      errors.push(`Terrain rule #${i + 1} is missing an id or value`);
+      continue;
+    }
+    if (!TERRAIN_RULE_SOURCES.includes(raw.source as TerrainRuleSource)) {
+      errors.push(`Terrain rule "${raw.value}" has an invalid source`);
+      continue;
+    }
+    if (!isNonEmptyString(raw.terrainId) || !terrainIds.has(raw.terrainId)) {
+      errors.push(`Terrain rule "${raw.value}" references a terrain that is not in the pack`);
+      continue;
+    }
+    terrainRules.push({
+      id: raw.id,
+      source: raw.source as TerrainRuleSource,
+      value: raw.value,
+      terrainId: raw.terrainId,
+    });
+  }
+
   checkUniqueIds(units, 'unit', errors);
   checkUniqueIds(terrains, 'terrain', errors);
   checkUniqueIds(modes, 'mode', errors);
   checkUniqueIds(allowances, 'allowance', errors);
+  checkUniqueIds(terrainRules, 'terrain rule', errors);
 
   if (errors.length > 0) {
     return { valid: false, errors };
@@ -387,6 +433,7 @@ function validateTravelPackImport(data: unknown): TravelPackValidation {
       terrains,
       modes,
       allowances,
+      ...(terrainRules.length > 0 ? { terrainRules } : {}),
     },
   };
 }
@@ -400,12 +447,14 @@ export {
   createTravelTerrain,
   createTravelMode,
   createTravelAllowance,
+  createTerrainRule,
   upsertTravelPack,
   removeTravelPack,
   setTravelPackEnabled,
   getEnabledTravelPacks,
   upsertPackItem,
   removePackItem,
+  removeTravelTerrain,
   findModesReferencingUnit,
   resolvePackUnit,
   getPackUnitOptions,
@@ -0,0 +1,134 @@
+/**
+ * PlayerMapView.tsx
+ *
+ * Player-facing map for a second monitor or TV. Draws what the GM's
+ * full-pane view publishes to the player view store — map data, theme and
+ * live pan/zoom — with the renderer's playerView option, so fog is opaque
+ * and GM-only content is left out. Read-only: no tools, no selection, and it
+ * never saves. Until the GM's view publishes, it shows the map as stored.
+ */
+
+import type { VNode } from 'preact';
+import type { MapData, MapType } from '#types/core/map.types';
+import type { PlayerViewFrame } from '../core/playerViewStore';
+
+import { useEffect, useMemo, useRef, useState } from 'preact/hooks';
+import { useApp } from '../context/AppContext';
+import { DEFAULTS } from '../core/dmtConstants';
+import { getPlayerViewFrame, subscribePlayerView } from '../core/playerViewStore';
+import { createGeometry } from '../geometry/core/createGeometry';
+import { useCanvasRenderer } from '../hooks/canvas/useCanvasRenderer';
+import { useViewController } from '../hooks/canvas/useViewController';
+import { useImagePreloading } from '../hooks/state/useImagePreloading';
+import { loadMapData } from '../persistence/fileOperations';
+
+interface PlayerMapViewProps {
+  mapId: string;
+  mapName: string;
+  mapType: MapType;
+}
+
+const NO_SELECTION: never[] = [];
+
+const PlayerMapView = ({ mapId, mapName, mapType }: PlayerMapViewProps): VNode => {
+  const app = useApp();
+  const canvasRef = useRef<HTMLCanvasElement | null>(null);
+  const fogCanvasRef = useRef<HTMLCanvasElement | null>(null);
+  const containerRef = useRef<HTMLDivElement | null>(null);
+  const [frame, setFrame] = useState<PlayerViewFrame | null>(() => getPlayerViewFrame(mapId));
+  const [storedMap, setStoredMap] = useState<MapData | null>(null);
+  const [canvasSize, setCanvasSize] = useState({
+    width: DEFAULTS.canvasSize.width,
+    height: DEFAULTS.canvasSize.height
+  });
+
+  // Pan/zoom only ever comes from the GM, so nothing is committed back
+  const viewController = useViewController(frame?.viewState ?? undefined, () => {});
+
+  useEffect(() => subscribePlayerView(mapId, next => {
+    setFrame(next);
+    if (next.viewState) viewController.syncCommitted(next.viewState);
+  }), [mapId, viewController]);
+
+  // Nothing published yet (GM view not open): show the map as saved
+  const hasFrame = frame != null;
+  useEffect(() => {
+    if (hasFrame) return undefined;
+    let cancelled = false;
+    void loadMapData(app, mapId, mapName, mapType).then(data => {
+      if (cancelled) return;
+      setStoredMap(data);
+      if (data.viewState) viewController.syncCommitted(data.viewState);
+    }).catch((error: unknown) => {
+      console.error('[PlayerMapView] Could not load map:', error);
+    });
+    return () => { cancelled = true; };
+  }, [app, mapId, mapName, mapType, hasFrame, viewController]);
+
+  const mapData = frame?.mapData ?? storedMap;
+
+  // Frames arrive on every GM edit; only a change of shape needs new geometry
+  const shapeType = mapData?.mapType;
+  const gridSize = mapData?.gridSize;
+  const hexSize = mapData?.hexSize;
+  const orientation = mapData?.orientation;
+  const hexBounds = mapData?.hexBounds;
+  const geometry = useMemo(
+    () => (shapeType ? createGeometry({ mapType: shapeType, gridSize, hexSize, orientation, hexBounds }) : null),
+    [shapeType, gridSize, hexSize, orientation, hexBounds]
+  );
+
+  const { tileImagesReady } = useImagePreloading(app, mapData, 0);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    const updateCanvasSize = (): void => {
+      const rect = container.getBoundingClientRect();
+      setCanvasSize({
+        width: Math.max(rect.width, DEFAULTS.canvasSize.width),
+        height: Math.max(rect.height, DEFAULTS.canvasSize.height)
+      });
+    };
+
+    updateCanvasSize();
+    const resizeObserver = new ResizeObserver(updateCanvasSize);
+    resizeObserver.observe(container);
+    return () => resizeObserver.disconnect();
+  }, []);
+
+  useCanvasRenderer(canvasRef, fogCanvasRef, mapData, geometry, NO_SELECTION, {
+    theme: frame?.theme ?? null,
+    tileImagesReady: (frame?.tileImagesReady ?? false) || tileImagesReady,
+    playerView: true
+  }, viewController);
+
+  // Resizing clears the canvas; paint again at the new size
+  useEffect(() => {
+    viewController.syncCommitted(viewController.getLive());
+  }, [canvasSize.width, canvasSize.height, viewController]);
+
+  return (
+    <div className="windrose-player-view">
+      <div className="windrose-canvas-container" ref={containerRef}>
+        <div style={{ position: 'relative', display: 'inline-block' }}>
+          <canvas
+            ref={canvasRef}
+            width={canvasSize.width}
+            height={canvasSize.height}
+            style={{ display: 'block' }}
+          />
+          <canvas
+            ref={fogCanvasRef}
+            width={canvasSize.width}
+            height={canvasSize.height}
+            style={{ position: 'absolute', top: 0, left: 0, pointerEvents: 'none' }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export { PlayerMapView };
@@ -1,7 +1,9 @@
-import { ItemView, Notice, type WorkspaceLeaf } from 'obsidian';
+import { ItemView, Notice, Platform, type WorkspaceLeaf } from 'obsidian';
 import { h, render } from 'preact';
 import { AppContext } from '../context/AppContext';
 import { DungeonMapTracker } from '../DungeonMapTracker';
+import { PlayerMapView } from './PlayerMapView';
+import { clearPlayerView } from '../core/playerViewStore';
 import { listMaps } from '../persistence/fileOperations';
 import { flushAll } from '../persistence/saveCoordinator';
 import type { MapListEntry } from '../persistence/fileOperations';
@@ -15,6 +17,9 @@ class WindroseMapView extends ItemView {
   private mapType: MapType = 'grid';
   private floatingPanels: Record<string, unknown> = {};
   private dockCollapsed = false;
+  /** Player-facing mode: opaque fog, GM-only content hidden, view follows the GM */
+  private playerView = false;
+  private playerViewAction: HTMLElement | null = null;
 
   constructor(leaf: WorkspaceLeaf) {
     super(leaf);
@@ -25,7 +30,8 @@ class WindroseMapView extends ItemView {
   }
 
   getDisplayText(): string {
-    return this.mapName || 'Windrose Map';
+    const name = this.mapName || 'Windrose Map';
+    return this.playerView ? `${name} (Player view)` : name;
   }
 
   getIcon(): string {
@@ -51,6 +57,14 @@ class WindroseMapView extends ItemView {
       new Notice('Map block copied to clipboard');
     });
 
+    this.playerViewAction = this.addAction('monitor', 'Open player view', () => {
+      if (!this.mapId) {
+        new Notice('No map selected');
+        return;
+      }
+      void this.openPlayerView();
+    });
+
     if (this.mapId) {
       this.renderMap();
     } else {
@@ -78,6 +92,7 @@ class WindroseMapView extends ItemView {
       mapType: this.mapType,
       floatingPanels: this.floatingPanels,
       dockCollapsed: this.dockCollapsed,
+      playerView: this.playerView,
     };
   }
 
@@ -87,6 +102,7 @@ class WindroseMapView extends ItemView {
     if (typeof state?.mapType === 'string' && state.mapType !== '') this.mapType = state.mapType as MapType;
     if (typeof state?.floatingPanels === 'object' && state.floatingPanels !== null) this.floatingPanels = state.floatingPanels as Record<string, unknown>;
     if (typeof state?.dockCollapsed === 'boolean') this.dockCollapsed = state.dockCollapsed;
+    if (typeof state?.playerView === 'boolean') this.playerView = state.playerView;
 
     if (this.mapId) {
       this.renderMap();
@@ -121,6 +137,7 @@ class WindroseMapView extends ItemView {
   };
 
   private handleMapDeleted = (): void => {
+    clearPlayerView(this.mapId);
     this.mapId = '';
     this.mapName = '';
     this.mapType = 'grid';
@@ -140,6 +157,21 @@ class WindroseMapView extends ItemView {
     this.app.workspace.requestSaveLayout();
   };
 
+  /**
+   * Open this map's player view in a new window (a new tab on mobile, which
+   * has no popout windows), ready to drag to a second screen.
+   */
+  private async openPlayerView(): Promise<void> {
+    const leaf = Platform.isMobile
+      ? this.app.workspace.getLeaf('tab')
+      : this.app.workspace.openPopoutLeaf();
+    await leaf.setViewState({
+      type: VIEW_TYPE_WINDROSE_MAP,
+      active: true,
+      state: { mapId: this.mapId, mapName: this.mapName, mapType: this.mapType, playerView: true },
+    });
+  }
+
   private async renderPicker(): Promise<void> {
     const maps = await listMaps(this.app);
     render(
@@ -152,6 +184,26 @@ class WindroseMapView extends ItemView {
   }
 
   private renderMap(): void {
+    this.contentEl.toggleClass('windrose-player-pane', this.playerView);
+    this.playerViewAction?.toggle(!this.playerView);
+
+    if (this.playerView) {
+      render(
+        h(AppContext.Provider, { value: this.app },
+          h(PlayerMapView, {
+            key: this.mapId,
+            mapId: this.mapId,
+            mapName: this.mapName,
+            mapType: this.mapType,
+          })
+        ),
+        this.contentEl
+      );
+      this.leaf.updateHeader();
+      this.titleEl.textContent = this.getDisplayText();
+      return;
+    }
+
     render(
       h(AppContext.Provider, { value: this.app },
         h(DungeonMapTracker, {
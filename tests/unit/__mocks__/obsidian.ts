@@ -72,6 +72,12 @@ export class TFolder extends TAbstractFile {
   children: TAbstractFile[] = [];
 }
 
+export function arrayBufferToBase64(buffer: ArrayBuffer): string {
+  let binary = '';
+  for (const byte of new Uint8Array(buffer)) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
 export function normalizePath(path: string): string {
   return path.replace(/\\/g, '/').replace(/\/{2,}/g, '/').replace(/^\/|\/$/g, '');
 }
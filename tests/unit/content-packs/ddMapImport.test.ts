@@ -0,0 +1,230 @@
+/**
+ * ddMapImport Unit Tests
+ *
+ * Covers Godot value parsing, levels as boards, and how walls, floor,
+ * terrain, props and lights convert, with art resolved against installed
+ * packs and the rest listed in the report. Reading pack folders from the
+ * vault is not covered here.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import type { MapLayer } from '#types/core/map.types';
+import type { DdMapFile, DdPackTiles } from '../../../src/content-packs/ddMapImport';
+import {
+	parseDungeondraftMap,
+	convertDungeondraftMap,
+	listReferencedPacks,
+	parseGodotNumbers,
+	parseDdColor,
+	summarizeDdImport,
+	describeUnmapped,
+} from '../../../src/content-packs/ddMapImport';
+import { getBoardLayers, getActiveLayer } from '../../../src/persistence/layerAccessor';
+
+// gridSize 32: one Dungeondraft cell (256 px) is 32 world units
+const pack: DdPackTiles = {
+	packId: 'abc123',
+	name: 'Castle Kit',
+	tilesetId: 'tileset-castle',
+	tiles: [
+		{ id: 'walls/Stone', filename: 'Stone.webp', vaultPath: 'packs/abc/walls/Stone.webp' },
+		{ id: 'Doors/Oak', filename: 'Oak.webp', vaultPath: 'packs/abc/Doors/Oak.webp' },
+		{ id: 'Furniture/Table', filename: 'Table.webp', vaultPath: 'packs/abc/Furniture/Table.webp' },
+		{ id: 'Rugs/Rug', filename: 'Rug.webp', vaultPath: 'packs/abc/Rugs/Rug.webp' },
+		{ id: 'Terrain/Grass', filename: 'Grass.webp', vaultPath: 'packs/abc/Terrain/Grass.webp' },
+	],
+};
+
+const map: DdMapFile = {
+	header: { asset_manifest: [{ id: 'zzz999', name: 'Forest Pack' }] },
+	world: {
+		width: 2,
+		height: 2,
+		levels: {
+			'1': { label: 'Upper' },
+			'0': {
+				label: 'Ground',
+				tiles: { cells: 'PoolIntArray( 0, -1, 0, 0 )', colors: ['ff804020'], textures: ['res://textures/tilesets/simple/tileset_smooth.png'] },
+				walls: [{
+					points: 'PoolVector2Array( 0, 0, 512, 0, 512, 512 )',
+					texture: 'res://packs/abc123/textures/walls/Stone.png',
+					color: 'ffffffff',
+					loop: false,
+					portals: [{ position: 'Vector2( 384, 0 )', texture: 'res://packs/abc123/textures/portals/Oak.png', radius: 128 }],
+				}],
+				objects: [
+					{ position: 'Vector2( 128, 128 )', rotation: Math.PI / 2, scale: 'Vector2( 2, 2 )', texture: 'res://packs/abc123/textures/objects/Table.png', layer: 300 },
+					{ position: 'Vector2( 256, 256 )', rotation: 0.3, texture: 'res://packs/abc123/textures/objects/Rug.png', layer: 100 },
+					{ position: 'Vector2( 0, 0 )', texture: 'res://textures/objects/barrel_01.png', layer: 300 },
+					{ position: 'Vector2( 0, 0 )', texture: 'res://packs/zzz999/textures/objects/Tree.png', layer: 400 },
+				],
+				lights: [{ position: 'Vector2( 128, 384 )', color: 'ffff8000', range: 4 }],
+				texts: [{ position: 'Vector2( 256, 256 )', text: 'Hall', font_size: 64, font_color: 'ff000000', font_name: 'Libre Baskerville' }],
+				water: { tree: {} },
+			},
+		},
+	},
+};
+
+const { mapData, report } = convertDungeondraftMap(map, { name: 'Keep', packs: [pack] });
+
+function ground(boardIndex = 0): MapLayer {
+	const board = mapData.boards?.[boardIndex];
+	return getBoardLayers(mapData, board?.id ?? '').find(layer => layer.tileRole === 'ground') as MapLayer;
+}
+
+describe('Godot values', () => {
+	it('reads vectors, pool arrays and colors', () => {
+		expect(parseGodotNumbers('Vector2( 1.5, -2 )')).toEqual([1.5, -2]);
+		expect(parseGodotNumbers('PoolIntArray(  )')).toEqual([]);
+		expect(parseGodotNumbers([3, 4])).toEqual([3, 4]);
+		expect(parseDdColor('80ff0000')).toEqual({ hex: '#ff0000', alpha: 128 / 255 });
+		expect(parseDdColor('nope')).toBeNull();
+	});
+
+	it('finds the packs a map uses', () => {
+		expect(listReferencedPacks(JSON.stringify(map))).toEqual(['abc123', 'zzz999']);
+	});
+
+	it('rejects files without levels', () => {
+		expect(() => parseDungeondraftMap('{"world": {}}')).toThrow(/no levels/);
+	});
+});
+
+describe('convertDungeondraftMap', () => {
+	it('makes one board of strata per level, in level order', () => {
+		expect(mapData.boards?.map(board => board.name)).toEqual(['Ground', 'Upper']);
+		expect(mapData.layerMode).toBe('strata');
+		expect(getBoardLayers(mapData, mapData.boards?.[1].id ?? '')).toHaveLength(4);
+		expect(getActiveLayer(mapData).id).toBe(ground().id);
+	});
+
+	it('paints floor tiles as cells with their tint', () => {
+		expect(ground().cells).toEqual([
+			{ x: 0, y: 0, color: '#804020' },
+			{ x: 0, y: 1, color: '#804020' },
+			{ x: 1, y: 1, color: '#804020' },
+		]);
+	});
+
+	it('turns walls into wall paths with doors seated in gaps', () => {
+		const [wall] = ground().wallPaths ?? [];
+		expect(wall.vertices).toEqual([{ x: 0, y: 0 }, { x: 64, y: 0 }, { x: 64, y: 64 }]);
+		expect(wall).toMatchObject({ tilesetId: 'tileset-castle', tileId: 'walls/Stone', kind: 'wall', closed: false });
+		expect(wall.tint).toBeUndefined();
+		expect(wall.gaps).toEqual([expect.objectContaining({
+			seg: 0, t: 0.75, widthCells: 1, tile: { tilesetId: 'tileset-castle', tileId: 'Doors/Oak' },
+		})]);
+	});
+
+	it('places pack props freeform on the stratum for their layer', () => {
+		const layers = getBoardLayers(mapData, mapData.boards?.[0].id ?? '');
+		const props = layers.find(layer => layer.tileRole === 'props')?.tiles ?? [];
+		expect(props).toEqual([expect.objectContaining({
+			tileId: 'Furniture/Table', worldX: 16, worldY: 16, col: 0, row: 0, rotation: 90, scale: 2, freeform: true,
+		})]);
+		expect(ground().tiles).toEqual([expect.objectContaining({ tileId: 'Rugs/Rug', worldX: 32, worldY: 32 })]);
+	});
+
+	it('adds lights as light-enabled objects and text as labels', () => {
+		const [light] = ground().objects;
+		expect(light).toMatchObject({
+			worldPosition: { x: 16, y: 48 }, position: { x: 0, y: 1 },
+			lightEnabled: true, lightRadius: 20, lightColor: 'rgba(255, 128, 0, 1)',
+		});
+		expect(ground().textLabels[0]).toMatchObject({ content: 'Hall', position: { x: 32, y: 32 }, fontSize: 8, fontFace: 'serif' });
+	});
+
+	it('reports what it could not map', () => {
+		expect(report.unmapped.map(describeUnmapped)).toEqual([
+			'Ground: Prop rotation x1 - turned to the nearest right angle (Rug)',
+			'Ground: Prop x1 - Dungeondraft built-in asset (barrel_01)',
+			'Ground: Prop x1 - pack "Forest Pack" is not installed (Tree)',
+			'Ground: Water x1 - no water tool in Windrose',
+		]);
+		expect(summarizeDdImport(report)).toBe('2 boards, 3 floor cells, 1 wall, 1 door, 2 props, 1 light, 1 label');
+	});
+
+	it('draws walls without art as painted edges, openings left open', () => {
+		const { mapData: bare } = convertDungeondraftMap({
+			world: {
+				width: 2,
+				height: 2,
+				levels: {
+					'0': {
+						walls: [
+							{
+								points: 'PoolVector2Array( 0, 0, 512, 0, 512, 512 )',
+								texture: 'res://textures/walls/stone.png',
+								color: 'ff804020',
+								portals: [{ position: 'Vector2( 384, 0 )', radius: 128 }],
+							},
+							{ points: 'PoolVector2Array( 0, 256, 256, 512 )' },
+						],
+					},
+				},
+			},
+		}, { name: 'Bare', packs: [pack] });
+		const layer = getActiveLayer(bare);
+		expect(layer.wallPaths).toHaveLength(2);
+		expect(layer.edges).toEqual([
+			{ x: 0, y: -1, side: 'bottom', color: '#804020' },
+			{ x: 1, y: 0, side: 'right', color: '#804020' },
+			{ x: 1, y: 1, side: 'right', color: '#804020' },
+			{ x: 0, y: 0, side: 'bottom', color: '#333333' },
+			{ x: 0, y: 1, side: 'right', color: '#333333' },
+		]);
+	});
+
+	it('paints a side shared by two walls once, the later wall\'s color winning', () => {
+		const { mapData: doubled } = convertDungeondraftMap({
+			world: {
+				width: 2,
+				height: 2,
+				levels: {
+					'0': {
+						walls: [
+							{ points: 'PoolVector2Array( 0, 256, 512, 256 )' },
+							{ points: 'PoolVector2Array( 256, 256, 512, 256 )', color: 'ff804020' },
+						],
+					},
+				},
+			},
+		}, { name: 'Doubled', packs: [pack] });
+		expect(getActiveLayer(doubled).edges).toEqual([
+			{ x: 0, y: 0, side: 'bottom', color: '#333333' },
+			{ x: 1, y: 0, side: 'bottom', color: '#804020' },
+		]);
+	});
+
+	it('keeps walls without art and paints resolved terrain as strokes', () => {
+		const splat = [255, 0, 0, 0, 0, 255, 0, 0, 255, 0, 0, 0, 0, 255, 0, 0];
+		const { mapData: terrainMap, report: terrainReport } = convertDungeondraftMap({
+			world: {
+				width: 2,
+				height: 2,
+				levels: {
+					'0': {
+						walls: [{ points: 'PoolVector2Array( 0, 0, 256, 0 )', texture: 'res://textures/walls/stone.png' }],
+						terrain: {
+							enabled: true,
+							texture_1: 'res://textures/terrain/dirt.png',
+							texture_2: 'res://packs/abc123/textures/terrain/Grass.png',
+							splat: `PoolByteArray( ${splat.join(', ')} )`,
+						},
+					},
+				},
+			},
+		}, { name: 'Field', packs: [pack] });
+		const layer = getActiveLayer(terrainMap);
+		expect(layer.wallPaths?.[0]).toMatchObject({ tilesetId: '', tileId: '' });
+		expect(layer.edges).toEqual([{ x: 0, y: -1, side: 'bottom', color: '#333333' }]);
+		expect(layer.terrainStrokes?.map(stroke => stroke.points)).toEqual([[48, 16, 48, 16], [48, 48, 48, 48]]);
+		expect(layer.terrainStrokes?.[0].tileId).toBe('Terrain/Grass');
+		expect(terrainReport.unmapped.map(item => [item.feature, item.count])).toEqual([
+			['Terrain cells', 2],
+			['Wall art', 1],
+		]);
+	});
+});
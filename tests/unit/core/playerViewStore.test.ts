@@ -0,0 +1,62 @@
+/**
+ * playerViewStore.test.ts
+ *
+ * Player view store semantics: per-map frames, view changes following the
+ * last published map, and late subscribers reading the current frame.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+import type { MapData } from '../../../types/core/map.types';
+
+import {
+  publishPlayerViewMap,
+  publishPlayerViewState,
+  getPlayerViewFrame,
+  subscribePlayerView,
+  clearPlayerView
+} from '../../../src/core/playerViewStore';
+
+function makeMap(zoom = 1): MapData {
+  return { layers: [], viewState: { zoom, center: { x: 0, y: 0 } } } as unknown as MapData;
+}
+
+describe('playerViewStore', () => {
+  it('ignores view changes until the map is published', () => {
+    publishPlayerViewState('map-a', { zoom: 2, center: { x: 1, y: 1 } });
+    expect(getPlayerViewFrame('map-a')).toBeNull();
+  });
+
+  it('notifies only subscribers of the same map', () => {
+    const onA = vi.fn();
+    const onB = vi.fn();
+    const offA = subscribePlayerView('map-b', onA);
+    const offB = subscribePlayerView('map-c', onB);
+
+    const map = makeMap();
+    publishPlayerViewMap('map-b', map);
+    expect(onA).toHaveBeenCalledWith(expect.objectContaining({ mapData: map }));
+    expect(onB).not.toHaveBeenCalled();
+
+    offA();
+    publishPlayerViewMap('map-b', makeMap());
+    expect(onA).toHaveBeenCalledTimes(1);
+    offB();
+  });
+
+  it('keeps following the last published view when the map changes', () => {
+    publishPlayerViewMap('map-d', makeMap(1));
+    expect(getPlayerViewFrame('map-d')?.viewState?.zoom).toBe(1);
+
+    publishPlayerViewState('map-d', { zoom: 3, center: { x: 4, y: 2 } });
+    // An edit republishes the map with its last committed view
+    publishPlayerViewMap('map-d', makeMap(1));
+    expect(getPlayerViewFrame('map-d')?.viewState).toEqual({ zoom: 3, center: { x: 4, y: 2 } });
+  });
+
+  it('drops a cleared map', () => {
+    publishPlayerViewMap('map-e', makeMap());
+    clearPlayerView('map-e');
+    expect(getPlayerViewFrame('map-e')).toBeNull();
+  });
+});
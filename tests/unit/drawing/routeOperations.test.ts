@@ -18,8 +18,10 @@ import {
   sumDistances,
   computeEuclideanPathLength,
   getCellPitchPixels,
+  getRouteCells,
   createSavedRoute,
   updateSavedRoute,
+  clearRouteTravelled,
   removeSavedRoute,
 } from "../../../src/drawing/routeOperations";
 import { GridGeometry } from "../../../src/geometry/core/GridGeometry";
@@ -163,6 +165,12 @@ describe("routeOperations", () => {
       expect(result.segmentTerrains).toEqual([null, "t-road"]);
     });
 
+    it("marks hand-picked segments so terrain rules keep off them", () => {
+      const result = removeLastRouteWaypoint(setSegmentTerrain(route, 0, "t-swamp"));
+      expect(result.manualTerrains).toEqual([true]);
+      expect(appendRouteWaypoint(result, { x: 9, y: 0 }, null).manualTerrains).toEqual([true, false]);
+    });
+
     it("ignores out-of-range indices", () => {
       expect(setSegmentTerrain(route, 5, "t-swamp")).toBe(route);
       expect(setSegmentTerrain(route, -1, "t-swamp")).toBe(route);
@@ -312,6 +320,17 @@ describe("routeOperations", () => {
     });
   });
 
+  describe("getRouteCells", () => {
+    it("lists each crossed cell once, in order", () => {
+      const cells = getRouteCells([{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 0, y: 0 }], gridGeometry);
+      expect(cells).toEqual([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }]);
+    });
+
+    it("keeps a lone waypoint", () => {
+      expect(getRouteCells([{ x: 3, y: 4 }], gridGeometry)).toEqual([{ x: 3, y: 4 }]);
+    });
+  });
+
   // ===========================================================================
   // createSavedRoute
   // ===========================================================================
@@ -423,6 +442,16 @@ describe("routeOperations", () => {
     });
   });
 
+  describe("clearRouteTravelled", () => {
+    it("drops the travelled mark and leaves other routes alone", () => {
+      const a = { ...createSavedRoute([{ x: 0, y: 0 }, { x: 1, y: 0 }]), travelled: { modeId: "walk", minutes: 60, arrivedAt: 540 } };
+      const b = createSavedRoute([{ x: 0, y: 0 }, { x: 0, y: 1 }]);
+      const result = clearRouteTravelled([a, b], a.id);
+      expect(result[0]).not.toHaveProperty("travelled");
+      expect(result[1]).toBe(b);
+    });
+  });
+
   // ===========================================================================
   // removeSavedRoute
   // ===========================================================================
@@ -0,0 +1,132 @@
+import { describe, it, expect } from "vitest";
+import {
+  generateDungeonInArea,
+  findBoundaryOpenings,
+  areaFromCorners,
+  presetForArea,
+} from "../../../src/generation/areaGenerator.js";
+
+const key = (c: { x: number; y: number }) => `${c.x},${c.y}`;
+
+/** A painted room west of x=0 with a corridor running east up to the area. */
+function existingMap() {
+  const cells: Array<{ x: number; y: number; color: string }> = [];
+  for (let x = -8; x < -3; x++) for (let y = 8; y < 13; y++) cells.push({ x, y, color: "#c4a57b" });
+  for (let x = -3; x < 0; x++) cells.push({ x, y: 10, color: "#c4a57b" });
+  // A painted pillar inside the target area
+  for (let x = 12; x < 15; x++) for (let y = 12; y < 15; y++) cells.push({ x, y, color: "#c4a57b" });
+  return { cells, edges: [] as Array<{ x: number; y: number; side: string; color: string }>, objects: [] as Array<{ type: string; position: { x: number; y: number } }> };
+}
+
+/** Floor cells reachable from a start cell, stepping through unwalled sides. */
+function reachable(start: { x: number; y: number }, cells: Array<{ x: number; y: number }>, edges: Array<{ x: number; y: number; side: string }>) {
+  const floor = new Set(cells.map(key));
+  const walls = new Set(edges.map(e => `${e.x},${e.y},${e.side}`));
+  const seen = new Set([key(start)]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const { x, y } = queue.shift()!;
+    const steps = [
+      { x: x + 1, y, wall: `${x},${y},right` },
+      { x: x - 1, y, wall: `${x - 1},${y},right` },
+      { x, y: y + 1, wall: `${x},${y},bottom` },
+      { x, y: y - 1, wall: `${x},${y - 1},bottom` },
+    ];
+    for (const step of steps) {
+      const k = key(step);
+      if (!floor.has(k) || seen.has(k) || walls.has(step.wall)) continue;
+      seen.add(k);
+      queue.push(step);
+    }
+  }
+  return seen;
+}
+
+describe("areaGenerator", () => {
+  const area = areaFromCorners(29, 29, 0, 0);
+
+  it("normalizes corners and picks a preset from the area size", () => {
+    expect(area).toEqual({ x: 0, y: 0, width: 30, height: 30 });
+    expect(presetForArea({ width: 20, height: 12 })).toBe("small");
+    expect(presetForArea(area)).toBe("medium");
+  });
+
+  describe("findBoundaryOpenings", () => {
+    it("finds floor that meets the border and skips walled or painted cells", () => {
+      const existing = existingMap();
+      expect(findBoundaryOpenings(area, existing)).toEqual([
+        { x: 0, y: 10, outside: { x: -1, y: 10 }, side: "left", door: false },
+      ]);
+
+      existing.edges.push({ x: -1, y: 10, side: "right", color: "#333333" });
+      expect(findBoundaryOpenings(area, existing)).toEqual([]);
+    });
+
+    it("keeps one opening per run, preferring a door", () => {
+      const existing = existingMap();
+      for (let y = 3; y < 7; y++) existing.cells.push({ x: 30, y, color: "#c4a57b" });
+      existing.objects.push({ type: "door-vertical", position: { x: 30, y: 3 } });
+
+      const openings = findBoundaryOpenings(area, existing);
+      expect(openings[0]).toMatchObject({ x: 29, y: 3, side: "right", door: true });
+      expect(openings).toHaveLength(2);
+      expect(findBoundaryOpenings(area, existing, 1)).toHaveLength(1);
+    });
+  });
+
+  describe("generateDungeonInArea", () => {
+    const existing = existingMap();
+    const result = generateDungeonInArea(area, existing, null, undefined, { seed: 4242 })!;
+
+    it("replays the same section from the same seed", () => {
+      const again = generateDungeonInArea(area, existing, null, undefined, { seed: 4242 })!;
+      expect(again.cells).toEqual(result.cells);
+      expect(again.edges).toEqual(result.edges);
+      expect(result.metadata.seed).toBe(4242);
+    });
+
+    it("stays inside the area and leaves painted cells alone", () => {
+      const painted = new Set(existing.cells.map(key));
+      expect(result.metadata.rooms.length).toBeGreaterThan(0);
+      for (const cell of result.cells) {
+        expect(cell.x >= 0 && cell.x < 30 && cell.y >= 0 && cell.y < 30).toBe(true);
+        expect(painted.has(key(cell))).toBe(false);
+      }
+      for (const room of result.metadata.rooms) {
+        expect(room.x >= 12 + 3 || room.x + room.width <= 12 || room.y >= 15 || room.y + room.height <= 12).toBe(true);
+      }
+    });
+
+    it("connects every room to the existing corridor", () => {
+      const seen = reachable({ x: -1, y: 10 }, [...existing.cells, ...result.cells], result.edges);
+      expect(seen.has("0,10")).toBe(true);
+      for (const room of result.metadata.rooms) {
+        const inside = result.cells.find(c => c.x >= room.x && c.x < room.x + room.width && c.y >= room.y && c.y < room.y + room.height)!;
+        expect(seen.has(key(inside))).toBe(true);
+      }
+    });
+
+    it("drops the stairs when the section is entered from the map", () => {
+      expect(result.objects.some(o => o.type.startsWith("stairs"))).toBe(false);
+      const isolated = generateDungeonInArea({ x: 100, y: 100, width: 30, height: 30 }, existing, null, undefined, { seed: 7 })!;
+      expect(isolated.metadata.openings).toEqual([]);
+      expect(isolated.objects.some(o => o.type === "stairs-down")).toBe(true);
+    });
+
+    it("builds rooms around openings and painted cells for a cave style", () => {
+      for (const overrides of [{ style: "cavern" }, { layout: "cave" }]) {
+        const cavern = generateDungeonInArea(area, existing, null, undefined, { ...overrides, seed: 4242 })!;
+        const painted = new Set(existing.cells.map(key));
+        expect(cavern.metadata.rooms.length).toBeGreaterThan(0);
+        expect(cavern.metadata.openings).toHaveLength(1);
+        for (const cell of cavern.cells) expect(painted.has(key(cell))).toBe(false);
+        const seen = reachable({ x: -1, y: 10 }, [...existing.cells, ...cavern.cells], cavern.edges);
+        expect(seen.has("0,10")).toBe(true);
+      }
+    });
+
+    it("returns null when the area is too small for a room", () => {
+      expect(generateDungeonInArea({ x: 0, y: 0, width: 4, height: 20 }, existing)).toBeNull();
+    });
+  });
+});
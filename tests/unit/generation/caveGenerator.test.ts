@@ -0,0 +1,203 @@
+import { describe, it, expect } from "vitest";
+import {
+  generateCaveLayout,
+  seedCaveGrid,
+  smoothCaveGrid,
+  findCaveRegions,
+  connectCaveRegions,
+  carveCaveTunnel,
+  cellsToRowParts,
+} from "../../../src/generation/caveGenerator.js";
+import { generateDungeon, isCellInRoom } from "../../../src/generation/dungeonGenerator.js";
+import { stockDungeon } from "../../../src/generation/objectPlacer.js";
+import { createSeededRandom } from "../../../src/generation/seededRandom";
+
+/** Count 4-connected components of a cell list. */
+function countComponents(cells: Array<{ x: number; y: number }>): number {
+  const remaining = new Set(cells.map(c => `${c.x},${c.y}`));
+  let components = 0;
+  while (remaining.size > 0) {
+    components++;
+    const [start] = remaining;
+    remaining.delete(start);
+    const stack = [start];
+    while (stack.length > 0) {
+      const [x, y] = stack.pop()!.split(",").map(Number);
+      for (const key of [`${x - 1},${y}`, `${x + 1},${y}`, `${x},${y - 1}`, `${x},${y + 1}`]) {
+        if (remaining.delete(key)) stack.push(key);
+      }
+    }
+  }
+  return components;
+}
+
+describe("caveGenerator", () => {
+  describe("seedCaveGrid", () => {
+    it("keeps the outer ring as rock", () => {
+      const grid = seedCaveGrid(10, 8, 0, createSeededRandom(1));
+      for (let x = 0; x < 10; x++) {
+        expect(grid[x]).toBe(1);
+        expect(grid[7 * 10 + x]).toBe(1);
+      }
+      for (let y = 0; y < 8; y++) {
+        expect(grid[y * 10]).toBe(1);
+        expect(grid[y * 10 + 9]).toBe(1);
+      }
+      expect(grid[1 * 10 + 1]).toBe(0);
+    });
+  });
+
+  describe("smoothCaveGrid", () => {
+    it("fills an isolated floor cell surrounded by rock", () => {
+      const grid = new Uint8Array(25).fill(1);
+      grid[12] = 0;
+      expect(smoothCaveGrid(grid, 5, 5)[12]).toBe(1);
+    });
+
+    it("opens a lone rock in open floor", () => {
+      const grid = seedCaveGrid(7, 7, 0, createSeededRandom(1));
+      grid[3 * 7 + 3] = 1;
+      expect(smoothCaveGrid(grid, 7, 7)[3 * 7 + 3]).toBe(0);
+    });
+  });
+
+  describe("findCaveRegions", () => {
+    it("finds separate pockets, largest first", () => {
+      // 7x5 grid: a 1-cell pocket and a 3-cell pocket
+      const grid = new Uint8Array(35).fill(1);
+      grid[1 * 7 + 1] = 0;
+      grid[2 * 7 + 3] = 0;
+      grid[2 * 7 + 4] = 0;
+      grid[2 * 7 + 5] = 0;
+      const regions = findCaveRegions(grid, 7, 5);
+      expect(regions.map(r => r.length)).toEqual([3, 1]);
+    });
+  });
+
+  describe("carveCaveTunnel", () => {
+    it("carves a contiguous path between both ends", () => {
+      const grid = new Uint8Array(100).fill(1);
+      const path = carveCaveTunnel(grid, 10, { x: 1, y: 1 }, { x: 7, y: 5 }, 0.5, createSeededRandom(3));
+      expect(path[0]).toEqual({ x: 1, y: 1 });
+      expect(path[path.length - 1]).toEqual({ x: 7, y: 5 });
+      expect(path).toHaveLength(11);
+      for (let i = 1; i < path.length; i++) {
+        expect(Math.abs(path[i].x - path[i - 1].x) + Math.abs(path[i].y - path[i - 1].y)).toBe(1);
+        expect(grid[path[i].y * 10 + path[i].x]).toBe(0);
+      }
+    });
+  });
+
+  describe("connectCaveRegions", () => {
+    it("joins every surviving pocket into one cave", () => {
+      const grid = new Uint8Array(12 * 8).fill(1);
+      for (const [x, y] of [[1, 1], [2, 1], [1, 2], [2, 2], [8, 5], [9, 5], [8, 6], [9, 6]]) {
+        grid[y * 12 + x] = 0;
+      }
+      const tunnels = connectCaveRegions(grid, 12, 8, 2, 0, createSeededRandom(1));
+      expect(tunnels).toHaveLength(1);
+      expect(findCaveRegions(grid, 12, 8)).toHaveLength(1);
+    });
+
+    it("fills pockets below the minimum size", () => {
+      const grid = new Uint8Array(12 * 8).fill(1);
+      for (const [x, y] of [[1, 1], [2, 1], [1, 2], [2, 2], [9, 6]]) {
+        grid[y * 12 + x] = 0;
+      }
+      const tunnels = connectCaveRegions(grid, 12, 8, 2, 0, createSeededRandom(1));
+      expect(tunnels).toHaveLength(0);
+      expect(grid[6 * 12 + 9]).toBe(1);
+    });
+  });
+
+  describe("cellsToRowParts", () => {
+    it("merges horizontal runs", () => {
+      const parts = cellsToRowParts([{ x: 2, y: 0 }, { x: 1, y: 0 }, { x: 4, y: 0 }, { x: 1, y: 1 }]);
+      expect(parts).toEqual([
+        { x: 1, y: 0, width: 2, height: 1 },
+        { x: 4, y: 0, width: 1, height: 1 },
+        { x: 1, y: 1, width: 1, height: 1 },
+      ]);
+    });
+  });
+
+  describe("generateCaveLayout", () => {
+    const layout = generateCaveLayout({ gridWidth: 40, gridHeight: 40 }, createSeededRandom(2024));
+
+    it("produces a single connected cave", () => {
+      expect(layout.floorCells.length).toBeGreaterThan(0);
+      expect(countComponents(layout.floorCells)).toBe(1);
+    });
+
+    it("splits floor into chambers and passages without overlap", () => {
+      expect(layout.rooms.length).toBeGreaterThan(0);
+      const seen = new Set<string>();
+      for (const room of layout.rooms) {
+        expect(room.shape).toBe("composite");
+        for (const part of room.parts) {
+          for (let x = part.x; x < part.x + part.width; x++) {
+            const key = `${x},${part.y}`;
+            expect(seen.has(key)).toBe(false);
+            seen.add(key);
+          }
+        }
+      }
+      for (const cell of layout.corridorResult.cells) {
+        const key = `${cell.x},${cell.y}`;
+        expect(seen.has(key)).toBe(false);
+        seen.add(key);
+      }
+      expect(seen.size).toBe(layout.floorCells.length);
+    });
+  });
+
+  describe("cavern style", () => {
+    const result = generateDungeon("medium", undefined, { style: "cavern", seed: 77 });
+
+    it("returns the standard dungeon shape", () => {
+      expect(result.metadata.style).toBe("cavern");
+      expect(result.metadata.seed).toBe(77);
+      expect(result.metadata.roomCount).toBe(result.metadata.rooms.length);
+      expect(result.metadata.doorPositions).toEqual([]);
+      expect(result.edges).toEqual([]);
+      expect(countComponents(result.cells)).toBe(1);
+    });
+
+    it("places stairs inside chambers", () => {
+      const stairs = result.objects.filter(o => o.type.startsWith("stairs"));
+      expect(stairs.length).toBeGreaterThan(0);
+      for (const stair of stairs) {
+        const inRoom = result.metadata.rooms.some(room =>
+          isCellInRoom(stair.position.x, stair.position.y, room)
+        );
+        expect(inRoom).toBe(true);
+      }
+    });
+
+    it("can be stocked by objectPlacer", () => {
+      const floor = new Set(result.cells.map(c => `${c.x},${c.y}`));
+      const stocked = stockDungeon(
+        result.metadata.rooms,
+        result.metadata.corridorResult,
+        result.metadata.doorPositions,
+        "cavern",
+        { objectDensity: 1.0, seed: 5 },
+        {
+          entryRoomId: result.metadata.entryRoomId,
+          exitRoomId: result.metadata.exitRoomId,
+          waterRoomIds: result.metadata.waterRoomIds,
+        }
+      );
+      expect(stocked.objects.length).toBeGreaterThan(0);
+      for (const obj of stocked.objects) {
+        expect(floor.has(`${obj.position.x},${obj.position.y}`)).toBe(true);
+      }
+    });
+
+    it("is reproducible from its seed", () => {
+      const again = generateDungeon("medium", undefined, { style: "cavern", seed: 77 });
+      expect(again.cells).toEqual(result.cells);
+      expect(again.metadata.rooms).toEqual(result.metadata.rooms);
+    });
+  });
+});
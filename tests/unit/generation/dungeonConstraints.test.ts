@@ -0,0 +1,200 @@
+import { describe, it, expect } from "vitest";
+import {
+  normalizeConstraints,
+  limitLoops,
+  analyzeLayout,
+  roomDepths,
+  countLoops,
+} from "../../../src/generation/dungeonConstraints.js";
+import { generateDungeon } from "../../../src/generation/dungeonGenerator.js";
+import type { DungeonResult } from "../../../src/generation/dungeonGenerator.js";
+import { createSeededRandom } from "../../../src/generation/seededRandom";
+
+const room = (id: number, x: number, y: number) => ({ id, x, y, width: 3, height: 3, shape: "rectangle" });
+
+/** Three rooms in a row joined by a corridor, with a door in front of room 1. */
+function corridorLayout(withLoop: boolean) {
+  const rooms = [room(0, 0, 0), room(1, 6, 0), room(2, 12, 0)];
+  const cells: Array<{ x: number; y: number }> = [];
+  for (const r of rooms) {
+    for (let x = r.x; x < r.x + 3; x++) for (let y = 0; y < 3; y++) cells.push({ x, y });
+  }
+  for (const x of [3, 4, 5, 9, 10, 11]) cells.push({ x, y: 1 });
+  if (withLoop) {
+    // Second passage from room 0 to room 2 running below room 1
+    cells.push({ x: 1, y: 3 }, { x: 13, y: 3 });
+    for (let x = 1; x <= 13; x++) cells.push({ x, y: 4 });
+  }
+  return { cells, edges: [] as Array<{ x: number; y: number; side: string; color: string }>, metadata: { rooms } };
+}
+
+/** Copy of a result without the per-run object IDs, which are not seeded. */
+function stripIds(result: DungeonResult) {
+  const ids = new Map(result.objects.map((o, i) => [o.id, i]));
+  return {
+    cells: result.cells,
+    edges: result.edges,
+    objects: result.objects.map(({ id: _id, ...rest }) => rest),
+    lockedDoors: result.metadata.lockedDoors?.map(lock => ({
+      ...lock,
+      doorIds: lock.doorIds.map(id => ids.get(id)),
+      keyId: ids.get(lock.keyId ?? ""),
+    })),
+    bossRoomId: result.metadata.bossRoomId,
+    roomTemplates: result.metadata.roomTemplates,
+  };
+}
+
+describe("dungeonConstraints", () => {
+  describe("normalizeConstraints", () => {
+    it("returns null when nothing is asked for", () => {
+      expect(normalizeConstraints(undefined)).toBeNull();
+      expect(normalizeConstraints({})).toBeNull();
+      expect(normalizeConstraints({ minLoops: 0, lockedDoors: 0 })).toBeNull();
+    });
+
+    it("accepts template keys as strings or objects and clamps counts", () => {
+      const constraints = normalizeConstraints({
+        requiredRooms: ["library", { template: "treasury", secret: true }],
+        bossDepth: "farthest",
+        minLoops: 2.7,
+        maxLoops: 1,
+        lockedDoors: -1,
+      });
+      expect(constraints).toMatchObject({
+        requiredRooms: [{ template: "library", secret: false }, { template: "treasury", secret: true }],
+        bossDepth: "farthest",
+        minLoops: 2,
+        maxLoops: 2,
+        lockedDoors: 0,
+      });
+    });
+  });
+
+  describe("limitLoops", () => {
+    const rooms = [room(0, 0, 0), room(1, 10, 0), room(2, 20, 0), room(3, 0, 10)];
+    const tree: Array<[ReturnType<typeof room>, ReturnType<typeof room>]> = [
+      [rooms[0], rooms[1]], [rooms[1], rooms[2]], [rooms[0], rooms[3]],
+    ];
+
+    it("adds connections up to the minimum, keeping the tree", () => {
+      const result = limitLoops(rooms, tree, 2, null, createSeededRandom(1));
+      expect(result.slice(0, 3)).toEqual(tree);
+      expect(result).toHaveLength(5);
+    });
+
+    it("drops extra connections above the maximum", () => {
+      const extras: typeof tree = [[rooms[0], rooms[2]], [rooms[1], rooms[3]], [rooms[2], rooms[3]]];
+      const result = limitLoops(rooms, [...tree, ...extras], 0, 1, createSeededRandom(1));
+      expect(result).toHaveLength(4);
+      expect(result.slice(0, 3)).toEqual(tree);
+    });
+  });
+
+  describe("layout analysis", () => {
+    it("measures depth in rooms traversed and counts loops", () => {
+      const straight = analyzeLayout(corridorLayout(false));
+      expect(Object.fromEntries(roomDepths(straight, 0))).toEqual({ 0: 0, 1: 1, 2: 2 });
+      expect(countLoops(straight)).toBe(0);
+
+      const looped = analyzeLayout(corridorLayout(true));
+      expect(Object.fromEntries(roomDepths(looped, 0))).toEqual({ 0: 0, 1: 1, 2: 1 });
+      expect(countLoops(looped)).toBe(1);
+    });
+
+    it("treats wall edges and locked cells as closed", () => {
+      const walled = corridorLayout(false);
+      walled.edges.push({ x: 11, y: 1, side: "right", color: "#333333" });
+      expect([...roomDepths(analyzeLayout(walled), 0).keys()]).toEqual([0, 1]);
+
+      const layout = analyzeLayout(corridorLayout(false));
+      expect([...roomDepths(layout, 0, new Set(["5,1"])).keys()]).toEqual([0]);
+    });
+  });
+
+  describe("generateDungeon with constraints", () => {
+    const spec = {
+      bossDepth: "farthest" as const,
+      requiredRooms: [{ template: "treasury", secret: true }, "library"],
+      minLoops: 1,
+      lockedDoors: 2,
+    };
+
+    it("replays the same constrained dungeon from the same seed", () => {
+      const a = generateDungeon("medium", undefined, { seed: 31, constraints: spec });
+      const b = generateDungeon("medium", undefined, { seed: 31, constraints: spec });
+      expect(stripIds(a)).toEqual(stripIds(b));
+      expect(a.metadata.seed).toBe(31);
+    });
+
+    it("leaves unconstrained runs untouched", () => {
+      const result = generateDungeon("medium", undefined, { seed: 31 });
+      expect(result.metadata.constraintReport).toBeUndefined();
+      expect(result.metadata.bossRoomId).toBeUndefined();
+    });
+
+    describe.each([11, 31, 57])("seed %i", seed => {
+      const result = generateDungeon("large", undefined, { seed, constraints: spec });
+      const { metadata } = result;
+      const layout = analyzeLayout(result);
+      const depths = roomDepths(layout, metadata.entryRoomId);
+
+      it("meets every constraint", () => {
+        expect(metadata.constraintReport).toMatchObject({ satisfied: true, unmet: [] });
+      });
+
+      it("reaches every room and puts the boss in the deepest one", () => {
+        expect(depths.size).toBe(metadata.rooms.length);
+        expect(depths.get(metadata.bossRoomId!)).toBe(Math.max(...depths.values()));
+        expect(metadata.loopCount).toBeGreaterThanOrEqual(1);
+        expect(countLoops(layout)).toBe(metadata.loopCount);
+      });
+
+      it("hides the treasury behind secret doors only", () => {
+        const entries = Object.entries(metadata.roomTemplates!);
+        expect(entries.map(([, key]) => key).sort()).toEqual(["library", "treasury"]);
+
+        const treasuryId = Number(entries.find(([, key]) => key === "treasury")![0]);
+        const node = layout.nodeOfRoom.get(treasuryId)!;
+        const openings = layout.edges.filter(e => e.a === node || e.b === node).flatMap(e => [...e.cells!]);
+        expect(openings.length).toBeGreaterThan(0);
+        for (const key of openings) {
+          const door = result.objects.find(o => `${o.position.x},${o.position.y}` === key);
+          expect(door?.type).toBe("secret-door");
+        }
+      });
+
+      it("places every key where it can be reached before its door", () => {
+        const locks = metadata.lockedDoors!;
+        expect(locks).toHaveLength(2);
+        const cellsOf = (ids: string[]) => ids.map(id => {
+          const door = result.objects.find(o => o.id === id)!;
+          expect(door.label).toContain("Locked door");
+          return `${door.position.x},${door.position.y}`;
+        });
+
+        // Keys are found last lock first; lock i opens with locks 0..i still shut
+        for (let i = locks.length - 1; i >= 0; i--) {
+          const shut = new Set(locks.slice(0, i + 1).flatMap(lock => cellsOf(lock.doorIds)));
+          const reachable = roomDepths(layout, metadata.entryRoomId, shut);
+          expect(reachable.has(locks[i].keyRoomId)).toBe(true);
+          expect(result.objects.find(o => o.id === locks[i].keyId)?.label).toBe(locks[i].keyName);
+          for (const id of locks[i].lockedRoomIds) expect(reachable.has(id)).toBe(false);
+        }
+        expect(locks[0].lockedRoomIds).toContain(metadata.bossRoomId);
+      });
+    });
+
+    it("reports what a cave cannot provide", () => {
+      const result = generateDungeon("medium", undefined, {
+        style: "cavern",
+        seed: 5,
+        constraints: { requiredRooms: [{ template: "storage", secret: true }], lockedDoors: 1, maxAttempts: 3 },
+      });
+      const report = result.metadata.constraintReport!;
+      expect(report.satisfied).toBe(false);
+      expect(report.attempts).toBe(3);
+      expect(report.unmet.map(u => u.constraint).sort()).toEqual(["lockedDoors", "requiredRooms"]);
+    });
+  });
+});
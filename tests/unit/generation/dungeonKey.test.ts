@@ -0,0 +1,110 @@
+import { describe, it, expect } from "vitest";
+import { buildRoomKey, buildRoomKeyLabels, numberRooms, describeCategory } from "../../../src/generation/dungeonKey.js";
+import type { RoomKeySource } from "../../../src/generation/dungeonKey.js";
+import { generateDungeon } from "../../../src/generation/dungeonGenerator.js";
+import { stockDungeon } from "../../../src/generation/objectPlacer.js";
+
+const room = (id: number, x: number, y: number) => ({ id, x, y, width: 3, height: 3, shape: "rectangle" });
+
+/** Three rooms in a row, 0 - 1 - 2, room 0 holding the entry stairs. */
+function threeRooms(connections: Array<[number, number]>): RoomKeySource {
+  const rooms = [room(0, 12, 0), room(1, 6, 0), room(2, 0, 0)];
+  const cells: Array<{ x: number; y: number }> = [];
+  for (let x = 0; x < 15; x++) for (let y = 0; y < 3; y++) cells.push({ x, y });
+  return {
+    cells,
+    edges: [],
+    objects: [
+      { type: "stairs-down", position: { x: 13, y: 1 } },
+      { type: "door-vertical", position: { x: 3, y: 1 } },
+    ],
+    metadata: { rooms, connections, entryRoomId: 0 },
+  };
+}
+
+function stockedDungeon(seed: number, style?: string) {
+  const result = generateDungeon("medium", undefined, { seed, style });
+  const { metadata } = result;
+  const stockResult = stockDungeon(metadata.rooms, metadata.corridorResult, metadata.doorPositions, metadata.style, { seed }, {
+    entryRoomId: metadata.entryRoomId,
+    exitRoomId: metadata.exitRoomId,
+    waterRoomIds: metadata.waterRoomIds,
+  });
+  return { result, stockResult };
+}
+
+describe("dungeonKey", () => {
+  describe("numberRooms", () => {
+    it("numbers the entrance first, then in reading order", () => {
+      const rooms = [room(0, 10, 0), room(1, 0, 5), room(2, 0, 0), room(3, 5, 0)];
+      expect(Object.fromEntries(numberRooms(rooms, 1))).toEqual({ 1: 1, 2: 2, 3: 3, 0: 4 });
+      expect(Object.fromEntries(numberRooms(rooms, 1, 10))).toEqual({ 1: 10, 2: 11, 3: 12, 0: 13 });
+    });
+  });
+
+  describe("buildRoomKey", () => {
+    it("lists categories, contents and exits from the connections", () => {
+      const source = threeRooms([[0, 1], [1, 2]]);
+      const stockResult = {
+        objects: [
+          { type: "chest", position: { x: 7, y: 0 }, label: "Chest" },
+          { type: "chest", position: { x: 8, y: 2 }, label: "Chest" },
+          { type: "monster", position: { x: 7, y: 1 }, label: "Monster" },
+        ],
+        roomAssignments: {
+          0: { category: "entry_exit" },
+          1: { category: "monster", hasSecondaryTreasure: true },
+          2: { category: "feature", template: "Library" },
+        },
+      };
+
+      const [entrance, far, middle] = buildRoomKey(source, stockResult);
+
+      expect(entrance).toMatchObject({ number: 1, roomId: 0, category: "entrance", contents: ["Stairs down"], exits: [3] });
+      expect(middle).toMatchObject({ number: 3, roomId: 1, category: "monster", treasure: true, contents: ["Chest ×2", "Monster"], exits: [1, 2] });
+      expect(far).toMatchObject({ number: 2, roomId: 2, category: "feature", template: "Library", contents: [], exits: [3] });
+      expect(describeCategory(far)).toBe("Feature (Library)");
+    });
+
+    it("keeps number labels off occupied cells", () => {
+      const [entrance] = buildRoomKey(threeRooms([]), { objects: [{ type: "boss", position: { x: 13, y: 1 } }], roomAssignments: {} });
+      expect(entrance.labelCell).not.toEqual({ x: 13, y: 1 });
+      expect(Math.abs(entrance.labelCell.x - 13) + Math.abs(entrance.labelCell.y - 1)).toBe(1);
+    });
+
+    it("joins cavern chambers through the carved floor when nothing was planned", () => {
+      const key = buildRoomKey(threeRooms([]));
+      expect(key.map(entry => entry.exits)).toEqual([[3], [3], [1, 2]]);
+    });
+
+    it("covers every room of a generated dungeon once", () => {
+      const { result, stockResult } = stockedDungeon(42);
+      const key = buildRoomKey(result, stockResult);
+
+      expect(key.map(entry => entry.number)).toEqual(result.metadata.rooms.map((_, i) => i + 1));
+      expect(key[0].roomId).toBe(result.metadata.entryRoomId);
+      for (const entry of key) {
+        for (const exit of entry.exits) expect(key[exit - 1].exits).toContain(entry.number);
+      }
+      expect(key.some(entry => entry.contents.length > 0)).toBe(true);
+    });
+
+    it("gives cavern chambers exits", () => {
+      const { result, stockResult } = stockedDungeon(7, "cavern");
+      const key = buildRoomKey(result, stockResult);
+      expect(result.metadata.connections).toHaveLength(0);
+      expect(key.filter(entry => entry.exits.length > 0).length).toBeGreaterThan(0);
+    });
+  });
+
+  describe("buildRoomKeyLabels", () => {
+    it("centres one numbered label on each label cell", () => {
+      const key = buildRoomKey(threeRooms([[0, 1], [1, 2]]));
+      const labels = buildRoomKeyLabels(key, 40);
+
+      expect(labels.map(label => label.content)).toEqual(["1", "2", "3"]);
+      expect(labels[0].position).toEqual({ x: (key[0].labelCell.x + 0.5) * 40, y: (key[0].labelCell.y + 0.5) * 40 });
+      expect(new Set(labels.map(label => label.id)).size).toBe(3);
+    });
+  });
+});
@@ -53,6 +53,26 @@ describe('dungeonStyleColors', () => {
     expect(resolveDungeonStyleColors(undefined)).toEqual(DUNGEON_STYLE_COLOR_DEFAULTS.classic);
   });
 
+  it('overlays a user-defined style\'s colors on the classic ones', () => {
+    withSettings({
+      dungeonStylePacks: [{
+        id: 'undercity', name: 'Undercity', enabled: true,
+        styles: [{ id: 'sewer', name: 'Sewer', overrides: {}, pools: { monsters: [], treasures: [], features: [], traps: [] }, templates: {}, colors: { water: '#3b5d2a' } }]
+      }]
+    });
+    expect(resolveDungeonStyleColors('sewer')).toEqual({ ...DUNGEON_STYLE_COLOR_DEFAULTS.classic, water: '#3b5d2a' });
+  });
+
+  it('ignores the colors of a style whose pack is disabled', () => {
+    withSettings({
+      dungeonStylePacks: [{
+        id: 'undercity', name: 'Undercity', enabled: false,
+        styles: [{ id: 'sewer', name: 'Sewer', overrides: {}, pools: { monsters: [], treasures: [], features: [], traps: [] }, templates: {}, colors: { water: '#3b5d2a' } }]
+      }]
+    });
+    expect(resolveDungeonStyleColors('sewer')).toEqual(DUNGEON_STYLE_COLOR_DEFAULTS.classic);
+  });
+
   it('overlays per-channel settings overrides on style defaults', () => {
     withSettings({ dungeonStyleColors: { cavern: { floor: '#112233' } } });
     expect(resolveDungeonStyleColors('cavern')).toEqual({
@@ -0,0 +1,290 @@
+/**
+ * dungeonStylePackOperations Unit Tests
+ *
+ * Tests style pack creation, list editing, enabled-style and stocking table
+ * lookup, object set checks, preparing a style for generation, export round
+ * trip, and import validation.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import {
+  DUNGEON_STYLE_PACK_FORMAT,
+  DUNGEON_STYLE_PACK_FORMAT_VERSION,
+  createDungeonStyle,
+  createDungeonStylePack,
+  upsertDungeonStylePack,
+  removeDungeonStylePack,
+  setDungeonStylePackEnabled,
+  getEnabledDungeonStyles,
+  getEnabledStockingTables,
+  getStyleObjectTypes,
+  findMissingStyleObjects,
+  resolveDungeonStyleForGeneration,
+  exportDungeonStylePack,
+  serializeDungeonStylePack,
+  validateDungeonStylePackImport,
+} from "../../../src/generation/dungeonStylePackOperations";
+import type { DungeonStockingTable, DungeonStyleDefinition, DungeonStylePack } from "#types/settings/dungeonStyle.types";
+
+/** A small sewer style referencing two custom object types */
+function buildSewerStyle(): DungeonStyleDefinition {
+  return {
+    id: "sewer",
+    name: "Sewer",
+    overrides: { corridorStyle: "organic", waterChance: 0.6 },
+    pools: {
+      monsters: ["monster", "rat-swarm"],
+      treasures: ["sack"],
+      features: ["grate"],
+      traps: ["trap"],
+    },
+    templates: {
+      cistern: {
+        name: "Cistern",
+        minRoomSize: 12,
+        objects: [{ type: "grate", count: { min: 1, max: 2 }, placement: "walls" }],
+      },
+    },
+    categoryWeights: { monster: 0.4, empty: 0.3, feature: 0.2, trap: 0.1 },
+    boss: "otyugh",
+  };
+}
+
+function buildEncounterTable(): DungeonStockingTable {
+  return {
+    id: "sewer-encounters",
+    name: "Sewer encounters",
+    kind: "encounter",
+    styles: ["sewer"],
+    entries: [
+      { label: "Giant rats", text: "3d6 giant rats nesting in refuse", weight: 3 },
+      { label: "Otyugh", levels: { min: 2 } },
+    ],
+  };
+}
+
+function buildSamplePack(): DungeonStylePack {
+  return { id: "undercity", name: "Undercity", enabled: true, styles: [buildSewerStyle()] };
+}
+
+describe("dungeonStylePackOperations", () => {
+  // ===========================================================================
+  // Creation
+  // ===========================================================================
+
+  describe("createDungeonStylePack", () => {
+    it("creates an enabled pack with one classic-based style", () => {
+      const pack = createDungeonStylePack("House styles");
+      expect(pack.id).toMatch(/^dungeon-style-pack-/);
+      expect(pack.enabled).toBe(true);
+      expect(pack.styles).toHaveLength(1);
+      expect(pack.styles[0].pools.monsters.length).toBeGreaterThan(0);
+      expect(Object.keys(pack.styles[0].templates).length).toBeGreaterThan(0);
+    });
+
+    it("gives new styles unique ids that copy, not share, the built-in tables", () => {
+      const a = createDungeonStyle("a");
+      const b = createDungeonStyle("b");
+      expect(a.id).not.toBe(b.id);
+      a.pools.monsters.push("rat-swarm");
+      expect(b.pools.monsters).not.toContain("rat-swarm");
+    });
+  });
+
+  // ===========================================================================
+  // Pack list editing
+  // ===========================================================================
+
+  describe("pack list editing", () => {
+    it("upsert adds a new pack and replaces one with the same id", () => {
+      const pack = buildSamplePack();
+      const added = upsertDungeonStylePack([], pack);
+      expect(added).toHaveLength(1);
+      const replaced = upsertDungeonStylePack(added, { ...pack, name: "Renamed" });
+      expect(replaced).toHaveLength(1);
+      expect(replaced[0].name).toBe("Renamed");
+    });
+
+    it("removes and toggles packs without mutating the input", () => {
+      const packs = [buildSamplePack()];
+      expect(removeDungeonStylePack(packs, "undercity")).toEqual([]);
+      const disabled = setDungeonStylePackEnabled(packs, "undercity", false);
+      expect(disabled[0].enabled).toBe(false);
+      expect(packs[0].enabled).toBe(true);
+    });
+  });
+
+  describe("getEnabledDungeonStyles", () => {
+    it("offers styles of enabled packs only", () => {
+      const disabled = { ...buildSamplePack(), id: "off", enabled: false, styles: [{ ...buildSewerStyle(), id: "off-style" }] };
+      const ids = getEnabledDungeonStyles([buildSamplePack(), disabled]).map(s => s.id);
+      expect(ids).toEqual(["sewer"]);
+    });
+
+    it("offers a duplicated style id once and never shadows a built-in", () => {
+      const second = { ...buildSamplePack(), id: "second" };
+      const shadow = { ...buildSamplePack(), id: "shadow", styles: [{ ...buildSewerStyle(), id: "crypt" }] };
+      const ids = getEnabledDungeonStyles([buildSamplePack(), second, shadow]).map(s => s.id);
+      expect(ids).toEqual(["sewer"]);
+    });
+
+    it("handles absent settings", () => {
+      expect(getEnabledDungeonStyles(undefined)).toEqual([]);
+    });
+  });
+
+  describe("getEnabledStockingTables", () => {
+    it("gathers tables of enabled packs that apply to the style", () => {
+      const open = { ...buildEncounterTable(), id: "any", styles: undefined };
+      const pack = { ...buildSamplePack(), tables: [buildEncounterTable(), open] };
+      const off = { ...buildSamplePack(), id: "off", enabled: false, tables: [{ ...open, id: "off-table" }] };
+      expect(getEnabledStockingTables([pack, off], "sewer").map(t => t.id)).toEqual(["sewer-encounters", "any"]);
+      expect(getEnabledStockingTables([pack, off], "crypt").map(t => t.id)).toEqual(["any"]);
+    });
+  });
+
+  // ===========================================================================
+  // Object set checks
+  // ===========================================================================
+
+  describe("object set checks", () => {
+    it("lists every object type a style can place, boss included", () => {
+      expect(getStyleObjectTypes(buildSewerStyle())).toEqual(["monster", "rat-swarm", "sack", "grate", "trap", "otyugh"]);
+    });
+
+    it("reports types the object set lacks", () => {
+      const known = ["monster", "sack", "trap", "grate"];
+      expect(findMissingStyleObjects(buildSewerStyle(), known)).toEqual(["rat-swarm", "otyugh"]);
+    });
+  });
+
+  describe("resolveDungeonStyleForGeneration", () => {
+    const objectTypes = [
+      { id: "monster", label: "Monster" },
+      { id: "rat-swarm", label: "Rat Swarm" },
+      { id: "sack", label: "Sack" },
+      { id: "trap", label: "Trap" },
+    ];
+
+    it("drops missing types, empty templates and a missing boss", () => {
+      const { style, missing } = resolveDungeonStyleForGeneration(buildSewerStyle(), objectTypes);
+      expect(missing).toEqual(["grate", "otyugh"]);
+      expect(style.pools.features).toEqual([]);
+      expect(style.templates).toEqual({});
+      expect(style.boss).toBeUndefined();
+    });
+
+    it("records the labels of the types it keeps", () => {
+      const { style } = resolveDungeonStyleForGeneration(buildSewerStyle(), objectTypes);
+      expect(style.labels).toEqual({ monster: "Monster", "rat-swarm": "Rat Swarm", sack: "Sack", trap: "Trap" });
+    });
+  });
+
+  // ===========================================================================
+  // Export / import
+  // ===========================================================================
+
+  describe("export", () => {
+    it("wraps the pack in a versioned envelope without local state", () => {
+      const pack = buildSamplePack();
+      pack.styles[0].labels = { monster: "Monster" };
+      const exported = exportDungeonStylePack(pack);
+      expect(exported.format).toBe(DUNGEON_STYLE_PACK_FORMAT);
+      expect(exported.formatVersion).toBe(DUNGEON_STYLE_PACK_FORMAT_VERSION);
+      expect(exported.pack).not.toHaveProperty("enabled");
+      expect(exported.pack.styles[0]).not.toHaveProperty("labels");
+    });
+
+    it("round-trips through serialize and import", () => {
+      const result = validateDungeonStylePackImport(JSON.parse(serializeDungeonStylePack(buildSamplePack())));
+      expect(result.valid).toBe(true);
+      expect(result.pack).toEqual(buildSamplePack());
+    });
+
+    it("round-trips a freshly created pack", () => {
+      const pack = createDungeonStylePack("Fresh");
+      const result = validateDungeonStylePackImport(exportDungeonStylePack(pack));
+      expect(result.errors).toEqual([]);
+    });
+  });
+
+  describe("validateDungeonStylePackImport", () => {
+    function envelope(styles: unknown[]): unknown {
+      return { format: DUNGEON_STYLE_PACK_FORMAT, formatVersion: 1, pack: { id: "p", name: "P", styles } };
+    }
+
+    it("rejects other files and newer format versions", () => {
+      expect(validateDungeonStylePackImport([]).valid).toBe(false);
+      expect(validateDungeonStylePackImport({ format: "windrose-travel-pack" }).errors[0]).toContain("Not a dungeon style pack");
+      expect(validateDungeonStylePackImport({ format: DUNGEON_STYLE_PACK_FORMAT, formatVersion: 99 }).valid).toBe(false);
+    });
+
+    it("requires at least one style or table", () => {
+      expect(validateDungeonStylePackImport(envelope([])).errors).toContain("Pack has no styles or stocking tables");
+    });
+
+    it("accepts a pack of stocking tables only", () => {
+      const data = { format: DUNGEON_STYLE_PACK_FORMAT, formatVersion: 1, pack: { id: "p", name: "P", styles: [], tables: [buildEncounterTable()] } };
+      const result = validateDungeonStylePackImport(data);
+      expect(result.valid).toBe(true);
+      expect(result.pack?.tables).toEqual([buildEncounterTable()]);
+    });
+
+    it("collects every problem in a stocking table", () => {
+      const bad = {
+        id: "t", name: "Loot", kind: "hoard", styles: "sewer", levels: { min: 3, max: 2 },
+        entries: [{ label: "Gold", weight: 0 }, { text: "no label" }],
+      };
+      const data = { format: DUNGEON_STYLE_PACK_FORMAT, formatVersion: 1, pack: { id: "p", name: "P", styles: [], tables: [bad, bad] } };
+      const { errors } = validateDungeonStylePackImport(data);
+      expect(errors).toEqual(expect.arrayContaining([
+        'Table "Loot": kind must be encounter or treasure',
+        'Table "Loot": styles must be a list of style ids',
+        'Table "Loot": levels.min cannot be above levels.max',
+        'Table "Loot", entry "Gold": weight must be greater than zero',
+        'Table "Loot": entry #2 is missing a label',
+        "Duplicate table id: t",
+      ]));
+    });
+
+    it("collects every problem in a style", () => {
+      const bad = {
+        ...buildSewerStyle(),
+        overrides: { doorChance: 2, teleporters: true },
+        pools: { monsters: [], treasures: ["sack"], features: "grate", traps: [] },
+        templates: { vault: { name: "Vault", minRoomSize: 0, objects: [{ type: "chest", count: { min: 3, max: 1 }, placement: "ceiling" }] } },
+        categoryWeights: { monster: 0, empty: 0, feature: 0, trap: 0 },
+        colors: { floor: "brown" },
+      };
+      const { valid, errors } = validateDungeonStylePackImport(envelope([bad]));
+      expect(valid).toBe(false);
+      expect(errors).toEqual(expect.arrayContaining([
+        'Style "Sewer": doorChance must be between 0 and 1',
+        'Style "Sewer": unknown generator setting "teleporters"',
+        'Style "Sewer": the features pool must be a list of object type ids',
+        'Style "Sewer": the monsters pool needs at least one object type',
+        'Style "Sewer", template "Vault": minRoomSize must be greater than zero',
+        'Style "Sewer": category weights cannot all be zero',
+        'Style "Sewer": floor color must be a hex color like #c4a57b',
+      ]));
+      expect(errors.some(e => e.includes('"chest" needs a count'))).toBe(true);
+      expect(errors.some(e => e.includes('"chest" has an invalid placement'))).toBe(true);
+    });
+
+    it("rejects built-in and duplicate style ids", () => {
+      const errors = validateDungeonStylePackImport(envelope([
+        { ...buildSewerStyle(), id: "classic" },
+        buildSewerStyle(),
+        buildSewerStyle(),
+      ])).errors;
+      expect(errors).toContain('Style "Sewer": id "classic" is reserved for a built-in style');
+      expect(errors).toContain("Duplicate style id: sewer");
+    });
+
+    it("does not check object types against an object set", () => {
+      const style = { ...buildSewerStyle(), pools: { ...buildSewerStyle().pools, monsters: ["beholder"] } };
+      expect(validateDungeonStylePackImport(envelope([style])).valid).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect } from "vitest";
+import {
+  generateWilderness,
+  buildHexBounds,
+  findTerrainZones,
+  mergeSmallZones,
+  placeMarkers,
+  hexDistance,
+  suggestTravelTerrains,
+  WILDERNESS_PRESETS,
+} from "../../../src/generation/hexWildernessGenerator.js";
+import { createSeededRandom } from "../../../src/generation/seededRandom";
+
+/** Structural copy without the per-run IDs, which are not seeded. */
+function stripIds(result: ReturnType<typeof generateWilderness>) {
+  return {
+    cells: result.cells,
+    objects: result.objects.map(({ id: _id, ...rest }) => rest),
+    regions: result.regions.map(({ id: _id, ...rest }) => rest),
+    metadata: result.metadata,
+  };
+}
+
+describe("hexWildernessGenerator", () => {
+  describe("buildHexBounds", () => {
+    it("covers every offset position once for both orientations", () => {
+      for (const orientation of ["flat", "pointy"] as const) {
+        const hexes = buildHexBounds(6, 4, orientation);
+        expect(hexes).toHaveLength(24);
+        expect(new Set(hexes.map(h => `${h.q},${h.r}`)).size).toBe(24);
+      }
+    });
+  });
+
+  describe("mergeSmallZones", () => {
+    it("repaints a zone smaller than the minimum with the surrounding terrain", () => {
+      const terrain = new Map<string, "plains" | "water">();
+      for (const { q, r } of buildHexBounds(5, 5, "flat")) terrain.set(`${q},${r}`, "plains");
+      terrain.set("2,0", "water");
+
+      mergeSmallZones(terrain, 2);
+
+      expect(terrain.get("2,0")).toBe("plains");
+      expect(findTerrainZones(terrain)).toHaveLength(1);
+    });
+  });
+
+  describe("placeMarkers", () => {
+    it("keeps markers apart and off unweighted terrain", () => {
+      const terrain = new Map<string, "plains" | "water">();
+      for (const { q, r } of buildHexBounds(10, 10, "flat")) {
+        terrain.set(`${q},${r}`, q < 3 ? "water" : "plains");
+      }
+
+      const taken = [{ q: 9, r: 0 }];
+      const placed = placeMarkers(terrain, { plains: 1 }, 5, 3, taken, createSeededRandom(3));
+
+      expect(placed.length).toBeGreaterThan(0);
+      for (const hex of placed) {
+        expect(terrain.get(`${hex.q},${hex.r}`)).toBe("plains");
+        for (const other of [...taken, ...placed]) {
+          if (other !== hex) expect(hexDistance(hex, other)).toBeGreaterThanOrEqual(3);
+        }
+      }
+    });
+  });
+
+  describe("generateWilderness", () => {
+    it("replays the same wilderness from the same seed", () => {
+      const a = generateWilderness("small", { seed: 1234 });
+      const b = generateWilderness("small", { seed: 1234 });
+      expect(stripIds(a)).toEqual(stripIds(b));
+      expect(a.metadata.seed).toBe(1234);
+    });
+
+    it("keeps the terrain when only the marker counts change", () => {
+      const a = generateWilderness("small", { seed: 77, settlementCount: 1 });
+      const b = generateWilderness("small", { seed: 77, settlementCount: 4 });
+      expect(b.cells).toEqual(a.cells);
+    });
+
+    it("fills the preset bounds and assigns every hex to exactly one region", () => {
+      const result = generateWilderness("medium", { seed: 9 });
+      const { cols, rows } = WILDERNESS_PRESETS.medium;
+      expect(result.cells).toHaveLength(cols * rows);
+
+      const owners = new Map<string, number>();
+      for (const region of result.regions) {
+        for (const hex of region.hexes) {
+          const key = `${hex.x},${hex.y}`;
+          owners.set(key, (owners.get(key) ?? 0) + 1);
+        }
+      }
+      expect(owners.size).toBe(result.cells.length);
+      expect([...owners.values()].every(count => count === 1)).toBe(true);
+      for (const cell of result.cells) expect(owners.has(`${cell.q},${cell.r}`)).toBe(true);
+    });
+
+    it("names regions uniquely and tags them with their terrain", () => {
+      const result = generateWilderness("large", { seed: 5 });
+      const names = result.regions.map(r => r.name);
+      expect(new Set(names).size).toBe(names.length);
+      expect(new Set(result.regions.map(r => r.tags[0])).size).toBeGreaterThanOrEqual(4);
+    });
+
+    it("places settlement and dungeon markers on land hexes", () => {
+      const result = generateWilderness("medium", { seed: 21 });
+      const waterHexes = new Set(
+        result.regions.filter(r => r.tags[0] === "water").flatMap(r => r.hexes.map(h => `${h.x},${h.y}`))
+      );
+      const settlements = result.objects.filter(o => o.type === "poi");
+      const dungeons = result.objects.filter(o => o.type === "entrance");
+
+      expect(settlements).toHaveLength(WILDERNESS_PRESETS.medium.settlementCount);
+      expect(dungeons).toHaveLength(WILDERNESS_PRESETS.medium.dungeonCount);
+      for (const obj of result.objects) {
+        expect(waterHexes.has(`${obj.position.x},${obj.position.y}`)).toBe(false);
+        expect(obj.label.length).toBeGreaterThan(0);
+      }
+    });
+
+    it("stores the chosen travel terrain on matching regions only", () => {
+      const result = generateWilderness("small", { seed: 8, travelTerrains: { forest: "terrain-woods" } });
+      for (const region of result.regions) {
+        expect(region.travelTerrainId).toBe(region.tags[0] === "forest" ? "terrain-woods" : undefined);
+      }
+    });
+  });
+
+  describe("suggestTravelTerrains", () => {
+    it("matches pack terrains to terrain kinds by name", () => {
+      const suggestions = suggestTravelTerrains([
+        { id: "t1", name: "Dense Forest" },
+        { id: "t2", name: "Hills" },
+        { id: "t3", name: "Road" },
+      ]);
+      expect(suggestions.forest).toBe("t1");
+      expect(suggestions.hills).toBe("t2");
+      expect(suggestions.mountains).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import {
+  generateDungeon,
+  generateMultiLevelDungeon,
+  isCellInRoom,
+} from "../../../src/generation/dungeonGenerator.js";
+import type { DungeonResult } from "../../../src/generation/dungeonGenerator.js";
+
+const stairsOf = (level: DungeonResult, id: string | undefined) =>
+  level.objects.find(o => o.id === id);
+
+describe("multi-level dungeon generation", () => {
+  describe.each(["classic", "cavern"])("%s style", style => {
+    const stack = generateMultiLevelDungeon("medium", undefined, { style, seed: 4242 }, 3);
+
+    it("generates the requested number of floors", () => {
+      expect(stack.levels).toHaveLength(3);
+      expect(stack.seed).toBe(4242);
+    });
+
+    it("lines each floor's exit stairs up with the next floor's entry stairs", () => {
+      expect(stack.stairLinks).toHaveLength(2);
+      for (const link of stack.stairLinks) {
+        expect(link.toLevel).toBe(link.fromLevel + 1);
+        const down = stairsOf(stack.levels[link.fromLevel], link.fromObjectId);
+        const up = stairsOf(stack.levels[link.toLevel], link.toObjectId);
+        expect(down?.type).toBe("stairs-down");
+        expect(up?.type).toBe("stairs-up");
+        expect(up?.position).toEqual(down?.position);
+      }
+    });
+
+    it("puts the entry stairs on a floor cell", () => {
+      for (const level of stack.levels.slice(1)) {
+        const entry = stairsOf(level, level.metadata.entryStairsId)!;
+        const floor = level.cells.some(c => c.x === entry.position.x && c.y === entry.position.y);
+        expect(floor).toBe(true);
+      }
+    });
+
+    it("leaves the bottom floor without exit stairs", () => {
+      const bottom = stack.levels[2];
+      expect(bottom.metadata.exitStairsId).toBeUndefined();
+      expect(bottom.objects.some(o => o.type === "stairs-down")).toBe(false);
+    });
+  });
+
+  it("anchors the classic entry room on the stair cell", () => {
+    const stack = generateMultiLevelDungeon("small", undefined, { seed: 9 }, 2);
+    const lower = stack.levels[1];
+    const entry = stairsOf(lower, lower.metadata.entryStairsId)!;
+    const entryRoom = lower.metadata.rooms.find(r => r.id === lower.metadata.entryRoomId)!;
+    expect(isCellInRoom(entry.position.x, entry.position.y, entryRoom)).toBe(true);
+  });
+
+  it("keeps the top floor identical to the single-floor dungeon for the same seed", () => {
+    const single = generateDungeon("medium", undefined, { seed: 77 });
+    const stack = generateMultiLevelDungeon("medium", undefined, { seed: 77 }, 2);
+    expect(stack.levels[0].cells).toEqual(single.cells);
+    expect(stack.levels[0].metadata.rooms).toEqual(single.metadata.rooms);
+  });
+
+  it("is reproducible from its seed", () => {
+    const a = generateMultiLevelDungeon("small", undefined, { seed: "depths" }, 3);
+    const b = generateMultiLevelDungeon("small", undefined, { seed: "depths" }, 3);
+    expect(a.levels.map(l => l.cells)).toEqual(b.levels.map(l => l.cells));
+  });
+
+  it("behaves like generateDungeon for a single level", () => {
+    const stack = generateMultiLevelDungeon("small", undefined, { seed: 3 }, 1);
+    const single = generateDungeon("small", undefined, { seed: 3 });
+    expect(stack.levels).toHaveLength(1);
+    expect(stack.stairLinks).toEqual([]);
+    expect(stack.levels[0].objects.map(o => o.type)).toEqual(single.objects.map(o => o.type));
+  });
+});
@@ -6,6 +6,8 @@ import {
   identifyPlacementZones,
   selectValidTemplate,
   stockDungeon,
+  selectTableEntries,
+  rollTableEntry,
   STYLE_OBJECT_POOLS,
   ROOM_TEMPLATES,
 } from "../../../src/generation/objectPlacer.js";
@@ -298,6 +300,34 @@ describe("objectPlacer", () => {
     });
   });
 
+  describe("stocking tables", () => {
+    const tables = [
+      {
+        id: "goblins", name: "Goblins", kind: "encounter" as const, styles: ["classic"],
+        entries: [
+          { label: "Goblin", text: "2d4 goblins playing dice" },
+          { label: "Hobgoblin", weight: 3, levels: { min: 2 } },
+        ],
+      },
+      { id: "loot", name: "Loot", kind: "treasure" as const, levels: { max: 3 }, entries: [{ label: "300 gp" }] },
+    ];
+
+    it("selects entries by kind, style and level", () => {
+      expect(selectTableEntries(tables, "encounter", "classic", 1).map((e) => e.label)).toEqual(["Goblin"]);
+      expect(selectTableEntries(tables, "encounter", "classic", 2).map((e) => e.label)).toEqual(["Goblin", "Hobgoblin"]);
+      expect(selectTableEntries(tables, "encounter", "crypt", 1)).toEqual([]);
+      expect(selectTableEntries(tables, "treasure", "crypt", 3)).toHaveLength(1);
+      expect(selectTableEntries(tables, "treasure", "crypt", 4)).toEqual([]);
+    });
+
+    it("rolls entries by weight", () => {
+      const entries = [{ label: "a", weight: 1 }, { label: "b", weight: 3 }];
+      expect(rollTableEntry(entries, () => 0.2)?.label).toBe("a");
+      expect(rollTableEntry(entries, () => 0.3)?.label).toBe("b");
+      expect(rollTableEntry([], () => 0.5)).toBeNull();
+    });
+  });
+
   describe("stockDungeon", () => {
     // Create simple test rooms
     const rooms = [
@@ -433,5 +463,100 @@ describe("objectPlacer", () => {
 
       expect(foundCryptObject).toBe(true);
     });
+
+    it("puts the boss in the boss room even when it holds the exit", () => {
+      const result = stockDungeon(rooms, corridorResult, doorPositions, "classic", { seed: 4 }, {
+        entryRoomId: 0, exitRoomId: 1, bossRoomId: 1
+      });
+
+      const inBossRoom = result.objects.filter((o) => o.position.x >= 10 && o.position.x < 16);
+      expect(inBossRoom.filter((o) => o.type === "boss")).toHaveLength(1);
+      expect(inBossRoom.some((o) => o.type === "chest" || o.type === "sack")).toBe(true);
+      expect(result.roomAssignments[1]).toMatchObject({ category: "monster", boss: true });
+    });
+
+    it("stocks required template rooms with their template", () => {
+      const result = stockDungeon(rooms, corridorResult, doorPositions, "classic", { seed: 9, useTemplates: false }, {
+        entryRoomId: 0, exitRoomId: 2, roomTemplates: { 1: "treasury" }
+      });
+
+      expect(result.roomAssignments[1]).toMatchObject({ category: "feature", template: "Treasury" });
+      const chests = result.objects.filter((o) => o.type === "chest" && o.position.x >= 10 && o.position.x < 16);
+      expect(chests.length).toBeGreaterThanOrEqual(2);
+    });
+
+    it("names monsters and treasure from stocking tables", () => {
+      const stockingTables = [
+        { id: "e", name: "Encounters", kind: "encounter" as const, entries: [{ label: "Ogre", text: "A hungry ogre" }] },
+        { id: "t", name: "Treasure", kind: "treasure" as const, entries: [{ label: "Silver idol" }] },
+      ];
+      const result = stockDungeon(rooms, corridorResult, doorPositions, "classic", { seed: 4, stockingTables }, {
+        entryRoomId: 0, exitRoomId: 1, bossRoomId: 1
+      });
+
+      const boss = result.objects.find((o) => o.type === "boss");
+      expect(boss).toMatchObject({ label: "Ogre", customTooltip: "A hungry ogre" });
+      const hoard = result.objects.filter((o) => o.type === "chest" || o.type === "sack");
+      expect(hoard.length).toBeGreaterThan(0);
+      for (const obj of hoard) {
+        expect(obj).toMatchObject({ label: "Silver idol", customTooltip: "Silver idol" });
+      }
+    });
+
+    it("places the same objects with or without stocking tables", () => {
+      const stockingTables = [{ id: "e", name: "E", kind: "encounter" as const, entries: [{ label: "Ogre" }] }];
+      const plain = stockDungeon(rooms, corridorResult, doorPositions, "classic", { seed: 12 }, { entryRoomId: 0 });
+      const named = stockDungeon(rooms, corridorResult, doorPositions, "classic", { seed: 12, stockingTables }, { entryRoomId: 0 });
+      expect(named.objects.map((o) => [o.type, o.position])).toEqual(plain.objects.map((o) => [o.type, o.position]));
+    });
+
+    it("leaves objects generic when no table applies to the level", () => {
+      const stockingTables = [{ id: "e", name: "E", kind: "encounter" as const, levels: { min: 3 }, entries: [{ label: "Ogre" }] }];
+      const result = stockDungeon(rooms, corridorResult, doorPositions, "classic", { seed: 4, stockingTables, level: 1 }, {
+        entryRoomId: 0, exitRoomId: 1, bossRoomId: 1
+      });
+      expect(result.objects.find((o) => o.type === "boss")?.label).toBe("Boss");
+    });
+
+    it("stocks from a user-defined style's pools, boss and labels", () => {
+      const styleDefinition = {
+        id: "sewer",
+        name: "Sewer",
+        overrides: {},
+        pools: { monsters: ["rat-swarm"], treasures: ["sack"], features: ["grate"], traps: ["trap"] },
+        templates: {},
+        categoryWeights: { monster: 1, empty: 0, feature: 0, trap: 0 },
+        boss: "otyugh",
+        labels: { "rat-swarm": "Rat Swarm", otyugh: "Otyugh" },
+      };
+      const result = stockDungeon(rooms, corridorResult, doorPositions, "sewer", { seed: 3, styleDefinition }, {
+        entryRoomId: 0, exitRoomId: 2, bossRoomId: 1
+      });
+
+      const boss = result.objects.find((o) => o.type === "otyugh");
+      expect(boss?.label).toBe("Otyugh");
+      expect(result.objects.some((o) => o.type === "boss")).toBe(false);
+      for (const obj of result.objects.filter((o) => o.type === "rat-swarm")) {
+        expect(obj.label).toBe("Rat Swarm");
+      }
+    });
+
+    it("uses a user-defined style's templates for required template rooms", () => {
+      const styleDefinition = {
+        id: "hold",
+        name: "Dwarven Hold",
+        overrides: {},
+        pools: STYLE_OBJECT_POOLS.classic,
+        templates: {
+          forge: { name: "Forge", minRoomSize: 9, objects: [{ type: "anvil", count: { min: 1, max: 1 }, placement: "center" as const }] },
+        },
+      };
+      const result = stockDungeon(rooms, corridorResult, doorPositions, "hold", { seed: 5, styleDefinition }, {
+        entryRoomId: 0, exitRoomId: 2, roomTemplates: { 1: "forge" }
+      });
+
+      expect(result.roomAssignments[1]).toMatchObject({ category: "feature", template: "Forge" });
+      expect(result.objects.some((o) => o.type === "anvil")).toBe(true);
+    });
   });
 });
@@ -0,0 +1,123 @@
+import { describe, it, expect } from "vitest";
+import {
+  MAX_SEED,
+  createSeededRandom,
+  generateSeed,
+  normalizeSeed,
+  deriveSeed,
+} from "../../../src/generation/seededRandom";
+import { generateDungeon } from "../../../src/generation/dungeonGenerator.js";
+import { stockDungeon } from "../../../src/generation/objectPlacer.js";
+
+const layoutOf = (result: ReturnType<typeof generateDungeon>) => ({
+  cells: result.cells,
+  edges: result.edges,
+  objects: result.objects.map(o => ({ type: o.type, position: o.position })),
+  rooms: result.metadata.rooms,
+});
+
+const stock = (result: ReturnType<typeof generateDungeon>, seed?: number) =>
+  stockDungeon(
+    result.metadata.rooms,
+    result.metadata.corridorResult,
+    result.metadata.doorPositions,
+    result.metadata.style,
+    { objectDensity: 1.0, seed },
+    {
+      entryRoomId: result.metadata.entryRoomId,
+      exitRoomId: result.metadata.exitRoomId,
+      waterRoomIds: result.metadata.waterRoomIds,
+    }
+  ).objects.map(o => ({ type: o.type, position: o.position }));
+
+describe("seededRandom", () => {
+  describe("createSeededRandom", () => {
+    it("replays the same sequence for the same seed", () => {
+      const a = createSeededRandom(1234);
+      const b = createSeededRandom(1234);
+      const seqA = Array.from({ length: 20 }, () => a());
+      const seqB = Array.from({ length: 20 }, () => b());
+      expect(seqA).toEqual(seqB);
+    });
+
+    it("produces different sequences for different seeds", () => {
+      const a = createSeededRandom(1);
+      const b = createSeededRandom(2);
+      expect([a(), a(), a()]).not.toEqual([b(), b(), b()]);
+    });
+
+    it("returns values in [0, 1)", () => {
+      const rng = createSeededRandom(42);
+      for (let i = 0; i < 1000; i++) {
+        const v = rng();
+        expect(v).toBeGreaterThanOrEqual(0);
+        expect(v).toBeLessThan(1);
+      }
+    });
+  });
+
+  describe("generateSeed", () => {
+    it("returns an unsigned 32-bit integer", () => {
+      const seed = generateSeed();
+      expect(Number.isInteger(seed)).toBe(true);
+      expect(seed).toBeGreaterThanOrEqual(0);
+      expect(seed).toBeLessThanOrEqual(MAX_SEED);
+    });
+  });
+
+  describe("normalizeSeed", () => {
+    it("passes integer input through", () => {
+      expect(normalizeSeed(987)).toBe(987);
+      expect(normalizeSeed("987")).toBe(987);
+      expect(normalizeSeed("  987 ")).toBe(987);
+    });
+
+    it("hashes word seeds consistently", () => {
+      const seed = normalizeSeed("goblin-warren");
+      expect(seed).not.toBeNull();
+      expect(normalizeSeed("goblin-warren")).toBe(seed);
+      expect(normalizeSeed("goblin-warrens")).not.toBe(seed);
+    });
+
+    it("returns null for empty or unusable input", () => {
+      expect(normalizeSeed("")).toBeNull();
+      expect(normalizeSeed("   ")).toBeNull();
+      expect(normalizeSeed(undefined)).toBeNull();
+      expect(normalizeSeed(NaN)).toBeNull();
+    });
+  });
+
+  describe("deriveSeed", () => {
+    it("is stable and differs by salt", () => {
+      expect(deriveSeed(5, "stocking")).toBe(deriveSeed(5, "stocking"));
+      expect(deriveSeed(5, "stocking")).not.toBe(deriveSeed(5, "layout"));
+    });
+  });
+
+  describe("seeded generation", () => {
+    it("generateDungeon reproduces the same layout for the same seed", () => {
+      const a = generateDungeon("medium", undefined, { seed: 31337 });
+      const b = generateDungeon("medium", undefined, { seed: 31337 });
+      expect(a.metadata.seed).toBe(31337);
+      expect(layoutOf(a)).toEqual(layoutOf(b));
+    });
+
+    it("generateDungeon accepts word seeds", () => {
+      const a = generateDungeon("small", undefined, { seed: "crypt" });
+      const b = generateDungeon("small", undefined, { seed: "crypt" });
+      expect(a.metadata.seed).toBe(normalizeSeed("crypt"));
+      expect(layoutOf(a)).toEqual(layoutOf(b));
+    });
+
+    it("records a fresh seed when none is given", () => {
+      const a = generateDungeon("small");
+      const replay = generateDungeon("small", undefined, { seed: a.metadata.seed });
+      expect(layoutOf(replay)).toEqual(layoutOf(a));
+    });
+
+    it("stockDungeon reproduces the same objects for the same seed", () => {
+      const result = generateDungeon("medium", undefined, { seed: 99 });
+      expect(stock(result, 7)).toEqual(stock(result, 7));
+    });
+  });
+});
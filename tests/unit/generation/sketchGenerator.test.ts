@@ -0,0 +1,114 @@
+import { describe, it, expect } from "vitest";
+import { generateDungeonFromSketch, findSketchRooms } from "../../../src/generation/sketchGenerator.js";
+
+const key = (c: { x: number; y: number }) => `${c.x},${c.y}`;
+const FLOOR = "#c4a57b";
+
+function rect(x0: number, y0: number, w: number, h: number) {
+  const cells: Array<{ x: number; y: number; color: string }> = [];
+  for (let x = x0; x < x0 + w; x++) for (let y = y0; y < y0 + h; y++) cells.push({ x, y, color: FLOOR });
+  return cells;
+}
+
+/** Three hand-drawn rooms, one L-shaped, and a one-cell pillar. */
+function sketch() {
+  return [
+    ...rect(2, 2, 5, 4),
+    ...rect(20, 3, 4, 6),
+    // L shape: a 6x2 bar with a 2x4 leg below its left end
+    ...rect(4, 18, 6, 2),
+    ...rect(4, 20, 2, 4),
+    { x: 15, y: 15, color: FLOOR },
+  ];
+}
+
+/** Floor cells reachable from a start cell, stepping through unwalled sides. */
+function reachable(start: { x: number; y: number }, cells: Array<{ x: number; y: number }>, edges: Array<{ x: number; y: number; side: string }>) {
+  const floor = new Set(cells.map(key));
+  const walls = new Set(edges.map(e => `${e.x},${e.y},${e.side}`));
+  const seen = new Set([key(start)]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const { x, y } = queue.shift()!;
+    const steps = [
+      { x: x + 1, y, wall: `${x},${y},right` },
+      { x: x - 1, y, wall: `${x - 1},${y},right` },
+      { x, y: y + 1, wall: `${x},${y},bottom` },
+      { x, y: y - 1, wall: `${x},${y - 1},bottom` },
+    ];
+    for (const step of steps) {
+      const k = key(step);
+      if (!floor.has(k) || seen.has(k) || walls.has(step.wall)) continue;
+      seen.add(k);
+      queue.push(step);
+    }
+  }
+  return seen;
+}
+
+describe("sketchGenerator", () => {
+  const area = { x: 0, y: 0, width: 30, height: 30 };
+
+  describe("findSketchRooms", () => {
+    it("turns painted clusters into rooms and skips small ones", () => {
+      const rooms = findSketchRooms(area, sketch());
+      expect(rooms).toHaveLength(3);
+      expect(rooms[0]).toMatchObject({ id: 0, x: 2, y: 2, width: 5, height: 4, shape: "rectangle" });
+    });
+
+    it("builds composite rooms with a center inside the cluster", () => {
+      const room = findSketchRooms(area, sketch())[2];
+      expect(room).toMatchObject({ x: 4, y: 18, width: 6, height: 6, shape: "composite" });
+      const cells = new Set(rect(4, 18, 6, 2).concat(rect(4, 20, 2, 4)).map(key));
+      expect(cells.has(key(room.center))).toBe(true);
+      expect(room.parts!.reduce((sum, part) => sum + part.width * part.height, 0)).toBe(cells.size);
+    });
+
+    it("leaves out clusters that run past the area", () => {
+      const rooms = findSketchRooms({ x: 0, y: 0, width: 22, height: 30 }, sketch());
+      expect(rooms.map(room => room.x)).toEqual([2, 4]);
+    });
+  });
+
+  describe("generateDungeonFromSketch", () => {
+    const existing = { cells: sketch(), edges: [] as Array<{ x: number; y: number; side: string; color: string }> };
+    const result = generateDungeonFromSketch(area, existing, undefined, { seed: 99 })!;
+
+    it("replays the same connections from the same seed", () => {
+      const again = generateDungeonFromSketch(area, existing, undefined, { seed: 99 })!;
+      expect(again.cells).toEqual(result.cells);
+      expect(again.edges).toEqual(result.edges);
+    });
+
+    it("adds corridors without repainting the sketch", () => {
+      const painted = new Set(existing.cells.map(key));
+      expect(result.cells.length).toBeGreaterThan(0);
+      for (const cell of result.cells) expect(painted.has(key(cell))).toBe(false);
+      expect(result.objects.some(o => o.type.startsWith("stairs"))).toBe(false);
+    });
+
+    it("connects every sketched room", () => {
+      const seen = reachable({ x: 2, y: 2 }, [...existing.cells, ...result.cells], result.edges);
+      expect(seen.has("20,3")).toBe(true);
+      expect(seen.has("4,23")).toBe(true);
+    });
+
+    it("opens existing walls where a corridor enters a room", () => {
+      // Wall every side of the first room, as a hand-drawn sketch might
+      const walled = { cells: existing.cells, edges: [...existing.edges] };
+      for (let x = 2; x < 7; x++) walled.edges.push({ x, y: 1, side: "bottom", color: "#333333" }, { x, y: 5, side: "bottom", color: "#333333" });
+      for (let y = 2; y < 6; y++) walled.edges.push({ x: 1, y, side: "right", color: "#333333" }, { x: 6, y, side: "right", color: "#333333" });
+
+      const connected = generateDungeonFromSketch(area, walled, undefined, { seed: 99 })!;
+      expect(connected.removedEdges.length).toBeGreaterThan(0);
+      const removed = new Set(connected.removedEdges.map(e => `${e.x},${e.y},${e.side}`));
+      const edges = [...walled.edges.filter(e => !removed.has(`${e.x},${e.y},${e.side}`)), ...connected.edges];
+      const seen = reachable({ x: 2, y: 2 }, [...walled.cells, ...connected.cells], edges);
+      expect(seen.has("20,3")).toBe(true);
+    });
+
+    it("returns null with fewer than two rooms", () => {
+      expect(generateDungeonFromSketch(area, { cells: rect(2, 2, 5, 4) })).toBeNull();
+    });
+  });
+});
@@ -479,6 +479,54 @@ describe("fogRenderer", () => {
 
       expect(ctx.globalAlpha).toBe(0.5);
     });
+
+    it("draws remembered cells in a second, dimmer pass without blur", () => {
+      const remembered = [{ col: 3, row: 3 }];
+      renderFog(
+        { enabled: true, foggedCells: [{ col: 1, row: 1 }] },
+        { ctx, fogCanvas: null, width: 800, height: 600, offsetX: 0, offsetY: 0, zoom: 1, scaledSize: 40, northDirection: 0 },
+        { fowColor: '#000', fowOpacity: 0.8, fowBlurEnabled: true, fowBlurFactor: 0.08 },
+        { dimensions: { width: 50, height: 50 } },
+        false,
+        null,
+        { cellSize: 40 },
+        mockGeometry,
+        'flat',
+        mockGetCachedImage,
+        mockRenderGridFog,
+        mockRenderHexFog,
+        mockOffsetToAxial,
+        mockAxialToOffset,
+        remembered
+      );
+
+      expect(mockRenderGridFog).toHaveBeenCalledTimes(2);
+      const [cells, , options] = mockRenderGridFog.mock.calls[1];
+      expect(cells).toBe(remembered);
+      expect(options).toMatchObject({ fowOpacity: 0.4, fowBlurEnabled: false });
+    });
+
+    it("draws remembered cells when nothing is fogged", () => {
+      renderFog(
+        { enabled: true, foggedCells: [] },
+        { ctx, fogCanvas: null, width: 800, height: 600, offsetX: 0, offsetY: 0, zoom: 1, scaledSize: 40, northDirection: 0 },
+        { fowColor: '#000', fowOpacity: 0.9, fowBlurEnabled: false, fowBlurFactor: 0.08 },
+        {},
+        false,
+        null,
+        { cellSize: 40 },
+        mockGeometry,
+        'flat',
+        mockGetCachedImage,
+        mockRenderGridFog,
+        mockRenderHexFog,
+        mockOffsetToAxial,
+        mockAxialToOffset,
+        [{ col: 2, row: 2 }]
+      );
+
+      expect(mockRenderGridFog).toHaveBeenCalledTimes(1);
+    });
   });
 
   // ===========================================================================
@@ -0,0 +1,235 @@
+/**
+ * fogVisibility Unit Tests
+ *
+ * Tests line-of-sight fog reveal: painted edges, wall paths and doors block
+ * sight on grid maps, and doors block on hex maps. Also covers the light
+ * polygon the lighting pass clips to, and which explored cells are out of
+ * every player's sight.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import type { ExtendedGeometry } from "#types/contexts/context.types";
+import type { Edge } from "#types/core/rendering.types";
+import type { MapObject } from "#types/objects/object.types";
+import type { WallPath } from "#types/core/wallpath.types";
+import type { FoggedCell, MapLayer } from "#types/core/map.types";
+
+import { GridGeometry } from "../../../../src/geometry/core/GridGeometry";
+import { HexGeometry } from "../../../../src/geometry/core/HexGeometry";
+import { axialToOffset } from "../../../../src/geometry/core/offsetCoordinates";
+import {
+  buildSightBlockers,
+  hasLineOfSight,
+  filterVisibleFogCells,
+  computeLightPolygon,
+  getRememberedCells
+} from "../../../../src/geometry/fog/fogVisibility";
+
+const CELL = 10;
+const grid = new GridGeometry(CELL) as unknown as ExtendedGeometry;
+
+/** Every cell of a square block, fogged. */
+function fogBlock(min: number, max: number): FoggedCell[] {
+  const cells: FoggedCell[] = [];
+  for (let col = min; col <= max; col++) for (let row = min; row <= max; row++) cells.push({ col, row });
+  return cells;
+}
+
+/** Reveal around the center of cell (x, y) and return the revealed "col,row" keys. */
+function reveal(fog: FoggedCell[], x: number, y: number, radiusCells: number, sources: Parameters<typeof buildSightBlockers>[0], geometry = grid) {
+  const center = geometry.getCellCenter(x, y);
+  const blockers = buildSightBlockers(sources, geometry);
+  const left = filterVisibleFogCells(fog, { x: center.worldX, y: center.worldY, cell: `${x},${y}` }, radiusCells * geometry.cellSize, blockers, geometry);
+  const remaining = new Set(left.map(c => `${c.col},${c.row}`));
+  return new Set(fog.map(c => `${c.col},${c.row}`).filter(k => !remaining.has(k)));
+}
+
+function door(type: string, x: number, y: number, alignment?: MapObject["alignment"]): MapObject {
+  return { id: `door-${x}-${y}`, type, position: { x, y }, size: { width: 1, height: 1 }, alignment };
+}
+
+describe("fogVisibility", () => {
+  const fog = fogBlock(0, 10);
+
+  it("reveals the whole radius when nothing blocks", () => {
+    const seen = reveal(fog, 5, 5, 3, {});
+    expect(seen.has("5,2")).toBe(true);
+    expect(seen.has("8,5")).toBe(true);
+    expect(seen.has("9,5")).toBe(false);
+  });
+
+  it("stops at painted edges", () => {
+    // A wall along the right side of column 6, rows 0-10
+    const edges: Edge[] = [];
+    for (let y = 0; y <= 10; y++) edges.push({ x: 6, y, side: "right", color: "#000" });
+    const seen = reveal(fog, 5, 5, 4, { edges });
+    expect(seen.has("6,5")).toBe(true);
+    expect(seen.has("7,5")).toBe(false);
+    expect(seen.has("7,3")).toBe(false);
+  });
+
+  it("does not leak through the corner where two walls meet", () => {
+    const edges: Edge[] = [
+      { x: 5, y: 5, side: "right", color: "#000" },
+      { x: 5, y: 5, side: "bottom", color: "#000" },
+    ];
+    const blockers = buildSightBlockers({ edges }, grid);
+    // From the cell's center straight through its bottom-right corner
+    expect(hasLineOfSight(55, 55, 65, 65, blockers)).toBe(false);
+    expect(hasLineOfSight(55, 55, 52, 58, blockers)).toBe(true);
+  });
+
+  it("stops at wall paths but not at their gaps", () => {
+    const wall: WallPath = {
+      id: "w1",
+      vertices: [{ x: 70, y: 0 }, { x: 70, y: 110 }],
+      closed: false,
+      tilesetId: "t",
+      tileId: "wall",
+      kind: "wall",
+      widthScale: 1,
+    };
+    expect(reveal(fog, 5, 5, 3, { wallPaths: [wall] }).has("7,5")).toBe(false);
+
+    // A one-cell opening centered on row 5
+    const opened = { ...wall, gaps: [{ id: "g1", seg: 0, t: 55 / 110, widthCells: 1 }] };
+    const seen = reveal(fog, 5, 5, 3, { wallPaths: [opened] });
+    expect(seen.has("7,5")).toBe(true);
+    expect(seen.has("8,1")).toBe(false);
+  });
+
+  it("shows a closed door but not what lies past it", () => {
+    const edges: Edge[] = [];
+    for (let y = 0; y <= 10; y++) if (y !== 5) edges.push({ x: 6, y, side: "right", color: "#000" });
+    const objects = [door("door-vertical", 7, 5)];
+    const seen = reveal(fog, 5, 5, 4, { edges, objects });
+    expect(seen.has("7,5")).toBe(true);
+    expect(seen.has("8,5")).toBe(false);
+
+    // Without the door the gap in the wall lets light through
+    expect(reveal(fog, 5, 5, 4, { edges }).has("8,5")).toBe(true);
+  });
+
+  it("blocks the side an edge-aligned door sits on", () => {
+    const objects = [door("door-horizontal", 5, 3, "north")];
+    const edges: Edge[] = [
+      { x: 4, y: 2, side: "right", color: "#000" },
+      { x: 5, y: 2, side: "right", color: "#000" },
+      { x: 3, y: 2, side: "bottom", color: "#000" },
+      { x: 4, y: 2, side: "bottom", color: "#000" },
+      { x: 6, y: 2, side: "bottom", color: "#000" },
+      { x: 7, y: 2, side: "bottom", color: "#000" },
+    ];
+    const seen = reveal(fog, 5, 5, 4, { edges, objects });
+    expect(seen.has("5,3")).toBe(true);
+    expect(seen.has("5,2")).toBe(false);
+  });
+
+  it("lets a token standing in a doorway see both ways", () => {
+    const objects = [door("door-vertical", 5, 5)];
+    const seen = reveal(fog, 5, 5, 2, { objects });
+    expect(seen.has("3,5")).toBe(true);
+    expect(seen.has("7,5")).toBe(true);
+  });
+
+  it("blocks sight through doors on hex maps", () => {
+    const hex = new HexGeometry(20, "flat") as unknown as ExtendedGeometry;
+    const hexFog: FoggedCell[] = [];
+    for (let q = 0; q <= 4; q++) {
+      const { col, row } = axialToOffset(q, 0, "flat");
+      hexFog.push({ col, row });
+    }
+    // Hex edges are not walls, so only the door on (2, 0) blocks
+    const key = (q: number) => {
+      const { col, row } = axialToOffset(q, 0, "flat");
+      return `${col},${row}`;
+    };
+    const center = hex.getCellCenter(0, 0);
+    const blockers = buildSightBlockers({ objects: [door("door-vertical", 2, 0)] }, hex);
+    const left = filterVisibleFogCells(hexFog, { x: center.worldX, y: center.worldY, cell: key(0) }, 5 * 30, blockers, hex);
+    const remaining = new Set(left.map(c => `${c.col},${c.row}`));
+    expect(remaining.has(key(1))).toBe(false);
+    expect(remaining.has(key(2))).toBe(false);
+    expect(remaining.has(key(3))).toBe(true);
+    expect(remaining.has(key(4))).toBe(true);
+  });
+
+  describe("computeLightPolygon", () => {
+    /** Farthest polygon point along the ray from the origin toward (dx, dy). */
+    function reachToward(polygon: Array<{ x: number; y: number }>, ox: number, oy: number, dx: number, dy: number): number {
+      const target = Math.atan2(dy, dx);
+      let best = polygon[0];
+      let bestDiff = Infinity;
+      for (const p of polygon) {
+        const diff = Math.abs(Math.atan2(p.y - oy, p.x - ox) - target);
+        if (diff < bestDiff) {
+          bestDiff = diff;
+          best = p;
+        }
+      }
+      return Math.hypot(best.x - ox, best.y - oy);
+    }
+
+    it("is a circle of the radius when nothing blocks", () => {
+      const polygon = computeLightPolygon({ x: 55, y: 55 }, 30, []);
+      expect(polygon.length).toBeGreaterThan(16);
+      for (const p of polygon) expect(Math.hypot(p.x - 55, p.y - 55)).toBeCloseTo(30, 6);
+    });
+
+    it("is cut short at a wall", () => {
+      const edges: Edge[] = [];
+      for (let y = 0; y <= 10; y++) edges.push({ x: 6, y, side: "right", color: "#000" });
+      const blockers = buildSightBlockers({ edges }, grid);
+      const polygon = computeLightPolygon({ x: 55, y: 55 }, 40, blockers);
+      expect(reachToward(polygon, 55, 55, 1, 0)).toBeCloseTo(15, 6);
+      expect(reachToward(polygon, 55, 55, -1, 0)).toBeCloseTo(40, 6);
+    });
+
+    it("ignores the outline of a door in the light's own cell", () => {
+      const blockers = buildSightBlockers({ objects: [door("door-vertical", 5, 5)] }, grid);
+      expect(reachToward(computeLightPolygon({ x: 55, y: 55, cell: "5,5" }, 30, blockers), 55, 55, 1, 0)).toBeCloseTo(30, 6);
+      expect(reachToward(computeLightPolygon({ x: 55, y: 55 }, 30, blockers), 55, 55, 1, 0)).toBeCloseTo(5, 6);
+    });
+  });
+
+  describe("getRememberedCells", () => {
+    function exploredLayer(objects: MapObject[], edges: Edge[] = []): MapLayer {
+      return {
+        objects,
+        edges,
+        fogOfWar: { enabled: true, foggedCells: [], texture: null, exploredCells: fogBlock(0, 10) },
+      } as unknown as MapLayer;
+    }
+
+    const player = (x: number, y: number, extra: Partial<MapObject> = {}): MapObject => ({
+      id: `p-${x}-${y}`, type: "token", position: { x, y }, size: { width: 1, height: 1 },
+      isPlayer: true, lightEnabled: true, lightRadius: 10, ...extra,
+    });
+
+    it("remembers every explored cell with no lit player on the map", () => {
+      const layer = exploredLayer([player(5, 5, { lightEnabled: false })]);
+      expect(getRememberedCells(layer, grid, 5)).toHaveLength(121);
+    });
+
+    it("leaves out what a lit player can see right now", () => {
+      const remembered = new Set(getRememberedCells(exploredLayer([player(5, 5)]), grid, 5).map(c => `${c.col},${c.row}`));
+      expect(remembered.has("5,5")).toBe(false);
+      expect(remembered.has("7,5")).toBe(false);
+      expect(remembered.has("9,5")).toBe(true);
+    });
+
+    it("remembers what lies behind a wall", () => {
+      const edges: Edge[] = [];
+      for (let y = 0; y <= 10; y++) edges.push({ x: 5, y, side: "right", color: "#000" });
+      const remembered = new Set(getRememberedCells(exploredLayer([player(5, 5)], edges), grid, 5).map(c => `${c.col},${c.row}`));
+      expect(remembered.has("4,5")).toBe(false);
+      expect(remembered.has("6,5")).toBe(true);
+    });
+
+    it("returns the same array for the same layer", () => {
+      const layer = exploredLayer([player(5, 5)]);
+      expect(getRememberedCells(layer, grid, 5)).toBe(getRememberedCells(layer, grid, 5));
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * lightingRenderer Unit Tests
+ *
+ * Tests which objects become light sources and where they sit, and that
+ * the pass draws nothing while ambient darkness is off.
+ */
+
+import { describe, it, expect, vi } from "vitest";
+
+import type { ExtendedGeometry } from "#types/contexts/context.types";
+import type { MapLayer } from "#types/core/map.types";
+import type { MapObject } from "#types/objects/object.types";
+
+import { GridGeometry } from "../../../../src/geometry/core/GridGeometry";
+import { collectLightSources, renderLighting } from "../../../../src/geometry/renderers/lightingRenderer";
+
+const grid = new GridGeometry(10) as unknown as ExtendedGeometry;
+
+function torch(id: string, x: number, y: number, extra: Partial<MapObject> = {}): MapObject {
+  return { id, type: "torch", position: { x, y }, size: { width: 1, height: 1 }, lightEnabled: true, lightRadius: 15, ...extra };
+}
+
+describe("lightingRenderer", () => {
+  describe("collectLightSources", () => {
+    it("takes every light-enabled object, not just players", () => {
+      const lights = collectLightSources([
+        torch("a", 2, 3),
+        torch("b", 4, 4, { isPlayer: true, lightColor: "#ff0000" }),
+        torch("c", 5, 5, { lightEnabled: false }),
+        torch("d", 6, 6, { lightRadius: 0 }),
+      ], grid, 5);
+
+      expect(lights).toHaveLength(2);
+      expect(lights[0]).toEqual({ x: 25, y: 35, cell: "2,3", radius: 30, color: "rgba(255, 255, 100, 1)" });
+      expect(lights[1].color).toBe("#ff0000");
+    });
+
+    it("lights a freeform object from its world position", () => {
+      const [light] = collectLightSources([
+        torch("a", 2, 3, { freeform: true, worldPosition: { x: 21, y: 38 } }),
+      ], grid, 5);
+      expect(light.x).toBe(21);
+      expect(light.y).toBe(38);
+      expect(light.cell).toBe("2,3");
+    });
+  });
+
+  describe("renderLighting", () => {
+    it("draws nothing with ambient darkness off", () => {
+      const ctx = { canvas: { width: 100, height: 100 }, drawImage: vi.fn(), save: vi.fn() } as unknown as CanvasRenderingContext2D;
+      const layer = { objects: [torch("a", 1, 1)], edges: [] } as unknown as MapLayer;
+      renderLighting(ctx, layer, grid, { x: 0, y: 0, zoom: 1 }, { ambientDarkness: 0, distancePerCell: 5 });
+      expect(ctx.drawImage).not.toHaveBeenCalled();
+      expect(ctx.save).not.toHaveBeenCalled();
+    });
+  });
+});
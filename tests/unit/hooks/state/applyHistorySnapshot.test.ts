@@ -0,0 +1,101 @@
+/**
+ * applyHistorySnapshot Unit Tests
+ *
+ * Covers building history snapshots and putting them back onto map data,
+ * as undo and redo do, with the campaign clock moving back and forth along
+ * with travelled routes.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import type { LayerHistorySnapshot } from "#types/hooks/layerHistory.types";
+import type { MapData, SavedRoute } from "#types/core/map.types";
+import { applyHistorySnapshot, buildLayerHistorySnapshot } from "../../../../src/hooks/state/useLayerHistory";
+import { createNewMap } from "../../../../src/persistence/fileOperations";
+import { getActiveLayer } from "../../../../src/persistence/layerAccessor";
+import { clearRouteTravelled, updateSavedRoute } from "../../../../src/drawing/routeOperations";
+import { advanceCampaignClock, createCampaignClock } from "../../../../src/travel/campaignClock";
+
+const route: SavedRoute = {
+  id: "route-1",
+  points: [{ x: 0, y: 0 }, { x: 4, y: 0 }],
+  color: "#ff0000",
+  width: 3,
+  showLabel: true,
+};
+
+/** What the history holds after a change, as the data handlers record it */
+function snapshot(mapData: MapData, overrides: Partial<LayerHistorySnapshot> = {}): LayerHistorySnapshot {
+  const layer = getActiveLayer(mapData);
+  return buildLayerHistorySnapshot(
+    layer, mapData.name ?? "", overrides, mapData.regions ?? [], mapData.outlines ?? [],
+    mapData.shapeOverlays ?? [], layer.fogOfWar, mapData.partyPins ?? [], mapData.savedRoutes ?? [],
+    mapData.campaignClock ?? null,
+  );
+}
+
+/** Mark the route travelled for 90 minutes, as the route menu does */
+function markTravelled(mapData: MapData): MapData {
+  const campaignClock = advanceCampaignClock(mapData.campaignClock ?? createCampaignClock(), 90);
+  const savedRoutes = updateSavedRoute(mapData.savedRoutes ?? [], route.id, {
+    travelled: { modeId: "walk", minutes: 90, arrivedAt: campaignClock.minutes },
+  });
+  return { ...mapData, savedRoutes, campaignClock };
+}
+
+function unmarkTravelled(mapData: MapData): MapData {
+  const clock = mapData.campaignClock ?? createCampaignClock();
+  return {
+    ...mapData,
+    savedRoutes: clearRouteTravelled(mapData.savedRoutes ?? [], route.id),
+    campaignClock: advanceCampaignClock(clock, -90),
+  };
+}
+
+describe("applyHistorySnapshot", () => {
+  const start: MapData = { ...createNewMap("Road", "grid"), savedRoutes: [route] };
+
+  it("winds the clock back with an undone mark, so marking again moves it once", () => {
+    const marked = markTravelled(start);
+    const undone = applyHistorySnapshot(marked, snapshot(start));
+    expect(undone.campaignClock).toBeUndefined();
+    expect(undone.savedRoutes?.[0].travelled).toBeUndefined();
+
+    const markedAgain = markTravelled(undone);
+    expect(markedAgain.campaignClock).toEqual(marked.campaignClock);
+    expect(markedAgain.campaignClock?.minutes).toBe(createCampaignClock().minutes + 90);
+  });
+
+  it("moves the clock forward again when an unmark is undone", () => {
+    const ticking = { ...start, campaignClock: { minutes: 600 } };
+    const marked = markTravelled(ticking);
+    const unmarked = unmarkTravelled(marked);
+    expect(unmarked.campaignClock?.minutes).toBe(600);
+
+    const undone = applyHistorySnapshot(unmarked, snapshot(marked));
+    expect(undone.campaignClock?.minutes).toBe(690);
+    expect(undone.savedRoutes?.[0].travelled?.arrivedAt).toBe(690);
+
+    const redone = applyHistorySnapshot(undone, snapshot(unmarked));
+    expect(redone.campaignClock?.minutes).toBe(600);
+  });
+
+  it("leaves the clock alone for snapshots that don't hold one", () => {
+    const ticking = { ...start, campaignClock: { minutes: 600 } };
+    const { campaignClock: _clock, ...older } = snapshot(start);
+    expect(applyHistorySnapshot(ticking, older).campaignClock).toEqual({ minutes: 600 });
+  });
+
+  it("records the clock with changes that don't touch it, so redo can't move it", () => {
+    const ticking = { ...start, campaignClock: { minutes: 600 } };
+    const cells = [{ x: 1, y: 1, color: "#ffffff" }];
+    const painted = snapshot(ticking, { cells });
+    expect(painted.campaignClock).toEqual({ minutes: 600 });
+
+    // Undoing a later route mark puts the clock back where this change left it
+    const marked = markTravelled(ticking);
+    const redone = applyHistorySnapshot(marked, painted);
+    expect(redone.campaignClock).toEqual({ minutes: 600 });
+    expect(getActiveLayer(redone).cells).toEqual(cells);
+  });
+});
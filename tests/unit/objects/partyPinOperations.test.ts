@@ -11,6 +11,9 @@ import {
   createPartyPin,
   upsertPartyPin,
   movePartyPin,
+  recordPartyPinMove,
+  clearPartyPinTrail,
+  MAX_PARTY_TRAIL_MOVES,
   updatePartyPin,
   removePartyPin,
   resolvePinIconGlyph,
@@ -110,6 +113,42 @@ describe('movePartyPin', () => {
   });
 });
 
+describe('recordPartyPinMove', () => {
+  it('moves the pin and records the move with the in-game date', () => {
+    const pin = { ...createPartyPin({ x: 0, y: 0 }), gameDate: '3 Flamerule' };
+    const result = recordPartyPinMove([pin], pin.id, { x: 0, y: 0 }, { x: 4, y: 2 }, 1000);
+    expect(result[0].position).toEqual({ x: 4, y: 2 });
+    expect(result[0].trail).toEqual([{ from: { x: 0, y: 0 }, to: { x: 4, y: 2 }, at: 1000, gameDate: '3 Flamerule' }]);
+  });
+
+  it('dates the move by the campaign clock over the pin\'s own date', () => {
+    const pin = { ...createPartyPin({ x: 0, y: 0 }), gameDate: '3 Flamerule' };
+    const result = recordPartyPinMove([pin], pin.id, { x: 0, y: 0 }, { x: 4, y: 2 }, 1000, 'Day 3, 14:00');
+    expect(result[0].trail?.[0].gameDate).toBe('Day 3, 14:00');
+  });
+
+  it('records nothing for a move back onto the same cell', () => {
+    const pin = createPartyPin({ x: 1, y: 1 });
+    const result = recordPartyPinMove([pin], pin.id, { x: 1, y: 1 }, { x: 1, y: 1 }, 1000);
+    expect(result[0].trail).toBeUndefined();
+  });
+
+  it('keeps only the most recent moves', () => {
+    let pins = [createPartyPin({ x: 0, y: 0 })];
+    for (let i = 1; i <= MAX_PARTY_TRAIL_MOVES + 2; i++) {
+      pins = recordPartyPinMove(pins, pins[0].id, { x: i - 1, y: 0 }, { x: i, y: 0 }, i);
+    }
+    expect(pins[0].trail).toHaveLength(MAX_PARTY_TRAIL_MOVES);
+    expect(pins[0].trail?.[0].at).toBe(3);
+  });
+
+  it('clears the trail', () => {
+    const pin = createPartyPin({ x: 0, y: 0 });
+    const moved = recordPartyPinMove([pin], pin.id, { x: 0, y: 0 }, { x: 2, y: 0 }, 1000);
+    expect(clearPartyPinTrail(moved, pin.id)[0].trail).toBeUndefined();
+  });
+});
+
 describe('updatePartyPin', () => {
   it('updates fields on the matching pin', () => {
     const pin = createPartyPin({ x: 0, y: 0 });
@@ -132,6 +171,13 @@ describe('updatePartyPin', () => {
     const cleared = updatePartyPin(withIcon, pin.id, { icon: '' });
     expect(cleared[0].icon).toBeUndefined();
   });
+
+  it('removes the in-game date on a blank value', () => {
+    const pin = createPartyPin({ x: 0, y: 0 });
+    const dated = updatePartyPin([pin], pin.id, { gameDate: 'Day 4' });
+    expect(dated[0].gameDate).toBe('Day 4');
+    expect(updatePartyPin(dated, pin.id, { gameDate: ' ' })[0].gameDate).toBeUndefined();
+  });
 });
 
 describe('resolvePinIconGlyph', () => {
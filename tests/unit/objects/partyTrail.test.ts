@@ -0,0 +1,66 @@
+/**
+ * partyTrail Unit Tests
+ *
+ * Covers measuring a party pin's recorded moves, timing the trail at the
+ * selected travel modes with terrain, and the fade of older legs.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import type { PartyPinMove } from '#types/core/map.types';
+
+import { GridGeometry } from '../../../src/geometry/core/GridGeometry';
+import {
+  createTravelMode,
+  createTravelPack,
+  createTravelTerrain,
+} from '../../../src/travel/travelPackOperations';
+import {
+  summarizePartyTrail,
+  formatTrailTravelTimes,
+  trailLegOpacity,
+} from '../../../src/objects/partyTrail';
+
+const grid = new GridGeometry(10);
+const pack = createTravelPack('Overland');
+const walk = createTravelMode({ name: 'Walk', distance: 3, timeValue: 1, timeUnit: 'hours' });
+const swamp = createTravelTerrain({ name: 'Swamp', multiplier: 0.5 });
+
+const moves: PartyPinMove[] = [
+  { from: { x: 0, y: 0 }, to: { x: 3, y: 0 }, at: 1 },
+  { from: { x: 3, y: 0 }, to: { x: 5, y: 2 }, at: 2 },
+];
+
+describe('summarizePartyTrail', () => {
+  it('measures each move under the diagonal rule', () => {
+    const summary = summarizePartyTrail(moves, grid, 'equal');
+    expect(summary.legs.map(leg => leg.distanceInCells)).toEqual([3, 2]);
+    expect(summary.totalCells).toBe(5);
+    expect(summary.legs.every(leg => leg.terrainId == null)).toBe(true);
+  });
+
+  it('asks for the terrain under each move', () => {
+    const summary = summarizePartyTrail(moves, grid, 'equal', from => (from.x === 3 ? swamp.id : null));
+    expect(summary.legs.map(leg => leg.terrainId)).toEqual([null, swamp.id]);
+  });
+});
+
+describe('formatTrailTravelTimes', () => {
+  it('times the trail with terrain slowing its legs', () => {
+    const summary = summarizePartyTrail(moves, grid, 'equal', from => (from.x === 3 ? swamp.id : null));
+    expect(formatTrailTravelTimes(summary, 3, 'mi', [{ mode: walk, pack }], null, [swamp])).toBe('Walk 7 h');
+  });
+
+  it('is null when nothing can be timed', () => {
+    const summary = summarizePartyTrail(moves, grid, 'equal');
+    expect(formatTrailTravelTimes(summary, 5, 'ft', [{ mode: walk, pack }], null, [])).toBeNull();
+    expect(formatTrailTravelTimes(summarizePartyTrail([], grid, 'equal'), 3, 'mi', [{ mode: walk, pack }], null, [])).toBeNull();
+  });
+});
+
+describe('trailLegOpacity', () => {
+  it('fades older legs and draws the newest solid', () => {
+    expect(trailLegOpacity(0, 3)).toBeLessThan(trailLegOpacity(1, 3));
+    expect(trailLegOpacity(2, 3)).toBe(trailLegOpacity(0, 1));
+  });
+});
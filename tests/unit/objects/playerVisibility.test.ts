@@ -0,0 +1,95 @@
+/**
+ * playerVisibility Unit Tests
+ *
+ * Tests what the player view leaves out and that filtered layers keep their
+ * identity across pan/zoom-only map updates.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import type { MapData, MapLayer } from '#types/core/map.types';
+import type { MapObject } from '#types/objects/object.types';
+import type { TextLabel } from '#types/objects/note.types';
+
+import { toPlayerViewMapData } from '../../../src/objects/playerVisibility';
+import { stockDungeon, STYLE_OBJECT_POOLS } from '../../../src/generation/objectPlacer';
+
+function makeObject(id: string, overrides: Partial<MapObject> = {}): MapObject {
+  return { id, type: 'chest', position: { x: 0, y: 0 }, size: { width: 1, height: 1 }, ...overrides };
+}
+
+function makeLabel(id: string, overrides: Partial<TextLabel> = {}): TextLabel {
+  return { id, position: { x: 0, y: 0 }, content: id, fontSize: 16, fontFace: 'sans', color: '#ffffff', ...overrides };
+}
+
+function makeMapData(objects: MapObject[], textLabels: TextLabel[] = []): MapData {
+  return {
+    layers: [{ id: 'layer-one', objects, textLabels } as unknown as MapLayer],
+    activeLayerId: 'layer-one',
+    viewState: { zoom: 1, center: { x: 0, y: 0 } }
+  } as unknown as MapData;
+}
+
+describe('toPlayerViewMapData', () => {
+  it('hides objects flagged GM only', () => {
+    const data = makeMapData([makeObject('a'), makeObject('b', { gmOnly: true })]);
+    expect(toPlayerViewMapData(data).layers[0].objects.map(o => o.id)).toEqual(['a']);
+  });
+
+  it('hides secret doors, traps and note pins', () => {
+    const data = makeMapData([
+      makeObject('door', { type: 'door-vertical' }),
+      makeObject('secret', { type: 'secret-door' }),
+      makeObject('trap', { type: 'trap' }),
+      makeObject('pin', { type: 'note_pin', linkedNote: 'Notes/Room 1.md' })
+    ]);
+    expect(toPlayerViewMapData(data).layers[0].objects.map(o => o.id)).toEqual(['door']);
+  });
+
+  it('hides every trap a stocked dungeon places, whatever its type', () => {
+    const rooms = [
+      { id: 0, x: 0, y: 0, width: 5, height: 5, shape: 'rectangle' },
+      { id: 1, x: 10, y: 0, width: 6, height: 6, shape: 'rectangle' },
+      { id: 2, x: 20, y: 0, width: 6, height: 6, shape: 'rectangle' }
+    ];
+    const corridorResult = {
+      cells: [5, 6, 7, 8, 9].map(x => ({ x, y: 2 })),
+      byConnection: [] as unknown[]
+    };
+    // Every room a trap room and every corridor trapped
+    const config = {
+      trapWeight: 1, monsterWeight: 0, emptyWeight: 0, featureWeight: 0,
+      useTemplates: false, corridorTrapChance: 1
+    };
+
+    for (const style of ['classic', 'crypt'] as const) {
+      const trapTypes: string[] = STYLE_OBJECT_POOLS[style].traps;
+      const stocked = stockDungeon(rooms, corridorResult, [], style, { ...config, seed: 7 }, {}).objects as unknown as MapObject[];
+      expect(stocked.some(o => trapTypes.includes(o.type) && o.type !== 'trap')).toBe(true);
+
+      const playerObjects = toPlayerViewMapData(makeMapData(stocked)).layers[0].objects;
+      expect(playerObjects.filter(o => trapTypes.includes(o.type))).toEqual([]);
+    }
+  });
+
+  it('strips note links from the objects it keeps', () => {
+    const data = makeMapData([makeObject('a', { linkedNote: 'Notes/Chest.md' })]);
+    expect(toPlayerViewMapData(data).layers[0].objects[0].linkedNote).toBeNull();
+    // The GM's data is untouched
+    expect(data.layers[0].objects[0].linkedNote).toBe('Notes/Chest.md');
+  });
+
+  it('hides text labels flagged GM only', () => {
+    const data = makeMapData([], [makeLabel('Tavern'), makeLabel('Ambush here', { gmOnly: true })]);
+    expect(toPlayerViewMapData(data).layers[0].textLabels.map(l => l.id)).toEqual(['Tavern']);
+  });
+
+  it('returns the same layers while only the view changes', () => {
+    const data = makeMapData([makeObject('a'), makeObject('b', { gmOnly: true })]);
+    const panned = { ...data, viewState: { zoom: 2, center: { x: 5, y: 5 } } };
+    expect(toPlayerViewMapData(panned).layers).toBe(toPlayerViewMapData(data).layers);
+
+    const edited = { ...data, layers: [{ ...data.layers[0], objects: [makeObject('c')] }] };
+    expect(toPlayerViewMapData(edited).layers).not.toBe(toPlayerViewMapData(data).layers);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * dungeonKeyNoteOperations Unit Tests
+ *
+ * Covers path building, content generation, and picking a free note path.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+import type { App } from 'obsidian';
+import type { RoomKeyEntry } from '../../../src/generation/dungeonKey';
+
+import {
+  buildDungeonKeyNotePath,
+  buildDungeonKeyNoteContent,
+  createDungeonKeyNote,
+  DUNGEON_KEY_NOTE_MARKER_KEY,
+} from '../../../src/persistence/dungeonKeyNoteOperations';
+import { parseDeepLink } from '../../../src/persistence/deepLinkHandler';
+
+function makeEntry(overrides: Partial<RoomKeyEntry> = {}): RoomKeyEntry {
+  return {
+    number: 1,
+    roomId: 0,
+    category: 'entrance',
+    boss: false,
+    template: null,
+    treasure: false,
+    contents: ['Stairs down'],
+    exits: [2],
+    labelCell: { x: 4, y: 6 },
+    ...overrides,
+  };
+}
+
+const context = { mapId: 'map-1', mapName: 'Crypt of Ash', mapNotePath: 'Adventures/Crypt.md' };
+
+describe('buildDungeonKeyNotePath', () => {
+  it('places the note beside the map note', () => {
+    expect(buildDungeonKeyNotePath('Adventures/Crypt.md', 'Crypt of Ash')).toBe('Adventures/Crypt of Ash - Key.md');
+  });
+
+  it('uses the vault root and a fallback name when needed', () => {
+    expect(buildDungeonKeyNotePath('', '###')).toBe('Dungeon - Key.md');
+    expect(buildDungeonKeyNotePath('Crypt.md', 'A/B')).toBe('AB - Key.md');
+  });
+});
+
+describe('buildDungeonKeyNoteContent', () => {
+  const levels = [{
+    layerId: 'layer-1',
+    entries: [
+      makeEntry(),
+      makeEntry({ number: 2, roomId: 3, category: 'monster', boss: true, treasure: true, contents: [], exits: [1] }),
+    ],
+  }];
+
+  it('marks the note with its map and links back to the map note', () => {
+    const content = buildDungeonKeyNoteContent(levels, context);
+    expect(content.startsWith(`---\n${DUNGEON_KEY_NOTE_MARKER_KEY}: map-1\n---\n`)).toBe(true);
+    expect(content).toContain('Room key for **Crypt of Ash**, mapped in [[Adventures/Crypt]].');
+  });
+
+  it('writes one heading per room with category, contents and exits', () => {
+    const content = buildDungeonKeyNoteContent(levels, context);
+    expect(content).toContain('## Room 1\n\n- **Category:** Entrance\n- **Contents:** Stairs down\n- **Exits:** [[#Room 2|2]]\n');
+    expect(content).toContain('## Room 2\n\n- **Category:** Monster (boss)\n- **Contents:** Nothing\n- **Treasure:** Yes\n');
+  });
+
+  it('deep links each room to its cell on its layer', () => {
+    const content = buildDungeonKeyNoteContent(levels, context);
+    const url = /\[Show on map\]\(([^)]+)\)/.exec(content)?.[1] ?? '';
+    expect(parseDeepLink(url)).toMatchObject({ notePath: 'Adventures/Crypt.md', mapId: 'map-1', x: 4.5, y: 6.5, layerId: 'layer-1' });
+  });
+
+  it('groups floors under level headings', () => {
+    const content = buildDungeonKeyNoteContent([
+      { name: 'Level 1', layerId: 'a', entries: [makeEntry()] },
+      { name: 'Level 2', layerId: 'b', entries: [makeEntry({ number: 2, exits: [] })] },
+    ], context);
+    expect(content).toContain('## Level 1\n\n### Room 1\n');
+    expect(content).toContain('## Level 2\n\n### Room 2\n');
+    expect(content).toContain('- **Exits:** None');
+  });
+
+  it('omits deep links without a map note', () => {
+    const content = buildDungeonKeyNoteContent(levels, { ...context, mapNotePath: '' });
+    expect(content).not.toContain('Show on map');
+    expect(content).toContain('Room key for **Crypt of Ash**.');
+  });
+});
+
+describe('createDungeonKeyNote', () => {
+  it('never overwrites an existing note', async () => {
+    const existing = new Set(['Crypt - Key.md', 'Crypt - Key 2.md']);
+    const create = vi.fn(async (path: string) => { existing.add(path); });
+    const app = { vault: { getAbstractFileByPath: (path: string) => existing.has(path) ? {} : null, create } } as unknown as App;
+
+    await expect(createDungeonKeyNote(app, 'Crypt - Key.md', 'text')).resolves.toBe('Crypt - Key 3.md');
+    expect(create).toHaveBeenCalledWith('Crypt - Key 3.md', 'text');
+  });
+});
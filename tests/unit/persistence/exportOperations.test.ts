@@ -0,0 +1,128 @@
+/**
+ * exportOperations Unit Tests
+ *
+ * Covers how a batch export splits boards and layers into images, and the
+ * shared area they are framed on. Rendering needs a real canvas and is not covered here.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import type { ExtendedGeometry } from "#types/contexts/context.types";
+import type { MapExportSelection } from "#types/core/export.types";
+import type { MapObject } from "#types/objects/object.types";
+
+import { GridGeometry } from "../../../src/geometry/core/GridGeometry";
+import {
+  calculateBatchBounds,
+  frameExportView,
+  planBatchExport,
+} from "../../../src/persistence/exportOperations";
+import { getRenderLayers, getActiveLayer } from "../../../src/persistence/layerAccessor";
+import { makeLayer, makeMapData } from "../helpers/fixtures";
+
+const CELL = 10;
+const grid = new GridGeometry(CELL) as unknown as ExtendedGeometry;
+
+function makeObject(id: string, x: number, y: number): MapObject {
+  return { id, type: "chest", position: { x, y }, size: { width: 1, height: 1 } } as MapObject;
+}
+
+const fog = (col: number, row: number) => ({
+  enabled: true, foggedCells: [{ col, row }], texture: null,
+});
+
+const mapData = makeMapData({
+  name: "Keep",
+  layerMode: "strata",
+  activeLayerId: "g1",
+  boards: [
+    { id: "upper", name: "Upper Floor", order: 1 },
+    { id: "ground", name: "Ground Floor", order: 0 },
+  ],
+  layers: [
+    makeLayer({ id: "g1", name: "Terrain", order: 0, boardId: "ground", tileRole: "ground", cells: [{ x: 0, y: 0, color: "#ccc" }], fogOfWar: fog(0, 0) }),
+    makeLayer({ id: "g2", name: "Walls", order: 1, boardId: "ground", tileRole: "structure", visible: false, objects: [makeObject("o1", 2, 2)], fogOfWar: fog(1, 1) }),
+    makeLayer({ id: "u1", name: "Terrain", order: 0, boardId: "upper", tileRole: "ground", cells: [{ x: 9, y: 4, color: "#ccc" }] }),
+  ],
+});
+
+const selection: MapExportSelection = {
+  layerIds: ["g1", "g2", "u1"],
+  grouping: "board",
+  includeFog: true,
+  includeObjects: true,
+  includeLabels: true,
+};
+
+describe("planBatchExport", () => {
+  it("stacks each board's chosen layers into one image, boards in order", () => {
+    const images = planBatchExport(mapData, selection);
+    expect(images.map(image => image.name)).toEqual(["Ground Floor", "Upper Floor"]);
+
+    const ground = images[0].mapData;
+    expect(getRenderLayers(ground).map(layer => layer.id)).toEqual(["g1", "g2"]);
+    expect(ground.activeBoardId).toBe("ground");
+  });
+
+  it("carries the stack's objects and merged fog on the top layer", () => {
+    const top = getActiveLayer(planBatchExport(mapData, selection)[0].mapData);
+    expect(top.id).toBe("g2");
+    expect(top.objects.map(obj => obj.id)).toEqual(["o1"]);
+    expect(top.fogOfWar?.foggedCells).toEqual([{ col: 0, row: 0 }, { col: 1, row: 1 }]);
+  });
+
+  it("leaves out fog, objects and labels when asked", () => {
+    const top = getActiveLayer(planBatchExport(mapData, {
+      ...selection, includeFog: false, includeObjects: false, includeLabels: false,
+    })[0].mapData);
+    expect(top.objects).toEqual([]);
+    expect(top.fogOfWar).toBeNull();
+  });
+
+  it("saves single layers, such as one stratum on every board", () => {
+    const images = planBatchExport(mapData, { ...selection, layerIds: ["g1", "u1"], grouping: "layer" });
+    expect(images.map(image => image.name)).toEqual(["Ground Floor - Terrain", "Upper Floor - Terrain"]);
+    expect(getRenderLayers(images[1].mapData).map(layer => layer.id)).toEqual(["u1"]);
+  });
+
+  it("keeps file names unique", () => {
+    const simple = makeMapData({
+      layers: [makeLayer({ id: "a", name: "Floor" }), makeLayer({ id: "b", name: "Floor", order: 1 })],
+    });
+    const images = planBatchExport(simple, { ...selection, layerIds: ["a", "b"], grouping: "layer" });
+    expect(images.map(image => image.name)).toEqual(["Floor", "Floor 2"]);
+  });
+});
+
+describe("calculateBatchBounds", () => {
+  it("covers every exported layer, so images line up", () => {
+    const images = planBatchExport(mapData, selection);
+    expect(calculateBatchBounds(images, grid)).toEqual({ minX: 0, minY: 0, maxX: 100, maxY: 50 });
+  });
+
+  it("includes tiles and curves", () => {
+    const layer = makeLayer({
+      tiles: [{ tilesetId: "ts", tileId: "t", col: 5, row: 1 }],
+      curves: [{
+        id: "c1", start: [-5, 0], segments: [[0, -8, 10, -8, 12, 0]],
+        closed: false, color: "", opacity: 1, strokeColor: "", strokeWidth: 2,
+      }],
+    });
+    const image = { name: "Floor", layers: [layer], mapData: makeMapData({ layers: [layer] }) };
+    expect(calculateBatchBounds([image], grid)).toEqual({ minX: -5, minY: -8, maxX: 60, maxY: 20 });
+  });
+});
+
+describe("frameExportView", () => {
+  it("centers a wide area at one pixel per world unit", () => {
+    const framed = frameExportView(mapData, grid, { minX: -20, minY: 30, maxX: 180, maxY: 80 });
+    // 200 x 50 world units: center (80, 55), in cells on a grid map
+    expect(framed.viewState).toEqual({ zoom: 1, center: { x: 8, y: 5.5 } });
+    expect(framed.layers).toBe(mapData.layers);
+  });
+
+  it("centers on the whole-pixel canvas when the area isn't", () => {
+    const framed = frameExportView(mapData, grid, { minX: 0, minY: 0, maxX: 99.5, maxY: 10 });
+    expect(framed.viewState?.center).toEqual({ x: 5, y: 0.5 });
+  });
+});
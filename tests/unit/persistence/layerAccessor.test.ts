@@ -24,6 +24,7 @@ import {
   isCellFogged,
   fogCell,
   revealCell,
+  revealCells,
   fogRectangle,
   revealRectangle,
   revealAll,
@@ -657,6 +658,29 @@ describe("layerAccessor", () => {
     });
   });
 
+  describe("revealCells", () => {
+    it("removes every listed cell and its explored memory", () => {
+      const layer: MapLayer = {
+        ...createLayer("layer-1", "Layer 1", 0),
+        fogOfWar: {
+          enabled: true,
+          foggedCells: [{ col: 0, row: 0 }, { col: 1, row: 0 }, { col: 2, row: 0 }],
+          texture: null,
+          exploredCells: [{ col: 1, row: 0 }, { col: 4, row: 4 }],
+        },
+      };
+
+      const updated = revealCells(layer, [{ col: 0, row: 0 }, { col: 1, row: 0 }]);
+      expect(updated.fogOfWar!.foggedCells).toEqual([{ col: 2, row: 0 }]);
+      expect(updated.fogOfWar!.exploredCells).toEqual([{ col: 4, row: 4 }]);
+    });
+
+    it("returns unchanged with nothing to reveal", () => {
+      const layer = createLayer("layer-1", "Layer 1", 0);
+      expect(revealCells(layer, [{ col: 0, row: 0 }])).toBe(layer);
+    });
+  });
+
   describe("fogRectangle", () => {
     it("fogs rectangular area", () => {
       const layer: MapLayer = {
@@ -722,6 +746,51 @@ describe("layerAccessor", () => {
       expect(updated.fogOfWar!.foggedCells).toHaveLength(1);
       expect(updated.fogOfWar!.foggedCells[0]).toEqual({ col: 5, row: 5 });
     });
+
+    it("forgets explored memory inside the rectangle", () => {
+      const layer: MapLayer = {
+        ...createLayer("layer-1", "Layer 1", 0),
+        fogOfWar: {
+          enabled: true,
+          foggedCells: [],
+          texture: null,
+          exploredCells: [{ col: 1, row: 1 }, { col: 5, row: 5 }],
+        },
+      };
+
+      const updated = revealRectangle(layer, 0, 0, 2, 2);
+      expect(updated.fogOfWar!.exploredCells).toEqual([{ col: 5, row: 5 }]);
+    });
+  });
+
+  describe("explored cells", () => {
+    const explored = (): MapLayer => ({
+      ...createLayer("layer-1", "Layer 1", 0),
+      fogOfWar: {
+        enabled: true,
+        foggedCells: [],
+        texture: null,
+        exploredCells: [{ col: 1, row: 1 }, { col: 2, row: 2 }],
+      },
+    });
+
+    it("fogging a cell makes it unexplored again", () => {
+      expect(fogCell(explored(), 1, 1).fogOfWar!.exploredCells).toEqual([{ col: 2, row: 2 }]);
+      expect(fogRectangle(explored(), 0, 0, 3, 3).fogOfWar!.exploredCells).toEqual([]);
+    });
+
+    it("revealing a cell drops its memory so it shows plainly", () => {
+      expect(revealCell(explored(), 2, 2).fogOfWar!.exploredCells).toEqual([{ col: 1, row: 1 }]);
+      expect(revealAll(explored()).fogOfWar!.exploredCells).toEqual([]);
+    });
+
+    it("leaves layers without explored cells alone", () => {
+      const layer: MapLayer = {
+        ...createLayer("layer-1", "Layer 1", 0),
+        fogOfWar: { enabled: true, foggedCells: [{ col: 0, row: 0 }], texture: null },
+      };
+      expect(revealAll(layer).fogOfWar).toEqual({ enabled: true, foggedCells: [], texture: null, exploredCells: undefined });
+    });
   });
 
   describe("revealAll", () => {
@@ -16,6 +16,7 @@ import {
   getBoardLayers,
   getActiveBoardLayers,
   ensureBoards,
+  createBoardStrata,
   addBoard,
   removeBoard,
   setActiveBoard,
@@ -213,6 +214,16 @@ describe("layerAccessor — board projection", () => {
     });
   });
 
+  describe("createBoardStrata", () => {
+    it("returns empty ground-first strata stamped with the board id", () => {
+      const strata = createBoardStrata("Z");
+      expect(strata.map(l => l.tileRole)).toEqual(["ground", "structure", "props", "decoration"]);
+      expect(strata.every(l => l.boardId === "Z")).toBe(true);
+      expect(strata.every(l => l.cells.length === 0 && l.objects.length === 0)).toBe(true);
+      expect(new Set(strata.map(l => l.id)).size).toBe(4);
+    });
+  });
+
   describe("addBoard", () => {
     it("seeds four default strata layers and switches to the new board", () => {
       const map = twoBoardMap();
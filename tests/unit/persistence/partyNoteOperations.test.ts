@@ -9,13 +9,17 @@ import { describe, it, expect } from 'vitest';
 
 import type { PartyPin } from '#types/core/map.types';
 import type { PartyRangeResults } from '../../../src/objects/partyRangeQuery';
+import type { JourneyPlan } from '../../../src/travel/journeyPlanner';
 
 import {
   sanitizePartyNoteFileName,
   buildPartyNotePath,
   buildPartyNoteContent,
   isOwnedPartyNoteContent,
+  buildJourneyNotePath,
+  buildJourneyNoteContent,
   PARTY_NOTE_MARKER_KEY,
+  JOURNEY_NOTE_MARKER_KEY,
 } from '../../../src/persistence/partyNoteOperations';
 
 function makePin(overrides: Partial<PartyPin> = {}): PartyPin {
@@ -109,6 +113,11 @@ describe('buildPartyNoteContent', () => {
     expect(content.startsWith(`---\n${PARTY_NOTE_MARKER_KEY}: party-test-1\n---`)).toBe(true);
   });
 
+  it('writes the campaign clock into the frontmatter when the map keeps one', () => {
+    const content = buildPartyNoteContent(makePin(), makeResults(), { ...context, campaignDate: 'Day 3, 14:00' });
+    expect(content.startsWith(`---\n${PARTY_NOTE_MARKER_KEY}: party-test-1\nwindrose-date: "Day 3, 14:00"\n---`)).toBe(true);
+  });
+
   it('renders an explicit empty state', () => {
     const content = buildPartyNoteContent(makePin(), makeResults(), context);
     expect(content).toContain('*Nothing in range.*');
@@ -254,3 +263,73 @@ describe('isOwnedPartyNoteContent', () => {
     expect(isOwnedPartyNoteContent(content, 'party-test-1')).toBe(true);
   });
 });
+
+describe('journey notes', () => {
+  const plan: JourneyPlan = {
+    ok: true,
+    base: 'hours',
+    dayLength: 8,
+    totalTime: 12,
+    totalDistance: 36,
+    days: [
+      {
+        day: 1, start: { x: 0, y: 0 }, end: { x: 2, y: 0 }, cells: [{ x: 1, y: 0 }, { x: 2, y: 0 }],
+        distance: 24, time: 8, regions: ['Greenwood'], notes: ['Places/Greenwood.md']
+      },
+      {
+        day: 2, start: { x: 2, y: 0 }, end: { x: 3, y: 0 }, cells: [{ x: 3, y: 0 }],
+        distance: 12, time: 4, regions: [], notes: []
+      }
+    ]
+  };
+  const labels = {
+    routeName: 'North Road',
+    modeName: 'Walk',
+    cell: (point: { x: number; y: number }) => `${point.x}, ${point.y}`,
+    time: (amount: number) => `${amount} h`,
+    distance: (amount: number) => `${amount} mi`
+  };
+
+  it('names the note after the route', () => {
+    expect(buildJourneyNotePath('Campaign', 'North Road')).toBe('Campaign/North Road - Journey.md');
+    expect(buildJourneyNotePath('', '')).toBe('Route - Journey.md');
+  });
+
+  it('writes one row per day with camps and deep links', () => {
+    const content = buildJourneyNoteContent('route-1', plan, context, labels);
+    expect(content.startsWith(`---\n${JOURNEY_NOTE_MARKER_KEY}: route-1\n---`)).toBe(true);
+    expect(content).toContain('**North Road** by Walk on **Overworld**: 2 days, 36 mi, 12 h of travel.');
+    const rows = content.split('\n').filter(line => /^\| \d/.test(line));
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toContain('| 1 | 24 mi | 8 h | 1, 0 → 2, 0 | Greenwood | [[Places/Greenwood\\|Greenwood]] | [2, 0](windrose:Maps/Overworld.md\\|map-1,2,0,');
+    expect(rows[1]).toContain('Arrive at [3, 0](windrose:');
+  });
+
+  it('is not mistaken for a party note', () => {
+    const content = buildJourneyNoteContent('route-1', plan, context, labels);
+    expect(isOwnedPartyNoteContent(content, 'route-1')).toBe(false);
+  });
+});
+
+describe('buildPartyNoteContent trail section', () => {
+  const moves = [
+    { from: { x: 0, y: 0 }, to: { x: 3, y: 0 }, at: new Date(2026, 0, 5, 9, 30).getTime(), gameDate: 'Day 1' },
+    { from: { x: 3, y: 0 }, to: { x: 5, y: 2 }, at: new Date(2026, 0, 5, 11, 5).getTime() }
+  ];
+  const trail = { distance: '25 ft', travel: 'Walk 1 h', moveDistances: ['15 ft', '10 ft'] };
+
+  it('adds totals and one row per move, newest first', () => {
+    const content = buildPartyNoteContent(makePin({ trail: moves }), makeResults(), context, undefined, undefined, trail);
+    expect(content).toContain('## Trail');
+    expect(content).toContain('**25 ft** travelled over 2 moves (Walk 1 h).');
+    expect(content).toContain('| When | In-game date | Distance | Map |');
+    const rows = content.split('\n').filter(line => line.startsWith('| 2026-'));
+    expect(rows[0]).toContain('| 2026-01-05 11:05 | — | 10 ft | [show](windrose:');
+    expect(rows[1]).toContain('| 2026-01-05 09:30 | Day 1 | 15 ft |');
+  });
+
+  it('leaves the section out until the pin has moved', () => {
+    const content = buildPartyNoteContent(makePin(), makeResults(), context, undefined, undefined, trail);
+    expect(content).not.toContain('## Trail');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * pdfExportOperations Unit Tests
+ *
+ * Covers page tiling with overlap, the per-page marks and caption, and the
+ * PDF file structure. Page images need a real canvas and are not covered here.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import {
+  DEFAULT_PDF_OPTIONS,
+  layoutPdfPages,
+  buildPdfPageContent,
+  buildPdfDocument,
+} from "../../../src/persistence/pdfExportOperations";
+
+const letter = DEFAULT_PDF_OPTIONS;
+
+function text(bytes: Uint8Array): string {
+  return Array.from(bytes, b => String.fromCharCode(b)).join("");
+}
+
+describe("layoutPdfPages", () => {
+  it("fits a small map on one page", () => {
+    const layout = layoutPdfPages(6, 9, letter);
+    expect(layout).toMatchObject({ pageWidth: 612, pageHeight: 792, columns: 1, rows: 1 });
+    expect(layout.tiles).toEqual([{ label: "A1", column: 0, row: 0, x: 0, y: 0, width: 6, height: 9 }]);
+  });
+
+  it("steps pages by the printable area less the overlap", () => {
+    // Letter prints 7.5 x 10 inches; pages advance 7.25 x 9.75 cells
+    const layout = layoutPdfPages(20, 12, letter);
+    expect(layout.columns).toBe(3);
+    expect(layout.rows).toBe(2);
+    expect(layout.tiles.map(t => t.label)).toEqual(["A1", "B1", "C1", "A2", "B2", "C2"]);
+    expect(layout.tiles[1]).toMatchObject({ x: 7.25, y: 0, width: 7.5, height: 10 });
+    expect(layout.tiles[5]).toMatchObject({ x: 14.5, y: 9.75, width: 5.5, height: 2.25 });
+  });
+
+  it("uses A4 and other cell sizes", () => {
+    const layout = layoutPdfPages(20, 20, { ...letter, paper: "a4", inchesPerCell: 0.5 });
+    expect(layout.pageWidth).toBeCloseTo(595.28);
+    expect(layout.columns).toBe(2);
+    expect(layout.tiles[0].width).toBeCloseTo(14.54, 2);
+  });
+});
+
+describe("buildPdfPageContent", () => {
+  const layout = layoutPdfPages(20, 12, letter);
+
+  it("places the image at scale in the top-left of the printable area", () => {
+    const content = buildPdfPageContent(layout.tiles[0], layout, letter, "Crypt - page A1");
+    expect(content).toContain("q 540 0 0 720 36 36 cm /Im0 Do Q");
+    expect(content).toContain("BT /F1 8 Tf 51 23 Td (Crypt - page A1) Tj ET");
+  });
+
+  it("marks the overlap only toward neighboring pages", () => {
+    const first = buildPdfPageContent(layout.tiles[0], layout, letter, "");
+    const last = buildPdfPageContent(layout.tiles[5], layout, letter, "");
+    expect(first).toContain("558 759 m 558 765 l S");
+    expect(first.match(/ l S/g)).toHaveLength(12);
+    expect(last.match(/ l S/g)).toHaveLength(8);
+  });
+
+  it("escapes captions and replaces characters the font lacks", () => {
+    const content = buildPdfPageContent(layout.tiles[0], layout, letter, "Tomb (lower) \\ Ælf");
+    expect(content).toContain("(Tomb \\(lower\\) \\\\ ?lf) Tj");
+  });
+});
+
+describe("buildPdfDocument", () => {
+  const image = { data: new Uint8Array([0xff, 0xd8, 0xff, 0xd9]), width: 2, height: 3 };
+  const pdf = buildPdfDocument(
+    [
+      { width: 612, height: 792, content: "q Q", image },
+      { width: 612, height: 792, content: "q Q", image },
+    ],
+    "Crypt"
+  );
+  const body = text(pdf);
+
+  it("writes a page with its content and JPEG image per page", () => {
+    expect(body.startsWith("%PDF-1.4\n")).toBe(true);
+    expect(body).toContain("/Kids [5 0 R 8 0 R] /Count 2");
+    expect(body).toContain("/Width 2 /Height 3 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length 4");
+    expect(body).toContain("/Title (Crypt)");
+    expect(body.endsWith("%%EOF\n")).toBe(true);
+  });
+
+  it("points the cross-reference table at each object", () => {
+    const startxref = Number(/startxref\n(\d+)\n/.exec(body)?.[1]);
+    expect(body.slice(startxref, startxref + 9)).toBe("xref\n0 11");
+
+    const entries = body.slice(startxref).split("\n").slice(3, 13);
+    entries.forEach((entry, i) => {
+      const offset = Number(entry.slice(0, 10));
+      expect(body.startsWith(`${i + 1} 0 obj\n`, offset)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * sessionLog Unit Tests
+ *
+ * Covers appending (GM reveal merging, the size cap) and rolling a layer
+ * back to a replay step.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import type { MapObject } from "#types/objects/object.types";
+import type { SessionLogEntry } from "#types/core/sessionLog.types";
+
+import {
+  MAX_SESSION_LOG_ENTRIES,
+  REVEAL_MERGE_WINDOW_MS,
+  appendSessionLog,
+  getSessionReplayLayer,
+  describeSessionEntry,
+} from "../../../src/persistence/sessionLog";
+import { makeLayer } from "../helpers/fixtures";
+
+const T0 = 1_700_000_000_000;
+
+function makeToken(overrides: Partial<MapObject> = {}): MapObject {
+  return {
+    id: "pc-1",
+    type: "player",
+    position: { x: 5, y: 5 },
+    size: { width: 1, height: 1 },
+    label: "Aria",
+    isPlayer: true,
+    ...overrides,
+  } as MapObject;
+}
+
+describe("appendSessionLog", () => {
+  it("folds GM reveals inside the merge window into one entry", () => {
+    let log = appendSessionLog(undefined, { kind: "reveal", at: T0, cells: [{ col: 1, row: 1 }] });
+    log = appendSessionLog(log, { kind: "reveal", at: T0 + 1000, cells: [{ col: 1, row: 1 }, { col: 2, row: 1 }] });
+
+    expect(log).toHaveLength(1);
+    expect(log[0]).toMatchObject({ at: T0, cells: [{ col: 1, row: 1 }, { col: 2, row: 1 }] });
+  });
+
+  it("keeps reveals apart across the window, by tokens, or after a move", () => {
+    let log = appendSessionLog(undefined, { kind: "reveal", at: T0, cells: [{ col: 1, row: 1 }] });
+    log = appendSessionLog(log, { kind: "reveal", at: T0 + REVEAL_MERGE_WINDOW_MS + 1, cells: [{ col: 2, row: 1 }] });
+    log = appendSessionLog(log, { kind: "reveal", at: T0 + REVEAL_MERGE_WINDOW_MS + 2, cells: [{ col: 3, row: 1 }], objectId: "pc-1" });
+    log = appendSessionLog(log, { kind: "reveal", at: T0 + REVEAL_MERGE_WINDOW_MS + 3, cells: [{ col: 4, row: 1 }], objectId: "pc-1" });
+
+    expect(log).toHaveLength(4);
+  });
+
+  it("drops the oldest entries past the cap", () => {
+    let log: SessionLogEntry[] = [];
+    for (let i = 0; i <= MAX_SESSION_LOG_ENTRIES; i++) {
+      log = appendSessionLog(log, {
+        kind: "move", at: T0 + i, objectId: "pc-1", from: { x: i, y: 0 }, to: { x: i + 1, y: 0 },
+      });
+    }
+
+    expect(log).toHaveLength(MAX_SESSION_LOG_ENTRIES);
+    expect(log[0].at).toBe(T0 + 1);
+  });
+});
+
+describe("getSessionReplayLayer", () => {
+  const sessionLog: SessionLogEntry[] = [
+    { kind: "move", at: T0, objectId: "pc-1", label: "Aria", from: { x: 1, y: 1 }, to: { x: 3, y: 1 } },
+    { kind: "reveal", at: T0 + 1, cells: [{ col: 3, row: 1 }, { col: 4, row: 1 }], objectId: "pc-1", label: "Aria" },
+    { kind: "move", at: T0 + 2, objectId: "pc-1", label: "Aria", from: { x: 3, y: 1 }, to: { x: 5, y: 5 } },
+    { kind: "reveal", at: T0 + 3, cells: [{ col: 5, row: 5 }] },
+  ];
+  const layer = makeLayer({
+    objects: [makeToken(), makeToken({ id: "npc", isPlayer: false, position: { x: 9, y: 9 } })],
+    fogOfWar: {
+      enabled: false,
+      foggedCells: [{ col: 0, row: 0 }],
+      texture: null,
+      exploredCells: [{ col: 3, row: 1 }, { col: 4, row: 1 }],
+    },
+    sessionLog,
+  });
+
+  it("returns the layer unchanged at the end of the log", () => {
+    expect(getSessionReplayLayer(layer, sessionLog.length)).toBe(layer);
+  });
+
+  it("puts tokens back where their first later move started", () => {
+    const start = getSessionReplayLayer(layer, 0);
+    expect(start.objects[0].position).toEqual({ x: 1, y: 1 });
+    expect(start.objects[1].position).toEqual({ x: 9, y: 9 });
+
+    const midway = getSessionReplayLayer(layer, 2);
+    expect(midway.objects[0].position).toEqual({ x: 3, y: 1 });
+  });
+
+  it("fogs cells revealed later and shows the fog", () => {
+    const afterFirstReveal = getSessionReplayLayer(layer, 2);
+    expect(afterFirstReveal.fogOfWar?.enabled).toBe(true);
+    expect(afterFirstReveal.fogOfWar?.foggedCells).toEqual([{ col: 0, row: 0 }, { col: 5, row: 5 }]);
+    expect(afterFirstReveal.fogOfWar?.exploredCells).toHaveLength(2);
+
+    const start = getSessionReplayLayer(layer, 0);
+    expect(start.fogOfWar?.foggedCells).toHaveLength(4);
+    expect(start.fogOfWar?.exploredCells).toEqual([]);
+  });
+});
+
+describe("describeSessionEntry", () => {
+  it("names the token or the GM", () => {
+    expect(describeSessionEntry({ kind: "move", at: T0, objectId: "a", label: "Aria", from: { x: 0, y: 0 }, to: { x: 1, y: 0 } }))
+      .toBe("Aria moved");
+    expect(describeSessionEntry({ kind: "reveal", at: T0, cells: [{ col: 0, row: 0 }], objectId: "a" }))
+      .toBe("A token revealed 1 cell");
+    expect(describeSessionEntry({ kind: "reveal", at: T0, cells: [{ col: 0, row: 0 }, { col: 1, row: 0 }] }))
+      .toBe("The GM revealed 2 cells");
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * sessionRecapNoteOperations Unit Tests
+ *
+ * Covers path building, content generation, and picking a free note path.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+import type { App } from 'obsidian';
+import type { SessionLogEntry } from '#types/core/sessionLog.types';
+
+import {
+  buildSessionRecapNotePath,
+  buildSessionRecapNoteContent,
+  createSessionRecapNote,
+  SESSION_RECAP_NOTE_MARKER_KEY,
+} from '../../../src/persistence/sessionRecapNoteOperations';
+import { parseDeepLink } from '../../../src/persistence/deepLinkHandler';
+
+// Local times, so the expected dates and clock times hold in any time zone
+const DAY_ONE = new Date(2026, 2, 14, 19, 5).getTime();
+const DAY_TWO = new Date(2026, 2, 21, 20, 30).getTime();
+
+const context = {
+  mapId: 'map-1',
+  mapName: 'Crypt of Ash',
+  mapType: 'grid' as const,
+  mapNotePath: 'Adventures/Crypt.md',
+  layerId: 'layer-1',
+};
+
+const entries: SessionLogEntry[] = [
+  { kind: 'move', at: DAY_ONE, objectId: 'pc-1', label: 'Aria', from: { x: 1, y: 1 }, to: { x: 4, y: 6 } },
+  { kind: 'reveal', at: DAY_ONE + 60_000, cells: [{ col: 4, row: 6 }], objectId: 'pc-1', label: 'Aria' },
+  { kind: 'reveal', at: DAY_TWO, cells: [{ col: 8, row: 8 }, { col: 9, row: 8 }] },
+];
+
+describe('buildSessionRecapNotePath', () => {
+  it('places the note beside the map note, dated', () => {
+    expect(buildSessionRecapNotePath('Adventures/Crypt.md', 'Crypt of Ash', DAY_ONE))
+      .toBe('Adventures/Crypt of Ash - Session 2026-03-14.md');
+  });
+
+  it('uses the vault root and a fallback name when needed', () => {
+    expect(buildSessionRecapNotePath('', '###', DAY_TWO)).toBe('Map - Session 2026-03-21.md');
+  });
+});
+
+describe('buildSessionRecapNoteContent', () => {
+  it('marks the note with its map and links back to the map note', () => {
+    const content = buildSessionRecapNoteContent(entries, context);
+    expect(content.startsWith(`---\n${SESSION_RECAP_NOTE_MARKER_KEY}: map-1\n---\n`)).toBe(true);
+    expect(content).toContain('Session recap for **Crypt of Ash**, mapped in [[Adventures/Crypt]].');
+  });
+
+  it('groups entries by day with their times', () => {
+    const content = buildSessionRecapNoteContent(entries, context);
+    expect(content).toContain('## 2026-03-14');
+    expect(content).toContain('## 2026-03-21');
+    expect(content).toContain('- **19:06** Aria revealed 1 cell');
+    expect(content).toContain('- **20:30** The GM revealed 2 cells');
+  });
+
+  it('links moves to the cell the token reached', () => {
+    const content = buildSessionRecapNoteContent(entries, context);
+    const url = /- \*\*19:05\*\* Aria moved \(\[show\]\(([^)]+)\)\)/.exec(content)?.[1];
+    const link = url != null ? parseDeepLink(url) : null;
+    expect(link).toMatchObject({ notePath: 'Adventures/Crypt.md', mapId: 'map-1', x: 4.5, y: 6.5, layerId: 'layer-1' });
+  });
+
+  it('leaves deeplinks out without a host note', () => {
+    const content = buildSessionRecapNoteContent(entries, { ...context, mapNotePath: '' });
+    expect(content).toContain('- **19:05** Aria moved\n');
+    expect(content).not.toContain('obsidian://');
+  });
+});
+
+describe('createSessionRecapNote', () => {
+  it('never overwrites an existing note', async () => {
+    const existing = new Set(['Crypt - Session 2026-03-14.md']);
+    const create = vi.fn(async (path: string) => { existing.add(path); });
+    const app = { vault: { getAbstractFileByPath: (path: string) => existing.has(path) ? {} : null, create } } as unknown as App;
+
+    await expect(createSessionRecapNote(app, 'Crypt - Session 2026-03-14.md', 'text'))
+      .resolves.toBe('Crypt - Session 2026-03-14 2.md');
+    expect(create).toHaveBeenCalledWith('Crypt - Session 2026-03-14 2.md', 'text');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * svgExportOperations Unit Tests
+ *
+ * Covers the document bounds, vector cells and edges, curves, text, embedded
+ * tile images and the images an export needs. Loading images from the vault
+ * needs a real canvas and is not covered here.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import type { ExtendedGeometry } from "#types/contexts/context.types";
+import type { ExportTheme, SvgImageSource } from "#types/core/export.types";
+import type { MapData } from "#types/core/map.types";
+import type { MapLayer } from "#types/core/map.types";
+import type { ObjectTypeDefinition } from "#types/objects/object.types";
+import type { TilesetDef } from "#types/tiles/tile.types";
+
+import { GridGeometry } from "../../../src/geometry/core/GridGeometry";
+import { buildMapSvg, getSvgImagePaths } from "../../../src/persistence/svgExportOperations";
+import { makeLayer, makeMapData } from "../helpers/fixtures";
+
+const CELL = 10;
+const grid = new GridGeometry(CELL) as unknown as ExtendedGeometry;
+
+const theme = {
+  grid: { lines: "#666666", lineWidth: 1, background: "#202020" },
+  cells: { fill: "#c4a57b", border: "#8b6842", borderWidth: 2 },
+} as ExportTheme;
+
+const objectTypes: Record<string, ObjectTypeDefinition> = {
+  chest: { id: "chest", symbol: "⚿", label: "Chest", category: "features" } as ObjectTypeDefinition,
+  statue: { id: "statue", imagePath: "art/statue.png", label: "Statue", category: "features" } as ObjectTypeDefinition,
+};
+const getObjectType = (typeId: string): ObjectTypeDefinition | null => objectTypes[typeId] ?? null;
+
+const tileset = {
+  id: "ts",
+  name: "Dungeon",
+  source: "folder",
+  folderPath: "tiles",
+  tileWidth: 256,
+  tileHeight: 256,
+  hexHeight: 256,
+  overflowTop: 0,
+  overflowBottom: 0,
+  tiles: [{ id: "floor", filename: "floor.png", vaultPath: "tiles/floor.png" }],
+} as unknown as TilesetDef;
+
+function mapWith(layer: Partial<MapLayer>, overrides: Partial<MapData> = {}): MapData {
+  return makeMapData({ name: "Crypt", layers: [makeLayer(layer)], ...overrides });
+}
+
+function build(mapData: MapData, images?: Map<string, SvgImageSource>): string {
+  const svg = buildMapSvg(mapData, grid, { theme, getObjectType, images, tileMetadata: {} });
+  expect(svg).not.toBeNull();
+  return svg ?? "";
+}
+
+describe("buildMapSvg", () => {
+  it("is null for an empty map", () => {
+    expect(buildMapSvg(mapWith({}), grid, { theme, getObjectType, tileMetadata: {} })).toBeNull();
+  });
+
+  it("frames the content with a one-cell margin in world units", () => {
+    const svg = build(mapWith({ cells: [{ x: 2, y: 3, color: "#ccc" }, { x: 4, y: 3, color: "#ccc" }] }));
+    expect(svg).toContain('width="50" height="30" viewBox="10 20 50 30"');
+    expect(svg).toContain('<rect x="10" y="20" width="50" height="30" fill="#202020"/>');
+    expect(svg).toContain("<title>Crypt</title>");
+  });
+
+  it("draws cells as one path per color with borders and interior lines", () => {
+    const svg = build(mapWith({
+      cells: [{ x: 0, y: 0, color: "#ccc" }, { x: 1, y: 0, color: "#ccc" }, { x: 0, y: 1, color: "#f00", opacity: 0.5 }],
+    }));
+    expect(svg).toContain('<path d="M0 0h10v10h-10ZM10 0h10v10h-10Z" fill="#ccc"/>');
+    expect(svg).toContain('<path d="M0 10h10v10h-10Z" fill="#f00" fill-opacity="0.5"/>');
+    expect(svg).toContain('<path d="M10 0v10M0 10h10" fill="none" stroke="#666666" stroke-width="1"/>');
+    expect(svg).toMatch(/stroke="#8b6842" stroke-width="2" stroke-linecap="square"/);
+  });
+
+  it("fills only the painted segments of a partial cell", () => {
+    const svg = build(mapWith({ cells: [{ x: 0, y: 0, color: "#ccc", segments: { n: true, ne: true } }] }));
+    expect(svg).toContain('<path d="M5 5L5 0L10 0ZM5 5L10 0L10 5Z" fill="#ccc"/>');
+  });
+
+  it("draws painted edges on cell sides", () => {
+    const svg = build(mapWith({ edges: [{ x: 1, y: 1, side: "right", color: "#000000", width: 3 }] }));
+    expect(svg).toContain('<path d="M20 10v10" fill="none" stroke="#000000" stroke-width="3" stroke-linecap="square"/>');
+  });
+
+  it("draws closed curves with their holes as even-odd fills", () => {
+    const svg = build(mapWith({
+      curves: [{
+        id: "c1",
+        start: [0, 0],
+        segments: [[10, 0, 20, 0, 30, 0], [30, 10, 30, 20, 30, 30], [20, 30, 10, 30, 0, 0]],
+        closed: true,
+        color: "#abcdef",
+        opacity: 1,
+        strokeColor: "",
+        strokeWidth: 0,
+        innerRings: [[[10, 10], [20, 10], [20, 20]]],
+      }],
+    }));
+    expect(svg).toContain('<path d="M0 0C10 0 20 0 30 0C30 10 30 20 30 30C20 30 10 30 0 0ZM10 10L20 10L20 20Z" fill="#abcdef" fill-rule="evenodd"');
+  });
+
+  it("escapes text labels and draws object glyphs", () => {
+    const svg = build(mapWith({
+      textLabels: [{ id: "t1", content: "Tom & <Jerry>", position: { x: 50, y: 50 }, fontSize: 16, fontFace: "sans", color: "#ffffff", rotation: 90 }],
+      objects: [{ id: "o1", type: "chest", position: { x: 1, y: 1 }, size: { width: 1, height: 1 } }],
+    }));
+    expect(svg).toContain(">Tom &amp; &lt;Jerry&gt;</text>");
+    expect(svg).toContain('transform="translate(50 50) rotate(90) translate(-50 -50)"');
+    expect(svg).toMatch(/<text x="15" y="15" [^>]*font-size="8"[^>]*>⚿<\/text>/);
+  });
+
+  it("embeds loaded tile images and leaves out missing ones", () => {
+    const mapData = mapWith(
+      { cells: [{ x: 0, y: 0, color: "#ccc" }], tiles: [{ tilesetId: "ts", tileId: "floor", col: 3, row: 3 }] },
+      { tilesets: [tileset] }
+    );
+    expect(build(mapData)).not.toContain("<image");
+
+    const images = new Map([["tiles/floor.png", { href: "data:image/png;base64,AAAA", width: 256, height: 256 }]]);
+    const svg = build(mapData, images);
+    expect(svg).toContain('<image xlink:href="data:image/png;base64,AAAA" x="30" y="30" width="10" height="10"');
+    expect(svg).toContain('viewBox="-10 -10 60 60"');
+  });
+
+  it("groups each layer as an Inkscape layer", () => {
+    const svg = build(mapWith({ name: "Ground & Walls", cells: [{ x: 0, y: 0, color: "#ccc" }] }));
+    expect(svg).toContain('<g inkscape:groupmode="layer" inkscape:label="Ground &amp; Walls">');
+  });
+});
+
+describe("getSvgImagePaths", () => {
+  it("lists tile art and image objects once each", () => {
+    const mapData = mapWith(
+      {
+        tiles: [
+          { tilesetId: "ts", tileId: "floor", col: 0, row: 0 },
+          { tilesetId: "ts", tileId: "floor", col: 1, row: 0 },
+          { tilesetId: "ts", tileId: "missing", col: 2, row: 0 },
+        ],
+        objects: [{ id: "o1", type: "statue", position: { x: 0, y: 0 }, size: { width: 1, height: 1 } }],
+      },
+      { tilesets: [tileset] }
+    );
+    expect(getSvgImagePaths(mapData, getObjectType)).toEqual(["tiles/floor.png", "art/statue.png"]);
+  });
+});
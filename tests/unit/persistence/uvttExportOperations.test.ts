@@ -0,0 +1,136 @@
+/**
+ * uvttExportOperations Unit Tests
+ *
+ * Covers the exported area, walls from edges and wall paths, door portals,
+ * lights and color conversion. The image itself needs a real canvas and is
+ * not covered here.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import type { ExtendedGeometry } from "#types/contexts/context.types";
+import type { Edge } from "#types/core/rendering.types";
+import type { MapObject } from "#types/objects/object.types";
+import type { WallPath } from "#types/core/wallpath.types";
+
+import { GridGeometry } from "../../../src/geometry/core/GridGeometry";
+import { buildUvttScene, getUvttArea, toUvttColor } from "../../../src/persistence/uvttExportOperations";
+import { makeLayer } from "../helpers/fixtures";
+
+const CELL = 10;
+const grid = new GridGeometry(CELL) as unknown as ExtendedGeometry;
+const area = { minCol: 2, minRow: 2, cols: 6, rows: 6 };
+const options = { distancePerCell: 5, ambientDarkness: 0 };
+
+function makeObject(overrides: Partial<MapObject>): MapObject {
+  return {
+    id: "o1",
+    type: "door-vertical",
+    position: { x: 4, y: 4 },
+    size: { width: 1, height: 1 },
+    ...overrides,
+  } as MapObject;
+}
+
+function edge(x: number, y: number, side: Edge["side"]): Edge {
+  return { x, y, side, color: "#000000" };
+}
+
+describe("getUvttArea", () => {
+  it("covers the painted cells plus a one-cell margin", () => {
+    const layer = makeLayer({
+      cells: [{ x: 3, y: 4, color: "#ccc" }, { x: 6, y: 5, color: "#ccc" }],
+    });
+    expect(getUvttArea(layer, grid)).toEqual({ minCol: 2, minRow: 3, cols: 6, rows: 4 });
+  });
+
+  it("is null for an empty layer", () => {
+    expect(getUvttArea(makeLayer(), grid)).toBeNull();
+  });
+});
+
+describe("buildUvttScene", () => {
+  it("merges straight runs of edges into single walls, relative to the area", () => {
+    const layer = makeLayer({ edges: [edge(3, 2, "bottom"), edge(4, 2, "bottom"), edge(6, 2, "bottom")] });
+    const { line_of_sight } = buildUvttScene(layer, grid, area, options);
+    expect(line_of_sight).toEqual([
+      [{ x: 1, y: 1 }, { x: 3, y: 1 }],
+      [{ x: 4, y: 1 }, { x: 5, y: 1 }],
+    ]);
+  });
+
+  it("follows wall paths as polylines and leaves their gaps open", () => {
+    const wall: WallPath = {
+      id: "w1",
+      vertices: [{ x: 20, y: 20 }, { x: 60, y: 20 }, { x: 60, y: 60 }],
+      closed: false,
+      tilesetId: "t",
+      tileId: "wall",
+      kind: "wall",
+      widthScale: 1,
+    };
+    expect(buildUvttScene(makeLayer({ wallPaths: [wall] }), grid, area, options).line_of_sight)
+      .toEqual([[{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 4 }]]);
+
+    const opened = { ...wall, gaps: [{ id: "g1", seg: 0, t: 0.5, widthCells: 1 }] };
+    expect(buildUvttScene(makeLayer({ wallPaths: [opened] }), grid, area, options).line_of_sight).toHaveLength(2);
+  });
+
+  it("turns doors, secret ones included, into portals", () => {
+    const layer = makeLayer({
+      objects: [
+        makeObject({ id: "d1", type: "door-vertical" }),
+        makeObject({ id: "d2", type: "door-horizontal", position: { x: 5, y: 3 } }),
+        makeObject({ id: "d3", type: "secret-door", position: { x: 6, y: 6 }, rotation: 90 }),
+      ],
+    });
+    const { portals } = buildUvttScene(layer, grid, area, options);
+    expect(portals.map(p => p.bounds)).toEqual([
+      [{ x: 2.5, y: 2 }, { x: 2.5, y: 3 }],
+      [{ x: 3, y: 1.5 }, { x: 4, y: 1.5 }],
+      [{ x: 4.5, y: 4 }, { x: 4.5, y: 5 }],
+    ]);
+    expect(portals[0]).toMatchObject({ position: { x: 2.5, y: 2.5 }, rotation: Math.PI / 2, closed: true });
+  });
+
+  it("replaces the painted edge under a door on a cell side", () => {
+    const layer = makeLayer({
+      edges: [edge(3, 3, "right"), edge(3, 4, "right"), edge(3, 5, "right")],
+      objects: [makeObject({ type: "door-vertical", position: { x: 4, y: 4 }, alignment: "west" })],
+    });
+    const scene = buildUvttScene(layer, grid, area, options);
+    expect(scene.portals[0].bounds).toEqual([{ x: 2, y: 2 }, { x: 2, y: 3 }]);
+    expect(scene.line_of_sight).toEqual([
+      [{ x: 2, y: 1 }, { x: 2, y: 2 }],
+      [{ x: 2, y: 3 }, { x: 2, y: 4 }],
+    ]);
+  });
+
+  it("exports lights and the ambient light", () => {
+    const layer = makeLayer({
+      objects: [makeObject({ type: "torch", lightEnabled: true, lightRadius: 15, lightColor: "#ff8000" })],
+    });
+    const scene = buildUvttScene(layer, grid, area, { distancePerCell: 5, ambientDarkness: 0.5 });
+    expect(scene.lights).toEqual([
+      { position: { x: 2.5, y: 2.5 }, range: 3, intensity: 1, color: "ffff8000", shadows: true },
+    ]);
+    expect(scene.environment).toEqual({ baked_lighting: false, ambient_light: "ff808080" });
+  });
+
+  it("leaves out the lights of player tokens", () => {
+    const layer = makeLayer({
+      objects: [makeObject({ type: "player", isPlayer: true, lightEnabled: true, lightRadius: 15 })],
+    });
+    expect(buildUvttScene(layer, grid, area, options).lights).toEqual([]);
+  });
+});
+
+describe("toUvttColor", () => {
+  it("reads hex and rgb colors as opaque ARGB", () => {
+    expect(toUvttColor("#abc")).toBe("ffaabbcc");
+    expect(toUvttColor("#A0B1C2")).toBe("ffa0b1c2");
+    expect(toUvttColor("#a0b1c280")).toBe("ffa0b1c2");
+    expect(toUvttColor("rgba(255, 255, 100, 1)")).toBe("ffffff64");
+    expect(toUvttColor("tomato")).toBe("ffffffff");
+  });
+});
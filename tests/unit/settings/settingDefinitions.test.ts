@@ -102,7 +102,7 @@ describe('buildSettingDefinitions', () => {
       'Features',
       'Map behavior', 'Color settings', 'Hex map settings',
       'Color palette',
-      'Dungeon generation',
+      'Dungeon generation', 'Dungeon style packs',
       'Fog of war',
       'Distance measurement', 'Travel packs',
       'Tile sets',
@@ -0,0 +1,84 @@
+/**
+ * campaignClock Unit Tests
+ *
+ * Covers reading the clock as a date with and without a calendar, setting it
+ * from a date, advancing it by travel times, and the calendar editor's text.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import {
+  advanceCampaignClock,
+  clockMinutesFromDate,
+  createCampaignClock,
+  formatCalendarMonths,
+  formatClockDate,
+  getClockDate,
+  parseCalendarMonths,
+  travelClockMinutes,
+} from "../../../src/travel/campaignClock";
+import { createTravelAllowance } from "../../../src/travel/travelPackOperations";
+
+const months = [
+  { name: "Hammer", days: 30 },
+  { name: "Midwinter", days: 1 },
+  { name: "Alturiak", days: 30 },
+];
+const eightHours = createTravelAllowance({ name: "Normal day", timeValue: 8 });
+
+describe("campaign clock dates", () => {
+  it("starts on the first morning", () => {
+    expect(formatClockDate(createCampaignClock())).toBe("Day 1, 08:00");
+  });
+
+  it("counts plain days without a calendar", () => {
+    expect(formatClockDate({ minutes: (11 * 24 + 14) * 60 + 5 })).toBe("Day 12, 14:05");
+  });
+
+  it("walks the calendar's months and years", () => {
+    expect(formatClockDate({ minutes: 30 * 24 * 60, months })).toBe("1 Midwinter 1, 00:00");
+    expect(getClockDate({ minutes: (61 + 31) * 24 * 60, months })).toEqual({ year: 2, month: 2, day: 1, hour: 0, minute: 0 });
+  });
+
+  it("sets the clock from a date and reads the same date back", () => {
+    const date = { year: 1492, month: 2, day: 14, hour: 9, minute: 30 };
+    expect(getClockDate({ minutes: clockMinutesFromDate(months, date), months })).toEqual(date);
+    expect(clockMinutesFromDate([], { year: null, month: null, day: 3, hour: 6, minute: 0 })).toBe((2 * 24 + 6) * 60);
+  });
+
+  it("clamps a day past the month's end", () => {
+    const minutes = clockMinutesFromDate(months, { year: 1, month: 1, day: 9, hour: 0, minute: 0 });
+    expect(getClockDate({ minutes, months }).day).toBe(1);
+  });
+
+  it("never winds back before the first moment", () => {
+    expect(advanceCampaignClock({ minutes: 30 }, -90).minutes).toBe(0);
+    expect(advanceCampaignClock({ minutes: 30, months }, 90)).toEqual({ minutes: 120, months });
+  });
+});
+
+describe("travelClockMinutes", () => {
+  it("takes hours as they are without an allowance", () => {
+    expect(travelClockMinutes({ ok: true, amount: 2.5, base: "hours" }, null)).toBe(150);
+  });
+
+  it("spends the rest of each day in camp once the allowance runs out", () => {
+    expect(travelClockMinutes({ ok: true, amount: 10, base: "hours" }, eightHours)).toBe((24 + 2) * 60);
+    expect(travelClockMinutes({ ok: true, amount: 16, base: "hours" }, eightHours)).toBe(48 * 60);
+  });
+
+  it("counts day-based travel in calendar days", () => {
+    expect(travelClockMinutes({ ok: true, amount: 2, base: "days" }, null)).toBe(48 * 60);
+    expect(travelClockMinutes({ ok: true, amount: 1.5, base: "days" }, eightHours)).toBe((24 + 4) * 60);
+  });
+});
+
+describe("calendar months text", () => {
+  it("parses one month per line and skips lines without days", () => {
+    expect(parseCalendarMonths("Hammer, 30\nMidwinter: 1\n\nAlturiak 30\nbroken")).toEqual(months);
+  });
+
+  it("round-trips through the editor's text", () => {
+    expect(parseCalendarMonths(formatCalendarMonths(months))).toEqual(months);
+  });
+});
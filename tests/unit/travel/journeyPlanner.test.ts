@@ -0,0 +1,119 @@
+/**
+ * journeyPlanner Unit Tests
+ *
+ * Covers splitting a route into travel days by allowance or day-based
+ * speed, terrain slowing a day down, the regions and linked notes each day
+ * meets, and cell names for the itinerary.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import type { MapObject } from "#types/objects/object.types";
+
+import { GridGeometry } from "../../../src/geometry/core/GridGeometry";
+import { computeSegmentDistances } from "../../../src/drawing/routeOperations";
+import {
+  createTravelAllowance,
+  createTravelMode,
+  createTravelPack,
+  createTravelTerrain,
+} from "../../../src/travel/travelPackOperations";
+import {
+  buildJourneyPlaces,
+  formatJourneyCell,
+  planJourney,
+} from "../../../src/travel/journeyPlanner";
+import { makeLayer, makeMapData } from "../helpers/fixtures";
+
+const grid = new GridGeometry(10);
+const pack = createTravelPack("Overland");
+const walk = createTravelMode({ name: "Walk", distance: 3, timeValue: 1, timeUnit: "hours" });
+const hexcrawl = createTravelMode({ name: "Hexcrawl", distance: 6, timeValue: 1, timeUnit: "days" });
+const shortDay = createTravelAllowance({ name: "Short day", timeValue: 2 });
+const swamp = createTravelTerrain({ name: "Swamp", multiplier: 0.5 });
+
+const mapData = makeMapData({
+  regions: [{
+    id: "wood", name: "Greenwood", hexes: [{ x: 1, y: 0 }, { x: 2, y: 0 }], color: "#2d5a27", opacity: 0.3,
+    borderColor: "#2d5a27", borderWidth: 1, visible: true, order: 0, linkedNote: "Places/Greenwood.md",
+  }],
+});
+function makeObject(overrides: Partial<MapObject>): MapObject {
+  return { id: "obj", type: "note_pin", position: { x: 0, y: 0 }, size: "medium", ...overrides } as MapObject;
+}
+
+const layer = makeLayer({
+  objects: [makeObject({ id: "hermit", position: { x: 3, y: 0 }, linkedNote: "NPCs/Hermit.md" })],
+});
+const places = buildJourneyPlaces(mapData, [layer], grid);
+
+function plan(
+  points: Array<{ x: number; y: number }>,
+  extra: { segmentTerrains?: (string | null)[]; mode?: typeof walk; allowance?: typeof shortDay | null } = {}
+) {
+  return planJourney({ points, segmentTerrains: extra.segmentTerrains }, {
+    geometry: grid,
+    segmentDistances: computeSegmentDistances(points, grid, "equal"),
+    distancePerCell: 3,
+    mapUnit: "mi",
+    mode: extra.mode ?? walk,
+    pack,
+    allowance: extra.allowance === undefined ? shortDay : extra.allowance,
+    terrains: [swamp],
+    places,
+  });
+}
+
+describe("planJourney", () => {
+  it("camps at the last cell each day's allowance reaches", () => {
+    const result = plan([{ x: 0, y: 0 }, { x: 5, y: 0 }]);
+    if (!result.ok) throw new Error(result.reason);
+    expect(result.days.map(day => [day.start.x, day.end.x, day.time])).toEqual([[0, 2, 2], [2, 4, 2], [4, 5, 1]]);
+    expect(result.totalTime).toBe(5);
+    expect(result.totalDistance).toBe(15);
+    expect(result.days[0].cells).toEqual([{ x: 1, y: 0 }, { x: 2, y: 0 }]);
+  });
+
+  it("lists the regions and linked notes each day passes", () => {
+    const result = plan([{ x: 0, y: 0 }, { x: 5, y: 0 }]);
+    if (!result.ok) throw new Error(result.reason);
+    expect(result.days[0].regions).toEqual(["Greenwood"]);
+    expect(result.days[0].notes).toEqual(["Places/Greenwood.md"]);
+    expect(result.days[1].notes).toEqual(["NPCs/Hermit.md"]);
+    expect(result.days[2].notes).toEqual([]);
+  });
+
+  it("spends longer in slow terrain", () => {
+    const result = plan([{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 4, y: 0 }], { segmentTerrains: [null, swamp.id] });
+    if (!result.ok) throw new Error(result.reason);
+    expect(result.days.map(day => day.end.x)).toEqual([2, 3, 4]);
+    expect(result.totalTime).toBe(6);
+  });
+
+  it("splits day-based modes one day at a time without an allowance", () => {
+    const result = plan([{ x: 0, y: 0 }, { x: 5, y: 0 }], { mode: hexcrawl, allowance: null });
+    if (!result.ok) throw new Error(result.reason);
+    expect(result.base).toBe("days");
+    expect(result.days.map(day => day.end.x)).toEqual([2, 4, 5]);
+  });
+
+  it("asks for an allowance when an hour-based mode has none", () => {
+    const result = plan([{ x: 0, y: 0 }, { x: 5, y: 0 }], { allowance: null });
+    expect(result.ok).toBe(false);
+  });
+
+  it("passes on unit mismatches", () => {
+    const result = planJourney({ points: [{ x: 0, y: 0 }, { x: 1, y: 0 }] }, {
+      geometry: grid, segmentDistances: [1], distancePerCell: 5, mapUnit: "ft",
+      mode: walk, pack, allowance: shortDay, terrains: [],
+    });
+    expect(result.ok).toBe(false);
+  });
+});
+
+describe("formatJourneyCell", () => {
+  it("uses column-row labels on hex maps and coordinates on grids", () => {
+    expect(formatJourneyCell({ x: 2, y: 3 }, "grid")).toBe("2, 3");
+    expect(formatJourneyCell({ x: 0, y: 0 }, "hex", "flat")).toBe("A1");
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * routeFinder Unit Tests
+ *
+ * Covers the fastest-route search: terrain speed shaping the path, walls
+ * and impassable terrain blocking it, terrain read from regions, and how
+ * the path folds into waypoints with per-segment terrains.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import type { ExtendedGeometry } from "#types/contexts/context.types";
+import type { TravelTerrain } from "#types/settings/travelPack.types";
+
+import { GridGeometry } from "../../../src/geometry/core/GridGeometry";
+import { HexGeometry } from "../../../src/geometry/core/HexGeometry";
+import { createTravelTerrain } from "../../../src/travel/travelPackOperations";
+import {
+  findFastestRoute,
+  findFastestRouteOnMap,
+} from "../../../src/travel/routeFinder";
+import { makeLayer, makeMapData } from "../helpers/fixtures";
+
+const grid = new GridGeometry(10) as unknown as ExtendedGeometry;
+const hex = new HexGeometry(30) as unknown as ExtendedGeometry;
+
+const road = createTravelTerrain({ name: "Road", multiplier: 2 });
+const swamp = createTravelTerrain({ name: "Swamp", multiplier: 0.25 });
+const mountains = createTravelTerrain({ name: "Mountains", multiplier: 0.5, impassable: true });
+
+function terrainCells(terrain: TravelTerrain, cells: Array<[number, number]>): Array<[string, TravelTerrain]> {
+  return cells.map(([x, y]) => [`${x},${y}`, terrain]);
+}
+
+const openArea = { minX: -10, minY: -10, maxX: 20, maxY: 20 };
+
+describe("findFastestRoute", () => {
+  it("fills in the terrain of each straight run", () => {
+    const route = findFastestRoute({ x: 0, y: 0 }, { x: 6, y: 0 }, {
+      geometry: grid,
+      diagonalRule: "euclidean",
+      terrains: new Map(terrainCells(road, [[1, 0], [2, 0], [3, 0]])),
+      blockers: [],
+      area: openArea,
+    });
+    expect(route).toEqual({
+      points: [{ x: 0, y: 0 }, { x: 3, y: 0 }, { x: 6, y: 0 }],
+      segmentTerrains: [road.id, null],
+    });
+  });
+
+  it("goes around slow terrain when that is faster", () => {
+    const route = findFastestRoute({ x: 0, y: 0 }, { x: 4, y: 0 }, {
+      geometry: grid,
+      diagonalRule: "euclidean",
+      terrains: new Map(terrainCells(swamp, [[1, 0], [2, 0], [3, 0]])),
+      blockers: [],
+      area: { minX: 0, minY: 0, maxX: 4, maxY: 2 },
+    });
+    expect(route?.points).toEqual([{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 3, y: 1 }, { x: 4, y: 0 }]);
+    expect(route?.segmentTerrains).toEqual([null, null, null]);
+  });
+
+  it("never enters impassable terrain", () => {
+    const options = {
+      geometry: grid,
+      diagonalRule: "equal" as const,
+      terrains: new Map(terrainCells(mountains, [[1, 0], [1, 1], [1, -1]])),
+      blockers: [],
+      area: { minX: 0, minY: -1, maxX: 2, maxY: 1 },
+    };
+    expect(findFastestRoute({ x: 0, y: 0 }, { x: 2, y: 0 }, options)).toBeNull();
+    expect(findFastestRoute({ x: 0, y: 0 }, { x: 1, y: 0 }, options)).toBeNull();
+  });
+});
+
+describe("findFastestRouteOnMap", () => {
+  it("walks around painted walls and stops at closed rooms", () => {
+    const edge = (x: number, y: number, side: "right" | "bottom") => ({ x, y, side, color: "#000" });
+    const mapData = makeMapData({
+      layers: [makeLayer({
+        edges: [
+          edge(0, -1, "right"), edge(0, 0, "right"), edge(0, 1, "right"),
+          edge(4, 5, "right"), edge(5, 5, "right"), edge(5, 4, "bottom"), edge(5, 5, "bottom"),
+        ],
+      })],
+    });
+
+    const around = findFastestRouteOnMap(mapData, grid, { x: 0, y: 0 }, { x: 2, y: 0 }, [], "equal");
+    expect(around?.points.length).toBeGreaterThan(2);
+    expect(around?.points.every(point => Math.abs(point.y) <= 2)).toBe(true);
+
+    expect(findFastestRouteOnMap(mapData, grid, { x: 0, y: 0 }, { x: 5, y: 5 }, [], "equal")).toBeNull();
+  });
+
+  it("reads hex region terrain and routes around impassable regions", () => {
+    const region = (id: string, terrain: TravelTerrain, hexes: Array<[number, number]>) => ({
+      id, name: id, hexes: hexes.map(([x, y]) => ({ x, y })), color: "#888", opacity: 0.3,
+      borderColor: "#888", borderWidth: 1, visible: true, order: 0, travelTerrainId: terrain.id,
+    });
+    const mapData = makeMapData({
+      mapType: "hex",
+      layers: [makeLayer()],
+      regions: [region("peaks", mountains, [[1, 0], [2, 0]])],
+    });
+
+    const route = findFastestRouteOnMap(mapData, hex, { x: 0, y: 0 }, { x: 3, y: 0 }, [mountains], "equal");
+    expect(route?.points.length).toBeGreaterThan(2);
+    expect(route?.points).not.toContainEqual({ x: 1, y: 0 });
+    expect(route?.points).not.toContainEqual({ x: 2, y: 0 });
+    expect(findFastestRouteOnMap(mapData, hex, { x: 0, y: 0 }, { x: 2, y: 0 }, [mountains], "equal")).toBeNull();
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * terrainInference Unit Tests
+ *
+ * Covers reading terrain from regions, tiles and painted cells through
+ * terrain rules, which rules count, and how route segments take the terrain
+ * under them while hand-picked ones stay put.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import type { MapData, MeasurementRoute } from "#types/core/map.types";
+
+import { GridGeometry } from "../../../src/geometry/core/GridGeometry";
+import {
+  createTerrainRule,
+  createTravelPack,
+  createTravelTerrain,
+  upsertPackItem,
+} from "../../../src/travel/travelPackOperations";
+import {
+  collectTerrainRules,
+  buildCellTerrainMap,
+  inferSegmentTerrain,
+  applyInferredTerrains,
+} from "../../../src/travel/terrainInference";
+import { makeLayer, makeMapData } from "../helpers/fixtures";
+
+const grid = new GridGeometry(10);
+
+const road = createTravelTerrain({ name: "Road", multiplier: 2 });
+const swamp = createTravelTerrain({ name: "Swamp", multiplier: 0.25 });
+const forest = createTravelTerrain({ name: "Forest", multiplier: 0.5 });
+const hills = createTravelTerrain({ name: "Hills", multiplier: 0.5 });
+const terrains = [road, swamp, forest, hills];
+
+const region = (id: string, hexes: Array<[number, number]>, extra: { tags?: string[]; travelTerrainId?: string }) => ({
+  id, name: id, hexes: hexes.map(([x, y]) => ({ x, y })), color: "#888", opacity: 0.3,
+  borderColor: "#888", borderWidth: 1, visible: true, order: 0, ...extra,
+});
+
+const mapData = makeMapData({
+  tilesets: [{
+    id: "ts", name: "Overland", source: "folder", folderPath: "tiles", tileWidth: 64, tileHeight: 64,
+    hexHeight: 64, overflowTop: 0, overflowBottom: 0,
+    tiles: [
+      { id: "oak", filename: "oak.png", vaultPath: "tiles/oak.png", category: "Terrain/Forest" },
+      { id: "mud", filename: "mud.png", vaultPath: "tiles/mud.png", tags: ["swamp"] },
+      { id: "rock", filename: "rock.png", vaultPath: "tiles/rock.png", category: "Rocks" },
+    ],
+  }],
+  regions: [
+    region("highway", [[1, 0]], { travelTerrainId: road.id }),
+    region("fells", [[4, 0], [5, 0]], { tags: ["Upland"] }),
+  ],
+} as Partial<MapData>);
+
+const layer = makeLayer({
+  cells: [{ x: 6, y: 0, color: "#4A7C3F" }, { x: 7, y: 0, color: "#ffffff" }],
+  tiles: [
+    { tilesetId: "ts", tileId: "oak", col: 0, row: 0 },
+    { tilesetId: "ts", tileId: "oak", col: 1, row: 0 },
+    { tilesetId: "ts", tileId: "mud", col: 2, row: 0 },
+    { tilesetId: "ts", tileId: "rock", col: 3, row: 0 },
+  ],
+});
+
+const rules = [
+  createTerrainRule({ source: "regionTag", value: "upland", terrainId: hills.id }),
+  createTerrainRule({ source: "tileCategory", value: "rocks", terrainId: hills.id }),
+  createTerrainRule({ source: "cellColor", value: "4a7c3f", terrainId: forest.id }),
+];
+
+describe("buildCellTerrainMap", () => {
+  it("reads regions, region tags, tile categories, tile names and cell colors", () => {
+    const cells = buildCellTerrainMap(mapData, [layer], terrains, rules);
+    expect(Object.fromEntries([...cells.entries()].map(([key, terrain]) => [key, terrain.name]))).toEqual({
+      "0,0": "Forest",
+      "1,0": "Road",
+      "2,0": "Swamp",
+      "3,0": "Hills",
+      "4,0": "Hills",
+      "5,0": "Hills",
+      "6,0": "Forest",
+    });
+  });
+
+  it("lets earlier rules win over later ones", () => {
+    const cells = buildCellTerrainMap(mapData, [layer], terrains, [
+      createTerrainRule({ source: "tileCategory", value: "Forest", terrainId: swamp.id }),
+      createTerrainRule({ source: "tileCategory", value: "Terrain/Forest", terrainId: hills.id }),
+    ]);
+    expect(cells.get("0,0")?.name).toBe("Hills");
+  });
+});
+
+describe("collectTerrainRules", () => {
+  it("puts the map's rules first and drops rules for missing terrains", () => {
+    let pack = createTravelPack("Overland");
+    pack = upsertPackItem(pack, "terrains", hills);
+    pack = upsertPackItem(pack, "terrainRules", rules[0]);
+    pack = upsertPackItem(pack, "terrainRules", rules[2]);
+    const mapRule = createTerrainRule({ source: "regionTag", value: "moor", terrainId: hills.id });
+
+    expect(collectTerrainRules([pack], { modeIds: [], terrainRules: [mapRule] })).toEqual([mapRule, rules[0]]);
+  });
+});
+
+describe("inferring segment terrain", () => {
+  const cells = buildCellTerrainMap(mapData, [layer], terrains, rules);
+  const infer = (from: { x: number; y: number }, to: { x: number; y: number }) =>
+    inferSegmentTerrain(from, to, grid, cells);
+
+  it("takes the terrain most cells share, not counting the start", () => {
+    expect(infer({ x: 2, y: 0 }, { x: 5, y: 0 })).toBe(hills.id);
+    expect(infer({ x: 0, y: 0 }, { x: 1, y: 0 })).toBe(road.id);
+    expect(infer({ x: 0, y: 5 }, { x: 3, y: 5 })).toBeNull();
+  });
+
+  it("re-infers segments except hand-picked ones", () => {
+    const route: MeasurementRoute = {
+      points: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 5, y: 0 }, { x: 5, y: 5 }],
+      segmentTerrains: [null, swamp.id, forest.id],
+      manualTerrains: [false, true, false],
+    };
+    const result = applyInferredTerrains(route, infer);
+    expect(result.segmentTerrains).toEqual([road.id, swamp.id, forest.id]);
+    expect(applyInferredTerrains(result, infer)).toBe(result);
+  });
+});
@@ -15,12 +15,14 @@ import {
   createTravelTerrain,
   createTravelMode,
   createTravelAllowance,
+  createTerrainRule,
   upsertTravelPack,
   removeTravelPack,
   setTravelPackEnabled,
   getEnabledTravelPacks,
   upsertPackItem,
   removePackItem,
+  removeTravelTerrain,
   findModesReferencingUnit,
   resolvePackUnit,
   getPackUnitOptions,
@@ -37,6 +39,7 @@ function buildSamplePack(): TravelPack {
   const hex = createTravelUnit({ name: "Hex", abbreviation: "hex", factor: 6, baseUnit: "mi" });
   const forest = createTravelTerrain({ name: "Forest", multiplier: 0.5, color: "#2d5a27" });
   const road = createTravelTerrain({ name: "Road", multiplier: 1.25 });
+  const cliffs = createTravelTerrain({ name: "Cliffs", multiplier: 1, impassable: true });
   const onFoot = createTravelMode({ name: "On foot", distance: 24, unit: { type: "standard", unit: "mi" }, timeValue: 8, timeUnit: "hours" });
   const hexCrawl = createTravelMode({ name: "Hex crawl", distance: 3, unit: { type: "custom", unitId: hex.id }, timeValue: 1, timeUnit: "days" });
   const normal = createTravelAllowance({ name: "Normal pace", timeValue: 8, timeUnit: "hours" });
@@ -44,6 +47,8 @@ function buildSamplePack(): TravelPack {
   let built = upsertPackItem(pack, "units", hex);
   built = upsertPackItem(built, "terrains", forest);
   built = upsertPackItem(built, "terrains", road);
+  built = upsertPackItem(built, "terrains", cliffs);
+  built = upsertPackItem(built, "terrainRules", createTerrainRule({ source: "regionTag", value: "woods", terrainId: forest.id }));
   built = upsertPackItem(built, "modes", onFoot);
   built = upsertPackItem(built, "modes", hexCrawl);
   built = upsertPackItem(built, "allowances", normal);
@@ -133,7 +138,14 @@ describe("travelPackOperations", () => {
     it("removePackItem removes by id", () => {
       const pack = buildSamplePack();
       const result = removePackItem(pack, "terrains", pack.terrains[0].id);
-      expect(result.terrains).toHaveLength(1);
+      expect(result.terrains).toHaveLength(2);
+    });
+
+    it("removeTravelTerrain also drops the terrain rules pointing at it", () => {
+      const pack = buildSamplePack();
+      const result = removeTravelTerrain(pack, pack.terrains[0].id);
+      expect(result.terrains.map(t => t.name)).toEqual(["Road", "Cliffs"]);
+      expect(result.terrainRules).toEqual([]);
     });
 
     it("findModesReferencingUnit finds custom-unit modes only", () => {
@@ -257,6 +269,15 @@ describe("travelPackOperations", () => {
       expect(result.errors.some((e: string) => e.includes("custom unit"))).toBe(true);
     });
 
+    it("rejects a terrain rule for a terrain missing from the pack", () => {
+      const exported = exportTravelPack(buildSamplePack());
+      const broken = JSON.parse(JSON.stringify(exported));
+      broken.pack.terrainRules[0].terrainId = "terrain-nope";
+      const result = validateTravelPackImport(broken);
+      expect(result.valid).toBe(false);
+      expect(result.errors.some((e: string) => e.includes("Terrain rule"))).toBe(true);
+    });
+
     it("rejects duplicate entity ids", () => {
       const exported = exportTravelPack(buildSamplePack());
       const broken = JSON.parse(JSON.stringify(exported));
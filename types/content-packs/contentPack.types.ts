@@ -1,4 +1,4 @@
-export type PackType = 'object-pack' | 'fog-pack' | 'font-pack' | 'travel-pack';
+export type PackType = 'object-pack' | 'fog-pack' | 'font-pack' | 'travel-pack' | 'dungeon-style-pack';
 
 export interface RegistryPack {
   id: string;
@@ -9,7 +9,7 @@ import type { MapObject, ObjectUpdate } from '../objects/object.types';
 import type { TextLabel, NotePin } from '../objects/note.types';
 import type { IGeometry, Point } from '../core/geometry.types';
 import type { Curve } from '../core/curve.types';
-import type { MapData, MapType, ShapeOverlay, StoredViewState, TextLabelSettings } from '../core/map.types';
+import type { MapData, MapType, ShapeOverlay, StoredViewState, TextLabelSettings, GenerationSettings } from '../core/map.types';
 import type { GroupDragInitialState } from '../hooks/groupDrag.types';
 import type { Cell } from '../core/cell.types';
 import type { BorderSide, Edge } from '../core/rendering.types';
@@ -24,10 +24,11 @@ import type { MapDistanceOverrides } from '../hooks/distanceMeasurement.types';
 // Shared Helper Types
 // ===========================================
 
-/** Partial update payload for map-level operations (viewState, text label defaults) */
+/** Partial update payload for map-level operations (viewState, text label defaults, generation recipe) */
 export interface MapDataUpdate {
   viewState?: StoredViewState;
   lastTextLabelSettings?: TextLabelSettings;
+  generationSettings?: GenerationSettings;
 }
 
 /** Edge info from geometry */
@@ -200,6 +201,10 @@ export interface MapOperationsContextValue {
 
   // Map-level operations
   onMapDataUpdate?: (updates: MapDataUpdate) => void;
+  /** Generate a dungeon section inside a cell rectangle (one undo step) */
+  onGenerateInArea?: (x1: number, y1: number, x2: number, y2: number) => void;
+  /** Connect the sketched rooms inside a cell rectangle (one undo step) */
+  onConnectSketch?: (x1: number, y1: number, x2: number, y2: number) => void;
   [key: string]: unknown;
 }
 
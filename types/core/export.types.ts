@@ -6,7 +6,7 @@
  */
 
 import type { BoundingBox } from './geometry.types';
-import type { MapData } from './map.types';
+import type { MapData, LayerId } from './map.types';
 import type { HexColor } from './common.types';
 import type { ExtendedGeometry } from '../contexts/context.types';
 
@@ -18,9 +18,12 @@ import type { ExtendedGeometry } from '../contexts/context.types';
 export interface RenderParams {
   mapData: MapData;
   geometry: ExtendedGeometry;
+  /** World area to draw; it is scaled to fill the canvas */
   bounds: BoundingBox;
   width: number;
   height: number;
+  /** Render as players see it (no GM-only content) */
+  playerView?: boolean;
 }
 
 // ===========================================
@@ -70,4 +73,98 @@ export interface ExportVisibilityOptions {
   objects: boolean;
   textLabels: boolean;
   hexCoordinates: boolean;
-}
\ No newline at end of file
+}
+// ===========================================
+// Universal VTT
+// ===========================================
+
+/** A point in grid units, measured from the image's top-left corner */
+export interface UvttPoint {
+  x: number;
+  y: number;
+}
+
+/** A door: a wall segment a VTT can open and close */
+export interface UvttPortal {
+  position: UvttPoint;
+  bounds: [UvttPoint, UvttPoint];
+  /** Radians */
+  rotation: number;
+  closed: boolean;
+  freestanding: boolean;
+}
+
+export interface UvttLight {
+  position: UvttPoint;
+  /** Radius in grid units */
+  range: number;
+  intensity: number;
+  /** ARGB hex, e.g. "ffffff64" */
+  color: string;
+  shadows: boolean;
+}
+
+/** Universal VTT file (.dd2vtt / .uvtt), as read by Foundry's importers and others */
+export interface UvttFile {
+  format: number;
+  resolution: {
+    map_origin: UvttPoint;
+    /** Image size in grid squares */
+    map_size: UvttPoint;
+    pixels_per_grid: number;
+  };
+  /** Wall polylines */
+  line_of_sight: UvttPoint[][];
+  objects_line_of_sight: UvttPoint[][];
+  portals: UvttPortal[];
+  environment: {
+    baked_lighting: boolean;
+    /** ARGB hex */
+    ambient_light: string;
+  };
+  lights: UvttLight[];
+  /** Base64 PNG */
+  image: string;
+}
+
+// ===========================================
+// Batch Export
+// ===========================================
+
+/** What a batch image export renders, and how it splits into files */
+export interface MapExportSelection {
+  /** Layers to include, from any board */
+  layerIds: LayerId[];
+  /** One image per board with its chosen layers stacked, or one per layer */
+  grouping: 'board' | 'layer';
+  includeFog: boolean;
+  includeObjects: boolean;
+  includeLabels: boolean;
+}
+
+// ===========================================
+// SVG Export
+// ===========================================
+
+/** An image embedded in an SVG export */
+export interface SvgImageSource {
+  /** Data URL of the image file */
+  href: string;
+  /** Natural size in pixels */
+  width: number;
+  height: number;
+}
+
+// ===========================================
+// PDF Export
+// ===========================================
+
+export type PdfPaperSize = 'letter' | 'a4';
+
+export interface PdfExportOptions {
+  paper: PdfPaperSize;
+  /** Printed size of one grid cell in inches */
+  inchesPerCell: number;
+  /** Append a fog-free set of pages that includes GM-only content */
+  includeGmCopy: boolean;
+}
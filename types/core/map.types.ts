@@ -12,9 +12,12 @@ import type { WallPath } from './wallpath.types';
 import type { TerrainStroke } from './terrainstroke.types';
 import type { Point } from './geometry.types';
 import type { HexOrientation, FrameSettings } from '../settings/settings.types';
+import type { DungeonStyleDefinition, DungeonStockingTable } from '../settings/dungeonStyle.types';
+import type { TerrainRule } from '../settings/travelPack.types';
 import type { TilesetDef, TilesetOverrides, TileAssignment, TileLayerRole } from '../tiles/tile.types';
 import type { MapObject } from '../objects/object.types';
 import type { Edge } from './rendering.types';
+import type { SessionLogEntry } from './sessionLog.types';
 
 // ===========================================
 // Map Types
@@ -59,6 +62,8 @@ export interface MapSettings {
   objectSetId?: string | null;
   /** Parent map backdrop override for sub-hex maps (absent = inherit global PluginSettings.showSubHexBackdrop) */
   showParentBackdrop?: boolean;
+  /** Darkness outside light sources, 0 (lighting off) to 1 (pitch black); absent = 0 */
+  ambientDarkness?: number;
 }
 
 // ===========================================
@@ -115,6 +120,12 @@ export interface FogOfWar {
   enabled: boolean;
   foggedCells: FoggedCell[];
   texture: string | null;
+  /**
+   * Cells player tokens have uncovered. Whichever of these no lit player
+   * token can see right now are drawn as remembered: dimmed fog that still
+   * hides objects.
+   */
+  exploredCells?: FoggedCell[];
 }
 
 /** Fog state summary for UI display */
@@ -177,6 +188,34 @@ export interface DungeonStyleColors {
   water: string;
 }
 
+/** Generated room ID (numeric from the generator; JSON keys make it a string) */
+export type RoomId = number | string;
+
+/** Layout constraints enforced by generateDungeon (see dungeonConstraints.js) */
+export interface DungeonConstraintSpec {
+  /** ROOM_TEMPLATES keys; `secret` rooms are entered through secret doors only */
+  requiredRooms?: Array<string | { template: string; secret?: boolean }>;
+  /** Rooms traversed from the entrance to the boss room, or the deepest room */
+  bossDepth?: number | 'farthest';
+  minLoops?: number;
+  maxLoops?: number;
+  /** Locked door/key pairs */
+  lockedDoors?: number;
+  maxAttempts?: number;
+}
+
+/** A locked entrance and the key that opens it */
+export interface LockedDoorRecord {
+  /** Door objects of the entrance (wide entrances have two) */
+  doorIds: string[];
+  keyId: string | null;
+  keyName: string;
+  keyRoomId: RoomId;
+  keyPosition: { x: number; y: number } | null;
+  /** Rooms unreachable until this door is opened */
+  lockedRoomIds: RoomId[];
+}
+
 export interface DungeonConfigOverrides {
   objectDensity?: number;
   monsterWeight?: number;
@@ -185,10 +224,17 @@ export interface DungeonConfigOverrides {
   trapWeight?: number;
   useTemplates?: boolean;
   style?: string;
+  /** The user-defined style the map was generated with, as prepared for its object set */
+  styleDefinition?: DungeonStyleDefinition;
+  /** Stocking tables of the enabled packs that applied to the style, as generated */
+  stockingTables?: DungeonStockingTable[];
+  /** Dungeon level the tables are filtered by (the top floor's, for a stack; default 1) */
+  dungeonLevel?: number;
   floorColor?: string;
   wallColor?: string;
   waterColor?: string;
   waterOpacity?: number;
+  constraints?: DungeonConstraintSpec;
 }
 
 export interface DungeonStockingMetadata {
@@ -196,14 +242,25 @@ export interface DungeonStockingMetadata {
   corridorResult?: unknown;
   doorPositions?: Array<{ x: number; y: number }>;
   style?: string;
-  entryRoomId?: string;
-  exitRoomId?: string;
-  waterRoomIds?: string[];
+  entryRoomId?: RoomId;
+  exitRoomId?: RoomId;
+  waterRoomIds?: RoomId[];
+  /** Set by layout constraints; stocking puts the boss here */
+  bossRoomId?: RoomId;
+  /** Set by layout constraints: room ID -> ROOM_TEMPLATES key */
+  roomTemplates?: Record<string, string>;
+  /** Set by layout constraints; keys survive an objects-only re-roll */
+  lockedDoors?: LockedDoorRecord[];
 }
 
 export interface GenerationSettings {
   preset?: string;
+  /** Layout seed; replaying it with the same preset and overrides rebuilds the map */
   seed?: number;
+  /** Floors generated as a linked multi-level stack (one board each); absent means 1 */
+  levelCount?: number;
+  /** Room number labels placed with the room key; a full re-roll removes them */
+  roomKeyLabelIds?: string[];
   configOverrides?: DungeonConfigOverrides;
   stockingMetadata?: DungeonStockingMetadata;
 }
@@ -298,6 +355,8 @@ export interface MapLayer {
    * migration assigns every layer a default board. Stratum = (boardId, tileRole).
    */
   boardId?: BoardId;
+  /** Timestamped fog reveals and player token moves, oldest first */
+  sessionLog?: SessionLogEntry[];
 }
 
 // ===========================================
@@ -404,6 +463,9 @@ export interface MapData {
   // Travel display selection (modes/allowance from enabled travel packs)
   travelSettings?: MapTravelSettings;
 
+  // In-game calendar and clock, advanced by travelled routes
+  campaignClock?: CampaignClock;
+
   // Regions (hex maps only, global not per-layer)
   regions?: Region[];
 
@@ -526,6 +588,17 @@ export interface PartyQueryFilters {
 /** Related-notes expansion mode for a party pin. */
 export type PartyRelatedMode = 'off' | 'tags' | 'backlinks';
 
+/** One recorded move of a party pin, for its travel trail. */
+export interface PartyPinMove {
+  /** Cell positions before and after */
+  from: Point;
+  to: Point;
+  /** Epoch milliseconds */
+  at: number;
+  /** In-game date the move was stamped with (free text) */
+  gameDate?: string;
+}
+
 /**
  * Marks the adventuring party's current location. Position is cell-aligned:
  * {x: col, y: row} on grid maps, {x: q, y: r} axial on hex maps.
@@ -550,6 +623,12 @@ export interface PartyPin {
   filters?: PartyQueryFilters;
   /** Related-notes expansion; absent means off */
   relatedMode?: PartyRelatedMode;
+  /** Recorded moves, oldest first; absent means none yet */
+  trail?: PartyPinMove[];
+  /** In-game date stamped on new moves; absent means none */
+  gameDate?: string;
+  /** Hides the trail on the map (it is still recorded) */
+  hideTrail?: boolean;
 }
 
 // ===========================================
@@ -564,6 +643,8 @@ export interface PartyPin {
 export interface MeasurementRoute {
   points: Point[];
   segmentTerrains: (string | null)[];
+  /** Segments whose terrain was picked by hand; terrain rules leave them alone */
+  manualTerrains?: boolean[];
 }
 
 /**
@@ -574,6 +655,8 @@ export interface MeasurementRoute {
 export interface MapTravelSettings {
   modeIds: string[];
   allowanceId?: string | null;
+  /** This map's terrain rules, checked before the enabled packs' own */
+  terrainRules?: TerrainRule[];
 }
 
 /**
@@ -594,6 +677,40 @@ export interface SavedRoute {
   showLabel: boolean;
   /** Terrain id per segment (index i = points[i] → points[i+1]); reserved for travel packs */
   segmentTerrains?: (string | null)[];
+  /** Set once the party has travelled the route; absent means not yet */
+  travelled?: RouteTravel;
+}
+
+/** How a saved route was travelled, and what it did to the campaign clock */
+export interface RouteTravel {
+  /** Travel mode (TravelMode.id) the route was travelled with */
+  modeId: string;
+  /** Minutes the clock was advanced by */
+  minutes: number;
+  /** Clock reading on arrival (CampaignClock.minutes) */
+  arrivedAt: number;
+}
+
+// ===========================================
+// Campaign Clock
+// ===========================================
+
+/** A month of the in-game calendar */
+export interface CalendarMonth {
+  name: string;
+  /** Days in the month; always >= 1 */
+  days: number;
+}
+
+/**
+ * The map's in-game date and time. The reading is kept as minutes since
+ * the calendar's first moment (day 1 of the first month of year 1, 00:00);
+ * without months, days are simply counted ("Day 12").
+ */
+export interface CampaignClock {
+  minutes: number;
+  /** Months of the in-game year, in order; absent or empty counts plain days */
+  months?: CalendarMonth[];
 }
 
 // ===========================================
@@ -618,6 +735,8 @@ export interface Region {
   /** Z-order for rendering (lower = behind) */
   order: number;
   tags?: string[];
+  /** Travel-pack terrain (TravelTerrain.id) for travel across this region's hexes */
+  travelTerrainId?: string;
 }
 
 // ===========================================
@@ -0,0 +1,45 @@
+/**
+ * Session Log Type Definitions
+ * Path: types/core/sessionLog.types.ts
+ *
+ * Per-layer, timestamped record of fog reveals and player token moves.
+ * Drives session replay and the session-recap note.
+ */
+
+import type { FoggedCell } from './map.types';
+import type { Point } from './geometry.types';
+
+// ===========================================
+// Entries
+// ===========================================
+
+/** Fog lifted from a set of cells */
+export interface SessionRevealEntry {
+  kind: 'reveal';
+  /** Epoch milliseconds */
+  at: number;
+  /** Cells uncovered, in offset coordinates */
+  cells: FoggedCell[];
+  /** Player token whose light uncovered them; absent when the GM revealed them */
+  objectId?: string;
+  /** Token label at the time, for the recap */
+  label?: string;
+}
+
+/** A player token dragged to a new spot */
+export interface SessionMoveEntry {
+  kind: 'move';
+  /** Epoch milliseconds */
+  at: number;
+  objectId: string;
+  /** Token label at the time, for the recap */
+  label?: string;
+  /** Grid position before and after */
+  from: Point;
+  to: Point;
+  /** World positions before and after, for freeform tokens */
+  fromWorld?: Point;
+  toWorld?: Point;
+}
+
+export type SessionLogEntry = SessionRevealEntry | SessionMoveEntry;
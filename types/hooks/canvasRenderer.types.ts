@@ -90,6 +90,11 @@ export interface RenderCanvasOptions {
    * the canvas follows the gesture without setMapData reconciling the tree.
    */
   liveViewState?: StoredViewState | null;
+  /**
+   * Render for the player view: GM-only objects and labels, secret doors,
+   * traps and note links are left out, and fog is drawn fully opaque.
+   */
+  playerView?: boolean;
 }
 
 /** Main render function */
@@ -5,7 +5,7 @@
  * for layer data and map-level data with history tracking.
  */
 
-import type { MapData, StoredViewState, TextLabelSettings, Region } from '../core/map.types';
+import type { MapData, StoredViewState, TextLabelSettings, Region, GenerationSettings } from '../core/map.types';
 import type { Cell } from '../core/cell.types';
 import type { Curve } from '../core/curve.types';
 import type { WallPath } from '../core/wallpath.types';
@@ -92,6 +92,9 @@ export type HandleTextLabelSettingsChange = (settings: TextLabelSettings) => voi
 /** Handle regions change (hex maps only) */
 export type HandleRegionsChange = (regions: Region[]) => void;
 
+/** Handle generation settings change (dungeon re-roll records its new seed) */
+export type HandleGenerationSettingsChange = (settings: GenerationSettings) => void;
+
 // ===========================================
 // Grouped Handlers
 // ===========================================
@@ -125,6 +128,9 @@ export interface MapDataHandlers {
   handleMeasurementRouteChange: (measurementRoute: import('../core/map.types').MeasurementRoute) => void;
   handleSavedRoutesChange: (savedRoutes: import('../core/map.types').SavedRoute[]) => void;
   handleTravelSettingsChange: (travelSettings: import('../core/map.types').MapTravelSettings) => void;
+  handleCampaignClockChange: (campaignClock: import('../core/map.types').CampaignClock) => void;
+  handleRouteTravel: (savedRoutes: import('../core/map.types').SavedRoute[], campaignClock: import('../core/map.types').CampaignClock, revealed?: import('../core/map.types').FoggedCell[]) => void;
+  handleGenerationSettingsChange: HandleGenerationSettingsChange;
 }
 
 // ===========================================
@@ -161,5 +167,8 @@ export interface UseDataHandlersResult {
   handleMeasurementRouteChange: (measurementRoute: import('../core/map.types').MeasurementRoute) => void;
   handleSavedRoutesChange: (savedRoutes: import('../core/map.types').SavedRoute[]) => void;
   handleTravelSettingsChange: (travelSettings: import('../core/map.types').MapTravelSettings) => void;
+  handleCampaignClockChange: (campaignClock: import('../core/map.types').CampaignClock) => void;
+  handleRouteTravel: (savedRoutes: import('../core/map.types').SavedRoute[], campaignClock: import('../core/map.types').CampaignClock, revealed?: import('../core/map.types').FoggedCell[]) => void;
+  handleGenerationSettingsChange: HandleGenerationSettingsChange;
 }
 
@@ -6,6 +6,7 @@
  */
 
 import type { DiagonalRule, DistanceDisplayFormat } from '../settings/settings.types';
+import type { MeasurementRoute } from '../core/map.types';
 
 // ===========================================
 // Measurement Points
@@ -76,4 +77,6 @@ export interface UseDistanceMeasurementResult {
   clearMeasurement: () => void;
   /** Assign a terrain (null = unassigned) to a committed segment */
   assignSegmentTerrain: (segmentIndex: number, terrainId: string | null) => void;
+  /** Replace the committed route (waypoints and terrains) in one go */
+  replaceRoute: (route: MeasurementRoute) => void;
 }
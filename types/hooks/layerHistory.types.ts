@@ -10,7 +10,7 @@ import type { Cell } from '../core/cell.types';
 import type { Curve } from '../core/curve.types';
 import type { WallPath } from '../core/wallpath.types';
 import type { TerrainStroke } from '../core/terrainstroke.types';
-import type { Edge, TextLabel, MapData, LayerId, Region, ShapeOverlay, Outline, FogOfWar, PartyPin, SavedRoute } from '../core/map.types';
+import type { Edge, TextLabel, MapData, LayerId, Region, ShapeOverlay, Outline, FogOfWar, PartyPin, SavedRoute, CampaignClock } from '../core/map.types';
 import type { MapObject } from '../objects/object.types';
 import type { TileAssignment } from '../tiles/tile.types';
 import type { HistoryState } from './history.types';
@@ -52,6 +52,8 @@ export interface LayerHistorySnapshot {
   partyPins?: PartyPin[];
   /** Saved measurement routes (map-level, tracked for undo) */
   savedRoutes?: SavedRoute[];
+  /** Campaign clock (map-level, tracked so it moves back with travelled routes); null before the map keeps one */
+  campaignClock?: CampaignClock | null;
   /** Fog of war state (layer-level, tracked for compound undo with player moves) */
   fogOfWar?: FogOfWar | null;
 }
@@ -64,6 +64,9 @@ export type StopTextDragging = () => boolean;
 /** Text rotation handler */
 export type HandleTextRotation = () => void;
 
+/** GM-only visibility toggle handler */
+export type HandleTextGmOnlyToggle = () => void;
+
 /** Text deletion handler */
 export type HandleTextDeletion = () => void;
 
@@ -109,6 +112,7 @@ export interface UseTextLabelInteractionResult {
   stopTextDragging: StopTextDragging;
   handleTextRotation: HandleTextRotation;
   handleTextDeletion: HandleTextDeletion;
+  handleTextGmOnlyToggle: HandleTextGmOnlyToggle;
   handleTextKeyDown: HandleTextKeyDown;
   handleTextSubmit: HandleTextSubmit;
   handleTextCancel: HandleTextCancel;
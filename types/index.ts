@@ -71,6 +71,7 @@ export type {
   MapSettings,
   BackgroundImage,
   TextLabelSettings,
+  GenerationSettings,
   GridDensity,
   SizingMode,
   MeasurementMethod,
@@ -453,6 +454,7 @@ export type {
   HandleObjectSetChange,
   HandleTextLabelSettingsChange,
   HandleRegionsChange,
+  HandleGenerationSettingsChange,
   LayerDataHandlers,
   MapDataHandlers,
   UseDataHandlersResult,
@@ -63,6 +63,8 @@ export interface TextLabel {
   backgroundColor?: HexColor;
   align?: TextAlign;
   rotation?: number;
+  /** Hidden from the player view */
+  gmOnly?: boolean;
 }
 
 // TODO: Expand during textLabelOperations.ts migration
\ No newline at end of file
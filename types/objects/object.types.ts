@@ -152,6 +152,8 @@ export interface MapObject {
   lightRadius?: number;
   lightColor?: string;
   lightEnabled?: boolean;
+  /** Hidden from the player view */
+  gmOnly?: boolean;
 }
 
 export type ObjectUpdate = Partial<Omit<MapObject, 'id'>>;
@@ -0,0 +1,163 @@
+/**
+ * Dungeon Style Pack Type Definitions
+ * Path: types/settings/dungeonStyle.types.ts
+ *
+ * A dungeon style pack is a named bundle of user-defined generation styles
+ * and stocking tables. Each style carries everything the built-in styles
+ * hard-code: generator overrides, the stocker's object pools, room
+ * templates, category weights and default colors. Stocking tables give
+ * placed monsters and treasure rolled names and descriptions. Packs live in
+ * plugin settings; a generated map embeds the style and tables it was made
+ * with, so re-rolls don't depend on the pack.
+ */
+
+import type { DungeonStyleColors } from '../core/map.types';
+
+// ===========================================
+// Style definition
+// ===========================================
+
+/** Zones a template object can be placed in ('flanking' falls back to scattered) */
+export type DungeonPlacementZone = 'center' | 'corners' | 'walls' | 'scattered' | 'flanking';
+
+/** Object type IDs the stocker draws from per room category */
+export interface DungeonStyleObjectPools {
+  monsters: string[];
+  treasures: string[];
+  features: string[];
+  traps: string[];
+}
+
+/** One object line of a room template */
+export interface DungeonStyleTemplateObject {
+  /** Object type ID (built-in or custom) */
+  type: string;
+  count: { min: number; max: number };
+  placement: DungeonPlacementZone;
+}
+
+/** A furnished room (feature rooms pick one at random when big enough) */
+export interface DungeonStyleRoomTemplate {
+  name: string;
+  objects: DungeonStyleTemplateObject[];
+  /** Smallest room (in cells) the template fits */
+  minRoomSize: number;
+}
+
+/** Relative odds of each room category; need not sum to 1 */
+export interface DungeonStyleCategoryWeights {
+  monster: number;
+  empty: number;
+  feature: number;
+  trap: number;
+}
+
+/** Generator settings a style may override (see DUNGEON_PRESETS) */
+export interface DungeonStyleGeneratorOverrides {
+  /** 'cave' swaps rooms and corridors for cellular-automata caverns */
+  layout?: 'cave';
+  circleChance?: number;
+  complexRoomChance?: number;
+  corridorStyle?: 'straight' | 'organic' | 'diagonal';
+  doorChance?: number;
+  secretDoorChance?: number;
+  loopChance?: number;
+  wideCorridorChance?: number;
+  roomSizeBias?: number;
+  waterChance?: number;
+  diagonalCorridorChance?: number;
+}
+
+export interface DungeonStyleDefinition {
+  /** Stable id; also the generated map's metadata.style */
+  id: string;
+  name: string;
+  description?: string;
+  overrides: DungeonStyleGeneratorOverrides;
+  pools: DungeonStyleObjectPools;
+  /** Template key -> template. Empty means feature rooms are never templated. */
+  templates: Record<string, DungeonStyleRoomTemplate>;
+  /** Absent = the built-in B/X weights */
+  categoryWeights?: DungeonStyleCategoryWeights;
+  /** Object placed as the boss (default 'boss') */
+  boss?: string;
+  /** Absent channels fall back to the classic palette */
+  colors?: Partial<DungeonStyleColors>;
+  /**
+   * Display labels for the style's object types, filled in from the object
+   * set when a map is generated. Not part of the pack file.
+   */
+  labels?: Record<string, string>;
+}
+
+// ===========================================
+// Stocking tables
+// ===========================================
+
+/** What a table names: monsters (encounter) or treasure objects */
+export type DungeonStockingTableKind = 'encounter' | 'treasure';
+
+/** Dungeon levels (1 = the top floor) an entry or table applies to; absent bounds are open */
+export interface DungeonLevelRange {
+  min?: number;
+  max?: number;
+}
+
+export interface DungeonStockingTableEntry {
+  /** Short name, written to the object's label */
+  label: string;
+  /** Longer description, written to the object's tooltip (default: the label) */
+  text?: string;
+  /** Relative odds (default 1) */
+  weight?: number;
+  levels?: DungeonLevelRange;
+}
+
+/**
+ * A random table rolled when stocking. Encounter tables are rolled once per
+ * room for its monsters (and once more for a boss); treasure tables once per
+ * treasure object.
+ */
+export interface DungeonStockingTable {
+  id: string;
+  name: string;
+  kind: DungeonStockingTableKind;
+  /** Style ids (built-in or user-defined) the table applies to; absent = every style */
+  styles?: string[];
+  levels?: DungeonLevelRange;
+  entries: DungeonStockingTableEntry[];
+}
+
+// ===========================================
+// Pack
+// ===========================================
+
+export interface DungeonStylePack {
+  id: string;
+  name: string;
+  description?: string;
+  /** Only enabled packs offer their styles when generating. Stripped on export. */
+  enabled: boolean;
+  styles: DungeonStyleDefinition[];
+  /** Absent = none */
+  tables?: DungeonStockingTable[];
+}
+
+// ===========================================
+// Export file format
+// ===========================================
+
+/** On-disk envelope for exported dungeon style packs */
+export interface DungeonStylePackExport {
+  format: 'windrose-dungeon-style-pack';
+  formatVersion: number;
+  pack: Omit<DungeonStylePack, 'enabled'>;
+}
+
+/** Result of validating an imported pack file */
+export interface DungeonStylePackValidation {
+  valid: boolean;
+  errors: string[];
+  /** Present when valid: the normalized pack, enabled by default */
+  pack?: DungeonStylePack;
+}
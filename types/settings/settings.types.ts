@@ -9,6 +9,7 @@ import type { HexColor } from '../core/common.types';
 import type { DungeonStyleName, DungeonStyleColors, MapTravelSettings } from '../core/map.types';
 import type { InstalledPack } from '../content-packs/contentPack.types';
 import type { TravelPack } from './travelPack.types';
+import type { DungeonStylePack } from './dungeonStyle.types';
 
 /** Hex orientation options */
 export type HexOrientation = 'flat' | 'pointy';
@@ -222,6 +223,9 @@ export interface PluginSettings {
   // (absent style or channel = built-in style default)
   dungeonStyleColors?: Partial<Record<DungeonStyleName, Partial<DungeonStyleColors>>>;
 
+  // Dungeon style packs (user-defined generation styles and stocking tables)
+  dungeonStylePacks?: DungeonStylePack[];
+
   // Feature gating (absent key or absent record = feature enabled)
   features?: Partial<Record<WindroseFeature, boolean>>;
 
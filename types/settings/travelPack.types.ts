@@ -35,6 +35,25 @@ export interface TravelTerrain {
   multiplier: number;
   /** Segment coloring for terrain-aware routes */
   color?: string;
+  /** Route finding never enters this terrain (cliffs, deep water) */
+  impassable?: boolean;
+}
+
+/** What a terrain rule looks at under a route */
+export type TerrainRuleSource = 'regionTag' | 'tileCategory' | 'cellColor';
+
+/**
+ * Assigns a terrain to route segments that cross matching map content: a
+ * region with the tag, a tile from the category (or its last folder), or a
+ * cell painted in the color.
+ */
+export interface TerrainRule {
+  id: string;
+  source: TerrainRuleSource;
+  /** Tag or category (case-insensitive), or a hex color */
+  value: string;
+  /** TravelTerrain.id the match stands for */
+  terrainId: string;
 }
 
 /** Time base for mode speeds and allowances */
@@ -93,6 +112,8 @@ export interface TravelPack {
   terrains: TravelTerrain[];
   modes: TravelMode[];
   allowances: TravelAllowance[];
+  /** Automatic terrain for route segments; absent on older packs */
+  terrainRules?: TerrainRule[];
 }
 
 // ===========================================
@@ -28,6 +28,8 @@ export type ToolId =
   | 'circle'
   | 'clearArea'
   | 'diagonalFill'
+  | 'generateArea'
+  | 'connectSketch'
   // Edge/segment tools
   | 'edgeDraw'
   | 'edgeErase'